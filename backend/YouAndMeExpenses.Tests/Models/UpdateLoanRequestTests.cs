@@ -0,0 +1,69 @@
+using System.Text.Json;
+using Paire.Modules.Finance.Core.DTOs;
+using Paire.Modules.Finance.Core.Entities;
+
+namespace YouAndMeExpenses.Tests.Models;
+
+public class UpdateLoanRequestTests
+{
+    private static readonly JsonSerializerOptions Json = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true
+    };
+
+    private static Loan StoredLoan() => new()
+    {
+        InterestRate = 4.5m,
+        DurationYears = 2,
+        DurationMonths = 6,
+        HasInstallments = true,
+        InstallmentAmount = 120m,
+        InstallmentFrequency = "monthly",
+        CompoundingFrequency = "monthly"
+    };
+
+    [Fact]
+    public void ApplyTermsTo_KeepsTermsTheBodyLeftOut()
+    {
+        var request = JsonSerializer.Deserialize<UpdateLoanRequest>("""{"amount":500,"description":"Car"}""", Json)!;
+        var loan = StoredLoan();
+
+        request.ApplyTermsTo(loan);
+
+        loan.Should().BeEquivalentTo(StoredLoan());
+    }
+
+    [Fact]
+    public void ApplyTermsTo_ClearsTermsSentAsNullOrFalse()
+    {
+        var request = JsonSerializer.Deserialize<UpdateLoanRequest>(
+            """{"amount":500,"interestRate":null,"durationYears":null,"durationMonths":null,"hasInstallments":false,"installmentAmount":null,"installmentFrequency":null,"compoundingFrequency":null}""",
+            Json)!;
+        var loan = StoredLoan();
+
+        request.ApplyTermsTo(loan);
+
+        loan.InterestRate.Should().BeNull();
+        loan.DurationYears.Should().BeNull();
+        loan.DurationMonths.Should().BeNull();
+        loan.HasInstallments.Should().BeFalse();
+        loan.InstallmentAmount.Should().BeNull();
+        loan.InstallmentFrequency.Should().BeNull();
+        loan.CompoundingFrequency.Should().BeNull();
+    }
+
+    [Fact]
+    public void ApplyTermsTo_UpdatesOnlyTheTermsSent()
+    {
+        var request = JsonSerializer.Deserialize<UpdateLoanRequest>("""{"interestRate":3.2,"durationMonths":null}""", Json)!;
+        var loan = StoredLoan();
+
+        request.ApplyTermsTo(loan);
+
+        loan.InterestRate.Should().Be(3.2m);
+        loan.DurationMonths.Should().BeNull();
+        loan.DurationYears.Should().Be(2);
+        loan.HasInstallments.Should().BeTrue();
+    }
+}
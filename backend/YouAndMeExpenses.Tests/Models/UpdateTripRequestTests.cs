@@ -0,0 +1,70 @@
+using System.Text.Json;
+using Paire.Modules.Travel.Core.DTOs;
+using Paire.Modules.Travel.Core.Entities;
+
+namespace YouAndMeExpenses.Tests.Models;
+
+public class UpdateTripRequestTests
+{
+    private static readonly JsonSerializerOptions Json = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true
+    };
+
+    private static Trip StoredTrip() => new()
+    {
+        Name = "Greece",
+        Destination = "Athens",
+        Country = "Greece",
+        Latitude = 37.98,
+        Longitude = 23.73,
+        TimeZone = "Europe/Athens",
+        StartDate = new DateTime(2026, 7, 1, 0, 0, 0, DateTimeKind.Utc),
+        EndDate = new DateTime(2026, 7, 8, 0, 0, 0, DateTimeKind.Utc),
+        Budget = 1500,
+        BudgetCurrency = "EUR",
+        Status = "planning",
+        TripType = "single",
+        CoverImage = "https://images.example/athens.jpg",
+        Notes = "Ferry to Hydra"
+    };
+
+    private static Trip Apply(string body)
+    {
+        var trip = StoredTrip();
+        JsonSerializer.Deserialize<UpdateTripRequest>(body, Json)!.ApplyTo(trip);
+        return trip;
+    }
+
+    [Fact]
+    public void ApplyTo_KeepsFieldsTheBodyLeftOut()
+    {
+        Apply("""{"name":"Summer in Greece","notes":"Ferry at 9"}""").Should().BeEquivalentTo(StoredTrip(), options => options
+            .Excluding(t => t.Name)
+            .Excluding(t => t.Notes));
+    }
+
+    [Fact]
+    public void ApplyTo_ClearsOptionalFieldsSentAsNull()
+    {
+        var trip = Apply("""{"startDate":null,"endDate":null,"country":null,"coverImage":null,"name":"","status":null}""");
+
+        trip.StartDate.Should().BeNull();
+        trip.EndDate.Should().BeNull();
+        trip.Country.Should().BeNull();
+        trip.CoverImage.Should().BeNull();
+        // Required fields ignore blank values
+        trip.Name.Should().Be("Greece");
+        trip.Status.Should().Be("planning");
+    }
+
+    [Fact]
+    public void ApplyTo_DropsTheOldZoneWhenTheDestinationMoves()
+    {
+        Apply("""{"destination":"Lisbon","latitude":38.72,"longitude":-9.14}""").TimeZone.Should().BeNull();
+        Apply("""{"latitude":38.72,"longitude":-9.14,"timeZone":"Europe/Lisbon"}""").TimeZone.Should().Be("Europe/Lisbon");
+        // Same coordinates sent back unchanged
+        Apply("""{"latitude":37.98,"longitude":23.73}""").TimeZone.Should().Be("Europe/Athens");
+    }
+}
@@ -0,0 +1,170 @@
+using Paire.Modules.Finance.Contracts;
+using Paire.Modules.Notifications.Core.Entities;
+using Paire.Modules.Notifications.Core.Services;
+
+namespace YouAndMeExpenses.Tests.Services;
+
+public class AlertRulesEngineTests
+{
+    private static readonly DateTime Today = new(2026, 5, 14);
+
+    private static BudgetStatusDto Budget(decimal spent, decimal amount = 100, string period = "monthly", Guid? id = null) =>
+        new(id ?? Guid.NewGuid(), "Groceries", amount, spent, period);
+
+    private static UpcomingBillDto Bill(int daysUntilDue, bool autoPay = false) =>
+        new(Guid.NewGuid(), "Electricity", 80, Today.AddDays(daysUntilDue), autoPay);
+
+    private static AlertSnapshotDto Snapshot(
+        IReadOnlyList<BudgetStatusDto>? budgets = null,
+        IReadOnlyList<UpcomingBillDto>? bills = null,
+        decimal monthIncome = 0,
+        decimal monthExpenses = 0,
+        IReadOnlyList<ExpenseSampleDto>? expenses = null) =>
+        new(budgets ?? new List<BudgetStatusDto>(), bills ?? new List<UpcomingBillDto>(), monthIncome, monthExpenses,
+            expenses ?? new List<ExpenseSampleDto>());
+
+    private static ExpenseSampleDto Expense(decimal amount, DateTime date, string category = "Food") =>
+        new(Guid.NewGuid(), category, amount, date, null);
+
+    [Theory]
+    [InlineData(70, null)]
+    [InlineData(80, "threshold")]
+    [InlineData(99, "threshold")]
+    [InlineData(100, "exceeded")]
+    [InlineData(130, "exceeded")]
+    public void EvaluateBudgets_AlertsFromTheThresholdAndAgainWhenExceeded(int spent, string? expected)
+    {
+        var result = AlertRulesEngine.EvaluateBudgets(new[] { Budget(spent) }, 80, Today).ToList();
+
+        if (expected == null)
+        {
+            result.Should().BeEmpty();
+            return;
+        }
+        result.Should().ContainSingle().Which.ReferenceKey.Should().EndWith($":{expected}");
+        result[0].Priority.Should().Be(expected == "exceeded" ? "high" : "medium");
+    }
+
+    [Fact]
+    public void EvaluateBudgets_ClampsTheThresholdAndSkipsEmptyBudgets()
+    {
+        AlertRulesEngine.EvaluateBudgets(new[] { Budget(45) }, 30, Today).Should().BeEmpty();
+        AlertRulesEngine.EvaluateBudgets(new[] { Budget(55) }, 30, Today).Should().ContainSingle();
+        AlertRulesEngine.EvaluateBudgets(new[] { Budget(99) }, 150, Today).Should().BeEmpty();
+        AlertRulesEngine.EvaluateBudgets(new[] { Budget(10, amount: 0) }, 80, Today).Should().BeEmpty();
+    }
+
+    [Fact]
+    public void EvaluateBudgets_KeysAlertsByBudgetPeriodSoTheyRaiseOncePerPeriod()
+    {
+        var id = Guid.NewGuid();
+        (string, string, string) Key(string period, DateTime day)
+        {
+            var alert = AlertRulesEngine.EvaluateBudgets(new[] { Budget(90, period: period, id: id) }, 80, day).Single();
+            return (alert.Rule, alert.ReferenceKey, alert.PeriodKey);
+        }
+
+        Key("monthly", Today).Should().Be(Key("monthly", new DateTime(2026, 5, 31)));
+        Key("monthly", Today).Should().NotBe(Key("monthly", new DateTime(2026, 6, 1)));
+        Key("monthly", Today).Should().Be((AlertRules.Budget, $"{id}:threshold", "2026-05"));
+        Key("weekly", Today).Item3.Should().Be("2026-W20");
+        Key("yearly", Today).Item3.Should().Be("2026");
+    }
+
+    [Fact]
+    public void EvaluateBills_RemindsWithinTheWindowAndChasesOnlyManualOverdueBills()
+    {
+        var bills = new[] { Bill(0), Bill(3), Bill(4), Bill(-2), Bill(-2, autoPay: true) };
+
+        var result = AlertRulesEngine.EvaluateBills(bills, 3, Today).ToList();
+
+        result.Select(a => a.Title).Should().Equal(
+            "Electricity is due today",
+            "Electricity is due in 3 days",
+            "Bill overdue: Electricity");
+        result[2].Body.Should().Contain("2 days ago");
+        result[2].Priority.Should().Be("high");
+        // One reminder per due date however many days it is repeated
+        result[1].PeriodKey.Should().Be("2026-05-17");
+    }
+
+    [Fact]
+    public void EvaluateLowBalance_ProjectsTheMonthEndAfterBillsStillDue()
+    {
+        var bills = new[] { Bill(5), Bill(30) };
+
+        AlertRulesEngine.EvaluateLowBalance(Snapshot(bills: bills), 100, Today).Should().BeNull();
+        AlertRulesEngine.EvaluateLowBalance(Snapshot(bills: bills, monthIncome: 1000, monthExpenses: 500), 100, Today).Should().BeNull();
+
+        var low = AlertRulesEngine.EvaluateLowBalance(Snapshot(bills: bills, monthIncome: 1000, monthExpenses: 850), 100, Today);
+        low!.Priority.Should().Be("medium");
+        low.Body.Should().Contain(70m.ToString("N2"));
+        low.PeriodKey.Should().Be("2026-05");
+
+        AlertRulesEngine.EvaluateLowBalance(Snapshot(bills: bills, monthIncome: 1000, monthExpenses: 950), 100, Today)!
+            .Priority.Should().Be("high");
+    }
+
+    [Fact]
+    public void EvaluateUnusualSpending_FlagsRecentExpensesFarAboveTheCategoryMedian()
+    {
+        var baseline = Enumerable.Range(3, 5).Select(days => Expense(10, Today.AddDays(-days))).ToList();
+
+        AlertRulesEngine.EvaluateUnusualSpending(baseline.Append(Expense(60, Today)).ToList(), Today)
+            .Should().ContainSingle().Which.Rule.Should().Be(AlertRules.UnusualSpending);
+        // Below three times the median
+        AlertRulesEngine.EvaluateUnusualSpending(baseline.Append(Expense(25, Today)).ToList(), Today).Should().BeEmpty();
+        // Older than yesterday, or another category
+        AlertRulesEngine.EvaluateUnusualSpending(baseline.Append(Expense(60, Today.AddDays(-2))).ToList(), Today).Should().BeEmpty();
+        AlertRulesEngine.EvaluateUnusualSpending(baseline.Append(Expense(60, Today, "Travel")).ToList(), Today).Should().BeEmpty();
+        // Too few samples to know what is usual
+        AlertRulesEngine.EvaluateUnusualSpending(baseline.Skip(1).Append(Expense(60, Today)).ToList(), Today).Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Evaluate_SkipsRulesTheUserTurnedOff()
+    {
+        var snapshot = Snapshot(budgets: new[] { Budget(120) }, bills: new[] { Bill(1) });
+        var prefs = new ReminderPreferences { BudgetAlertsEnabled = false };
+
+        AlertRulesEngine.Evaluate(snapshot, prefs, Today).Select(a => a.Rule).Should().Equal(AlertRules.Bill);
+    }
+
+    [Theory]
+    [InlineData(23, 30, true)]
+    [InlineData(3, 0, true)]
+    [InlineData(22, 0, true)]
+    [InlineData(7, 0, false)]
+    [InlineData(12, 0, false)]
+    public void IsQuietTime_SupportsHoursSpanningMidnight(int hour, int minute, bool expected)
+    {
+        var prefs = new ReminderPreferences { QuietHoursStart = "22:00", QuietHoursEnd = "07:00" };
+
+        AlertRulesEngine.IsQuietTime(prefs, new DateTime(2026, 5, 14, hour, minute, 0, DateTimeKind.Utc)).Should().Be(expected);
+    }
+
+    [Fact]
+    public void IsQuietTime_UsesTheUsersTimeZone()
+    {
+        var prefs = new ReminderPreferences { QuietHoursStart = "22:00", QuietHoursEnd = "07:00", TimeZone = "Europe/Athens" };
+        // 20:00 UTC is 23:00 in Athens in summer
+        var evening = new DateTime(2026, 5, 14, 20, 0, 0, DateTimeKind.Utc);
+
+        AlertRulesEngine.IsQuietTime(prefs, evening).Should().BeTrue();
+
+        prefs.TimeZone = "Not/AZone";
+        AlertRulesEngine.IsQuietTime(prefs, evening).Should().BeFalse();
+    }
+
+    [Theory]
+    [InlineData(null, "07:00")]
+    [InlineData("22:00", null)]
+    [InlineData("22:00", "22:00")]
+    [InlineData("25:00", "07:00")]
+    public void IsQuietTime_IsOffWithoutAValidRange(string? start, string? end)
+    {
+        var prefs = new ReminderPreferences { QuietHoursStart = start, QuietHoursEnd = end };
+
+        AlertRulesEngine.IsQuietTime(prefs, new DateTime(2026, 5, 14, 23, 0, 0, DateTimeKind.Utc)).Should().BeFalse();
+    }
+}
@@ -0,0 +1,26 @@
+using Paire.Modules.Notifications.Core.Services;
+
+namespace YouAndMeExpenses.Tests.Services;
+
+public class FinanceAlertQueueTests
+{
+    [Fact]
+    public async Task QueueHouseholdEvaluation_QueuesAWaitingHouseholdOnce()
+    {
+        var queue = new FinanceAlertQueue();
+        var first = Guid.NewGuid();
+        var second = Guid.NewGuid();
+        using var timeout = new CancellationTokenSource(TimeSpan.FromSeconds(5));
+
+        queue.QueueHouseholdEvaluation(first);
+        queue.QueueHouseholdEvaluation(first);
+        queue.QueueHouseholdEvaluation(second);
+
+        (await queue.DequeueAsync(timeout.Token)).Should().Be(first);
+        (await queue.DequeueAsync(timeout.Token)).Should().Be(second);
+
+        // Changes after the household was picked up queue it again
+        queue.QueueHouseholdEvaluation(first);
+        (await queue.DequeueAsync(timeout.Token)).Should().Be(first);
+    }
+}
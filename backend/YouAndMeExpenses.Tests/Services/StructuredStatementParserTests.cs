@@ -0,0 +1,147 @@
+using System.Text;
+using Paire.Modules.Finance.Core.DTOs;
+using Paire.Modules.Finance.Core.Services;
+
+namespace YouAndMeExpenses.Tests.Services;
+
+public class StructuredStatementParserTests
+{
+    private const string Iban = "GR1601101250000000012300695";
+
+    private static List<ImportedTransactionDTO> ParseFixture(string fileName)
+    {
+        using var stream = File.OpenRead(Path.Combine(AppContext.BaseDirectory, "Fixtures", "Statements", fileName));
+        return StructuredStatementParser.Parse(Path.GetExtension(fileName), stream);
+    }
+
+    private static DateTime Utc(int year, int month, int day) => new(year, month, day, 0, 0, 0, DateTimeKind.Utc);
+
+    [Fact]
+    public void Parse_OfxSgml_ReadsSignedAmountsDatesAndBankIds()
+    {
+        var result = ParseFixture("bank-sgml.ofx");
+
+        // The zero-amount balance line is skipped
+        result.Should().HaveCount(3);
+
+        result[0].Date.Should().Be(Utc(2026, 5, 3));
+        result[0].Date.Kind.Should().Be(DateTimeKind.Utc);
+        result[0].Amount.Should().Be(-42.50m);
+        result[0].Description.Should().Be("SUPERMARKET ATHENS - Card payment");
+        result[0].TransactionId.Should().Be($"ofx:{Iban}:2026050301");
+        result[0].Currency.Should().Be("EUR");
+
+        // Decimal comma, and a memo that repeats the name
+        result[1].Amount.Should().Be(1500m);
+        result[1].Description.Should().Be("SALARY MAY 2026");
+
+        // DTUSER when DTPOSTED is missing, entities decoded, no FITID
+        result[2].Date.Should().Be(Utc(2026, 5, 7));
+        result[2].Amount.Should().Be(-9.99m);
+        result[2].Description.Should().Be("Café & Bar");
+        result[2].TransactionId.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Parse_OfxXmlCreditCard_ReadsUtf8WithBomAndStatementCurrency()
+    {
+        var result = ParseFixture("card-xml.ofx");
+
+        result.Should().HaveCount(2);
+        result[0].Description.Should().Be("ΚΑΦΕΤΕΡΙΑ ΣΥΝΤΑΓΜΑ");
+        result[0].Amount.Should().Be(-18.40m);
+        result[0].Date.Should().Be(Utc(2026, 6, 12));
+        result[0].TransactionId.Should().Be("ofx:4111111111111111:CC-0001");
+        result[0].Currency.Should().Be("USD");
+        result[1].Amount.Should().Be(200m);
+    }
+
+    [Fact]
+    public void ParseOfx_RejectsFilesWithoutAnOfxRoot()
+    {
+        var act = () => StructuredStatementParser.ParseOfx("Date,Amount\n2026-05-01,10");
+
+        act.Should().Throw<FormatException>();
+    }
+
+    [Fact]
+    public void Parse_QifWindows1253_ReadsGreekTextAndDayFirstDates()
+    {
+        var result = ParseFixture("greek-windows-1253.qif");
+
+        // Account and category sections are skipped, as is 31/02
+        result.Should().HaveCount(3);
+
+        result[0].Date.Should().Be(Utc(2026, 4, 25));
+        result[0].Amount.Should().Be(-1234.56m);
+        result[0].Description.Should().Be("ΔΕΗ - Λογαριασμός ρεύματος #1024");
+        result[0].TransactionId.Should().BeEmpty();
+
+        // Quicken's two-digit year
+        result[1].Date.Should().Be(Utc(2026, 5, 2));
+        result[1].Amount.Should().Be(300m);
+        result[1].Description.Should().Be("Ενοίκιο Μαΐου");
+
+        // Non-numeric check numbers are not appended
+        result[2].Description.Should().Be("Περίπτερο");
+        result[2].Amount.Should().Be(-12m);
+    }
+
+    [Fact]
+    public void ParseQif_ReadsMonthFirstDatesWhenNoDayExceedsTwelve()
+    {
+        var content = "!Type:CCard\nD12/31/2025\nT-20.00\nPStore\n^\nD1/5'26\nT-3.50\nPKiosk\n^\n";
+
+        var result = StructuredStatementParser.ParseQif(content);
+
+        result.Select(t => t.Date).Should().Equal(Utc(2025, 12, 31), Utc(2026, 1, 5));
+        result.Select(t => t.Amount).Should().Equal(-20m, -3.50m);
+    }
+
+    [Fact]
+    public void Parse_Camt053_SignsByDebitCreditAndSkipsPendingEntries()
+    {
+        var result = ParseFixture("camt053.xml");
+
+        result.Should().HaveCount(5);
+
+        result[0].Date.Should().Be(Utc(2026, 5, 4));
+        result[0].Amount.Should().Be(-25m);
+        result[0].Description.Should().Be("Coffee Island - Order 55");
+        result[0].TransactionId.Should().Be($"camt:{Iban}:REF-0001");
+
+        // Booking date given as a date-time; the debtor names the credit
+        result[1].Date.Should().Be(Utc(2026, 5, 6));
+        result[1].Amount.Should().Be(100m);
+        result[1].Description.Should().Be("Μαρία Παπαδοπούλου - Dinner share");
+    }
+
+    [Fact]
+    public void Parse_Camt053_SplitsBatchEntriesAndFallsBackToEntryInfo()
+    {
+        var result = ParseFixture("camt053.xml");
+
+        var batch = result.Where(t => t.TransactionId.StartsWith($"camt:{Iban}:BATCH-0004")).ToList();
+        batch.Select(t => t.Amount).Should().Equal(-10m, -15.50m);
+        batch.Select(t => t.Description).Should().Equal("Bakery", "Pharmacy");
+        batch.Select(t => t.TransactionId).Should().Equal($"camt:{Iban}:BATCH-0004/1", $"camt:{Iban}:BATCH-0004/2");
+
+        // Value date when there is no booking date; NOTPROVIDED is not an ID
+        var fee = result[^1];
+        fee.Date.Should().Be(Utc(2026, 5, 9));
+        fee.Amount.Should().Be(-40m);
+        fee.Currency.Should().Be("USD");
+        fee.Description.Should().Be("CARD FEE");
+        fee.TransactionId.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Parse_RejectsXmlThatIsNotACamtStatement()
+    {
+        using var stream = new MemoryStream(Encoding.UTF8.GetBytes("<Document><CstmrCdtTrfInitn /></Document>"));
+
+        var act = () => StructuredStatementParser.Parse(".xml", stream);
+
+        act.Should().Throw<FormatException>();
+    }
+}
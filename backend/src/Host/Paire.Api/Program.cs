@@ -139,6 +139,7 @@ app.UseMiddleware<SessionValidationMiddleware>();
 
 app.MapControllers();
 app.MapHub<Paire.Modules.Admin.Api.Hubs.MonitoringHub>("/hubs/monitoring");
+app.MapHub<Paire.Modules.Partnership.Api.Hubs.PartnerHub>("/hubs/partner");
 
 app.MapGet("/api/antiforgery/token", (IAntiforgery antiforgery, HttpContext context) =>
 {
@@ -1,4 +1,6 @@
+using System.Text.Json;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using Paire.Modules.AI.Core.DTOs;
@@ -110,22 +112,7 @@ public class AiGatewayController : BaseApiController
         if (string.IsNullOrEmpty(accessToken) && string.IsNullOrEmpty(_options.GatewaySecret))
             return Unauthorized(new { error = "Authorization token or gateway secret required." });
 
-        var userIdStr = GetCurrentUserId();
-        if (!string.IsNullOrEmpty(userIdStr))
-        {
-            var personality = await _personalityService.GetPersonalityAsync(userIdStr);
-            var systemPrompt = _personalityService.GetSystemPromptForPersonality(personality);
-            var systemMessage = new GatewayChatMessageDto { Role = "system", Content = systemPrompt };
-            request = new ChatRequest
-            {
-                Messages = new List<GatewayChatMessageDto> { systemMessage }.Concat(request.Messages).ToList(),
-                Model = request.Model,
-                Temperature = request.Temperature,
-                MaxTokens = request.MaxTokens,
-                Stream = request.Stream,
-                SkipPolishing = request.SkipPolishing
-            };
-        }
+        request = await WithPersonalityPromptAsync(request);
 
         try
         {
@@ -144,6 +131,72 @@ public class AiGatewayController : BaseApiController
         }
     }
 
+    /// <summary>
+    /// Streams the chat reply as Server-Sent Events: one <c>data: {"content": "..."}</c> event per
+    /// chunk and a final <c>data: {"done": true, ...}</c>. Failures after the stream started are sent
+    /// as an <c>event: error</c>. Aborting the HTTP request cancels the upstream call.
+    /// </summary>
+    [HttpPost("chat/stream")]
+    public async Task ChatStream([FromBody] ChatRequest request, CancellationToken cancellationToken)
+    {
+        if (!_options.Enabled)
+        {
+            await WriteJsonErrorAsync(503, new { error = "AI Gateway is not configured or disabled.", message = "Set AiGateway:Enabled to true and configure BaseUrl and TenantId." });
+            return;
+        }
+        if (request?.Messages == null || request.Messages.Count == 0)
+        {
+            await WriteJsonErrorAsync(400, new { error = "At least one message is required." });
+            return;
+        }
+
+        var accessToken = GetBearerToken();
+        if (string.IsNullOrEmpty(accessToken) && string.IsNullOrEmpty(_options.GatewaySecret))
+        {
+            await WriteJsonErrorAsync(401, new { error = "Authorization token or gateway secret required." });
+            return;
+        }
+
+        request = await WithPersonalityPromptAsync(request);
+
+        var started = false;
+        try
+        {
+            await foreach (var chunk in _aiGatewayClient.ChatStreamAsync(request, accessToken, cancellationToken))
+            {
+                if (!started)
+                {
+                    Response.StatusCode = 200;
+                    Response.ContentType = "text/event-stream";
+                    Response.Headers.CacheControl = "no-cache";
+                    Response.Headers["X-Accel-Buffering"] = "no";
+                    started = true;
+                }
+
+                var payload = chunk.Done
+                    ? JsonSerializer.Serialize(new { done = true, model = chunk.Model, fallbackUsed = chunk.FallbackUsed }, SseJsonOptions)
+                    : JsonSerializer.Serialize(new { content = chunk.Content }, SseJsonOptions);
+                await Response.WriteAsync($"data: {payload}\n\n", cancellationToken);
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            // Client stopped the response
+        }
+        catch (Exception ex) when (ex is RemoteServiceException or HttpRequestException)
+        {
+            _logger.LogWarning(ex, "AI Gateway chat stream failed.");
+            if (!started)
+            {
+                await WriteJsonErrorAsync(502, new { error = "AI Gateway request failed.", message = ex.Message });
+                return;
+            }
+            var payload = JsonSerializer.Serialize(new { error = "AI Gateway request failed.", message = ex.Message }, SseJsonOptions);
+            await Response.WriteAsync($"event: error\ndata: {payload}\n\n", CancellationToken.None);
+        }
+    }
+
     [HttpPost("rag-query")]
     public async Task<IActionResult> RagQuery([FromBody] RagQueryRequest request, CancellationToken cancellationToken)
     {
@@ -297,4 +350,34 @@ public class AiGatewayController : BaseApiController
             return null;
         return auth.Substring("Bearer ".Length).Trim();
     }
+
+    private static readonly JsonSerializerOptions SseJsonOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Prepends the user's chatbot personality as a system message.
+    /// </summary>
+    private async Task<ChatRequest> WithPersonalityPromptAsync(ChatRequest request)
+    {
+        var userIdStr = GetCurrentUserId();
+        if (string.IsNullOrEmpty(userIdStr)) return request;
+
+        var personality = await _personalityService.GetPersonalityAsync(userIdStr);
+        var systemPrompt = _personalityService.GetSystemPromptForPersonality(personality);
+        var systemMessage = new GatewayChatMessageDto { Role = "system", Content = systemPrompt };
+        return new ChatRequest
+        {
+            Messages = new List<GatewayChatMessageDto> { systemMessage }.Concat(request.Messages).ToList(),
+            Model = request.Model,
+            Temperature = request.Temperature,
+            MaxTokens = request.MaxTokens,
+            Stream = request.Stream,
+            SkipPolishing = request.SkipPolishing
+        };
+    }
+
+    private async Task WriteJsonErrorAsync(int statusCode, object body)
+    {
+        Response.StatusCode = statusCode;
+        await Response.WriteAsJsonAsync(body);
+    }
 }
@@ -0,0 +1,15 @@
+namespace Paire.Modules.AI.Core.DTOs.AiGateway;
+
+/// <summary>
+/// One piece of a streamed AI Gateway /v1/chat response (NDJSON line).
+/// The last chunk has Done = true and carries the model metadata.
+/// </summary>
+public class ChatStreamChunk
+{
+    public string Content { get; set; } = string.Empty;
+    public bool Done { get; set; }
+    public string? Model { get; set; }
+    public int? EvalCount { get; set; }
+    public long? TotalDuration { get; set; }
+    public bool FallbackUsed { get; set; }
+}
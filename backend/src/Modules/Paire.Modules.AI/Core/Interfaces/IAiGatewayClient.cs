@@ -9,5 +9,11 @@ public interface IAiGatewayClient
 {
     Task<GenerateResponse> GenerateAsync(GenerateRequest request, string? accessToken = null, CancellationToken cancellationToken = default);
     Task<ChatResponse> ChatAsync(ChatRequest request, string? accessToken = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Streams the chat response chunk by chunk. A gateway that answers without
+    /// streaming yields its whole reply as a single chunk followed by a done chunk.
+    /// </summary>
+    IAsyncEnumerable<ChatStreamChunk> ChatStreamAsync(ChatRequest request, string? accessToken = null, CancellationToken cancellationToken = default);
     Task PingAiAsync(CancellationToken cancellationToken = default);
 }
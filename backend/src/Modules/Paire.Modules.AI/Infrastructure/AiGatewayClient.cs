@@ -1,5 +1,6 @@
 using System.Net.Http.Headers;
 using System.Net.Http.Json;
+using System.Runtime.CompilerServices;
 using System.Text;
 using System.Text.Json;
 using Microsoft.Extensions.Logging;
@@ -62,7 +63,7 @@ public class AiGatewayClient : IAiGatewayClient
             while (await reader.ReadLineAsync(cancellationToken) is { } line)
             {
                 if (string.IsNullOrWhiteSpace(line)) continue;
-                var chunk = JsonSerializer.Deserialize<ChatStreamChunkDto>(line, JsonOptions);
+                var chunk = JsonSerializer.Deserialize<ChatStreamChunk>(line, JsonOptions);
                 if (chunk == null) continue;
                 if (!string.IsNullOrEmpty(chunk.Content))
                     contentBuilder.Append(chunk.Content);
@@ -92,6 +93,42 @@ public class AiGatewayClient : IAiGatewayClient
         return aggregated ?? throw new InvalidOperationException("AI Gateway returned empty chat response.");
     }
 
+    public async IAsyncEnumerable<ChatStreamChunk> ChatStreamAsync(ChatRequest request, string? accessToken = null, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        var url = $"{_options.BaseUrl.TrimEnd('/')}/v1/chat";
+        using var req = new HttpRequestMessage(HttpMethod.Post, url);
+        SetAuthHeaders(req, accessToken);
+        request.Stream = true;
+        req.Content = JsonContent.Create(request);
+
+        using var response = await _httpClient.SendAsync(req, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+        await EnsureSuccessOrThrowAsync(response, url, cancellationToken);
+
+        var contentType = response.Content.Headers.ContentType?.MediaType ?? "";
+        if (!contentType.Contains("ndjson", StringComparison.OrdinalIgnoreCase) && !contentType.Contains("stream", StringComparison.OrdinalIgnoreCase))
+        {
+            // Gateway ignored the stream flag: hand back the aggregated reply in one piece
+            var aggregated = await response.Content.ReadFromJsonAsync<ChatResponse>(JsonOptions, cancellationToken)
+                ?? throw new InvalidOperationException("AI Gateway returned empty chat response.");
+            yield return new ChatStreamChunk { Content = aggregated.Message?.Content ?? string.Empty };
+            yield return new ChatStreamChunk { Done = true, Model = aggregated.Model, FallbackUsed = aggregated.FallbackUsed };
+            yield break;
+        }
+
+        await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+        using var reader = new StreamReader(stream);
+        while (await reader.ReadLineAsync(cancellationToken) is { } line)
+        {
+            if (string.IsNullOrWhiteSpace(line)) continue;
+            var chunk = JsonSerializer.Deserialize<ChatStreamChunk>(line, JsonOptions);
+            if (chunk == null) continue;
+            yield return chunk;
+            if (chunk.Done) yield break;
+        }
+
+        yield return new ChatStreamChunk { Done = true };
+    }
+
     public async Task PingAiAsync(CancellationToken cancellationToken = default)
     {
         if (!_options.Enabled)
@@ -137,14 +174,4 @@ public class AiGatewayClient : IAiGatewayClient
             url, (int)response.StatusCode, body?.Length ?? 0, bodyPreview);
         throw new RemoteServiceException($"AI Gateway returned {(int)response.StatusCode}: {detail}", (int)response.StatusCode, detail);
     }
-
-    private class ChatStreamChunkDto
-    {
-        public string Content { get; set; } = string.Empty;
-        public bool Done { get; set; }
-        public string? Model { get; set; }
-        public int? EvalCount { get; set; }
-        public long? TotalDuration { get; set; }
-        public bool FallbackUsed { get; set; }
-    }
 }
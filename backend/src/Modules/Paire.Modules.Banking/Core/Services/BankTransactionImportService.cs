@@ -61,7 +61,7 @@ public class BankTransactionImportService : IBankTransactionImportService
         foreach (var dto in transactions)
         {
             if (existingIdsSet.Contains(dto.TransactionId)) { result.DuplicatesSkipped++; continue; }
-            if (await ExistsMatchingManualTransactionAsync(userId, dto, cancellationToken)) { result.DuplicatesSkipped++; result.ManualDuplicatesSkipped++; continue; }
+            if (!dto.SkipManualDuplicateCheck && await ExistsMatchingManualTransactionAsync(userId, dto, cancellationToken)) { result.DuplicatesSkipped++; result.ManualDuplicatesSkipped++; continue; }
             try
             {
                 var transaction = MapDtoToAppTransaction(dto, userId);
@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Mvc;
 using Paire.Modules.Finance.Core.Entities;
 using Paire.Modules.Finance.Core.Interfaces;
 using Paire.Shared.Kernel.Api;
+using Paire.Shared.Kernel.Events;
 
 namespace Paire.Modules.Finance.Api.Controllers;
 
@@ -26,6 +27,33 @@ public class BudgetsController : BaseApiController
         catch (Exception ex) { _logger.LogError(ex, "Error getting budgets for user {UserId}", userId); return StatusCode(500, new { message = "Error retrieving budgets", error = ex.Message }); }
     }
 
+    [HttpGet("transfers")]
+    public async Task<IActionResult> GetTransfers([FromQuery] DateTime? month)
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+        try { return Ok(await _budgetsAppService.GetTransfersAsync(userId, month)); }
+        catch (Exception ex) { _logger.LogError(ex, "Error getting budget transfers for user {UserId}", userId); return StatusCode(500, new { message = "Error retrieving budget transfers", error = ex.Message }); }
+    }
+
+    [HttpPost("transfers")]
+    [PartnerSync(PartnerSyncEntities.Budget, "transfer")]
+    public async Task<IActionResult> CreateTransfer([FromBody] BudgetTransfer transfer)
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+        if (transfer.Amount <= 0) return BadRequest(new { message = "Amount must be greater than zero" });
+        if (transfer.FromBudgetId == null && transfer.ToBudgetId == null) return BadRequest(new { message = "A source or destination budget is required" });
+        if (transfer.FromBudgetId == transfer.ToBudgetId) return BadRequest(new { message = "Source and destination must differ" });
+
+        try
+        {
+            var created = await _budgetsAppService.CreateTransferAsync(userId, transfer);
+            return created == null ? NotFound(new { message = "Budget not found" }) : Ok(created);
+        }
+        catch (Exception ex) { _logger.LogError(ex, "Error creating budget transfer"); return StatusCode(500, new { message = "Error creating budget transfer", error = ex.Message }); }
+    }
+
     [HttpGet("{id}")]
     public async Task<IActionResult> GetBudget(Guid id)
     {
@@ -40,6 +68,7 @@ public class BudgetsController : BaseApiController
     }
 
     [HttpPost]
+    [PartnerSync(PartnerSyncEntities.Budget)]
     public async Task<IActionResult> CreateBudget([FromBody] Budget budget)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -56,6 +85,7 @@ public class BudgetsController : BaseApiController
     }
 
     [HttpPut("{id}")]
+    [PartnerSync(PartnerSyncEntities.Budget)]
     public async Task<IActionResult> UpdateBudget(Guid id, [FromBody] Budget budget)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -71,6 +101,7 @@ public class BudgetsController : BaseApiController
     }
 
     [HttpDelete("{id}")]
+    [PartnerSync(PartnerSyncEntities.Budget)]
     public async Task<IActionResult> DeleteBudget(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -0,0 +1,54 @@
+using Microsoft.AspNetCore.Mvc;
+using Paire.Modules.Finance.Core.Interfaces;
+using Paire.Shared.Kernel.Api;
+
+namespace Paire.Modules.Finance.Api.Controllers;
+
+[Route("api/[controller]")]
+public class CurrencyController : BaseApiController
+{
+    private readonly ICurrencyService _currencyService;
+    private readonly ILogger<CurrencyController> _logger;
+
+    public CurrencyController(ICurrencyService currencyService, ILogger<CurrencyController> logger)
+    {
+        _currencyService = currencyService;
+        _logger = logger;
+    }
+
+    [HttpGet("list")]
+    public async Task<IActionResult> GetCurrencies()
+    {
+        var (_, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+        try { return Ok(await _currencyService.GetCurrenciesAsync(HttpContext.RequestAborted)); }
+        catch (Exception ex) { _logger.LogError(ex, "Error getting currency list"); return StatusCode(500, new { message = "Error retrieving currencies", error = ex.Message }); }
+    }
+
+    /// <summary>
+    /// Rates for one unit of baseCurrency. Pass date (yyyy-MM-dd) for historical rates.
+    /// </summary>
+    [HttpGet("rates")]
+    public async Task<IActionResult> GetRates([FromQuery] string baseCurrency = "EUR", [FromQuery] DateTime? date = null)
+    {
+        var (_, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+        if (date.HasValue && date.Value.Date > DateTime.UtcNow.Date) return BadRequest(new { message = "Rates are not available for future dates" });
+        try { return Ok(await _currencyService.GetRatesAsync(baseCurrency, date, HttpContext.RequestAborted)); }
+        catch (Exception ex) { _logger.LogError(ex, "Error getting rates for {Currency} on {Date}", baseCurrency, date); return StatusCode(500, new { message = "Error retrieving exchange rates", error = ex.Message }); }
+    }
+
+    [HttpGet("convert")]
+    public async Task<IActionResult> Convert([FromQuery] string from, [FromQuery] string to, [FromQuery] decimal amount, [FromQuery] DateTime? date = null)
+    {
+        var (_, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+        if (string.IsNullOrWhiteSpace(from) || string.IsNullOrWhiteSpace(to)) return BadRequest(new { message = "from and to currencies are required" });
+        try
+        {
+            var result = await _currencyService.ConvertAsync(from, to, amount, date, HttpContext.RequestAborted);
+            return result == null ? NotFound(new { message = $"No rate available for {from} to {to}" }) : Ok(new { from, to, amount, date, result });
+        }
+        catch (Exception ex) { _logger.LogError(ex, "Error converting {From} to {To}", from, to); return StatusCode(500, new { message = "Error converting currency", error = ex.Message }); }
+    }
+}
@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Mvc;
+using Paire.Modules.Finance.Core.DTOs;
 using Paire.Modules.Finance.Core.Entities;
 using Paire.Modules.Finance.Core.Interfaces;
 using Paire.Shared.Kernel.Api;
@@ -57,7 +58,7 @@ public class LoansController : BaseApiController
     }
 
     [HttpPut("{id}")]
-    public async Task<IActionResult> UpdateLoan(Guid id, [FromBody] Loan loan)
+    public async Task<IActionResult> UpdateLoan(Guid id, [FromBody] UpdateLoanRequest loan)
     {
         var (userId, error) = GetAuthenticatedUser();
         if (error != null) return error;
@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Mvc;
 using Paire.Modules.Finance.Core.Entities;
 using Paire.Modules.Finance.Core.Interfaces;
 using Paire.Shared.Kernel.Api;
+using Paire.Shared.Kernel.Events;
 
 namespace Paire.Modules.Finance.Api.Controllers;
 
@@ -40,6 +41,7 @@ public class RecurringBillsController : BaseApiController
     }
 
     [HttpPost]
+    [PartnerSync(PartnerSyncEntities.RecurringBill)]
     public async Task<IActionResult> CreateRecurringBill([FromBody] RecurringBill bill)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -57,6 +59,7 @@ public class RecurringBillsController : BaseApiController
     }
 
     [HttpPut("{id}")]
+    [PartnerSync(PartnerSyncEntities.RecurringBill)]
     public async Task<IActionResult> UpdateRecurringBill(Guid id, [FromBody] RecurringBill bill)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -72,6 +75,7 @@ public class RecurringBillsController : BaseApiController
     }
 
     [HttpDelete("{id}")]
+    [PartnerSync(PartnerSyncEntities.RecurringBill)]
     public async Task<IActionResult> DeleteRecurringBill(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -85,6 +89,7 @@ public class RecurringBillsController : BaseApiController
     }
 
     [HttpPost("{id}/mark-paid")]
+    [PartnerSync(PartnerSyncEntities.RecurringBill, "paid")]
     public async Task<IActionResult> MarkBillPaid(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -98,6 +103,7 @@ public class RecurringBillsController : BaseApiController
     }
 
     [HttpPost("{id}/unmark-paid")]
+    [PartnerSync(PartnerSyncEntities.RecurringBill, "unpaid")]
     public async Task<IActionResult> UnmarkBillPaid(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -110,6 +116,20 @@ public class RecurringBillsController : BaseApiController
         catch (Exception ex) { _logger.LogError(ex, "Error unmarking bill {Id}", id); return StatusCode(500, new { message = "Error unmarking bill", error = ex.Message }); }
     }
 
+    [HttpPost("{id}/skip")]
+    [PartnerSync(PartnerSyncEntities.RecurringBill, "skipped")]
+    public async Task<IActionResult> SkipBillOccurrence(Guid id)
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+        try
+        {
+            var bill = await _recurringBillsService.SkipBillOccurrenceAsync(userId, id);
+            return bill == null ? NotFound(new { message = $"Recurring bill {id} not found" }) : Ok(bill);
+        }
+        catch (Exception ex) { _logger.LogError(ex, "Error skipping bill {Id}", id); return StatusCode(500, new { message = "Error skipping bill", error = ex.Message }); }
+    }
+
     [HttpGet("upcoming")]
     public async Task<IActionResult> GetUpcomingBills([FromQuery] int days = 30)
     {
@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Mvc;
 using Paire.Modules.Finance.Core.Entities;
 using Paire.Modules.Finance.Core.Interfaces;
 using Paire.Shared.Kernel.Api;
+using Paire.Shared.Kernel.Events;
 
 namespace Paire.Modules.Finance.Api.Controllers;
 
@@ -40,6 +41,7 @@ public class SavingsGoalsController : BaseApiController
     }
 
     [HttpPost]
+    [PartnerSync(PartnerSyncEntities.SavingsGoal)]
     public async Task<IActionResult> CreateSavingsGoal([FromBody] SavingsGoal goal)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -57,6 +59,7 @@ public class SavingsGoalsController : BaseApiController
     }
 
     [HttpPut("{id}")]
+    [PartnerSync(PartnerSyncEntities.SavingsGoal)]
     public async Task<IActionResult> UpdateSavingsGoal(Guid id, [FromBody] SavingsGoal goal)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -72,6 +75,7 @@ public class SavingsGoalsController : BaseApiController
     }
 
     [HttpDelete("{id}")]
+    [PartnerSync(PartnerSyncEntities.SavingsGoal)]
     public async Task<IActionResult> DeleteSavingsGoal(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -85,6 +89,7 @@ public class SavingsGoalsController : BaseApiController
     }
 
     [HttpPost("{id}/deposit")]
+    [PartnerSync(PartnerSyncEntities.SavingsGoal, "deposit")]
     public async Task<IActionResult> AddDeposit(Guid id, [FromBody] DepositRequest request)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -100,6 +105,7 @@ public class SavingsGoalsController : BaseApiController
     }
 
     [HttpPost("{id}/withdraw")]
+    [PartnerSync(PartnerSyncEntities.SavingsGoal, "withdraw")]
     public async Task<IActionResult> Withdraw(Guid id, [FromBody] WithdrawRequest request)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -122,6 +128,28 @@ public class SavingsGoalsController : BaseApiController
         catch (Exception ex) { _logger.LogError(ex, "Error withdrawing from savings goal {Id}", id); return StatusCode(500, new { message = "Error withdrawing", error = ex.Message }); }
     }
 
+    [HttpPost("{id}/contributions")]
+    [PartnerSync(PartnerSyncEntities.SavingsGoal, "updated")]
+    public async Task<IActionResult> RecordContribution(Guid id, [FromBody] ContributionRequest request)
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+        if (request.Amount < 0) return BadRequest(new { message = "Contribution amount cannot be negative" });
+        if (request.Through == default) return BadRequest(new { message = "Contribution period is required" });
+
+        try
+        {
+            var goal = await _savingsGoalsService.RecordContributionAsync(userId, id, request.Amount, request.Through);
+            return goal == null ? NotFound(new { message = $"Savings goal {id} not found" }) : Ok(goal);
+        }
+        catch (InvalidOperationException ex)
+        {
+            if (ex.Message.Contains("already recorded")) return Conflict(new { message = ex.Message });
+            return BadRequest(new { message = ex.Message });
+        }
+        catch (Exception ex) { _logger.LogError(ex, "Error recording contribution for savings goal {Id}", id); return StatusCode(500, new { message = "Error recording contribution", error = ex.Message }); }
+    }
+
     [HttpGet("summary")]
     public async Task<IActionResult> GetSummary()
     {
@@ -134,3 +162,5 @@ public class SavingsGoalsController : BaseApiController
 
 public class DepositRequest { public decimal Amount { get; set; } }
 public class WithdrawRequest { public decimal Amount { get; set; } }
+/// <summary>Amount is 0 when a proposed contribution is skipped; Through is the last day it covers.</summary>
+public class ContributionRequest { public decimal Amount { get; set; } public DateTime Through { get; set; } }
@@ -77,6 +77,7 @@ public class TransactionsController : BaseApiController
     }
 
     [HttpPost]
+    [PartnerSync(PartnerSyncEntities.Transaction)]
     public async Task<ActionResult<CreateTransactionResponseDto>> CreateTransaction([FromBody] CreateTransactionRequest request)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -106,6 +107,7 @@ public class TransactionsController : BaseApiController
     }
 
     [HttpPut("{id}")]
+    [PartnerSync(PartnerSyncEntities.Transaction)]
     public async Task<ActionResult<Transaction>> UpdateTransaction(Guid id, [FromBody] Transaction transaction)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -129,6 +131,7 @@ public class TransactionsController : BaseApiController
     }
 
     [HttpDelete("{id}")]
+    [PartnerSync(PartnerSyncEntities.Transaction)]
     public async Task<IActionResult> DeleteTransaction(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -225,6 +228,26 @@ public class TransactionsController : BaseApiController
         }
     }
 
+    [HttpPost("import/rows")]
+    public async Task<ActionResult> ImportStatementRows([FromBody] ImportStatementRowsRequest request)
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return Unauthorized(new { error = "User not authenticated" });
+        if (request == null || request.Rows.Count == 0) return BadRequest(new { message = "No rows provided" });
+
+        try
+        {
+            var result = await _transactionsService.ImportStatementRowsAsync(userId, request);
+            if (result.ErrorMessages.Any() && result.TotalImported == 0) return BadRequest(new { message = "Import failed", result });
+            return Ok(new { message = "Import completed", result });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error importing statement rows for user {UserId}", userId);
+            return StatusCode(500, new { message = "Error importing statement", error = ex.Message });
+        }
+    }
+
     [HttpPost("parse-voice")]
     public IActionResult ParseVoice([FromBody] ParseVoiceRequest request)
     {
@@ -10,9 +10,26 @@ public interface IReminderDataProvider
     Task<IReadOnlyList<LoanReminderDto>> GetUpcomingLoansAsync(Guid userId, int days, IReadOnlyList<string> partnerIds);
     Task<IReadOnlyList<BudgetAlertDto>> GetBudgetAlertsAsync(Guid userId, decimal thresholdPercent, IReadOnlyList<string> partnerIds);
     Task<IReadOnlyList<SavingsGoalReminderDto>> GetSavingsGoalsForRemindersAsync(Guid userId, IReadOnlyList<string> partnerIds);
+    /// <summary>Household budgets, bills and recent spending the alert rules evaluate.</summary>
+    Task<AlertSnapshotDto> GetAlertSnapshotAsync(Guid userId, IReadOnlyList<string> partnerIds, DateTime today);
 }
 
 public record BillReminderDto(string Name, decimal Amount, string Category, DateTime NextDueDate, bool AutoPay);
 public record LoanReminderDto(string LentBy, string BorrowedBy, decimal RemainingAmount, DateTime DueDate, string? Description);
 public record BudgetAlertDto(string Category, decimal Amount, decimal SpentAmount, string Period);
 public record SavingsGoalReminderDto(string Name, decimal TargetAmount, decimal CurrentAmount);
+
+public record BudgetStatusDto(Guid Id, string Category, decimal Amount, decimal SpentAmount, string Period);
+public record UpcomingBillDto(Guid Id, string Name, decimal Amount, DateTime NextDueDate, bool AutoPay);
+public record ExpenseSampleDto(Guid Id, string Category, decimal Amount, DateTime Date, string? Description);
+
+/// <param name="MonthIncome">Income recorded so far this calendar month.</param>
+/// <param name="MonthExpenses">Expenses recorded so far this calendar month.</param>
+/// <param name="Bills">Active bills due from a week ago up to a month ahead.</param>
+/// <param name="Expenses">Expenses of the last 90 days, the baseline for unusual spending.</param>
+public record AlertSnapshotDto(
+    IReadOnlyList<BudgetStatusDto> Budgets,
+    IReadOnlyList<UpcomingBillDto> Bills,
+    decimal MonthIncome,
+    decimal MonthExpenses,
+    IReadOnlyList<ExpenseSampleDto> Expenses);
@@ -0,0 +1,74 @@
+using System.Runtime.CompilerServices;
+using Paire.Modules.Finance.Core.Entities;
+
+namespace Paire.Modules.Finance.Core.DTOs;
+
+/// <summary>
+/// Loan edit. The repayment terms remember whether the body included them: a term sent as
+/// null or false clears it, while clients that leave the terms out (mobile) keep the stored ones.
+/// </summary>
+public class UpdateLoanRequest
+{
+    private readonly HashSet<string> _sentTerms = new();
+    private decimal? _interestRate;
+    private int? _durationYears;
+    private int? _durationMonths;
+    private bool _hasInstallments;
+    private decimal? _installmentAmount;
+    private string? _installmentFrequency;
+    private string? _compoundingFrequency;
+
+    public Guid Id { get; set; }
+
+    public decimal Amount { get; set; }
+
+    public string? LentBy { get; set; }
+
+    public string? BorrowedBy { get; set; }
+
+    public string? Description { get; set; }
+
+    public DateTime Date { get; set; }
+
+    public DateTime? DueDate { get; set; }
+
+    public DateTime? NextPaymentDate { get; set; }
+
+    public bool IsSettled { get; set; }
+
+    public DateTime? SettledDate { get; set; }
+
+    public decimal? InterestRate { get => _interestRate; set => SetTerm(ref _interestRate, value); }
+
+    public int? DurationYears { get => _durationYears; set => SetTerm(ref _durationYears, value); }
+
+    public int? DurationMonths { get => _durationMonths; set => SetTerm(ref _durationMonths, value); }
+
+    public bool HasInstallments { get => _hasInstallments; set => SetTerm(ref _hasInstallments, value); }
+
+    public decimal? InstallmentAmount { get => _installmentAmount; set => SetTerm(ref _installmentAmount, value); }
+
+    public string? InstallmentFrequency { get => _installmentFrequency; set => SetTerm(ref _installmentFrequency, value); }
+
+    public string? CompoundingFrequency { get => _compoundingFrequency; set => SetTerm(ref _compoundingFrequency, value); }
+
+    /// <summary>
+    /// Copy the terms the request included onto the stored loan
+    /// </summary>
+    public void ApplyTermsTo(Loan loan)
+    {
+        if (_sentTerms.Contains(nameof(InterestRate))) loan.InterestRate = InterestRate;
+        if (_sentTerms.Contains(nameof(DurationYears))) loan.DurationYears = DurationYears;
+        if (_sentTerms.Contains(nameof(DurationMonths))) loan.DurationMonths = DurationMonths;
+        if (_sentTerms.Contains(nameof(HasInstallments))) loan.HasInstallments = HasInstallments;
+        if (_sentTerms.Contains(nameof(InstallmentAmount))) loan.InstallmentAmount = InstallmentAmount;
+        if (_sentTerms.Contains(nameof(InstallmentFrequency))) loan.InstallmentFrequency = InstallmentFrequency;
+        if (_sentTerms.Contains(nameof(CompoundingFrequency))) loan.CompoundingFrequency = CompoundingFrequency;
+    }
+
+    private void SetTerm<T>(ref T field, T value, [CallerMemberName] string property = "")
+    {
+        field = value;
+        _sentTerms.Add(property);
+    }
+}
@@ -12,6 +12,12 @@ public class CreateTransactionRequest
     [Range(0, double.MaxValue, ErrorMessage = "Amount must be zero or greater")]
     public decimal Amount { get; set; }
 
+    public string? Currency { get; set; }
+
+    public decimal? OriginalAmount { get; set; }
+
+    public decimal? ExchangeRate { get; set; }
+
     [Required]
     public string Category { get; set; } = string.Empty;
 
@@ -36,6 +42,8 @@ public class CreateTransactionRequest
 
     public decimal? SplitPercentage { get; set; }
 
+    public List<TransactionSplitItem>? SplitItems { get; set; }
+
     public string[]? Tags { get; set; }
 
     public string? Notes { get; set; }
@@ -82,6 +90,9 @@ public class CreateTransactionRequest
         {
             Type = Type,
             Amount = Amount,
+            Currency = string.IsNullOrWhiteSpace(Currency) ? "EUR" : Currency.ToUpperInvariant(),
+            OriginalAmount = OriginalAmount,
+            ExchangeRate = ExchangeRate,
             Category = Category,
             Description = Description,
             Date = parsedDate,
@@ -93,6 +104,7 @@ public class CreateTransactionRequest
             PaidBy = PaidBy,
             SplitType = SplitType,
             SplitPercentage = SplitPercentage,
+            SplitItems = SplitItems,
             Tags = Tags,
             Notes = Notes
         };
@@ -113,6 +125,9 @@ public class TransactionWithProfileDto
     public string UserId { get; set; } = string.Empty;
     public string Type { get; set; } = string.Empty;
     public decimal Amount { get; set; }
+    public string Currency { get; set; } = "EUR";
+    public decimal? OriginalAmount { get; set; }
+    public decimal? ExchangeRate { get; set; }
     public string? Category { get; set; }
     public string? Description { get; set; }
     public DateTime Date { get; set; }
@@ -124,8 +139,11 @@ public class TransactionWithProfileDto
     public string? PaidBy { get; set; }
     public string? SplitType { get; set; }
     public decimal? SplitPercentage { get; set; }
+    public List<TransactionSplitItem>? SplitItems { get; set; }
     public string[]? Tags { get; set; }
     public string? Notes { get; set; }
+    public string? BankAccountId { get; set; }
+    public Guid? ImportHistoryId { get; set; }
     public DateTime CreatedAt { get; set; }
     public DateTime UpdatedAt { get; set; }
     public UserProfileSlimDto? UserProfile { get; set; }
@@ -170,4 +188,35 @@ public class ImportedTransactionDTO
     public string Description { get; set; } = string.Empty;
     public string Category { get; set; } = string.Empty;
     public string Currency { get; set; } = string.Empty;
+    // Set when the user reviewed a likely duplicate and chose to import it anyway
+    public bool SkipManualDuplicateCheck { get; set; }
+}
+
+/// <summary>
+/// Statement rows parsed and mapped on the client (see the import wizard); imported like an uploaded file,
+/// including the import history used to revert it.
+/// </summary>
+public class ImportStatementRowsRequest
+{
+    [Required]
+    public string FileName { get; set; } = string.Empty;
+
+    [Required]
+    [MinLength(1)]
+    public List<ImportStatementRowDto> Rows { get; set; } = new();
+}
+
+public class ImportStatementRowDto
+{
+    /// <summary>Booking date as yyyy-MM-dd</summary>
+    [Required]
+    public string Date { get; set; } = string.Empty;
+
+    /// <summary>Signed amount: negative for money out, positive for money in</summary>
+    public decimal Amount { get; set; }
+
+    public string? Description { get; set; }
+
+    /// <summary>The user kept this row although it looks like an existing transaction</summary>
+    public bool ConfirmedNotDuplicate { get; set; }
 }
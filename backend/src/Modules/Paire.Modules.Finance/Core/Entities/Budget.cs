@@ -15,10 +15,29 @@ public class Budget
     [Column("end_date")] public DateTime? EndDate { get; set; }
     [Column("spent_amount")] public decimal SpentAmount { get; set; }
     [Column("is_active")] public bool IsActive { get; set; } = true;
+    // Null only on requests that leave it out (mobile); new budgets default to false
+    [Column("is_envelope")] public bool? IsEnvelope { get; set; }
     [Column("created_at")] public DateTime CreatedAt { get; set; }
     [Column("updated_at")] public DateTime UpdatedAt { get; set; }
 }
 
+/// <summary>
+/// Money moved between envelope budgets (or from/to the unassigned pool when a side is null).
+/// Rows are never updated so they form the audit trail for envelope mode.
+/// </summary>
+[Table("budget_transfers")]
+public class BudgetTransfer
+{
+    [Key] [Column("id")] public Guid Id { get; set; }
+    [Column("user_id")] public string UserId { get; set; } = string.Empty;
+    [Column("from_budget_id")] public Guid? FromBudgetId { get; set; }
+    [Column("to_budget_id")] public Guid? ToBudgetId { get; set; }
+    [Column("amount")] public decimal Amount { get; set; }
+    [Column("month")] public DateTime Month { get; set; }
+    [Column("note")] public string? Note { get; set; }
+    [Column("created_at")] public DateTime CreatedAt { get; set; }
+}
+
 [Table("savings_goals")]
 public class SavingsGoal
 {
@@ -34,10 +53,30 @@ public class SavingsGoal
     [Column("color")] public string? Color { get; set; }
     [Column("is_achieved")] public bool IsAchieved { get; set; }
     [Column("notes")] public string? Notes { get; set; }
+    // Optional automatic contributions, stored as JSON (see SavingsContributionPlan)
+    public SavingsContributionPlan? ContributionPlan { get; set; }
     [Column("created_at")] public DateTime CreatedAt { get; set; }
     [Column("updated_at")] public DateTime UpdatedAt { get; set; }
 }
 
+/// <summary>
+/// How a savings goal is topped up automatically: a fixed amount per week or month, a percentage of
+/// each income transaction, or the round-ups of expenses. Due contributions are worked out by the
+/// client and either proposed to the user or recorded straight away (Mode "auto"); LastRunAt is the
+/// last day already covered, so each period or transaction is only counted once.
+/// </summary>
+public class SavingsContributionPlan
+{
+    public string Type { get; set; } = "fixed"; // fixed | percentage | roundUp
+    public decimal? Amount { get; set; }
+    public string? Frequency { get; set; } // weekly | monthly
+    public decimal? Percentage { get; set; }
+    public decimal? RoundUpTo { get; set; }
+    public string Mode { get; set; } = "propose"; // propose | auto
+    public DateTime StartDate { get; set; }
+    public DateTime? LastRunAt { get; set; }
+}
+
 [Table("recurring_bills")]
 public class RecurringBill
 {
@@ -49,6 +88,8 @@ public class RecurringBill
     [Column("frequency")] public string Frequency { get; set; } = "monthly";
     [Column("due_day")] public int DueDay { get; set; }
     [Column("next_due_date")] public DateTime NextDueDate { get; set; }
+    // Due dates passed over without a payment
+    [Column("skipped_due_dates")] public DateTime[]? SkippedDueDates { get; set; }
     [Column("auto_pay")] public bool AutoPay { get; set; }
     [Column("reminder_days")] public int ReminderDays { get; set; } = 3;
     [Column("is_active")] public bool IsActive { get; set; } = true;
@@ -19,6 +19,7 @@ public class Loan
     [Column("has_installments")] public bool HasInstallments { get; set; }
     [Column("installment_amount")] public decimal? InstallmentAmount { get; set; }
     [Column("installment_frequency")] public string? InstallmentFrequency { get; set; }
+    [Column("compounding_frequency")] public string? CompoundingFrequency { get; set; }
     [Column("total_paid")] public decimal TotalPaid { get; set; }
     [Column("remaining_amount")] public decimal RemainingAmount { get; set; }
     [Column("next_payment_date")] public DateTime? NextPaymentDate { get; set; }
@@ -10,6 +10,11 @@ public class Transaction
     [Column("user_id")] public string UserId { get; set; } = string.Empty;
     [Column("type")] public string Type { get; set; } = string.Empty;
     [Column("amount")] public decimal Amount { get; set; }
+    // Amount is always in the base currency; Currency/OriginalAmount record what was actually paid.
+    // Null only on requests that leave the currency out; the column defaults to EUR.
+    [Column("currency")] public string? Currency { get; set; }
+    [Column("original_amount")] public decimal? OriginalAmount { get; set; }
+    [Column("exchange_rate")] public decimal? ExchangeRate { get; set; }
     [Column("category")] public string Category { get; set; } = string.Empty;
     [Column("description")] public string? Description { get; set; }
     [Column("date")] public DateTime Date { get; set; }
@@ -21,6 +26,8 @@ public class Transaction
     [Column("paid_by")] public string? PaidBy { get; set; }
     [Column("split_type")] public string? SplitType { get; set; }
     [Column("split_percentage")] public decimal? SplitPercentage { get; set; }
+    // Line items when SplitType is "items" (stored as JSON); SplitPercentage then holds the owner's resulting share
+    public List<TransactionSplitItem>? SplitItems { get; set; }
     [Column("tags")] public string[]? Tags { get; set; }
     [Column("notes")] public string? Notes { get; set; }
     [Column("bank_transaction_id")] public string? BankTransactionId { get; set; }
@@ -31,3 +38,16 @@ public class Transaction
     [Column("created_at")] public DateTime CreatedAt { get; set; }
     [Column("updated_at")] public DateTime UpdatedAt { get; set; }
 }
+
+/// <summary>
+/// A receipt line assigned to one partner or shared. AssignedTo is "me", "partner" or "shared",
+/// relative to the transaction owner like PaidBy. Tax and discounts are spread over the items
+/// in proportion to Amount, so the shares always add up to the transaction amount.
+/// </summary>
+public class TransactionSplitItem
+{
+    public string Name { get; set; } = string.Empty;
+    public decimal Quantity { get; set; } = 1;
+    public decimal Amount { get; set; }
+    public string AssignedTo { get; set; } = "shared";
+}
@@ -6,4 +6,5 @@ namespace Paire.Modules.Finance.Core.Interfaces;
 public interface IBankStatementImportService
 {
     Task<BankTransactionImportResult> ImportStatementAsync(string userId, IFormFile file, CancellationToken cancellationToken = default);
+    Task<BankTransactionImportResult> ImportStatementRowsAsync(string userId, ImportStatementRowsRequest request, CancellationToken cancellationToken = default);
 }
@@ -9,4 +9,6 @@ public interface IBudgetsAppService
     Task<Budget> CreateBudgetAsync(Guid userId, Budget budget);
     Task<Budget?> UpdateBudgetAsync(Guid userId, Guid id, Budget updates);
     Task<bool> DeleteBudgetAsync(Guid userId, Guid id);
+    Task<IEnumerable<BudgetTransfer>> GetTransfersAsync(Guid userId, DateTime? month);
+    Task<BudgetTransfer?> CreateTransferAsync(Guid userId, BudgetTransfer transfer);
 }
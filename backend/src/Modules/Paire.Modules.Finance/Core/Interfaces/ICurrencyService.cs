@@ -0,0 +1,8 @@
+namespace Paire.Modules.Finance.Core.Interfaces;
+
+public interface ICurrencyService
+{
+    Task<IReadOnlyDictionary<string, string>> GetCurrenciesAsync(CancellationToken cancellationToken = default);
+    Task<IReadOnlyDictionary<string, decimal>> GetRatesAsync(string baseCurrency, DateTime? date = null, CancellationToken cancellationToken = default);
+    Task<decimal?> ConvertAsync(string from, string to, decimal amount, DateTime? date = null, CancellationToken cancellationToken = default);
+}
@@ -1,3 +1,4 @@
+using Paire.Modules.Finance.Core.DTOs;
 using Paire.Modules.Finance.Core.Entities;
 
 namespace Paire.Modules.Finance.Core.Interfaces;
@@ -7,7 +8,7 @@ public interface ILoansService
     Task<IReadOnlyList<object>> GetLoansAsync(Guid userId);
     Task<Loan?> GetLoanAsync(Guid userId, Guid loanId);
     Task<Loan> CreateLoanAsync(Guid userId, Loan loan);
-    Task<Loan?> UpdateLoanAsync(Guid userId, Guid loanId, Loan updatedLoan);
+    Task<Loan?> UpdateLoanAsync(Guid userId, Guid loanId, UpdateLoanRequest updatedLoan);
     Task<bool> DeleteLoanAsync(Guid userId, Guid loanId);
     Task<object> GetLoanSummaryAsync(Guid userId);
     Task<(Loan? loan, bool alreadySettled)> SettleLoanAsync(Guid userId, Guid loanId);
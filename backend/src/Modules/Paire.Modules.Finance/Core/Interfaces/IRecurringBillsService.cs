@@ -12,6 +12,7 @@ public interface IRecurringBillsService
     Task<bool> DeleteRecurringBillAsync(Guid userId, Guid billId);
     Task<RecurringBill?> MarkBillPaidAsync(Guid userId, Guid billId);
     Task<RecurringBill?> UnmarkBillPaidAsync(Guid userId, Guid billId);
+    Task<RecurringBill?> SkipBillOccurrenceAsync(Guid userId, Guid billId);
     Task<IReadOnlyList<RecurringBill>> GetUpcomingBillsAsync(Guid userId, int days);
     Task<object> GetSummaryAsync(Guid userId);
     Task<object?> UploadAttachmentAsync(Guid userId, Guid billId, IFormFile file);
@@ -11,5 +11,7 @@ public interface ISavingsGoalsService
     Task<bool> DeleteSavingsGoalAsync(Guid userId, Guid goalId);
     Task<SavingsGoal?> AddDepositAsync(Guid userId, Guid goalId, decimal amount);
     Task<SavingsGoal?> WithdrawAsync(Guid userId, Guid goalId, decimal amount);
+    /// <summary>Record a contribution plan's deposit (0 to skip) covering the plan up to <paramref name="through"/>.</summary>
+    Task<SavingsGoal?> RecordContributionAsync(Guid userId, Guid goalId, decimal amount, DateTime through);
     Task<object> GetSummaryAsync(Guid userId);
 }
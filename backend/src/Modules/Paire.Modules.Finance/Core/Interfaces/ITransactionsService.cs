@@ -33,4 +33,5 @@ public interface ITransactionsService
     Task<bool> DeleteReceiptAsync(Guid userId, Guid transactionId);
 
     Task<BankTransactionImportResult> ImportTransactionsAsync(Guid userId, IFormFile file);
+    Task<BankTransactionImportResult> ImportStatementRowsAsync(Guid userId, ImportStatementRowsRequest request);
 }
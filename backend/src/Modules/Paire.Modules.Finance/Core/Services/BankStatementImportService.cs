@@ -15,6 +15,9 @@ public class BankStatementImportService : IBankStatementImportService
     private readonly IBankTransactionImportService _transactionImportService;
     private readonly ILogger<BankStatementImportService> _logger;
 
+    // Same order of magnitude as the 5 MB upload limit
+    private const int MaxImportRows = 5000;
+
     public BankStatementImportService(IBankTransactionImportService transactionImportService, ILogger<BankStatementImportService> logger)
     {
         _transactionImportService = transactionImportService;
@@ -28,9 +31,9 @@ public class BankStatementImportService : IBankStatementImportService
         if (file == null || file.Length == 0) { result.ErrorMessages.Add("No file uploaded."); return result; }
 
         var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
-        if (extension != ".csv" && extension != ".xlsx" && extension != ".xls" && extension != ".pdf")
+        if (extension != ".csv" && extension != ".xlsx" && extension != ".xls" && extension != ".pdf" && !StructuredStatementParser.IsStructuredExtension(extension))
         {
-            result.ErrorMessages.Add("Invalid file format. Please upload a CSV, Excel, or PDF file.");
+            result.ErrorMessages.Add("Invalid file format. Please upload a CSV, Excel, PDF, OFX, QIF or CAMT.053 (XML) file.");
             return result;
         }
 
@@ -40,6 +43,7 @@ public class BankStatementImportService : IBankStatementImportService
 
             if (extension == ".csv") transactions = ParseCsv(file);
             else if (extension == ".pdf") transactions = ParsePdf(file);
+            else if (StructuredStatementParser.IsStructuredExtension(extension)) transactions = ParseStructured(extension, file);
             else { result.ErrorMessages.Add("Excel support is coming soon. Please upload a CSV or PDF."); return result; }
 
             if (!transactions.Any()) { result.ErrorMessages.Add("No transactions found in the file."); return result; }
@@ -62,6 +66,61 @@ public class BankStatementImportService : IBankStatementImportService
         }
     }
 
+    public async Task<BankTransactionImportResult> ImportStatementRowsAsync(string userId, ImportStatementRowsRequest request, CancellationToken cancellationToken = default)
+    {
+        var result = new BankTransactionImportResult();
+
+        if (request.Rows.Count > MaxImportRows)
+        {
+            result.ErrorMessages.Add($"Too many rows. Import at most {MaxImportRows} rows at a time.");
+            return result;
+        }
+
+        var transactions = new List<ImportedTransactionDTO>();
+        foreach (var row in request.Rows)
+        {
+            var description = string.IsNullOrWhiteSpace(row.Description) ? "Unknown Transaction" : row.Description.Trim();
+            if (!DateTime.TryParseExact(row.Date, "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out var date) || row.Amount == 0)
+            {
+                result.Errors++;
+                result.ErrorMessages.Add($"Invalid row skipped: {row.Date} {description}");
+                continue;
+            }
+
+            transactions.Add(new ImportedTransactionDTO
+            {
+                TransactionId = GenerateId(date, row.Amount, description),
+                Date = date, Amount = row.Amount, Description = description,
+                Category = "Uncategorized", Currency = "EUR",
+                SkipManualDuplicateCheck = row.ConfirmedNotDuplicate
+            });
+        }
+
+        if (!transactions.Any()) { result.ErrorMessages.Add("No transactions found in the file."); return result; }
+
+        try
+        {
+            var importHistory = new ImportHistory
+            {
+                Id = Guid.NewGuid(), UserId = userId, FileName = request.FileName,
+                ImportDate = DateTime.UtcNow, TransactionCount = transactions.Count,
+                TotalAmount = transactions.Sum(t => t.Amount), Status = "completed"
+            };
+
+            var imported = await _transactionImportService.ProcessImportedTransactionsAsync(userId, transactions, cancellationToken, importHistory);
+            imported.Errors += result.Errors;
+            imported.ErrorMessages.InsertRange(0, result.ErrorMessages);
+            return imported;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error importing statement rows");
+            result.Errors++;
+            result.ErrorMessages.Add($"Import failed: {ex.Message}");
+            return result;
+        }
+    }
+
     private List<ImportedTransactionDTO> ParseCsv(IFormFile file)
     {
         var transactions = new List<ImportedTransactionDTO>();
@@ -167,6 +226,26 @@ public class BankStatementImportService : IBankStatementImportService
         return transactions;
     }
 
+    private List<ImportedTransactionDTO> ParseStructured(string extension, IFormFile file)
+    {
+        List<ImportedTransactionDTO> transactions;
+        using (var stream = file.OpenReadStream())
+        {
+            try { transactions = StructuredStatementParser.Parse(extension, stream); }
+            catch (FormatException ex)
+            {
+                _logger.LogWarning(ex, "Could not parse {Extension} statement", extension);
+                throw new Exception($"Could not read the statement: {ex.Message}");
+            }
+        }
+
+        // Formats without bank transaction IDs (QIF, some CAMT entries) fall back to the content hash used for CSV
+        foreach (var transaction in transactions.Where(t => string.IsNullOrEmpty(t.TransactionId)))
+            transaction.TransactionId = GenerateId(transaction.Date, transaction.Amount, transaction.Description);
+
+        return transactions;
+    }
+
     private bool TryStandardDateParse(string val, out DateTime date)
     {
         if (DateTime.TryParse(val, CultureInfo.InvariantCulture, DateTimeStyles.None, out date))
@@ -47,7 +47,8 @@ public class BudgetsAppService : IBudgetsAppService
         {
             id = b.Id, user_id = b.UserId, category = b.Category,
             amount = b.Amount, period = b.Period, spent_amount = b.SpentAmount,
-            is_active = b.IsActive, start_date = b.StartDate, end_date = b.EndDate,
+            is_active = b.IsActive, is_envelope = b.IsEnvelope ?? false,
+            start_date = b.StartDate, end_date = b.EndDate,
             created_at = b.CreatedAt, updated_at = b.UpdatedAt,
             user_profiles = profileDict.ContainsKey(b.UserId) ? profileDict[b.UserId] : null
         });
@@ -64,6 +65,7 @@ public class BudgetsAppService : IBudgetsAppService
     {
         budget.Id = Guid.NewGuid();
         budget.UserId = userId.ToString();
+        budget.IsEnvelope ??= false;
         budget.CreatedAt = DateTime.UtcNow;
         budget.UpdatedAt = DateTime.UtcNow;
 
@@ -101,6 +103,9 @@ public class BudgetsAppService : IBudgetsAppService
         existingBudget.Period = updates.Period;
         existingBudget.SpentAmount = updates.SpentAmount;
         existingBudget.IsActive = updates.IsActive;
+        // Clients without envelope mode (e.g. mobile) leave it out and keep the stored setting
+        if (updates.IsEnvelope.HasValue)
+            existingBudget.IsEnvelope = updates.IsEnvelope;
         existingBudget.UpdatedAt = DateTime.UtcNow;
 
         if (updates.StartDate.Kind == DateTimeKind.Unspecified)
@@ -141,6 +146,44 @@ public class BudgetsAppService : IBudgetsAppService
         return true;
     }
 
+    public async Task<IEnumerable<BudgetTransfer>> GetTransfersAsync(Guid userId, DateTime? month)
+    {
+        var allUserIds = await GetHouseholdIdsAsync(userId.ToString());
+        var query = _dbContext.BudgetTransfers
+            .AsNoTracking()
+            .Where(t => allUserIds.Contains(t.UserId));
+
+        if (month.HasValue)
+        {
+            var start = new DateTime(month.Value.Year, month.Value.Month, 1, 0, 0, 0, DateTimeKind.Utc);
+            query = query.Where(t => t.Month >= start && t.Month < start.AddMonths(1));
+        }
+
+        return await query.OrderByDescending(t => t.CreatedAt).ToListAsync();
+    }
+
+    public async Task<BudgetTransfer?> CreateTransferAsync(Guid userId, BudgetTransfer transfer)
+    {
+        var allUserIds = await GetHouseholdIdsAsync(userId.ToString());
+        var budgetIds = new[] { transfer.FromBudgetId, transfer.ToBudgetId }
+            .Where(id => id.HasValue)
+            .Select(id => id!.Value)
+            .ToList();
+
+        var ownedCount = await _dbContext.Budgets
+            .CountAsync(b => budgetIds.Contains(b.Id) && allUserIds.Contains(b.UserId));
+        if (ownedCount != budgetIds.Distinct().Count()) return null;
+
+        transfer.Id = Guid.NewGuid();
+        transfer.UserId = userId.ToString();
+        transfer.Month = new DateTime(transfer.Month.Year, transfer.Month.Month, 1, 0, 0, 0, DateTimeKind.Utc);
+        transfer.CreatedAt = DateTime.UtcNow;
+
+        _dbContext.BudgetTransfers.Add(transfer);
+        await _dbContext.SaveChangesAsync();
+        return transfer;
+    }
+
     private async Task<List<string>> GetHouseholdIdsAsync(string userId)
     {
         try { return await _partnershipResolver.GetHouseholdUserIdsAsync(userId); }
@@ -0,0 +1,59 @@
+using System.Globalization;
+using System.Text.Json;
+using Paire.Modules.Finance.Core.Interfaces;
+
+namespace Paire.Modules.Finance.Core.Services;
+
+/// <summary>
+/// Exchange rates from the ECB reference rates (via Frankfurter).
+/// Historical lookups return the last published rates on or before the requested date.
+/// </summary>
+public class CurrencyService : ICurrencyService
+{
+    private const string BaseUrl = "https://api.frankfurter.app";
+
+    private readonly ILogger<CurrencyService> _logger;
+    private readonly HttpClient _httpClient;
+
+    public CurrencyService(ILogger<CurrencyService> logger, HttpClient httpClient)
+    {
+        _logger = logger;
+        _httpClient = httpClient;
+    }
+
+    public async Task<IReadOnlyDictionary<string, string>> GetCurrenciesAsync(CancellationToken cancellationToken = default)
+    {
+        var content = await _httpClient.GetStringAsync($"{BaseUrl}/currencies", cancellationToken);
+        return JsonSerializer.Deserialize<Dictionary<string, string>>(content) ?? new Dictionary<string, string>();
+    }
+
+    public async Task<IReadOnlyDictionary<string, decimal>> GetRatesAsync(string baseCurrency, DateTime? date = null, CancellationToken cancellationToken = default)
+    {
+        var code = baseCurrency.ToUpperInvariant();
+        var segment = date.HasValue ? date.Value.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture) : "latest";
+        var response = await _httpClient.GetAsync($"{BaseUrl}/{segment}?from={Uri.EscapeDataString(code)}", cancellationToken);
+
+        if (!response.IsSuccessStatusCode)
+        {
+            _logger.LogWarning("Exchange rate API returned {StatusCode} for {Currency} on {Date}", response.StatusCode, code, segment);
+            return new Dictionary<string, decimal>();
+        }
+
+        using var document = JsonDocument.Parse(await response.Content.ReadAsStringAsync(cancellationToken));
+        var rates = new Dictionary<string, decimal> { [code] = 1m };
+        if (document.RootElement.TryGetProperty("rates", out var ratesElement))
+        {
+            foreach (var rate in ratesElement.EnumerateObject())
+                rates[rate.Name] = rate.Value.GetDecimal();
+        }
+        return rates;
+    }
+
+    public async Task<decimal?> ConvertAsync(string from, string to, decimal amount, DateTime? date = null, CancellationToken cancellationToken = default)
+    {
+        if (string.Equals(from, to, StringComparison.OrdinalIgnoreCase)) return amount;
+
+        var rates = await GetRatesAsync(from, date, cancellationToken);
+        return rates.TryGetValue(to.ToUpperInvariant(), out var rate) ? Math.Round(amount * rate, 2) : null;
+    }
+}
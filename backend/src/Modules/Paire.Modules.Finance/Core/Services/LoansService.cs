@@ -1,4 +1,5 @@
 using Microsoft.EntityFrameworkCore;
+using Paire.Modules.Finance.Core.DTOs;
 using Paire.Modules.Finance.Core.Entities;
 using Paire.Modules.Finance.Core.Interfaces;
 using Paire.Modules.Finance.Infrastructure;
@@ -47,6 +48,7 @@ public class LoansService : ILoansService
             durationYears = l.DurationYears, durationMonths = l.DurationMonths,
             interestRate = l.InterestRate, hasInstallments = l.HasInstallments,
             installmentAmount = l.InstallmentAmount, installmentFrequency = l.InstallmentFrequency,
+            compoundingFrequency = l.CompoundingFrequency,
             totalPaid = l.TotalPaid, remainingAmount = l.RemainingAmount,
             nextPaymentDate = l.NextPaymentDate, dueDate = l.DueDate,
             isSettled = l.IsSettled, settledDate = l.SettledDate,
@@ -89,7 +91,7 @@ public class LoansService : ILoansService
         return loan;
     }
 
-    public async Task<Loan?> UpdateLoanAsync(Guid userId, Guid loanId, Loan updatedLoan)
+    public async Task<Loan?> UpdateLoanAsync(Guid userId, Guid loanId, UpdateLoanRequest updatedLoan)
     {
         var allUserIds = await GetHouseholdIdsAsync(userId.ToString());
         var existingLoan = await _dbContext.Loans
@@ -101,6 +103,8 @@ public class LoansService : ILoansService
         existingLoan.LentBy = updatedLoan.LentBy ?? existingLoan.LentBy;
         existingLoan.BorrowedBy = updatedLoan.BorrowedBy ?? existingLoan.BorrowedBy;
         existingLoan.Description = updatedLoan.Description ?? existingLoan.Description;
+        // Clients that don't send the loan terms (e.g. mobile) leave them as they were
+        updatedLoan.ApplyTermsTo(existingLoan);
 
         if (updatedLoan.Date != default && updatedLoan.Date != existingLoan.Date)
             existingLoan.Date = NormalizeToUtc(updatedLoan.Date);
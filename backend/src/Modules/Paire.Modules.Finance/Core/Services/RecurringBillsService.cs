@@ -117,7 +117,8 @@ public class RecurringBillsService : IRecurringBillsService
             {
                 id = b.Id, userId = b.UserId, name = b.Name, amount = b.Amount,
                 category = b.Category, frequency = b.Frequency, dueDay = b.DueDay,
-                nextDueDate = b.NextDueDate, autoPay = b.AutoPay, reminderDays = b.ReminderDays,
+                nextDueDate = b.NextDueDate, skippedDueDates = b.SkippedDueDates ?? Array.Empty<DateTime>(),
+                autoPay = b.AutoPay, reminderDays = b.ReminderDays,
                 isActive = b.IsActive, isPaid, lastPaidDueDate, lastPaymentDate,
                 notes = b.Notes, createdAt = b.CreatedAt, updatedAt = b.UpdatedAt,
                 user_profiles = profileDict.ContainsKey(b.UserId) ? profileDict[b.UserId] : null,
@@ -217,6 +218,14 @@ public class RecurringBillsService : IRecurringBillsService
         bill.NextDueDate = EnsureUtc(CalculatePreviousDueDate(bill.Frequency, bill.DueDay, bill.NextDueDate));
         bill.UpdatedAt = DateTime.UtcNow;
 
+        // Undoing a skip only restores the due date; there is no payment to remove
+        if (bill.SkippedDueDates != null && bill.SkippedDueDates.Any(d => d.Date == bill.NextDueDate.Date))
+        {
+            bill.SkippedDueDates = bill.SkippedDueDates.Where(d => d.Date != bill.NextDueDate.Date).ToArray();
+            await _dbContext.SaveChangesAsync();
+            return bill;
+        }
+
         var tag = $"[RecurringBill:{bill.Id}]";
         var recentTransaction = await _dbContext.Transactions
             .Where(t => t.UserId == userId.ToString() && t.Notes != null && t.Notes.Contains(tag))
@@ -232,6 +241,21 @@ public class RecurringBillsService : IRecurringBillsService
         return bill;
     }
 
+    public async Task<RecurringBill?> SkipBillOccurrenceAsync(Guid userId, Guid billId)
+    {
+        var bill = await _dbContext.RecurringBills.FirstOrDefaultAsync(b => b.Id == billId && b.UserId == userId.ToString());
+        if (bill == null) return null;
+
+        var skippedDueDate = EnsureUtc(bill.NextDueDate).Date;
+        bill.SkippedDueDates = (bill.SkippedDueDates ?? Array.Empty<DateTime>())
+            .Append(DateTime.SpecifyKind(skippedDueDate, DateTimeKind.Utc))
+            .ToArray();
+        bill.NextDueDate = EnsureUtc(CalculateNextDueDate(bill.Frequency, bill.DueDay, bill.NextDueDate));
+        bill.UpdatedAt = DateTime.UtcNow;
+        await _dbContext.SaveChangesAsync();
+        return bill;
+    }
+
     public async Task<IReadOnlyList<RecurringBill>> GetUpcomingBillsAsync(Guid userId, int days)
     {
         var allUserIds = await GetHouseholdIdsAsync(userId.ToString());
@@ -320,7 +344,9 @@ public class RecurringBillsService : IRecurringBillsService
         return frequency.ToLower() switch
         {
             "weekly" => currentDueDate.AddDays(-7),
+            "biweekly" => currentDueDate.AddDays(-14),
             "monthly" => BuildMonthlyDate(currentDueDate.AddMonths(-1), dueDay),
+            "lastbusinessday" => BuildLastBusinessDay(currentDueDate.AddMonths(-1)),
             "quarterly" => BuildMonthlyDate(currentDueDate.AddMonths(-3), dueDay),
             "yearly" => new DateTime(currentDueDate.AddYears(-1).Year, 1, 1, 0, 0, 0, DateTimeKind.Utc).AddDays(dueDay - 1),
             _ => CalculatePreviousDueDate("monthly", dueDay, currentDueDate)
@@ -337,6 +363,16 @@ public class RecurringBillsService : IRecurringBillsService
                 var daysUntilDue = ((dueDay - (int)baseDate.DayOfWeek + 7) % 7);
                 result = baseDate.AddDays(daysUntilDue == 0 ? 7 : daysUntilDue);
                 break;
+            case "biweekly":
+                // DueDay is a day of the month, so the first payment lands on it like a monthly bill's
+                if (!currentDueDate.HasValue) return CalculateNextDueDate("monthly", dueDay, null);
+                result = baseDate.AddDays(14);
+                break;
+            case "lastbusinessday":
+                var nextBusinessMonth = baseDate.AddMonths(currentDueDate.HasValue ? 1 : 0);
+                result = BuildLastBusinessDay(nextBusinessMonth);
+                if (result <= baseDate && !currentDueDate.HasValue) result = BuildLastBusinessDay(nextBusinessMonth.AddMonths(1));
+                break;
             case "monthly":
                 var nextMonth = baseDate.AddMonths(currentDueDate.HasValue ? 1 : 0);
                 result = BuildMonthlyDate(nextMonth, dueDay);
@@ -364,17 +400,24 @@ public class RecurringBillsService : IRecurringBillsService
         return new DateTime(month.Year, month.Month, Math.Min(dueDay, daysInMonth), 0, 0, 0, DateTimeKind.Utc);
     }
 
+    private static DateTime BuildLastBusinessDay(DateTime month)
+    {
+        var date = BuildMonthlyDate(month, 31);
+        while (date.DayOfWeek is DayOfWeek.Saturday or DayOfWeek.Sunday) date = date.AddDays(-1);
+        return date;
+    }
+
     private static decimal CalculateTotalMonthlyAmount(List<RecurringBill> bills) =>
         bills.Sum(b => b.Frequency.ToLower() switch
         {
-            "weekly" => b.Amount * 4.33m, "monthly" => b.Amount,
+            "weekly" => b.Amount * 4.33m, "biweekly" => b.Amount * 26 / 12, "monthly" => b.Amount, "lastbusinessday" => b.Amount,
             "quarterly" => b.Amount / 3, "yearly" => b.Amount / 12, _ => b.Amount
         });
 
     private static decimal CalculateTotalYearlyAmount(List<RecurringBill> bills) =>
         bills.Sum(b => b.Frequency.ToLower() switch
         {
-            "weekly" => b.Amount * 52, "monthly" => b.Amount * 12,
+            "weekly" => b.Amount * 52, "biweekly" => b.Amount * 26, "monthly" => b.Amount * 12, "lastbusinessday" => b.Amount * 12,
             "quarterly" => b.Amount * 4, "yearly" => b.Amount, _ => b.Amount * 12
         });
 }
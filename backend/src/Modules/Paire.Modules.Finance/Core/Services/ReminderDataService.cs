@@ -86,4 +86,46 @@ public class ReminderDataService : IReminderDataProvider
 
         return goals;
     }
+
+    public async Task<AlertSnapshotDto> GetAlertSnapshotAsync(Guid userId, IReadOnlyList<string> partnerIds, DateTime today)
+    {
+        var allUserIds = new List<string> { userId.ToString() };
+        allUserIds.AddRange(partnerIds);
+        var day = DateTime.SpecifyKind(today.Date, DateTimeKind.Utc);
+        var monthStart = new DateTime(day.Year, day.Month, 1, 0, 0, 0, DateTimeKind.Utc);
+        var baselineStart = day.AddDays(-90);
+
+        var budgets = await _db.Budgets
+            .AsNoTracking()
+            .Where(b => allUserIds.Contains(b.UserId) && b.IsActive && b.Amount > 0)
+            .Select(b => new BudgetStatusDto(b.Id, b.Category, b.Amount, b.SpentAmount, b.Period))
+            .ToListAsync();
+
+        var bills = await _db.RecurringBills
+            .AsNoTracking()
+            .Where(b => allUserIds.Contains(b.UserId) && b.IsActive &&
+                b.NextDueDate >= day.AddDays(-7) && b.NextDueDate <= day.AddMonths(1))
+            .Select(b => new UpcomingBillDto(b.Id, b.Name, b.Amount, b.NextDueDate, b.AutoPay))
+            .ToListAsync();
+
+        var monthTotals = await _db.Transactions
+            .AsNoTracking()
+            .Where(t => allUserIds.Contains(t.UserId) && t.Date >= monthStart)
+            .GroupBy(t => t.Type.ToLower())
+            .Select(g => new { Type = g.Key, Total = g.Sum(t => t.Amount) })
+            .ToListAsync();
+
+        var expenses = await _db.Transactions
+            .AsNoTracking()
+            .Where(t => allUserIds.Contains(t.UserId) && t.Type.ToLower() == "expense" && t.Date >= baselineStart)
+            .Select(t => new ExpenseSampleDto(t.Id, t.Category, t.Amount, t.Date, t.Description))
+            .ToListAsync();
+
+        return new AlertSnapshotDto(
+            budgets,
+            bills,
+            monthTotals.FirstOrDefault(t => t.Type == "income")?.Total ?? 0,
+            monthTotals.FirstOrDefault(t => t.Type == "expense")?.Total ?? 0,
+            expenses);
+    }
 }
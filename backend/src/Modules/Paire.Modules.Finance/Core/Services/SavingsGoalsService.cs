@@ -13,6 +13,9 @@ public class SavingsGoalsService : ISavingsGoalsService
     // TODO: Wire IAchievementService via integration event in Phase 6+
     private readonly ILogger<SavingsGoalsService> _logger;
 
+    private static readonly HashSet<string> ContributionTypes = new() { "fixed", "percentage", "roundUp" };
+    private const int MaxContributionAttempts = 3;
+
     public SavingsGoalsService(FinanceDbContext dbContext, IPartnershipResolver partnershipResolver, ILogger<SavingsGoalsService> logger)
     {
         _dbContext = dbContext;
@@ -48,6 +51,7 @@ public class SavingsGoalsService : ISavingsGoalsService
             targetAmount = g.TargetAmount, currentAmount = g.CurrentAmount,
             priority = g.Priority, category = g.Category, icon = g.Icon, color = g.Color,
             notes = g.Notes, targetDate = g.TargetDate, isAchieved = g.IsAchieved,
+            contributionPlan = g.ContributionPlan,
             createdAt = g.CreatedAt, updatedAt = g.UpdatedAt,
             user_profiles = profileDict.ContainsKey(g.UserId) ? profileDict[g.UserId] : null
         }).Cast<object>().ToList();
@@ -70,6 +74,7 @@ public class SavingsGoalsService : ISavingsGoalsService
 
         if (goal.TargetDate.HasValue) goal.TargetDate = NormalizeToUtc(goal.TargetDate.Value);
         if (string.IsNullOrEmpty(goal.Priority)) goal.Priority = "medium";
+        goal.ContributionPlan = NormalizeContributionPlan(goal.ContributionPlan, null);
 
         _dbContext.SavingsGoals.Add(goal);
         await _dbContext.SaveChangesAsync();
@@ -98,6 +103,7 @@ public class SavingsGoalsService : ISavingsGoalsService
         existingGoal.UpdatedAt = DateTime.UtcNow;
         existingGoal.IsAchieved = existingGoal.CurrentAmount >= existingGoal.TargetAmount || updates.IsAchieved;
         existingGoal.TargetDate = updates.TargetDate.HasValue ? NormalizeToUtc(updates.TargetDate.Value) : null;
+        existingGoal.ContributionPlan = NormalizeContributionPlan(updates.ContributionPlan, existingGoal.ContributionPlan);
 
         await _dbContext.SaveChangesAsync();
         return existingGoal;
@@ -147,6 +153,40 @@ public class SavingsGoalsService : ISavingsGoalsService
         return goal;
     }
 
+    public async Task<SavingsGoal?> RecordContributionAsync(Guid userId, Guid goalId, decimal amount, DateTime through)
+    {
+        var allUserIds = await GetHouseholdIdsAsync(userId.ToString());
+        var coveredUntil = NormalizeToUtc(through).Date;
+
+        for (var attempt = 1; ; attempt++)
+        {
+            var goal = await _dbContext.SavingsGoals
+                .FirstOrDefaultAsync(g => g.Id == goalId && allUserIds.Contains(g.UserId));
+            if (goal == null) return null;
+            if (goal.ContributionPlan == null) throw new InvalidOperationException("Savings goal has no contribution plan");
+
+            // Both partners' devices run the plan; whoever comes second finds the days already covered
+            if (goal.ContributionPlan.LastRunAt >= coveredUntil) throw new InvalidOperationException("Contribution already recorded");
+
+            goal.ContributionPlan.LastRunAt = coveredUntil;
+            goal.CurrentAmount += amount;
+            goal.UpdatedAt = DateTime.UtcNow;
+            if (goal.CurrentAmount >= goal.TargetAmount) goal.IsAchieved = true;
+
+            try
+            {
+                await _dbContext.SaveChangesAsync();
+                return goal;
+            }
+            catch (DbUpdateConcurrencyException) when (attempt < MaxContributionAttempts)
+            {
+                // The goal changed since it was read; start over from the saved row
+                _logger.LogInformation("Savings goal {GoalId} changed while recording a contribution, retrying", goalId);
+                _dbContext.ChangeTracker.Clear();
+            }
+        }
+    }
+
     public async Task<object> GetSummaryAsync(Guid userId)
     {
         var allUserIds = await GetHouseholdIdsAsync(userId.ToString());
@@ -183,6 +223,33 @@ public class SavingsGoalsService : ISavingsGoalsService
         }
     }
 
+    /// <summary>
+    /// Drop invalid plans and keep the plan's progress (LastRunAt) unless its schedule changed,
+    /// so editing a goal neither repeats nor skips contributions.
+    /// </summary>
+    private static SavingsContributionPlan? NormalizeContributionPlan(SavingsContributionPlan? plan, SavingsContributionPlan? existing)
+    {
+        if (plan == null || !ContributionTypes.Contains(plan.Type)) return null;
+        if (plan.Type == "fixed" && !(plan.Amount > 0)) return null;
+        if (plan.Type == "percentage" && !(plan.Percentage is > 0m and <= 100m)) return null;
+
+        var normalized = new SavingsContributionPlan
+        {
+            Type = plan.Type,
+            Amount = plan.Type == "fixed" ? plan.Amount : null,
+            Frequency = plan.Type == "fixed" ? (plan.Frequency == "weekly" ? "weekly" : "monthly") : null,
+            Percentage = plan.Type == "percentage" ? plan.Percentage : null,
+            RoundUpTo = plan.Type == "roundUp" ? (plan.RoundUpTo is 1m or 5m or 10m ? plan.RoundUpTo : 1m) : null,
+            Mode = plan.Mode == "auto" ? "auto" : "propose",
+            StartDate = NormalizeToUtc(plan.StartDate == default ? DateTime.UtcNow : plan.StartDate).Date
+        };
+
+        var sameSchedule = existing != null && existing.Type == normalized.Type
+            && existing.Frequency == normalized.Frequency && existing.StartDate == normalized.StartDate;
+        normalized.LastRunAt = sameSchedule ? existing!.LastRunAt : null;
+        return normalized;
+    }
+
     private static DateTime NormalizeToUtc(DateTime value) => value.Kind switch
     {
         DateTimeKind.Utc => value,
@@ -0,0 +1,289 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Xml.Linq;
+using Paire.Modules.Finance.Core.DTOs;
+
+namespace Paire.Modules.Finance.Core.Services;
+
+/// <summary>
+/// Parsers for statement formats that carry their own structure: OFX/QFX (SGML 1.x and XML 2.x), QIF and ISO 20022 CAMT.053.
+/// Where the bank gives each transaction an ID (OFX FITID, CAMT account servicer reference) it is kept as
+/// <see cref="ImportedTransactionDTO.TransactionId"/>, prefixed with the account, so re-importing an overlapping
+/// statement is recognised as a duplicate. Transactions without a bank ID are left with an empty ID.
+/// </summary>
+public static class StructuredStatementParser
+{
+    private static readonly Regex OfxStatementPattern = new(@"<(STMTRS|CCSTMTRS)>(.*?)</\1>", RegexOptions.Singleline | RegexOptions.IgnoreCase);
+    private static readonly Regex OfxTransactionPattern = new(@"<STMTTRN>(.*?)</STMTTRN>", RegexOptions.Singleline | RegexOptions.IgnoreCase);
+
+    public static bool IsStructuredExtension(string extension) =>
+        extension is ".ofx" or ".qfx" or ".qif" or ".xml";
+
+    public static List<ImportedTransactionDTO> Parse(string extension, Stream stream) => extension switch
+    {
+        ".ofx" or ".qfx" => ParseOfx(ReadText(stream)),
+        ".qif" => ParseQif(ReadText(stream)),
+        ".xml" => ParseCamt053(stream),
+        _ => throw new NotSupportedException($"Unsupported statement format: {extension}")
+    };
+
+    // Older Greek exports are Windows-1253 rather than UTF-8
+    private static string ReadText(Stream stream)
+    {
+        using var ms = new MemoryStream();
+        stream.CopyTo(ms);
+        var bytes = ms.ToArray();
+        try
+        {
+            return new UTF8Encoding(false, true).GetString(bytes).TrimStart('\uFEFF');
+        }
+        catch (DecoderFallbackException)
+        {
+            Encoding.RegisterProvider(CodePagesEncodingProvider.Instance);
+            return Encoding.GetEncoding(1253).GetString(bytes);
+        }
+    }
+
+    #region OFX
+
+    public static List<ImportedTransactionDTO> ParseOfx(string content)
+    {
+        var transactions = new List<ImportedTransactionDTO>();
+        if (!content.Contains("<OFX>", StringComparison.OrdinalIgnoreCase))
+            throw new FormatException("Not an OFX file.");
+
+        foreach (Match statement in OfxStatementPattern.Matches(content))
+        {
+            var body = statement.Groups[2].Value;
+            var account = ReadOfxTag(body, "ACCTID");
+            var currency = ReadOfxTag(body, "CURDEF") ?? "EUR";
+
+            foreach (Match match in OfxTransactionPattern.Matches(body))
+            {
+                var block = match.Groups[1].Value;
+                var dateValue = ReadOfxTag(block, "DTPOSTED") ?? ReadOfxTag(block, "DTUSER");
+                var amountValue = ReadOfxTag(block, "TRNAMT");
+                if (dateValue == null || dateValue.Length < 8 || amountValue == null) continue;
+                if (!DateTime.TryParseExact(dateValue[..8], "yyyyMMdd", CultureInfo.InvariantCulture, DateTimeStyles.None, out var date)) continue;
+                if (!decimal.TryParse(amountValue.Replace(',', '.'), NumberStyles.Number | NumberStyles.AllowLeadingSign, CultureInfo.InvariantCulture, out var amount) || amount == 0) continue;
+
+                var fitId = ReadOfxTag(block, "FITID");
+                transactions.Add(new ImportedTransactionDTO
+                {
+                    TransactionId = string.IsNullOrEmpty(fitId) ? string.Empty : $"ofx:{account}:{fitId}",
+                    Date = DateTime.SpecifyKind(date, DateTimeKind.Utc), Amount = amount,
+                    Description = JoinDescription(ReadOfxTag(block, "NAME") ?? ReadOfxTag(block, "PAYEE"), ReadOfxTag(block, "MEMO")),
+                    Category = "Uncategorized", Currency = currency
+                });
+            }
+        }
+        return transactions;
+    }
+
+    // OFX 1.x (SGML) closes aggregates but not values, so a value runs to the next tag or line end
+    private static string? ReadOfxTag(string block, string tag)
+    {
+        var match = Regex.Match(block, $@"<{tag}>([^<\r\n]*)", RegexOptions.IgnoreCase);
+        if (!match.Success) return null;
+        var value = System.Net.WebUtility.HtmlDecode(match.Groups[1].Value).Trim();
+        return value.Length == 0 ? null : value;
+    }
+
+    #endregion
+
+    #region QIF
+
+    public static List<ImportedTransactionDTO> ParseQif(string content)
+    {
+        var records = new List<Dictionary<char, string>>();
+        var current = new Dictionary<char, string>();
+        var inTransactions = false;
+
+        foreach (var rawLine in content.Split('\n'))
+        {
+            var line = rawLine.TrimEnd('\r');
+            if (line.Length == 0) continue;
+            if (line.StartsWith('!'))
+            {
+                // Only bank, cash and card sections hold transactions; skip account lists, categories and investments
+                inTransactions = Regex.IsMatch(line, @"^!Type:(Bank|Cash|CCard|Oth A|Oth L)", RegexOptions.IgnoreCase);
+                current = new Dictionary<char, string>();
+                continue;
+            }
+            if (!inTransactions) continue;
+            if (line[0] == '^')
+            {
+                if (current.Count > 0) records.Add(current);
+                current = new Dictionary<char, string>();
+                continue;
+            }
+            // Split lines (S/E/$) repeat; the first value is enough for the fields we read
+            current.TryAdd(line[0], line[1..].Trim());
+        }
+        if (inTransactions && current.Count > 0) records.Add(current);
+
+        var dayFirst = QifDatesAreDayFirst(records.Select(r => r.GetValueOrDefault('D')));
+        var transactions = new List<ImportedTransactionDTO>();
+        foreach (var record in records)
+        {
+            if (!TryParseQifDate(record.GetValueOrDefault('D'), dayFirst, out var date)) continue;
+            var amountValue = record.GetValueOrDefault('T') ?? record.GetValueOrDefault('U');
+            if (amountValue == null || !decimal.TryParse(amountValue.Replace(",", ""), NumberStyles.Number | NumberStyles.AllowLeadingSign, CultureInfo.InvariantCulture, out var amount) || amount == 0) continue;
+
+            var description = JoinDescription(record.GetValueOrDefault('P'), record.GetValueOrDefault('M'));
+            var checkNumber = record.GetValueOrDefault('N');
+            transactions.Add(new ImportedTransactionDTO
+            {
+                // QIF has no transaction IDs; a check number still tells apart equal payments on one day
+                TransactionId = string.Empty,
+                Date = date, Amount = amount,
+                Description = string.IsNullOrEmpty(checkNumber) || !checkNumber.All(char.IsDigit) ? description : $"{description} #{checkNumber}",
+                Category = "Uncategorized", Currency = "EUR"
+            });
+        }
+        return transactions;
+    }
+
+    // QIF dates are M/D/Y in US exports and D/M/Y in European ones; any first part above 12 settles it
+    private static bool QifDatesAreDayFirst(IEnumerable<string?> values) =>
+        values.Select(SplitQifDate).Any(parts => parts != null && parts[0] is > 12 and <= 31);
+
+    private static int[]? SplitQifDate(string? value)
+    {
+        if (string.IsNullOrWhiteSpace(value)) return null;
+        var parts = Regex.Split(value.Trim(), @"[/'.\-\s]+").Where(p => p.Length > 0).ToArray();
+        if (parts.Length != 3 || !parts.All(p => p.All(char.IsDigit))) return null;
+        return parts.Select(int.Parse).ToArray();
+    }
+
+    private static bool TryParseQifDate(string? value, bool dayFirst, out DateTime date)
+    {
+        date = default;
+        var parts = SplitQifDate(value);
+        if (parts == null) return false;
+        int day, month, year;
+        if (parts[0] > 31) (year, month, day) = (parts[0], parts[1], parts[2]);
+        else if (dayFirst) (day, month, year) = (parts[0], parts[1], parts[2]);
+        else (month, day, year) = (parts[0], parts[1], parts[2]);
+        // Two-digit years: Quicken writes 1/5'26 for 2026
+        if (year < 100) year += 2000;
+        if (month is < 1 or > 12 || day < 1 || day > DateTime.DaysInMonth(year, month)) return false;
+        date = new DateTime(year, month, day, 0, 0, 0, DateTimeKind.Utc);
+        return true;
+    }
+
+    #endregion
+
+    #region CAMT.053
+
+    public static List<ImportedTransactionDTO> ParseCamt053(Stream stream)
+    {
+        XDocument document;
+        try { document = XDocument.Load(stream); }
+        catch (System.Xml.XmlException ex) { throw new FormatException("Could not read the XML statement.", ex); }
+
+        // Element names are matched without namespace so every camt.053.001.xx version is read
+        if (!document.Descendants().Any(e => e.Name.LocalName == "BkToCstmrStmt"))
+            throw new FormatException("Not a CAMT.053 bank statement.");
+
+        var transactions = new List<ImportedTransactionDTO>();
+        foreach (var statement in document.Descendants().Where(e => e.Name.LocalName == "Stmt"))
+        {
+            var account = Child(statement, "Acct", "Id", "IBAN")?.Value ?? Child(statement, "Acct", "Id", "Othr", "Id")?.Value ?? string.Empty;
+
+            foreach (var entry in statement.Elements().Where(e => e.Name.LocalName == "Ntry"))
+            {
+                // Pending entries are booked later, often under another reference
+                var status = (Child(entry, "Sts", "Cd") ?? Child(entry, "Sts"))?.Value.Trim();
+                if (status != null && !status.Equals("BOOK", StringComparison.OrdinalIgnoreCase)) continue;
+
+                var dateValue = (Child(entry, "BookgDt", "Dt") ?? Child(entry, "BookgDt", "DtTm") ?? Child(entry, "ValDt", "Dt") ?? Child(entry, "ValDt", "DtTm"))?.Value;
+                if (dateValue == null || dateValue.Length < 10 || !DateTime.TryParseExact(dateValue[..10], "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out var date)) continue;
+                date = DateTime.SpecifyKind(date, DateTimeKind.Utc);
+
+                var isDebit = Child(entry, "CdtDbtInd")?.Value.Trim() == "DBIT";
+                var entryRef = Child(entry, "AcctSvcrRef")?.Value.Trim() ?? Child(entry, "NtryRef")?.Value.Trim();
+                var details = entry.Descendants().Where(e => e.Name.LocalName == "TxDtls").ToList();
+
+                // Batch entries (e.g. a day of card payments) list each payment with its own amount
+                var splitBatch = details.Count > 1 && details.All(d => ReadCamtAmount(d) != null);
+                if (splitBatch)
+                {
+                    for (var i = 0; i < details.Count; i++)
+                    {
+                        var detail = details[i];
+                        var detailDebit = (Child(detail, "CdtDbtInd")?.Value.Trim() ?? (isDebit ? "DBIT" : "CRDT")) == "DBIT";
+                        var (amount, currency) = ReadCamtAmount(detail)!.Value;
+                        var reference = Child(detail, "Refs", "AcctSvcrRef")?.Value.Trim() ?? (entryRef == null ? null : $"{entryRef}/{i + 1}");
+                        transactions.Add(CreateCamtTransaction(account, reference, date, detailDebit ? -amount : amount, currency, ReadCamtDescription(detail, detailDebit, entry)));
+                    }
+                    continue;
+                }
+
+                var entryAmount = ReadCamtAmount(entry);
+                if (entryAmount == null) continue;
+                var detailRef = details.Count == 1 ? Child(details[0], "Refs", "AcctSvcrRef")?.Value.Trim() : null;
+                transactions.Add(CreateCamtTransaction(account, entryRef ?? detailRef, date,
+                    isDebit ? -entryAmount.Value.Amount : entryAmount.Value.Amount, entryAmount.Value.Currency,
+                    ReadCamtDescription(details.FirstOrDefault(), isDebit, entry)));
+            }
+        }
+        return transactions;
+    }
+
+    private static ImportedTransactionDTO CreateCamtTransaction(string account, string? reference, DateTime date, decimal amount, string currency, string description) => new()
+    {
+        TransactionId = string.IsNullOrEmpty(reference) || reference == "NOTPROVIDED" ? string.Empty : $"camt:{account}:{reference}",
+        Date = date, Amount = amount, Description = description,
+        Category = "Uncategorized", Currency = currency
+    };
+
+    private static (decimal Amount, string Currency)? ReadCamtAmount(XElement element)
+    {
+        var amount = Child(element, "Amt") ?? Child(element, "AmtDtls", "TxAmt", "Amt");
+        if (amount == null || !decimal.TryParse(amount.Value, NumberStyles.Number, CultureInfo.InvariantCulture, out var value) || value == 0) return null;
+        return (value, amount.Attribute("Ccy")?.Value ?? "EUR");
+    }
+
+    // Counterparty name and remittance text, falling back to the entry's additional information
+    private static string ReadCamtDescription(XElement? detail, bool isDebit, XElement entry)
+    {
+        string? party = null;
+        string? remittance = null;
+        if (detail != null)
+        {
+            var role = isDebit ? "Cdtr" : "Dbtr";
+            party = (Child(detail, "RltdPties", role, "Nm") ?? Child(detail, "RltdPties", role, "Pty", "Nm"))?.Value;
+            remittance = string.Join(" ", detail.Descendants().Where(e => e.Name.LocalName == "Ustrd").Select(e => e.Value.Trim()));
+            if (string.IsNullOrWhiteSpace(remittance)) remittance = Child(detail, "AddtlTxInf")?.Value;
+        }
+        var description = JoinDescription(party, remittance);
+        if (description != "Unknown Transaction") return description;
+        return JoinDescription(Child(entry, "AddtlNtryInf")?.Value, null);
+    }
+
+    private static XElement? Child(XElement? element, params string[] path)
+    {
+        foreach (var name in path)
+        {
+            element = element?.Elements().FirstOrDefault(e => e.Name.LocalName == name);
+            if (element == null) return null;
+        }
+        return element;
+    }
+
+    #endregion
+
+    private static string JoinDescription(string? name, string? memo)
+    {
+        var parts = new[] { name, memo }
+            .Where(p => !string.IsNullOrWhiteSpace(p))
+            .Select(p => Regex.Replace(p!.Trim(), @"\s+", " "))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+        // The memo often repeats the name
+        if (parts.Count == 2 && parts[1].Contains(parts[0], StringComparison.OrdinalIgnoreCase)) parts.RemoveAt(0);
+        return parts.Count == 0 ? "Unknown Transaction" : string.Join(" - ", parts);
+    }
+}
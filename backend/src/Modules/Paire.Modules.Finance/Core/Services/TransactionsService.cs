@@ -97,6 +97,9 @@ public class TransactionsService : ITransactionsService
             UserId = t.UserId,
             Type = t.Type,
             Amount = t.Amount,
+            Currency = t.Currency ?? "EUR",
+            OriginalAmount = t.OriginalAmount,
+            ExchangeRate = t.ExchangeRate,
             Category = t.Category,
             Description = t.Description,
             Date = t.Date,
@@ -108,14 +111,32 @@ public class TransactionsService : ITransactionsService
             PaidBy = t.PaidBy,
             SplitType = t.SplitType,
             SplitPercentage = t.SplitPercentage,
+            SplitItems = t.SplitItems,
             Tags = t.Tags,
             Notes = t.Notes,
+            BankAccountId = t.BankAccountId,
+            ImportHistoryId = t.ImportHistoryId,
             CreatedAt = t.CreatedAt,
             UpdatedAt = t.UpdatedAt,
             UserProfile = profile
         };
     }
 
+    private static readonly string[] SplitAssignments = { "me", "partner", "shared" };
+
+    // Items only mean something for an itemised split; unknown assignments count as shared
+    private static List<TransactionSplitItem>? NormalizeSplitItems(Transaction transaction)
+    {
+        if (transaction.SplitType != "items" || transaction.SplitItems == null || transaction.SplitItems.Count == 0)
+            return null;
+
+        foreach (var item in transaction.SplitItems)
+        {
+            if (!SplitAssignments.Contains(item.AssignedTo)) item.AssignedTo = "shared";
+        }
+        return transaction.SplitItems;
+    }
+
     public async Task<TransactionsPageDto> GetTransactionsAsync(
         Guid userId, string? type, DateTime? startDate, DateTime? endDate,
         int? page, int? pageSize, string? search)
@@ -209,6 +230,8 @@ public class TransactionsService : ITransactionsService
     {
         var transaction = request.ToTransaction();
         transaction.Id = Guid.NewGuid();
+        if (transaction.SplitType == "") transaction.SplitType = null;
+        transaction.SplitItems = NormalizeSplitItems(transaction);
         transaction.UserId = userId.ToString();
         transaction.CreatedAt = DateTime.UtcNow;
         transaction.UpdatedAt = DateTime.UtcNow;
@@ -261,14 +284,29 @@ public class TransactionsService : ITransactionsService
 
         existing.Type = transaction.Type;
         existing.Amount = transaction.Amount;
+        // Clients that don't send the currency (e.g. mobile) keep the stored conversion
+        if (transaction.Currency != null)
+        {
+            existing.Currency = string.IsNullOrWhiteSpace(transaction.Currency) ? "EUR" : transaction.Currency.ToUpperInvariant();
+            existing.OriginalAmount = transaction.OriginalAmount;
+            existing.ExchangeRate = transaction.ExchangeRate;
+        }
         existing.Category = transaction.Category;
         existing.Description = transaction.Description;
         existing.Date = transaction.Date.Kind == DateTimeKind.Utc ? transaction.Date : transaction.Date.ToUniversalTime();
         existing.AttachmentUrl = transaction.AttachmentUrl;
         existing.AttachmentPath = transaction.AttachmentPath;
         existing.PaidBy = transaction.PaidBy;
+        // Clients that don't send the split leave it as it was; an empty SplitType removes it
+        if (transaction.SplitType != null)
+        {
+            existing.SplitType = transaction.SplitType == "" ? null : transaction.SplitType;
+            existing.SplitPercentage = existing.SplitType == null ? null : transaction.SplitPercentage;
+            existing.SplitItems = NormalizeSplitItems(transaction);
+        }
         existing.IsRecurring = transaction.IsRecurring;
         existing.RecurrencePattern = transaction.RecurrencePattern;
+        if (transaction.Tags != null) existing.Tags = transaction.Tags;
 
         if (transaction.RecurrenceEndDate.HasValue)
         {
@@ -387,4 +425,9 @@ public class TransactionsService : ITransactionsService
     {
         return await _importService.ImportStatementAsync(userId.ToString(), file);
     }
+
+    public async Task<BankTransactionImportResult> ImportStatementRowsAsync(Guid userId, ImportStatementRowsRequest request)
+    {
+        return await _importService.ImportStatementRowsAsync(userId.ToString(), request);
+    }
 }
@@ -25,6 +25,11 @@ public static class FinanceModule
         services.AddScoped<IImportsService, ImportsService>();
         services.AddScoped<IBankStatementImportService, BankStatementImportService>();
         services.AddScoped<IReminderDataProvider, ReminderDataService>();
+        services.AddHttpClient<ICurrencyService, CurrencyService>(client =>
+        {
+            client.Timeout = TimeSpan.FromSeconds(10);
+            client.DefaultRequestHeaders.Add("Accept", "application/json");
+        });
 
         return services;
     }
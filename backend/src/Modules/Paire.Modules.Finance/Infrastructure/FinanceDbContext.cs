@@ -11,6 +11,7 @@ public class FinanceDbContext : DbContext
     public DbSet<Loan> Loans { get; set; }
     public DbSet<LoanPayment> LoanPayments { get; set; }
     public DbSet<Budget> Budgets { get; set; }
+    public DbSet<BudgetTransfer> BudgetTransfers { get; set; }
     public DbSet<SavingsGoal> SavingsGoals { get; set; }
     public DbSet<RecurringBill> RecurringBills { get; set; }
     public DbSet<RecurringBillAttachment> RecurringBillAttachments { get; set; }
@@ -29,6 +30,9 @@ public class FinanceDbContext : DbContext
             entity.Property(e => e.UserId).HasColumnName("user_id").IsRequired();
             entity.Property(e => e.Type).HasColumnName("type").HasMaxLength(50).IsRequired();
             entity.Property(e => e.Amount).HasColumnName("amount").HasColumnType("decimal(18,2)");
+            entity.Property(e => e.Currency).HasColumnName("currency").HasMaxLength(3).HasDefaultValue("EUR");
+            entity.Property(e => e.OriginalAmount).HasColumnName("original_amount").HasColumnType("decimal(18,2)");
+            entity.Property(e => e.ExchangeRate).HasColumnName("exchange_rate").HasColumnType("decimal(18,8)");
             entity.Property(e => e.Category).HasColumnName("category").HasMaxLength(100);
             entity.Property(e => e.Description).HasColumnName("description");
             entity.Property(e => e.Date).HasColumnName("date");
@@ -40,6 +44,7 @@ public class FinanceDbContext : DbContext
             entity.Property(e => e.PaidBy).HasColumnName("paid_by");
             entity.Property(e => e.SplitType).HasColumnName("split_type");
             entity.Property(e => e.SplitPercentage).HasColumnName("split_percentage").HasColumnType("decimal(5,2)");
+            entity.OwnsMany(e => e.SplitItems, items => items.ToJson("split_items"));
             entity.Property(e => e.Tags).HasColumnName("tags");
             entity.Property(e => e.Notes).HasColumnName("notes");
             entity.Property(e => e.BankTransactionId).HasColumnName("bank_transaction_id");
@@ -87,18 +92,34 @@ public class FinanceDbContext : DbContext
             entity.Property(e => e.EndDate).HasColumnName("end_date");
             entity.Property(e => e.SpentAmount).HasColumnName("spent_amount").HasColumnType("decimal(18,2)");
             entity.Property(e => e.IsActive).HasColumnName("is_active");
+            entity.Property(e => e.IsEnvelope).HasColumnName("is_envelope");
             entity.Property(e => e.CreatedAt).HasColumnName("created_at");
             entity.Property(e => e.UpdatedAt).HasColumnName("updated_at");
             entity.HasIndex(e => e.UserId);
             entity.HasIndex(e => e.IsActive);
         });
 
+        modelBuilder.Entity<BudgetTransfer>(entity =>
+        {
+            entity.ToTable("budget_transfers");
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Amount).HasColumnType("decimal(18,2)");
+            entity.HasIndex(e => e.UserId);
+            entity.HasIndex(e => e.Month);
+        });
+
         modelBuilder.Entity<SavingsGoal>(entity =>
         {
             entity.ToTable("savings_goals");
             entity.HasKey(e => e.Id);
             entity.Property(e => e.TargetAmount).HasColumnType("decimal(18,2)");
             entity.Property(e => e.CurrentAmount).HasColumnType("decimal(18,2)");
+            entity.OwnsOne(e => e.ContributionPlan, plan => plan.ToJson("contribution_plan"));
+            // Postgres row version, so concurrent contributions can't overwrite each other's amount
+            entity.Property<uint>("xmin")
+                .HasColumnType("xid")
+                .ValueGeneratedOnAddOrUpdate()
+                .IsConcurrencyToken();
             entity.HasIndex(e => e.UserId);
         });
 
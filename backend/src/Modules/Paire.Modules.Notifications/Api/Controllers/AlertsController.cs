@@ -0,0 +1,113 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Paire.Modules.Notifications.Core.Entities;
+using Paire.Modules.Notifications.Core.Interfaces;
+using Paire.Shared.Kernel.Api;
+
+namespace Paire.Modules.Notifications.Api.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class AlertsController : BaseApiController
+{
+    private readonly IFinanceAlertService _alertService;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<AlertsController> _logger;
+
+    public AlertsController(
+        IFinanceAlertService alertService,
+        IConfiguration configuration,
+        ILogger<AlertsController> logger)
+    {
+        _alertService = alertService;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    /// <summary>VAPID public key browsers subscribe with.</summary>
+    [HttpGet("vapid-key")]
+    public IActionResult GetVapidKey()
+    {
+        var publicKey = _configuration["WebPush:PublicKey"];
+        if (string.IsNullOrWhiteSpace(publicKey)) return NotFound(new { message = "Web push is not configured" });
+        return Ok(new { publicKey });
+    }
+
+    [HttpPost("devices")]
+    public async Task<IActionResult> RegisterDevice([FromBody] RegisterDeviceRequest request)
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+
+        try
+        {
+            await _alertService.RegisterDeviceAsync(userId, new PushDevice
+            {
+                Kind = request.Kind,
+                Endpoint = request.Endpoint,
+                P256dhKey = request.P256dh,
+                AuthKey = request.Auth,
+                UserAgent = request.UserAgent?.Length > 500 ? request.UserAgent[..500] : request.UserAgent
+            });
+            return Ok(new { registered = true });
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(new { message = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error registering push device for user {UserId}", userId);
+            return StatusCode(500, new { message = "Error registering push device", error = ex.Message });
+        }
+    }
+
+    [HttpDelete("devices")]
+    public async Task<IActionResult> UnregisterDevice([FromQuery] string endpoint)
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+
+        try
+        {
+            var removed = await _alertService.UnregisterDeviceAsync(userId, endpoint);
+            return removed ? NoContent() : NotFound(new { message = "Device not found" });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error removing push device for user {UserId}", userId);
+            return StatusCode(500, new { message = "Error removing push device", error = ex.Message });
+        }
+    }
+
+    [HttpPost("check")]
+    public async Task<IActionResult> CheckAlerts()
+    {
+        var (userId, error) = GetAuthenticatedUser();
+        if (error != null) return error;
+
+        try
+        {
+            var raised = await _alertService.EvaluateAsync(userId);
+            return Ok(new { alertsRaised = raised });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error checking finance alerts for user {UserId}", userId);
+            return StatusCode(500, new { message = "Error checking alerts", error = ex.Message });
+        }
+    }
+}
+
+/// <summary>A browser push subscription (endpoint with its p256dh and auth keys) or an Expo push token.</summary>
+public class RegisterDeviceRequest
+{
+    public string Kind { get; set; } = PushDevice.Web;
+    public string Endpoint { get; set; } = string.Empty;
+    public string? P256dh { get; set; }
+    public string? Auth { get; set; }
+    public string? UserAgent { get; set; }
+}
@@ -0,0 +1,69 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Paire.Modules.Notifications.Core.Interfaces;
+using Paire.Shared.Infrastructure.Services;
+
+namespace Paire.Modules.Notifications.Core.Background;
+
+/// <summary>
+/// Delivers alerts held back by quiet hours, and once a day evaluates every user with a push
+/// device so date-driven alerts (bills coming due) fire without a finance change.
+/// </summary>
+public class AlertBackgroundService : BackgroundService
+{
+    private readonly IServiceProvider _serviceProvider;
+    private readonly ILogger<AlertBackgroundService> _logger;
+    private readonly IJobMonitorService _jobMonitor;
+    private static readonly TimeSpan Interval = TimeSpan.FromMinutes(15);
+    private DateTime? _lastDailyRun;
+
+    public AlertBackgroundService(
+        IServiceProvider serviceProvider,
+        ILogger<AlertBackgroundService> logger,
+        IJobMonitorService jobMonitor)
+    {
+        _serviceProvider = serviceProvider;
+        _logger = logger;
+        _jobMonitor = jobMonitor;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        _logger.LogInformation("Alert Background Service started");
+
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            try
+            {
+                await Task.Delay(Interval, stoppingToken);
+
+                _jobMonitor.ReportStart("AlertService");
+                using var scope = _serviceProvider.CreateScope();
+                var alertService = scope.ServiceProvider.GetRequiredService<IFinanceAlertService>();
+
+                var raised = 0;
+                if (_lastDailyRun != DateTime.UtcNow.Date)
+                {
+                    raised = await alertService.EvaluateAllUsersAsync();
+                    _lastDailyRun = DateTime.UtcNow.Date;
+                }
+                var delivered = await alertService.DeliverPendingAsync();
+
+                _jobMonitor.ReportSuccess("AlertService", $"Raised {raised}, delivered {delivered} pending alert(s).");
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("Alert Background Service is stopping");
+                break;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in Alert Background Service");
+                _jobMonitor.ReportFailure("AlertService", ex);
+            }
+        }
+
+        _logger.LogInformation("Alert Background Service stopped");
+    }
+}
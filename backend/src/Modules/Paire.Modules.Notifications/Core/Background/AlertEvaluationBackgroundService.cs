@@ -0,0 +1,58 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Paire.Modules.Notifications.Core.Interfaces;
+
+namespace Paire.Modules.Notifications.Core.Background;
+
+/// <summary>
+/// Evaluates the households queued by <see cref="EventHandlers.FinanceAlertsEventHandler"/>, so the
+/// database reads and pushes behind an alert never hold up the request that changed the finances.
+/// </summary>
+public class AlertEvaluationBackgroundService : BackgroundService
+{
+    private readonly IFinanceAlertQueue _queue;
+    private readonly IServiceProvider _serviceProvider;
+    private readonly ILogger<AlertEvaluationBackgroundService> _logger;
+
+    public AlertEvaluationBackgroundService(
+        IFinanceAlertQueue queue,
+        IServiceProvider serviceProvider,
+        ILogger<AlertEvaluationBackgroundService> logger)
+    {
+        _queue = queue;
+        _serviceProvider = serviceProvider;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        _logger.LogInformation("Alert Evaluation Service started");
+
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            Guid userId;
+            try
+            {
+                userId = await _queue.DequeueAsync(stoppingToken);
+            }
+            catch (OperationCanceledException)
+            {
+                break;
+            }
+
+            try
+            {
+                using var scope = _serviceProvider.CreateScope();
+                var alertService = scope.ServiceProvider.GetRequiredService<IFinanceAlertService>();
+                await alertService.EvaluateHouseholdAsync(userId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error evaluating finance alerts for the household of {UserId}", userId);
+            }
+        }
+
+        _logger.LogInformation("Alert Evaluation Service stopped");
+    }
+}
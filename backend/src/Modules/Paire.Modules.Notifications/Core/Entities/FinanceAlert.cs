@@ -0,0 +1,54 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace Paire.Modules.Notifications.Core.Entities;
+
+/// <summary>Alert rules; also sent to clients as the notification type.</summary>
+public static class AlertRules
+{
+    public const string Budget = "budget_alert";
+    public const string Bill = "bill_reminder";
+    public const string LowBalance = "low_balance";
+    public const string UnusualSpending = "unusual_spending";
+}
+
+/// <summary>
+/// An alert raised by the rules engine. Rule, reference and period are unique per user,
+/// so the same budget or bill alerts at most once per period.
+/// DeliveredAt stays empty while the alert waits for the user's quiet hours to end.
+/// </summary>
+[Table("finance_alerts")]
+public class FinanceAlert
+{
+    [Key] [Column("id")] public Guid Id { get; set; }
+    [Column("user_id")] public Guid UserId { get; set; }
+    [Column("rule")] [MaxLength(50)] public string Rule { get; set; } = string.Empty;
+    [Column("reference_key")] [MaxLength(100)] public string ReferenceKey { get; set; } = string.Empty;
+    [Column("period_key")] [MaxLength(50)] public string PeriodKey { get; set; } = string.Empty;
+    [Column("title")] [MaxLength(255)] public string Title { get; set; } = string.Empty;
+    [Column("body")] public string Body { get; set; } = string.Empty;
+    [Column("priority")] [MaxLength(20)] public string Priority { get; set; } = "medium";
+    [Column("url")] [MaxLength(255)] public string? Url { get; set; }
+    [Column("created_at")] public DateTime CreatedAt { get; set; }
+    [Column("delivered_at")] public DateTime? DeliveredAt { get; set; }
+    [Column("read_at")] public DateTime? ReadAt { get; set; }
+}
+
+/// <summary>A browser Web Push subscription or an Expo push token alerts are delivered to.</summary>
+[Table("push_devices")]
+public class PushDevice
+{
+    public const string Web = "web";
+    public const string Expo = "expo";
+
+    [Key] [Column("id")] public Guid Id { get; set; }
+    [Column("user_id")] public Guid UserId { get; set; }
+    [Column("kind")] [MaxLength(10)] public string Kind { get; set; } = Web;
+    /// <summary>Push service URL for web, ExponentPushToken[...] for Expo.</summary>
+    [Column("endpoint")] public string Endpoint { get; set; } = string.Empty;
+    [Column("p256dh_key")] public string? P256dhKey { get; set; }
+    [Column("auth_key")] public string? AuthKey { get; set; }
+    [Column("user_agent")] [MaxLength(500)] public string? UserAgent { get; set; }
+    [Column("created_at")] public DateTime CreatedAt { get; set; }
+    [Column("last_used_at")] public DateTime? LastUsedAt { get; set; }
+}
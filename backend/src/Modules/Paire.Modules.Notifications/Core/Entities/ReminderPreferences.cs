@@ -51,6 +51,33 @@ public class ReminderPreferences
     [Column("weekly_recap_enabled")]
     public bool WeeklyRecapEnabled { get; set; } = true;
 
+    [Column("push_enabled")]
+    public bool PushEnabled { get; set; } = true;
+
+    [Column("low_balance_alerts_enabled")]
+    public bool LowBalanceAlertsEnabled { get; set; } = true;
+
+    /// <summary>Alert when the month-end balance is projected below this amount.</summary>
+    [Column("low_balance_threshold")]
+    public decimal LowBalanceThreshold { get; set; } = 100;
+
+    [Column("unusual_spending_alerts_enabled")]
+    public bool UnusualSpendingAlertsEnabled { get; set; } = true;
+
+    /// <summary>Start of quiet hours as HH:mm in <see cref="TimeZone"/>; alerts wait until they end.</summary>
+    [Column("quiet_hours_start")]
+    [MaxLength(5)]
+    public string? QuietHoursStart { get; set; }
+
+    [Column("quiet_hours_end")]
+    [MaxLength(5)]
+    public string? QuietHoursEnd { get; set; }
+
+    /// <summary>IANA time zone of the user's device, e.g. Europe/Athens.</summary>
+    [Column("time_zone")]
+    [MaxLength(100)]
+    public string? TimeZone { get; set; }
+
     [Column("created_at")]
     public DateTime CreatedAt { get; set; }
 
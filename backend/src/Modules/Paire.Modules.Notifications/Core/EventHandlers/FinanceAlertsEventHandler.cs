@@ -0,0 +1,34 @@
+using MediatR;
+using Paire.Modules.Notifications.Core.Interfaces;
+using Paire.Shared.Kernel.Events;
+
+namespace Paire.Modules.Notifications.Core.EventHandlers;
+
+/// <summary>
+/// Queues the household's finance alerts for re-evaluation whenever a transaction, budget or bill changes.
+/// The evaluation runs in <see cref="Background.AlertEvaluationBackgroundService"/> because this handler
+/// is awaited by the request that made the change.
+/// </summary>
+public class FinanceAlertsEventHandler : INotificationHandler<PartnerDataChangedEvent>
+{
+    private static readonly HashSet<string> AlertEntities = new()
+    {
+        PartnerSyncEntities.Transaction,
+        PartnerSyncEntities.Budget,
+        PartnerSyncEntities.RecurringBill
+    };
+
+    private readonly IFinanceAlertQueue _alertQueue;
+
+    public FinanceAlertsEventHandler(IFinanceAlertQueue alertQueue)
+    {
+        _alertQueue = alertQueue;
+    }
+
+    public Task Handle(PartnerDataChangedEvent notification, CancellationToken cancellationToken)
+    {
+        if (AlertEntities.Contains(notification.Entity) && Guid.TryParse(notification.UserId, out var userId))
+            _alertQueue.QueueHouseholdEvaluation(userId);
+        return Task.CompletedTask;
+    }
+}
@@ -0,0 +1,33 @@
+using Paire.Modules.Notifications.Core.Entities;
+
+namespace Paire.Modules.Notifications.Core.Interfaces;
+
+/// <summary>What a device is sent for an alert; Type is the alert rule.</summary>
+public record PushMessage(string Type, string Title, string Body, string? Url, string Priority, Guid AlertId);
+
+public interface IPushSender
+{
+    /// <summary>Send to every device; returns the endpoints the push services report as gone.</summary>
+    Task<IReadOnlyList<string>> SendAsync(IReadOnlyList<PushDevice> devices, PushMessage message);
+}
+
+public interface IFinanceAlertService
+{
+    /// <summary>Run the alert rules for a user and deliver new alerts unless quiet hours hold them back.</summary>
+    Task<int> EvaluateAsync(Guid userId);
+    /// <summary>Evaluate the user and their partner, who share the finances the rules look at.</summary>
+    Task<int> EvaluateHouseholdAsync(Guid userId);
+    Task<int> EvaluateAllUsersAsync();
+    /// <summary>Deliver alerts held back by quiet hours that have since ended.</summary>
+    Task<int> DeliverPendingAsync();
+    Task<PushDevice> RegisterDeviceAsync(Guid userId, PushDevice device);
+    Task<bool> UnregisterDeviceAsync(Guid userId, string endpoint);
+}
+
+/// <summary>Households waiting for their alerts to be evaluated off the request path.</summary>
+public interface IFinanceAlertQueue
+{
+    /// <summary>Queue the user's household; a household already waiting is not queued twice.</summary>
+    void QueueHouseholdEvaluation(Guid userId);
+    Task<Guid> DequeueAsync(CancellationToken cancellationToken);
+}
@@ -0,0 +1,180 @@
+using System.Globalization;
+using Paire.Modules.Finance.Contracts;
+using Paire.Modules.Notifications.Core.Entities;
+
+namespace Paire.Modules.Notifications.Core.Services;
+
+/// <summary>An alert the rules raised; Rule, ReferenceKey and PeriodKey identify it for de-duplication.</summary>
+public record AlertCandidate(string Rule, string ReferenceKey, string PeriodKey, string Title, string Body, string Priority, string Url);
+
+/// <summary>
+/// Budget, bill, low-balance and unusual-spending rules evaluated against a household's finance snapshot.
+/// Pure functions: the caller supplies the user's local date and stores what comes back.
+/// </summary>
+public static class AlertRulesEngine
+{
+    // An expense is unusual at three times the category's median, and at least this much above it
+    private const decimal UnusualMedianMultiple = 3m;
+    private const decimal UnusualMinimumExcess = 20m;
+    private const int UnusualMinimumSamples = 5;
+
+    public static IReadOnlyList<AlertCandidate> Evaluate(AlertSnapshotDto snapshot, ReminderPreferences prefs, DateTime today)
+    {
+        var day = today.Date;
+        var alerts = new List<AlertCandidate>();
+
+        if (prefs.BudgetAlertsEnabled)
+            alerts.AddRange(EvaluateBudgets(snapshot.Budgets, prefs.BudgetAlertThreshold, day));
+        if (prefs.BillRemindersEnabled)
+            alerts.AddRange(EvaluateBills(snapshot.Bills, prefs.BillReminderDays, day));
+        if (prefs.LowBalanceAlertsEnabled && EvaluateLowBalance(snapshot, prefs.LowBalanceThreshold, day) is { } lowBalance)
+            alerts.Add(lowBalance);
+        if (prefs.UnusualSpendingAlertsEnabled)
+            alerts.AddRange(EvaluateUnusualSpending(snapshot.Expenses, day));
+
+        return alerts;
+    }
+
+    public static IEnumerable<AlertCandidate> EvaluateBudgets(IEnumerable<BudgetStatusDto> budgets, decimal thresholdPercent, DateTime today)
+    {
+        var threshold = Math.Clamp(thresholdPercent, 50, 100);
+        foreach (var budget in budgets.Where(b => b.Amount > 0))
+        {
+            var percent = budget.SpentAmount / budget.Amount * 100;
+            var period = GetBudgetPeriodKey(budget.Period, today);
+            var spent = $"{budget.SpentAmount:N2} of {budget.Amount:N2}";
+
+            if (percent >= 100)
+            {
+                yield return new AlertCandidate(AlertRules.Budget, $"{budget.Id}:exceeded", period,
+                    $"Budget exceeded: {budget.Category}",
+                    $"You've spent {spent} ({percent:F0}%) of your {budget.Category} budget.",
+                    "high", "/budgets");
+            }
+            else if (percent >= threshold)
+            {
+                yield return new AlertCandidate(AlertRules.Budget, $"{budget.Id}:threshold", period,
+                    $"Budget alert: {budget.Category}",
+                    $"You've used {percent:F0}% of your {budget.Category} budget ({spent}).",
+                    "medium", "/budgets");
+            }
+        }
+    }
+
+    public static IEnumerable<AlertCandidate> EvaluateBills(IEnumerable<UpcomingBillDto> bills, int reminderDays, DateTime today)
+    {
+        var days = Math.Clamp(reminderDays, 1, 30);
+        foreach (var bill in bills)
+        {
+            var dueDate = bill.NextDueDate.Date;
+            var daysUntilDue = (dueDate - today).Days;
+            var period = dueDate.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+
+            if (daysUntilDue < 0)
+            {
+                // Auto-paid bills settle themselves; only manual ones are chased once overdue
+                if (bill.AutoPay) continue;
+                yield return new AlertCandidate(AlertRules.Bill, $"{bill.Id}:overdue", period,
+                    $"Bill overdue: {bill.Name}",
+                    $"{bill.Name} ({bill.Amount:N2}) was due {Plural(-daysUntilDue, "day")} ago.",
+                    "high", "/recurring-bills");
+            }
+            else if (daysUntilDue <= days)
+            {
+                var when = daysUntilDue == 0 ? "today" : $"in {Plural(daysUntilDue, "day")}";
+                yield return new AlertCandidate(AlertRules.Bill, $"{bill.Id}:due", period,
+                    $"{bill.Name} is due {when}",
+                    bill.AutoPay
+                        ? $"{bill.Amount:N2} will be paid automatically."
+                        : $"{bill.Amount:N2} is due on {dueDate:MMMM d}.",
+                    "medium", "/recurring-bills");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Income so far this month minus expenses so far and the bills still due before it ends.
+    /// Needs some income this month, otherwise every month would start with a warning.
+    /// </summary>
+    public static AlertCandidate? EvaluateLowBalance(AlertSnapshotDto snapshot, decimal threshold, DateTime today)
+    {
+        if (snapshot.MonthIncome <= 0) return null;
+
+        var monthEnd = new DateTime(today.Year, today.Month, 1).AddMonths(1).AddDays(-1);
+        var billsDue = snapshot.Bills.Where(b => b.NextDueDate.Date <= monthEnd).Sum(b => b.Amount);
+        var projected = snapshot.MonthIncome - snapshot.MonthExpenses - billsDue;
+        if (projected >= threshold) return null;
+
+        return new AlertCandidate(AlertRules.LowBalance, "month", today.ToString("yyyy-MM", CultureInfo.InvariantCulture),
+            "Low balance ahead",
+            billsDue > 0
+                ? $"After {billsDue:N2} in bills still due you're on course to end the month with {projected:N2}."
+                : $"You're on course to end the month with {projected:N2}.",
+            projected < 0 ? "high" : "medium", "/dashboard");
+    }
+
+    /// <summary>Expenses from today and yesterday far above what the category usually costs.</summary>
+    public static IEnumerable<AlertCandidate> EvaluateUnusualSpending(IReadOnlyList<ExpenseSampleDto> expenses, DateTime today)
+    {
+        var recentFrom = today.AddDays(-1);
+        foreach (var expense in expenses.Where(e => e.Date.Date >= recentFrom && e.Date.Date <= today))
+        {
+            var baseline = expenses
+                .Where(e => e.Date.Date < recentFrom && string.Equals(e.Category, expense.Category, StringComparison.OrdinalIgnoreCase))
+                .Select(e => e.Amount)
+                .ToList();
+            if (baseline.Count < UnusualMinimumSamples) continue;
+
+            var median = Median(baseline);
+            if (median <= 0 || expense.Amount < median * UnusualMedianMultiple || expense.Amount - median < UnusualMinimumExcess) continue;
+
+            var label = string.IsNullOrWhiteSpace(expense.Description) ? expense.Category : expense.Description.Trim();
+            yield return new AlertCandidate(AlertRules.UnusualSpending, expense.Id.ToString(),
+                expense.Date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+                $"Unusual spending: {expense.Category}",
+                $"{label} for {expense.Amount:N2} is about {expense.Amount / median:F0}x your usual {expense.Category} expense of {median:N2}.",
+                "medium", "/expenses");
+        }
+    }
+
+    /// <summary>Whether the user's quiet hours cover the given moment. Hours spanning midnight are supported.</summary>
+    public static bool IsQuietTime(ReminderPreferences prefs, DateTime utcNow)
+    {
+        if (!TryParseTime(prefs.QuietHoursStart, out var start) || !TryParseTime(prefs.QuietHoursEnd, out var end) || start == end)
+            return false;
+        return TimeOnly.FromDateTime(ToLocalTime(utcNow, prefs.TimeZone)).IsBetween(start, end);
+    }
+
+    /// <summary>The user's local time; UTC when the time zone is missing or unknown.</summary>
+    public static DateTime ToLocalTime(DateTime utcNow, string? timeZone)
+    {
+        if (string.IsNullOrWhiteSpace(timeZone)) return utcNow;
+        try
+        {
+            return TimeZoneInfo.ConvertTimeFromUtc(DateTime.SpecifyKind(utcNow, DateTimeKind.Utc), TimeZoneInfo.FindSystemTimeZoneById(timeZone));
+        }
+        catch (Exception ex) when (ex is TimeZoneNotFoundException or InvalidTimeZoneException)
+        {
+            return utcNow;
+        }
+    }
+
+    private static string GetBudgetPeriodKey(string period, DateTime today) => period.ToLowerInvariant() switch
+    {
+        "yearly" => today.ToString("yyyy", CultureInfo.InvariantCulture),
+        "weekly" => $"{ISOWeek.GetYear(today)}-W{ISOWeek.GetWeekOfYear(today):D2}",
+        _ => today.ToString("yyyy-MM", CultureInfo.InvariantCulture)
+    };
+
+    private static bool TryParseTime(string? value, out TimeOnly time) =>
+        TimeOnly.TryParseExact(value, "HH:mm", CultureInfo.InvariantCulture, DateTimeStyles.None, out time);
+
+    private static decimal Median(List<decimal> values)
+    {
+        values.Sort();
+        var middle = values.Count / 2;
+        return values.Count % 2 == 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    }
+
+    private static string Plural(int count, string unit) => $"{count} {unit}{(count == 1 ? "" : "s")}";
+}
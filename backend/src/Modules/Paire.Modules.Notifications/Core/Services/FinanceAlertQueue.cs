@@ -0,0 +1,27 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using Paire.Modules.Notifications.Core.Interfaces;
+
+namespace Paire.Modules.Notifications.Core.Services;
+
+/// <summary>
+/// In-memory queue read by <see cref="Background.AlertEvaluationBackgroundService"/>. A burst of changes
+/// (e.g. a statement import) queues the household once; a change made after it was picked up queues it again.
+/// </summary>
+public class FinanceAlertQueue : IFinanceAlertQueue
+{
+    private readonly Channel<Guid> _channel = Channel.CreateUnbounded<Guid>(new UnboundedChannelOptions { SingleReader = true });
+    private readonly ConcurrentDictionary<Guid, byte> _waiting = new();
+
+    public void QueueHouseholdEvaluation(Guid userId)
+    {
+        if (_waiting.TryAdd(userId, 0)) _channel.Writer.TryWrite(userId);
+    }
+
+    public async Task<Guid> DequeueAsync(CancellationToken cancellationToken)
+    {
+        var userId = await _channel.Reader.ReadAsync(cancellationToken);
+        _waiting.TryRemove(userId, out _);
+        return userId;
+    }
+}
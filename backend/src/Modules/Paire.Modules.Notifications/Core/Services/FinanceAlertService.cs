@@ -0,0 +1,232 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Npgsql;
+using Paire.Modules.Finance.Contracts;
+using Paire.Modules.Notifications.Core.Entities;
+using Paire.Modules.Notifications.Core.Interfaces;
+using Paire.Modules.Notifications.Infrastructure;
+using Paire.Modules.Partnership.Contracts;
+
+namespace Paire.Modules.Notifications.Core.Services;
+
+/// <summary>
+/// Runs <see cref="AlertRulesEngine"/> against the household's finances, stores what it raises
+/// and pushes it to the user's browsers and phones. Web and mobile share the same alerts,
+/// so an alert seen on one device is not raised again on another.
+/// </summary>
+public class FinanceAlertService : IFinanceAlertService
+{
+    private static readonly TimeSpan PendingAlertLifetime = TimeSpan.FromHours(24);
+
+    private readonly NotificationsDbContext _context;
+    private readonly IReminderService _reminderService;
+    private readonly IReminderDataProvider _reminderData;
+    private readonly IPartnershipResolver _partnershipResolver;
+    private readonly IPushSender _pushSender;
+    private readonly ILogger<FinanceAlertService> _logger;
+
+    public FinanceAlertService(
+        NotificationsDbContext context,
+        IReminderService reminderService,
+        IReminderDataProvider reminderData,
+        IPartnershipResolver partnershipResolver,
+        IPushSender pushSender,
+        ILogger<FinanceAlertService> logger)
+    {
+        _context = context;
+        _reminderService = reminderService;
+        _reminderData = reminderData;
+        _partnershipResolver = partnershipResolver;
+        _pushSender = pushSender;
+        _logger = logger;
+    }
+
+    public async Task<int> EvaluateAsync(Guid userId)
+    {
+        var prefs = await _reminderService.GetReminderSettingsAsync(userId);
+        if (!prefs.PushEnabled) return 0;
+
+        var devices = await _context.PushDevices.Where(d => d.UserId == userId).ToListAsync();
+        if (devices.Count == 0) return 0;
+
+        var now = DateTime.UtcNow;
+        var localNow = AlertRulesEngine.ToLocalTime(now, prefs.TimeZone);
+        var partnerId = await _partnershipResolver.GetPartnerUserIdAsync(userId.ToString());
+        var partnerIds = partnerId != null ? new List<string> { partnerId } : new List<string>();
+        var snapshot = await _reminderData.GetAlertSnapshotAsync(userId, partnerIds, localNow.Date);
+
+        var candidates = AlertRulesEngine.Evaluate(snapshot, prefs, localNow);
+        if (candidates.Count == 0) return 0;
+
+        var references = candidates.Select(c => c.ReferenceKey).Distinct().ToList();
+        var raised = (await _context.FinanceAlerts
+                .Where(a => a.UserId == userId && references.Contains(a.ReferenceKey))
+                .Select(a => new { a.Rule, a.ReferenceKey, a.PeriodKey })
+                .ToListAsync())
+            .Select(a => (a.Rule, a.ReferenceKey, a.PeriodKey))
+            .ToHashSet();
+
+        var created = new List<FinanceAlert>();
+        foreach (var candidate in candidates.Where(c => !raised.Contains((c.Rule, c.ReferenceKey, c.PeriodKey))))
+        {
+            var alert = new FinanceAlert
+            {
+                Id = Guid.NewGuid(),
+                UserId = userId,
+                Rule = candidate.Rule,
+                ReferenceKey = candidate.ReferenceKey,
+                PeriodKey = candidate.PeriodKey,
+                Title = candidate.Title,
+                Body = candidate.Body,
+                Priority = candidate.Priority,
+                Url = candidate.Url,
+                CreatedAt = now
+            };
+            _context.FinanceAlerts.Add(alert);
+            try
+            {
+                await _context.SaveChangesAsync();
+                created.Add(alert);
+            }
+            catch (DbUpdateException ex) when (ex.InnerException is PostgresException pg && pg.SqlState == "23505")
+            {
+                // Raised meanwhile by an evaluation for another change
+                _context.Entry(alert).State = EntityState.Detached;
+            }
+        }
+
+        if (created.Count > 0 && !AlertRulesEngine.IsQuietTime(prefs, now))
+            await DeliverAsync(created, devices);
+
+        return created.Count;
+    }
+
+    public async Task<int> EvaluateHouseholdAsync(Guid userId)
+    {
+        var total = await EvaluateAsync(userId);
+        var partnerId = await _partnershipResolver.GetPartnerUserIdAsync(userId.ToString());
+        if (Guid.TryParse(partnerId, out var partnerGuid))
+            total += await EvaluateAsync(partnerGuid);
+        return total;
+    }
+
+    public async Task<int> EvaluateAllUsersAsync()
+    {
+        var userIds = await _context.PushDevices
+            .Select(d => d.UserId)
+            .Distinct()
+            .ToListAsync();
+
+        var total = 0;
+        foreach (var uid in userIds)
+        {
+            try
+            {
+                total += await EvaluateAsync(uid);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error evaluating finance alerts for user {UserId}", uid);
+            }
+        }
+        return total;
+    }
+
+    public async Task<int> DeliverPendingAsync()
+    {
+        var now = DateTime.UtcNow;
+        var cutoff = now - PendingAlertLifetime;
+        var pending = await _context.FinanceAlerts
+            .Where(a => a.DeliveredAt == null && a.CreatedAt >= cutoff)
+            .OrderBy(a => a.CreatedAt)
+            .ToListAsync();
+
+        var delivered = 0;
+        foreach (var group in pending.GroupBy(a => a.UserId))
+        {
+            try
+            {
+                var prefs = await _reminderService.GetReminderSettingsAsync(group.Key);
+                if (!prefs.PushEnabled || AlertRulesEngine.IsQuietTime(prefs, now)) continue;
+
+                var devices = await _context.PushDevices.Where(d => d.UserId == group.Key).ToListAsync();
+                if (devices.Count == 0) continue;
+
+                delivered += await DeliverAsync(group.ToList(), devices);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error delivering pending alerts for user {UserId}", group.Key);
+            }
+        }
+        return delivered;
+    }
+
+    public async Task<PushDevice> RegisterDeviceAsync(Guid userId, PushDevice device)
+    {
+        if (device.Kind != PushDevice.Web && device.Kind != PushDevice.Expo)
+            throw new ArgumentException($"Unknown device kind '{device.Kind}'");
+        if (string.IsNullOrWhiteSpace(device.Endpoint))
+            throw new ArgumentException("Endpoint is required");
+        if (device.Kind == PushDevice.Web && (string.IsNullOrWhiteSpace(device.P256dhKey) || string.IsNullOrWhiteSpace(device.AuthKey)))
+            throw new ArgumentException("Web push subscriptions need their p256dh and auth keys");
+        if (device.Kind == PushDevice.Web && !WebPushEndpoints.IsAllowed(device.Endpoint))
+            throw new ArgumentException("Web push endpoint must be an https URL of a browser push service");
+
+        // A browser or phone belongs to whoever signed in on it last
+        var existing = await _context.PushDevices.FirstOrDefaultAsync(d => d.Endpoint == device.Endpoint);
+        if (existing != null)
+        {
+            existing.UserId = userId;
+            existing.Kind = device.Kind;
+            existing.P256dhKey = device.P256dhKey;
+            existing.AuthKey = device.AuthKey;
+            existing.UserAgent = device.UserAgent;
+            await _context.SaveChangesAsync();
+            return existing;
+        }
+
+        device.Id = Guid.NewGuid();
+        device.UserId = userId;
+        device.CreatedAt = DateTime.UtcNow;
+        device.LastUsedAt = null;
+        _context.PushDevices.Add(device);
+        await _context.SaveChangesAsync();
+        return device;
+    }
+
+    public async Task<bool> UnregisterDeviceAsync(Guid userId, string endpoint)
+    {
+        var device = await _context.PushDevices.FirstOrDefaultAsync(d => d.UserId == userId && d.Endpoint == endpoint);
+        if (device == null) return false;
+
+        _context.PushDevices.Remove(device);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    private async Task<int> DeliverAsync(List<FinanceAlert> alerts, List<PushDevice> devices)
+    {
+        var expired = new HashSet<string>();
+        foreach (var alert in alerts)
+        {
+            var active = devices.Where(d => !expired.Contains(d.Endpoint)).ToList();
+            if (active.Count == 0) break;
+
+            var gone = await _pushSender.SendAsync(active, new PushMessage(alert.Rule, alert.Title, alert.Body, alert.Url, alert.Priority, alert.Id));
+            expired.UnionWith(gone);
+            alert.DeliveredAt = DateTime.UtcNow;
+        }
+
+        foreach (var device in devices)
+        {
+            if (expired.Contains(device.Endpoint)) _context.PushDevices.Remove(device);
+            else device.LastUsedAt = DateTime.UtcNow;
+        }
+        await _context.SaveChangesAsync();
+
+        if (expired.Count > 0)
+            _logger.LogInformation("Removed {Count} expired push device(s)", expired.Count);
+        return alerts.Count(a => a.DeliveredAt != null);
+    }
+}
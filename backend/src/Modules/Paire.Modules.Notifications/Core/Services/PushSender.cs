@@ -0,0 +1,162 @@
+using System.Net;
+using System.Net.Http.Headers;
+using System.Net.Http.Json;
+using System.Text.Json;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Paire.Modules.Notifications.Core.Entities;
+using Paire.Modules.Notifications.Core.Interfaces;
+
+namespace Paire.Modules.Notifications.Core.Services;
+
+/// <summary>
+/// Delivers alerts to browsers through Web Push (VAPID keys under WebPush in configuration)
+/// and to the mobile app through Expo's push service.
+/// </summary>
+public class PushSender : IPushSender
+{
+    private const string ExpoPushUrl = "https://exp.host/--/api/v2/push/send";
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly HttpClient _httpClient;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<PushSender> _logger;
+
+    public PushSender(HttpClient httpClient, IConfiguration configuration, ILogger<PushSender> logger)
+    {
+        _httpClient = httpClient;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    public async Task<IReadOnlyList<string>> SendAsync(IReadOnlyList<PushDevice> devices, PushMessage message)
+    {
+        var expired = new List<string>();
+
+        foreach (var device in devices.Where(d => d.Kind == PushDevice.Web))
+        {
+            if (await SendWebPushAsync(device, message) == false)
+                expired.Add(device.Endpoint);
+        }
+
+        var expoDevices = devices.Where(d => d.Kind == PushDevice.Expo).ToList();
+        if (expoDevices.Count > 0)
+            expired.AddRange(await SendExpoAsync(expoDevices, message));
+
+        return expired;
+    }
+
+    /// <returns>False when the subscription no longer exists, null when sending failed otherwise.</returns>
+    private async Task<bool?> SendWebPushAsync(PushDevice device, PushMessage message)
+    {
+        var subject = _configuration["WebPush:Subject"];
+        var publicKey = _configuration["WebPush:PublicKey"];
+        var privateKey = _configuration["WebPush:PrivateKey"];
+        if (string.IsNullOrWhiteSpace(publicKey) || string.IsNullOrWhiteSpace(privateKey) || string.IsNullOrWhiteSpace(subject))
+        {
+            _logger.LogWarning("WebPush keys are not configured; skipping browser push");
+            return null;
+        }
+        if (string.IsNullOrEmpty(device.P256dhKey) || string.IsNullOrEmpty(device.AuthKey)) return false;
+        // Registered before endpoints were checked; drop rather than post to an arbitrary URL
+        if (!WebPushEndpoints.IsAllowed(device.Endpoint)) return false;
+
+        try
+        {
+            var payload = JsonSerializer.SerializeToUtf8Bytes(new
+            {
+                type = message.Type,
+                title = message.Title,
+                body = message.Body,
+                url = message.Url,
+                alertId = message.AlertId
+            }, JsonOptions);
+
+            using var request = new HttpRequestMessage(HttpMethod.Post, device.Endpoint)
+            {
+                Content = new ByteArrayContent(WebPushEncryption.Encrypt(device.P256dhKey, device.AuthKey, payload))
+            };
+            request.Content.Headers.ContentType = new MediaTypeHeaderValue("application/octet-stream");
+            request.Content.Headers.ContentEncoding.Add("aes128gcm");
+            request.Headers.TryAddWithoutValidation("Authorization",
+                WebPushEncryption.CreateVapidAuthorization(device.Endpoint, subject, publicKey, privateKey, DateTime.UtcNow.AddHours(12)));
+            request.Headers.Add("TTL", "86400");
+            request.Headers.Add("Urgency", message.Priority == "high" ? "high" : "normal");
+
+            using var response = await _httpClient.SendAsync(request);
+            if (response.StatusCode is HttpStatusCode.NotFound or HttpStatusCode.Gone) return false;
+            if (!response.IsSuccessStatusCode)
+            {
+                _logger.LogWarning("Web push to {Host} failed with {Status}", new Uri(device.Endpoint).Host, (int)response.StatusCode);
+                return null;
+            }
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error sending web push to device {DeviceId}", device.Id);
+            return null;
+        }
+    }
+
+    private async Task<IReadOnlyList<string>> SendExpoAsync(List<PushDevice> devices, PushMessage message)
+    {
+        var channelId = message.Type switch
+        {
+            AlertRules.Budget or AlertRules.LowBalance or AlertRules.UnusualSpending => "budgets",
+            AlertRules.Bill => "bills",
+            _ => "default"
+        };
+        var messages = devices.Select(d => new
+        {
+            to = d.Endpoint,
+            title = message.Title,
+            body = message.Body,
+            sound = "default",
+            priority = message.Priority == "high" ? "high" : "default",
+            channelId,
+            data = new { type = message.Type, url = message.Url, alertId = message.AlertId }
+        }).ToList();
+
+        try
+        {
+            using var response = await _httpClient.PostAsJsonAsync(ExpoPushUrl, messages, JsonOptions);
+            if (!response.IsSuccessStatusCode)
+            {
+                _logger.LogWarning("Expo push failed with {Status}", (int)response.StatusCode);
+                return Array.Empty<string>();
+            }
+
+            // Tickets come back in the order the messages were sent
+            var result = await response.Content.ReadFromJsonAsync<ExpoPushResponse>(JsonOptions);
+            var expired = new List<string>();
+            for (var i = 0; i < Math.Min(devices.Count, result?.Data?.Count ?? 0); i++)
+            {
+                if (result!.Data![i].Details?.Error == "DeviceNotRegistered")
+                    expired.Add(devices[i].Endpoint);
+            }
+            return expired;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error sending Expo push to {Count} device(s)", devices.Count);
+            return Array.Empty<string>();
+        }
+    }
+
+    private sealed class ExpoPushResponse
+    {
+        public List<ExpoPushTicket>? Data { get; set; }
+    }
+
+    private sealed class ExpoPushTicket
+    {
+        public string? Status { get; set; }
+        public ExpoPushTicketDetails? Details { get; set; }
+    }
+
+    private sealed class ExpoPushTicketDetails
+    {
+        public string? Error { get; set; }
+    }
+}
@@ -109,6 +109,13 @@ public class ReminderService : IReminderService
             if (!string.IsNullOrWhiteSpace(preferences.DashboardOverviewMode)) existing.DashboardOverviewMode = preferences.DashboardOverviewMode;
             if (!string.IsNullOrWhiteSpace(preferences.ChatbotPersonality)) existing.ChatbotPersonality = preferences.ChatbotPersonality;
             existing.WeeklyRecapEnabled = preferences.WeeklyRecapEnabled;
+            existing.PushEnabled = preferences.PushEnabled;
+            existing.LowBalanceAlertsEnabled = preferences.LowBalanceAlertsEnabled;
+            existing.LowBalanceThreshold = preferences.LowBalanceThreshold;
+            existing.UnusualSpendingAlertsEnabled = preferences.UnusualSpendingAlertsEnabled;
+            existing.QuietHoursStart = string.IsNullOrWhiteSpace(preferences.QuietHoursStart) ? null : preferences.QuietHoursStart;
+            existing.QuietHoursEnd = string.IsNullOrWhiteSpace(preferences.QuietHoursEnd) ? null : preferences.QuietHoursEnd;
+            if (!string.IsNullOrWhiteSpace(preferences.TimeZone)) existing.TimeZone = preferences.TimeZone;
             existing.UpdatedAt = DateTime.UtcNow;
             await _context.SaveChangesAsync();
             return existing;
@@ -0,0 +1,100 @@
+using System.Buffers.Binary;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Microsoft.AspNetCore.WebUtilities;
+
+namespace Paire.Modules.Notifications.Core.Services;
+
+/// <summary>
+/// Web Push message encryption (RFC 8291, aes128gcm) and VAPID authorization (RFC 8292).
+/// Keys are base64url encoded: the subscription's p256dh and auth, and the server's
+/// uncompressed P-256 public key and raw private key.
+/// </summary>
+public static class WebPushEncryption
+{
+    private const uint RecordSize = 4096;
+
+    /// <summary>Encrypt a payload for a push subscription; the result is the request body.</summary>
+    public static byte[] Encrypt(string p256dh, string auth, byte[] payload)
+    {
+        var userAgentPublicKey = WebEncoders.Base64UrlDecode(p256dh);
+        var authSecret = WebEncoders.Base64UrlDecode(auth);
+
+        using var serverKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+        var serverPublicKey = ExportPublicKey(serverKey.ExportParameters(false));
+        using var userAgentKey = ECDiffieHellman.Create(ToParameters(userAgentPublicKey, null));
+        var sharedSecret = serverKey.DeriveRawSecretAgreement(userAgentKey.PublicKey);
+
+        var keyInfo = Concat(Encoding.ASCII.GetBytes("WebPush: info\0"), userAgentPublicKey, serverPublicKey);
+        var inputKey = HKDF.Expand(HashAlgorithmName.SHA256, HKDF.Extract(HashAlgorithmName.SHA256, sharedSecret, authSecret), 32, keyInfo);
+
+        var salt = RandomNumberGenerator.GetBytes(16);
+        var pseudoRandomKey = HKDF.Extract(HashAlgorithmName.SHA256, inputKey, salt);
+        var contentKey = HKDF.Expand(HashAlgorithmName.SHA256, pseudoRandomKey, 16, Encoding.ASCII.GetBytes("Content-Encoding: aes128gcm\0"));
+        var nonce = HKDF.Expand(HashAlgorithmName.SHA256, pseudoRandomKey, 12, Encoding.ASCII.GetBytes("Content-Encoding: nonce\0"));
+
+        // A single record: the payload followed by the last-record delimiter
+        var plaintext = Concat(payload, new byte[] { 2 });
+        var ciphertext = new byte[plaintext.Length];
+        var tag = new byte[16];
+        using (var aes = new AesGcm(contentKey, tag.Length))
+        {
+            aes.Encrypt(nonce, plaintext, ciphertext, tag);
+        }
+
+        var header = new byte[16 + 4 + 1];
+        salt.CopyTo(header, 0);
+        BinaryPrimitives.WriteUInt32BigEndian(header.AsSpan(16, 4), RecordSize);
+        header[20] = (byte)serverPublicKey.Length;
+        return Concat(header, serverPublicKey, ciphertext, tag);
+    }
+
+    /// <summary>Authorization header value for a push service endpoint.</summary>
+    public static string CreateVapidAuthorization(string endpoint, string subject, string publicKey, string privateKey, DateTime expiresUtc)
+    {
+        var audience = new Uri(endpoint).GetLeftPart(UriPartial.Authority);
+        var header = Encode(JsonSerializer.SerializeToUtf8Bytes(new { typ = "JWT", alg = "ES256" }));
+        var claims = Encode(JsonSerializer.SerializeToUtf8Bytes(new
+        {
+            aud = audience,
+            exp = new DateTimeOffset(expiresUtc).ToUnixTimeSeconds(),
+            sub = subject
+        }));
+
+        var unsigned = $"{header}.{claims}";
+        using var signer = ECDsa.Create(ToParameters(WebEncoders.Base64UrlDecode(publicKey), WebEncoders.Base64UrlDecode(privateKey)));
+        // .NET signs ES256 in the r||s form JWT expects
+        var signature = signer.SignData(Encoding.ASCII.GetBytes(unsigned), HashAlgorithmName.SHA256);
+        return $"vapid t={unsigned}.{Encode(signature)}, k={publicKey}";
+    }
+
+    private static ECParameters ToParameters(byte[] uncompressedPublicKey, byte[]? privateKey)
+    {
+        if (uncompressedPublicKey.Length != 65 || uncompressedPublicKey[0] != 4)
+            throw new ArgumentException("Expected an uncompressed P-256 public key");
+
+        return new ECParameters
+        {
+            Curve = ECCurve.NamedCurves.nistP256,
+            Q = new ECPoint { X = uncompressedPublicKey[1..33], Y = uncompressedPublicKey[33..65] },
+            D = privateKey
+        };
+    }
+
+    private static byte[] ExportPublicKey(ECParameters parameters) => Concat(new byte[] { 4 }, parameters.Q.X!, parameters.Q.Y!);
+
+    private static string Encode(byte[] bytes) => WebEncoders.Base64UrlEncode(bytes);
+
+    private static byte[] Concat(params byte[][] parts)
+    {
+        var result = new byte[parts.Sum(p => p.Length)];
+        var offset = 0;
+        foreach (var part in parts)
+        {
+            part.CopyTo(result, offset);
+            offset += part.Length;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,29 @@
+namespace Paire.Modules.Notifications.Core.Services;
+
+/// <summary>
+/// Web Push endpoints come from the browser, and the server POSTs to them on every alert, so only
+/// https URLs on the browsers' own push services are accepted.
+/// </summary>
+public static class WebPushEndpoints
+{
+    // Chrome and Edge (FCM), Firefox (autopush), Safari, and legacy Edge (WNS)
+    private static readonly string[] AllowedHosts =
+    {
+        "fcm.googleapis.com",
+        "push.services.mozilla.com",
+        "push.apple.com",
+        "notify.windows.com"
+    };
+
+    /// <summary>Whether the server may send pushes to this subscription endpoint.</summary>
+    public static bool IsAllowed(string? endpoint)
+    {
+        if (!Uri.TryCreate(endpoint, UriKind.Absolute, out var uri)) return false;
+        if (uri.Scheme != Uri.UriSchemeHttps || !uri.IsDefaultPort || !string.IsNullOrEmpty(uri.UserInfo)) return false;
+
+        var host = uri.IdnHost.TrimEnd('.');
+        return AllowedHosts.Any(allowed =>
+            host.Equals(allowed, StringComparison.OrdinalIgnoreCase)
+            || host.EndsWith("." + allowed, StringComparison.OrdinalIgnoreCase));
+    }
+}
@@ -8,6 +8,8 @@ public class NotificationsDbContext : DbContext
     public NotificationsDbContext(DbContextOptions<NotificationsDbContext> options) : base(options) { }
 
     public DbSet<ReminderPreferences> ReminderPreferences { get; set; }
+    public DbSet<FinanceAlert> FinanceAlerts { get; set; }
+    public DbSet<PushDevice> PushDevices { get; set; }
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -31,9 +33,33 @@ public class NotificationsDbContext : DbContext
             entity.Property(e => e.DashboardOverviewMode).HasColumnName("dashboard_overview_mode").HasMaxLength(50);
             entity.Property(e => e.ChatbotPersonality).HasColumnName("chatbot_personality").HasMaxLength(50).HasDefaultValue("supportive");
             entity.Property(e => e.WeeklyRecapEnabled).HasColumnName("weekly_recap_enabled").HasDefaultValue(true);
+            entity.Property(e => e.PushEnabled).HasColumnName("push_enabled").HasDefaultValue(true);
+            entity.Property(e => e.LowBalanceAlertsEnabled).HasColumnName("low_balance_alerts_enabled").HasDefaultValue(true);
+            entity.Property(e => e.LowBalanceThreshold).HasColumnName("low_balance_threshold").HasColumnType("decimal(18,2)").HasDefaultValue(100);
+            entity.Property(e => e.UnusualSpendingAlertsEnabled).HasColumnName("unusual_spending_alerts_enabled").HasDefaultValue(true);
+            entity.Property(e => e.QuietHoursStart).HasColumnName("quiet_hours_start").HasMaxLength(5);
+            entity.Property(e => e.QuietHoursEnd).HasColumnName("quiet_hours_end").HasMaxLength(5);
+            entity.Property(e => e.TimeZone).HasColumnName("time_zone").HasMaxLength(100);
             entity.Property(e => e.CreatedAt).HasColumnName("created_at").HasDefaultValueSql("CURRENT_TIMESTAMP");
             entity.Property(e => e.UpdatedAt).HasColumnName("updated_at").HasDefaultValueSql("CURRENT_TIMESTAMP");
             entity.HasIndex(e => e.UserId).IsUnique();
         });
+
+        modelBuilder.Entity<FinanceAlert>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.CreatedAt).HasDefaultValueSql("CURRENT_TIMESTAMP");
+            entity.HasIndex(e => new { e.UserId, e.Rule, e.ReferenceKey, e.PeriodKey }).IsUnique();
+            entity.HasIndex(e => new { e.UserId, e.CreatedAt });
+            entity.HasIndex(e => e.DeliveredAt);
+        });
+
+        modelBuilder.Entity<PushDevice>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.CreatedAt).HasDefaultValueSql("CURRENT_TIMESTAMP");
+            entity.HasIndex(e => e.Endpoint).IsUnique();
+            entity.HasIndex(e => e.UserId);
+        });
     }
 }
@@ -18,8 +18,16 @@ public static class NotificationsModule
 
         services.AddScoped<IReminderService, ReminderService>();
         services.AddScoped<IChatbotPersonalityProvider, ChatbotPersonalityProvider>();
+        services.AddScoped<IFinanceAlertService, FinanceAlertService>();
+        services.AddSingleton<IFinanceAlertQueue, FinanceAlertQueue>();
+        services.AddHttpClient<IPushSender, PushSender>(client =>
+        {
+            client.Timeout = TimeSpan.FromSeconds(10);
+        });
 
         services.AddHostedService<ReminderBackgroundService>();
+        services.AddHostedService<AlertBackgroundService>();
+        services.AddHostedService<AlertEvaluationBackgroundService>();
 
         return services;
     }
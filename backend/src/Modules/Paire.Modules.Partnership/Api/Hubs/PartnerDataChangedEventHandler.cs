@@ -0,0 +1,51 @@
+using MediatR;
+using Microsoft.AspNetCore.SignalR;
+using Paire.Modules.Partnership.Contracts;
+using Paire.Shared.Kernel.Events;
+
+namespace Paire.Modules.Partnership.Api.Hubs;
+
+/// <summary>
+/// Forwards shared-data changes to the partner's connected clients.
+/// </summary>
+public class PartnerDataChangedEventHandler : INotificationHandler<PartnerDataChangedEvent>
+{
+    private readonly IHubContext<PartnerHub> _hubContext;
+    private readonly IPartnershipResolver _partnershipResolver;
+    private readonly ILogger<PartnerDataChangedEventHandler> _logger;
+
+    public PartnerDataChangedEventHandler(
+        IHubContext<PartnerHub> hubContext,
+        IPartnershipResolver partnershipResolver,
+        ILogger<PartnerDataChangedEventHandler> logger)
+    {
+        _hubContext = hubContext;
+        _partnershipResolver = partnershipResolver;
+        _logger = logger;
+    }
+
+    public async Task Handle(PartnerDataChangedEvent notification, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var partnerId = await _partnershipResolver.GetPartnerUserIdAsync(notification.UserId);
+            if (partnerId == null) return;
+
+            await _hubContext.Clients.Group(PartnerHub.UserGroup(partnerId)).SendAsync("PartnerDataChanged", new
+            {
+                entity = notification.Entity,
+                action = notification.Action,
+                entityId = notification.EntityId,
+                parentId = notification.ParentId,
+                data = notification.Data,
+                userId = notification.UserId,
+                partnerName = notification.UserName,
+                occurredOn = notification.OccurredOn
+            }, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error forwarding {Entity} change to partner of {UserId}", notification.Entity, notification.UserId);
+        }
+    }
+}
@@ -0,0 +1,86 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.SignalR;
+using Paire.Modules.Partnership.Contracts;
+
+namespace Paire.Modules.Partnership.Api.Hubs;
+
+/// <summary>
+/// Real-time channel between partners.
+/// Server to client: PartnerDataChanged, PartnerPresenceChanged.
+/// Client to server: SetActivity(activity), GetPartnerPresence().
+/// </summary>
+[Authorize]
+public class PartnerHub : Hub
+{
+    private readonly IPartnershipResolver _partnershipResolver;
+    private readonly PartnerPresenceTracker _presence;
+
+    public PartnerHub(IPartnershipResolver partnershipResolver, PartnerPresenceTracker presence)
+    {
+        _partnershipResolver = partnershipResolver;
+        _presence = presence;
+    }
+
+    /// <summary>Group holding every connection of one user.</summary>
+    public static string UserGroup(string userId) => $"user:{userId}";
+
+    public override async Task OnConnectedAsync()
+    {
+        var userId = GetUserId();
+        if (userId == null)
+        {
+            Context.Abort();
+            return;
+        }
+
+        await Groups.AddToGroupAsync(Context.ConnectionId, UserGroup(userId));
+        if (_presence.Connect(userId, Context.ConnectionId))
+            await NotifyPartnerAsync(userId);
+
+        await base.OnConnectedAsync();
+    }
+
+    public override async Task OnDisconnectedAsync(Exception? exception)
+    {
+        var userId = GetUserId();
+        if (userId != null && _presence.Disconnect(userId, Context.ConnectionId))
+            await NotifyPartnerAsync(userId);
+
+        await base.OnDisconnectedAsync(exception);
+    }
+
+    /// <summary>
+    /// Tell the partner what this user is looking at, e.g. "shopping:&lt;listId&gt;" or "trip:&lt;tripId&gt;".
+    /// Null clears it.
+    /// </summary>
+    public async Task SetActivity(string? activity)
+    {
+        var userId = GetUserId();
+        if (userId == null) return;
+
+        _presence.SetActivity(userId, Context.ConnectionId, string.IsNullOrWhiteSpace(activity) ? null : activity[..Math.Min(activity.Length, 100)]);
+        await NotifyPartnerAsync(userId);
+    }
+
+    /// <summary>Presence of the caller's partner, or null without an active partnership.</summary>
+    public async Task<PartnerPresence?> GetPartnerPresence()
+    {
+        var userId = GetUserId();
+        if (userId == null) return null;
+
+        var partnerId = await _partnershipResolver.GetPartnerUserIdAsync(userId);
+        return partnerId == null ? null : _presence.Get(partnerId);
+    }
+
+    private async Task NotifyPartnerAsync(string userId)
+    {
+        var partnerId = await _partnershipResolver.GetPartnerUserIdAsync(userId);
+        if (partnerId == null) return;
+
+        await Clients.Group(UserGroup(partnerId)).SendAsync("PartnerPresenceChanged", _presence.Get(userId));
+    }
+
+    private string? GetUserId() =>
+        Context.User?.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier)?.Value
+        ?? Context.User?.FindFirst("sub")?.Value;
+}
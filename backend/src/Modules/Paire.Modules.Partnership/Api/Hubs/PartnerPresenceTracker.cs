@@ -0,0 +1,64 @@
+using System.Collections.Concurrent;
+
+namespace Paire.Modules.Partnership.Api.Hubs;
+
+/// <summary>
+/// In-memory presence of users connected to the partner hub.
+/// A user may have several connections (tabs, devices); they are online while any is open.
+/// </summary>
+public class PartnerPresenceTracker
+{
+    private readonly ConcurrentDictionary<string, PresenceEntry> _entries = new();
+
+    /// <returns>True when this is the user's first open connection.</returns>
+    public bool Connect(string userId, string connectionId)
+    {
+        var entry = _entries.GetOrAdd(userId, _ => new PresenceEntry());
+        lock (entry)
+        {
+            entry.Connections[connectionId] = null;
+            entry.LastSeen = DateTime.UtcNow;
+            return entry.Connections.Count == 1;
+        }
+    }
+
+    /// <returns>True when the user has no open connection left.</returns>
+    public bool Disconnect(string userId, string connectionId)
+    {
+        if (!_entries.TryGetValue(userId, out var entry)) return true;
+        lock (entry)
+        {
+            entry.Connections.Remove(connectionId);
+            entry.LastSeen = DateTime.UtcNow;
+            return entry.Connections.Count == 0;
+        }
+    }
+
+    public void SetActivity(string userId, string connectionId, string? activity)
+    {
+        if (!_entries.TryGetValue(userId, out var entry)) return;
+        lock (entry)
+        {
+            if (entry.Connections.ContainsKey(connectionId)) entry.Connections[connectionId] = activity;
+            entry.LastSeen = DateTime.UtcNow;
+        }
+    }
+
+    public PartnerPresence Get(string userId)
+    {
+        if (!_entries.TryGetValue(userId, out var entry)) return new PartnerPresence(userId, false, null, null);
+        lock (entry)
+        {
+            var activity = entry.Connections.Values.LastOrDefault(a => a != null);
+            return new PartnerPresence(userId, entry.Connections.Count > 0, activity, entry.LastSeen);
+        }
+    }
+
+    private class PresenceEntry
+    {
+        public Dictionary<string, string?> Connections { get; } = new();
+        public DateTime LastSeen { get; set; }
+    }
+}
+
+public record PartnerPresence(string UserId, bool Online, string? Activity, DateTime? LastSeen);
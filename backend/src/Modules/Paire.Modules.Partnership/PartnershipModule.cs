@@ -1,6 +1,7 @@
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.DependencyInjection;
+using Paire.Modules.Partnership.Api.Hubs;
 using Paire.Modules.Partnership.Contracts;
 using Paire.Modules.Partnership.Core.Interfaces;
 using Paire.Modules.Partnership.Core.Services;
@@ -24,6 +25,7 @@ public static class PartnershipModule
 
         services.AddScoped<IPartnershipService, PartnershipService>();
         services.AddScoped<IPartnershipResolver, PartnershipResolver>();
+        services.AddSingleton<PartnerPresenceTracker>();
 
         return services;
     }
@@ -3,6 +3,7 @@ using Microsoft.Extensions.Logging;
 using Paire.Modules.Shopping.Core.Entities;
 using Paire.Modules.Shopping.Core.Interfaces;
 using Paire.Shared.Kernel.Api;
+using Paire.Shared.Kernel.Events;
 
 namespace Paire.Modules.Shopping.Api.Controllers;
 
@@ -61,6 +62,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpPost]
+    [PartnerSync(PartnerSyncEntities.ShoppingList)]
     public async Task<IActionResult> CreateShoppingList([FromBody] ShoppingList list)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -90,6 +92,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpPut("{id}")]
+    [PartnerSync(PartnerSyncEntities.ShoppingList)]
     public async Task<IActionResult> UpdateShoppingList(Guid id, [FromBody] ShoppingList list)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -118,6 +121,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpDelete("{id}")]
+    [PartnerSync(PartnerSyncEntities.ShoppingList)]
     public async Task<IActionResult> DeleteShoppingList(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -165,6 +169,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpPost("{listId}/items")]
+    [PartnerSync(PartnerSyncEntities.ShoppingItem, ParentRoute = "listId")]
     public async Task<IActionResult> AddShoppingListItem(Guid listId, [FromBody] ShoppingListItem item)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -197,6 +202,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpPut("{listId}/items/{itemId}")]
+    [PartnerSync(PartnerSyncEntities.ShoppingItem, IdRoute = "itemId", ParentRoute = "listId")]
     public async Task<IActionResult> UpdateShoppingListItem(Guid listId, Guid itemId, [FromBody] ShoppingListItem item)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -225,6 +231,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpPost("{listId}/items/{itemId}/toggle")]
+    [PartnerSync(PartnerSyncEntities.ShoppingItem, "toggled", IdRoute = "itemId", ParentRoute = "listId")]
     public async Task<IActionResult> ToggleItemChecked(Guid listId, Guid itemId)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -250,6 +257,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpDelete("{listId}/items/{itemId}")]
+    [PartnerSync(PartnerSyncEntities.ShoppingItem, IdRoute = "itemId", ParentRoute = "listId")]
     public async Task<IActionResult> DeleteShoppingListItem(Guid listId, Guid itemId)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -275,6 +283,7 @@ public class ShoppingListsController : BaseApiController
     }
 
     [HttpPost("{id}/complete")]
+    [PartnerSync(PartnerSyncEntities.ShoppingList, "completed")]
     public async Task<IActionResult> CompleteShoppingList(Guid id)
     {
         var (userId, error) = GetAuthenticatedUser();
@@ -1,3 +1,4 @@
+using System.Text;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Paire.Modules.Travel.Core.DTOs;
@@ -16,6 +17,8 @@ namespace Paire.Modules.Travel.Api.Controllers;
 [Route("api/travel")]
 public class TravelController : BaseApiController
 {
+    private const string CalendarContentType = "text/calendar; charset=utf-8";
+
     private readonly ILogger<TravelController> _logger;
     private readonly ITravelService _travelService;
     private readonly ITravelGeocodingService _geocodingService;
@@ -214,7 +217,7 @@ public class TravelController : BaseApiController
     /// Update an existing trip
     /// </summary>
     [HttpPut("trips/{id}")]
-    public async Task<ActionResult<Trip>> UpdateTrip(Guid id, [FromBody] Trip updates)
+    public async Task<ActionResult<Trip>> UpdateTrip(Guid id, [FromBody] UpdateTripRequest updates)
     {
         var userId = GetCurrentUserId();
         if (string.IsNullOrEmpty(userId))
@@ -465,6 +468,96 @@ public class TravelController : BaseApiController
         return NoContent();
     }
 
+    // ========================================
+    // CALENDAR (iCalendar export and feed)
+    // ========================================
+
+    /// <summary>
+    /// Download the itinerary as an .ics file, or a single day of it when date is given
+    /// </summary>
+    [HttpGet("trips/{tripId}/calendar.ics")]
+    public async Task<IActionResult> ExportCalendar(Guid tripId, [FromQuery] DateTime? date = null)
+    {
+        var userId = GetCurrentUserId();
+        if (string.IsNullOrEmpty(userId))
+        {
+            return Unauthorized();
+        }
+
+        var calendar = await _travelService.ExportCalendarAsync(userId, tripId, date);
+
+        if (calendar == null)
+        {
+            return NotFound("Trip not found");
+        }
+
+        return File(Encoding.UTF8.GetBytes(calendar.Content), CalendarContentType, calendar.FileName);
+    }
+
+    /// <summary>
+    /// Turn on the trip's subscribable calendar feed. Calling it again issues a new
+    /// token, so anyone holding the previous feed URL loses access.
+    /// </summary>
+    [HttpPost("trips/{tripId}/calendar-feed")]
+    public async Task<IActionResult> EnableCalendarFeed(Guid tripId)
+    {
+        var userId = GetCurrentUserId();
+        if (string.IsNullOrEmpty(userId))
+        {
+            return Unauthorized();
+        }
+
+        var token = await _travelService.EnableCalendarFeedAsync(userId, tripId);
+
+        if (token == null)
+        {
+            return NotFound("Trip not found");
+        }
+
+        return Ok(new { token });
+    }
+
+    /// <summary>
+    /// Turn off the trip's calendar feed
+    /// </summary>
+    [HttpDelete("trips/{tripId}/calendar-feed")]
+    public async Task<IActionResult> DisableCalendarFeed(Guid tripId)
+    {
+        var userId = GetCurrentUserId();
+        if (string.IsNullOrEmpty(userId))
+        {
+            return Unauthorized();
+        }
+
+        var success = await _travelService.DisableCalendarFeedAsync(userId, tripId);
+
+        if (!success)
+        {
+            return NotFound("Trip not found");
+        }
+
+        return NoContent();
+    }
+
+    /// <summary>
+    /// Subscribed calendar feed. Calendar apps poll this without signing in,
+    /// so the unguessable token in the URL is what grants access.
+    /// </summary>
+    [AllowAnonymous]
+    [HttpGet("calendar/{token}.ics")]
+    public async Task<IActionResult> GetCalendarFeed(string token)
+    {
+        var calendar = await _travelService.GetCalendarFeedAsync(token);
+
+        if (calendar == null)
+        {
+            return NotFound();
+        }
+
+        Response.Headers.CacheControl = "private, max-age=900";
+        return File(Encoding.UTF8.GetBytes(calendar.Content), CalendarContentType);
+    }
+
     // ========================================
     // PACKING ITEMS
     // ========================================
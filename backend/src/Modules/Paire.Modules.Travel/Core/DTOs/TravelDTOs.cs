@@ -1,5 +1,90 @@
+using System.Runtime.CompilerServices;
+using Paire.Modules.Travel.Core.Entities;
+using Paire.Modules.Travel.Core.Utils;
+
 namespace Paire.Modules.Travel.Core.DTOs;
 
+/// <summary>
+/// Trip edit. Each client sends only the fields it edits (mobile has no location, status or cover
+/// fields, web leaves the time zone to timeZoneService), so optional fields remember whether the body
+/// included them: left out keeps the stored value, sent as null clears it.
+/// </summary>
+public class UpdateTripRequest
+{
+    private readonly HashSet<string> _sent = new();
+    private string? _country;
+    private double? _latitude;
+    private double? _longitude;
+    private string? _timeZone;
+    private DateTime? _startDate;
+    private DateTime? _endDate;
+    private decimal _budget;
+    private string? _coverImage;
+    private string? _notes;
+
+    public string? Name { get; set; }
+
+    public string? Destination { get; set; }
+
+    public string? Country { get => _country; set => Set(ref _country, value); }
+
+    public double? Latitude { get => _latitude; set => Set(ref _latitude, value); }
+
+    public double? Longitude { get => _longitude; set => Set(ref _longitude, value); }
+
+    public string? TimeZone { get => _timeZone; set => Set(ref _timeZone, value); }
+
+    public DateTime? StartDate { get => _startDate; set => Set(ref _startDate, value); }
+
+    public DateTime? EndDate { get => _endDate; set => Set(ref _endDate, value); }
+
+    public decimal Budget { get => _budget; set => Set(ref _budget, value); }
+
+    public string? BudgetCurrency { get; set; }
+
+    public string? Status { get; set; }
+
+    public string? TripType { get; set; }
+
+    public string? CoverImage { get => _coverImage; set => Set(ref _coverImage, value); }
+
+    public string? Notes { get => _notes; set => Set(ref _notes, value); }
+
+    /// <summary>
+    /// Copy the edited fields onto the stored trip. Required fields ignore blank values.
+    /// </summary>
+    public void ApplyTo(Trip trip)
+    {
+        if (!string.IsNullOrWhiteSpace(Name)) trip.Name = Name;
+        if (!string.IsNullOrWhiteSpace(Destination)) trip.Destination = Destination;
+        if (!string.IsNullOrWhiteSpace(BudgetCurrency)) trip.BudgetCurrency = BudgetCurrency;
+        if (!string.IsNullOrWhiteSpace(Status)) trip.Status = Status;
+        if (!string.IsNullOrWhiteSpace(TripType)) trip.TripType = TripType;
+
+        var moved = (_sent.Contains(nameof(Latitude)) && Latitude != trip.Latitude)
+            || (_sent.Contains(nameof(Longitude)) && Longitude != trip.Longitude);
+
+        if (_sent.Contains(nameof(Country))) trip.Country = Country;
+        if (_sent.Contains(nameof(Latitude))) trip.Latitude = Latitude;
+        if (_sent.Contains(nameof(Longitude))) trip.Longitude = Longitude;
+        if (_sent.Contains(nameof(StartDate))) trip.StartDate = DateTimeUtils.ToUtc(StartDate);
+        if (_sent.Contains(nameof(EndDate))) trip.EndDate = DateTimeUtils.ToUtc(EndDate);
+        if (_sent.Contains(nameof(Budget))) trip.Budget = Budget;
+        if (_sent.Contains(nameof(CoverImage))) trip.CoverImage = CoverImage;
+        if (_sent.Contains(nameof(Notes))) trip.Notes = Notes;
+
+        // The old destination's zone is wrong for new coordinates; clients look the new one up
+        if (_sent.Contains(nameof(TimeZone))) trip.TimeZone = TimeZone;
+        else if (moved) trip.TimeZone = null;
+    }
+
+    private void Set<T>(ref T field, T value, [CallerMemberName] string property = "")
+    {
+        field = value;
+        _sent.Add(property);
+    }
+}
+
 public class TravelLocationResult
 {
     public string? Name { get; set; }
@@ -53,3 +138,12 @@ public class LayoutPreferencesDto
     public string? LayoutConfig { get; set; }
     public string? Preset { get; set; }
 }
+
+/// <summary>
+/// An itinerary rendered as an iCalendar (.ics) file
+/// </summary>
+public class TripCalendarExport
+{
+    public string FileName { get; set; } = string.Empty;
+    public string Content { get; set; } = string.Empty;
+}
@@ -16,11 +16,16 @@ public class Trip
     [Column("start_date")] public DateTime? StartDate { get; set; }
     [Column("end_date")] public DateTime? EndDate { get; set; }
     [Column("budget")] public decimal Budget { get; set; }
-    [Column("budget_currency")] [MaxLength(10)] public string BudgetCurrency { get; set; } = "EUR";
-    [Column("status")] [MaxLength(50)] public string Status { get; set; } = "planning";
-    [Column("trip_type")] [MaxLength(50)] public string TripType { get; set; } = "single";
+    // Null only on create requests that leave them out; new trips get EUR, "planning" and "single"
+    [Column("budget_currency")] [MaxLength(10)] public string? BudgetCurrency { get; set; }
+    [Column("status")] [MaxLength(50)] public string? Status { get; set; }
+    [Column("trip_type")] [MaxLength(50)] public string? TripType { get; set; }
     [Column("cover_image")] public string? CoverImage { get; set; }
     [Column("notes")] public string? Notes { get; set; }
+    /// <summary>IANA zone of the destination, looked up from its coordinates.</summary>
+    [Column("time_zone")] [MaxLength(100)] public string? TimeZone { get; set; }
+    /// <summary>Secret for the trip's subscribable iCalendar feed; null when the feed is off.</summary>
+    [Column("calendar_feed_token")] [MaxLength(64)] public string? CalendarFeedToken { get; set; }
     [Column("created_at")] public DateTime CreatedAt { get; set; }
     [Column("updated_at")] public DateTime UpdatedAt { get; set; }
 
@@ -41,6 +46,8 @@ public class TripCity
     [Column("country")] [MaxLength(100)] public string? Country { get; set; }
     [Column("latitude")] public double? Latitude { get; set; }
     [Column("longitude")] public double? Longitude { get; set; }
+    /// <summary>IANA zone of the city, looked up from its coordinates.</summary>
+    [Column("time_zone")] [MaxLength(100)] public string? TimeZone { get; set; }
     [Column("transport_mode")] [MaxLength(50)] public string? TransportMode { get; set; }
     [Column("order_index")] public int OrderIndex { get; set; }
     [Column("start_date")] public DateTime? StartDate { get; set; }
@@ -60,6 +67,10 @@ public class ItineraryEvent
     [Column("date")] public DateTime? Date { get; set; }
     [Column("start_time")] [MaxLength(10)] public string? StartTime { get; set; }
     [Column("end_time")] [MaxLength(10)] public string? EndTime { get; set; }
+    /// <summary>IANA zone StartTime and EndTime are in; null for floating (wall-clock) times.</summary>
+    [Column("time_zone")] [MaxLength(100)] public string? TimeZone { get; set; }
+    /// <summary>IANA zone EndTime is in when it differs from TimeZone, e.g. a flight's arrival airport.</summary>
+    [Column("end_time_zone")] [MaxLength(100)] public string? EndTimeZone { get; set; }
     [Column("location")] [MaxLength(255)] public string? Location { get; set; }
     [Column("address")] public string? Address { get; set; }
     [Column("latitude")] public double? Latitude { get; set; }
@@ -134,6 +145,8 @@ public class TravelExpense
     [Column("payment_method")] [MaxLength(50)] public string? PaymentMethod { get; set; }
     [Column("receipt_url")] public string? ReceiptUrl { get; set; }
     [Column("notes")] public string? Notes { get; set; }
+    [Column("paid_by")] [MaxLength(20)] public string? PaidBy { get; set; }
+    [Column("split_percentage")] public decimal? SplitPercentage { get; set; }
     [Column("created_at")] public DateTime CreatedAt { get; set; }
     [Column("updated_at")] public DateTime UpdatedAt { get; set; }
     [ForeignKey("TripId")] public virtual Trip? Trip { get; set; }
@@ -8,7 +8,7 @@ public interface ITravelService
     Task<IReadOnlyList<Trip>> GetTripsAsync(string userId);
     Task<Trip?> GetTripAsync(string userId, Guid tripId);
     Task<Trip> CreateTripAsync(string userId, Trip trip);
-    Task<Trip?> UpdateTripAsync(string userId, Guid tripId, Trip updates);
+    Task<Trip?> UpdateTripAsync(string userId, Guid tripId, UpdateTripRequest updates);
     Task<bool> DeleteTripAsync(string userId, Guid tripId);
 
     Task<IReadOnlyList<TripCity>?> GetTripCitiesAsync(string userId, Guid tripId);
@@ -22,6 +22,14 @@ public interface ITravelService
     Task<ItineraryEvent?> UpdateEventAsync(string userId, Guid tripId, Guid eventId, ItineraryEvent updates);
     Task<bool> DeleteEventAsync(string userId, Guid tripId, Guid eventId);
 
+    /// <summary>Itinerary as iCalendar; pass a date to export just that day.</summary>
+    Task<TripCalendarExport?> ExportCalendarAsync(string userId, Guid tripId, DateTime? date = null);
+    /// <summary>Calendar behind a subscribed feed URL; null when the token is unknown or revoked.</summary>
+    Task<TripCalendarExport?> GetCalendarFeedAsync(string token);
+    /// <summary>Turns the trip's calendar feed on with a fresh token, invalidating any earlier feed URL.</summary>
+    Task<string?> EnableCalendarFeedAsync(string userId, Guid tripId);
+    Task<bool> DisableCalendarFeedAsync(string userId, Guid tripId);
+
     Task<IReadOnlyList<PackingItem>?> GetPackingItemsAsync(string userId, Guid tripId);
     Task<PackingItem?> CreatePackingItemAsync(string userId, Guid tripId, PackingItem item);
     Task<PackingItem?> UpdatePackingItemAsync(string userId, Guid tripId, Guid itemId, PackingItem updates);
@@ -2,6 +2,7 @@ using Paire.Modules.Identity.Contracts;
 using Paire.Modules.Travel.Core.DTOs;
 using Paire.Modules.Travel.Core.Entities;
 using Paire.Modules.Travel.Core.Interfaces;
+using Paire.Modules.Travel.Core.Utils;
 using Paire.Modules.Travel.Infrastructure;
 using Paire.Shared.Infrastructure.Email;
 
@@ -202,7 +203,7 @@ public class TravelNotificationService : ITravelNotificationService
     {
         try
         {
-            var trip = await _dbContext.Trips.Include(t => t.ItineraryEvents).FirstOrDefaultAsync(t => t.Id == tripId);
+            var trip = await _dbContext.Trips.Include(t => t.ItineraryEvents).Include(t => t.Cities).FirstOrDefaultAsync(t => t.Id == tripId);
             if (trip == null || string.IsNullOrEmpty(trip.UserId)) return 0;
 
             var preferences = await GetPreferencesAsync(trip.UserId, tripId);
@@ -215,12 +216,16 @@ public class TravelNotificationService : ITravelNotificationService
             var now = DateTime.UtcNow;
             var notificationsSent = 0;
 
-            foreach (var evt in trip.ItineraryEvents.Where(e => e.Date.HasValue && e.Date.Value >= now.Date))
+            // Destinations ahead of UTC are already on tomorrow's date, so look a day back
+            foreach (var evt in trip.ItineraryEvents.Where(e => e.Date.HasValue && e.Date.Value >= now.Date.AddDays(-1)))
             {
                 var eventDateTime = evt.Date!.Value.Date;
-                if (!string.IsNullOrEmpty(evt.StartTime) && TimeSpan.TryParse(evt.StartTime, out var startTime))
-                    eventDateTime = eventDateTime.Add(startTime);
-                var hoursUntilEvent = (eventDateTime - now).TotalHours;
+                var startTime = TravelTimeZones.ParseTime(evt.StartTime);
+                if (startTime.HasValue)
+                    eventDateTime = eventDateTime.Add(startTime.Value);
+                // Start times are local to the destination; compare in UTC
+                var eventUtc = TravelTimeZones.ToUtc(eventDateTime, TravelTimeZones.EventZone(evt, trip));
+                var hoursUntilEvent = (eventUtc - now).TotalHours;
 
                 foreach (var hours in reminderHours.OrderByDescending(h => h))
                 {
@@ -1,3 +1,6 @@
+using System.Security.Cryptography;
+using System.Text.RegularExpressions;
+using Paire.Modules.Travel.Core.DTOs;
 using Paire.Modules.Travel.Core.Entities;
 using Paire.Modules.Travel.Core.Interfaces;
 using Paire.Modules.Travel.Core.Utils;
@@ -7,6 +10,8 @@ namespace Paire.Modules.Travel.Core.Services;
 
 public class TravelService : ITravelService
 {
+    private static readonly TimeSpan CalendarFeedRefreshInterval = TimeSpan.FromHours(6);
+
     private readonly ITravelRepository _repository;
     private readonly ILogger<TravelService> _logger;
 
@@ -33,6 +38,10 @@ public class TravelService : ITravelService
 
         if (string.IsNullOrWhiteSpace(trip.TripType))
             trip.TripType = "single";
+        if (string.IsNullOrWhiteSpace(trip.Status))
+            trip.Status = "planning";
+        if (string.IsNullOrWhiteSpace(trip.BudgetCurrency))
+            trip.BudgetCurrency = "EUR";
 
         await _repository.AddTripAsync(trip);
         await _repository.SaveChangesAsync();
@@ -41,24 +50,12 @@ public class TravelService : ITravelService
         return trip;
     }
 
-    public async Task<Trip?> UpdateTripAsync(string userId, Guid tripId, Trip updates)
+    public async Task<Trip?> UpdateTripAsync(string userId, Guid tripId, UpdateTripRequest updates)
     {
-        var existing = await _repository.GetTripAsync(userId, tripId);
+        var existing = await _repository.GetTripForUpdateAsync(userId, tripId);
         if (existing == null) return null;
 
-        existing.Name = updates.Name;
-        existing.Destination = updates.Destination;
-        existing.Country = updates.Country;
-        existing.Latitude = updates.Latitude;
-        existing.Longitude = updates.Longitude;
-        existing.StartDate = DateTimeUtils.ToUtc(updates.StartDate);
-        existing.EndDate = DateTimeUtils.ToUtc(updates.EndDate);
-        existing.Budget = updates.Budget;
-        existing.BudgetCurrency = updates.BudgetCurrency;
-        existing.Status = updates.Status;
-        existing.CoverImage = updates.CoverImage;
-        existing.Notes = updates.Notes;
-        existing.TripType = string.IsNullOrWhiteSpace(updates.TripType) ? existing.TripType : updates.TripType;
+        updates.ApplyTo(existing);
         existing.UpdatedAt = DateTime.UtcNow;
 
         await _repository.SaveChangesAsync();
@@ -115,6 +112,7 @@ public class TravelService : ITravelService
         city.Country = updates.Country;
         city.Latitude = updates.Latitude;
         city.Longitude = updates.Longitude;
+        city.TimeZone = updates.TimeZone;
         city.StartDate = DateTimeUtils.ToUtc(updates.StartDate);
         city.EndDate = DateTimeUtils.ToUtc(updates.EndDate);
         if (updates.OrderIndex >= 0) city.OrderIndex = updates.OrderIndex;
@@ -187,6 +185,8 @@ public class TravelService : ITravelService
         evt.Date = DateTimeUtils.ToUtc(updates.Date);
         evt.StartTime = updates.StartTime;
         evt.EndTime = updates.EndTime;
+        evt.TimeZone = updates.TimeZone;
+        evt.EndTimeZone = updates.EndTimeZone;
         evt.Location = updates.Location;
         evt.Address = updates.Address;
         evt.Latitude = updates.Latitude;
@@ -218,6 +218,79 @@ public class TravelService : ITravelService
         return true;
     }
 
+    public async Task<TripCalendarExport?> ExportCalendarAsync(string userId, Guid tripId, DateTime? date = null)
+    {
+        var trip = await _repository.GetTripAsync(userId, tripId);
+        if (trip == null) return null;
+        // Events without their own zone take the zone of the city they fall in
+        trip.Cities = (await _repository.GetTripCitiesAsync(tripId)).ToList();
+
+        IEnumerable<ItineraryEvent> events = await _repository.GetEventsAsync(tripId);
+        var fileName = CalendarFileName(trip.Name);
+        if (date.HasValue)
+        {
+            var day = date.Value.Date;
+            events = events.Where(e => e.Date.HasValue && e.Date.Value.Date == day);
+            fileName += $"-{day:yyyy-MM-dd}";
+        }
+
+        return new TripCalendarExport
+        {
+            FileName = $"{fileName}.ics",
+            Content = ItineraryCalendar.Build(trip, events, DateTime.UtcNow)
+        };
+    }
+
+    public async Task<TripCalendarExport?> GetCalendarFeedAsync(string token)
+    {
+        if (string.IsNullOrWhiteSpace(token)) return null;
+        var trip = await _repository.GetTripByCalendarFeedTokenAsync(token);
+        if (trip == null) return null;
+        trip.Cities = (await _repository.GetTripCitiesAsync(trip.Id)).ToList();
+
+        var events = await _repository.GetEventsAsync(trip.Id);
+        return new TripCalendarExport
+        {
+            FileName = $"{CalendarFileName(trip.Name)}.ics",
+            Content = ItineraryCalendar.Build(trip, events, DateTime.UtcNow, CalendarFeedRefreshInterval)
+        };
+    }
+
+    public async Task<string?> EnableCalendarFeedAsync(string userId, Guid tripId)
+    {
+        var trip = await _repository.GetTripForUpdateAsync(userId, tripId);
+        if (trip == null) return null;
+
+        trip.CalendarFeedToken = GenerateCalendarFeedToken();
+        trip.UpdatedAt = DateTime.UtcNow;
+        await _repository.SaveChangesAsync();
+        _logger.LogInformation("User {UserId} enabled the calendar feed for trip {TripId}", userId, tripId);
+        return trip.CalendarFeedToken;
+    }
+
+    public async Task<bool> DisableCalendarFeedAsync(string userId, Guid tripId)
+    {
+        var trip = await _repository.GetTripForUpdateAsync(userId, tripId);
+        if (trip == null) return false;
+
+        trip.CalendarFeedToken = null;
+        trip.UpdatedAt = DateTime.UtcNow;
+        await _repository.SaveChangesAsync();
+        return true;
+    }
+
+    private static string CalendarFileName(string tripName)
+    {
+        var slug = Regex.Replace(tripName.ToLowerInvariant(), @"[^\p{L}\p{Nd}]+", "-").Trim('-');
+        return string.IsNullOrEmpty(slug) ? "itinerary" : slug;
+    }
+
+    private static string GenerateCalendarFeedToken()
+    {
+        var bytes = RandomNumberGenerator.GetBytes(32);
+        return Convert.ToBase64String(bytes).Replace("+", "-").Replace("/", "_").Replace("=", "");
+    }
+
     public async Task<IReadOnlyList<PackingItem>?> GetPackingItemsAsync(string userId, Guid tripId)
     {
         if (!await _repository.TripExistsForUserAsync(tripId, userId)) return null;
@@ -330,6 +403,11 @@ public class TravelService : ITravelService
         expense.CreatedAt = DateTime.UtcNow;
         expense.UpdatedAt = DateTime.UtcNow;
         if (expense.AmountInBaseCurrency == 0) expense.AmountInBaseCurrency = expense.Amount;
+        if (string.IsNullOrEmpty(expense.PaidBy))
+        {
+            expense.PaidBy = null;
+            expense.SplitPercentage = null;
+        }
         await _repository.AddExpenseAsync(expense);
         await _repository.SaveChangesAsync();
         return expense;
@@ -351,6 +429,13 @@ public class TravelService : ITravelService
         expense.PaymentMethod = updates.PaymentMethod;
         expense.ReceiptUrl = updates.ReceiptUrl;
         expense.Notes = updates.Notes;
+        // Clients that don't share expenses (e.g. mobile) leave these out and keep the stored split;
+        // "" stops sharing the expense
+        if (updates.PaidBy != null)
+        {
+            expense.PaidBy = updates.PaidBy == "" ? null : updates.PaidBy;
+            expense.SplitPercentage = expense.PaidBy == null ? null : updates.SplitPercentage;
+        }
         expense.UpdatedAt = DateTime.UtcNow;
 
         await _repository.SaveChangesAsync();
@@ -0,0 +1,248 @@
+using System.Globalization;
+using System.Text;
+using Paire.Modules.Travel.Core.Entities;
+
+namespace Paire.Modules.Travel.Core.Utils;
+
+/// <summary>
+/// Writes itinerary events as an RFC 5545 iCalendar document. Events with a known IANA zone (their
+/// own, else the destination's that day) get a TZID and a matching VTIMEZONE; events without one
+/// are written as floating local times, which calendar apps show at the same wall-clock time
+/// wherever the reader is.
+/// </summary>
+public static class ItineraryCalendar
+{
+    public const string ProductId = "-//Paire//Travel Itinerary//EN";
+    private const string UidDomain = "thepaire.org";
+    private const int MaxLineOctets = 75;
+    private static readonly TimeSpan DefaultDuration = TimeSpan.FromHours(1);
+
+    /// <param name="refreshInterval">Set for subscribed feeds so calendar apps know how often to poll.</param>
+    public static string Build(Trip trip, IEnumerable<ItineraryEvent> events, DateTime generatedAtUtc, TimeSpan? refreshInterval = null)
+    {
+        var items = events
+            .Where(e => e.Date.HasValue)
+            .OrderBy(e => e.Date)
+            .ThenBy(e => e.StartTime)
+            .ToList();
+
+        var zones = items
+            .SelectMany(e => new[] { TravelTimeZones.EventZone(e, trip), TravelTimeZones.FindZone(e.EndTimeZone) })
+            .Where(z => z != null)
+            .DistinctBy(z => z!.Id)
+            .ToList();
+
+        var sb = new StringBuilder();
+        AppendLine(sb, "BEGIN:VCALENDAR");
+        AppendLine(sb, "VERSION:2.0");
+        AppendLine(sb, $"PRODID:{ProductId}");
+        AppendLine(sb, "CALSCALE:GREGORIAN");
+        AppendLine(sb, "METHOD:PUBLISH");
+        AppendLine(sb, $"X-WR-CALNAME:{EscapeText(trip.Name)}");
+        if (refreshInterval.HasValue)
+        {
+            var duration = FormatDuration(refreshInterval.Value);
+            AppendLine(sb, $"REFRESH-INTERVAL;VALUE=DURATION:{duration}");
+            AppendLine(sb, $"X-PUBLISHED-TTL:{duration}");
+        }
+
+        if (items.Count > 0)
+        {
+            var firstYear = items.Min(e => e.Date!.Value.Year);
+            var lastYear = items.Max(e => e.Date!.Value.Year);
+            foreach (var zone in zones)
+                AppendTimeZone(sb, zone!, firstYear, lastYear);
+        }
+
+        foreach (var evt in items)
+            AppendEvent(sb, evt, TravelTimeZones.EventZone(evt, trip), generatedAtUtc);
+
+        AppendLine(sb, "END:VCALENDAR");
+        return sb.ToString();
+    }
+
+    private static void AppendEvent(StringBuilder sb, ItineraryEvent evt, TimeZoneInfo? zone, DateTime generatedAtUtc)
+    {
+        var date = evt.Date!.Value.Date;
+        var startTime = ParseTime(evt.StartTime) ?? (evt.Type == "hotel" ? ParseTime(evt.CheckInTime) : null);
+
+        AppendLine(sb, "BEGIN:VEVENT");
+        AppendLine(sb, $"UID:{evt.Id}@{UidDomain}");
+        AppendLine(sb, $"DTSTAMP:{FormatUtc(generatedAtUtc)}");
+        if (evt.UpdatedAt != default) AppendLine(sb, $"LAST-MODIFIED:{FormatUtc(evt.UpdatedAt)}");
+
+        if (startTime == null)
+        {
+            AppendLine(sb, $"DTSTART;VALUE=DATE:{date:yyyyMMdd}");
+            AppendLine(sb, $"DTEND;VALUE=DATE:{date.AddDays(1):yyyyMMdd}");
+        }
+        else
+        {
+            var start = date + startTime.Value;
+            var endTime = ParseTime(evt.EndTime);
+            // A flight's arrival time is in the arrival zone; floating times stay floating
+            var endZone = zone != null ? TravelTimeZones.FindZone(evt.EndTimeZone) ?? zone : null;
+            var end = endTime == null
+                ? start + DefaultDuration
+                : TravelTimeZones.ResolveEnd(start, zone, endTime.Value, endZone);
+
+            var tzParam = zone != null ? $";TZID={zone.Id}" : string.Empty;
+            var endTzParam = endZone != null ? $";TZID={endZone.Id}" : string.Empty;
+            AppendLine(sb, $"DTSTART{tzParam}:{FormatLocal(start)}");
+            AppendLine(sb, $"DTEND{endTzParam}:{FormatLocal(end)}");
+        }
+
+        AppendLine(sb, $"SUMMARY:{EscapeText(evt.Name)}");
+        var location = string.Join(", ", new[] { evt.Location, evt.Address }
+            .Where(s => !string.IsNullOrWhiteSpace(s))
+            .Distinct());
+        if (location.Length > 0) AppendLine(sb, $"LOCATION:{EscapeText(location)}");
+        if (evt.Latitude.HasValue && evt.Longitude.HasValue)
+            AppendLine(sb, string.Create(CultureInfo.InvariantCulture, $"GEO:{evt.Latitude.Value:0.######};{evt.Longitude.Value:0.######}"));
+
+        var description = BuildDescription(evt);
+        if (description.Length > 0) AppendLine(sb, $"DESCRIPTION:{EscapeText(description)}");
+
+        AppendLine(sb, $"CATEGORIES:{EscapeText(evt.Type.ToUpperInvariant())}");
+        AppendLine(sb, $"STATUS:{MapStatus(evt.Status)}");
+
+        if (evt.ReminderMinutes is > 0 && startTime != null)
+        {
+            AppendLine(sb, "BEGIN:VALARM");
+            AppendLine(sb, "ACTION:DISPLAY");
+            AppendLine(sb, $"DESCRIPTION:{EscapeText(evt.Name)}");
+            AppendLine(sb, $"TRIGGER:-{FormatDuration(TimeSpan.FromMinutes(evt.ReminderMinutes.Value))}");
+            AppendLine(sb, "END:VALARM");
+        }
+
+        AppendLine(sb, "END:VEVENT");
+    }
+
+    private static string BuildDescription(ItineraryEvent evt)
+    {
+        var lines = new List<string>();
+        var flight = string.Join(" ", new[] { evt.Airline, evt.FlightNumber }.Where(s => !string.IsNullOrWhiteSpace(s)));
+        if (!string.IsNullOrWhiteSpace(evt.DepartureAirport) || !string.IsNullOrWhiteSpace(evt.ArrivalAirport))
+            flight = $"{flight} {evt.DepartureAirport} → {evt.ArrivalAirport}".Trim();
+        if (flight.Length > 0) lines.Add(flight);
+        if (!string.IsNullOrWhiteSpace(evt.CheckInTime) || !string.IsNullOrWhiteSpace(evt.CheckOutTime))
+            lines.Add($"Check-in {evt.CheckInTime ?? "-"} / Check-out {evt.CheckOutTime ?? "-"}");
+        if (!string.IsNullOrWhiteSpace(evt.RoomType)) lines.Add($"Room: {evt.RoomType}");
+        if (!string.IsNullOrWhiteSpace(evt.ConfirmationNumber)) lines.Add($"Confirmation: {evt.ConfirmationNumber}");
+        if (!string.IsNullOrWhiteSpace(evt.Notes)) lines.Add(evt.Notes.Trim());
+        return string.Join("\n", lines);
+    }
+
+    private static string MapStatus(string? status) => status?.ToLowerInvariant() switch
+    {
+        "cancelled" or "canceled" => "CANCELLED",
+        "pending" or "tentative" => "TENTATIVE",
+        _ => "CONFIRMED"
+    };
+
+    /// <summary>
+    /// Writes a VTIMEZONE covering the given years. The observances are found by scanning the zone's
+    /// UTC offset day by day and narrowing each change down to the minute, which works the same for
+    /// zones whose rules changed over the years as for ones that follow a fixed rule.
+    /// </summary>
+    private static void AppendTimeZone(StringBuilder sb, TimeZoneInfo zone, int firstYear, int lastYear)
+    {
+        var rangeStart = new DateTime(firstYear, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+        var rangeEnd = new DateTime(lastYear + 1, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+
+        AppendLine(sb, "BEGIN:VTIMEZONE");
+        AppendLine(sb, $"TZID:{zone.Id}");
+
+        var offset = zone.GetUtcOffset(rangeStart);
+        AppendObservance(sb, zone.IsDaylightSavingTime(rangeStart), rangeStart + offset, offset, offset);
+
+        for (var day = rangeStart; day < rangeEnd; day = day.AddDays(1))
+        {
+            var next = day.AddDays(1);
+            var nextOffset = zone.GetUtcOffset(next);
+            if (nextOffset == offset) continue;
+
+            var low = day;
+            var high = next;
+            while (high - low > TimeSpan.FromMinutes(1))
+            {
+                var mid = low + TimeSpan.FromMinutes(Math.Floor((high - low).TotalMinutes / 2));
+                if (zone.GetUtcOffset(mid) == offset) low = mid;
+                else high = mid;
+            }
+
+            AppendObservance(sb, zone.IsDaylightSavingTime(high), high + offset, offset, nextOffset);
+            offset = nextOffset;
+        }
+
+        AppendLine(sb, "END:VTIMEZONE");
+    }
+
+    private static void AppendObservance(StringBuilder sb, bool daylight, DateTime localStart, TimeSpan from, TimeSpan to)
+    {
+        var kind = daylight ? "DAYLIGHT" : "STANDARD";
+        AppendLine(sb, $"BEGIN:{kind}");
+        AppendLine(sb, $"DTSTART:{FormatLocal(localStart)}");
+        AppendLine(sb, $"TZOFFSETFROM:{FormatOffset(from)}");
+        AppendLine(sb, $"TZOFFSETTO:{FormatOffset(to)}");
+        AppendLine(sb, $"END:{kind}");
+    }
+
+    private static TimeSpan? ParseTime(string? value) => TravelTimeZones.ParseTime(value);
+
+    private static string FormatLocal(DateTime value) =>
+        value.ToString("yyyyMMdd'T'HHmmss", CultureInfo.InvariantCulture);
+
+    private static string FormatUtc(DateTime value) =>
+        DateTimeUtils.ToUtc(value).ToString("yyyyMMdd'T'HHmmss'Z'", CultureInfo.InvariantCulture);
+
+    private static string FormatOffset(TimeSpan offset)
+    {
+        var sign = offset < TimeSpan.Zero ? "-" : "+";
+        var abs = offset.Duration();
+        var formatted = $"{sign}{abs.Hours:00}{abs.Minutes:00}";
+        return abs.Seconds != 0 ? $"{formatted}{abs.Seconds:00}" : formatted;
+    }
+
+    private static string FormatDuration(TimeSpan duration)
+    {
+        var sb = new StringBuilder("P");
+        if (duration.Days > 0) sb.Append(duration.Days).Append('D');
+        if (duration.Hours > 0 || duration.Minutes > 0)
+        {
+            sb.Append('T');
+            if (duration.Hours > 0) sb.Append(duration.Hours).Append('H');
+            if (duration.Minutes > 0) sb.Append(duration.Minutes).Append('M');
+        }
+        return sb.Length == 1 ? "PT0M" : sb.ToString();
+    }
+
+    private static string EscapeText(string? value) =>
+        (value ?? string.Empty)
+            .Replace("\\", "\\\\")
+            .Replace(";", "\\;")
+            .Replace(",", "\\,")
+            .Replace("\r\n", "\\n")
+            .Replace("\n", "\\n")
+            .Replace("\r", "\\n");
+
+    /// <summary>Appends a content line, folded at 75 octets without splitting a UTF-8 sequence.</summary>
+    private static void AppendLine(StringBuilder sb, string line)
+    {
+        var octets = 0;
+        for (var i = 0; i < line.Length; i++)
+        {
+            var length = char.IsHighSurrogate(line[i]) && i + 1 < line.Length ? 2 : 1;
+            var size = Encoding.UTF8.GetByteCount(line.AsSpan(i, length));
+            if (octets + size > MaxLineOctets)
+            {
+                sb.Append("\r\n ");
+                octets = 1;
+            }
+            sb.Append(line, i, length);
+            octets += size;
+            i += length - 1;
+        }
+        sb.Append("\r\n");
+    }
+}
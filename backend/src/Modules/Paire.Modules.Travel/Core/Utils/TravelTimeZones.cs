@@ -0,0 +1,68 @@
+using System.Globalization;
+using Paire.Modules.Travel.Core.Entities;
+
+namespace Paire.Modules.Travel.Core.Utils;
+
+/// <summary>
+/// Works out which IANA zone an itinerary time is in and turns it into an instant. Itinerary
+/// times are wall-clock times at the destination: an event's own zone wins, then the zone of
+/// the trip city the traveller is in that day, then the trip's.
+/// </summary>
+public static class TravelTimeZones
+{
+    /// <summary>Resolves an IANA zone id, returning null for empty or unknown ids.</summary>
+    public static TimeZoneInfo? FindZone(string? timeZone)
+    {
+        if (string.IsNullOrWhiteSpace(timeZone)) return null;
+        return TimeZoneInfo.TryFindSystemTimeZoneById(timeZone.Trim(), out var zone) ? zone : null;
+    }
+
+    /// <summary>Zone of the destination on a date; on a travel day the city being arrived in wins.</summary>
+    public static TimeZoneInfo? ZoneForDate(Trip trip, DateTime date)
+    {
+        var day = date.Date;
+        var city = trip.Cities
+            .Where(c => FindZone(c.TimeZone) != null)
+            .OrderBy(c => c.OrderIndex)
+            .LastOrDefault(c => (c.StartDate == null || c.StartDate.Value.Date <= day) && (c.EndDate == null || c.EndDate.Value.Date >= day));
+        return FindZone(city?.TimeZone) ?? FindZone(trip.TimeZone);
+    }
+
+    /// <summary>Zone an event's start time is in, or null for a floating time.</summary>
+    public static TimeZoneInfo? EventZone(ItineraryEvent evt, Trip? trip) =>
+        FindZone(evt.TimeZone) ?? (trip != null && evt.Date.HasValue ? ZoneForDate(trip, evt.Date.Value) : null);
+
+    public static TimeSpan? ParseTime(string? value)
+    {
+        if (string.IsNullOrWhiteSpace(value)) return null;
+        return TimeSpan.TryParseExact(value.Trim(), new[] { @"hh\:mm", @"h\:mm", @"hh\:mm\:ss" }, CultureInfo.InvariantCulture, out var time)
+            && time < TimeSpan.FromDays(1)
+            ? time
+            : null;
+    }
+
+    /// <summary>UTC instant of a wall-clock time in a zone. Times skipped by a DST change move forward.</summary>
+    public static DateTime ToUtc(DateTime local, TimeZoneInfo? zone)
+    {
+        local = DateTime.SpecifyKind(local, DateTimeKind.Unspecified);
+        if (zone == null) return DateTime.SpecifyKind(local, DateTimeKind.Utc);
+        while (zone.IsInvalidTime(local)) local = local.AddMinutes(30);
+        return TimeZoneInfo.ConvertTimeToUtc(local, zone);
+    }
+
+    /// <summary>
+    /// Local end of an event in its end zone. The end time falls on the first day that puts it after
+    /// the start, so an overnight flight lands the next day and a date-line crossing can land a day
+    /// earlier or two days later than it left.
+    /// </summary>
+    public static DateTime ResolveEnd(DateTime start, TimeZoneInfo? startZone, TimeSpan endTime, TimeZoneInfo? endZone)
+    {
+        var startUtc = ToUtc(start, startZone);
+        for (var offset = -1; offset <= 2; offset++)
+        {
+            var end = start.Date.AddDays(offset) + endTime;
+            if (ToUtc(end, endZone) > startUtc) return end;
+        }
+        return start.Date.AddDays(1) + endTime;
+    }
+}
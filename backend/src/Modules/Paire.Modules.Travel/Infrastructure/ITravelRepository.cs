@@ -10,6 +10,8 @@ public interface ITravelRepository
     Task RemoveTripAsync(Trip trip);
 
     Task<bool> TripExistsForUserAsync(Guid tripId, string userId);
+    Task<Trip?> GetTripForUpdateAsync(string userId, Guid tripId);
+    Task<Trip?> GetTripByCalendarFeedTokenAsync(string token);
     Task<IReadOnlyList<TripCity>> GetTripCitiesAsync(Guid tripId);
     Task AddTripCityAsync(TripCity city);
     Task<TripCity?> GetTripCityAsync(Guid tripId, Guid cityId);
@@ -23,6 +23,12 @@ public class TravelRepository : ITravelRepository
     public async Task<bool> TripExistsForUserAsync(Guid tripId, string userId) =>
         await _dbContext.Trips.AsNoTracking().AnyAsync(t => t.Id == tripId && t.UserId == userId);
 
+    public async Task<Trip?> GetTripForUpdateAsync(string userId, Guid tripId) =>
+        await _dbContext.Trips.FirstOrDefaultAsync(t => t.Id == tripId && t.UserId == userId);
+
+    public async Task<Trip?> GetTripByCalendarFeedTokenAsync(string token) =>
+        await _dbContext.Trips.AsNoTracking().FirstOrDefaultAsync(t => t.CalendarFeedToken == token);
+
     public async Task<IReadOnlyList<TripCity>> GetTripCitiesAsync(Guid tripId) =>
         await _dbContext.TripCities.AsNoTracking().Where(c => c.TripId == tripId).OrderBy(c => c.OrderIndex).ToListAsync();
 
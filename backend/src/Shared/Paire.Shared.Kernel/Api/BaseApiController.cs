@@ -5,7 +5,7 @@ namespace Paire.Shared.Kernel.Api;
 
 public abstract class BaseApiController : ControllerBase
 {
-    protected string? GetCurrentUserId()
+    protected internal string? GetCurrentUserId()
     {
         return User.FindFirst(ClaimTypes.NameIdentifier)?.Value
             ?? User.FindFirst("sub")?.Value
@@ -18,7 +18,7 @@ public abstract class BaseApiController : ControllerBase
             ?? User.FindFirst("email")?.Value;
     }
 
-    protected string? GetCurrentUserName()
+    protected internal string? GetCurrentUserName()
     {
         return User.FindFirst(ClaimTypes.Name)?.Value
             ?? User.FindFirst("name")?.Value;
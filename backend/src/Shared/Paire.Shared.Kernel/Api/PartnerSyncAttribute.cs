@@ -0,0 +1,86 @@
+using MediatR;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.AspNetCore.Mvc.Infrastructure;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Paire.Shared.Kernel.Events;
+
+namespace Paire.Shared.Kernel.Api;
+
+/// <summary>
+/// Publishes a <see cref="PartnerDataChangedEvent"/> after a successful state-changing request,
+/// so the partner's clients see the change live. GET requests and failed responses are ignored.
+/// Publishing never fails the request.
+/// </summary>
+[AttributeUsage(AttributeTargets.Class | AttributeTargets.Method, AllowMultiple = false)]
+public class PartnerSyncAttribute : ActionFilterAttribute
+{
+    public PartnerSyncAttribute(string entity, string? action = null)
+    {
+        Entity = entity;
+        Action = action;
+    }
+
+    public string Entity { get; }
+
+    /// <summary>Verb sent to clients; defaults to created / updated / deleted from the HTTP method.</summary>
+    public string? Action { get; }
+
+    /// <summary>Route value holding the changed record's id.</summary>
+    public string IdRoute { get; set; } = "id";
+
+    /// <summary>Route value holding the owning record's id, if any.</summary>
+    public string? ParentRoute { get; set; }
+
+    public override async Task OnActionExecutionAsync(ActionExecutingContext context, ActionExecutionDelegate next)
+    {
+        var executed = await next();
+
+        var request = context.HttpContext.Request;
+        if (HttpMethods.IsGet(request.Method) || HttpMethods.IsHead(request.Method)) return;
+        if (executed.Exception != null && !executed.ExceptionHandled) return;
+        if (!IsSuccess(executed.Result)) return;
+        if (context.Controller is not BaseApiController controller) return;
+
+        var userId = controller.GetCurrentUserId();
+        if (string.IsNullOrEmpty(userId)) return;
+
+        var routeValues = context.RouteData.Values;
+        var entityId = routeValues.TryGetValue(IdRoute, out var id) ? id?.ToString() : null;
+        var parentId = ParentRoute != null && routeValues.TryGetValue(ParentRoute, out var parent) ? parent?.ToString() : null;
+        var data = (executed.Result as ObjectResult)?.Value;
+
+        try
+        {
+            var mediator = context.HttpContext.RequestServices.GetRequiredService<IMediator>();
+            await mediator.Publish(new PartnerDataChangedEvent(
+                userId,
+                controller.GetCurrentUserName(),
+                Entity,
+                Action ?? DefaultAction(request.Method),
+                entityId,
+                parentId,
+                data));
+        }
+        catch (Exception ex)
+        {
+            context.HttpContext.RequestServices.GetService<ILogger<PartnerSyncAttribute>>()?
+                .LogWarning(ex, "Failed to publish partner sync for {Entity}", Entity);
+        }
+    }
+
+    private static bool IsSuccess(IActionResult? result) => result switch
+    {
+        IStatusCodeActionResult { StatusCode: { } status } => status is >= 200 and < 300,
+        IStatusCodeActionResult => true,
+        EmptyResult => true,
+        _ => false
+    };
+
+    private static string DefaultAction(string method) =>
+        HttpMethods.IsPost(method) ? "created"
+        : HttpMethods.IsDelete(method) ? "deleted"
+        : "updated";
+}
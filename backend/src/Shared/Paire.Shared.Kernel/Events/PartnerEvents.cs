@@ -0,0 +1,30 @@
+namespace Paire.Shared.Kernel.Events;
+
+/// <summary>
+/// A user changed data they share with their partner.
+/// Pushed to the partner's connected clients so they can refresh the affected views.
+/// </summary>
+/// <param name="Entity">One of <see cref="PartnerSyncEntities"/>.</param>
+/// <param name="Action">created, updated, deleted or an endpoint-specific verb (paid, deposit, toggled...).</param>
+/// <param name="EntityId">Changed record, when the route names one.</param>
+/// <param name="ParentId">Owning record (shopping list for items).</param>
+/// <param name="Data">Response body of the change, so clients can patch without refetching.</param>
+public record PartnerDataChangedEvent(
+    string UserId,
+    string? UserName,
+    string Entity,
+    string Action,
+    string? EntityId,
+    string? ParentId,
+    object? Data
+) : IntegrationEvent;
+
+public static class PartnerSyncEntities
+{
+    public const string Transaction = "transaction";
+    public const string Budget = "budget";
+    public const string SavingsGoal = "savingsGoal";
+    public const string RecurringBill = "recurringBill";
+    public const string ShoppingList = "shoppingList";
+    public const string ShoppingItem = "shoppingItem";
+}
@@ -0,0 +1,75 @@
+/**
+ * Offline map packs, imported into the generated service worker.
+ * Mapbox styles, tiles, sprites and glyphs go to the network first and fall back to the
+ * copies stored by the "download for offline" action (offlineTiles table in IndexedDB).
+ */
+
+const OFFLINE_DB = 'TravelCommandCenter'
+const OFFLINE_STORE = 'offlineTiles'
+const MAPBOX_PATHS = ['/v4/', '/styles/v1/', '/fonts/v1/']
+
+// Same key as offlineKey() in src/features/travel/utils/offlineMaps.js
+const offlineKey = (url) => `${url.host}${url.pathname}`
+
+const openOfflineDb = () => new Promise((resolve) => {
+  const request = indexedDB.open(OFFLINE_DB)
+  // Nothing downloaded yet: don't create the database under the app's feet
+  request.onupgradeneeded = () => request.transaction.abort()
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => resolve(null)
+  request.onblocked = () => resolve(null)
+})
+
+const readOffline = async (keys) => {
+  const db = await openOfflineDb()
+  if (!db) return null
+  try {
+    if (!db.objectStoreNames.contains(OFFLINE_STORE)) return null
+    for (const key of keys) {
+      const entry = await new Promise((resolve) => {
+        const request = db.transaction(OFFLINE_STORE, 'readonly').objectStore(OFFLINE_STORE).get(key)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => resolve(null)
+      })
+      if (entry) return entry
+    }
+    return null
+  } finally {
+    db.close()
+  }
+}
+
+const offlineResponse = async (url) => {
+  const key = offlineKey(url)
+  // Retina raster tiles fall back to the standard ones
+  const entry = await readOffline(key.includes('@2x') ? [key, key.replace('@2x', '')] : [key])
+  if (!entry) return null
+  return new Response(entry.data, {
+    status: 200,
+    headers: { 'Content-Type': entry.type || 'application/octet-stream' }
+  })
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.hostname !== 'api.mapbox.com' || !MAPBOX_PATHS.some(path => url.pathname.startsWith(path))) return
+
+  event.respondWith((async () => {
+    // Skip the network when the device knows it has none
+    if (!self.navigator.onLine) {
+      const stored = await offlineResponse(url)
+      if (stored) return stored
+    }
+
+    try {
+      return await fetch(request)
+    } catch (error) {
+      const stored = await offlineResponse(url)
+      if (stored) return stored
+      throw error
+    }
+  })())
+})
@@ -0,0 +1,40 @@
+/* global clients */
+/**
+ * Push handlers imported into the generated service worker.
+ * Payloads are JSON: { type, title, body, url, alertId }.
+ */
+
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch {
+    data = { body: event.data ? event.data.text() : '' }
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Paire', {
+      body: data.body || '',
+      icon: '/pwa-192x192.png',
+      badge: '/pwa-192x192.png',
+      // One notification per alert; a repeat push replaces it instead of stacking
+      tag: data.alertId || data.type,
+      data: { url: data.url || '/', type: data.type }
+    })
+  )
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href
+
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find(client => client.url.startsWith(self.location.origin))
+      if (existing) {
+        return existing.focus().then(client => client.navigate ? client.navigate(url) : client)
+      }
+      return clients.openWindow(url)
+    })
+  )
+})
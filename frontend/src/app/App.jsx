@@ -4,7 +4,7 @@ import { AnimatePresence, motion } from 'framer-motion'
 import { authService } from '../features/auth/services/auth'
 import { sessionManager } from '../shared/services/sessionManager'
 import { getCsrfToken } from '../shared/services/csrf'
-import { isTokenExpired } from '../shared/utils/tokenUtils'
+import { ensureFreshToken } from '../shared/services/tokenRefresh'
 import { ThemeProvider } from '../shared/context/ThemeContext'
 import { AccessibilityProvider } from '../shared/context/AccessibilityContext'
 import { PrivacyModeProvider } from '../shared/context/PrivacyModeContext'
@@ -12,6 +12,7 @@ import { ModalProvider } from '../shared/context/ModalContext'
 import { CalculatorProvider } from '../shared/context/CalculatorContext'
 import { WarmupProvider } from '../shared/context/WarmupContext'
 import { LogoutProvider } from '../shared/context/LogoutContext'
+import { PartnerSyncProvider } from '../shared/context/PartnerSyncContext'
 import { TravelModeProvider, useTravelMode } from '../features/travel/context/TravelModeContext'
 import LogoLoader from '../shared/components/LogoLoader'
 import WarmupOverlay from '../shared/components/WarmupOverlay'
@@ -135,9 +136,11 @@ function App() {
 
     checkSession()
 
-    const tokenExpirationChecker = setInterval(() => {
-      const token = sessionManager.getToken()
-      if (token && isTokenExpired(token)) {
+    const tokenExpirationChecker = setInterval(async () => {
+      if (!sessionManager.getToken()) return
+      // Refreshes silently when possible; null means the session cannot be renewed
+      const token = await ensureFreshToken()
+      if (!token) {
         console.warn('Token expired detected by periodic checker')
         sessionManager.clearSession(false)
         window.dispatchEvent(new CustomEvent('session-invalidated', {
@@ -204,7 +207,9 @@ function App() {
                 <ToastProvider>
                   <CalculatorProvider>
                     <LogoutProvider>
-                      <AppContent session={session} />
+                      <PartnerSyncProvider session={session}>
+                        <AppContent session={session} />
+                      </PartnerSyncProvider>
                       <WarmupOverlay />
                       <LogoutLoadingOverlay />
                     </LogoutProvider>
@@ -18,6 +18,7 @@ const Expenses = lazyWithRetry(() => import('../features/finance/pages/Expenses'
 const Income = lazyWithRetry(() => import('../features/finance/pages/Income'))
 const AllTransactions = lazyWithRetry(() => import('../features/finance/pages/AllTransactions'))
 const Loans = lazyWithRetry(() => import('../features/finance/pages/Loans'))
+const SettleUp = lazyWithRetry(() => import('../features/finance/pages/SettleUp'))
 const Profile = lazyWithRetry(() => import('../features/profile/pages/Profile'))
 const Analytics = lazyWithRetry(() => import('../features/analytics/pages/Analytics'))
 const Partnership = lazyWithRetry(() => import('../features/partnership/pages/Partnership'))
@@ -91,6 +92,7 @@ export function MainAppRoutes({ session }) {
           <Route path="income" element={<Income />} />
           <Route path="transactions" element={<AllTransactions />} />
           <Route path="loans" element={<Loans />} />
+          <Route path="settle-up" element={<SettleUp />} />
           <Route path="analytics" element={<Analytics />} />
           <Route path="budgets" element={<Budgets />} />
           <Route path="savings-goals" element={<SavingsGoals />} />
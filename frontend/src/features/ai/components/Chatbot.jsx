@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import { useTranslation } from 'react-i18next'
 import { Link } from 'react-router-dom'
+import { useQueryClient } from '@tanstack/react-query'
 import { 
   FiMessageCircle, 
   FiX, 
@@ -24,15 +25,21 @@ import {
   FiPlus,
   FiTrash2,
   FiMic,
-  FiMicOff
+  FiMicOff,
+  FiZap,
+  FiCheck,
+  FiRotateCcw
 } from 'react-icons/fi'
 import { TbBrain } from 'react-icons/tb' // Brain icon for thinking mode toggle
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 import remarkBreaks from 'remark-breaks'
 import { FiSettings } from 'react-icons/fi'
-import { chatbotService, aiGatewayService, reminderService, conversationService } from '../../../services/api'
+import { chatbotService, aiGatewayService, reminderService, conversationService, chatActionService } from '../../../services/api'
 import { buildAttachmentsPayload } from '../../../shared/utils/chatAttachments'
+import useUndo from '../../../shared/hooks/useUndo'
+import useCurrencyFormatter from '../../../shared/hooks/useCurrencyFormatter'
+import { CHAT_ACTION_TYPES, buildChatActionPrompt, extractChatAction, parseChatCommand } from '../utils/chatActions'
 import PersonalitySelector from './PersonalitySelector'
 import './Chatbot.css'
 
@@ -73,12 +80,19 @@ const TypewriterText = ({ text = '', onComplete, onUpdate }) => {
   )
 }
 
+// How long the undo button stays on an action result
+const CHAT_ACTION_UNDO_MS = 30 * 1000
+
 /**
  * Mobile-First Floating Chatbot Component
  * Intelligent financial assistant with rule-based responses
  */
 function Chatbot() {
   const { t } = useTranslation()
+  const queryClient = useQueryClient()
+  const formatCurrency = useCurrencyFormatter()
+  const { performAction: performUndoableAction, undo, canUndo } = useUndo()
+  const [undoableMessageId, setUndoableMessageId] = useState(null) // Result message showing the undo button
   const [isOpen, setIsOpen] = useState(false)
   const [isMinimized, setIsMinimized] = useState(false)
   const [messages, setMessages] = useState([])
@@ -360,6 +374,159 @@ function Chatbot() {
     ))
   }
 
+  /**
+   * Add a bot message that grows as the AI reply streams in
+   * @returns {string} Message id for updateStreamingMessage / finishStreamingMessage
+   */
+  const startStreamingMessage = (text) => {
+    const id = `stream-${Date.now()}`
+    setMessages(prev => [
+      ...prev,
+      { id, role: 'bot', message: text, type: 'text', timestamp: new Date(), streaming: true }
+    ])
+    if (!isOpen || isMinimized) {
+      setUnreadCount(prev => prev + 1)
+    }
+    return id
+  }
+
+  const updateStreamingMessage = (id, text) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, message: text } : msg)))
+    scrollToBottomIfNeeded()
+  }
+
+  const finishStreamingMessage = (id) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, streaming: false } : msg)))
+  }
+
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, ...changes } : msg)))
+  }
+
+  /**
+   * One-line description of a chat action for the confirmation card and result messages
+   */
+  const describeAction = (action) => {
+    const { params } = action
+    switch (action.type) {
+      case CHAT_ACTION_TYPES.ADD_TRANSACTION:
+        return t(`chatbot.actions.describe.${params.transactionType === 'income' ? 'addIncome' : 'addExpense'}`, {
+          amount: formatCurrency(params.amount),
+          description: params.description,
+          category: t(`categories.${params.category}`, params.category),
+          date: params.date
+        })
+      case CHAT_ACTION_TYPES.MARK_BILL_PAID:
+        return t('chatbot.actions.describe.markBillPaid', { name: params.billName })
+      case CHAT_ACTION_TYPES.ADD_SAVINGS_DEPOSIT:
+        return t('chatbot.actions.describe.addDeposit', { amount: formatCurrency(params.amount), name: params.goalName })
+      case CHAT_ACTION_TYPES.ADD_SHOPPING_ITEM:
+        return t('chatbot.actions.describe.addShoppingItem', { name: params.name, quantity: params.quantity, list: params.listName })
+      default:
+        return action.type
+    }
+  }
+
+  /**
+   * Show a proposed action as a confirmation card
+   * The target bill, goal or list is looked up first so the card names the real record.
+   */
+  const proposeAction = async (action) => {
+    let resolved
+    try {
+      resolved = await chatActionService.resolve(action)
+    } catch (error) {
+      if (error.code === 'not_found' || error.code === 'ambiguous') {
+        addBotMessage(t(`chatbot.actions.${error.code === 'not_found' ? 'targetNotFound' : 'targetAmbiguous'}`, {
+          name: error.target,
+          matches: (error.matches || []).join(', ')
+        }), 'warning')
+        return
+      }
+      throw error
+    }
+
+    setMessages(prev => [
+      ...prev,
+      {
+        id: `action-${Date.now()}`,
+        role: 'bot',
+        message: t('chatbot.actions.confirmPrompt', { action: describeAction(resolved) }),
+        type: 'action',
+        action: resolved,
+        actionStatus: 'pending',
+        timestamp: new Date()
+      }
+    ])
+    if (!isOpen || isMinimized) {
+      setUnreadCount(prev => prev + 1)
+    }
+  }
+
+  /**
+   * Add the outcome of an action; it stays in the history sent to the AI
+   */
+  const addActionResult = (message, type) => {
+    const id = `action-result-${Date.now()}`
+    setMessages(prev => [
+      ...prev,
+      { id, role: 'bot', message, type, actionResult: true, timestamp: new Date() }
+    ])
+    return id
+  }
+
+  const approveAction = async (msg) => {
+    updateMessage(msg.id, { actionStatus: 'running' })
+    try {
+      const { undo: undoAction } = await chatActionService.execute(msg.action)
+      updateMessage(msg.id, { actionStatus: 'done' })
+      const resultId = addActionResult(t('chatbot.actions.done', { action: describeAction(msg.action) }), 'insight')
+
+      if (undoAction) {
+        performUndoableAction(
+          () => queryClient.invalidateQueries(),
+          async () => {
+            try {
+              await undoAction()
+              await queryClient.invalidateQueries()
+              updateMessage(msg.id, { actionStatus: 'undone' })
+              addActionResult(t('chatbot.actions.undone', { action: describeAction(msg.action) }), 'info')
+            } catch (error) {
+              console.error('Error undoing chat action:', error)
+              addActionResult(t('chatbot.actions.undoFailed'), 'error')
+            } finally {
+              setUndoableMessageId(null)
+            }
+          },
+          CHAT_ACTION_UNDO_MS
+        )
+        setUndoableMessageId(resultId)
+      } else {
+        queryClient.invalidateQueries()
+      }
+    } catch (error) {
+      console.error('Chat action failed:', error)
+      updateMessage(msg.id, { actionStatus: 'failed' })
+      addActionResult(t('chatbot.actions.failed', { error: error.message }), 'error')
+    }
+  }
+
+  const cancelAction = (msg) => {
+    updateMessage(msg.id, { actionStatus: 'cancelled' })
+    addActionResult(t('chatbot.actions.cancelled'), 'info')
+  }
+
+  /**
+   * History entry for a message; action cards and results are tagged so the AI
+   * knows what was proposed and what actually happened.
+   */
+  const toHistoryEntry = (m) => {
+    let message = m.message
+    if (m.type === 'action') message = `[ACTION ${m.actionStatus.toUpperCase()}] ${JSON.stringify(m.action)}`
+    else if (m.actionResult) message = `[ACTION RESULT] ${m.message}`
+    return { role: m.role, message, timestamp: m.timestamp }
+  }
+
   /**
    * Add a user message to chat (optionally with attachments for display).
    */
@@ -484,14 +651,11 @@ function Chatbot() {
       setAbortController(controller)
     }
     setLoading(true)
+    let streamId = null
 
     try {
       // Build conversation history
-      const history = messages.map(m => ({
-        role: m.role,
-        message: m.message,
-        timestamp: m.timestamp
-      }))
+      const history = messages.map(toHistoryEntry)
 
       if (isAiMode) {
         if (aiSubMode === 'thinking') {
@@ -516,12 +680,35 @@ function Chatbot() {
             : answer
           addBotMessage(displayMessage, 'text')
         } else {
-          // Normal chat: standard LLM conversation
-          const aiHistory = [...history, { role: 'user', message: userMessage }]
-          const response = await aiGatewayService.chat(aiHistory, { signal: controller?.signal, attachments: attachmentsPayload })
-          addBotMessage(response.message.content, 'text')
+          // Normal chat: standard LLM conversation, rendered as the reply streams in.
+          // The reply may end with an action block, which is never shown as text.
+          const aiHistory = [
+            { role: 'system', message: buildChatActionPrompt() },
+            ...history,
+            { role: 'user', message: userMessage }
+          ]
+          const response = await aiGatewayService.chatStream(aiHistory, {
+            signal: controller?.signal,
+            attachments: attachmentsPayload,
+            onToken: (_, text) => {
+              const visible = extractChatAction(text).text
+              if (streamId) updateStreamingMessage(streamId, visible)
+              else if (visible) streamId = startStreamingMessage(visible)
+            }
+          })
+          const { text: reply, action } = extractChatAction(response.message.content)
+          if (streamId) updateStreamingMessage(streamId, reply)
+          else if (reply) addBotMessage(reply, 'text')
+          if (action) await proposeAction(action)
         }
       } else {
+        // Short commands ("add €12 coffee yesterday") become an action to confirm
+        const command = attachments.length ? null : parseChatCommand(trimmed)
+        if (command) {
+          await proposeAction(command)
+          return
+        }
+
         // Rule-based mode - existing chatbot service
         const response = await chatbotService.sendQuery(userMessage, history, conversationId)
         if (response.conversationId && !conversationId) {
@@ -566,6 +753,8 @@ function Chatbot() {
       }
       console.error('Chatbot error:', error)
     } finally {
+      // Keep whatever was streamed before a stop or error
+      if (streamId) finishStreamingMessage(streamId)
       setLoading(false)
       setAbortController(null) // Clear abort controller when done
     }
@@ -1017,6 +1206,8 @@ function Chatbot() {
         return <FiInfo className="chatbot-message-type-icon info" size={16} />
       case 'report_ready':
         return <FiFileText className="chatbot-message-type-icon report" size={16} />
+      case 'action':
+        return <FiZap className="chatbot-message-type-icon action" size={16} />
       default:
         return null
     }
@@ -1227,6 +1418,7 @@ function Chatbot() {
                             <ReactMarkdown remarkPlugins={[remarkGfm, remarkBreaks]}>
                               {msg.message}
                             </ReactMarkdown>
+                            {msg.streaming && <span className="chatbot-cursor"></span>}
                           </div>
                         )}
                       </div>
@@ -1247,6 +1439,47 @@ function Chatbot() {
                         </div>
                       )}
 
+                      {/* Proposed action - nothing runs until the user approves */}
+                      {msg.type === 'action' && msg.action && (
+                        <div className={`chatbot-action-card ${msg.actionStatus}`}>
+                          {msg.actionStatus === 'pending' || msg.actionStatus === 'running' ? (
+                            <div className="chatbot-action-card-buttons">
+                              <button
+                                type="button"
+                                className="chatbot-quick-action-btn chatbot-action-approve"
+                                onClick={() => approveAction(msg)}
+                                disabled={msg.actionStatus === 'running'}
+                              >
+                                <FiCheck size={14} />
+                                {msg.actionStatus === 'running' ? t('chatbot.actions.running') : t('chatbot.actions.approve')}
+                              </button>
+                              <button
+                                type="button"
+                                className="chatbot-quick-action-btn"
+                                onClick={() => cancelAction(msg)}
+                                disabled={msg.actionStatus === 'running'}
+                              >
+                                {t('common.cancel')}
+                              </button>
+                            </div>
+                          ) : (
+                            <span className="chatbot-action-card-status">
+                              {t(`chatbot.actions.status.${msg.actionStatus}`)}
+                            </span>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Undo for the latest action result */}
+                      {msg.id === undoableMessageId && canUndo && (
+                        <div className="chatbot-quick-actions">
+                          <button type="button" className="chatbot-quick-action-btn chatbot-undo-btn" onClick={undo}>
+                            <FiRotateCcw size={14} />
+                            {t('common.undo')}
+                          </button>
+                        </div>
+                      )}
+
                       {/* Quick Actions - Only show after typing is done */}
                       {!msg.typing && msg.quickActions && msg.quickActions.length > 0 && (
                         <div className="chatbot-quick-actions">
@@ -1284,7 +1517,7 @@ function Chatbot() {
                       )}
 
                       {/* Export actions - only for bot messages, after typing done */}
-                      {msg.role === 'bot' && !msg.typing && (
+                      {msg.role === 'bot' && !msg.typing && !msg.streaming && (
                         <div className="chatbot-message-export-actions">
                           <button
                             type="button"
@@ -1328,7 +1561,7 @@ function Chatbot() {
                   </div>
                 ))}
 
-                {loading && (
+                {loading && !messages.some(msg => msg.streaming) && (
                   <div className="chatbot-message bot">
                     <div className="chatbot-message-avatar">💰</div>
                     <div className="chatbot-message-content">
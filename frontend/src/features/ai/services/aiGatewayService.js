@@ -1,9 +1,18 @@
-import { apiRequest } from '../../../shared/services/apiClient'
+import { apiRequest, apiStreamRequest } from '../../../shared/services/apiClient'
+
+// Statuses meaning the backend has no streaming endpoint
+const STREAM_UNSUPPORTED_STATUSES = [404, 405, 501]
+
+// Set once the backend turned out not to support streaming, to skip the extra round trip
+let streamingUnsupported = false
+
+// Chat roles as the gateway expects them; system instructions pass through
+const toGatewayRole = (role) => (role === 'system' ? 'system' : role === 'bot' ? 'assistant' : 'user')
 
 export const aiGatewayService = {
   async chat(messages, options = {}) {
     const formattedMessages = messages.map(m => ({
-      role: m.role === 'bot' ? 'assistant' : 'user',
+      role: toGatewayRole(m.role),
       content: m.message
     }))
     const fetchOptions = {
@@ -21,6 +30,65 @@ export const aiGatewayService = {
     return await apiRequest('/api/ai-gateway/chat', fetchOptions)
   },
 
+  /**
+   * Chat with token streaming
+   * Falls back to the regular chat endpoint when streaming is not available;
+   * the whole reply is then delivered through onToken in one piece.
+   * @param {Array} messages - Conversation ({ role, message })
+   * @param {Object} options - Same as chat, plus onToken(delta, fullText)
+   * @returns {Promise<Object>} Final response in the same shape as chat ({ message: { role, content }, model })
+   */
+  async chatStream(messages, options = {}) {
+    const onToken = options.onToken || (() => {})
+    const deliverWhole = (response) => {
+      const content = response?.message?.content ?? ''
+      if (content) onToken(content, content)
+      return response
+    }
+
+    if (streamingUnsupported) return deliverWhole(await this.chat(messages, options))
+
+    const fetchOptions = {
+      method: 'POST',
+      body: JSON.stringify({
+        messages: messages.map(m => ({
+          role: toGatewayRole(m.role),
+          content: m.message
+        })),
+        model: options.model || null,
+        temperature: options.temperature || 0.7,
+        maxTokens: options.maxTokens || 1024,
+        stream: true,
+        skipPolishing: false
+      })
+    }
+    if (options.signal) fetchOptions.signal = options.signal
+
+    let content = ''
+    let model = null
+    try {
+      const result = await apiStreamRequest('/api/ai-gateway/chat/stream', fetchOptions, ({ event, data }) => {
+        if (event === 'error') {
+          throw new Error(data?.message || data?.error || 'AI Gateway stream failed')
+        }
+        if (data?.content) {
+          content += data.content
+          onToken(data.content, content)
+        }
+        if (data?.done) model = data.model ?? null
+      })
+
+      if (!result.streamed) return deliverWhole(result.data)
+      return { message: { role: 'assistant', content }, model }
+    } catch (error) {
+      if (STREAM_UNSUPPORTED_STATUSES.includes(error.status)) {
+        streamingUnsupported = true
+        return deliverWhole(await this.chat(messages, options))
+      }
+      throw error
+    }
+  },
+
   async ragQuery(query, options = {}) {
     const conversationHistory = options.history?.map(m => ({
       role: m.role === 'bot' ? 'assistant' : 'user',
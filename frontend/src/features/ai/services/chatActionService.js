@@ -0,0 +1,70 @@
+import { transactionService, recurringBillService, savingsGoalService } from '../../finance/services'
+import { shoppingListService } from '../../shopping/services/shoppingListService'
+import { CHAT_ACTION_TYPES, resolveChatAction } from '../utils/chatActions'
+
+/**
+ * Chat action service
+ * Runs chatbot actions the user approved through the existing services.
+ * Every executed action comes back with an undo that reverts it.
+ */
+export const chatActionService = {
+  /**
+   * Bind an action to the bill, goal or list it names
+   * @param {Object} action - Normalized action (see chatActions)
+   * @returns {Promise<Object>} Action with ids resolved
+   * @throws {Error} With code 'not_found' or 'ambiguous' when the target cannot be picked
+   */
+  async resolve(action) {
+    switch (action.type) {
+      case CHAT_ACTION_TYPES.MARK_BILL_PAID:
+        return resolveChatAction(action, { bills: await recurringBillService.getAll() || [] })
+      case CHAT_ACTION_TYPES.ADD_SAVINGS_DEPOSIT:
+        return resolveChatAction(action, { goals: await savingsGoalService.getAll() || [] })
+      case CHAT_ACTION_TYPES.ADD_SHOPPING_ITEM:
+        return resolveChatAction(action, { lists: await shoppingListService.getAll() || [] })
+      default:
+        return action
+    }
+  },
+
+  /**
+   * Perform a resolved action
+   * @param {Object} action - Resolved action
+   * @returns {Promise<{result: Object, undo: Function}>} Service response and an async undo
+   */
+  async execute(action) {
+    const { params } = action
+    switch (action.type) {
+      case CHAT_ACTION_TYPES.ADD_TRANSACTION: {
+        const result = await transactionService.create({
+          type: params.transactionType,
+          amount: params.amount,
+          category: params.category,
+          description: params.description,
+          date: params.date,
+          paidBy: 'me',
+          tags: []
+        })
+        const id = result?.id || result?.transactionId
+        return { result, undo: id ? () => transactionService.delete(id) : null }
+      }
+      case CHAT_ACTION_TYPES.MARK_BILL_PAID: {
+        const result = await recurringBillService.markPaid(params.billId)
+        return { result, undo: () => recurringBillService.unmarkPaid(params.billId) }
+      }
+      case CHAT_ACTION_TYPES.ADD_SAVINGS_DEPOSIT: {
+        const result = await savingsGoalService.addDeposit(params.goalId, params.amount)
+        return { result, undo: () => savingsGoalService.withdraw(params.goalId, params.amount) }
+      }
+      case CHAT_ACTION_TYPES.ADD_SHOPPING_ITEM: {
+        const result = await shoppingListService.addItem(params.listId, {
+          name: params.name,
+          quantity: params.quantity
+        })
+        return { result, undo: result?.id ? () => shoppingListService.deleteItem(params.listId, result.id) : null }
+      }
+      default:
+        throw new Error(`Unsupported chat action "${action.type}"`) // i18n-ignore
+    }
+  }
+}
@@ -0,0 +1,264 @@
+import { format, isValid, parseISO, subDays } from 'date-fns'
+
+/**
+ * Chat actions
+ * Structured protocol for chatbot replies that propose changes instead of only answering.
+ * An assistant reply may end with one fenced block:
+ *
+ *   ```action
+ *   { "type": "add_transaction", "params": { "amount": 12, "description": "Coffee", "date": "2026-10-18" } }
+ *   ```
+ *
+ * The block is stripped from the displayed text and rendered as a confirmation card;
+ * nothing runs until the user approves it. Short commands typed in rule-based mode
+ * ("add €12 coffee yesterday") are parsed locally into the same shape.
+ */
+
+export const CHAT_ACTION_TYPES = {
+  ADD_TRANSACTION: 'add_transaction',
+  MARK_BILL_PAID: 'mark_bill_paid',
+  ADD_SAVINGS_DEPOSIT: 'add_savings_deposit',
+  ADD_SHOPPING_ITEM: 'add_shopping_item'
+}
+
+const ACTION_BLOCK = /```action\s*([\s\S]*?)(?:```|$)/i
+
+// Keywords used to pick a category for quick commands; first match wins
+const CATEGORY_KEYWORDS = {
+  food: ['coffee', 'lunch', 'dinner', 'breakfast', 'restaurant', 'pizza', 'cafe', 'καφέ', 'καφές', 'φαγητό'],
+  groceries: ['groceries', 'supermarket', 'market', 'σούπερ', 'ψώνια'],
+  transport: ['taxi', 'uber', 'bus', 'metro', 'train', 'fuel', 'gas', 'parking', 'ταξί', 'βενζίνη'],
+  entertainment: ['cinema', 'movie', 'concert', 'netflix', 'game', 'σινεμά'],
+  healthcare: ['pharmacy', 'doctor', 'medicine', 'φαρμακείο', 'γιατρός'],
+  clothing: ['clothes', 'shoes', 'shirt', 'ρούχα', 'παπούτσια'],
+  gym: ['gym', 'γυμναστήριο']
+}
+
+const parseAmount = (value) => {
+  const amount = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(',', '.'))
+  return Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : null
+}
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '')
+
+const normalizeName = (value) => cleanText(value)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+
+/**
+ * Category for a free-text expense description
+ * @param {string} description - e.g. "coffee"
+ * @returns {string} Category key, 'other' when nothing matches
+ */
+export const guessCategory = (description) => {
+  const text = normalizeName(description)
+  const match = Object.entries(CATEGORY_KEYWORDS)
+    .find(([, keywords]) => keywords.some(keyword => text.includes(normalizeName(keyword))))
+  return match ? match[0] : 'other'
+}
+
+/**
+ * Validate and normalize a proposed action
+ * Unknown types, missing targets and non-positive amounts are rejected.
+ * @param {Object} raw - { type, params }
+ * @param {Date} [today=new Date()] - Default date for transactions
+ * @returns {Object|null} Normalized { type, params }, or null when invalid
+ */
+export const normalizeChatAction = (raw, today = new Date()) => {
+  if (!raw || typeof raw !== 'object') return null
+  const params = raw.params && typeof raw.params === 'object' ? raw.params : {}
+
+  switch (raw.type) {
+    case CHAT_ACTION_TYPES.ADD_TRANSACTION: {
+      const amount = parseAmount(params.amount)
+      const description = cleanText(params.description)
+      if (!amount || !description) return null
+      const date = params.date ? parseISO(params.date) : today
+      if (!isValid(date)) return null
+      return {
+        type: raw.type,
+        params: {
+          amount,
+          description,
+          category: cleanText(params.category).toLowerCase() || guessCategory(description),
+          date: format(date, 'yyyy-MM-dd'),
+          transactionType: params.transactionType === 'income' ? 'income' : 'expense'
+        }
+      }
+    }
+    case CHAT_ACTION_TYPES.MARK_BILL_PAID: {
+      const billName = cleanText(params.billName)
+      if (!billName && !params.billId) return null
+      return { type: raw.type, params: { billId: params.billId ?? null, billName } }
+    }
+    case CHAT_ACTION_TYPES.ADD_SAVINGS_DEPOSIT: {
+      const amount = parseAmount(params.amount)
+      const goalName = cleanText(params.goalName)
+      if (!amount || (!goalName && !params.goalId)) return null
+      return { type: raw.type, params: { goalId: params.goalId ?? null, goalName, amount } }
+    }
+    case CHAT_ACTION_TYPES.ADD_SHOPPING_ITEM: {
+      const name = cleanText(params.name)
+      if (!name) return null
+      const quantity = parseInt(params.quantity, 10)
+      return {
+        type: raw.type,
+        params: {
+          listId: params.listId ?? null,
+          listName: cleanText(params.listName),
+          name,
+          quantity: quantity > 0 ? quantity : 1
+        }
+      }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Split an assistant reply into display text and proposed action
+ * @param {string} text - Reply, possibly still streaming
+ * @returns {{text: string, action: Object|null}} Text without the action block; action is null when absent or invalid
+ */
+export const extractChatAction = (text) => {
+  if (!text) return { text: text || '', action: null }
+  const match = text.match(ACTION_BLOCK)
+  if (!match) return { text, action: null }
+
+  let action = null
+  try {
+    action = normalizeChatAction(JSON.parse(match[1]))
+  } catch {
+    // Incomplete (still streaming) or malformed block
+  }
+  return { text: text.replace(match[0], '').trim(), action }
+}
+
+/**
+ * Parse a short typed command into an action
+ * Handles "add €12 coffee yesterday", "mark the electricity bill paid",
+ * "deposit €50 to vacation" and "add milk to the shopping list".
+ * @param {string} text - User message
+ * @param {Date} [today=new Date()] - Reference date for "today" / "yesterday"
+ * @returns {Object|null} Normalized action, or null when the message is not a command
+ */
+export const parseChatCommand = (text, today = new Date()) => {
+  const input = cleanText(text).replace(/[.!]+$/, '')
+  if (!input) return null
+  let match
+
+  // "mark the electricity bill paid", "mark electricity as paid", "pay the rent bill"
+  match = input.match(/^mark\s+(?:the\s+|my\s+)?(.+?)(?:\s+bill)?\s+(?:as\s+)?paid$/i) ||
+    input.match(/^pay\s+(?:the\s+|my\s+)?(.+?)\s+bill$/i)
+  if (match) {
+    return normalizeChatAction({ type: CHAT_ACTION_TYPES.MARK_BILL_PAID, params: { billName: match[1] } }, today)
+  }
+
+  // "deposit €50 to vacation", "save 20 for the car goal"
+  match = input.match(/^(?:deposit|save|put)\s+€?\s*(\d+(?:[.,]\d{1,2})?)\s*(?:€|eur|euros?)?\s+(?:to|into|in|for|towards)\s+(?:the\s+|my\s+)?(.+?)(?:\s+(?:goal|savings))?$/i)
+  if (match) {
+    return normalizeChatAction({
+      type: CHAT_ACTION_TYPES.ADD_SAVINGS_DEPOSIT,
+      params: { amount: match[1], goalName: match[2] }
+    }, today)
+  }
+
+  // "add milk to the shopping list", "add 2 eggs to groceries list"
+  match = input.match(/^add\s+(?:(\d+)\s+)?(.+?)\s+to\s+(?:the\s+|my\s+)?(.*?)\s*(?:shopping\s+)?list$/i)
+  if (match) {
+    return normalizeChatAction({
+      type: CHAT_ACTION_TYPES.ADD_SHOPPING_ITEM,
+      params: { quantity: match[1], name: match[2], listName: match[3] }
+    }, today)
+  }
+
+  // "add €12 coffee yesterday", "spent 8.50 on lunch today", "πρόσθεσε 12€ καφές χθες"
+  match = input.match(/^(?:add|spent|log|πρόσθεσε|ξόδεψα)\s+€?\s*(\d+(?:[.,]\d{1,2})?)\s*(?:€|eur|euros?)?\s+(?:for\s+|on\s+|για\s+)?(.+?)(?:\s+(today|yesterday|σήμερα|χθες|\d{4}-\d{2}-\d{2}))?$/i)
+  if (match) {
+    const when = (match[3] || '').toLowerCase()
+    const date = when === 'yesterday' || when === 'χθες'
+      ? subDays(today, 1)
+      : /^\d{4}-\d{2}-\d{2}$/.test(when) ? parseISO(when) : today
+    return normalizeChatAction({
+      type: CHAT_ACTION_TYPES.ADD_TRANSACTION,
+      params: { amount: match[1], description: match[2], date: format(date, 'yyyy-MM-dd') }
+    }, today)
+  }
+
+  return null
+}
+
+const findByName = (records, name, getName) => {
+  const wanted = normalizeName(name)
+  if (!wanted) return records
+  const exact = records.filter(record => normalizeName(getName(record)) === wanted)
+  if (exact.length > 0) return exact
+  return records.filter(record => {
+    const candidate = normalizeName(getName(record))
+    return candidate && (candidate.includes(wanted) || wanted.includes(candidate))
+  })
+}
+
+const resolveTarget = (records, id, name, getName) => {
+  if (id !== null && id !== undefined) {
+    const byId = records.find(record => String(record.id) === String(id))
+    if (byId) return byId
+  }
+  const matches = findByName(records, name, getName)
+  if (matches.length === 1) return matches[0]
+
+  const error = new Error(matches.length === 0 ? `No match for "${name}"` : `"${name}" matches more than one record`) // i18n-ignore
+  error.code = matches.length === 0 ? 'not_found' : 'ambiguous'
+  error.target = name
+  error.matches = matches.map(getName)
+  throw error
+}
+
+/**
+ * Bind an action to the record it targets
+ * Bills, goals and lists are matched by id first, then by (partial) name.
+ * @param {Object} action - Normalized action
+ * @param {Object} records - { bills, goals, lists } as returned by their services
+ * @returns {Object} Action with the target id and display name filled in
+ * @throws {Error} With code 'not_found' or 'ambiguous' (plus target and matches) when no single target fits
+ */
+export const resolveChatAction = (action, { bills = [], goals = [], lists = [] } = {}) => {
+  const { params } = action
+  switch (action.type) {
+    case CHAT_ACTION_TYPES.MARK_BILL_PAID: {
+      const bill = resolveTarget(bills.filter(b => b.isActive !== false), params.billId, params.billName, b => b.name)
+      return { ...action, params: { ...params, billId: bill.id, billName: bill.name, amount: bill.amount } }
+    }
+    case CHAT_ACTION_TYPES.ADD_SAVINGS_DEPOSIT: {
+      const goal = resolveTarget(goals, params.goalId, params.goalName, g => g.name)
+      return { ...action, params: { ...params, goalId: goal.id, goalName: goal.name } }
+    }
+    case CHAT_ACTION_TYPES.ADD_SHOPPING_ITEM: {
+      const active = lists.filter(l => !l.isCompleted)
+      const list = resolveTarget(active, params.listId, params.listName, l => l.name)
+      return { ...action, params: { ...params, listId: list.id, listName: list.name } }
+    }
+    default:
+      return action
+  }
+}
+
+/**
+ * System instruction describing the protocol to the language model
+ * @param {Date} [today=new Date()] - Lets the model resolve relative dates
+ * @returns {string}
+ */
+export const buildChatActionPrompt = (today = new Date()) => [
+  'You can propose ONE change to the user\'s data when they clearly ask for it.',
+  'Reply briefly, then end the reply with a fenced block labelled "action" holding JSON {"type", "params"}.',
+  'The user confirms it before anything happens, so never claim the change is already done.',
+  'Supported actions:',
+  '- add_transaction: { amount, description, category?, date (yyyy-MM-dd), transactionType ("expense" | "income") }',
+  '- mark_bill_paid: { billName }',
+  '- add_savings_deposit: { goalName, amount }',
+  '- add_shopping_item: { name, quantity?, listName? }',
+  `Today is ${format(today, 'yyyy-MM-dd')}. Amounts are plain numbers in the user's currency.`,
+  'Messages starting with [ACTION RESULT] report what happened after the user answered.'
+].join('\n')
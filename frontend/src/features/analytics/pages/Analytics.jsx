@@ -14,7 +14,8 @@ import {
   FiX,
   FiTag,
   FiFileText,
-  FiUser
+  FiUser,
+  FiGlobe
 } from 'react-icons/fi'
 import { Chart as ChartJS, ArcElement, CategoryScale, LinearScale, PointElement, LineElement, BarElement, Title, Tooltip, Legend } from 'chart.js'
 import { Pie, Line, Bar } from 'react-chartjs-2'
@@ -28,6 +29,13 @@ import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
 import { useModalRegistration } from '../../../shared/context/ModalContext'
 import AddToCalculatorButton from '../../../shared/components/AddToCalculatorButton'
 import EmptyState from '../../../shared/components/EmptyState'
+import { formatTransactionDescription } from '../../finance/utils/partnerLedger'
+import {
+  BASE_CURRENCY,
+  formatMoney,
+  getBaseAmount,
+  summarizeByCurrency
+} from '../../finance/utils/multiCurrency'
 import ExcelJS from 'exceljs'
 import './Analytics.css'
 import '../../../shared/styles/AddToCalculator.css'
@@ -251,7 +259,8 @@ function Analytics() {
         averageDailySpending: 0,
         categoryBreakdown: [],
         incomeExpenseTrend: [],
-        monthlyComparison: []
+        monthlyComparison: [],
+        currencyBreakdown: []
       }
     }
 
@@ -259,9 +268,9 @@ function Analytics() {
     const expenses = transactions.filter(t => t.type === 'expense')
     const income = transactions.filter(t => t.type === 'income')
 
-    // Calculate totals
-    const totalIncome = income.reduce((sum, t) => sum + (t.amount || 0), 0)
-    const totalExpenses = expenses.reduce((sum, t) => sum + (t.amount || 0), 0)
+    // Calculate totals (all amounts in the base currency)
+    const totalIncome = income.reduce((sum, t) => sum + getBaseAmount(t), 0)
+    const totalExpenses = expenses.reduce((sum, t) => sum + getBaseAmount(t), 0)
     const balance = totalIncome - totalExpenses
 
     // Calculate average daily spending
@@ -275,7 +284,7 @@ function Analytics() {
     const categoryMap = {}
     expenses.forEach(expense => {
       const category = expense.category || 'other'
-      const amount = expense.amount || 0
+      const amount = getBaseAmount(expense)
       if (!categoryMap[category]) {
         categoryMap[category] = 0
       }
@@ -298,9 +307,9 @@ function Analytics() {
         trendMap[date] = { date, income: 0, expenses: 0 }
       }
       if (t.type === 'income') {
-        trendMap[date].income += t.amount || 0
+        trendMap[date].income += getBaseAmount(t)
       } else if (t.type === 'expense') {
-        trendMap[date].expenses += t.amount || 0
+        trendMap[date].expenses += getBaseAmount(t)
       }
     })
 
@@ -321,9 +330,9 @@ function Analytics() {
         }
       }
       if (t.type === 'income') {
-        monthlyMap[monthKey].income += t.amount || 0
+        monthlyMap[monthKey].income += getBaseAmount(t)
       } else if (t.type === 'expense') {
-        monthlyMap[monthKey].expenses += t.amount || 0
+        monthlyMap[monthKey].expenses += getBaseAmount(t)
       }
     })
 
@@ -344,7 +353,8 @@ function Analytics() {
       averageDailySpending,
       categoryBreakdown,
       incomeExpenseTrend,
-      monthlyComparison
+      monthlyComparison,
+      currencyBreakdown: summarizeByCurrency(transactions)
     }
   }
 
@@ -1062,6 +1072,33 @@ function Analytics() {
           </div>
         )}
 
+        {/* Currency Breakdown - only when money moved in more than the base currency */}
+        {analytics?.currencyBreakdown?.some(row => row.currency !== BASE_CURRENCY) && (
+          <div className="card chart-card">
+            <div className="card-header">
+              <h2>
+                <FiGlobe size={24} />
+                {t('analytics.currencyBreakdown')}
+              </h2>
+            </div>
+            <div className="partner-details-list">
+              {analytics.currencyBreakdown.map(row => (
+                <div key={row.currency} className="partner-detail-item">
+                  <span className="partner-name">{row.currency}</span>
+                  <div className={`partner-stats ${isPrivate ? 'masked-number' : ''}`}>
+                    <span>-{formatMoney(row.expenses, row.currency)}</span>
+                    {row.currency !== BASE_CURRENCY && (
+                      <span className="partner-percentage">≈ {formatCurrency(row.baseExpenses)}</span>
+                    )}
+                    {row.income > 0 && <span>+{formatMoney(row.income, row.currency)}</span>}
+                    <span className="partner-count">{row.count} {t('analytics.transactions')}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Loan Analytics */}
         {loanAnalytics && (
           <div className="card loans-analytics-card">
@@ -1174,14 +1211,14 @@ function Analytics() {
                       <div className="transaction-main">
                         <div className="transaction-info">
                           <span className="transaction-description">
-                            {tx.description || t(`categories.${(tx.category || '').toLowerCase()}`) || tx.category}
+                            {formatTransactionDescription(tx, t) || t(`categories.${(tx.category || '').toLowerCase()}`) || tx.category}
                           </span>
                           <span className="transaction-date">
                             {format(new Date(tx.date), 'MMM dd, yyyy')}
                           </span>
                         </div>
                         <span className="transaction-amount negative">
-                          -{formatCurrency(tx.amount)}
+                          -{formatCurrency(getBaseAmount(tx))}
                         </span>
                       </div>
                       {/* Show who added it if available */}
@@ -1208,7 +1245,7 @@ function Analytics() {
               <div className="modal-total">
                 <span>{t('analytics.totalExpenses')}:</span>
                 <strong className="negative">
-                  {formatCurrency(categoryTransactions.reduce((sum, tx) => sum + (tx.amount || 0), 0))}
+                  {formatCurrency(categoryTransactions.reduce((sum, tx) => sum + getBaseAmount(tx), 0))}
                 </strong>
               </div>
               <button className="btn btn-secondary" onClick={closeCategoryModal}>
@@ -10,7 +10,7 @@
 
 import { getBackendUrl } from '../../../shared/utils/getBackendUrl'
 import { sessionManager } from '../../../shared/services/sessionManager'
-import { isTokenExpired } from '../../../shared/utils/tokenUtils'
+import { ensureFreshToken } from '../../../shared/services/tokenRefresh'
 import { getDeviceFingerprint, clearDeviceFingerprintCache } from '../../../shared/utils/deviceFingerprint'
 import { fetchWithRetry } from '../../../shared/utils/retryFetch'
 
@@ -74,10 +74,11 @@ const handleSessionExpiration = () => {
  * Make authenticated API request
  */
 const apiRequest = async (url, options = {}) => {
-  const token = getToken()
+  const hadToken = !!getToken()
+  const token = await ensureFreshToken()
 
-  if (token && isTokenExpired(token)) {
-    console.warn('Token expired, clearing session')
+  if (hadToken && !token) {
+    console.warn('Token expired and could not be refreshed, clearing session')
     handleSessionExpiration()
     throw new Error('Session expired. Please log in again.') // i18n-ignore
   }
@@ -258,11 +259,11 @@ export const authService = {
       return null
     }
 
-    const token = getToken()
+    const token = await ensureFreshToken()
     const user = getStoredUser()
 
-    if (token && isTokenExpired(token)) {
-      console.warn('Token expired in getSession, clearing session')
+    if (!token) {
+      console.warn('Token expired in getSession and could not be refreshed, clearing session')
       handleSessionExpiration()
       return null
     }
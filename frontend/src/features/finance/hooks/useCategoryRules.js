@@ -0,0 +1,23 @@
+import { useState, useEffect, useCallback } from 'react'
+import { categoryRuleService, CATEGORY_RULES_EVENT } from '../services/categoryRuleService'
+
+/**
+ * Saved category rules, kept in sync across components
+ * Refreshes whenever categoryRuleService reports a change.
+ */
+const useCategoryRules = () => {
+  const [rules, setRules] = useState(() => categoryRuleService.getAll())
+
+  const refresh = useCallback(() => {
+    setRules(categoryRuleService.getAll())
+  }, [])
+
+  useEffect(() => {
+    window.addEventListener(CATEGORY_RULES_EVENT, refresh)
+    return () => window.removeEventListener(CATEGORY_RULES_EVENT, refresh)
+  }, [refresh])
+
+  return { rules, refresh }
+}
+
+export default useCategoryRules
@@ -0,0 +1,105 @@
+import { useEffect } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import {
+  FINANCE_SYNC_EVENT,
+  discardFailedItems,
+  getFailedItems,
+  getPendingRecords,
+  processFinanceSyncQueue,
+  retryFailedItems
+} from '../services/financeSync'
+
+// Server queries that may change once queued finance mutations are replayed
+const SYNCED_QUERY_KEYS = [
+  ['transactions'],
+  ['budgets'],
+  ['savingsGoals'],
+  ['recurringBills'],
+  ['recurringBillsSummary'],
+  ['upcomingBills']
+]
+
+/**
+ * Optimistic (not yet synced) records for a finance table.
+ * Reads IndexedDB, so it runs regardless of network state.
+ *
+ * @param {string} table - 'transactions' | 'budgets' | 'savingsGoals' | 'recurringBills'
+ * @returns {Array} Pending local records
+ */
+export function usePendingFinanceRecords(table) {
+  const { data = [] } = useQuery({
+    queryKey: ['financeSync', table],
+    queryFn: () => getPendingRecords(table),
+    networkMode: 'always',
+    staleTime: Infinity
+  })
+  return data
+}
+
+/**
+ * Offline changes the server rejected, with actions to retry or discard them.
+ *
+ * @returns {{failed: Array, retry: Function, discard: Function}}
+ */
+export function useFailedFinanceSync() {
+  const queryClient = useQueryClient()
+  const { data: failed = [] } = useQuery({
+    queryKey: ['financeSync', 'failed'],
+    queryFn: getFailedItems,
+    networkMode: 'always',
+    staleTime: Infinity
+  })
+
+  const refresh = () => Promise.all([
+    queryClient.invalidateQueries({ queryKey: ['financeSync'] }),
+    ...SYNCED_QUERY_KEYS.map(queryKey => queryClient.invalidateQueries({ queryKey }))
+  ])
+
+  const retry = async () => {
+    const summary = await retryFailedItems()
+    await refresh()
+    return summary
+  }
+
+  const discard = async () => {
+    const count = await discardFailedItems()
+    await refresh()
+    return count
+  }
+
+  return { failed, retry, discard }
+}
+
+/**
+ * Replays the finance offline queue on mount and whenever the browser comes
+ * back online, then refreshes server queries before clearing optimistic records.
+ * Mount once in the app shell.
+ */
+function useFinanceSync() {
+  const queryClient = useQueryClient()
+
+  useEffect(() => {
+    const refreshPending = () => queryClient.invalidateQueries({ queryKey: ['financeSync'] })
+
+    const sync = async () => {
+      const { synced, failed } = await processFinanceSyncQueue()
+      if (synced > 0) {
+        await Promise.all(SYNCED_QUERY_KEYS.map(queryKey => queryClient.invalidateQueries({ queryKey })))
+      }
+      if (synced > 0 || failed > 0) {
+        refreshPending()
+      }
+    }
+
+    window.addEventListener('online', sync)
+    window.addEventListener(FINANCE_SYNC_EVENT, refreshPending)
+    sync()
+
+    return () => {
+      window.removeEventListener('online', sync)
+      window.removeEventListener(FINANCE_SYNC_EVENT, refreshPending)
+    }
+  }, [queryClient])
+}
+
+export default useFinanceSync
@@ -0,0 +1,30 @@
+import { useEffect } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { savingsContributionService } from '../services/savingsContributionService'
+
+/**
+ * Records the day's automatic savings goal contributions and refreshes goal
+ * queries when any were deposited. Proposed contributions are left for the
+ * Savings Goals page. Mount once in the app shell.
+ */
+function useSavingsContributions() {
+  const queryClient = useQueryClient()
+
+  useEffect(() => {
+    const run = async () => {
+      try {
+        const recorded = await savingsContributionService.runAuto()
+        if (recorded > 0) {
+          await queryClient.invalidateQueries({ queryKey: ['savingsGoals'] })
+        }
+      } catch (error) {
+        // Retried on the next app start; the day is only marked once it succeeds
+        console.error('Error running savings contributions:', error)
+      }
+    }
+
+    run()
+  }, [queryClient])
+}
+
+export default useSavingsContributions
@@ -15,7 +15,8 @@ import {
   FiTrash2,
   FiList,
   FiGitBranch,
-  FiFileText
+  FiFileText,
+  FiZap
 } from 'react-icons/fi'
 import { transactionService } from '../../../services/api'
 import { format } from 'date-fns'
@@ -29,8 +30,10 @@ import SearchInput from '../../../shared/components/SearchInput'
 import DateRangePicker from '../../../shared/components/DateRangePicker'
 import TransactionDetailModal from '../../../shared/components/TransactionDetailModal'
 import TransactionTimeline from '../../../shared/components/TransactionTimeline'
+import CategoryRulesManager from '../../../shared/components/CategoryRulesManager'
 import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
 import EmptyState from '../../../shared/components/EmptyState'
+import { formatTransactionDescription } from '../utils/partnerLedger'
 import './AllTransactions.css'
 
 /**
@@ -62,6 +65,7 @@ function AllTransactions() {
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, transactionId: null })
   const [showSuccessAnimation, setShowSuccessAnimation] = useState(false)
   const [detailModal, setDetailModal] = useState(null) // For viewing transaction details
+  const [showRules, setShowRules] = useState(false)
 
   // Pagination
   const [page, setPage] = useState(1)
@@ -218,6 +222,14 @@ function AllTransactions() {
             <span>{t('common.back')}</span>
           </button>
           <div className="header-actions">
+            <button
+              className="view-toggle-btn rules-btn"
+              onClick={() => setShowRules(true)}
+              title={t('categoryRules.title', 'Category rules')}
+              aria-label={t('categoryRules.title', 'Category rules')}
+            >
+              <FiZap size={18} />
+            </button>
             <div className="view-toggle" role="tablist" aria-label="View mode">
               <button
                 className={`view-toggle-btn ${viewMode === 'list' ? 'active' : ''}`}
@@ -391,6 +403,15 @@ function AllTransactions() {
         />
       </Modal>
 
+      {/* Category Rules Modal */}
+      <Modal
+        isOpen={showRules}
+        onClose={() => setShowRules(false)}
+        title={t('categoryRules.title', 'Category rules')}
+      >
+        <CategoryRulesManager />
+      </Modal>
+
       {/* Delete Modal */}
       <ConfirmationModal
         isOpen={deleteModal.isOpen}
@@ -511,7 +532,7 @@ const TransactionItem = ({ transaction, formatCurrency, t, onEdit, onDelete, onC
         )}
       </div>
       <div className="transaction-details">
-        <h4>{transaction.description || transaction.category}</h4>
+        <h4>{formatTransactionDescription(transaction, t) || transaction.category}</h4>
         <p className="transaction-date">
           {formattedDate}
           {transaction.user_profiles && (
@@ -1,8 +1,9 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { CATEGORIES } from '../../../constants/categories'
 import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
-import { FiTarget, FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiAlertCircle, FiCheckCircle } from 'react-icons/fi'
+import { FiTarget, FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiAlertCircle, FiCheckCircle, FiMail, FiShuffle, FiClock } from 'react-icons/fi'
+import { format } from 'date-fns'
 import { budgetService, transactionService } from '../../../services/api'
 import ConfirmationModal from '../../../shared/components/ConfirmationModal'
 import Modal from '../../../shared/components/Modal'
@@ -12,6 +13,8 @@ import LoadingProgress from '../../../shared/components/LoadingProgress'
 import useCurrencyFormatter from '../../../shared/hooks/useCurrencyFormatter'
 import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
 import EmptyState from '../../../shared/components/EmptyState'
+import BudgetProgressBar from '../../../shared/components/BudgetProgressBar'
+import { isEnvelopeBudget, calculateEnvelopeSummary, validateEnvelopeTransfer, getMonthKey } from '../utils/envelopeBudgets'
 import './Budgets.css'
 
 /**
@@ -33,7 +36,20 @@ function Budgets() {
   const [formData, setFormData] = useState({
     category: '',
     amount: '',
-    period: 'monthly'
+    period: 'monthly',
+    isEnvelope: false
+  })
+  // Envelope mode: transactions since the first envelope started and the transfer log
+  const [envelopeHistory, setEnvelopeHistory] = useState([])
+  const [transfers, setTransfers] = useState([])
+  const [showTransferForm, setShowTransferForm] = useState(false)
+  const [showTransferLog, setShowTransferLog] = useState(false)
+  const [transferError, setTransferError] = useState(null)
+  const [transferForm, setTransferForm] = useState({
+    fromBudgetId: '',
+    toBudgetId: '',
+    amount: '',
+    note: ''
   })
 
 
@@ -80,6 +96,26 @@ function Budgets() {
 
       setBudgets(budgetData || [])
       setExpenses(expenseData || [])
+
+      // Envelopes need income and spending since they started to work out carry-over
+      const envelopeStarts = (budgetData || [])
+        .filter(isEnvelopeBudget)
+        .map(b => new Date(b.start_date || b.startDate || b.created_at || now))
+      if (envelopeStarts.length > 0) {
+        const earliest = new Date(Math.min(...envelopeStarts))
+        const [historyData, transferData] = await Promise.all([
+          transactionService.getAll({
+            startDate: new Date(earliest.getFullYear(), earliest.getMonth(), 1).toISOString(),
+            endDate: endOfMonth
+          }),
+          budgetService.getTransfers()
+        ])
+        setEnvelopeHistory(historyData || [])
+        setTransfers(transferData || [])
+      } else {
+        setEnvelopeHistory([])
+        setTransfers([])
+      }
     } catch (error) {
       console.error('Error loading budgets:', error)
     } finally {
@@ -108,10 +144,10 @@ function Budgets() {
    * Handle form input changes
    */
   const handleChange = (e) => {
-    const { name, value } = e.target
+    const { name, value, type, checked } = e.target
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }))
   }
 
@@ -129,7 +165,18 @@ function Budgets() {
 
       const budgetData = {
         ...formData,
-        amount: parseFloat(formData.amount)
+        amount: parseFloat(formData.amount),
+        isEnvelope: formData.isEnvelope && formData.period === 'monthly'
+      }
+
+      if (editingBudget) {
+        // Keep the original start date; a budget switched to envelope mode starts its envelope this month
+        const now = new Date()
+        const wasEnvelope = isEnvelopeBudget(editingBudget)
+        budgetData.startDate = budgetData.isEnvelope && !wasEnvelope
+          ? new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
+          : (editingBudget.start_date || editingBudget.startDate)
+        budgetData.isActive = editingBudget.is_active ?? editingBudget.isActive ?? true
       }
 
       let savedBudget = null
@@ -208,7 +255,8 @@ function Budgets() {
     setFormData({
       category: budget.category,
       amount: budget.amount.toString(),
-      period: budget.period || 'monthly'
+      period: budget.period || 'monthly',
+      isEnvelope: isEnvelopeBudget(budget)
     })
     setShowForm(true)
   }
@@ -222,10 +270,73 @@ function Budgets() {
     setFormData({
       category: '',
       amount: '',
-      period: 'monthly'
+      period: 'monthly',
+      isEnvelope: false
     })
   }
 
+  const envelopeBudgets = budgets.filter(isEnvelopeBudget)
+  const envelopeSummary = useMemo(() => calculateEnvelopeSummary({
+    budgets,
+    transactions: envelopeHistory,
+    transfers
+  }), [budgets, envelopeHistory, transfers])
+
+  const currentMonthKey = getMonthKey(new Date())
+  const monthTransfers = transfers.filter(transfer => getMonthKey(transfer.month) === currentMonthKey)
+
+  const getEnvelopeName = (budgetId) => {
+    if (!budgetId) return t('budgets.envelope.unassigned')
+    const budget = budgets.find(b => b.id === budgetId)
+    return budget
+      ? t(`categories.${(budget.category || '').toLowerCase()}`, { defaultValue: budget.category })
+      : t('budgets.envelope.deletedEnvelope')
+  }
+
+  const openTransferForm = () => {
+    setTransferForm({ fromBudgetId: '', toBudgetId: envelopeBudgets[0]?.id || '', amount: '', note: '' })
+    setTransferError(null)
+    setShowTransferForm(true)
+  }
+
+  const handleTransferChange = (e) => {
+    const { name, value } = e.target
+    setTransferForm(prev => ({ ...prev, [name]: value }))
+    setTransferError(null)
+  }
+
+  /**
+   * Move money between envelopes (or to/from the unassigned pool)
+   */
+  const handleTransferSubmit = async (e) => {
+    e.preventDefault()
+    const transfer = {
+      fromBudgetId: transferForm.fromBudgetId || null,
+      toBudgetId: transferForm.toBudgetId || null,
+      amount: parseFloat(transferForm.amount),
+      note: transferForm.note
+    }
+
+    const validationError = validateEnvelopeTransfer(transfer, envelopeSummary)
+    if (validationError) {
+      setTransferError(validationError)
+      return
+    }
+
+    try {
+      setFormLoading(true)
+      const created = await budgetService.transfer(transfer)
+      setTransfers(prev => [created, ...prev])
+      setShowTransferForm(false)
+      setShowSuccessAnimation(true)
+    } catch (error) {
+      console.error('Error moving money between envelopes:', error)
+      setTransferError('budgets.envelope.errors.transferFailed')
+    } finally {
+      setFormLoading(false)
+    }
+  }
+
   /**
    * Format currency for display
    */
@@ -320,6 +431,23 @@ function Budgets() {
               <option value="yearly">{t('budgets.yearly')}</option>
             </select>
           </div>
+
+          {formData.period === 'monthly' && (
+            <div className="form-group">
+              <label className="envelope-toggle">
+                <input
+                  type="checkbox"
+                  name="isEnvelope"
+                  checked={formData.isEnvelope}
+                  onChange={handleChange}
+                />
+                <span>{t('budgets.envelope.useEnvelope')}</span>
+              </label>
+              <small className="envelope-toggle-hint">
+                {t('budgets.envelope.useEnvelopeHint')}
+              </small>
+            </div>
+          )}
           </div>
 
           <div className="form-actions">
@@ -346,6 +474,83 @@ function Budgets() {
         </form>
       </Modal>
 
+      {/* Move Money Modal (Portal) */}
+      <Modal
+        isOpen={showTransferForm}
+        onClose={() => setShowTransferForm(false)}
+        title={t('budgets.envelope.moveMoney')}
+      >
+        <form onSubmit={handleTransferSubmit} className="budget-form budget-form--column">
+          <div className="form-with-scroll">
+          <div className="form-group">
+            <label htmlFor="fromBudgetId">{t('budgets.envelope.from')}</label>
+            <select id="fromBudgetId" name="fromBudgetId" value={transferForm.fromBudgetId} onChange={handleTransferChange}>
+              <option value="">
+                {t('budgets.envelope.unassigned')} ({formatCurrency(envelopeSummary.toAssign)})
+              </option>
+              {envelopeBudgets.map(budget => (
+                <option key={budget.id} value={budget.id}>
+                  {getEnvelopeName(budget.id)} ({formatCurrency(envelopeSummary.envelopes[budget.id]?.available ?? 0)})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="toBudgetId">{t('budgets.envelope.to')}</label>
+            <select id="toBudgetId" name="toBudgetId" value={transferForm.toBudgetId} onChange={handleTransferChange}>
+              <option value="">{t('budgets.envelope.unassigned')}</option>
+              {envelopeBudgets.map(budget => (
+                <option key={budget.id} value={budget.id}>{getEnvelopeName(budget.id)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="transferAmount">{t('budgets.amount')}</label>
+            <input
+              type="number"
+              id="transferAmount"
+              name="amount"
+              value={transferForm.amount}
+              onChange={handleTransferChange}
+              placeholder="0.00"
+              step="0.01"
+              min="0"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="transferNote">{t('budgets.envelope.note')}</label>
+            <input
+              type="text"
+              id="transferNote"
+              name="note"
+              value={transferForm.note}
+              onChange={handleTransferChange}
+              placeholder={t('budgets.envelope.notePlaceholder')}
+              maxLength={200}
+            />
+          </div>
+
+          {transferError && (
+            <p className="envelope-transfer-error">{t(transferError)}</p>
+          )}
+          </div>
+
+          <div className="form-actions">
+            <button type="button" onClick={() => setShowTransferForm(false)} className="btn btn-secondary">
+              <FiX size={18} />
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={formLoading}>
+              <FiShuffle size={18} /> {t('budgets.envelope.move')}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
       {/* Loading Progress Overlay */}
       <LoadingProgress show={showLoadingProgress} />
 
@@ -356,6 +561,69 @@ function Budgets() {
         message={t('budgets.savedSuccess')}
       />
 
+      {/* Envelope Summary (zero-based) */}
+      {envelopeBudgets.length > 0 && (
+        <div className="envelope-summary card">
+          <div className="envelope-summary-header">
+            <div className="envelope-totals">
+              <div className="amount-item">
+                <label>{t('budgets.envelope.income')}</label>
+                <span className={`amount ${isPrivate ? 'masked-number' : ''}`}>{formatCurrency(envelopeSummary.income)}</span>
+              </div>
+              <div className="amount-item">
+                <label>{t('budgets.envelope.assigned')}</label>
+                <span className={`amount ${isPrivate ? 'masked-number' : ''}`}>{formatCurrency(envelopeSummary.assigned)}</span>
+              </div>
+              <div className="amount-item">
+                <label>{t('budgets.envelope.toAssign')}</label>
+                <span className={`amount ${envelopeSummary.toAssign < 0 ? 'negative' : envelopeSummary.toAssign > 0 ? 'positive' : ''} ${isPrivate ? 'masked-number' : ''}`}>
+                  {formatCurrency(envelopeSummary.toAssign)}
+                </span>
+              </div>
+            </div>
+            <div className="envelope-summary-actions">
+              <button className="btn btn-secondary btn-sm" onClick={() => setShowTransferLog(prev => !prev)}>
+                <FiClock size={16} />
+                {t('budgets.envelope.history')} ({monthTransfers.length})
+              </button>
+              <button className="btn btn-primary btn-sm" onClick={openTransferForm}>
+                <FiShuffle size={16} />
+                {t('budgets.envelope.moveMoney')}
+              </button>
+            </div>
+          </div>
+
+          <p className={`envelope-status ${envelopeSummary.toAssign === 0 ? 'balanced' : envelopeSummary.toAssign > 0 ? 'unassigned' : 'over'}`}>
+            {envelopeSummary.toAssign === 0
+              ? t('budgets.envelope.balanced')
+              : envelopeSummary.toAssign > 0
+                ? t('budgets.envelope.leftToAssign', { amount: isPrivate ? '•••' : formatCurrency(envelopeSummary.toAssign) })
+                : t('budgets.envelope.overAssigned', { amount: isPrivate ? '•••' : formatCurrency(Math.abs(envelopeSummary.toAssign)) })}
+          </p>
+
+          {showTransferLog && (
+            <div className="envelope-transfer-log">
+              {monthTransfers.length === 0 ? (
+                <p className="envelope-transfer-empty">{t('budgets.envelope.noTransfers')}</p>
+              ) : (
+                monthTransfers.map(transfer => (
+                  <div key={transfer.id} className="envelope-transfer">
+                    <span className="envelope-transfer-route">
+                      {getEnvelopeName(transfer.fromBudgetId)} → {getEnvelopeName(transfer.toBudgetId)}
+                    </span>
+                    <span className={`envelope-transfer-amount ${isPrivate ? 'masked-number' : ''}`}>{formatCurrency(transfer.amount)}</span>
+                    <span className="envelope-transfer-meta">
+                      {format(new Date(transfer.createdAt), 'MMM dd, HH:mm')}
+                      {transfer.note && ` · ${transfer.note}`}
+                    </span>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Budgets List */}
       {budgets.length === 0 ? (
         <EmptyState
@@ -381,10 +649,14 @@ function Budgets() {
           }}
         >
           {budgets.map((budget) => {
+            const envelope = envelopeSummary.envelopes[budget.id]
             const spent = calculateSpent(budget.category)
-            const remaining = budget.amount - spent
-            const progress = calculateProgress(budget)
-            const isOverBudget = spent > budget.amount
+            // Envelopes are measured against what was funded, including carry-over and transfers
+            const remaining = envelope ? envelope.available : budget.amount - spent
+            const progress = envelope
+              ? (envelope.funded > 0 ? (spent / envelope.funded) * 100 : (spent > 0 ? 100 : 0))
+              : calculateProgress(budget)
+            const isOverBudget = envelope ? envelope.available < 0 : spent > budget.amount
 
             return (
               <motion.div 
@@ -407,6 +679,11 @@ function Budgets() {
                   <div className="budget-category">
                     <h3>{t(`categories.${(budget.category || '').toLowerCase()}`, { defaultValue: budget.category || '' })}</h3>
                     <span className="budget-period">{t(`budgets.${budget.period}`)}</span>
+                    {envelope && (
+                      <span className="envelope-badge">
+                        <FiMail size={12} /> {t('budgets.envelope.badge')}
+                      </span>
+                    )}
                   </div>
                   <div className="budget-actions">
                     <button
@@ -438,14 +715,36 @@ function Budgets() {
                     </span>
                   </div>
                   <div className="amount-item">
-                    <label>{t('budgets.remaining')}</label>
+                    <label>{envelope ? t('budgets.envelope.available') : t('budgets.remaining')}</label>
                     <span className={`amount ${remaining >= 0 ? 'positive' : 'negative'} ${isPrivate ? 'masked-number' : ''}`}>
                       {formatCurrency(remaining)}
                     </span>
                   </div>
                 </div>
 
+                {/* Envelope funding: carry-over and transfers */}
+                {envelope && (
+                  <div className="envelope-details">
+                    <BudgetProgressBar
+                      label={t('budgets.envelope.funded')}
+                      spent={spent}
+                      total={envelope.funded}
+                      carriedOver={envelope.carriedOver}
+                      currencyFormatter={formatCurrency}
+                    />
+                    {(envelope.transfersIn > 0 || envelope.transfersOut > 0) && (
+                      <p className={`envelope-moved ${isPrivate ? 'masked-number' : ''}`}>
+                        {t('budgets.envelope.moved', {
+                          in: formatCurrency(envelope.transfersIn),
+                          out: formatCurrency(envelope.transfersOut)
+                        })}
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {/* Progress Bar */}
+                {!envelope && (
                 <div className="progress-section">
                   <div className="progress-header">
                     <span>{progress.toFixed(1)}%</span>
@@ -472,6 +771,7 @@ function Budgets() {
                     </div>
                   </div>
                 </div>
+                )}
 
               </motion.div>
             )
@@ -38,7 +38,12 @@ import WeeklyRecapWidget from '../../../shared/components/widgets/WeeklyRecapWid
 import PaireHomeWidget from '../../../shared/components/widgets/PaireHomeWidget'
 import ChallengesWidget from '../../../shared/components/widgets/ChallengesWidget'
 import YearReviewWidget from '../../../shared/components/widgets/YearReviewWidget'
+import CashFlowWidget from '../../../shared/components/widgets/CashFlowWidget'
 import VoiceExpenseEntry from '../../../shared/components/VoiceExpenseEntry'
+import { usePendingFinanceRecords } from '../hooks/useFinanceSync'
+import { mergePendingRecords } from '../services/financeSync'
+import { formatMoney, getBaseAmount, getOriginalAmount, getTransactionCurrency, isForeignCurrency } from '../utils/multiCurrency'
+import { formatTransactionDescription } from '../utils/partnerLedger'
 import './Dashboard.css'
 
 /**
@@ -98,10 +103,19 @@ function Dashboard() {
       endDate: dateRange.endOfMonth.toISOString()
     })
   })
+  // Offline changes waiting to sync are overlaid on server data
+  const pendingTransactions = usePendingFinanceRecords('transactions')
+  const pendingBudgets = usePendingFinanceRecords('budgets')
+  const pendingSavingGoals = usePendingFinanceRecords('savingsGoals')
+
   const monthTransactions = useMemo(() => {
     const raw = monthData
-    return Array.isArray(raw) ? raw : (raw?.items || [])
-  }, [monthData])
+    const items = Array.isArray(raw) ? raw : (raw?.items || [])
+    return mergePendingRecords(items, pendingTransactions, record => {
+      const date = new Date(record.date)
+      return date >= dateRange.startOfMonth && date <= dateRange.endOfMonth
+    })
+  }, [monthData, pendingTransactions, dateRange])
 
   // React Query: recent transactions (server-side paginated, small window)
   const { data: recentData, isLoading: recentLoading } = useQuery({
@@ -110,8 +124,9 @@ function Dashboard() {
   })
   const recentTransactions = useMemo(() => {
     const raw = recentData
-    return Array.isArray(raw) ? raw : (raw?.items || [])
-  }, [recentData])
+    const items = Array.isArray(raw) ? raw : (raw?.items || [])
+    return mergePendingRecords(items, pendingTransactions)
+  }, [recentData, pendingTransactions])
 
   // React Query: budgets and saving goals
   const { data: budgets = [] } = useQuery({
@@ -145,7 +160,9 @@ function Dashboard() {
       await Promise.all([
         queryClient.invalidateQueries({ queryKey: ['transactions'] }),
         queryClient.invalidateQueries({ queryKey: ['budgets'] }),
-        queryClient.invalidateQueries({ queryKey: ['savingsGoals'] })
+        queryClient.invalidateQueries({ queryKey: ['savingsGoals'] }),
+        queryClient.invalidateQueries({ queryKey: ['analytics'] }),
+        queryClient.invalidateQueries({ queryKey: ['upcomingBills'] })
       ])
     } finally {
       setRefreshing(false)
@@ -287,9 +304,9 @@ function Dashboard() {
 
     const summary = filtered.reduce((acc, transaction) => {
       if (transaction.type === 'expense') {
-        acc.expenses += transaction.amount
+        acc.expenses += getBaseAmount(transaction)
       } else if (transaction.type === 'income') {
-        acc.income += transaction.amount
+        acc.income += getBaseAmount(transaction)
       }
       return acc
     }, { income: 0, expenses: 0 })
@@ -305,13 +322,13 @@ function Dashboard() {
 
   // Filter Budgets
   const filteredBudgets = useMemo(() => {
-    return budgets.filter(filterItem)
-  }, [budgets, filterItem])
+    return mergePendingRecords(budgets, pendingBudgets).filter(filterItem)
+  }, [budgets, pendingBudgets, filterItem])
 
   // Filter Saving Goals
   const filteredSavingGoals = useMemo(() => {
-    return savingGoals.filter(filterItem)
-  }, [savingGoals, filterItem])
+    return mergePendingRecords(savingGoals, pendingSavingGoals).filter(filterItem)
+  }, [savingGoals, pendingSavingGoals, filterItem])
 
   /**
    * Format currency for display
@@ -609,6 +626,9 @@ function Dashboard() {
         </motion.div>
       </motion.div>
 
+      {/* Cash-flow projection and safe-to-spend */}
+      <CashFlowWidget />
+
       {/* Paire Features Widgets */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '16px', marginBottom: '24px' }}>
         <StreakWidget />
@@ -658,7 +678,7 @@ function Dashboard() {
                 new Date(t.date) >= dateRange.startOfMonth &&
                 new Date(t.date) <= dateRange.endOfMonth
               )
-              .reduce((sum, t) => sum + t.amount, 0);
+              .reduce((sum, t) => sum + getBaseAmount(t), 0);
 
             return (
               <BudgetProgressBar
@@ -915,9 +935,16 @@ const TransactionItem = memo(({ transaction, formatCurrency, t, onClick, isPriva
         )}
       </div>
       <div className="transaction-details">
-        <h4>{transaction.description || transaction.category}</h4>
+        <h4>{formatTransactionDescription(transaction, t) || transaction.category}</h4>
         <p className="transaction-date">
           {formattedDate}
+          {transaction._synced === false && (
+            <span className={`sync-badge ${transaction._syncError ? 'sync-badge-error' : ''}`}>
+              {transaction._syncError
+                ? t('expenses.syncFailed', 'Sync failed')
+                : t('expenses.pendingSync', 'Pending sync')}
+            </span>
+          )}
           {transaction.paidBy === 'Bank' || transaction.isBankSynced ? (
             <span className="added-by">
               {' • ' + t('dashboard.bankConnection', 'Imported from Bank')}
@@ -941,7 +968,12 @@ const TransactionItem = memo(({ transaction, formatCurrency, t, onClick, isPriva
       </div>
       <div className={`transaction-amount ${transaction.type} ${isPrivate ? 'masked-number' : ''}`}>
         {transaction.type === 'income' ? '+' : '-'}
-        {formatCurrency(Math.abs(transaction.amount))}
+        {formatCurrency(getBaseAmount(transaction))}
+        {isForeignCurrency(transaction) && (
+          <span className="transaction-original-amount">
+            {formatMoney(getOriginalAmount(transaction), getTransactionCurrency(transaction))}
+          </span>
+        )}
       </div>
     </div>
   )
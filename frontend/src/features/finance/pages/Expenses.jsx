@@ -28,6 +28,9 @@ import TransactionDetailModal from '../../../shared/components/TransactionDetail
 import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
 import AddToCalculatorButton from '../../../shared/components/AddToCalculatorButton'
 import EmptyState from '../../../shared/components/EmptyState'
+import { usePendingFinanceRecords } from '../hooks/useFinanceSync'
+import { mergePendingRecords } from '../services/financeSync'
+import { formatTransactionDescription } from '../utils/partnerLedger'
 import './Expenses.css'
 
 const expenseCardVariants = {
@@ -88,11 +91,18 @@ const ExpenseRow = memo(({ index, style, data }) => {
         </div>
         <div className="data-card-body">
           {expense.description ? (
-            <p className="expense-description">{expense.description}</p>
+            <p className="expense-description">{formatTransactionDescription(expense, t)}</p>
           ) : null}
         </div>
         <div className="expense-date data-card-meta">
           {format(new Date(expense.date), 'MMMM dd, yyyy')}
+          {expense._synced === false && (
+            <span className={`sync-badge ${expense._syncError ? 'sync-badge-error' : ''}`}>
+              {expense._syncError
+                ? t('expenses.syncFailed', 'Sync failed')
+                : t('expenses.pendingSync', 'Pending sync')}
+            </span>
+          )}
           {expense.paidBy === 'Bank' || expense.isBankSynced ? (
             <span className="added-by">{' • ' + t('dashboard.bankConnection', 'Imported from Bank')}</span>
           ) : expense.user_profiles && (
@@ -194,16 +204,24 @@ function Expenses() {
     })
   })
 
+  // Offline-created/edited expenses waiting to sync (shown optimistically on page 1)
+  const pendingTransactions = usePendingFinanceRecords('transactions')
+
   // Derive displayed list and pagination from query result
   useEffect(() => {
-    if (expensesData === undefined) return
-    const items = Array.isArray(expensesData) ? expensesData : (expensesData.items || [])
-    const total = Array.isArray(expensesData) ? expensesData.length : (expensesData.totalCount ?? items.length)
-    const pages = Array.isArray(expensesData) ? 1 : (expensesData.totalPages ?? 1)
-    setDisplayedExpenses(items)
+    if (expensesData === undefined && pendingTransactions.length === 0) return
+    const data = expensesData ?? []
+    const items = Array.isArray(data) ? data : (data.items || [])
+    const total = Array.isArray(data) ? data.length : (data.totalCount ?? items.length)
+    const pages = Array.isArray(data) ? 1 : (data.totalPages ?? 1)
+    setDisplayedExpenses(mergePendingRecords(
+      items,
+      pendingTransactions,
+      record => page === 1 && record.type === 'expense'
+    ))
     setTotalItems(total)
     setTotalPages(pages)
-  }, [expensesData])
+  }, [expensesData, pendingTransactions, page])
 
   // Mutations: invalidate transactions cache on create/update/delete
   const createMutation = useMutation({
@@ -255,8 +273,11 @@ function Expenses() {
       const createdExpenseId = createdExpense?.id || createdExpense?.transactionId || null
 
       setShowSuccessAnimation(true)
-      showSuccess(t('expenses.createdSuccess'))
-      announce(t('expenses.createdSuccess'))
+      const createdMessage = createdExpense?._synced === false
+        ? t('expenses.savedOffline', 'Saved offline – will sync when you are back online')
+        : t('expenses.createdSuccess')
+      showSuccess(createdMessage)
+      announce(createdMessage)
 
       setShowForm(false)
 
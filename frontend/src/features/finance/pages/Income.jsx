@@ -20,6 +20,7 @@ import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
 import useToast from '../../../shared/hooks/useToast'
 import AddToCalculatorButton from '../../../shared/components/AddToCalculatorButton'
 import EmptyState from '../../../shared/components/EmptyState'
+import { formatTransactionDescription } from '../utils/partnerLedger'
 import './Income.css'
 import '../../../shared/styles/AddToCalculator.css'
 
@@ -332,7 +333,7 @@ function Income() {
               <div className="data-card-body">
                 {income.description ? (
                   <p className="income-description">
-                    {income.description}
+                    {formatTransactionDescription(income, t)}
                   </p>
                 ) : null}
               </div>
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
-import { FiPlus, FiEdit, FiTrash2, FiCheckCircle, FiClock, FiList, FiTrendingDown, FiChevronLeft, FiChevronRight, FiDollarSign } from 'react-icons/fi'
+import { FiPlus, FiEdit, FiTrash2, FiCheckCircle, FiClock, FiList, FiTrendingDown, FiChevronLeft, FiChevronRight, FiDollarSign, FiBarChart2 } from 'react-icons/fi'
 import { loanService, loanPaymentService } from '../../../services/api'
 import { format } from 'date-fns'
 import ConfirmationModal from '../../../shared/components/ConfirmationModal'
@@ -15,6 +15,8 @@ import LoadingProgress from '../../../shared/components/LoadingProgress'
 import useCurrencyFormatter from '../../../shared/hooks/useCurrencyFormatter'
 import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
 import EmptyState from '../../../shared/components/EmptyState'
+import LoanAmortization from '../../../shared/components/LoanAmortization'
+import { PAYMENT_FREQUENCIES, COMPOUNDING_FREQUENCIES, getTermPeriods, getLoanSchedule } from '../utils/loanAmortization'
 import './Loans.css'
 
 /**
@@ -31,6 +33,7 @@ function Loans() {
   // const [formLoading, setFormLoading] = useState(false) - unused variable removed
   const [formLoading, setFormLoading] = useState(false)
   const [viewingPayments, setViewingPayments] = useState(null)
+  const [viewingSchedule, setViewingSchedule] = useState(null)
   const [paymentHistory, setPaymentHistory] = useState([])
   const [showPaymentForm, setShowPaymentForm] = useState(false)
   const [deleteLoanModal, setDeleteLoanModal] = useState({ isOpen: false, loan: null })
@@ -55,7 +58,13 @@ function Loans() {
     remainingAmount: '',
     dueDate: '',
     description: '',
-    isSettled: false
+    isSettled: false,
+    interestRate: '',
+    durationYears: '',
+    durationMonths: '',
+    installmentFrequency: 'monthly',
+    compoundingFrequency: 'monthly',
+    installmentAmount: ''
   })
 
   /**
@@ -122,6 +131,8 @@ function Loans() {
       const remainingAmount = editingLoan
         ? parseFloat(formData.remainingAmount || formData.amount)
         : loanAmount // For new loans, remaining = amount
+      const toNumberOrNull = (value) => (value === '' || value == null ? null : parseFloat(value))
+      const hasTerm = (parseInt(formData.durationYears) || 0) + (parseInt(formData.durationMonths) || 0) > 0
 
       const loanData = {
         amount: loanAmount,
@@ -131,7 +142,14 @@ function Loans() {
         description: formData.description,
         dueDate: formData.dueDate || null,
         isSettled: formData.isSettled,
-        date: new Date().toISOString()
+        date: editingLoan?.date || new Date().toISOString(),
+        interestRate: toNumberOrNull(formData.interestRate),
+        durationYears: formData.durationYears ? parseInt(formData.durationYears) : null,
+        durationMonths: formData.durationMonths ? parseInt(formData.durationMonths) : null,
+        hasInstallments: hasTerm,
+        installmentAmount: toNumberOrNull(formData.installmentAmount),
+        installmentFrequency: hasTerm ? formData.installmentFrequency : null,
+        compoundingFrequency: formData.interestRate ? formData.compoundingFrequency : null
       }
 
       let savedLoan = null
@@ -218,7 +236,13 @@ function Loans() {
       remainingAmount: loan.remainingAmount ?? loan.remaining_amount ?? loan.amount,
       dueDate: (loan.dueDate || loan.due_date) ? (loan.dueDate || loan.due_date).split('T')[0] : '',
       description: loan.description || '',
-      isSettled: loan.isSettled ?? loan.is_settled ?? false
+      isSettled: loan.isSettled ?? loan.is_settled ?? false,
+      interestRate: loan.interestRate ?? loan.interest_rate ?? '',
+      durationYears: loan.durationYears ?? loan.duration_years ?? '',
+      durationMonths: loan.durationMonths ?? loan.duration_months ?? '',
+      installmentFrequency: loan.installmentFrequency || loan.installment_frequency || 'monthly',
+      compoundingFrequency: loan.compoundingFrequency || loan.compounding_frequency || 'monthly',
+      installmentAmount: loan.installmentAmount ?? loan.installment_amount ?? ''
     }
 
     setFormData({
@@ -242,7 +266,13 @@ function Loans() {
       remainingAmount: '',
       dueDate: '',
       description: '',
-      isSettled: false
+      isSettled: false,
+      interestRate: '',
+      durationYears: '',
+      durationMonths: '',
+      installmentFrequency: 'monthly',
+      compoundingFrequency: 'monthly',
+      installmentAmount: ''
     })
   }
 
@@ -363,6 +393,16 @@ function Loans() {
     return formatBaseCurrency(numAmount)
   }
 
+  // Live instalment preview while editing terms
+  const formSchedule = getLoanSchedule({
+    amount: formData.amount,
+    interestRate: formData.interestRate,
+    compoundingFrequency: formData.compoundingFrequency,
+    installmentFrequency: formData.installmentFrequency,
+    durationYears: formData.durationYears,
+    durationMonths: formData.durationMonths
+  })
+
   if (loading) {
     return (
       <div className="page-loading">
@@ -490,6 +530,116 @@ function Loans() {
             />
           </FormSection>
 
+          {/* Interest & Term Section */}
+          <FormSection title={t('loans.interestAndTerm', 'Interest & term')} collapsible={true} defaultExpanded={!!formData.interestRate || !!formData.durationYears || !!formData.durationMonths}>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="interestRate">{t('loans.interestRate', 'Interest rate (% per year)')}</label>
+                <input
+                  type="number"
+                  id="interestRate"
+                  name="interestRate"
+                  value={formData.interestRate}
+                  onChange={handleChange}
+                  step="0.01"
+                  min="0"
+                  max="100"
+                  placeholder="0.00"
+                  disabled={formLoading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="compoundingFrequency">{t('loans.compounding', 'Compounding')}</label>
+                <select
+                  id="compoundingFrequency"
+                  name="compoundingFrequency"
+                  value={formData.compoundingFrequency}
+                  onChange={handleChange}
+                  disabled={formLoading}
+                >
+                  {Object.keys(COMPOUNDING_FREQUENCIES).map(frequency => (
+                    <option key={frequency} value={frequency}>{t(`loans.frequencies.${frequency}`)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="durationYears">{t('loans.durationYears', 'Term (years)')}</label>
+                <input
+                  type="number"
+                  id="durationYears"
+                  name="durationYears"
+                  value={formData.durationYears}
+                  onChange={handleChange}
+                  step="1"
+                  min="0"
+                  max="50"
+                  placeholder="0"
+                  disabled={formLoading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="durationMonths">{t('loans.durationMonths', 'Term (months)')}</label>
+                <input
+                  type="number"
+                  id="durationMonths"
+                  name="durationMonths"
+                  value={formData.durationMonths}
+                  onChange={handleChange}
+                  step="1"
+                  min="0"
+                  max="11"
+                  placeholder="0"
+                  disabled={formLoading}
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="installmentFrequency">{t('loans.installmentFrequency', 'Repayments')}</label>
+                <select
+                  id="installmentFrequency"
+                  name="installmentFrequency"
+                  value={formData.installmentFrequency}
+                  onChange={handleChange}
+                  disabled={formLoading}
+                >
+                  {Object.keys(PAYMENT_FREQUENCIES).map(frequency => (
+                    <option key={frequency} value={frequency}>{t(`loans.frequencies.${frequency}`)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="installmentAmount">{t('loans.installmentAmount', 'Instalment amount')}</label>
+                <input
+                  type="number"
+                  id="installmentAmount"
+                  name="installmentAmount"
+                  value={formData.installmentAmount}
+                  onChange={handleChange}
+                  step="0.01"
+                  min="0"
+                  placeholder={t('common.optional')}
+                  disabled={formLoading}
+                />
+              </div>
+            </div>
+            {formSchedule?.installment > 0 && !formData.installmentAmount && (
+              <small className="form-hint">
+                {t('loans.calculatedInstallment', 'Calculated instalment: {{amount}} × {{count}}', {
+                  amount: formatCurrency(formSchedule.installment),
+                  count: formSchedule.periods
+                })}
+              </small>
+            )}
+          </FormSection>
+
           {/* Additional Details Section */}
           <FormSection title={t('transaction.formSections.additionalDetails')} collapsible={true} defaultExpanded={!!formData.description || formData.isSettled}>
             {/* Status */}
@@ -583,6 +733,8 @@ function Loans() {
             // Handle both camelCase and snake_case property names
             const isGiven = (loan.lentBy || loan.lent_by) === 'Me'
             const partyName = isGiven ? (loan.borrowedBy || loan.borrowed_by) : (loan.lentBy || loan.lent_by)
+            const interestRate = loan.interestRate ?? loan.interest_rate
+            const termPeriods = getTermPeriods(loan)
 
             return (
               <motion.div 
@@ -638,6 +790,22 @@ function Loans() {
                   </div>
                 )}
 
+                {(interestRate > 0 || termPeriods > 0) && (
+                  <div className="loan-terms">
+                    {interestRate > 0 && (
+                      <span>{t('loans.ratePerYear', '{{rate}}% p.a.', { rate: interestRate })}</span>
+                    )}
+                    {termPeriods > 0 && (
+                      <span>
+                        {t('loans.termSummary', '{{count}} × {{frequency}}', {
+                          count: termPeriods,
+                          frequency: t(`loans.frequencies.${loan.installmentFrequency || 'monthly'}`)
+                        })}
+                      </span>
+                    )}
+                  </div>
+                )}
+
                 {loan.description && (
                   <p className="loan-description">{loan.description}</p>
                 )}
@@ -668,6 +836,14 @@ function Loans() {
                     <FiList size={16} />
                     Payments
                   </button>
+                  <button
+                    onClick={() => setViewingSchedule(loan)}
+                    className="btn btn-sm btn-secondary"
+                    title={t('loans.amortization.title', 'Repayment schedule')}
+                  >
+                    <FiBarChart2 size={16} />
+                    {t('loans.schedule', 'Schedule')}
+                  </button>
                   <button
                     onClick={() => openEditForm(loan)}
                     className="btn-icon"
@@ -905,6 +1081,15 @@ function Loans() {
         </div>
       </Modal>
 
+      {/* Amortization Schedule Modal (Portal) */}
+      <Modal
+        isOpen={!!viewingSchedule}
+        onClose={() => setViewingSchedule(null)}
+        title={t('loans.amortization.title', 'Repayment schedule')}
+      >
+        {viewingSchedule && <LoanAmortization loan={viewingSchedule} />}
+      </Modal>
+
       {/* Delete Loan Confirmation Modal */}
       <ConfirmationModal
         isOpen={deleteLoanModal.isOpen}
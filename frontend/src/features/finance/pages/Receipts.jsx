@@ -1,13 +1,14 @@
 import { useState, useEffect, useMemo } from 'react'
 import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
-import { FiTrash2, FiSearch, FiZoomIn, FiDownload, FiX, FiFileText, FiPlus } from 'react-icons/fi'
+import { FiTrash2, FiSearch, FiZoomIn, FiDownload, FiX, FiFileText, FiPlus, FiCamera } from 'react-icons/fi'
 import { transactionService, recurringBillService } from '../../../services/api'
 import { ALL_CATEGORIES } from '../../../constants/categories'
 import { format, startOfDay, endOfDay } from 'date-fns'
 import ConfirmationModal from '../../../shared/components/ConfirmationModal'
 import Modal from '../../../shared/components/Modal'
 import TransactionForm from '../../../shared/components/TransactionForm'
+import ReceiptScanner from '../../../shared/components/ReceiptScanner'
 import SearchInput from '../../../shared/components/SearchInput'
 import DateRangePicker from '../../../shared/components/DateRangePicker'
 import Skeleton from '../../../shared/components/Skeleton'
@@ -28,6 +29,7 @@ function Receipts() {
     const [deleteModal, setDeleteModal] = useState({ isOpen: false, receipt: null })
     const [viewModal, setViewModal] = useState(null) // For viewing full image
     const [showForm, setShowForm] = useState(false)
+    const [showScanner, setShowScanner] = useState(false)
     const [formLoading, setFormLoading] = useState(false)
 
     const { toasts, success: showSuccess, error: showError, removeToast } = useToast()
@@ -158,6 +160,7 @@ function Receipts() {
 
     const closeForm = () => {
         setShowForm(false)
+        setShowScanner(false)
     }
 
     const handleCreateReceipt = async (data) => {
@@ -185,15 +188,25 @@ function Receipts() {
                         {t('receipts.subtitle', 'View and manage your transaction receipts')}
                     </p>
                 </div>
-                {!showForm && (
-                    <button
-                        type="button"
-                        onClick={() => setShowForm(true)}
-                        className="btn btn-primary"
-                    >
-                        <FiPlus />
-                        {t('receipts.addReceipt', 'Add Receipt')}
-                    </button>
+                {!showForm && !showScanner && (
+                    <div className="receipts-header-actions">
+                        <button
+                            type="button"
+                            onClick={() => setShowScanner(true)}
+                            className="btn btn-primary"
+                        >
+                            <FiCamera />
+                            {t('receiptScanner.scanReceipt')}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setShowForm(true)}
+                            className="btn btn-secondary"
+                        >
+                            <FiPlus />
+                            {t('receipts.addReceipt', 'Add Receipt')}
+                        </button>
+                    </div>
                 )}
             </div>
 
@@ -251,6 +264,21 @@ function Receipts() {
                 />
             </Modal>
 
+            {/* Scan Receipt Modal */}
+            <Modal
+                isOpen={showScanner}
+                onClose={closeForm}
+                title={t('receiptScanner.scanReceipt')}
+            >
+                {showScanner && (
+                    <ReceiptScanner
+                        onSubmit={handleCreateReceipt}
+                        onCancel={closeForm}
+                        loading={formLoading}
+                    />
+                )}
+            </Modal>
+
             {/* Grid */}
             {loading ? (
                 <div className="receipts-grid">
@@ -269,10 +297,15 @@ function Receipts() {
                     icon={<FiFileText size={64} />}
                     description={t('receipts.noReceipts', 'No receipts found.')}
                     primaryAction={{
+                        label: t('receiptScanner.scanReceipt'),
+                        onClick: () => setShowScanner(true),
+                        icon: <FiCamera />
+                    }}
+                    secondaryActions={[{
                         label: t('receipts.addReceipt', 'Add Receipt'),
                         onClick: () => setShowForm(true),
                         icon: <FiPlus />
-                    }}
+                    }]}
                 />
             ) : (
                 <motion.div 
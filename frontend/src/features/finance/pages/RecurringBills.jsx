@@ -6,12 +6,9 @@ import {
   FiCalendar, FiPlus, FiEdit, FiTrash2, FiCheck,
   FiClock, FiAlertCircle, FiRepeat, FiLink, FiRotateCcw,
   FiGrid, FiList, FiChevronLeft, FiChevronRight, FiPaperclip, FiDownload, FiX, FiFileText, FiTarget, FiSearch,
-  FiInfo, FiMoreHorizontal
+  FiInfo, FiMoreHorizontal, FiSkipForward, FiBarChart2
 } from 'react-icons/fi'
-import {
-  addMonths, addYears, addWeeks, startOfMonth, endOfMonth, isSameMonth,
-  isAfter, isBefore, startOfDay, endOfDay, eachDayOfInterval, getDay
-} from 'date-fns'
+import { endOfMonth, isSameMonth, isBefore, startOfDay } from 'date-fns'
 import { recurringBillService, loanService, loanPaymentService, savingsGoalService } from '../../../services/api'
 import useCurrencyFormatter from '../../../shared/hooks/useCurrencyFormatter'
 import ConfirmationModal from '../../../shared/components/ConfirmationModal'
@@ -27,6 +24,8 @@ import CalendarView from '../../../shared/components/CalendarView'
 import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
 import AddToCalculatorButton from '../../../shared/components/AddToCalculatorButton'
 import EmptyState from '../../../shared/components/EmptyState'
+import BillForecastCalendar from '../../../shared/components/BillForecastCalendar'
+import { buildMonthlyForecast, calculateUnpaidThrough } from '../utils/billForecast'
 import './RecurringBills.css'
 import '../../../shared/styles/AddToCalculator.css'
 
@@ -137,7 +136,7 @@ function RecurringBills() {
       queryClient.invalidateQueries({ queryKey: ['recurringBills'] })
       queryClient.invalidateQueries({ queryKey: ['recurringBillsSummary'] })
     },
-    onError: (error, billId) => {
+    onError: () => {
       // Restore the bill on error - refetch from server
       queryClient.invalidateQueries({ queryKey: ['recurringBills'] })
       queryClient.invalidateQueries({ queryKey: ['recurringBillsSummary'] })
@@ -151,13 +150,20 @@ function RecurringBills() {
       queryClient.invalidateQueries({ queryKey: ['recurringBills'] })
       queryClient.invalidateQueries({ queryKey: ['recurringBillsSummary'] })
     },
-    onError: (error, billId) => {
+    onError: () => {
       // Restore on error - refetch from server
       queryClient.invalidateQueries({ queryKey: ['recurringBills'] })
       queryClient.invalidateQueries({ queryKey: ['recurringBillsSummary'] })
     }
   })
 
+  const skipBillMutation = useMutation({
+    mutationFn: recurringBillService.skip,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['recurringBills'] })
+      queryClient.invalidateQueries({ queryKey: ['recurringBillsSummary'] })
+    }
+  })
 
   /* --- HELPERS --- */
   const getDaysUntil = (dueDate) => {
@@ -212,7 +218,9 @@ function RecurringBills() {
 
   const frequencies = [
     { value: 'weekly', label: t('recurringBills.frequencies.weekly') },
+    { value: 'biweekly', label: t('recurringBills.frequencies.biweekly') },
     { value: 'monthly', label: t('recurringBills.frequencies.monthly') },
+    { value: 'lastBusinessDay', label: t('recurringBills.frequencies.lastBusinessDay') },
     { value: 'quarterly', label: t('recurringBills.frequencies.quarterly') },
     { value: 'yearly', label: t('recurringBills.frequencies.yearly') }
   ]
@@ -353,6 +361,24 @@ function RecurringBills() {
     setUnmarkModal({ isOpen: true, bill })
   }
 
+  /**
+   * Skip the current occurrence without recording a payment
+   * Reverting the last payment restores a skipped occurrence.
+   */
+  const handleSkip = async (bill) => {
+    if (processingBillId) return
+
+    try {
+      setProcessingBillId(bill.id)
+      await skipBillMutation.mutateAsync(bill.id)
+    } catch (error) {
+      console.error('Error skipping bill:', error)
+      alert(t('recurringBills.errorSkipping'))
+    } finally {
+      setProcessingBillId(null)
+    }
+  }
+
   const confirmUnmark = async () => {
     const { bill } = unmarkModal
     if (!bill) return
@@ -612,83 +638,12 @@ function RecurringBills() {
 
   // --- NEW CALCULATION LOGIC ---
 
-  /**
-   * Calculate total of unpaid bills for the current month (including overdue)
-   */
-  const calculateCurrentMonthUnpaid = () => {
-    // 1. Overdue bills are always unpaid "obligations" for now
-    const overdueTotal = activeBills
-      .filter(b => isOverdue(b.nextDueDate || b.next_due_date))
-      .reduce((sum, b) => sum + parseFloat(b.amount), 0)
-
-    // 2. Bills due effectively "this month" (start of today until end of month)
-    const dueThisMonthTotal = activeBills
-      .filter(b => {
-        const dueDate = new Date(b.nextDueDate || b.next_due_date)
-        // Must be in current month AND not overdue (future in current month)
-        // We use isSameMonth to bound it to this month
-        return isSameMonth(dueDate, today) && !isOverdue(b.nextDueDate || b.next_due_date)
-      })
-      .reduce((sum, b) => sum + parseFloat(b.amount), 0)
-
-    return overdueTotal + dueThisMonthTotal
-  }
-
-  /**
-   * Calculate projected total for NEXT month
-   */
-  const calculateNextMonthTotal = () => {
-    const nextMonthDate = addMonths(today, 1)
-    const startOfNext = startOfMonth(nextMonthDate)
-    const endOfNext = endOfMonth(nextMonthDate)
-
-    let total = 0
+  // Everything still to pay this month, including overdue occurrences
+  const currentMonthUnpaidAmount = calculateUnpaidThrough(activeBills, currentMonthEnd, today)
 
-    activeBills.forEach(bill => {
-      const amount = parseFloat(bill.amount)
-      const freq = (bill.frequency || 'monthly').toLowerCase()
-      const dueDay = parseInt(bill.dueDay || bill.due_day || 1)
-      const nextDueDate = new Date(bill.nextDueDate || bill.next_due_date)
-
-      // Strategy: Project occurrences from the CURRENT nextDueDate
-      // and sum valid ones that fall into [startOfNext, endOfNext]
-
-      let pointer = new Date(nextDueDate)
-      // Safety break to prevent infinite loops if something is wrong
-      let itemsChecked = 0
-
-      // If pointer is ALREADY after end of next month, this bill has no contribution
-      if (isAfter(pointer, endOfNext)) return
-
-      // While pointer is before or within next month...
-      while ((isBefore(pointer, endOfNext) || isSameMonth(pointer, endOfNext)) && itemsChecked < 52) {
-        itemsChecked++
-
-        // If pointer is WITHIN next month, add amount
-        if (isSameMonth(pointer, nextMonthDate)) {
-          total += amount
-        }
-
-        // Advance pointer
-        if (freq === 'weekly') {
-          pointer = addWeeks(pointer, 1)
-        } else if (freq === 'monthly') {
-          pointer = addMonths(pointer, 1)
-        } else if (freq === 'quarterly') {
-          pointer = addMonths(pointer, 3)
-        } else if (freq === 'yearly') {
-          pointer = addYears(pointer, 1)
-        } else {
-          pointer = addMonths(pointer, 1) // default
-        }
-      }
-    })
-
-    return total
-  }
-
-  const currentMonthUnpaidAmount = calculateCurrentMonthUnpaid()
-  const nextMonthProjectedAmount = calculateNextMonthTotal()
+  // 12-month cash-flow forecast; the second month is NEXT month's projection
+  const monthlyForecast = buildMonthlyForecast(activeBills, { months: 12, today })
+  const nextMonthProjectedAmount = monthlyForecast[1].unpaid
 
   // --- END CALCULATION LOGIC ---
 
@@ -830,6 +785,14 @@ function RecurringBills() {
               >
                 <FiGrid size={20} />
               </button>
+              <button
+                className={`btn-icon ${viewMode === 'forecast' ? 'active' : ''}`}
+                onClick={() => setViewMode('forecast')}
+                title={t('recurringBills.forecastView.title')}
+                style={{ background: viewMode === 'forecast' ? 'var(--primary)' : 'transparent', color: viewMode === 'forecast' ? 'white' : 'var(--text-secondary)', border: 'none', borderRadius: '6px', padding: '6px', cursor: 'pointer' }}
+              >
+                <FiBarChart2 size={20} />
+              </button>
             </div>
 
             <button className="btn btn-primary" onClick={() => setShowForm(true)}>
@@ -1001,8 +964,19 @@ function RecurringBills() {
         </div>
       )}
 
+      {/* 12-Month Forecast View */}
+      {viewMode === 'forecast' && (
+        <div className="fade-in">
+          <BillForecastCalendar
+            bills={filteredActiveBills}
+            formatCurrency={formatCurrency}
+            isPrivate={isPrivate}
+          />
+        </div>
+      )}
+
       {/* Bills Sections - List View */}
-      <div className={`bills-container ${viewMode === 'calendar' ? 'hidden' : ''}`} style={viewMode === 'calendar' ? { display: 'none' } : {}}>
+      <div className={`bills-container ${viewMode !== 'list' ? 'hidden' : ''}`} style={viewMode !== 'list' ? { display: 'none' } : {}}>
 
         {/* No search results - show when search is active but no bills match */}
         {searchQuery.trim() && filteredActiveBills.length === 0 && bills.length > 0 && (
@@ -1056,6 +1030,7 @@ function RecurringBills() {
                   onDelete={openDeleteModal}
                   onMarkPaid={handleMarkPaid}
                   onUnmark={handleUnmarkPaid}
+                  onSkip={handleSkip}
                   onAttachments={handleAttachments}
                   isProcessing={processingBillId === bill.id}
                   getCategoryIcon={getCategoryIcon}
@@ -1113,6 +1088,7 @@ function RecurringBills() {
                   onDelete={openDeleteModal}
                   onMarkPaid={handleMarkPaid}
                   onUnmark={handleUnmarkPaid}
+                  onSkip={handleSkip}
                   onAttachments={handleAttachments}
                   isProcessing={processingBillId === bill.id}
                   getCategoryIcon={getCategoryIcon}
@@ -1228,6 +1204,7 @@ function RecurringBills() {
                   onDelete={openDeleteModal}
                   onMarkPaid={handleMarkPaid}
                   onUnmark={handleUnmarkPaid}
+                  onSkip={handleSkip}
                   onAttachments={handleAttachments}
                   isProcessing={processingBillId === bill.id}
                   getCategoryIcon={getCategoryIcon}
@@ -1715,6 +1692,7 @@ function BillCard({
   onDelete,
   onMarkPaid,
   onUnmark,
+  onSkip,
   onAttachments,
   isProcessing,
   getCategoryIcon,
@@ -1882,6 +1860,20 @@ function BillCard({
                       <FiEdit />
                       <span>{t('common.edit')}</span>
                     </button>
+                    {onSkip && (
+                      <button
+                        type="button"
+                        className="bill-row-menu-item"
+                        onClick={() => {
+                          setShowActionsMenu(false)
+                          onSkip(bill)
+                        }}
+                        disabled={isProcessing}
+                      >
+                        <FiSkipForward />
+                        <span>{t('recurringBills.skipOccurrence')}</span>
+                      </button>
+                    )}
                     <button
                       type="button"
                       className="bill-row-menu-item danger"
@@ -1,12 +1,22 @@
 import { useState, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
+import { addDays, format, parseISO } from 'date-fns'
 import {
   FiTarget, FiPlus, FiEdit, FiTrash2, FiTrendingUp,
   FiCalendar, FiCheckCircle, FiArrowUp, FiArrowDown,
-  FiInfo, FiSliders
+  FiInfo, FiSliders, FiRepeat, FiClock
 } from 'react-icons/fi'
-import { savingsGoalService } from '../../../services/api'
+import { savingsGoalService, savingsContributionService, transactionService } from '../../../services/api'
+import {
+  CONTRIBUTION_FREQUENCIES,
+  CONTRIBUTION_MODES,
+  CONTRIBUTION_TYPES,
+  ROUND_UP_STEPS,
+  estimateMonthlyContribution,
+  getContributionPlan,
+  projectGoal
+} from '../utils/savingsPlan'
 import ConfirmationModal from '../../../shared/components/ConfirmationModal'
 import Modal from '../../../shared/components/Modal'
 import CurrencyInput from '../../../shared/components/CurrencyInput'
@@ -22,9 +32,70 @@ import EmptyState from '../../../shared/components/EmptyState'
 import './SavingsGoals.css'
 import '../../../shared/styles/AddToCalculator.css'
 
+// Days of transactions used to estimate percentage and round-up plans
+const PROJECTION_WINDOW_DAYS = 90
+
+const getToday = () => format(new Date(), 'yyyy-MM-dd')
+
+const createEmptyPlan = () => ({
+  type: '',
+  amount: '',
+  frequency: 'monthly',
+  percentage: '',
+  roundUpTo: '1',
+  mode: CONTRIBUTION_MODES.PROPOSE,
+  startDate: getToday()
+})
+
+/**
+ * Contribution plan as edited in the form
+ */
+const toPlanForm = (plan) => {
+  if (!plan) return createEmptyPlan()
+  return {
+    type: plan.type,
+    amount: plan.amount ? plan.amount.toString() : '',
+    frequency: plan.frequency || 'monthly',
+    percentage: plan.percentage ? plan.percentage.toString() : '',
+    roundUpTo: String(plan.roundUpTo || 1),
+    mode: plan.mode || CONTRIBUTION_MODES.PROPOSE,
+    startDate: plan.startDate ? plan.startDate.split('T')[0] : getToday()
+  }
+}
+
+/**
+ * Contribution plan as sent to the API, null when the goal has none
+ */
+const toPlanPayload = (plan) => {
+  if (!plan.type) return null
+  return {
+    type: plan.type,
+    amount: parseFloat(plan.amount) || null,
+    frequency: plan.frequency,
+    percentage: parseFloat(plan.percentage) || null,
+    roundUpTo: parseFloat(plan.roundUpTo) || null,
+    mode: plan.mode,
+    startDate: plan.startDate || getToday()
+  }
+}
+
+const isPlanValid = (plan) => {
+  if (!plan) return true
+  if (plan.type === CONTRIBUTION_TYPES.FIXED) return plan.amount > 0
+  if (plan.type === CONTRIBUTION_TYPES.PERCENTAGE) return plan.percentage > 0 && plan.percentage <= 100
+  return true
+}
+
+const formatDay = (day) => parseISO(day).toLocaleDateString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+})
+
 /**
  * Savings Goals Page Component
- * Track and manage financial savings goals with visual progress
+ * Track and manage financial savings goals with visual progress,
+ * contribution plans and a projection of when each goal will be reached
  */
 function SavingsGoals() {
   const { t } = useTranslation()
@@ -33,6 +104,8 @@ function SavingsGoals() {
   const [loading, setLoading] = useState(true)
   const [goals, setGoals] = useState([])
   const [summary, setSummary] = useState(null)
+  const [recentTransactions, setRecentTransactions] = useState([])
+  const [proposals, setProposals] = useState([])
   const [showForm, setShowForm] = useState(false)
   const [editingGoal, setEditingGoal] = useState(null)
   const [showDepositForm, setShowDepositForm] = useState(null)
@@ -51,7 +124,8 @@ function SavingsGoals() {
     category: '',
     icon: '🎯',
     color: '#6366f1',
-    notes: ''
+    notes: '',
+    contributionPlan: createEmptyPlan()
   })
 
   // Goal categories with corresponding icons
@@ -86,12 +160,18 @@ function SavingsGoals() {
   const loadData = async (background = false) => {
     try {
       if (!background) setLoading(true)
-      const [goalsData, summaryData] = await Promise.all([
+      const [goalsData, summaryData, transactionsData] = await Promise.all([
         savingsGoalService.getAll(),
-        savingsGoalService.getSummary()
+        savingsGoalService.getSummary(),
+        // Projections still show without the estimates if this fails
+        transactionService.getAll({
+          startDate: format(addDays(new Date(), -PROJECTION_WINDOW_DAYS), 'yyyy-MM-dd')
+        }).catch(() => [])
       ])
       setGoals(goalsData || [])
       setSummary(summaryData || null)
+      setRecentTransactions(transactionsData || [])
+      loadProposals()
     } catch (error) {
       console.error('Error loading savings goals:', error)
     } finally {
@@ -99,6 +179,67 @@ function SavingsGoals() {
     }
   }
 
+  /**
+   * Fetch contributions waiting for approval; automatic ones are recorded by the app shell
+   */
+  const loadProposals = async () => {
+    try {
+      const due = await savingsContributionService.getDue()
+      setProposals(due.filter(contribution => getContributionPlan(contribution.goal).mode !== CONTRIBUTION_MODES.AUTO))
+    } catch (error) {
+      console.error('Error loading contribution proposals:', error)
+    }
+  }
+
+  /**
+   * Deposit or skip a proposed contribution
+   */
+  const handleProposal = async (contribution, accept) => {
+    try {
+      if (accept) {
+        await savingsContributionService.accept(contribution)
+      } else {
+        await savingsContributionService.skip(contribution)
+      }
+      setProposals(prev => prev.filter(p => p.goalId !== contribution.goalId))
+      loadData(true)
+    } catch (error) {
+      console.error('Error recording contribution:', error)
+      alert(t('savingsGoals.errorDeposit'))
+    }
+  }
+
+  /**
+   * Describe a contribution plan in one line
+   */
+  const describePlan = (plan) => {
+    let text
+    if (plan.type === CONTRIBUTION_TYPES.FIXED) {
+      text = t(`savingsGoals.plan.summary.${plan.frequency}`, { amount: formatCurrency(plan.amount) })
+    } else if (plan.type === CONTRIBUTION_TYPES.PERCENTAGE) {
+      text = t('savingsGoals.plan.summary.percentage', { percentage: plan.percentage })
+    } else {
+      text = t('savingsGoals.plan.summary.roundUp', { step: formatCurrency(plan.roundUpTo) })
+    }
+    return plan.mode === CONTRIBUTION_MODES.AUTO ? `${text} · ${t('savingsGoals.plan.summary.auto')}` : text
+  }
+
+  /**
+   * Describe when a goal will be reached
+   */
+  const describeProjection = (projection) => {
+    if (projection.onTrack === true) {
+      return t('savingsGoals.projection.onTrack', { date: formatDay(projection.projectedDate) })
+    }
+    if (!projection.projectedDate) {
+      return t('savingsGoals.projection.noPace')
+    }
+    if (projection.onTrack === false) {
+      return t('savingsGoals.projection.behind', { date: formatDay(projection.projectedDate) })
+    }
+    return t('savingsGoals.projection.reachBy', { date: formatDay(projection.projectedDate) })
+  }
+
   /**
    * Calculate progress percentage for a goal
    */
@@ -143,12 +284,27 @@ function SavingsGoals() {
     setFormData(prev => ({ ...prev, [name]: value }))
   }
 
+  /**
+   * Handle contribution plan input changes
+   */
+  const handlePlanChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, contributionPlan: { ...prev.contributionPlan, [name]: value } }))
+  }
+
   /**
    * Handle form submission (create/update)
    */
   const handleSubmit = async (e) => {
     e.preventDefault()
 
+    const contributionPlan = toPlanPayload(formData.contributionPlan)
+    if (!isPlanValid(contributionPlan)) {
+      setActiveFormTab('plan')
+      alert(t('savingsGoals.plan.invalid'))
+      return
+    }
+
     try {
       setFormLoading(true)
 
@@ -156,7 +312,8 @@ function SavingsGoals() {
         ...formData,
         targetAmount: parseFloat(formData.targetAmount),
         currentAmount: parseFloat(formData.currentAmount || 0),
-        targetDate: formData.targetDate || null
+        targetDate: formData.targetDate || null,
+        contributionPlan
       }
 
       let savedGoal = null
@@ -235,7 +392,8 @@ function SavingsGoals() {
       category: goal.category || '',
       icon: goal.icon || '🎯',
       color: goal.color || '#6366f1',
-      notes: goal.notes || ''
+      notes: goal.notes || '',
+      contributionPlan: toPlanForm(goal.contributionPlan)
     })
     setShowForm(true)
   }
@@ -296,7 +454,8 @@ function SavingsGoals() {
       category: '',
       icon: '🎯',
       color: '#6366f1',
-      notes: ''
+      notes: '',
+      contributionPlan: createEmptyPlan()
     })
   }
 
@@ -414,6 +573,34 @@ function SavingsGoals() {
         </motion.div>
       )}
 
+      {/* Contribution Proposals */}
+      {proposals.length > 0 && (
+        <div className="contribution-proposals">
+          <h3>
+            <FiRepeat /> {t('savingsGoals.plan.proposalsTitle')}
+          </h3>
+          {proposals.map(contribution => (
+            <div key={contribution.goalId} className="contribution-proposal">
+              <div className="contribution-proposal-info">
+                <span className="contribution-proposal-goal">{contribution.goal.name}</span>
+                <span className="contribution-proposal-detail">
+                  {describePlan(getContributionPlan(contribution.goal))} · {t('savingsGoals.plan.through', { date: formatDay(contribution.through) })}
+                </span>
+              </div>
+              <strong className={isPrivate ? 'masked-number' : ''}>{formatCurrency(contribution.amount)}</strong>
+              <div className="contribution-proposal-actions">
+                <button className="btn btn-sm btn-success" onClick={() => handleProposal(contribution, true)}>
+                  <FiArrowUp /> {t('savingsGoals.plan.deposit')}
+                </button>
+                <button className="btn btn-sm btn-secondary" onClick={() => handleProposal(contribution, false)}>
+                  {t('savingsGoals.plan.skip')}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Goals Grid */}
       <motion.div 
         className="goals-grid"
@@ -444,6 +631,10 @@ function SavingsGoals() {
             const daysRemaining = getDaysRemaining(goal.targetDate)
             const priorityColor = getPriorityColor(goal.priority)
             const icon = goal.icon || getCategoryIcon(goal.category)
+            const plan = getContributionPlan(goal)
+            const projection = goal.isAchieved
+              ? null
+              : projectGoal(goal, estimateMonthlyContribution(plan, recentTransactions, getToday()), getToday())
 
             return (
               <motion.div
@@ -551,6 +742,24 @@ function SavingsGoals() {
                   )}
                 </div>
 
+                {projection && (
+                  <div className={`goal-projection ${projection.onTrack === false ? 'behind' : ''}`}>
+                    {plan && (
+                      <p className={`goal-plan-summary ${isPrivate ? 'masked-number' : ''}`}>
+                        <FiRepeat /> {describePlan(plan)}
+                      </p>
+                    )}
+                    <p>
+                      <FiClock /> {describeProjection(projection)}
+                    </p>
+                    {projection.onTrack === false && (
+                      <p className={`goal-projection-required ${isPrivate ? 'masked-number' : ''}`}>
+                        {t('savingsGoals.projection.required', { amount: formatCurrency(projection.requiredMonthly) })}
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {!goal.isAchieved && (
                   <div className="goal-quick-actions">
                     {showDepositForm === goal.id ? (
@@ -621,7 +830,8 @@ function SavingsGoals() {
           <FormTabs
             tabs={[
               { id: 'details', label: t('savingsGoals.goalDetails'), icon: <FiInfo /> },
-              { id: 'customize', label: t('savingsGoals.customization'), icon: <FiSliders /> }
+              { id: 'customize', label: t('savingsGoals.customization'), icon: <FiSliders /> },
+              { id: 'plan', label: t('savingsGoals.plan.tab'), icon: <FiRepeat /> }
             ]}
             activeTab={activeFormTab}
             onTabChange={setActiveFormTab}
@@ -735,6 +945,116 @@ function SavingsGoals() {
                 />
               </div>
             </FormTabs.Panel>
+
+            {/* Tab 3: Contribution Plan */}
+            <FormTabs.Panel id="plan">
+              <div className="form-group">
+                <label>{t('savingsGoals.plan.type')}</label>
+                <select
+                  name="type"
+                  value={formData.contributionPlan.type}
+                  onChange={handlePlanChange}
+                >
+                  <option value="">{t('savingsGoals.plan.types.none')}</option>
+                  {Object.values(CONTRIBUTION_TYPES).map(type => (
+                    <option key={type} value={type}>
+                      {t(`savingsGoals.plan.types.${type}`)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {formData.contributionPlan.type === CONTRIBUTION_TYPES.FIXED && (
+                <div className="form-row">
+                  <CurrencyInput
+                    value={formData.contributionPlan.amount}
+                    onChange={handlePlanChange}
+                    name="amount"
+                    id="planAmount"
+                    label={`${t('savingsGoals.plan.amount')} *`}
+                    quickAmounts={[25, 50, 100, 200]}
+                  />
+
+                  <div className="form-group">
+                    <label>{t('savingsGoals.plan.frequency')}</label>
+                    <select
+                      name="frequency"
+                      value={formData.contributionPlan.frequency}
+                      onChange={handlePlanChange}
+                    >
+                      {CONTRIBUTION_FREQUENCIES.map(frequency => (
+                        <option key={frequency} value={frequency}>
+                          {t(`savingsGoals.plan.frequencies.${frequency}`)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {formData.contributionPlan.type === CONTRIBUTION_TYPES.PERCENTAGE && (
+                <div className="form-group">
+                  <label>{t('savingsGoals.plan.percentage')} *</label>
+                  <input
+                    type="number"
+                    name="percentage"
+                    value={formData.contributionPlan.percentage}
+                    onChange={handlePlanChange}
+                    min="0.1"
+                    max="100"
+                    step="0.1"
+                    placeholder="10"
+                  />
+                </div>
+              )}
+
+              {formData.contributionPlan.type === CONTRIBUTION_TYPES.ROUND_UP && (
+                <div className="form-group">
+                  <label>{t('savingsGoals.plan.roundUpTo')}</label>
+                  <select
+                    name="roundUpTo"
+                    value={formData.contributionPlan.roundUpTo}
+                    onChange={handlePlanChange}
+                  >
+                    {ROUND_UP_STEPS.map(step => (
+                      <option key={step} value={String(step)}>
+                        {formatCurrency(step)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {formData.contributionPlan.type && (
+                <>
+                  <DateInput
+                    value={formData.contributionPlan.startDate}
+                    onChange={handlePlanChange}
+                    name="startDate"
+                    id="planStartDate"
+                    label={t('savingsGoals.plan.startDate')}
+                    required={false}
+                  />
+
+                  <div className="form-group">
+                    <label>{t('savingsGoals.plan.mode')}</label>
+                    <select
+                      name="mode"
+                      value={formData.contributionPlan.mode}
+                      onChange={handlePlanChange}
+                    >
+                      {Object.values(CONTRIBUTION_MODES).map(mode => (
+                        <option key={mode} value={mode}>
+                          {t(`savingsGoals.plan.modes.${mode}`)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </>
+              )}
+
+              <p className="plan-hint">{t('savingsGoals.plan.hint')}</p>
+            </FormTabs.Panel>
           </FormTabs>
           </div>
 
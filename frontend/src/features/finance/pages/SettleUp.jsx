@@ -0,0 +1,363 @@
+import { useState, useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import { format } from 'date-fns'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { FiShuffle, FiCheckCircle, FiUsers, FiMapPin, FiRepeat, FiArrowUpRight, FiArrowDownLeft } from 'react-icons/fi'
+import { settlementService, partnershipService } from '../../../services/api'
+import { getStoredUser } from '../../auth/services/auth'
+import { getSettlementSuggestion, LEDGER_ENTRY_TYPES } from '../utils/partnerLedger'
+import Modal from '../../../shared/components/Modal'
+import CurrencyInput from '../../../shared/components/CurrencyInput'
+import DateInput from '../../../shared/components/DateInput'
+import LogoLoader from '../../../shared/components/LogoLoader'
+import EmptyState from '../../../shared/components/EmptyState'
+import SuccessAnimation from '../../../shared/components/SuccessAnimation'
+import useCurrencyFormatter from '../../../shared/hooks/useCurrencyFormatter'
+import { usePrivacyMode } from '../../../shared/context/PrivacyModeContext'
+import './SettleUp.css'
+
+const entryIcons = {
+  [LEDGER_ENTRY_TYPES.SPLIT]: FiUsers,
+  [LEDGER_ENTRY_TYPES.TRAVEL]: FiMapPin,
+  [LEDGER_ENTRY_TYPES.SETTLEMENT]: FiRepeat
+}
+
+/**
+ * Settle Up Page Component
+ * Running partner balance from split transactions and shared travel
+ * expenses, with a settle-up flow and settlement history.
+ */
+function SettleUp() {
+  const { t } = useTranslation()
+  const formatCurrency = useCurrencyFormatter()
+  const { isPrivate } = usePrivacyMode()
+  const queryClient = useQueryClient()
+  const [activeTab, setActiveTab] = useState('breakdown')
+  const [showSettleForm, setShowSettleForm] = useState(false)
+  const [showSuccessAnimation, setShowSuccessAnimation] = useState(false)
+  const [settleForm, setSettleForm] = useState({
+    amount: '',
+    paidBy: 'me',
+    date: new Date().toISOString().split('T')[0],
+    notes: ''
+  })
+
+  const { data: ledger, isLoading } = useQuery({
+    queryKey: ['partnerLedger'],
+    queryFn: settlementService.getLedger
+  })
+
+  const { data: partnerName } = useQuery({
+    queryKey: ['partnerships', 'partnerName'],
+    queryFn: async () => {
+      const partnerships = await partnershipService.getMyPartnerships()
+      const currentUser = getStoredUser()
+      const partnership = (partnerships || [])[0]
+      if (!partnership) return null
+      const partner = partnership.user1_id === currentUser?.id ? partnership.user2 : partnership.user1
+      return partner?.display_name || partner?.email || null
+    }
+  })
+
+  const settleMutation = useMutation({
+    mutationFn: settlementService.settleUp,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['partnerLedger'] })
+      queryClient.invalidateQueries({ queryKey: ['transactions'] })
+      setShowSettleForm(false)
+      setShowSuccessAnimation(true)
+    },
+    onError: (error) => {
+      console.error('Error recording settlement:', error)
+    }
+  })
+
+  const partnerLabel = partnerName || t('settleUp.partner', 'Partner')
+  const balance = ledger?.balance || 0
+  const suggestion = getSettlementSuggestion(balance)
+  const amountClass = isPrivate ? 'masked-number' : ''
+
+  // Newest first for display; running balances were computed oldest first
+  const breakdown = useMemo(() => [...(ledger?.entries || [])].reverse(), [ledger])
+
+  const openSettleForm = () => {
+    setSettleForm({
+      amount: suggestion ? String(suggestion.amount) : '',
+      paidBy: suggestion ? suggestion.paidBy : 'me',
+      date: new Date().toISOString().split('T')[0],
+      notes: ''
+    })
+    setShowSettleForm(true)
+  }
+
+  const handleSettleChange = (e) => {
+    const { name, value } = e.target
+    setSettleForm(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSettleSubmit = (e) => {
+    e.preventDefault()
+    const amount = parseFloat(settleForm.amount)
+    if (!amount || amount <= 0) return
+
+    settleMutation.mutate({
+      amount,
+      paidBy: settleForm.paidBy,
+      date: new Date(settleForm.date).toISOString(),
+      notes: settleForm.notes
+    })
+  }
+
+  const getPayerLabel = (paidBy) => (paidBy === 'me' ? t('settleUp.you', 'You') : partnerLabel)
+
+  const describeEntry = (entry) => {
+    if (entry.type === LEDGER_ENTRY_TYPES.SETTLEMENT) {
+      return entry.paidBy === 'me'
+        ? t('settleUp.youPaidPartner', 'You paid {{name}}', { name: partnerLabel })
+        : t('settleUp.partnerPaidYou', '{{name}} paid you', { name: partnerLabel })
+    }
+    return entry.description || t(`categories.${entry.category}`, entry.category || '')
+  }
+
+  if (isLoading) {
+    return (
+      <div className="page-loading">
+        <LogoLoader size="medium" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="settle-up-page">
+      <div className="page-header flex-between">
+        <div>
+          <h1>{t('settleUp.title', 'Settle up')}</h1>
+          <p className="page-subtitle">
+            {t('settleUp.subtitle', 'Who owes whom from split expenses and shared trips')}
+          </p>
+        </div>
+        <button className="btn btn-primary" onClick={openSettleForm}>
+          <FiShuffle />
+          {t('settleUp.settleUp', 'Settle up')}
+        </button>
+      </div>
+
+      {/* Balance */}
+      <div className={`settle-balance card ${balance > 0 ? 'owed' : balance < 0 ? 'owing' : 'settled'}`}>
+        {suggestion ? (
+          <>
+            <span className="settle-balance-label">
+              {balance > 0
+                ? t('settleUp.partnerOwesYou', '{{name}} owes you', { name: partnerLabel })
+                : t('settleUp.youOwePartner', 'You owe {{name}}', { name: partnerLabel })}
+            </span>
+            <span className={`settle-balance-amount ${amountClass}`}>{formatCurrency(suggestion.amount)}</span>
+          </>
+        ) : (
+          <span className="settle-balance-label">
+            <FiCheckCircle /> {t('settleUp.allSettled', 'You are all settled up')}
+          </span>
+        )}
+
+        {ledger && (
+          <div className="settle-totals">
+            <div>
+              <span className="label">{t('settleUp.paidByYou', 'Shared costs you paid')}</span>
+              <span className={`value ${amountClass}`}>{formatCurrency(ledger.totals.paidByMe)}</span>
+            </div>
+            <div>
+              <span className="label">{t('settleUp.paidByPartner', 'Shared costs {{name}} paid', { name: partnerLabel })}</span>
+              <span className={`value ${amountClass}`}>{formatCurrency(ledger.totals.paidByPartner)}</span>
+            </div>
+            <div>
+              <span className="label">{t('settleUp.settledSoFar', 'Settled so far')}</span>
+              <span className={`value ${amountClass}`}>
+                {formatCurrency(ledger.totals.settledByMe + ledger.totals.settledByPartner)}
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Tabs */}
+      <div className="settle-tabs" role="tablist">
+        <button
+          role="tab"
+          aria-selected={activeTab === 'breakdown'}
+          className={`settle-tab ${activeTab === 'breakdown' ? 'active' : ''}`}
+          onClick={() => setActiveTab('breakdown')}
+        >
+          {t('settleUp.breakdown', 'Breakdown')}
+        </button>
+        <button
+          role="tab"
+          aria-selected={activeTab === 'history'}
+          className={`settle-tab ${activeTab === 'history' ? 'active' : ''}`}
+          onClick={() => setActiveTab('history')}
+        >
+          {t('settleUp.history', 'Settlements')} ({ledger?.settlements.length || 0})
+        </button>
+      </div>
+
+      {activeTab === 'breakdown' && (
+        breakdown.length === 0 ? (
+          <EmptyState
+            icon={<FiUsers size={64} />}
+            description={t('settleUp.noEntries', 'Split a transaction or share a trip expense to start tracking who owes whom.')}
+          />
+        ) : (
+          <div className="ledger-list">
+            {breakdown.map(entry => {
+              const Icon = entryIcons[entry.type] || FiUsers
+              return (
+                <div key={entry.id} className={`ledger-entry card ${entry.type}`}>
+                  <div className="ledger-entry-icon">
+                    <Icon size={18} />
+                  </div>
+                  <div className="ledger-entry-main">
+                    <span className="ledger-entry-title">{describeEntry(entry)}</span>
+                    <span className="ledger-entry-meta">
+                      {format(new Date(entry.date), 'MMM dd, yyyy')}
+                      {entry.type !== LEDGER_ENTRY_TYPES.SETTLEMENT && (
+                        <>
+                          {' · '}
+                          {t('settleUp.paidBy', 'Paid by {{name}}', { name: getPayerLabel(entry.paidBy) })}
+                          {' · '}
+                          <span className={amountClass}>
+                            {t('settleUp.shares', 'You {{mine}} / {{name}} {{theirs}}', {
+                              mine: formatCurrency(entry.myShare),
+                              theirs: formatCurrency(entry.partnerShare),
+                              name: partnerLabel
+                            })}
+                          </span>
+                        </>
+                      )}
+                      {entry.type === LEDGER_ENTRY_TYPES.TRAVEL && ` · ${t('settleUp.trip', 'Trip')}`}
+                    </span>
+                  </div>
+                  <div className="ledger-entry-amounts">
+                    <span className={`ledger-entry-effect ${entry.effect >= 0 ? 'positive' : 'negative'} ${amountClass}`}>
+                      {entry.effect >= 0 ? <FiArrowDownLeft size={14} /> : <FiArrowUpRight size={14} />}
+                      {formatCurrency(Math.abs(entry.effect))}
+                    </span>
+                    <span className={`ledger-entry-balance ${amountClass}`}>
+                      {t('settleUp.balanceAfter', 'Balance {{amount}}', { amount: formatCurrency(entry.balance) })}
+                    </span>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )
+      )}
+
+      {activeTab === 'history' && (
+        ledger?.settlements.length ? (
+          <div className="ledger-list">
+            {ledger.settlements.map(settlement => (
+              <div key={settlement.id} className="ledger-entry card settlement">
+                <div className="ledger-entry-icon">
+                  <FiRepeat size={18} />
+                </div>
+                <div className="ledger-entry-main">
+                  <span className="ledger-entry-title">{describeEntry(settlement)}</span>
+                  <span className="ledger-entry-meta">
+                    {format(new Date(settlement.date), 'MMM dd, yyyy')}
+                    {settlement.notes && ` · ${settlement.notes}`}
+                  </span>
+                </div>
+                <div className="ledger-entry-amounts">
+                  <span className={`ledger-entry-effect ${amountClass}`}>{formatCurrency(settlement.amount)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <EmptyState
+            icon={<FiRepeat size={64} />}
+            description={t('settleUp.noSettlements', 'No settlements recorded yet')}
+          />
+        )
+      )}
+
+      {/* Settle Up Modal (Portal) */}
+      <Modal
+        isOpen={showSettleForm}
+        onClose={() => setShowSettleForm(false)}
+        title={t('settleUp.settleUp', 'Settle up')}
+      >
+        <form onSubmit={handleSettleSubmit} className="settle-form">
+          <div className="form-group">
+            <label htmlFor="paidBy">{t('settleUp.whoPaid', 'Who paid?')}</label>
+            <select
+              id="paidBy"
+              name="paidBy"
+              value={settleForm.paidBy}
+              onChange={handleSettleChange}
+              disabled={settleMutation.isPending}
+            >
+              <option value="me">{t('settleUp.youPaidPartner', 'You paid {{name}}', { name: partnerLabel })}</option>
+              <option value="partner">{t('settleUp.partnerPaidYou', '{{name}} paid you', { name: partnerLabel })}</option>
+            </select>
+          </div>
+
+          <CurrencyInput
+            value={settleForm.amount}
+            onChange={handleSettleChange}
+            name="amount"
+            id="amount"
+            label={`${t('transaction.amount')} *`}
+            required
+            disabled={settleMutation.isPending}
+            quickAmounts={[]}
+          />
+
+          <DateInput
+            value={settleForm.date}
+            onChange={handleSettleChange}
+            name="date"
+            id="date"
+            label={t('transaction.date')}
+            required
+            disabled={settleMutation.isPending}
+          />
+
+          <div className="form-group">
+            <label htmlFor="notes">{t('transaction.notes', 'Notes')}</label>
+            <textarea
+              id="notes"
+              name="notes"
+              value={settleForm.notes}
+              onChange={handleSettleChange}
+              rows="2"
+              placeholder={t('settleUp.notesPlaceholder', 'e.g. Bank transfer')}
+              disabled={settleMutation.isPending}
+            />
+          </div>
+
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={() => setShowSettleForm(false)}
+              className="btn btn-secondary"
+              disabled={settleMutation.isPending}
+            >
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={settleMutation.isPending}>
+              {settleMutation.isPending ? t('common.loading') : t('settleUp.record', 'Record settlement')}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      <SuccessAnimation
+        show={showSuccessAnimation}
+        onComplete={() => setShowSuccessAnimation(false)}
+        message={t('settleUp.recorded', 'Settlement recorded')}
+      />
+    </div>
+  )
+}
+
+export default SettleUp
@@ -1,4 +1,6 @@
+import { format } from 'date-fns'
 import { apiRequest } from '../../../shared/services/apiClient'
+import { withOfflineQueue } from './financeSync'
 
 export const budgetService = {
   async getAll() {
@@ -14,20 +16,49 @@ export const budgetService = {
       startDate: budgetData.startDate || new Date(now.getFullYear(), now.getMonth(), 1).toISOString(),
       endDate: budgetData.endDate || null,
       spentAmount: 0,
-      isActive: true
+      isActive: true,
+      isEnvelope: !!budgetData.isEnvelope
     }
-    return await apiRequest('/api/budgets', {
-      method: 'POST',
-      body: JSON.stringify(budget)
-    })
+    return await withOfflineQueue('budgets', 'create', { data: budget }, () =>
+      apiRequest('/api/budgets', {
+        method: 'POST',
+        body: JSON.stringify(budget)
+      })
+    )
   },
   async update(id, budgetData) {
-    return await apiRequest(`/api/budgets/${id}`, {
-      method: 'PUT',
-      body: JSON.stringify({ id, ...budgetData })
-    })
+    const body = { id, ...budgetData }
+    return await withOfflineQueue('budgets', 'update', { id, data: body }, () =>
+      apiRequest(`/api/budgets/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(body)
+      })
+    )
   },
   async delete(id) {
-    await apiRequest(`/api/budgets/${id}`, { method: 'DELETE' })
+    await withOfflineQueue('budgets', 'delete', { id }, () =>
+      apiRequest(`/api/budgets/${id}`, { method: 'DELETE' })
+    )
+  },
+  async getTransfers(month) {
+    const params = new URLSearchParams()
+    if (month) params.append('month', month)
+    return await apiRequest(`/api/budgets/transfers?${params}`)
+  },
+  /**
+   * Move money between envelopes; a null budget ID is the unassigned pool
+   */
+  async transfer({ fromBudgetId = null, toBudgetId = null, amount, month, note = '' }) {
+    return await apiRequest('/api/budgets/transfers', {
+      method: 'POST',
+      body: JSON.stringify({
+        fromBudgetId,
+        toBudgetId,
+        amount,
+        // Date only: a local midnight as ISO falls in the previous day (and month) east of UTC
+        month: month || format(new Date(), 'yyyy-MM-01'),
+        note
+      })
+    })
   }
 }
@@ -0,0 +1,115 @@
+import { getStoredUser } from '../../auth/services/auth'
+import { transactionService } from './transactionService'
+import { applyCategoryRules, previewCategoryRules } from '../utils/categoryRules'
+
+/** Window event fired whenever the saved rules change */
+export const CATEGORY_RULES_EVENT = 'category-rules-changed'
+
+// Rules are per user so partners sharing a device keep separate rule sets
+const getStorageKey = () => `categoryRules_${getStoredUser()?.id || 'anonymous'}`
+
+const notifyChange = () => {
+  window.dispatchEvent(new CustomEvent(CATEGORY_RULES_EVENT))
+}
+
+const readRules = () => {
+  try {
+    const saved = localStorage.getItem(getStorageKey())
+    return saved ? JSON.parse(saved) : []
+  } catch (error) {
+    console.error('Error reading category rules:', error)
+    return []
+  }
+}
+
+const writeRules = (rules) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(rules))
+  notifyChange()
+  return rules
+}
+
+export const categoryRuleService = {
+  getAll() {
+    return readRules()
+  },
+
+  save(rule) {
+    const rules = readRules()
+    const index = rules.findIndex(existing => existing.id === rule.id)
+    if (index >= 0) {
+      rules[index] = rule
+    } else {
+      rules.push(rule)
+    }
+    return writeRules(rules)
+  },
+
+  delete(id) {
+    return writeRules(readRules().filter(rule => rule.id !== id))
+  },
+
+  toggle(id) {
+    return writeRules(readRules().map(rule =>
+      rule.id === id ? { ...rule, enabled: !rule.enabled } : rule
+    ))
+  },
+
+  /**
+   * Move a rule up (-1) or down (+1) in evaluation order
+   */
+  move(id, direction) {
+    const rules = readRules()
+    const index = rules.findIndex(rule => rule.id === id)
+    const target = index + direction
+    if (index < 0 || target < 0 || target >= rules.length) return rules
+    const [rule] = rules.splice(index, 1)
+    rules.splice(target, 0, rule)
+    return writeRules(rules)
+  },
+
+  /**
+   * Apply saved rules to a transaction that is about to be created
+   * @param {Object} transaction - Transaction payload
+   * @returns {Object} Payload with rule category/tags applied
+   */
+  categorise(transaction) {
+    const result = applyCategoryRules(readRules(), transaction)
+    if (!result.changed) return transaction
+    return { ...transaction, category: result.category, tags: result.tags }
+  },
+
+  /**
+   * Preview rule changes over existing transactions
+   * @param {Array} transactions - Transactions to check
+   * @param {Array} [rules] - Rules to preview (defaults to saved rules)
+   * @returns {Array} Proposed changes
+   */
+  preview(transactions, rules = readRules()) {
+    return previewCategoryRules(rules, transactions)
+  },
+
+  /**
+   * Persist previewed changes
+   * @param {Array} changes - Entries from preview()
+   * @returns {Promise<{updated: number, failed: number}>} Result summary
+   */
+  async applyChanges(changes) {
+    const summary = { updated: 0, failed: 0 }
+    for (const change of changes) {
+      const { transaction } = change
+      try {
+        // PUT replaces the transaction, so send the full record
+        await transactionService.update(transaction.id, {
+          ...transaction,
+          category: change.category,
+          tags: change.tags
+        })
+        summary.updated++
+      } catch (error) {
+        console.error('Error applying category rule:', error)
+        summary.failed++
+      }
+    }
+    return summary
+  }
+}
@@ -1,13 +1,45 @@
+import { format, isBefore, startOfDay } from 'date-fns'
 import { apiRequest } from '../../../shared/services/apiClient'
+import db from './financeDb'
 
 export const currencyService = {
   async getCurrencies() {
     return await apiRequest('/api/currency/list')
   },
-  async getRates(baseCurrency) {
-    return await apiRequest(`/api/currency/rates?baseCurrency=${baseCurrency}`)
+  async getRates(baseCurrency, date = null) {
+    const params = new URLSearchParams({ baseCurrency })
+    if (date) params.append('date', format(new Date(date), 'yyyy-MM-dd'))
+    return await apiRequest(`/api/currency/rates?${params}`)
   },
   async convert(from, to, amount) {
     return await apiRequest(`/api/currency/convert?from=${from}&to=${to}&amount=${amount}`)
+  },
+
+  /**
+   * Exchange rate on a given date, cached locally
+   * Past dates never change, so they are served from IndexedDB once fetched.
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Date|string} date - Transaction date
+   * @returns {Promise<number|null>} Units of `to` per unit of `from`, or null when unavailable
+   */
+  async getRateOnDate(from, to, date) {
+    if (from === to) return 1
+
+    const day = format(new Date(date), 'yyyy-MM-dd')
+    const id = `${from}:${to}:${day}`
+    const cached = await db.exchangeRates.get(id).catch(() => null)
+    if (cached) return cached.rate
+
+    // Rates cannot be known for future dates; use today's instead
+    const today = startOfDay(new Date())
+    const isPast = isBefore(new Date(day), today)
+    const rates = await this.getRates(from, isPast ? day : null)
+    const rate = Number(rates?.[to]) || null
+
+    if (rate && isPast) {
+      await db.exchangeRates.put({ id, from, to, date: day, rate }).catch(() => {})
+    }
+    return rate
   }
 }
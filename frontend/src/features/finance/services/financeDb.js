@@ -0,0 +1,56 @@
+import Dexie from 'dexie'
+
+/**
+ * Finance IndexedDB Database
+ * Holds optimistic copies of finance records changed while offline and the
+ * queue of mutations waiting to be replayed against the backend.
+ * Server data itself stays in React Query; only unsynced changes live here.
+ */
+const db = new Dexie('PaireFinance')
+
+// Define database schema - Version 1
+db.version(1).stores({
+  // Optimistic records keyed by their (temp or server) ID
+  // _deleted marks server records removed offline so lists can hide them
+  transactions: 'id, type, date, _synced',
+  budgets: 'id, category, _synced',
+  savingsGoals: 'id, _synced',
+  recurringBills: 'id, _synced',
+
+  // Sync queue for offline operations
+  // entityId is the record ID at queue time (may be a temp ID)
+  syncQueue: '++id, action, table, entityId, timestamp, status',
+
+  // Temp ID -> server ID mappings produced while replaying the queue
+  idMappings: 'tempId, serverId'
+})
+
+// Version 2: historical exchange rates, keyed by "<from>:<to>:<yyyy-MM-dd>"
+db.version(2).stores({
+  exchangeRates: 'id, from, date'
+})
+
+/** Finance tables that support offline mutations */
+export const FINANCE_SYNC_TABLES = ['transactions', 'budgets', 'savingsGoals', 'recurringBills']
+
+const TEMP_ID_PREFIX = 'local-'
+
+/**
+ * Create a temporary client-side ID for a record created offline
+ * @returns {string} Temp ID (e.g. "local-3f2a...")
+ */
+export const createTempId = () => {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+  return `${TEMP_ID_PREFIX}${random}`
+}
+
+/**
+ * Check if an ID was generated locally and has no server counterpart yet
+ * @param {*} id - Record ID
+ * @returns {boolean} True for temp IDs
+ */
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX)
+
+export default db
@@ -0,0 +1,351 @@
+import { apiRequest } from '../../../shared/services/apiClient'
+import { getStoredUser } from '../../auth/services/auth'
+import db, { createTempId, isTempId } from './financeDb'
+
+/**
+ * Finance Offline Sync
+ * Records finance mutations locally when the backend can't be reached and
+ * replays them in order once connectivity returns (mirrors the travel syncQueue).
+ */
+
+/** Window event fired whenever the local queue or optimistic records change */
+export const FINANCE_SYNC_EVENT = 'finance-sync-changed'
+
+// Base endpoint per finance table
+const SYNC_ENDPOINTS = {
+  transactions: '/api/transactions',
+  budgets: '/api/budgets',
+  savingsGoals: '/api/savingsgoals',
+  recurringBills: '/api/recurringbills'
+}
+
+/**
+ * Check if the browser reports no connectivity
+ * @returns {boolean} True when offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+/**
+ * Check if an error means the backend could not be reached
+ * @param {Error} error - Error thrown by apiRequest
+ * @returns {boolean} True for network/offline errors
+ */
+export const isOfflineError = (error) => Boolean(error?.isOffline)
+
+const notifyChange = () => {
+  window.dispatchEvent(new CustomEvent(FINANCE_SYNC_EVENT))
+}
+
+/**
+ * Find pending queue items for a record
+ */
+const getPendingItemsFor = (entityId) =>
+  db.syncQueue
+    .where('entityId').equals(entityId)
+    .filter(item => item.status === 'pending')
+    .toArray()
+
+/**
+ * Record a mutation locally and queue it for replay
+ * Creates get a temp ID; updates/deletes of records that only exist locally
+ * are folded into their pending create instead of being queued separately.
+ *
+ * @param {string} table - Finance table ('transactions' | 'budgets' | 'savingsGoals' | 'recurringBills')
+ * @param {string} action - 'create' | 'update' | 'delete'
+ * @param {Object} payload - { id, data } where data is the request body
+ * @returns {Promise<Object|undefined>} Optimistic record (undefined for deletes)
+ */
+export const queueMutation = async (table, action, { id, data } = {}) => {
+  const localTable = db[table]
+  if (!localTable || !SYNC_ENDPOINTS[table]) {
+    throw new Error(`Offline changes are not supported for ${table}`) // i18n-ignore
+  }
+
+  const timestamp = Date.now()
+  let record
+
+  if (action === 'create') {
+    const tempId = createTempId()
+    // Owner is stamped so partner filters treat the record as the current user's
+    record = {
+      ...data,
+      id: tempId,
+      userId: data?.userId ?? getStoredUser()?.id,
+      _synced: false,
+      _pendingAction: 'create'
+    }
+    await localTable.put(record)
+    await db.syncQueue.add({ action, table, entityId: tempId, data, timestamp, status: 'pending' })
+  } else if (action === 'update') {
+    const existing = await localTable.get(id)
+    const changes = { ...data }
+    delete changes.id
+
+    if (isTempId(id)) {
+      // Record never reached the server: merge changes into the queued create
+      const [pendingCreate] = await getPendingItemsFor(id)
+      if (pendingCreate) {
+        await db.syncQueue.update(pendingCreate.id, {
+          data: { ...pendingCreate.data, ...changes }
+        })
+      }
+    } else {
+      await db.syncQueue.add({ action, table, entityId: id, data, timestamp, status: 'pending' })
+    }
+
+    record = {
+      ...existing,
+      ...changes,
+      id,
+      _synced: false,
+      _pendingAction: existing?._pendingAction || 'update'
+    }
+    await localTable.put(record)
+  } else if (action === 'delete') {
+    const pendingItems = await getPendingItemsFor(id)
+
+    if (isTempId(id)) {
+      // Nothing to tell the server: drop the queued create and its local copy
+      await db.syncQueue.bulkDelete(pendingItems.map(item => item.id))
+      await localTable.delete(id)
+    } else {
+      // Pending updates are superseded by the delete
+      await db.syncQueue.bulkDelete(pendingItems.map(item => item.id))
+      await db.syncQueue.add({ action, table, entityId: id, data: null, timestamp, status: 'pending' })
+      await localTable.put({ id, _synced: false, _deleted: true, _pendingAction: 'delete' })
+    }
+  } else {
+    throw new Error(`Unknown sync action: ${action}`) // i18n-ignore
+  }
+
+  notifyChange()
+  return record
+}
+
+/**
+ * Run a finance API request, falling back to the offline queue when the
+ * backend can't be reached. Records with temp IDs are always handled locally.
+ *
+ * @param {string} table - Finance table
+ * @param {string} action - 'create' | 'update' | 'delete'
+ * @param {Object} payload - { id, data } recorded if the request is queued
+ * @param {Function} request - Performs the online API call
+ * @returns {Promise<*>} API result or optimistic record
+ */
+export const withOfflineQueue = async (table, action, payload, request) => {
+  if (isOffline() || isTempId(payload?.id)) {
+    return await queueMutation(table, action, payload)
+  }
+
+  try {
+    return await request()
+  } catch (error) {
+    if (isOfflineError(error)) {
+      return await queueMutation(table, action, payload)
+    }
+    throw error
+  }
+}
+
+/**
+ * Replace temp IDs in a request body with their server IDs
+ */
+const remapTempIds = (data, resolveId) => {
+  if (!data || typeof data !== 'object') return data
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, isTempId(value) ? resolveId(value) : value])
+  )
+}
+
+let isProcessing = false
+
+/**
+ * Process pending finance sync queue items
+ * Replays mutations in order, remapping temp IDs to server IDs as creates
+ * succeed. Stops at the first network error so ordering is preserved.
+ *
+ * @returns {Promise<{synced: number, failed: number}>} Replay summary
+ */
+export const processFinanceSyncQueue = async () => {
+  const summary = { synced: 0, failed: 0 }
+  if (isProcessing || isOffline()) return summary
+
+  isProcessing = true
+  try {
+    const pendingItems = await db.syncQueue
+      .where('status').equals('pending')
+      .sortBy('timestamp')
+
+    const mappings = new Map(
+      (await db.idMappings.toArray()).map(mapping => [mapping.tempId, mapping.serverId])
+    )
+    const resolveId = (id) => mappings.get(id) ?? id
+
+    for (const item of pendingItems) {
+      try {
+        const endpoint = SYNC_ENDPOINTS[item.table]
+        const entityId = resolveId(item.entityId)
+        if (!endpoint) {
+          throw new Error(`Unknown sync table: ${item.table}`) // i18n-ignore
+        }
+        if (item.action !== 'create' && isTempId(entityId)) {
+          throw new Error(`No server ID for ${item.entityId}`) // i18n-ignore
+        }
+
+        const body = remapTempIds(item.data, resolveId)
+
+        if (item.action === 'create') {
+          const result = await apiRequest(endpoint, {
+            method: 'POST',
+            body: JSON.stringify(body)
+          })
+          if (result?.id) {
+            mappings.set(item.entityId, result.id)
+            await db.idMappings.put({ tempId: item.entityId, serverId: result.id })
+          }
+        } else if (item.action === 'update') {
+          await apiRequest(`${endpoint}/${entityId}`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+          })
+        } else if (item.action === 'delete') {
+          await apiRequest(`${endpoint}/${entityId}`, { method: 'DELETE' })
+        }
+
+        await db.syncQueue.update(item.id, { status: 'synced' })
+        summary.synced++
+
+        // Drop the optimistic copy once nothing else is queued for the record
+        const remaining = await getPendingItemsFor(item.entityId)
+        if (remaining.length === 0) {
+          await db[item.table].delete(item.entityId)
+        }
+      } catch (error) {
+        if (isOfflineError(error)) {
+          // Still offline, stop processing
+          break
+        }
+        console.error(`Finance sync error for ${item.table}:`, error)
+        summary.failed++
+        await db.syncQueue.update(item.id, {
+          status: 'failed',
+          error: error.message
+        })
+        await db[item.table]?.update(item.entityId, { _syncError: error.message })
+      }
+    }
+
+    // Clean up synced items and mappings that are no longer referenced
+    await db.syncQueue.where('status').equals('synced').delete()
+    if (await db.syncQueue.where('status').equals('pending').count() === 0) {
+      await db.idMappings.clear()
+    }
+  } catch (error) {
+    console.error('Error processing finance sync queue:', error)
+  } finally {
+    isProcessing = false
+  }
+
+  return summary
+}
+
+/**
+ * Get optimistic records for a table
+ * @param {string} table - Finance table
+ * @returns {Promise<Array>} Unsynced local records
+ */
+export const getPendingRecords = async (table) => {
+  try {
+    return await db[table].toArray()
+  } catch (error) {
+    console.error(`Error reading pending ${table}:`, error)
+    return []
+  }
+}
+
+/**
+ * Count queued mutations that have not reached the server yet
+ * @returns {Promise<number>} Pending queue size
+ */
+export const getPendingCount = async () => {
+  try {
+    return await db.syncQueue.where('status').equals('pending').count()
+  } catch (error) {
+    console.error('Error counting finance sync queue:', error)
+    return 0
+  }
+}
+
+/**
+ * Queue items the server rejected, oldest first
+ * @returns {Promise<Array>} Failed queue items with their error message
+ */
+export const getFailedItems = async () => {
+  try {
+    return await db.syncQueue.where('status').equals('failed').sortBy('timestamp')
+  } catch (error) {
+    console.error('Error reading failed finance sync items:', error)
+    return []
+  }
+}
+
+/**
+ * Put failed items back in the queue and replay them
+ * @returns {Promise<{synced: number, failed: number}>} Replay summary
+ */
+export const retryFailedItems = async () => {
+  const failed = await getFailedItems()
+  for (const item of failed) {
+    await db.syncQueue.update(item.id, { status: 'pending', error: null })
+    await db[item.table]?.update(item.entityId, { _syncError: null })
+  }
+  notifyChange()
+  return await processFinanceSyncQueue()
+}
+
+/**
+ * Drop failed items and their optimistic copies so the server version shows again
+ * @returns {Promise<number>} Number of discarded changes
+ */
+export const discardFailedItems = async () => {
+  const failed = await getFailedItems()
+  await db.syncQueue.bulkDelete(failed.map(item => item.id))
+  for (const item of failed) {
+    const remaining = await getPendingItemsFor(item.entityId)
+    if (remaining.length === 0) {
+      await db[item.table]?.delete(item.entityId)
+    }
+  }
+  notifyChange()
+  return failed.length
+}
+
+/**
+ * Overlay optimistic records onto a server list
+ * Pending updates are merged into their server item, pending deletes are
+ * hidden and pending creates are prepended. Merged items keep `_synced: false`
+ * so the UI can flag them.
+ *
+ * @param {Array} items - Items returned by the API
+ * @param {Array} pendingRecords - Records from getPendingRecords
+ * @param {Function} [includeCreate] - Predicate for which pending creates belong in this list
+ * @returns {Array} Merged list
+ */
+export const mergePendingRecords = (items = [], pendingRecords = [], includeCreate = () => true) => {
+  if (!pendingRecords.length) return items
+
+  const pendingById = new Map(pendingRecords.map(record => [String(record.id), record]))
+
+  const merged = items
+    .filter(item => !pendingById.get(String(item.id))?._deleted)
+    .map(item => {
+      const pending = pendingById.get(String(item.id))
+      return pending ? { ...item, ...pending } : item
+    })
+
+  const creates = pendingRecords.filter(record =>
+    record._pendingAction === 'create' && includeCreate(record)
+  )
+
+  return [...creates, ...merged]
+}
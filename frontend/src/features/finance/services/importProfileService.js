@@ -0,0 +1,64 @@
+import { getStoredUser } from '../../auth/services/auth'
+
+/**
+ * Statement import profiles
+ * Column mappings saved per bank, picked again automatically when a statement
+ * with the same header is imported. Kept on the device, per user.
+ */
+
+// Profiles are per user so partners sharing a device keep separate banks
+const getStorageKey = () => `statementImportProfiles_${getStoredUser()?.id || 'anonymous'}`
+
+const readProfiles = () => {
+  try {
+    const saved = localStorage.getItem(getStorageKey())
+    return saved ? JSON.parse(saved) : []
+  } catch (error) {
+    console.error('Error reading import profiles:', error)
+    return []
+  }
+}
+
+const writeProfiles = (profiles) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(profiles))
+  return profiles
+}
+
+export const importProfileService = {
+  getAll() {
+    return readProfiles()
+  },
+
+  /**
+   * Profile saved for a statement header, if any
+   * @param {string} signature - See getHeaderSignature
+   * @returns {Object|null}
+   */
+  findBySignature(signature) {
+    if (!signature) return null
+    return readProfiles().find(profile => profile.signature === signature) || null
+  },
+
+  /**
+   * Save a mapping under a bank name; a profile with the same name is replaced
+   * @param {{name: string, signature: string, mapping: Object}} profile
+   * @returns {Object} Saved profile
+   */
+  save({ name, signature, mapping }) {
+    const profiles = readProfiles()
+    const existing = profiles.find(profile => profile.name.toLowerCase() === name.trim().toLowerCase())
+    const profile = {
+      id: existing?.id || `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name.trim(),
+      signature,
+      mapping,
+      updatedAt: new Date().toISOString()
+    }
+    writeProfiles([...profiles.filter(item => item.id !== profile.id), profile])
+    return profile
+  },
+
+  delete(id) {
+    return writeProfiles(readProfiles().filter(profile => profile.id !== id))
+  }
+}
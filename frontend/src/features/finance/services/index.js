@@ -6,4 +6,10 @@ export { savingsGoalService } from './savingsGoalService'
 export { recurringBillService } from './recurringBillService'
 export { storageService } from './storageService'
 export { voiceService } from './voiceService'
+export { receiptOcrService } from './receiptOcrService'
 export { currencyService } from './currencyService'
+export { categoryRuleService } from './categoryRuleService'
+export { settlementService } from './settlementService'
+export { importProfileService } from './importProfileService'
+export { statementImportService } from './statementImportService'
+export { savingsContributionService } from './savingsContributionService'
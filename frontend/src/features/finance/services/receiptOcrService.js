@@ -0,0 +1,147 @@
+import { flattenOcrLines, parseReceipt } from '../utils/receiptParser'
+
+/**
+ * Receipt OCR service
+ * Reads receipt photos on the device with Tesseract (WebAssembly), so scanning
+ * works without a connection: the engine and language data are served from the
+ * app's own origin and precached by the service worker (see vite.config.js).
+ */
+
+// Longest side sent to the engine; larger photos are slower without reading better
+const MAX_IMAGE_SIDE = 2000
+
+// Greek receipts mix Greek and Latin text
+const OCR_LANGUAGES = {
+  el: ['ell', 'eng'],
+  default: ['eng']
+}
+
+// Absolute, because the worker resolves them against its own script URL
+const ocrAssetUrl = (path) => new URL(`${import.meta.env.BASE_URL}tesseract/${path}`, window.location.href).href
+
+let workerPromise = null
+let workerLanguages = null
+let progressListener = null
+
+const getLanguages = (language) => OCR_LANGUAGES[String(language).split('-')[0]] || OCR_LANGUAGES.default
+
+const getWorker = async (languages) => {
+  const key = languages.join('+')
+  if (workerPromise && workerLanguages === key) return workerPromise
+
+  if (workerPromise) {
+    const previous = workerPromise
+    workerPromise = null
+    previous.then(worker => worker.terminate()).catch(() => {})
+  }
+
+  workerLanguages = key
+  workerPromise = import('tesseract.js')
+    .then(({ createWorker }) => createWorker(languages, 1, {
+      workerPath: ocrAssetUrl('worker.min.js'),
+      corePath: ocrAssetUrl('core'),
+      langPath: ocrAssetUrl('lang'),
+      // A plain same-origin worker, so its requests go through the service worker
+      workerBlobURL: false,
+      logger: (message) => progressListener?.(message)
+    }))
+    .catch(error => {
+      workerPromise = null
+      workerLanguages = null
+      throw error
+    })
+  return workerPromise
+}
+
+/**
+ * Downscale a photo and return it as a canvas the engine can read
+ * @param {Blob} file - Image file
+ * @returns {Promise<HTMLCanvasElement|Blob>} Canvas, or the file itself when it cannot be decoded here
+ */
+const prepareImage = async (file) => {
+  if (typeof createImageBitmap !== 'function') return file
+  try {
+    const bitmap = await createImageBitmap(file)
+    const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(bitmap.width * scale)
+    canvas.height = Math.round(bitmap.height * scale)
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+    bitmap.close?.()
+    return canvas
+  } catch {
+    return file
+  }
+}
+
+/**
+ * Re-encode the downscaled photo so it fits the attachment size limit
+ * @param {HTMLCanvasElement|Blob} image - Result of prepareImage
+ * @param {File} original - Original file, returned when re-encoding is not possible
+ * @returns {Promise<File>}
+ */
+const toAttachment = async (image, original) => {
+  if (!(image instanceof HTMLCanvasElement)) return original
+  const blob = await new Promise(resolve => image.toBlob(resolve, 'image/jpeg', 0.85))
+  if (!blob || blob.size >= original.size) return original
+  const name = (original.name || 'receipt').replace(/\.[^.]+$/, '') + '.jpg'
+  return new File([blob], name, { type: 'image/jpeg' })
+}
+
+export const receiptOcrService = {
+  /**
+   * Read a receipt photo into structured fields
+   * @param {File|Blob} file - Receipt image
+   * @param {Object} [options]
+   * @param {string} [options.language='en'] - UI language; picks the OCR language data
+   * @param {Function} [options.onProgress] - Called with { status, progress } (progress 0–1)
+   * @returns {Promise<{receipt: Object, text: string, attachment: File}>} Parsed receipt (see parseReceipt),
+   *   the raw text and a compressed copy of the photo to attach
+   * @throws {Error} With code 'unsupported_file' for non-images or 'ocr_failed' when the engine fails
+   */
+  async scan(file, { language = 'en', onProgress } = {}) {
+    if (!file?.type?.startsWith('image/')) {
+      const error = new Error('Only images can be scanned') // i18n-ignore
+      error.code = 'unsupported_file'
+      throw error
+    }
+
+    progressListener = onProgress
+      ? ({ status, progress }) => onProgress({ status, progress: progress ?? 0 })
+      : null
+
+    try {
+      const worker = await getWorker(getLanguages(language))
+      const image = await prepareImage(file)
+      const { data } = await worker.recognize(image, {}, { text: true, blocks: true })
+      return {
+        receipt: parseReceipt(flattenOcrLines(data)),
+        text: data.text || '',
+        attachment: await toAttachment(image, file)
+      }
+    } catch (cause) {
+      const error = new Error(`Receipt could not be read: ${cause?.message || cause}`) // i18n-ignore
+      error.code = 'ocr_failed'
+      error.cause = cause
+      throw error
+    } finally {
+      progressListener = null
+    }
+  },
+
+  /**
+   * Free the engine's memory, e.g. when leaving the receipts page
+   */
+  async release() {
+    if (!workerPromise) return
+    const pending = workerPromise
+    workerPromise = null
+    workerLanguages = null
+    try {
+      const worker = await pending
+      await worker.terminate()
+    } catch {
+      // Worker never started; nothing to free
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import { apiRequest } from '../../../shared/services/apiClient'
+import { withOfflineQueue } from './financeSync'
 
 export const recurringBillService = {
   async getAll() {
@@ -8,19 +9,26 @@ export const recurringBillService = {
     return await apiRequest(`/api/recurringbills/${id}`)
   },
   async create(billData) {
-    return await apiRequest('/api/recurringbills', {
-      method: 'POST',
-      body: JSON.stringify(billData)
-    })
+    return await withOfflineQueue('recurringBills', 'create', { data: billData }, () =>
+      apiRequest('/api/recurringbills', {
+        method: 'POST',
+        body: JSON.stringify(billData)
+      })
+    )
   },
   async update(id, billData) {
-    return await apiRequest(`/api/recurringbills/${id}`, {
-      method: 'PUT',
-      body: JSON.stringify({ id, ...billData })
-    })
+    const body = { id, ...billData }
+    return await withOfflineQueue('recurringBills', 'update', { id, data: body }, () =>
+      apiRequest(`/api/recurringbills/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(body)
+      })
+    )
   },
   async delete(id) {
-    await apiRequest(`/api/recurringbills/${id}`, { method: 'DELETE' })
+    await withOfflineQueue('recurringBills', 'delete', { id }, () =>
+      apiRequest(`/api/recurringbills/${id}`, { method: 'DELETE' })
+    )
   },
   async markPaid(id) {
     return await apiRequest(`/api/recurringbills/${id}/mark-paid`, { method: 'POST' })
@@ -28,6 +36,9 @@ export const recurringBillService = {
   async unmarkPaid(id) {
     return await apiRequest(`/api/recurringbills/${id}/unmark-paid`, { method: 'POST' })
   },
+  async skip(id) {
+    return await apiRequest(`/api/recurringbills/${id}/skip`, { method: 'POST' })
+  },
   async getUpcoming(days = 30) {
     return await apiRequest(`/api/recurringbills/upcoming?days=${days}`)
   },
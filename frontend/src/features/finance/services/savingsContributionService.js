@@ -0,0 +1,102 @@
+import { format } from 'date-fns'
+import { getStoredUser } from '../../auth/services/auth'
+import { savingsGoalService } from './savingsGoalService'
+import { transactionService } from './transactionService'
+import {
+  CONTRIBUTION_MODES,
+  CONTRIBUTION_TYPES,
+  computeDueContribution,
+  getContributionPlan
+} from '../utils/savingsPlan'
+
+/**
+ * Savings contribution scheduler
+ * Finds the deposits goal contribution plans have due, records the automatic
+ * ones and leaves the rest as proposals. The server only accepts a period
+ * once, so partners running the scheduler on their own devices do not deposit twice.
+ */
+
+// Automatic contributions run once a day per user on this device
+const getLastRunKey = () => `savingsContributionsRun_${getStoredUser()?.id || 'anonymous'}`
+
+const getToday = () => format(new Date(), 'yyyy-MM-dd')
+
+const isAlreadyRecorded = (error) => String(error?.message || '').includes('already recorded')
+
+// Transactions since the earliest point a percentage or round-up plan still has to cover
+const loadTransactionsFor = async (goals) => {
+  const cursors = goals
+    .map(getContributionPlan)
+    .filter(plan => plan.type !== CONTRIBUTION_TYPES.FIXED)
+    .map(plan => String(plan.lastRunAt || plan.startDate).slice(0, 10))
+  if (cursors.length === 0) return []
+  const startDate = cursors.sort()[0]
+  return await transactionService.getAll({ startDate })
+}
+
+const record = async (due, amount) => {
+  try {
+    return await savingsGoalService.recordContribution(due.goalId, amount, due.through)
+  } catch (error) {
+    // A partner's device got there first
+    if (isAlreadyRecorded(error)) return null
+    throw error
+  }
+}
+
+export const savingsContributionService = {
+  /**
+   * Contributions due for every goal with a plan
+   * @param {string} [today] - 'yyyy-MM-dd'
+   * @returns {Promise<Array<{goalId: string, goal: Object, amount: number, through: string, count: number}>>}
+   */
+  async getDue(today = getToday()) {
+    const goals = (await savingsGoalService.getAll() || [])
+      .filter(goal => getContributionPlan(goal) && !goal.isAchieved)
+    if (goals.length === 0) return []
+
+    const transactions = await loadTransactionsFor(goals)
+    return goals
+      .map(goal => {
+        const due = computeDueContribution(goal, transactions, today)
+        return due && { ...due, goal }
+      })
+      .filter(Boolean)
+  },
+
+  /**
+   * Record the contributions of plans set to run automatically
+   * @returns {Promise<number>} Contributions recorded
+   */
+  async runAuto() {
+    const today = getToday()
+    if (localStorage.getItem(getLastRunKey()) === today) return 0
+
+    const due = await this.getDue(today)
+    let recorded = 0
+    for (const contribution of due) {
+      if (getContributionPlan(contribution.goal).mode !== CONTRIBUTION_MODES.AUTO) continue
+      if (await record(contribution, contribution.amount)) recorded++
+    }
+    localStorage.setItem(getLastRunKey(), today)
+    return recorded
+  },
+
+  /**
+   * Deposit a proposed contribution
+   * @param {Object} due - Entry from getDue
+   * @returns {Promise<Object|null>} Updated goal, null when it was already recorded
+   */
+  async accept(due) {
+    return await record(due, due.amount)
+  },
+
+  /**
+   * Skip a proposed contribution; the plan moves on without depositing
+   * @param {Object} due - Entry from getDue
+   * @returns {Promise<Object|null>}
+   */
+  async skip(due) {
+    return await record(due, 0)
+  }
+}
@@ -1,4 +1,5 @@
 import { apiRequest } from '../../../shared/services/apiClient'
+import { withOfflineQueue } from './financeSync'
 
 export const savingsGoalService = {
   async getAll() {
@@ -8,19 +9,26 @@ export const savingsGoalService = {
     return await apiRequest(`/api/savingsgoals/${id}`)
   },
   async create(goalData) {
-    return await apiRequest('/api/savingsgoals', {
-      method: 'POST',
-      body: JSON.stringify(goalData)
-    })
+    return await withOfflineQueue('savingsGoals', 'create', { data: goalData }, () =>
+      apiRequest('/api/savingsgoals', {
+        method: 'POST',
+        body: JSON.stringify(goalData)
+      })
+    )
   },
   async update(id, goalData) {
-    return await apiRequest(`/api/savingsgoals/${id}`, {
-      method: 'PUT',
-      body: JSON.stringify({ id, ...goalData })
-    })
+    const body = { id, ...goalData }
+    return await withOfflineQueue('savingsGoals', 'update', { id, data: body }, () =>
+      apiRequest(`/api/savingsgoals/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(body)
+      })
+    )
   },
   async delete(id) {
-    await apiRequest(`/api/savingsgoals/${id}`, { method: 'DELETE' })
+    await withOfflineQueue('savingsGoals', 'delete', { id }, () =>
+      apiRequest(`/api/savingsgoals/${id}`, { method: 'DELETE' })
+    )
   },
   async addDeposit(id, amount) {
     return await apiRequest(`/api/savingsgoals/${id}/deposit`, {
@@ -34,6 +42,12 @@ export const savingsGoalService = {
       body: JSON.stringify({ amount })
     })
   },
+  async recordContribution(id, amount, through) {
+    return await apiRequest(`/api/savingsgoals/${id}/contributions`, {
+      method: 'POST',
+      body: JSON.stringify({ amount, through })
+    })
+  },
   async getSummary() {
     return await apiRequest('/api/savingsgoals/summary')
   }
@@ -0,0 +1,56 @@
+import { getStoredUser } from '../../auth/services/auth'
+import { tripService, travelExpenseService } from '../../travel/services/travelApi'
+import { transactionService } from './transactionService'
+import { buildPartnerLedger, SETTLEMENT_CATEGORY, SETTLEMENT_DESCRIPTION } from '../utils/partnerLedger'
+
+/**
+ * Load shared travel expenses across the user's trips
+ * Travel data is optional for the ledger, so failures fall back to none.
+ */
+const getSharedTravelExpenses = async () => {
+  try {
+    const trips = await tripService.getAll()
+    const expensesByTrip = await Promise.all(
+      (trips || []).map(trip => travelExpenseService.getByTrip(trip.id).catch(() => []))
+    )
+    return expensesByTrip
+      .flat()
+      .filter(expense => (expense.splitPercentage ?? expense.split_percentage) != null)
+  } catch (error) {
+    console.error('Error loading travel expenses for partner ledger:', error)
+    return []
+  }
+}
+
+export const settlementService = {
+  async getLedger() {
+    const [transactions, travelExpenses] = await Promise.all([
+      transactionService.getAll(),
+      getSharedTravelExpenses()
+    ])
+    const items = Array.isArray(transactions) ? transactions : (transactions?.items || [])
+
+    return buildPartnerLedger({
+      transactions: items,
+      travelExpenses,
+      currentUserId: getStoredUser()?.id
+    })
+  },
+
+  /**
+   * Record a settle-up payment between partners
+   * Paying the partner is an expense for the current user; receiving a
+   * payment from them is income.
+   */
+  async settleUp({ amount, paidBy, date, notes }) {
+    return await transactionService.create({
+      type: paidBy === 'me' ? 'expense' : 'income',
+      amount: Math.abs(Number(amount)),
+      category: SETTLEMENT_CATEGORY,
+      description: SETTLEMENT_DESCRIPTION,
+      date: date || new Date().toISOString(),
+      notes: notes || '',
+      paidBy
+    })
+  }
+}
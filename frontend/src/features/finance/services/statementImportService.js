@@ -0,0 +1,84 @@
+import { apiRequest } from '../../../shared/services/apiClient'
+import { parseCsv } from '../utils/statementMapping'
+
+/**
+ * Statement import service
+ * Reads CSV and Excel statements on the device for the mapping wizard and
+ * sends the mapped rows to the server. PDF and legacy .xls statements are not
+ * read here; they keep going through the server-side upload.
+ */
+
+const PREVIEWABLE_EXTENSIONS = ['csv', 'txt', 'xlsx']
+
+const getExtension = (fileName = '') => fileName.split('.').pop().toLowerCase()
+
+// Greek banks still export CSV in Windows-1253
+const decodeText = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+  } catch {
+    return new TextDecoder('windows-1253').decode(buffer)
+  }
+}
+
+// ExcelJS cells can hold rich text, hyperlinks and formulas as objects
+const readCellValue = (value) => {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date || typeof value !== 'object') return value
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('')
+  if ('result' in value) return readCellValue(value.result)
+  if ('text' in value) return readCellValue(value.text)
+  return ''
+}
+
+const readWorkbook = async (buffer) => {
+  const { default: ExcelJS } = await import('exceljs')
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+
+  const rows = []
+  sheet.eachRow({ includeEmpty: false }, row => {
+    // row.values is 1-based
+    const cells = (row.values || []).slice(1)
+    rows.push(Array.from(cells, readCellValue))
+  })
+  return rows
+}
+
+export const statementImportService = {
+  /**
+   * Whether a statement can be previewed and mapped on the device
+   * @param {File} file
+   * @returns {boolean}
+   */
+  canPreview(file) {
+    return PREVIEWABLE_EXTENSIONS.includes(getExtension(file?.name))
+  },
+
+  /**
+   * Read a statement into rows of cells
+   * @param {File} file - CSV or XLSX statement
+   * @returns {Promise<Array<Array>>}
+   */
+  async readFile(file) {
+    const buffer = await file.arrayBuffer()
+    if (getExtension(file.name) === 'xlsx') return readWorkbook(buffer)
+    return parseCsv(decodeText(buffer))
+  },
+
+  /**
+   * Import mapped rows; the server still skips duplicates of bank-synced and
+   * already imported transactions
+   * @param {string} fileName - Statement file name, shown in the import history
+   * @param {Array<{date: string, amount: number, description: string, confirmedNotDuplicate?: boolean}>} rows
+   * @returns {Promise<Object>} Import result
+   */
+  async importRows(fileName, rows) {
+    return await apiRequest('/api/transactions/import/rows', {
+      method: 'POST',
+      body: JSON.stringify({ fileName, rows })
+    })
+  }
+}
@@ -1,4 +1,5 @@
 import { apiRequest } from '../../../shared/services/apiClient'
+import { withOfflineQueue } from './financeSync'
 
 export const transactionService = {
   async getAll(filters = {}) {
@@ -28,21 +29,27 @@ export const transactionService = {
   },
 
   async create(transaction) {
-    return await apiRequest('/api/transactions', {
-      method: 'POST',
-      body: JSON.stringify(transaction)
-    })
+    return await withOfflineQueue('transactions', 'create', { data: transaction }, () =>
+      apiRequest('/api/transactions', {
+        method: 'POST',
+        body: JSON.stringify(transaction)
+      })
+    )
   },
 
   async update(id, updates) {
-    return await apiRequest(`/api/transactions/${id}`, {
-      method: 'PUT',
-      body: JSON.stringify(updates)
-    })
+    return await withOfflineQueue('transactions', 'update', { id, data: updates }, () =>
+      apiRequest(`/api/transactions/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      })
+    )
   },
 
   async delete(id) {
-    await apiRequest(`/api/transactions/${id}`, { method: 'DELETE' })
+    await withOfflineQueue('transactions', 'delete', { id }, () =>
+      apiRequest(`/api/transactions/${id}`, { method: 'DELETE' })
+    )
   },
 
   async getSummary(startDate, endDate) {
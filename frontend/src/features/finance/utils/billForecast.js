@@ -0,0 +1,230 @@
+import {
+  addDays,
+  addMonths,
+  endOfMonth,
+  format,
+  getDaysInMonth,
+  isAfter,
+  isBefore,
+  isWeekend,
+  parseISO,
+  startOfDay,
+  startOfMonth,
+  subDays
+} from 'date-fns'
+
+/**
+ * Recurring bill forecasting
+ * Expands recurring bills into dated occurrences over any window.
+ * Pure functions with no DOM or React dependencies: the mobile app imports this
+ * module too (mobile-app/utils/billForecast.js), so keep it to date-fns only.
+ *
+ * A bill is anchored on its nextDueDate: occurrences before it were paid
+ * (or skipped), occurrences from it onwards are overdue or upcoming.
+ */
+
+export const BILL_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'quarterly', 'yearly', 'lastBusinessDay']
+
+export const OCCURRENCE_STATUS = {
+  PAID: 'paid',
+  SKIPPED: 'skipped',
+  OVERDUE: 'overdue',
+  UPCOMING: 'upcoming'
+}
+
+const DAY_STEPS = { weekly: 7, biweekly: 14 }
+const MONTH_STEPS = { monthly: 1, quarterly: 3, yearly: 12, lastBusinessDay: 1 }
+
+// Safety cap on occurrences expanded per bill
+const MAX_OCCURRENCES = 1000
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+/**
+ * Normalise a date to local midnight
+ * Date-only and ISO strings keep their calendar day regardless of time zone.
+ * @param {Date|string} value - Date
+ * @returns {Date|null}
+ */
+export const toDay = (value) => {
+  if (!value) return null
+  if (typeof value === 'string') return parseISO(value.slice(0, 10))
+  return startOfDay(new Date(value))
+}
+
+const dayKey = (date) => format(date, 'yyyy-MM-dd')
+
+/**
+ * Frequency of a bill, falling back to monthly for unknown values
+ * @param {Object} bill - Recurring bill
+ * @returns {string} One of BILL_FREQUENCIES
+ */
+export const getFrequency = (bill) => {
+  const frequency = (bill?.frequency || '').toLowerCase()
+  return BILL_FREQUENCIES.find(f => f.toLowerCase() === frequency) || 'monthly'
+}
+
+/**
+ * Last weekday (Mon-Fri) of a month
+ * @param {Date} month - Any date in the month
+ * @returns {Date}
+ */
+export const getLastBusinessDay = (month) => {
+  let date = startOfDay(endOfMonth(month))
+  while (isWeekend(date)) date = subDays(date, 1)
+  return date
+}
+
+// Day of month a bill repeats on. A clamped anchor (28 Feb for a bill due on
+// the 31st) still repeats on the due day in longer months.
+const resolveDueDay = (bill, anchor) => {
+  const dueDay = parseInt(bill.dueDay ?? bill.due_day, 10)
+  const anchorDay = anchor.getDate()
+  if (dueDay === anchorDay) return dueDay
+  const isClamped = dueDay > anchorDay && dueDay <= 31 && anchorDay === getDaysInMonth(anchor)
+  return isClamped ? dueDay : anchorDay
+}
+
+/**
+ * Date of the occurrence `index` steps away from the anchor
+ * Month-based frequencies clamp to the last day of shorter months.
+ *
+ * @param {Date} anchor - Known occurrence (index 0)
+ * @param {string} frequency - One of BILL_FREQUENCIES
+ * @param {number} dueDay - Day of month for month-based frequencies
+ * @param {number} index - Steps from the anchor (negative = earlier)
+ * @returns {Date}
+ */
+export const getOccurrenceDate = (anchor, frequency, dueDay, index) => {
+  if (DAY_STEPS[frequency]) return addDays(anchor, index * DAY_STEPS[frequency])
+
+  const month = addMonths(startOfMonth(anchor), index * MONTH_STEPS[frequency])
+  if (frequency === 'lastBusinessDay') return getLastBusinessDay(month)
+  return new Date(month.getFullYear(), month.getMonth(), Math.min(dueDay, getDaysInMonth(month)))
+}
+
+/**
+ * Expand one bill into its occurrences within a window
+ * @param {Object} bill - Recurring bill (camelCase or snake_case)
+ * @param {Object} options
+ * @param {Date|string} options.start - First day of the window (inclusive)
+ * @param {Date|string} options.end - Last day of the window (inclusive)
+ * @param {Date} [options.today=new Date()] - Reference date for overdue detection
+ * @returns {Array<{id: string, billId: string, bill: Object, date: Date, amount: number, status: string}>}
+ */
+export const expandBillOccurrences = (bill, { start, end, today = new Date() }) => {
+  const anchor = toDay(bill?.nextDueDate ?? bill?.next_due_date)
+  const from = toDay(start)
+  const to = toDay(end)
+  if (!anchor || !from || !to || isAfter(from, to)) return []
+
+  const frequency = getFrequency(bill)
+  const dueDay = resolveDueDay(bill, anchor)
+  const now = toDay(today)
+  // Occurrences before the bill existed were never owed
+  const createdOn = toDay(bill.createdAt ?? bill.created_at)
+  const skipped = new Set((bill.skippedDueDates ?? bill.skipped_due_dates ?? []).map(date => dayKey(toDay(date))))
+  const amount = Math.abs(Number(bill.amount) || 0)
+
+  // Walk back to the first occurrence inside the window
+  let index = 0
+  while (index > -MAX_OCCURRENCES && !isBefore(getOccurrenceDate(anchor, frequency, dueDay, index - 1), from)) index--
+  while (index < MAX_OCCURRENCES && isBefore(getOccurrenceDate(anchor, frequency, dueDay, index), from)) index++
+
+  const occurrences = []
+  for (let count = 0; count < MAX_OCCURRENCES; count++, index++) {
+    const date = getOccurrenceDate(anchor, frequency, dueDay, index)
+    if (isAfter(date, to)) break
+    if (createdOn && isBefore(date, createdOn) && isBefore(date, anchor)) continue
+
+    const key = dayKey(date)
+    let status
+    if (isBefore(date, anchor)) {
+      status = skipped.has(key) ? OCCURRENCE_STATUS.SKIPPED : OCCURRENCE_STATUS.PAID
+    } else {
+      status = isBefore(date, now) ? OCCURRENCE_STATUS.OVERDUE : OCCURRENCE_STATUS.UPCOMING
+    }
+
+    occurrences.push({ id: `${bill.id}:${key}`, billId: bill.id, bill, date, amount, status })
+  }
+
+  return occurrences
+}
+
+const isActiveBill = (bill) => (bill.isActive ?? bill.is_active) !== false
+
+/**
+ * Occurrences of all active bills within a window, oldest first
+ * @param {Array} bills - Recurring bills (inactive ones are ignored)
+ * @param {Object} options - Same as expandBillOccurrences
+ * @returns {Array} Occurrences
+ */
+export const forecastBills = (bills = [], options) =>
+  bills
+    .filter(isActiveBill)
+    .flatMap(bill => expandBillOccurrences(bill, options))
+    .sort((a, b) => a.date - b.date)
+
+/**
+ * Totals for a list of occurrences
+ * Skipped occurrences are counted but not included in the total.
+ *
+ * @param {Array} occurrences - Occurrences
+ * @returns {{count: number, total: number, paid: number, skipped: number, overdue: number, upcoming: number, unpaid: number}}
+ */
+export const summarizeOccurrences = (occurrences = []) => {
+  const sums = { paid: 0, skipped: 0, overdue: 0, upcoming: 0 }
+  occurrences.forEach(occurrence => {
+    sums[occurrence.status] += occurrence.amount
+  })
+
+  return {
+    count: occurrences.length,
+    total: roundCents(sums.paid + sums.overdue + sums.upcoming),
+    paid: roundCents(sums.paid),
+    skipped: roundCents(sums.skipped),
+    overdue: roundCents(sums.overdue),
+    upcoming: roundCents(sums.upcoming),
+    unpaid: roundCents(sums.overdue + sums.upcoming)
+  }
+}
+
+/**
+ * Total still to pay up to a date, including every overdue occurrence
+ * @param {Array} bills - Recurring bills
+ * @param {Date} end - Last day to include
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {number}
+ */
+export const calculateUnpaidThrough = (bills = [], end, today = new Date()) => {
+  const anchors = bills
+    .filter(isActiveBill)
+    .map(bill => toDay(bill.nextDueDate ?? bill.next_due_date))
+    .filter(Boolean)
+  if (anchors.length === 0) return 0
+
+  // Nothing before a bill's next due date is unpaid, so start at the earliest one
+  const start = new Date(Math.min(...anchors))
+  return summarizeOccurrences(forecastBills(bills, { start, end, today })).unpaid
+}
+
+/**
+ * Month-by-month bill forecast starting with the current month
+ * @param {Array} bills - Recurring bills
+ * @param {Object} [options]
+ * @param {number} [options.months=12] - Number of months
+ * @param {Date} [options.today=new Date()] - Reference date
+ * @returns {Array<{month: Date, key: string, occurrences: Array, count: number, total: number, paid: number, skipped: number, overdue: number, upcoming: number, unpaid: number}>}
+ */
+export const buildMonthlyForecast = (bills = [], { months = 12, today = new Date() } = {}) => {
+  const first = startOfMonth(toDay(today))
+  const last = endOfMonth(addMonths(first, months - 1))
+  const occurrences = forecastBills(bills, { start: first, end: last, today })
+
+  return Array.from({ length: months }, (_, i) => {
+    const month = addMonths(first, i)
+    const key = format(month, 'yyyy-MM')
+    const monthOccurrences = occurrences.filter(occurrence => format(occurrence.date, 'yyyy-MM') === key)
+    return { month, key, occurrences: monthOccurrences, ...summarizeOccurrences(monthOccurrences) }
+  })
+}
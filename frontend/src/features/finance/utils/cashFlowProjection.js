@@ -0,0 +1,250 @@
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  addYears,
+  differenceInCalendarDays,
+  format,
+  isAfter,
+  isBefore,
+  startOfMonth
+} from 'date-fns'
+import { forecastBills, OCCURRENCE_STATUS, toDay } from './billForecast'
+import { addPeriods } from './loanAmortization'
+import { getBaseAmount } from './multiCurrency'
+
+/**
+ * Cash-flow projection
+ * Pure functions that project the balance day by day from the current
+ * balance, expected recurring income, upcoming bills, loan instalments and
+ * savings-goal contributions, and derive a daily "safe to spend" amount.
+ */
+
+export const CASH_FLOW_EVENT_TYPES = {
+  INCOME: 'income',
+  BILL: 'bill',
+  LOAN: 'loan',
+  SAVINGS: 'savings'
+}
+
+// Safety cap on occurrences generated per recurring item
+const MAX_OCCURRENCES = 1000
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+const getRefIds = (bills, tag) => new Set(
+  bills.map(bill => bill.notes?.match(new RegExp(`\\[${tag}:([^\\]]+)\\]`))?.[1]).filter(Boolean)
+)
+
+const addRecurrence = (date, pattern, count) => {
+  switch (pattern) {
+    case 'daily': return addDays(date, count)
+    case 'weekly': return addWeeks(date, count)
+    case 'yearly': return addYears(date, count)
+    default: return addMonths(date, count)
+  }
+}
+
+/**
+ * Expected income from recurring income transactions
+ * Each series (same category, description, pattern and amount) is projected
+ * forward from its most recent transaction.
+ *
+ * @param {Array} transactions - Income transactions
+ * @param {Object} window - { start, end } (inclusive)
+ * @returns {Array} Cash-flow events
+ */
+export const getIncomeEvents = (transactions = [], { start, end }) => {
+  const latestBySeries = new Map()
+  transactions
+    .filter(tx => tx.type === 'income' && (tx.isRecurring ?? tx.is_recurring))
+    .forEach(tx => {
+      const pattern = tx.recurrencePattern ?? tx.recurrence_pattern ?? 'monthly'
+      const key = [tx.category, tx.description, pattern, getBaseAmount(tx)].join('|')
+      const current = latestBySeries.get(key)
+      if (!current || isAfter(toDay(tx.date), toDay(current.tx.date))) latestBySeries.set(key, { tx, pattern })
+    })
+
+  const events = []
+  latestBySeries.forEach(({ tx, pattern }) => {
+    const base = toDay(tx.date)
+    const endsOn = toDay(tx.recurrenceEndDate ?? tx.recurrence_end_date)
+    for (let i = 1; i <= MAX_OCCURRENCES; i++) {
+      const date = addRecurrence(base, pattern, i)
+      if (isAfter(date, end) || (endsOn && isAfter(date, endsOn))) break
+      if (isBefore(date, start)) continue
+      events.push({
+        type: CASH_FLOW_EVENT_TYPES.INCOME,
+        name: tx.description || tx.category,
+        date,
+        amount: getBaseAmount(tx)
+      })
+    }
+  })
+  return events
+}
+
+/**
+ * Unpaid bill occurrences; overdue ones are due today
+ * @param {Array} bills - Recurring bills
+ * @param {Object} window - { start, end } (inclusive)
+ * @returns {Array} Cash-flow events
+ */
+export const getBillEvents = (bills = [], { start, end }) =>
+  forecastBills(bills, { start: addYears(start, -1), end, today: start })
+    .filter(occurrence => occurrence.status === OCCURRENCE_STATUS.OVERDUE || occurrence.status === OCCURRENCE_STATUS.UPCOMING)
+    .map(occurrence => ({
+      type: CASH_FLOW_EVENT_TYPES.BILL,
+      name: occurrence.bill.name,
+      date: isBefore(occurrence.date, start) ? start : occurrence.date,
+      amount: -occurrence.amount
+    }))
+
+/**
+ * Loan instalments until the loan is paid off
+ * Loans given by the user are repaid to them (income); loans received are paid out.
+ *
+ * @param {Array} loans - Loans
+ * @param {Object} window - { start, end } (inclusive)
+ * @returns {Array} Cash-flow events
+ */
+export const getLoanEvents = (loans = [], { start, end }) => {
+  const events = []
+  loans
+    .filter(loan => !(loan.isSettled ?? loan.is_settled) && (loan.hasInstallments ?? loan.has_installments))
+    .forEach(loan => {
+      const installment = Number(loan.installmentAmount ?? loan.installment_amount) || 0
+      const firstPayment = toDay(loan.nextPaymentDate ?? loan.next_payment_date)
+      let remaining = Number(loan.remainingAmount ?? loan.remaining_amount) || 0
+      if (!installment || !firstPayment || remaining <= 0) return
+
+      const frequency = loan.installmentFrequency ?? loan.installment_frequency ?? 'monthly'
+      const sign = (loan.lentBy ?? loan.lent_by) === 'Me' ? 1 : -1
+      for (let i = 0; i < MAX_OCCURRENCES && remaining > 0; i++) {
+        const date = addPeriods(firstPayment, frequency, i)
+        if (isAfter(date, end)) break
+        const amount = Math.min(installment, remaining)
+        remaining -= amount
+        events.push({
+          type: CASH_FLOW_EVENT_TYPES.LOAN,
+          name: loan.description || (sign > 0 ? loan.borrowedBy ?? loan.borrowed_by : loan.lentBy ?? loan.lent_by),
+          date: isBefore(date, start) ? start : date,
+          amount: sign * amount
+        })
+      }
+    })
+  return events
+}
+
+/**
+ * Monthly contributions needed to reach each savings goal by its target date
+ * Contributions fall on the 1st of each month; a goal due before the next
+ * 1st gets a single contribution on its target date.
+ *
+ * @param {Array} goals - Savings goals
+ * @param {Object} window - { start, end } (inclusive)
+ * @returns {Array} Cash-flow events
+ */
+export const getSavingsEvents = (goals = [], { start, end }) => {
+  const events = []
+  goals
+    .filter(goal => !(goal.isAchieved ?? goal.is_achieved))
+    .forEach(goal => {
+      const targetDate = toDay(goal.targetDate ?? goal.target_date)
+      const remaining = (Number(goal.targetAmount ?? goal.target_amount) || 0) - (Number(goal.currentAmount ?? goal.current_amount) || 0)
+      if (!targetDate || remaining <= 0 || isBefore(targetDate, start)) return
+
+      const dates = []
+      for (let date = startOfMonth(addMonths(start, 1)); !isAfter(date, targetDate) && dates.length < MAX_OCCURRENCES; date = addMonths(date, 1)) {
+        dates.push(date)
+      }
+      if (dates.length === 0) dates.push(targetDate)
+
+      const amount = remaining / dates.length
+      dates
+        .filter(date => !isAfter(date, end))
+        .forEach(date => events.push({ type: CASH_FLOW_EVENT_TYPES.SAVINGS, name: goal.name, date, amount: -amount }))
+    })
+  return events
+}
+
+/**
+ * Day-by-day balance projection
+ * @param {Object} options
+ * @param {number} options.startingBalance - Current balance
+ * @param {Array} [options.bills] - Upcoming recurring bills
+ * @param {Array} [options.transactions] - Income transactions (recurring ones are projected)
+ * @param {Array} [options.loans] - Loans with instalments
+ * @param {Array} [options.savingsGoals] - Savings goals with a target date
+ * @param {Date} [options.today=new Date()] - First projected day
+ * @param {number} [options.days=60] - Number of days to project
+ * @returns {{days: Array, startingBalance: number, endingBalance: number, lowestBalance: number, lowestDate: Date, negativeDays: Array, safeToSpend: number}}
+ */
+export const buildCashFlowProjection = ({
+  startingBalance = 0,
+  bills = [],
+  transactions = [],
+  loans = [],
+  savingsGoals = [],
+  today = new Date(),
+  days = 60
+}) => {
+  const start = toDay(today)
+  const end = addDays(start, days - 1)
+  const window = { start, end }
+
+  // Loans and goals paid through a linked recurring bill are already counted as bills
+  const billLoanIds = getRefIds(bills, 'LOAN_REF')
+  const billGoalIds = getRefIds(bills, 'SAVINGS_REF')
+
+  const events = [
+    ...getIncomeEvents(transactions, window),
+    ...getBillEvents(bills, window),
+    ...getLoanEvents(loans.filter(loan => !billLoanIds.has(String(loan.id))), window),
+    ...getSavingsEvents(savingsGoals.filter(goal => !billGoalIds.has(String(goal.id))), window)
+  ]
+
+  let balance = Number(startingBalance) || 0
+  const projection = Array.from({ length: days }, (_, i) => {
+    const date = addDays(start, i)
+    const dayEvents = events.filter(event => differenceInCalendarDays(event.date, date) === 0)
+    const inflow = dayEvents.reduce((sum, event) => (event.amount > 0 ? sum + event.amount : sum), 0)
+    const outflow = dayEvents.reduce((sum, event) => (event.amount < 0 ? sum - event.amount : sum), 0)
+    balance += inflow - outflow
+
+    return {
+      date,
+      key: format(date, 'yyyy-MM-dd'),
+      inflow: roundCents(inflow),
+      outflow: roundCents(outflow),
+      balance: roundCents(balance),
+      isNegative: roundCents(balance) < 0,
+      events: dayEvents.map(event => ({ ...event, amount: roundCents(event.amount) }))
+    }
+  })
+
+  const lowest = projection.reduce((min, day) => (day.balance < min.balance ? day : min), projection[0])
+
+  return {
+    days: projection,
+    startingBalance: roundCents(Number(startingBalance) || 0),
+    endingBalance: projection[projection.length - 1].balance,
+    lowestBalance: lowest.balance,
+    lowestDate: lowest.date,
+    negativeDays: projection.filter(day => day.isNegative),
+    safeToSpend: calculateSafeToSpend(projection)
+  }
+}
+
+/**
+ * Largest amount that can be spent every day without any projected day going negative
+ * Spending X a day lowers day k's balance by X * (k + 1).
+ *
+ * @param {Array} projection - Days from buildCashFlowProjection
+ * @returns {number} Daily amount (0 when the balance already dips below zero)
+ */
+export const calculateSafeToSpend = (projection = []) => {
+  if (projection.length === 0) return 0
+  const daily = Math.min(...projection.map((day, i) => day.balance / (i + 1)))
+  return daily > 0 ? Math.floor(daily * 100) / 100 : 0
+}
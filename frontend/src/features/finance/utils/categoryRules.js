@@ -0,0 +1,180 @@
+/**
+ * Category rules engine
+ * Pure functions that match transactions against user-defined rules and
+ * compute the category/tag changes they would make.
+ *
+ * Rule shape:
+ * {
+ *   id, name, enabled,
+ *   conditions: { type, descriptionContains, merchantPattern, minAmount, maxAmount, accountId },
+ *   actions: { category, tags }
+ * }
+ * Rules are evaluated in list order: the first matching rule with a category
+ * wins, tags from every matching rule are added.
+ */
+
+export const RULE_TRANSACTION_TYPES = ['any', 'expense', 'income']
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ''
+
+const toNumber = (value) => (isBlank(value) ? null : Number(value))
+
+/**
+ * Build a case-insensitive regex from a merchant pattern
+ * @param {string} pattern - User-entered regular expression
+ * @returns {RegExp|null} Compiled regex, null when blank or invalid
+ */
+export const compileMerchantPattern = (pattern) => {
+  if (isBlank(pattern)) return null
+  try {
+    return new RegExp(pattern, 'i')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Create an empty rule for the editor
+ * @returns {Object} New rule with default conditions/actions
+ */
+export const createEmptyRule = () => ({
+  id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: '',
+  enabled: true,
+  conditions: {
+    type: 'any',
+    descriptionContains: '',
+    merchantPattern: '',
+    minAmount: '',
+    maxAmount: '',
+    accountId: ''
+  },
+  actions: {
+    category: '',
+    tags: []
+  }
+})
+
+/**
+ * Validate a rule before saving
+ * @param {Object} rule - Rule to check
+ * @returns {string|null} i18n key of the first problem, null when valid
+ */
+export const validateRule = (rule) => {
+  const conditions = rule?.conditions || {}
+  const actions = rule?.actions || {}
+
+  const hasCondition = ['descriptionContains', 'merchantPattern', 'minAmount', 'maxAmount', 'accountId']
+    .some(key => !isBlank(conditions[key]))
+  if (!hasCondition) return 'categoryRules.errors.noCondition'
+
+  if (!isBlank(conditions.merchantPattern) && !compileMerchantPattern(conditions.merchantPattern)) {
+    return 'categoryRules.errors.invalidPattern'
+  }
+
+  const min = toNumber(conditions.minAmount)
+  const max = toNumber(conditions.maxAmount)
+  if ((min !== null && Number.isNaN(min)) || (max !== null && Number.isNaN(max))) {
+    return 'categoryRules.errors.invalidAmount'
+  }
+  if (min !== null && max !== null && min > max) return 'categoryRules.errors.invalidRange'
+
+  if (isBlank(actions.category) && !(actions.tags || []).length) return 'categoryRules.errors.noAction'
+
+  return null
+}
+
+/**
+ * Check whether a transaction satisfies every condition of a rule
+ * @param {Object} rule - Category rule
+ * @param {Object} transaction - Transaction ({ type, amount, description, bankAccountId })
+ * @returns {boolean} True when the rule applies
+ */
+export const matchesRule = (rule, transaction) => {
+  if (!rule?.enabled || !transaction) return false
+  const conditions = rule.conditions || {}
+  const description = (transaction.description || '').toLowerCase()
+  const amount = Math.abs(Number(transaction.amount) || 0)
+
+  if (conditions.type && conditions.type !== 'any' && transaction.type !== conditions.type) return false
+
+  if (!isBlank(conditions.descriptionContains) &&
+      !description.includes(conditions.descriptionContains.trim().toLowerCase())) {
+    return false
+  }
+
+  if (!isBlank(conditions.merchantPattern)) {
+    const regex = compileMerchantPattern(conditions.merchantPattern)
+    if (!regex || !regex.test(transaction.description || '')) return false
+  }
+
+  const min = toNumber(conditions.minAmount)
+  const max = toNumber(conditions.maxAmount)
+  if (min !== null && amount < min) return false
+  if (max !== null && amount > max) return false
+
+  if (!isBlank(conditions.accountId) && transaction.bankAccountId !== conditions.accountId) return false
+
+  return true
+}
+
+/**
+ * Run all rules against a transaction
+ * @param {Array} rules - Ordered category rules
+ * @param {Object} transaction - Transaction to categorise
+ * @returns {{category: string, tags: string[], matchedRules: Array, categoryRule: Object|null, changed: boolean}} Result
+ */
+export const applyCategoryRules = (rules = [], transaction = {}) => {
+  const currentTags = transaction.tags || []
+  let category = transaction.category || ''
+  let categoryRule = null
+  const tags = [...currentTags]
+  const matchedRules = []
+
+  rules.forEach(rule => {
+    if (!matchesRule(rule, transaction)) return
+    matchedRules.push(rule)
+
+    if (!categoryRule && !isBlank(rule.actions?.category)) {
+      categoryRule = rule
+      category = rule.actions.category
+    }
+
+    const ruleTags = rule.actions?.tags || []
+    ruleTags.forEach(tag => {
+      if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        tags.push(tag)
+      }
+    })
+  })
+
+  return {
+    category,
+    tags,
+    matchedRules,
+    categoryRule,
+    changed: category !== (transaction.category || '') || tags.length !== currentTags.length
+  }
+}
+
+/**
+ * Preview what the rules would change across existing transactions
+ * @param {Array} rules - Ordered category rules
+ * @param {Array} transactions - Transactions to check
+ * @returns {Array<{transaction: Object, category: string, tags: string[], addedTags: string[], matchedRules: Array}>} Changes, one per affected transaction
+ */
+export const previewCategoryRules = (rules = [], transactions = []) =>
+  transactions
+    .map(transaction => {
+      const result = applyCategoryRules(rules, transaction)
+      if (!result.changed) return null
+      const currentTags = transaction.tags || []
+      return {
+        transaction,
+        category: result.category,
+        tags: result.tags,
+        addedTags: result.tags.filter(tag => !currentTags.includes(tag)),
+        matchedRules: result.matchedRules
+      }
+    })
+    .filter(Boolean)
@@ -0,0 +1,133 @@
+import { format, startOfMonth, addMonths, isAfter } from 'date-fns'
+
+/**
+ * Envelope budgeting helpers
+ * Pure functions for zero-based envelope budgets: monthly allocations,
+ * carry-over of unspent or overspent amounts, and transfers between
+ * envelopes or to/from the unassigned pool.
+ */
+
+// Safety cap on how far back an envelope history is replayed
+const MAX_MONTHS = 120
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+/**
+ * Month key used to bucket transactions and transfers
+ * @param {Date|string} date - Any date in the month
+ * @returns {string} 'yyyy-MM'
+ */
+export const getMonthKey = (date) => format(new Date(date), 'yyyy-MM')
+
+/**
+ * Whether a budget uses envelope mode
+ * Only monthly budgets can be envelopes.
+ *
+ * @param {Object} budget - Budget (camelCase or snake_case)
+ * @returns {boolean}
+ */
+export const isEnvelopeBudget = (budget) =>
+  !!(budget?.isEnvelope ?? budget?.is_envelope) && (budget?.period || 'monthly') === 'monthly'
+
+const getBudgetStart = (budget) => budget?.startDate ?? budget?.start_date ?? budget?.createdAt ?? budget?.created_at
+
+const sumBy = (items, predicate, getAmount = item => item.amount) =>
+  items.reduce((sum, item) => (predicate(item) ? sum + (Math.abs(Number(getAmount(item))) || 0) : sum), 0)
+
+/**
+ * Replay an envelope from its first month to the target month
+ * @param {Object} budget - Envelope budget
+ * @param {Object} options
+ * @param {Array} options.transactions - Expense transactions covering the envelope's lifetime
+ * @param {Array} options.transfers - Budget transfers
+ * @param {Date} options.month - Target month
+ * @returns {{budgetId: string, category: string, allocated: number, carriedOver: number, transfersIn: number, transfersOut: number, spent: number, funded: number, available: number}} Envelope state for the month
+ */
+export const calculateEnvelope = (budget, { transactions = [], transfers = [], month = new Date() }) => {
+  const target = startOfMonth(new Date(month))
+  const start = getBudgetStart(budget)
+  let cursor = start ? startOfMonth(new Date(start)) : target
+  if (isAfter(cursor, target)) cursor = target
+
+  const allocated = Number(budget.amount) || 0
+  let carry = 0
+  let state = null
+
+  for (let i = 0; i < MAX_MONTHS && !isAfter(cursor, target); i++) {
+    const key = getMonthKey(cursor)
+    const spent = sumBy(transactions, tx =>
+      tx.type === 'expense' && tx.category === budget.category && getMonthKey(tx.date) === key)
+    const transfersIn = sumBy(transfers, transfer => transfer.toBudgetId === budget.id && getMonthKey(transfer.month) === key)
+    const transfersOut = sumBy(transfers, transfer => transfer.fromBudgetId === budget.id && getMonthKey(transfer.month) === key)
+    const funded = carry + allocated + transfersIn - transfersOut
+
+    state = {
+      budgetId: budget.id,
+      category: budget.category,
+      allocated,
+      carriedOver: roundCents(carry),
+      transfersIn: roundCents(transfersIn),
+      transfersOut: roundCents(transfersOut),
+      spent: roundCents(spent),
+      funded: roundCents(funded),
+      available: roundCents(funded - spent)
+    }
+
+    // Unspent money and overspending both roll into next month's envelope
+    carry = funded - spent
+    cursor = addMonths(cursor, 1)
+  }
+
+  return state
+}
+
+/**
+ * Envelope overview for a month
+ * @param {Object} options
+ * @param {Array} options.budgets - All budgets (non-envelope budgets are ignored)
+ * @param {Array} options.transactions - Income and expense transactions covering the envelopes' lifetime
+ * @param {Array} options.transfers - Budget transfers
+ * @param {Date} [options.month=new Date()] - Target month
+ * @returns {{envelopes: Object, income: number, assigned: number, toAssign: number}} Envelope states keyed by budget ID and the zero-based totals
+ */
+export const calculateEnvelopeSummary = ({ budgets = [], transactions = [], transfers = [], month = new Date() }) => {
+  const key = getMonthKey(month)
+  const envelopeBudgets = budgets.filter(isEnvelopeBudget)
+  const envelopes = {}
+
+  envelopeBudgets.forEach(budget => {
+    envelopes[budget.id] = calculateEnvelope(budget, { transactions, transfers, month })
+  })
+
+  const income = sumBy(transactions, tx => tx.type === 'income' && getMonthKey(tx.date) === key)
+  const assigned = envelopeBudgets.reduce((sum, budget) => sum + (Number(budget.amount) || 0), 0)
+  // Transfers with no budget on one side move money out of / back into the unassigned pool
+  const fromPool = sumBy(transfers, transfer => !transfer.fromBudgetId && getMonthKey(transfer.month) === key)
+  const toPool = sumBy(transfers, transfer => !transfer.toBudgetId && getMonthKey(transfer.month) === key)
+
+  return {
+    envelopes,
+    income: roundCents(income),
+    assigned: roundCents(assigned + fromPool - toPool),
+    toAssign: roundCents(income - assigned - fromPool + toPool)
+  }
+}
+
+/**
+ * Validate a transfer between envelopes
+ * @param {Object} transfer - { fromBudgetId, toBudgetId, amount } (null ID = unassigned pool)
+ * @param {Object} summary - Result of calculateEnvelopeSummary
+ * @returns {string|null} i18n key of the first problem, or null when valid
+ */
+export const validateEnvelopeTransfer = (transfer, summary) => {
+  const amount = Number(transfer?.amount)
+  if (!amount || amount <= 0) return 'budgets.envelope.errors.invalidAmount'
+  if ((transfer.fromBudgetId || null) === (transfer.toBudgetId || null)) return 'budgets.envelope.errors.sameEnvelope'
+
+  const available = transfer.fromBudgetId
+    ? summary?.envelopes?.[transfer.fromBudgetId]?.available ?? 0
+    : summary?.toAssign ?? 0
+  if (amount > available + 0.005) return 'budgets.envelope.errors.insufficientFunds'
+
+  return null
+}
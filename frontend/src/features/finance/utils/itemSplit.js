@@ -0,0 +1,119 @@
+/**
+ * Line-item split helpers
+ * Pure functions for splitting a transaction receipt line by line between partners.
+ *
+ * Each item is assigned to 'me', 'partner' or 'shared', relative to the
+ * transaction owner like `paidBy`. Whatever the items do not add up to (tax,
+ * discounts, rounding) is spread over them in proportion to their amounts,
+ * so the two shares always add up to the amount actually paid.
+ */
+
+export const ITEM_SPLIT_TYPE = 'items'
+
+export const ITEM_ASSIGNMENTS = {
+  ME: 'me',
+  PARTNER: 'partner',
+  SHARED: 'shared'
+}
+
+const toCents = (value) => Math.round((Number(value) || 0) * 100)
+const fromCents = (cents) => cents / 100
+
+const normalizeAssignment = (value) =>
+  Object.values(ITEM_ASSIGNMENTS).includes(value) ? value : ITEM_ASSIGNMENTS.SHARED
+
+/**
+ * Line items of a record, whatever casing the API used
+ * @param {Object} record - Transaction
+ * @returns {Array<{name: string, quantity: number, amount: number, assignedTo: string}>}
+ */
+export const getSplitItems = (record) => {
+  const items = record?.splitItems ?? record?.split_items
+  if (!Array.isArray(items)) return []
+  return items.map(item => ({
+    name: item.name ?? item.Name ?? '',
+    quantity: Number(item.quantity ?? item.Quantity) || 1,
+    amount: Number(item.amount ?? item.Amount) || 0,
+    assignedTo: normalizeAssignment(item.assignedTo ?? item.AssignedTo ?? item.assigned_to)
+  }))
+}
+
+/**
+ * Whether a record is split line by line
+ * @param {Object} record - Transaction
+ * @returns {boolean}
+ */
+export const isItemSplit = (record) =>
+  (record?.splitType ?? record?.split_type) === ITEM_SPLIT_TYPE && getSplitItems(record).length > 0
+
+/**
+ * Turn receipt line items (see parseReceipt) into shared split items
+ * @param {Array<{name: string, quantity?: number, amount: number}>} lineItems
+ * @returns {Array<{name: string, quantity: number, amount: number, assignedTo: string}>}
+ */
+export const toSplitItems = (lineItems = []) =>
+  lineItems.map(item => ({
+    name: item.name || '',
+    quantity: item.quantity || 1,
+    amount: Number(item.amount) || 0,
+    assignedTo: ITEM_ASSIGNMENTS.SHARED
+  }))
+
+/**
+ * Spread the amount paid over the items and total up each person's share
+ * Shares are worked out in cents with the largest-remainder method, so
+ * they add up to `total` exactly; an odd shared cent goes to the owner.
+ *
+ * @param {Array} items - Split items ({ amount, assignedTo })
+ * @param {number} total - Amount actually paid
+ * @returns {{items: Array, owner: number, partner: number, itemsTotal: number, adjustment: number, ownerPercentage: number}}
+ *   Items with their adjusted `share`, the owner's and partner's totals, the difference spread over
+ *   the items (negative for discounts) and the owner's share as a percentage of `total`
+ */
+export const allocateItemSplit = (items = [], total = 0) => {
+  const totalCents = Math.max(0, toCents(total))
+  const itemCents = items.map(item => Math.max(0, toCents(item.amount)))
+  const itemsCents = itemCents.reduce((sum, cents) => sum + cents, 0)
+
+  let shares
+  if (itemsCents === 0) {
+    shares = itemCents.map(() => 0)
+  } else {
+    const exact = itemCents.map(cents => (totalCents * cents) / itemsCents)
+    shares = exact.map(Math.floor)
+    let remainder = totalCents - shares.reduce((sum, cents) => sum + cents, 0)
+    exact
+      .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+      .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+      .forEach(({ index }) => {
+        if (remainder <= 0) return
+        shares[index] += 1
+        remainder -= 1
+      })
+  }
+
+  let ownerCents = 0
+  let partnerCents = 0
+  let sharedCents = 0
+  items.forEach((item, index) => {
+    const assignedTo = normalizeAssignment(item.assignedTo)
+    if (assignedTo === ITEM_ASSIGNMENTS.ME) ownerCents += shares[index]
+    else if (assignedTo === ITEM_ASSIGNMENTS.PARTNER) partnerCents += shares[index]
+    else sharedCents += shares[index]
+  })
+  // Nothing to spread over: the whole amount is shared
+  if (itemsCents === 0) sharedCents = totalCents
+
+  const partnerHalf = Math.floor(sharedCents / 2)
+  ownerCents += sharedCents - partnerHalf
+  partnerCents += partnerHalf
+
+  return {
+    items: items.map((item, index) => ({ ...item, share: fromCents(shares[index]) })),
+    owner: fromCents(ownerCents),
+    partner: fromCents(partnerCents),
+    itemsTotal: fromCents(itemsCents),
+    adjustment: itemsCents === 0 ? 0 : fromCents(totalCents - itemsCents),
+    ownerPercentage: totalCents === 0 ? 50 : Math.round((ownerCents / totalCents) * 10000) / 100
+  }
+}
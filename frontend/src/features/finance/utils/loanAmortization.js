@@ -0,0 +1,260 @@
+import { addWeeks, addMonths, addYears, differenceInCalendarDays } from 'date-fns'
+
+/**
+ * Loan amortisation helpers
+ * Pure functions for instalment schedules, payoff projection from actual
+ * payments and what-if simulation of extra or lump-sum repayments.
+ */
+
+// Instalments per year
+export const PAYMENT_FREQUENCIES = {
+  weekly: 52,
+  biweekly: 26,
+  monthly: 12,
+  quarterly: 4,
+  annually: 1
+}
+
+// Compounding periods per year
+export const COMPOUNDING_FREQUENCIES = {
+  daily: 365,
+  monthly: 12,
+  quarterly: 4,
+  annually: 1
+}
+
+// Safety cap so a payment that barely covers interest can't loop forever
+const MAX_PERIODS = 1200
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+/**
+ * Advance a date by a number of instalment periods
+ * @param {Date|string} date - Start date
+ * @param {string} frequency - Key of PAYMENT_FREQUENCIES
+ * @param {number} count - Number of periods
+ * @returns {Date} Shifted date
+ */
+export const addPeriods = (date, frequency, count = 1) => {
+  const start = new Date(date)
+  switch (frequency) {
+    case 'weekly': return addWeeks(start, count)
+    case 'biweekly': return addWeeks(start, 2 * count)
+    case 'quarterly': return addMonths(start, 3 * count)
+    case 'annually': return addYears(start, count)
+    default: return addMonths(start, count)
+  }
+}
+
+/**
+ * Effective interest rate per instalment period
+ * Converts the nominal annual rate with its compounding frequency into the
+ * equivalent rate for the payment frequency.
+ *
+ * @param {number} annualRate - Nominal annual rate in percent (e.g. 5.5)
+ * @param {string} [compounding='monthly'] - Key of COMPOUNDING_FREQUENCIES
+ * @param {string} [paymentFrequency='monthly'] - Key of PAYMENT_FREQUENCIES
+ * @returns {number} Periodic rate as a fraction
+ */
+export const getPeriodicRate = (annualRate, compounding = 'monthly', paymentFrequency = 'monthly') => {
+  const rate = (Number(annualRate) || 0) / 100
+  if (rate <= 0) return 0
+  const m = COMPOUNDING_FREQUENCIES[compounding] || 12
+  const p = PAYMENT_FREQUENCIES[paymentFrequency] || 12
+  return Math.pow(1 + rate / m, m / p) - 1
+}
+
+/**
+ * Number of instalments in the loan term
+ * @param {Object} loan - Loan with durationYears/durationMonths and installmentFrequency
+ * @returns {number} Instalment count, 0 when no term is set
+ */
+export const getTermPeriods = (loan) => {
+  const months = (Number(loan?.durationYears) || 0) * 12 + (Number(loan?.durationMonths) || 0)
+  if (months <= 0) return 0
+  const perYear = PAYMENT_FREQUENCIES[loan?.installmentFrequency] || 12
+  return Math.max(1, Math.round((months / 12) * perYear))
+}
+
+/**
+ * Level instalment that repays a principal over a number of periods
+ * @param {number} principal - Amount borrowed
+ * @param {number} periodicRate - Rate per period (fraction)
+ * @param {number} periods - Number of instalments
+ * @returns {number} Instalment amount
+ */
+export const calculateInstallment = (principal, periodicRate, periods) => {
+  if (!principal || !periods) return 0
+  if (!periodicRate) return roundCents(principal / periods)
+  const factor = Math.pow(1 + periodicRate, periods)
+  return roundCents((principal * periodicRate * factor) / (factor - 1))
+}
+
+/**
+ * Generate an amortisation schedule
+ * @param {Object} options
+ * @param {number} options.principal - Opening balance
+ * @param {number} options.periodicRate - Rate per period (fraction)
+ * @param {number} options.installment - Regular payment per period
+ * @param {string} [options.paymentFrequency='monthly'] - Key of PAYMENT_FREQUENCIES
+ * @param {Date|string} [options.startDate] - Date of the opening balance
+ * @param {number} [options.extraPayment=0] - Extra principal paid every period
+ * @param {Array<{period: number, amount: number}>} [options.lumpSums=[]] - One-off repayments by period number
+ * @returns {{rows: Array, totalInterest: number, totalPaid: number, periods: number, payoffDate: Date|null, isPaidOff: boolean}} Schedule
+ */
+export const buildAmortizationSchedule = ({
+  principal,
+  periodicRate,
+  installment,
+  paymentFrequency = 'monthly',
+  startDate = new Date(),
+  extraPayment = 0,
+  lumpSums = []
+}) => {
+  const rows = []
+  let balance = Number(principal) || 0
+  let totalInterest = 0
+  let totalPaid = 0
+
+  for (let period = 1; balance > 0.005 && period <= MAX_PERIODS; period++) {
+    const interest = roundCents(balance * periodicRate)
+    const lumpSum = lumpSums
+      .filter(item => item.period === period)
+      .reduce((sum, item) => sum + (Number(item.amount) || 0), 0)
+    let payment = (Number(installment) || 0) + (Number(extraPayment) || 0) + lumpSum
+
+    // Payment that doesn't cover interest never pays the loan off
+    if (payment <= interest && lumpSum === 0) break
+
+    payment = Math.min(payment, roundCents(balance + interest))
+    const principalPaid = roundCents(payment - interest)
+    balance = roundCents(balance - principalPaid)
+    totalInterest += interest
+    totalPaid += payment
+
+    rows.push({
+      period,
+      date: addPeriods(startDate, paymentFrequency, period),
+      payment: roundCents(payment),
+      principal: principalPaid,
+      interest,
+      extra: roundCents(Math.max(0, payment - (Number(installment) || 0))),
+      balance: Math.max(0, balance)
+    })
+  }
+
+  const isPaidOff = balance <= 0.005
+  return {
+    rows,
+    totalInterest: roundCents(totalInterest),
+    totalPaid: roundCents(totalPaid),
+    periods: rows.length,
+    payoffDate: isPaidOff && rows.length ? rows[rows.length - 1].date : null,
+    isPaidOff
+  }
+}
+
+/**
+ * Full schedule for a loan from its terms
+ * @param {Object} loan - Loan with amount, interestRate, compoundingFrequency, installmentFrequency, duration and date
+ * @returns {Object|null} Schedule plus installment, null when the loan has no term
+ */
+export const getLoanSchedule = (loan) => {
+  const periods = getTermPeriods(loan)
+  if (!periods) return null
+  const paymentFrequency = loan.installmentFrequency || 'monthly'
+  const periodicRate = getPeriodicRate(loan.interestRate, loan.compoundingFrequency, paymentFrequency)
+  const installment = Number(loan.installmentAmount) ||
+    calculateInstallment(Number(loan.amount), periodicRate, periods)
+
+  return {
+    installment,
+    periodicRate,
+    ...buildAmortizationSchedule({
+      principal: Number(loan.amount),
+      periodicRate,
+      installment,
+      paymentFrequency,
+      startDate: loan.date || new Date()
+    })
+  }
+}
+
+/**
+ * Project the payoff date from the actual payment history
+ * Uses the average amount paid per instalment period so far and the
+ * current remaining balance.
+ *
+ * @param {Object} loan - Loan with remainingAmount and terms
+ * @param {Array} payments - Loan payments ({ amount, paymentDate })
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {{payoffDate: Date|null, periodsRemaining: number, averagePayment: number, totalInterest: number}|null} Projection, null without history
+ */
+export const projectPayoffFromHistory = (loan, payments = [], today = new Date()) => {
+  const remaining = Number(loan?.remainingAmount ?? loan?.amount) || 0
+  if (!payments.length || remaining <= 0) return null
+
+  const paymentFrequency = loan.installmentFrequency || 'monthly'
+  const dates = payments.map(payment => new Date(payment.paymentDate))
+  const firstPayment = new Date(Math.min(...dates))
+  const daysPerPeriod = 365 / (PAYMENT_FREQUENCIES[paymentFrequency] || 12)
+  const elapsedPeriods = Math.max(1, Math.round(differenceInCalendarDays(today, firstPayment) / daysPerPeriod) + 1)
+  const paid = payments.reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0)
+  const averagePayment = roundCents(paid / elapsedPeriods)
+
+  const schedule = buildAmortizationSchedule({
+    principal: remaining,
+    periodicRate: getPeriodicRate(loan.interestRate, loan.compoundingFrequency, paymentFrequency),
+    installment: averagePayment,
+    paymentFrequency,
+    startDate: today
+  })
+
+  return {
+    payoffDate: schedule.payoffDate,
+    periodsRemaining: schedule.isPaidOff ? schedule.periods : 0,
+    averagePayment,
+    totalInterest: schedule.totalInterest
+  }
+}
+
+/**
+ * Compare the remaining schedule with and without extra repayments
+ * @param {Object} loan - Loan with remainingAmount and terms
+ * @param {Object} options
+ * @param {number} [options.extraPayment=0] - Extra amount every instalment
+ * @param {number} [options.lumpSum=0] - One-off repayment
+ * @param {number} [options.lumpSumPeriod=1] - Instalment number of the lump sum
+ * @param {Date} [options.startDate=new Date()] - Date of the current balance
+ * @returns {{base: Object, scenario: Object, interestSaved: number, periodsSaved: number}|null} Comparison, null without terms
+ */
+export const simulateExtraRepayments = (loan, {
+  extraPayment = 0,
+  lumpSum = 0,
+  lumpSumPeriod = 1,
+  startDate = new Date()
+} = {}) => {
+  const terms = getLoanSchedule(loan)
+  if (!terms) return null
+
+  const options = {
+    principal: Number(loan.remainingAmount ?? loan.amount) || 0,
+    periodicRate: terms.periodicRate,
+    installment: terms.installment,
+    paymentFrequency: loan.installmentFrequency || 'monthly',
+    startDate
+  }
+  const base = buildAmortizationSchedule(options)
+  const scenario = buildAmortizationSchedule({
+    ...options,
+    extraPayment: Number(extraPayment) || 0,
+    lumpSums: Number(lumpSum) > 0 ? [{ period: Math.max(1, Number(lumpSumPeriod) || 1), amount: Number(lumpSum) }] : []
+  })
+
+  return {
+    base,
+    scenario,
+    interestSaved: roundCents(Math.max(0, base.totalInterest - scenario.totalInterest)),
+    periodsSaved: Math.max(0, base.periods - scenario.periods)
+  }
+}
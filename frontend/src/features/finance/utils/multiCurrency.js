@@ -0,0 +1,152 @@
+/**
+ * Multi-currency helpers
+ * Transactions keep the currency and amount they were made in
+ * (currency, originalAmount) plus the rate used on the transaction date.
+ * `amount` is always stored in the base currency so totals can be summed directly.
+ */
+
+export const BASE_CURRENCY = 'EUR'
+
+/** Currencies offered when entering a transaction */
+export const SUPPORTED_CURRENCIES = ['EUR', 'GBP', 'USD']
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+/**
+ * Currency a transaction was made in
+ * @param {Object} transaction - Transaction
+ * @returns {string} ISO 4217 code
+ */
+export const getTransactionCurrency = (transaction) =>
+  (transaction?.currency || BASE_CURRENCY).toUpperCase()
+
+/**
+ * Whether a transaction was made in a currency other than the base currency
+ * @param {Object} transaction - Transaction
+ * @returns {boolean}
+ */
+export const isForeignCurrency = (transaction) => getTransactionCurrency(transaction) !== BASE_CURRENCY
+
+/**
+ * Amount in the currency the transaction was made in
+ * @param {Object} transaction - Transaction
+ * @returns {number}
+ */
+export const getOriginalAmount = (transaction) => {
+  const original = transaction?.originalAmount ?? transaction?.original_amount
+  return Math.abs(Number(original ?? transaction?.amount) || 0)
+}
+
+/**
+ * Amount in the base currency
+ * Converted transactions already store it in `amount`. Foreign-currency rows
+ * without an original amount (e.g. bank imports) are converted with their
+ * stored rate when there is one.
+ *
+ * @param {Object} transaction - Transaction
+ * @returns {number}
+ */
+export const getBaseAmount = (transaction) => {
+  const amount = Math.abs(Number(transaction?.amount) || 0)
+  if (!isForeignCurrency(transaction)) return amount
+
+  const original = transaction.originalAmount ?? transaction.original_amount
+  if (original != null) return amount
+
+  const rate = Number(transaction.exchangeRate ?? transaction.exchange_rate)
+  return rate > 0 ? roundCents(amount * rate) : amount
+}
+
+/**
+ * Prepare a transaction payload for saving in a given currency
+ * @param {Object} data - Transaction data with `amount` in `currency`
+ * @param {string} currency - Currency the amount was entered in
+ * @param {number|null} rate - Units of base currency per unit of `currency` on the transaction date
+ * @returns {Object} Payload with base `amount`, `currency`, `originalAmount` and `exchangeRate`
+ */
+export const applyCurrency = (data, currency = BASE_CURRENCY, rate = null) => {
+  const code = (currency || BASE_CURRENCY).toUpperCase()
+  const amount = Number(data.amount) || 0
+
+  if (code === BASE_CURRENCY) {
+    return { ...data, amount, currency: BASE_CURRENCY, originalAmount: null, exchangeRate: null }
+  }
+  if (!(rate > 0)) {
+    throw new Error(`No exchange rate for ${code}`)
+  }
+  return {
+    ...data,
+    amount: roundCents(amount * rate),
+    currency: code,
+    originalAmount: amount,
+    exchangeRate: rate
+  }
+}
+
+/**
+ * Income and expenses per original currency
+ * @param {Array} transactions - Transactions
+ * @returns {Array<{currency: string, count: number, income: number, expenses: number, baseIncome: number, baseExpenses: number}>}
+ *   One row per currency, largest base-currency volume first
+ */
+export const summarizeByCurrency = (transactions = []) => {
+  const map = {}
+  transactions.forEach(transaction => {
+    if (transaction.type !== 'income' && transaction.type !== 'expense') return
+    const currency = getTransactionCurrency(transaction)
+    if (!map[currency]) {
+      map[currency] = { currency, count: 0, income: 0, expenses: 0, baseIncome: 0, baseExpenses: 0 }
+    }
+    const row = map[currency]
+    row.count++
+    if (transaction.type === 'income') {
+      row.income += getOriginalAmount(transaction)
+      row.baseIncome += getBaseAmount(transaction)
+    } else {
+      row.expenses += getOriginalAmount(transaction)
+      row.baseExpenses += getBaseAmount(transaction)
+    }
+  })
+
+  return Object.values(map)
+    .map(row => ({
+      ...row,
+      income: roundCents(row.income),
+      expenses: roundCents(row.expenses),
+      baseIncome: roundCents(row.baseIncome),
+      baseExpenses: roundCents(row.baseExpenses)
+    }))
+    .sort((a, b) => (b.baseIncome + b.baseExpenses) - (a.baseIncome + a.baseExpenses))
+}
+
+/**
+ * Format an amount in a specific currency
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [locale='en-IE'] - Locale
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency = BASE_CURRENCY, locale = 'en-IE') => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount)
+  } catch {
+    return `${Number(amount).toFixed(2)} ${currency}`
+  }
+}
+
+/**
+ * Symbol for a currency (e.g. '€', '£', '$')
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [locale='en-IE'] - Locale
+ * @returns {string}
+ */
+export const getCurrencySymbol = (currency = BASE_CURRENCY, locale = 'en-IE') => {
+  try {
+    const part = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0)
+      .find(p => p.type === 'currency')
+    return part?.value || currency
+  } catch {
+    return currency
+  }
+}
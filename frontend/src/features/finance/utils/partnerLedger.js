@@ -0,0 +1,228 @@
+import { allocateItemSplit, getSplitItems, isItemSplit } from './itemSplit'
+
+/**
+ * Partner ledger helpers
+ * Pure functions that turn split transactions, shared travel expenses and
+ * settlements into a running "who owes whom" balance between partners.
+ *
+ * Balances are always from the current user's point of view:
+ * positive = partner owes me, negative = I owe partner.
+ */
+
+// Category used for settle-up transactions
+export const SETTLEMENT_CATEGORY = 'settlement'
+
+// Description stored on settle-up transactions; translated for display
+export const SETTLEMENT_DESCRIPTION = 'settlement'
+
+// English descriptions saved by earlier versions of the settle-up flow
+const LEGACY_SETTLEMENT_DESCRIPTIONS = new Set([
+  'Settle up: paid partner',
+  'Settle up: received from partner'
+])
+
+export const LEDGER_ENTRY_TYPES = {
+  SPLIT: 'split',
+  TRAVEL: 'travel',
+  SETTLEMENT: 'settlement'
+}
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+/**
+ * Share of a split paid for by the record's owner
+ * `splitPercentage` is stored as the owner's ("your") percentage.
+ *
+ * @param {Object} record - Transaction or travel expense with splitType/splitPercentage
+ * @returns {number} Owner share as a fraction (0-1)
+ */
+export const getOwnerShare = (record) => {
+  const splitType = record?.splitType ?? record?.split_type
+  const percentage = record?.splitPercentage ?? record?.split_percentage
+  if (splitType === 'equal' || percentage == null) return 0.5
+  return Math.min(100, Math.max(0, Number(percentage))) / 100
+}
+
+/**
+ * Whether a transaction is a settle-up payment
+ * @param {Object} transaction - Transaction
+ * @returns {boolean}
+ */
+export const isSettlement = (transaction) =>
+  (transaction?.category || '').toLowerCase() === SETTLEMENT_CATEGORY
+
+/**
+ * Display text for a transaction's description
+ * Settle-up transactions store a neutral marker that is translated here.
+ *
+ * @param {Object} transaction - Transaction
+ * @param {Function} t - i18next translate function
+ * @returns {string} Description to show
+ */
+export const formatTransactionDescription = (transaction, t) => {
+  const description = transaction?.description || ''
+  const isMarker = !description || description === SETTLEMENT_DESCRIPTION || LEGACY_SETTLEMENT_DESCRIPTIONS.has(description)
+  if (!isSettlement(transaction) || !isMarker) return description
+
+  return transaction.type === 'income'
+    ? t('settleUp.receivedDescription', 'Settle up: received from partner')
+    : t('settleUp.paidDescription', 'Settle up: paid partner')
+}
+
+/**
+ * Whether a transaction is split with the partner
+ * @param {Object} transaction - Transaction
+ * @returns {boolean}
+ */
+export const isSplitTransaction = (transaction) =>
+  transaction?.type === 'expense' && !!(transaction.splitType || transaction.split_type) && !isSettlement(transaction)
+
+/**
+ * Resolve who paid from the current user's point of view
+ * `paidBy` is stored relative to the record owner, so it is flipped when
+ * the partner created the record.
+ *
+ * @param {Object} record - Transaction or travel expense
+ * @param {boolean} ownedByMe - Whether the current user owns the record
+ * @returns {'me'|'partner'}
+ */
+export const resolvePayer = (record, ownedByMe) => {
+  const paidBy = (record?.paidBy ?? record?.paid_by ?? 'me') === 'partner' ? 'partner' : 'me'
+  if (ownedByMe) return paidBy
+  return paidBy === 'me' ? 'partner' : 'me'
+}
+
+const getOwnerId = (record) => record?.userId ?? record?.user_id
+
+/**
+ * Build a ledger entry for a split record
+ * @param {Object} record - Split transaction or shared travel expense
+ * @param {Object} options
+ * @param {string} options.type - LEDGER_ENTRY_TYPES value
+ * @param {boolean} options.ownedByMe - Whether the current user owns the record
+ * @param {number} options.amount - Amount in base currency
+ * @returns {Object} Ledger entry
+ */
+const buildSplitEntry = (record, { type, ownedByMe, amount }) => {
+  let myShare
+  if (isItemSplit(record)) {
+    // Line-item splits are worked out item by item rather than from the rounded percentage
+    const { owner, partner } = allocateItemSplit(getSplitItems(record), amount)
+    myShare = ownedByMe ? owner : partner
+  } else {
+    const ownerShare = getOwnerShare(record)
+    myShare = roundCents(amount * (ownedByMe ? ownerShare : 1 - ownerShare))
+  }
+  const partnerShare = roundCents(amount - myShare)
+  const paidBy = resolvePayer(record, ownedByMe)
+
+  return {
+    id: `${type}-${record.id}`,
+    sourceId: record.id,
+    type,
+    date: record.date,
+    description: record.description || '',
+    category: record.category,
+    amount,
+    paidBy,
+    myShare,
+    partnerShare,
+    // The payer is owed the other person's share
+    effect: paidBy === 'me' ? partnerShare : -myShare
+  }
+}
+
+/**
+ * Build the partner ledger
+ * @param {Object} options
+ * @param {Array} [options.transactions=[]] - Household transactions (both partners)
+ * @param {Array} [options.travelExpenses=[]] - Travel expenses of the current user's trips
+ * @param {string} options.currentUserId - Current user ID
+ * @returns {{entries: Array, settlements: Array, balance: number, totals: Object}} Ledger, entries oldest first with running balances
+ */
+export const buildPartnerLedger = ({ transactions = [], travelExpenses = [], currentUserId }) => {
+  const entries = []
+
+  transactions.forEach(transaction => {
+    const ownerId = getOwnerId(transaction)
+    const ownedByMe = !ownerId || ownerId === currentUserId
+    const amount = Math.abs(Number(transaction.amount) || 0)
+    if (!amount) return
+
+    if (isSettlement(transaction)) {
+      const paidBy = resolvePayer(transaction, ownedByMe)
+      entries.push({
+        id: `${LEDGER_ENTRY_TYPES.SETTLEMENT}-${transaction.id}`,
+        sourceId: transaction.id,
+        type: LEDGER_ENTRY_TYPES.SETTLEMENT,
+        date: transaction.date,
+        description: transaction.description || '',
+        notes: transaction.notes || '',
+        category: transaction.category,
+        amount,
+        paidBy,
+        myShare: 0,
+        partnerShare: 0,
+        // Paying the partner reduces what I owe (or increases what they owe me)
+        effect: paidBy === 'me' ? amount : -amount
+      })
+      return
+    }
+
+    if (isSplitTransaction(transaction)) {
+      entries.push(buildSplitEntry(transaction, { type: LEDGER_ENTRY_TYPES.SPLIT, ownedByMe, amount }))
+    }
+  })
+
+  travelExpenses.forEach(expense => {
+    if ((expense.splitPercentage ?? expense.split_percentage) == null) return
+    const amount = Math.abs(Number(expense.amountInBaseCurrency ?? expense.amount) || 0)
+    if (!amount) return
+    // Trips are personal, so travel expenses always belong to the current user
+    entries.push(buildSplitEntry(expense, { type: LEDGER_ENTRY_TYPES.TRAVEL, ownedByMe: true, amount }))
+  })
+
+  entries.sort((a, b) => {
+    const diff = new Date(a.date) - new Date(b.date)
+    return diff !== 0 ? diff : String(a.id).localeCompare(String(b.id))
+  })
+
+  let running = 0
+  const totals = { paidByMe: 0, paidByPartner: 0, settledByMe: 0, settledByPartner: 0 }
+
+  entries.forEach(entry => {
+    running = roundCents(running + entry.effect)
+    entry.balance = running
+
+    if (entry.type === LEDGER_ENTRY_TYPES.SETTLEMENT) {
+      if (entry.paidBy === 'me') totals.settledByMe += entry.amount
+      else totals.settledByPartner += entry.amount
+    } else if (entry.paidBy === 'me') {
+      totals.paidByMe += entry.amount
+    } else {
+      totals.paidByPartner += entry.amount
+    }
+  })
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = roundCents(totals[key])
+  })
+
+  return {
+    entries,
+    settlements: entries.filter(entry => entry.type === LEDGER_ENTRY_TYPES.SETTLEMENT).reverse(),
+    balance: running,
+    totals
+  }
+}
+
+/**
+ * Suggested settle-up payment for a balance
+ * @param {number} balance - Ledger balance (positive = partner owes me)
+ * @returns {{amount: number, paidBy: 'me'|'partner'}|null} Payment that clears the balance, null when settled
+ */
+export const getSettlementSuggestion = (balance) => {
+  const amount = roundCents(Math.abs(Number(balance) || 0))
+  if (amount < 0.01) return null
+  return { amount, paidBy: balance > 0 ? 'partner' : 'me' }
+}
@@ -0,0 +1,361 @@
+import { format, isValid, isAfter, addDays } from 'date-fns'
+
+/**
+ * Receipt parser
+ * Pure functions that turn OCR output into a draft transaction: merchant, date,
+ * total, VAT and line items, each with a 0–1 confidence so the form can flag
+ * values worth double-checking.
+ *
+ * OCR line shape: { text, confidence } with confidence in 0–1.
+ */
+
+// Keywords are matched on accent-free, lower-case text
+const TOTAL_KEYWORDS = /\b(total|grand total|amount due|to pay|synolo|plirotaio|gesamt|totale|montant)\b|συνολο|πληρωτεο|πληρωμη/
+const SUBTOTAL_KEYWORDS = /\b(sub\s*-?total|subtotal|net|ypoloipo)\b|υποσυνολο|μερικο/
+const VAT_KEYWORDS = /\b(vat|tax|mwst|tva|iva|fpa)\b|φπα|φ\.π\.α/
+const NON_ITEM_KEYWORDS = /\b(cash|card|change|visa|mastercard|maestro|tip|paid|payment|balance|rounding|auth|terminal|tid|mid)\b|μετρητα|ρεστα|καρτα|αλλαγη/
+const HEADER_NOISE = /\b(receipt|invoice|tel|phone|fax|www|http|vat\s*no|afm|doy|street|str|ave|road|odos)\b|αποδειξη|τιμολογιο|τηλ|αφμ|δου|οδος|\d{5}/
+
+// Merchant keywords per category; categories match the expense categories in TransactionForm
+const MERCHANT_CATEGORIES = {
+  food: [
+    'supermarket', 'market', 'grocery', 'bakery', 'cafe', 'coffee', 'restaurant', 'pizza', 'burger', 'taverna',
+    'lidl', 'aldi', 'carrefour', 'sklavenitis', 'ab vassilopoulos', 'masoutis', 'my market', 'kritikos', 'galaxias',
+    'tesco', 'sainsbury', 'starbucks', 'mcdonald', 'everest', 'goody', 'σκλαβενιτης', 'μασουτης', 'βασιλοπουλος',
+    'αρτοποιειο', 'φουρνος', 'καφε', 'ταβερνα', 'εστιατοριο', 'σουπερ μαρκετ'
+  ],
+  transport: ['fuel', 'petrol', 'gas station', 'shell', 'bp', 'eko', 'avin', 'aegean oil', 'revoil', 'elin', 'taxi', 'parking', 'καυσιμα', 'πρατηριο', 'ταξι'],
+  healthcare: ['pharmacy', 'pharmacie', 'apotheke', 'clinic', 'hospital', 'dental', 'φαρμακειο', 'ιατρειο', 'κλινικη'],
+  utilities: ['electric', 'water', 'energy', 'dei', 'eydap', 'cosmote', 'vodafone', 'nova', 'δεη', 'ευδαπ'],
+  entertainment: ['cinema', 'theatre', 'theater', 'museum', 'village', 'odeon', 'concert', 'σινεμα', 'θεατρο'],
+  shopping: [
+    'zara', 'h&m', 'ikea', 'jumbo', 'public', 'plaisio', 'kotsovolos', 'mediamarkt', 'decathlon', 'sephora',
+    'hondos', 'mall', 'store', 'boutique', 'πλαισιο', 'κωτσοβολος'
+  ]
+}
+
+// Amounts with exactly two decimals: 12.50, 12,50, 1.234,56, 1,234.56, €12.50
+const AMOUNT_PATTERN = /-?(?:\d{1,3}(?:[.,]\d{3})+|\d+)[.,]\d{2}(?!\d)/g
+const DATE_PATTERNS = [
+  { regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/, order: 'ymd' },
+  { regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/, order: 'dmy' },
+  { regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2})\b/, order: 'dmy' }
+]
+const QUANTITY_PREFIX = /^(\d{1,3})\s*[xX×*]\s+/
+const QUANTITY_AT_PRICE = /(\d{1,3})\s*[xX×*@]\s*(\d+[.,]\d{2})/
+
+const clamp = (value) => Math.max(0, Math.min(1, value))
+const round2 = (value) => Math.round(value * 100) / 100
+
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+
+/**
+ * Parse an amount as printed on a receipt
+ * The last separator followed by two digits is the decimal point.
+ * @param {string} value - e.g. "1.234,56", "12,50", "€ 3.20"
+ * @returns {number|null}
+ */
+export const parseReceiptAmount = (value) => {
+  const match = String(value || '').match(/-?[\d.,]*\d[.,]\d{2}(?!\d)/)
+  if (!match) return null
+  const raw = match[0]
+  const negative = raw.startsWith('-')
+  const digits = raw.replace(/^-/, '')
+  const integerPart = digits.slice(0, -3).replace(/[.,]/g, '')
+  const amount = parseFloat(`${integerPart || '0'}.${digits.slice(-2)}`)
+  if (!Number.isFinite(amount)) return null
+  return negative ? -amount : amount
+}
+
+const findAmounts = (text) => (String(text).match(AMOUNT_PATTERN) || [])
+  .map(parseReceiptAmount)
+  .filter(amount => amount !== null)
+
+// Last amount on a line that is not a percentage ("VAT 24% 1,20" → 1.20)
+const lastAmount = (text) => {
+  const cleaned = String(text).replace(/\d+(?:[.,]\d+)?\s*%/g, ' ')
+  const amounts = findAmounts(cleaned)
+  return amounts.length > 0 ? amounts[amounts.length - 1] : null
+}
+
+/**
+ * Flatten a Tesseract page into lines
+ * @param {Object} page - Recognize result data ({ blocks, text, confidence })
+ * @returns {Array<{text: string, confidence: number}>} Non-empty lines, confidence in 0–1
+ */
+export const flattenOcrLines = (page) => {
+  const lines = []
+  const blocks = page?.blocks || []
+  blocks.forEach(block => {
+    (block.paragraphs || []).forEach(paragraph => {
+      (paragraph.lines || []).forEach(line => {
+        const text = (line.text || '').trim()
+        if (text) lines.push({ text, confidence: clamp((line.confidence ?? 0) / 100) })
+      })
+    })
+  })
+  if (lines.length > 0) return lines
+
+  // No layout data: fall back to plain text with the page confidence
+  const confidence = clamp((page?.confidence ?? 0) / 100)
+  return String(page?.text || '')
+    .split(/\r?\n/)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => ({ text, confidence }))
+}
+
+const findMerchant = (lines) => {
+  const candidates = lines.slice(0, 6)
+  for (const line of candidates) {
+    const normalized = normalizeText(line.text)
+    const letters = normalized.replace(/[^a-z\u0370-\u03ff]/g, '')
+    if (letters.length < 3) continue
+    if (HEADER_NOISE.test(normalized) || TOTAL_KEYWORDS.test(normalized)) continue
+    if (findAmounts(line.text).length > 0) continue
+    const name = line.text.replace(/[^\p{L}\p{N}&'.\- ]/gu, ' ').replace(/\s+/g, ' ').trim()
+    // The first lines are usually the store name; lower confidence further down
+    const position = candidates.indexOf(line)
+    return { value: name, confidence: clamp(line.confidence * (position === 0 ? 0.9 : 0.75)), line }
+  }
+  return { value: '', confidence: 0, line: null }
+}
+
+const toDate = (parts, order) => {
+  let [year, month, day] = order === 'ymd' ? parts : [parts[2], parts[1], parts[0]]
+  if (year < 100) year += 2000
+  const date = new Date(year, month - 1, day)
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null
+}
+
+const findDate = (lines, today) => {
+  for (const line of lines) {
+    for (const { regex, order } of DATE_PATTERNS) {
+      const match = line.text.match(regex)
+      if (!match) continue
+      const date = toDate(match.slice(1, 4).map(Number), order)
+      if (!date || !isValid(date)) continue
+      // A receipt cannot be from the future; OCR probably misread a digit
+      const inFuture = isAfter(date, addDays(today, 1))
+      const shortYear = order === 'dmy' && match[3].length === 2
+      return {
+        value: format(inFuture ? today : date, 'yyyy-MM-dd'),
+        confidence: inFuture ? 0.1 : clamp(line.confidence * (shortYear ? 0.85 : 1))
+      }
+    }
+  }
+  return { value: format(today, 'yyyy-MM-dd'), confidence: 0 }
+}
+
+const findTotal = (lines) => {
+  let total = null
+  lines.forEach((line, index) => {
+    const normalized = normalizeText(line.text)
+    if (!TOTAL_KEYWORDS.test(normalized) || SUBTOTAL_KEYWORDS.test(normalized) || VAT_KEYWORDS.test(normalized)) return
+    // The amount may sit on the next line ("TOTAL" / "12,50")
+    const amount = lastAmount(line.text) ?? (lines[index + 1] ? lastAmount(lines[index + 1].text) : null)
+    if (amount !== null && amount > 0) total = { value: amount, confidence: line.confidence, index }
+  })
+  if (total) return total
+
+  // No total line: the largest amount is the best guess
+  const amounts = lines.flatMap(line => findAmounts(line.text).map(value => ({ value, confidence: line.confidence })))
+  const largest = amounts.filter(a => a.value > 0).sort((a, b) => b.value - a.value)[0]
+  return largest
+    ? { value: largest.value, confidence: clamp(largest.confidence * 0.5), index: -1 }
+    : { value: null, confidence: 0, index: -1 }
+}
+
+const findVat = (lines) => {
+  let vat = null
+  lines.forEach(line => {
+    const normalized = normalizeText(line.text)
+    if (!VAT_KEYWORDS.test(normalized)) return
+    const amount = lastAmount(line.text)
+    if (amount === null || amount <= 0) return
+    const rate = line.text.match(/(\d{1,2}(?:[.,]\d+)?)\s*%/)
+    // Several VAT lines (one per rate) add up
+    vat = {
+      value: round2((vat?.value || 0) + amount),
+      rate: rate ? parseFloat(rate[1].replace(',', '.')) : vat?.rate ?? null,
+      confidence: Math.min(vat?.confidence ?? 1, line.confidence)
+    }
+  })
+  return vat || { value: null, rate: null, confidence: 0 }
+}
+
+const parseItemLine = (line) => {
+  const amount = lastAmount(line.text)
+  if (amount === null) return null
+
+  let name = line.text
+  let quantity = 1
+  const atPrice = name.match(QUANTITY_AT_PRICE)
+  if (atPrice) {
+    quantity = parseInt(atPrice[1], 10)
+    name = name.replace(atPrice[0], ' ')
+  } else {
+    const prefix = name.match(QUANTITY_PREFIX)
+    if (prefix) {
+      quantity = parseInt(prefix[1], 10)
+      name = name.slice(prefix[0].length)
+    }
+  }
+
+  name = name
+    .replace(AMOUNT_PATTERN, ' ')
+    .replace(/[€$£]|\b(eur|euro)\b/gi, ' ')
+    .replace(/\s+[A-E]\s*$/, '') // trailing VAT class letter
+    .replace(/[^\p{L}\p{N}&%'.,\-/ ]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+  if (name.replace(/[^\p{L}]/gu, '').length < 2) return null
+  return { name, quantity: quantity > 0 ? quantity : 1, amount: round2(amount), confidence: line.confidence }
+}
+
+const findItems = (lines, merchantLine, totalIndex) => {
+  const end = totalIndex >= 0 ? totalIndex : lines.length
+  return lines.slice(0, end)
+    .filter(line => line !== merchantLine)
+    .filter(line => {
+      const normalized = normalizeText(line.text)
+      return !TOTAL_KEYWORDS.test(normalized) &&
+        !SUBTOTAL_KEYWORDS.test(normalized) &&
+        !VAT_KEYWORDS.test(normalized) &&
+        !NON_ITEM_KEYWORDS.test(normalized) &&
+        !DATE_PATTERNS.some(({ regex }) => regex.test(line.text))
+    })
+    .map(parseItemLine)
+    .filter(Boolean)
+}
+
+/**
+ * Guess an expense category from the merchant name and items
+ * @param {string} merchant - Store name as read from the receipt
+ * @param {Array<{name: string}>} [items=[]] - Line items
+ * @returns {{category: string, confidence: number}} Category ('other' when unknown) and how sure the guess is
+ */
+export const guessReceiptCategory = (merchant, items = []) => {
+  const findCategory = (text) => {
+    const normalized = ` ${normalizeText(text)} `
+    return Object.entries(MERCHANT_CATEGORIES).find(([, keywords]) =>
+      keywords.some(keyword => normalized.includes(` ${normalizeText(keyword)}`))
+    )?.[0]
+  }
+
+  const fromMerchant = findCategory(merchant)
+  if (fromMerchant) return { category: fromMerchant, confidence: 0.85 }
+
+  const fromItems = findCategory(items.map(item => item.name).join(' '))
+  if (fromItems) return { category: fromItems, confidence: 0.5 }
+
+  return { category: 'other', confidence: 0.2 }
+}
+
+/**
+ * Extract receipt fields from OCR lines
+ * @param {Array<{text: string, confidence: number}>} lines - OCR lines, top to bottom
+ * @param {Object} [options]
+ * @param {Date} [options.today=new Date()] - Fallback date and upper bound for the receipt date
+ * @returns {{
+ *   merchant: string, date: string, total: number|null, vat: number|null, vatRate: number|null,
+ *   items: Array<{name: string, quantity: number, amount: number}>, category: string,
+ *   confidence: {merchant: number, date: number, total: number, vat: number, items: number, category: number}
+ * }}
+ */
+export const parseReceipt = (lines, { today = new Date() } = {}) => {
+  const safeLines = (lines || []).filter(line => line?.text)
+  const merchant = findMerchant(safeLines)
+  const date = findDate(safeLines, today)
+  const total = findTotal(safeLines)
+  const vat = findVat(safeLines)
+  const items = findItems(safeLines, merchant.line, total.index)
+
+  // Items that add up to the total confirm both; a mismatch lowers trust in the items
+  const itemsSum = round2(items.reduce((sum, item) => sum + item.amount, 0))
+  const itemsMatchTotal = total.value !== null && items.length > 0 && Math.abs(itemsSum - total.value) < 0.02
+  const itemsConfidence = items.length === 0
+    ? 0
+    : clamp(Math.min(...items.map(item => item.confidence)) * (itemsMatchTotal ? 1 : 0.6))
+  const totalConfidence = itemsMatchTotal ? Math.max(total.confidence, 0.9) : total.confidence
+
+  const { category, confidence: categoryConfidence } = guessReceiptCategory(merchant.value, items)
+
+  return {
+    merchant: merchant.value,
+    date: date.value,
+    total: total.value,
+    vat: vat.value,
+    vatRate: vat.rate,
+    items: items.map(({ name, quantity, amount }) => ({ name, quantity, amount })),
+    category,
+    confidence: {
+      merchant: merchant.confidence,
+      date: date.confidence,
+      total: clamp(totalConfidence),
+      vat: vat.confidence,
+      items: itemsConfidence,
+      category: categoryConfidence
+    }
+  }
+}
+
+/**
+ * Bucket a confidence value the way the voice entry preview colours it
+ * @param {number} confidence - 0–1
+ * @returns {'high'|'medium'|'low'}
+ */
+export const getConfidenceLevel = (confidence) => {
+  if (confidence >= 0.8) return 'high'
+  if (confidence >= 0.5) return 'medium'
+  return 'low'
+}
+
+/**
+ * Plain-text summary of VAT and line items, stored in the transaction notes
+ * @param {Object} receipt - Result of parseReceipt (possibly edited)
+ * @param {Object} labels - Translated labels { vat, items }
+ * @returns {string}
+ */
+export const buildReceiptNotes = (receipt, labels) => {
+  const lines = []
+  if (receipt.vat) {
+    lines.push(`${labels.vat}${receipt.vatRate ? ` ${receipt.vatRate}%` : ''}: ${receipt.vat.toFixed(2)}`)
+  }
+  if (receipt.items?.length) {
+    lines.push(`${labels.items}:`)
+    receipt.items.forEach(item => {
+      lines.push(`- ${item.quantity > 1 ? `${item.quantity} × ` : ''}${item.name}: ${item.amount.toFixed(2)}`)
+    })
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Pre-fill values for TransactionForm from a parsed receipt
+ * @param {Object} receipt - Result of parseReceipt
+ * @param {Object} labels - Translated labels { vat, items } for the notes
+ * @returns {{draft: Object, fieldConfidence: Object}} Form values and per-field confidence keyed by form field
+ */
+export const buildReceiptDraft = (receipt, labels) => ({
+  draft: {
+    amount: receipt.total ?? '',
+    date: receipt.date,
+    description: receipt.merchant,
+    category: receipt.category === 'other' ? '' : receipt.category,
+    notes: buildReceiptNotes(receipt, labels),
+    lineItems: receipt.items,
+    vatAmount: receipt.vat
+  },
+  fieldConfidence: {
+    amount: receipt.confidence.total,
+    date: receipt.confidence.date,
+    description: receipt.confidence.merchant,
+    category: receipt.confidence.category,
+    notes: Math.min(receipt.confidence.items || 1, receipt.vat ? receipt.confidence.vat : 1)
+  }
+})
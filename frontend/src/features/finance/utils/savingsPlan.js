@@ -0,0 +1,189 @@
+import { addDays, addMonths, addWeeks, differenceInCalendarDays, format, parseISO } from 'date-fns'
+
+/**
+ * Savings goal contribution plans
+ * Works out which deposits a goal's plan has due and projects when the goal
+ * will be reached. Pure functions; dates are 'yyyy-MM-dd' strings.
+ */
+
+export const CONTRIBUTION_TYPES = {
+  FIXED: 'fixed',
+  PERCENTAGE: 'percentage',
+  ROUND_UP: 'roundUp'
+}
+
+export const CONTRIBUTION_FREQUENCIES = ['weekly', 'monthly']
+
+export const CONTRIBUTION_MODES = {
+  PROPOSE: 'propose',
+  AUTO: 'auto'
+}
+
+export const ROUND_UP_STEPS = [1, 5, 10]
+
+const DAYS_PER_MONTH = 365.25 / 12
+const ESTIMATE_WINDOW_DAYS = 90
+
+const toDay = (value) => (value ? String(value).slice(0, 10) : null)
+const formatDay = (date) => format(date, 'yyyy-MM-dd')
+const roundCents = (value) => Math.round(value * 100) / 100
+
+/**
+ * The goal's contribution plan, or null when it has none
+ * @param {Object} goal
+ * @returns {Object|null}
+ */
+export const getContributionPlan = (goal) => {
+  const plan = goal?.contributionPlan
+  if (!plan || !Object.values(CONTRIBUTION_TYPES).includes(plan.type)) return null
+  return plan
+}
+
+/**
+ * Scheduled dates of a fixed plan in (after, until]
+ * Monthly dates are counted from the start date so the 31st stays the last day of shorter months.
+ * @param {Object} plan
+ * @param {string} after - Exclusive
+ * @param {string} until - Inclusive
+ * @returns {string[]}
+ */
+export const getScheduleDates = (plan, after, until) => {
+  const start = parseISO(toDay(plan.startDate))
+  const step = plan.frequency === 'weekly' ? addWeeks : addMonths
+  const dates = []
+  for (let index = 0; ; index++) {
+    const day = formatDay(step(start, index))
+    if (day > until) break
+    if (day > after) dates.push(day)
+  }
+  return dates
+}
+
+/**
+ * What rounding an expense up to the next step leaves over
+ * @param {number} amount
+ * @param {number} [step=1]
+ * @returns {number}
+ */
+export const roundUpAmount = (amount, step = 1) => {
+  const value = Math.abs(Number(amount) || 0)
+  const spare = roundCents(Math.ceil(roundCents(value) / step) * step - value)
+  return spare >= step ? 0 : spare
+}
+
+// Amount a percentage or round-up plan takes from the given transactions
+const sumFromTransactions = (plan, transactions) => {
+  if (plan.type === CONTRIBUTION_TYPES.PERCENTAGE) {
+    const income = transactions
+      .filter(transaction => transaction.type === 'income')
+      .reduce((sum, transaction) => sum + Math.abs(Number(transaction.amount) || 0), 0)
+    return income * (Number(plan.percentage) || 0) / 100
+  }
+  return transactions
+    .filter(transaction => transaction.type === 'expense')
+    .reduce((sum, transaction) => sum + roundUpAmount(transaction.amount, Number(plan.roundUpTo) || 1), 0)
+}
+
+const isBetween = (transaction, after, until) => {
+  const day = toDay(transaction.date)
+  return day > after && day <= until
+}
+
+/**
+ * Contribution a goal's plan has due, or null when nothing is due
+ * Fixed plans are due on their schedule dates; percentage and round-up plans
+ * take the transactions up to yesterday so today's are not counted twice.
+ * @param {Object} goal
+ * @param {Array} transactions - Transactions since the plan's last run
+ * @param {string} today
+ * @returns {{goalId: string, amount: number, through: string, count: number}|null}
+ */
+export const computeDueContribution = (goal, transactions = [], today) => {
+  const plan = getContributionPlan(goal)
+  if (!plan || goal.isAchieved) return null
+
+  const remaining = roundCents((Number(goal.targetAmount) || 0) - (Number(goal.currentAmount) || 0))
+  if (remaining <= 0) return null
+
+  const cursor = toDay(plan.lastRunAt) || formatDay(addDays(parseISO(toDay(plan.startDate)), -1))
+  let amount
+  let through
+  let count
+
+  if (plan.type === CONTRIBUTION_TYPES.FIXED) {
+    const dates = getScheduleDates(plan, cursor, today)
+    if (dates.length === 0) return null
+    count = dates.length
+    amount = (Number(plan.amount) || 0) * count
+    through = dates[dates.length - 1]
+  } else {
+    through = formatDay(addDays(parseISO(today), -1))
+    if (through <= cursor) return null
+    const covered = transactions.filter(transaction => isBetween(transaction, cursor, through))
+    count = covered.length
+    amount = sumFromTransactions(plan, covered)
+  }
+
+  amount = Math.min(roundCents(amount), remaining)
+  if (amount <= 0) return null
+  return { goalId: goal.id, amount, through, count }
+}
+
+/**
+ * Monthly amount a plan is expected to contribute
+ * Percentage and round-up plans are estimated from the last 90 days.
+ * @param {Object|null} plan
+ * @param {Array} transactions
+ * @param {string} today
+ * @returns {number|null} null without a plan
+ */
+export const estimateMonthlyContribution = (plan, transactions = [], today) => {
+  if (!plan) return null
+  if (plan.type === CONTRIBUTION_TYPES.FIXED) {
+    const amount = Number(plan.amount) || 0
+    return plan.frequency === 'weekly' ? roundCents(amount * 52 / 12) : amount
+  }
+  const windowStart = formatDay(addDays(parseISO(today), -ESTIMATE_WINDOW_DAYS))
+  const recent = transactions.filter(transaction => isBetween(transaction, windowStart, today))
+  return roundCents(sumFromTransactions(plan, recent) / (ESTIMATE_WINDOW_DAYS / DAYS_PER_MONTH))
+}
+
+/**
+ * Project when a goal will be reached at a monthly pace
+ * Without a plan the pace is what was saved per month since the goal was created.
+ * @param {Object} goal
+ * @param {number|null} monthlyContribution
+ * @param {string} today
+ * @returns {{remaining: number, monthlyPace: number, projectedDate: string|null, onTrack: boolean|null, requiredMonthly: number|null, monthsLeft: number|null}}
+ */
+export const projectGoal = (goal, monthlyContribution, today) => {
+  const now = parseISO(today)
+  const remaining = Math.max(roundCents((Number(goal.targetAmount) || 0) - (Number(goal.currentAmount) || 0)), 0)
+  const targetDay = toDay(goal.targetDate)
+
+  let monthlyPace = monthlyContribution
+  if (monthlyPace === null || monthlyPace === undefined) {
+    const createdDay = toDay(goal.createdAt) || today
+    const monthsSaving = Math.max(differenceInCalendarDays(now, parseISO(createdDay)) / DAYS_PER_MONTH, 1)
+    monthlyPace = roundCents((Number(goal.currentAmount) || 0) / monthsSaving)
+  }
+
+  if (remaining === 0) {
+    return { remaining, monthlyPace, projectedDate: today, onTrack: true, requiredMonthly: 0, monthsLeft: null }
+  }
+
+  const projectedDate = monthlyPace > 0
+    ? formatDay(addDays(now, Math.ceil(remaining / monthlyPace * DAYS_PER_MONTH)))
+    : null
+
+  if (!targetDay) {
+    return { remaining, monthlyPace, projectedDate, onTrack: null, requiredMonthly: null, monthsLeft: null }
+  }
+
+  const monthsLeft = Math.max(differenceInCalendarDays(parseISO(targetDay), now) / DAYS_PER_MONTH, 0)
+  // Past the target date the whole remainder is needed now
+  const requiredMonthly = roundCents(monthsLeft >= 1 ? remaining / monthsLeft : remaining)
+  const onTrack = projectedDate !== null && projectedDate <= targetDay
+
+  return { remaining, monthlyPace, projectedDate, onTrack, requiredMonthly, monthsLeft: roundCents(monthsLeft) }
+}
@@ -0,0 +1,368 @@
+import { format, isValid, parse } from 'date-fns'
+
+/**
+ * Statement mapping helpers
+ * Pure functions behind the statement import wizard: split a CSV export into
+ * rows, guess which column holds what, turn rows into signed transactions
+ * with the user's mapping, and flag rows that look like transactions that
+ * are already in the app.
+ */
+
+// date-fns patterns; single letters accept one or two digits ("5/3/2026" and "05/03/2026")
+export const DATE_FORMATS = ['d/M/yyyy', 'M/d/yyyy', 'yyyy-M-d', 'd.M.yyyy', 'd-M-yyyy', 'd/M/yy']
+
+export const AMOUNT_CONVENTIONS = {
+  SIGNED: 'signed', // One column, negative = money out
+  INVERTED: 'inverted', // One column, positive = money out (e.g. credit card statements)
+  SPLIT: 'split' // Separate debit (out) and credit (in) columns
+}
+
+export const DUPLICATE_TYPES = {
+  EXISTING: 'existing',
+  IN_FILE: 'inFile'
+}
+
+export const MAPPED_FIELDS = ['date', 'description', 'amount', 'debit', 'credit']
+
+const DELIMITERS = [',', ';', '\t', '|']
+
+// Header keywords (lower case, no accents), most specific field first: "Debit amount" is a debit column
+const COLUMN_KEYWORDS = [
+  ['debit', ['debit', 'χρεωση', 'xreosi', 'withdrawal', 'money out', 'paid out']],
+  ['credit', ['credit', 'πιστωση', 'pistosi', 'deposit', 'money in', 'paid in']],
+  ['date', ['date', 'ημερομηνια', 'hmerominia', 'ημ/νια', 'booked']],
+  ['description', ['description', 'περιγραφη', 'perigrafi', 'αιτιολογια', 'details', 'memo', 'narrative', 'payee']],
+  ['amount', ['amount', 'ποσο', 'poso', 'value', 'eur']]
+]
+
+// Rows scanned for the header line; banks often put account details above it
+const HEADER_SEARCH_ROWS = 20
+
+const DUPLICATE_DATE_TOLERANCE_DAYS = 3
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim()
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === ''
+
+/**
+ * Guess the delimiter of a CSV export from its first lines
+ * @param {string} text - File contents
+ * @returns {string} Delimiter
+ */
+export const detectDelimiter = (text) => {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim()).slice(0, 10)
+  let best = ','
+  let bestScore = 0
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => line.split(delimiter).length - 1)
+    const rowsWithDelimiter = counts.filter(count => count > 0).length
+    // Prefer delimiters that appear on most lines, then the most columns
+    const score = rowsWithDelimiter * 1000 + Math.max(0, ...counts)
+    if (score > bestScore) {
+      best = delimiter
+      bestScore = score
+    }
+  })
+  return best
+}
+
+/**
+ * Split CSV text into rows of cells (quoted fields, escaped quotes and line breaks in quotes supported)
+ * @param {string} text - File contents
+ * @param {string} [delimiter] - Cell delimiter; detected when omitted
+ * @returns {string[][]} Non-empty rows
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const source = String(text).replace(/^\uFEFF/, '')
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  const endRow = () => {
+    row.push(cell)
+    if (row.some(value => value.trim() !== '')) rows.push(row.map(value => value.trim()))
+    row = []
+    cell = ''
+  }
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      endRow()
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow()
+
+  return rows
+}
+
+/**
+ * Identify a statement layout by its header, so a saved profile can be picked automatically
+ * @param {Array} headerRow - Header cells
+ * @returns {string}
+ */
+export const getHeaderSignature = (headerRow = []) =>
+  headerRow.map(normalizeText).filter(Boolean).join('|')
+
+const matchColumnField = (header) => {
+  const normalized = normalizeText(header)
+  if (!normalized) return null
+  const match = COLUMN_KEYWORDS.find(([, keywords]) => keywords.some(keyword => normalized.includes(keyword)))
+  return match ? match[0] : null
+}
+
+/**
+ * Index of the header row: the first row naming at least two known columns
+ * @param {Array<Array>} rows - Statement rows
+ * @returns {number}
+ */
+export const findHeaderRow = (rows = []) => {
+  const index = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row =>
+    new Set(row.map(matchColumnField).filter(Boolean)).size >= 2
+  )
+  return Math.max(0, index)
+}
+
+/**
+ * Read a date cell
+ * @param {*} value - Cell value: text, Date (spreadsheets) or Excel serial number
+ * @param {string} dateFormat - One of DATE_FORMATS, for text cells
+ * @returns {string|null} yyyy-MM-dd, or null when the cell is not a date
+ */
+export const parseDateValue = (value, dateFormat) => {
+  if (value instanceof Date) {
+    // Spreadsheet dates are midnight UTC
+    return isValid(value) ? value.toISOString().slice(0, 10) : null
+  }
+  if (typeof value === 'number') {
+    if (value < 1 || value > 100000) return null
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(value) * DAY_MS).toISOString().slice(0, 10)
+  }
+  // Drop a trailing time ("05/03/2026 14:22")
+  const text = String(value ?? '').trim().split(/\s+/)[0]
+  if (!text) return null
+  const date = parse(text, dateFormat, new Date(2000, 0, 1))
+  if (!isValid(date) || date.getFullYear() < 1970 || date.getFullYear() > 2100) return null
+  return format(date, 'yyyy-MM-dd')
+}
+
+/**
+ * Read an amount cell
+ * Handles currency symbols, thousands separators, "(12.50)" and trailing minus ("12.50-").
+ *
+ * @param {*} value - Cell value
+ * @param {'.'|','} decimalSeparator - Decimal separator used by the bank
+ * @returns {number|null} Signed amount as written, or null when the cell holds no number
+ */
+export const parseAmountValue = (value, decimalSeparator = '.') => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  let text = String(value ?? '').trim()
+  if (!text) return null
+
+  const negative = /^-|^\(.*\)$|-$/.test(text.replace(/[^\d().,-]/g, ''))
+  text = text.replace(/[^\d.,]/g, '')
+  text = decimalSeparator === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '')
+  if (!/\d/.test(text)) return null
+
+  const amount = parseFloat(text)
+  if (!Number.isFinite(amount)) return null
+  return Math.round((negative ? -amount : amount) * 100) / 100
+}
+
+/**
+ * Date format that reads the most sample values, earlier formats winning ties
+ * @param {Array} values - Date column samples
+ * @returns {string} One of DATE_FORMATS
+ */
+export const guessDateFormat = (values = []) => {
+  const samples = values.filter(value => typeof value === 'string' && value.trim()).slice(0, 50)
+  let best = DATE_FORMATS[0]
+  let bestCount = 0
+  DATE_FORMATS.forEach(dateFormat => {
+    const count = samples.filter(value => parseDateValue(value, dateFormat)).length
+    if (count > bestCount) {
+      best = dateFormat
+      bestCount = count
+    }
+  })
+  return best
+}
+
+/**
+ * Decimal separator used by amount samples ("12,50" vs "12.50")
+ * @param {Array} values - Amount column samples
+ * @returns {'.'|','}
+ */
+export const guessDecimalSeparator = (values = []) => {
+  let comma = 0
+  let dot = 0
+  values.filter(value => typeof value === 'string').forEach(value => {
+    const text = value.replace(/[^\d.,]/g, '')
+    if (/,\d{1,2}$/.test(text)) comma++
+    else if (/\.\d{1,2}$/.test(text)) dot++
+  })
+  return comma > dot ? ',' : '.'
+}
+
+/**
+ * First guess of the mapping for a statement
+ * @param {Array<Array>} rows - Statement rows
+ * @returns {{headerRow: number, columns: Object, dateFormat: string, decimalSeparator: string, convention: string}}
+ *   `columns` maps each of MAPPED_FIELDS to a column index (or null)
+ */
+export const guessMapping = (rows = []) => {
+  const headerRow = findHeaderRow(rows)
+  const header = rows[headerRow] || []
+  const columns = Object.fromEntries(MAPPED_FIELDS.map(field => [field, null]))
+
+  header.forEach((cell, index) => {
+    const field = matchColumnField(cell)
+    if (field && columns[field] === null) columns[field] = index
+  })
+
+  const dataRows = rows.slice(headerRow + 1)
+  const sample = (index) => (index === null ? [] : dataRows.map(row => row[index]))
+  const amountSamples = [...sample(columns.amount), ...sample(columns.debit), ...sample(columns.credit)]
+
+  return {
+    headerRow,
+    columns,
+    dateFormat: guessDateFormat(sample(columns.date)),
+    decimalSeparator: guessDecimalSeparator(amountSamples),
+    convention: columns.amount === null && (columns.debit !== null || columns.credit !== null)
+      ? AMOUNT_CONVENTIONS.SPLIT
+      : AMOUNT_CONVENTIONS.SIGNED
+  }
+}
+
+const readSignedAmount = (row, mapping) => {
+  const { columns, convention, decimalSeparator } = mapping
+  if (convention === AMOUNT_CONVENTIONS.SPLIT) {
+    const debit = columns.debit === null ? null : parseAmountValue(row[columns.debit], decimalSeparator)
+    const credit = columns.credit === null ? null : parseAmountValue(row[columns.credit], decimalSeparator)
+    if (debit === null && credit === null) return null
+    // Banks write debits either as positive or negative numbers
+    return Math.round((Math.abs(credit || 0) - Math.abs(debit || 0)) * 100) / 100
+  }
+  const amount = columns.amount === null ? null : parseAmountValue(row[columns.amount], decimalSeparator)
+  if (amount === null) return null
+  return convention === AMOUNT_CONVENTIONS.INVERTED ? -amount : amount
+}
+
+/**
+ * Turn statement rows into transactions with a mapping
+ * @param {Array<Array>} rows - Statement rows
+ * @param {Object} mapping - See guessMapping
+ * @returns {Array<{line: number, date: string|null, amount: number|null, description: string, error: string|null}>}
+ *   One entry per data row; `line` is the 1-based row in the file and `error` is 'date' or 'amount' when unreadable
+ */
+export const applyMapping = (rows = [], mapping) => {
+  const { columns, dateFormat, headerRow } = mapping
+  return rows
+    .map((row, index) => ({ row, line: index + 1 }))
+    .slice(headerRow + 1)
+    .filter(({ row }) => row.some(value => !isBlank(value)))
+    .map(({ row, line }) => {
+      const date = columns.date === null ? null : parseDateValue(row[columns.date], dateFormat)
+      const amount = readSignedAmount(row, mapping)
+      const description = columns.description === null ? '' : String(row[columns.description] ?? '').trim()
+      let error = null
+      if (!date) error = 'date'
+      else if (!amount) error = 'amount'
+      return { line, date, amount, description, error }
+    })
+}
+
+const normalizeDescription = (description) => normalizeText(description)
+  .replace(/\b(debit|credit|sepa|ref\s*:?\s*\S+)\b/g, ' ')
+  .replace(/\d{1,2}\/\d{1,2}(\/\d{2,4})?/g, ' ')
+  .replace(/[^a-z0-9\u0370-\u03ff]+/g, ' ')
+  .trim()
+
+// Same rule as the server: one description containing the other, or a shared word
+const descriptionsMatch = (a, b) => {
+  const left = normalizeDescription(a)
+  const right = normalizeDescription(b)
+  if (!left || !right) return true
+  if (left.includes(right) || right.includes(left)) return true
+  const leftWords = new Set(left.split(' ').filter(word => word.length > 2))
+  return right.split(' ').some(word => word.length > 2 && leftWords.has(word))
+}
+
+const amountsMatch = (a, b) => {
+  const difference = Math.abs(a - b)
+  return difference < 0.01 || (Math.max(a, b) > 0 && difference / Math.max(a, b) <= 0.01)
+}
+
+const dayNumber = (date) => Math.round(new Date(`${String(date).slice(0, 10)}T00:00:00Z`).getTime() / DAY_MS)
+
+/**
+ * Flag rows that look like transactions already in the app, or like an earlier row of the same file
+ * Existing transactions match on type, amount (within 1%), date (within 3 days) and description,
+ * as the server's own duplicate check does.
+ *
+ * @param {Array} mappedRows - Result of applyMapping
+ * @param {Array} existingTransactions - Transactions around the statement period
+ * @returns {Map<number, {type: string, transaction?: Object, line?: number}>} Duplicate info by row line
+ */
+export const findLikelyDuplicates = (mappedRows = [], existingTransactions = []) => {
+  const duplicates = new Map()
+  const existing = existingTransactions
+    .filter(transaction => transaction?.date)
+    .map(transaction => ({
+      transaction,
+      day: dayNumber(transaction.date),
+      amount: Math.abs(Number(transaction.amount) || 0),
+      isExpense: transaction.type === 'expense'
+    }))
+  const seen = new Map()
+
+  mappedRows.forEach(row => {
+    if (row.error) return
+    const day = dayNumber(row.date)
+    const amount = Math.abs(row.amount)
+    const isExpense = row.amount < 0
+
+    const key = `${row.date}|${row.amount}|${normalizeDescription(row.description)}`
+    if (seen.has(key)) {
+      duplicates.set(row.line, { type: DUPLICATE_TYPES.IN_FILE, line: seen.get(key) })
+      return
+    }
+    seen.set(key, row.line)
+
+    const match = existing.find(candidate =>
+      candidate.isExpense === isExpense &&
+      Math.abs(candidate.day - day) <= DUPLICATE_DATE_TOLERANCE_DAYS &&
+      amountsMatch(candidate.amount, amount) &&
+      descriptionsMatch(candidate.transaction.description, row.description)
+    )
+    if (match) duplicates.set(row.line, { type: DUPLICATE_TYPES.EXISTING, transaction: match.transaction })
+  })
+
+  return duplicates
+}
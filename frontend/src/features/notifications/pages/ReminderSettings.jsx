@@ -1,18 +1,21 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
 import { motion } from 'framer-motion';
-import { reminderService } from '../../../services/api';
+import { alertService, reminderService } from '../../../services/api';
 import './ReminderSettings.css';
 
 /**
  * Reminder Settings Page
- * Allows users to configure email reminder preferences
+ * Allows users to configure email reminders and pushed finance alerts
  */
 function ReminderSettings() {
   const { t } = useTranslation();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [testingReminders, setTestingReminders] = useState(false);
+  const [browserPushActive, setBrowserPushActive] = useState(false);
+  const [updatingBrowserPush, setUpdatingBrowserPush] = useState(false);
+  const [checkingAlerts, setCheckingAlerts] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
 
   const [settings, setSettings] = useState({
@@ -23,7 +26,13 @@ function ReminderSettings() {
     loanReminderDays: 7,
     budgetAlertsEnabled: true,
     budgetAlertThreshold: 90,
-    savingsMilestonesEnabled: true
+    savingsMilestonesEnabled: true,
+    pushEnabled: true,
+    lowBalanceAlertsEnabled: true,
+    lowBalanceThreshold: 100,
+    unusualSpendingAlertsEnabled: true,
+    quietHoursStart: '',
+    quietHoursEnd: ''
   });
 
   const fetchSettings = useCallback(async () => {
@@ -31,6 +40,7 @@ function ReminderSettings() {
       setLoading(true);
       const data = await reminderService.getSettings();
       setSettings(data);
+      setBrowserPushActive(await alertService.isWebPushActive().catch(() => false));
     } catch (error) {
       console.error('Error fetching reminder settings:', error);
       showMessage('error', t('reminders.errorLoading'));
@@ -46,7 +56,11 @@ function ReminderSettings() {
   const handleSave = async () => {
     try {
       setSaving(true);
-      await reminderService.updateSettings(settings);
+      // Quiet hours are kept in the browser's time zone
+      await reminderService.updateSettings({
+        ...settings,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
       showMessage('success', t('reminders.settingsSaved'));
     } catch (error) {
       console.error('Error saving reminder settings:', error);
@@ -88,6 +102,40 @@ function ReminderSettings() {
     }
   };
 
+  const handleBrowserPushToggle = async () => {
+    try {
+      setUpdatingBrowserPush(true);
+      if (browserPushActive) {
+        await alertService.disableWebPush();
+        setBrowserPushActive(false);
+      } else if (await alertService.enableWebPush()) {
+        setBrowserPushActive(true);
+      } else {
+        showMessage('error', t('reminders.push.browserBlocked'));
+      }
+    } catch (error) {
+      console.error('Error updating browser push:', error);
+      showMessage('error', t('reminders.push.browserError'));
+    } finally {
+      setUpdatingBrowserPush(false);
+    }
+  };
+
+  const handleCheckAlerts = async () => {
+    try {
+      setCheckingAlerts(true);
+      const result = await alertService.check();
+      showMessage('success', t('reminders.push.checked', { count: result?.alertsRaised || 0 }));
+    } catch (error) {
+      console.error('Error checking alerts:', error);
+      showMessage('error', t('reminders.push.checkError'));
+    } finally {
+      setCheckingAlerts(false);
+    }
+  };
+
+  // Bills and budgets alert by email and push; loans and savings are email only
+  const alertsEnabled = settings.emailEnabled || settings.pushEnabled;
 
   if (loading) {
     return (
@@ -177,6 +225,65 @@ function ReminderSettings() {
           </div>
         </motion.div>
 
+        {/* Push Notifications */}
+        <motion.div 
+          className="settings-section"
+          variants={itemVariants}
+        >
+          <div className="section-header">
+            <h2>🔔 {t('reminders.push.title')}</h2>
+          </div>
+          <div className="setting-item">
+            <label className="toggle-label">
+              <input
+                type="checkbox"
+                checked={settings.pushEnabled}
+                onChange={(e) => handleChange('pushEnabled', e.target.checked)}
+              />
+              <span className="toggle-slider"></span>
+              <span className="toggle-text">{t('reminders.push.enable')}</span>
+            </label>
+            <p className="setting-description">{t('reminders.push.description')}</p>
+          </div>
+          <div className="setting-item">
+            <button
+              onClick={handleBrowserPushToggle}
+              disabled={updatingBrowserPush || !settings.pushEnabled}
+              className="btn btn-secondary"
+            >
+              {browserPushActive ? t('reminders.push.disableBrowser') : t('reminders.push.enableBrowser')}
+            </button>
+            <button
+              onClick={handleCheckAlerts}
+              disabled={checkingAlerts || !settings.pushEnabled}
+              className="btn btn-secondary push-check-button"
+            >
+              {checkingAlerts ? t('reminders.push.checking') : t('reminders.push.check')}
+            </button>
+          </div>
+          <div className="setting-item">
+            <label className="quiet-hours">
+              {t('reminders.push.quietHours')}
+              <input
+                type="time"
+                value={settings.quietHoursStart || ''}
+                onChange={(e) => handleChange('quietHoursStart', e.target.value)}
+                disabled={!settings.pushEnabled}
+                className="number-input time-input"
+              />
+              {t('reminders.push.quietHoursTo')}
+              <input
+                type="time"
+                value={settings.quietHoursEnd || ''}
+                onChange={(e) => handleChange('quietHoursEnd', e.target.value)}
+                disabled={!settings.pushEnabled}
+                className="number-input time-input"
+              />
+            </label>
+            <p className="setting-description">{t('reminders.push.quietHoursDescription')}</p>
+          </div>
+        </motion.div>
+
         {/* Bill Reminders */}
         <motion.div 
           className="settings-section"
@@ -191,7 +298,7 @@ function ReminderSettings() {
                 type="checkbox"
                 checked={settings.billRemindersEnabled}
                 onChange={(e) => handleChange('billRemindersEnabled', e.target.checked)}
-                disabled={!settings.emailEnabled}
+                disabled={!alertsEnabled}
               />
               <span className="toggle-slider"></span>
               <span className="toggle-text">{t('reminders.enableBillReminders')}</span>
@@ -207,7 +314,7 @@ function ReminderSettings() {
                 max="30"
                 value={settings.billReminderDays}
                 onChange={(e) => handleChange('billReminderDays', parseInt(e.target.value))}
-                disabled={!settings.emailEnabled || !settings.billRemindersEnabled}
+                disabled={!alertsEnabled || !settings.billRemindersEnabled}
                 className="number-input"
               />
               {t('reminders.days')}
@@ -267,7 +374,7 @@ function ReminderSettings() {
                 type="checkbox"
                 checked={settings.budgetAlertsEnabled}
                 onChange={(e) => handleChange('budgetAlertsEnabled', e.target.checked)}
-                disabled={!settings.emailEnabled}
+                disabled={!alertsEnabled}
               />
               <span className="toggle-slider"></span>
               <span className="toggle-text">{t('reminders.enableBudgetAlerts')}</span>
@@ -284,7 +391,7 @@ function ReminderSettings() {
                 step="5"
                 value={settings.budgetAlertThreshold}
                 onChange={(e) => handleChange('budgetAlertThreshold', parseInt(e.target.value))}
-                disabled={!settings.emailEnabled || !settings.budgetAlertsEnabled}
+                disabled={!alertsEnabled || !settings.budgetAlertsEnabled}
                 className="number-input"
               />
               %
@@ -292,6 +399,56 @@ function ReminderSettings() {
           </div>
         </motion.div>
 
+        {/* Spending Alerts (push only) */}
+        <motion.div 
+          className="settings-section"
+          variants={itemVariants}
+        >
+          <div className="section-header">
+            <h2>⚠️ {t('reminders.spending.title')}</h2>
+          </div>
+          <div className="setting-item">
+            <label className="toggle-label">
+              <input
+                type="checkbox"
+                checked={settings.lowBalanceAlertsEnabled}
+                onChange={(e) => handleChange('lowBalanceAlertsEnabled', e.target.checked)}
+                disabled={!settings.pushEnabled}
+              />
+              <span className="toggle-slider"></span>
+              <span className="toggle-text">{t('reminders.spending.enableLowBalance')}</span>
+            </label>
+            <p className="setting-description">{t('reminders.spending.lowBalanceDescription')}</p>
+          </div>
+          <div className="setting-item">
+            <label>
+              {t('reminders.spending.alertBelow')}
+              <input
+                type="number"
+                min="0"
+                step="10"
+                value={settings.lowBalanceThreshold}
+                onChange={(e) => handleChange('lowBalanceThreshold', parseFloat(e.target.value) || 0)}
+                disabled={!settings.pushEnabled || !settings.lowBalanceAlertsEnabled}
+                className="number-input"
+              />
+            </label>
+          </div>
+          <div className="setting-item">
+            <label className="toggle-label">
+              <input
+                type="checkbox"
+                checked={settings.unusualSpendingAlertsEnabled}
+                onChange={(e) => handleChange('unusualSpendingAlertsEnabled', e.target.checked)}
+                disabled={!settings.pushEnabled}
+              />
+              <span className="toggle-slider"></span>
+              <span className="toggle-text">{t('reminders.spending.enableUnusual')}</span>
+            </label>
+            <p className="setting-description">{t('reminders.spending.unusualDescription')}</p>
+          </div>
+        </motion.div>
+
         {/* Savings Goals */}
         <motion.div 
           className="settings-section"
@@ -0,0 +1,98 @@
+import { apiRequest } from '../../../shared/services/apiClient'
+import { isPushSupported, requestPushPermission } from '../../travel/services/notificationService'
+
+/**
+ * Finance alerts
+ * Budget, bill, low-balance and unusual-spending alerts are raised on the server
+ * and pushed to every browser and phone the user registered.
+ */
+
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4)
+  const rawData = window.atob((base64String + padding).replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(rawData, char => char.charCodeAt(0))
+}
+
+const getVapidPublicKey = async () => {
+  const configured = document.querySelector('meta[name="vapid-public-key"]')?.content
+    || import.meta.env.VITE_VAPID_PUBLIC_KEY
+  if (configured) return configured
+  const { publicKey } = await apiRequest('/api/alerts/vapid-key')
+  return publicKey
+}
+
+export const alertService = {
+  /**
+   * Register a push target with the server
+   * @param {{kind: 'web'|'expo', endpoint: string, p256dh?: string, auth?: string, userAgent?: string}} device
+   */
+  async registerDevice(device) {
+    return await apiRequest('/api/alerts/devices', {
+      method: 'POST',
+      body: JSON.stringify(device)
+    })
+  },
+
+  async unregisterDevice(endpoint) {
+    return await apiRequest(`/api/alerts/devices?endpoint=${encodeURIComponent(endpoint)}`, {
+      method: 'DELETE'
+    })
+  },
+
+  /**
+   * Evaluate the alert rules now instead of waiting for the next change
+   * @returns {Promise<{alertsRaised: number}>}
+   */
+  async check() {
+    return await apiRequest('/api/alerts/check', { method: 'POST' })
+  },
+
+  /**
+   * Subscribe this browser to push and register it for finance alerts
+   * @returns {Promise<boolean>} False when push is unsupported or permission was denied
+   */
+  async enableWebPush() {
+    if (!isPushSupported()) return false
+    if (await requestPushPermission() !== 'granted') return false
+
+    const registration = await navigator.serviceWorker.ready
+    // Travel notifications may have subscribed this browser already; the subscription is shared
+    const subscription = await registration.pushManager.getSubscription()
+      || await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(await getVapidPublicKey())
+      })
+
+    const { endpoint, keys } = subscription.toJSON()
+    await this.registerDevice({
+      kind: 'web',
+      endpoint,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      userAgent: navigator.userAgent
+    })
+    return true
+  },
+
+  /**
+   * Stop finance alerts on this browser. The browser subscription itself is kept for travel notifications.
+   */
+  async disableWebPush() {
+    if (!isPushSupported()) return
+    const registration = await navigator.serviceWorker.ready
+    const subscription = await registration.pushManager.getSubscription()
+    if (subscription) {
+      await this.unregisterDevice(subscription.endpoint).catch(() => null)
+    }
+  },
+
+  /**
+   * Whether this browser currently has a push subscription
+   * @returns {Promise<boolean>}
+   */
+  async isWebPushActive() {
+    if (!isPushSupported() || Notification.permission !== 'granted') return false
+    const registration = await navigator.serviceWorker.ready
+    return !!(await registration.pushManager.getSubscription())
+  }
+}
@@ -1,12 +1,12 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { Link } from 'react-router-dom'
 import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
-import { FiUser, FiMail, FiGlobe, FiLock, FiCamera, FiSave, FiTrash2, FiAlertTriangle, FiDatabase } from 'react-icons/fi'
+import { FiUser, FiMail, FiGlobe, FiLock, FiCamera, FiSave, FiTrash2, FiAlertTriangle, FiDatabase, FiDownload, FiUpload } from 'react-icons/fi'
 import { useLogout } from '../../../shared/context/LogoutContext'
 import { useModalRegistration } from '../../../shared/context/ModalContext'
 import { authService } from '../../auth/services/auth'
-import { profileService } from '../../../services/api'
+import { profileService, dataPortabilityService } from '../../../services/api'
 import { getBackendUrl } from '../../../shared/utils/getBackendUrl'
 import TwoFactorSetup from '../../../shared/components/TwoFactorSetup'
 import LogoLoader from '../../../shared/components/LogoLoader'
@@ -41,6 +41,10 @@ function Profile() {
   const [clearDataConfirmation, setClearDataConfirmation] = useState('')
   const [clearingData, setClearingData] = useState(false)
   const [clearDataRequest, setClearDataRequest] = useState(null)
+  const [exportingData, setExportingData] = useState(false)
+  const [importFile, setImportFile] = useState(null)
+  const [importProgress, setImportProgress] = useState(null)
+  const importInputRef = useRef(null)
 
   useModalRegistration(showClearDataModal, 'clear-data-modal')
 
@@ -282,6 +286,65 @@ function Profile() {
     }
   }
 
+  /**
+   * Download every record and attached file as a ZIP archive
+   */
+  const handleExportData = async () => {
+    try {
+      setExportingData(true)
+      const { blob, fileName, missingFiles } = await dataPortabilityService.exportAll(user.id)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      link.click()
+      URL.revokeObjectURL(url)
+
+      setMessage(missingFiles.length > 0
+        ? { type: 'info', text: t('profile.dataExport.exportPartial', { count: missingFiles.length }) }
+        : { type: 'success', text: t('profile.dataExport.exportSuccess') })
+    } catch (error) {
+      console.error('Error exporting data:', error)
+      setMessage({ type: 'error', text: t('profile.dataExport.exportError') })
+    } finally {
+      setExportingData(false)
+    }
+  }
+
+  /**
+   * Restore the selected archive into this (empty) account
+   */
+  const handleImportData = async () => {
+    if (!importFile) return
+
+    try {
+      setImportProgress({ section: null, done: 0, total: 0 })
+      const counts = await dataPortabilityService.importAll(importFile, user.id, (section, done, total) => {
+        setImportProgress({ section, done, total })
+      })
+      const restored = Object.values(counts).reduce((sum, count) => sum + count, 0)
+      setMessage({ type: 'success', text: t('profile.dataExport.importSuccess', { count: restored }) })
+    } catch (error) {
+      console.error('Error importing data:', error)
+      let text = t('profile.dataExport.importError')
+      if (error.code === 'ACCOUNT_NOT_EMPTY') text = t('profile.dataExport.accountNotEmpty')
+      else if (error.code === 'IMPORT_ROLLED_BACK') text = t('profile.dataExport.importRolledBack')
+      else if (error.code === 'IMPORT_INCOMPLETE') text = t('profile.dataExport.importCleanupFailed', { count: error.leftovers })
+      else if (error.problems) {
+        const problems = error.problems.map(({ code, params }) => t(`profile.dataExport.problems.${code}`, {
+          ...params,
+          section: params.section && t(`profile.dataExport.sections.${params.section}`)
+        }))
+        text = `${t('profile.dataExport.invalidArchive')} ${problems.join('; ')}`
+      }
+      setMessage({ type: 'error', text })
+    } finally {
+      setImportProgress(null)
+      setImportFile(null)
+      if (importInputRef.current) importInputRef.current.value = ''
+    }
+  }
+
   if (loading) {
     return (
       <div className="page-loading">
@@ -674,6 +737,71 @@ function Profile() {
                 {t('profile.clearData.description', 'Manage your account data and settings.')}
               </p>
 
+              <div className="data-portability">
+                <h3>{t('profile.dataExport.title')}</h3>
+                <p className="section-description">{t('profile.dataExport.description')}</p>
+
+                {importFile ? (
+                  <div className="data-import-confirm">
+                    <p>
+                      {importProgress
+                        ? t('profile.dataExport.importing', {
+                          section: importProgress.section ? t(`profile.dataExport.sections.${importProgress.section}`) : '',
+                          done: importProgress.done,
+                          total: importProgress.total
+                        })
+                        : t('profile.dataExport.confirmImport', { name: importFile.name })}
+                    </p>
+                    <div className="data-portability-actions">
+                      <button
+                        onClick={() => {
+                          setImportFile(null)
+                          importInputRef.current.value = ''
+                        }}
+                        className="btn btn-secondary btn-sm"
+                        disabled={!!importProgress}
+                      >
+                        {t('common.cancel')}
+                      </button>
+                      <button
+                        onClick={handleImportData}
+                        className="btn btn-primary btn-sm"
+                        disabled={!!importProgress}
+                      >
+                        {importProgress ? <div className="spinner-small"></div> : <FiUpload size={16} />}
+                        {t('profile.dataExport.restoreButton')}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="data-portability-actions">
+                    <button
+                      onClick={handleExportData}
+                      className="btn btn-secondary"
+                      disabled={exportingData}
+                    >
+                      {exportingData ? <div className="spinner-small"></div> : <FiDownload size={18} />}
+                      {exportingData ? t('profile.dataExport.exporting') : t('profile.dataExport.exportButton')}
+                    </button>
+                    <button
+                      onClick={() => importInputRef.current.click()}
+                      className="btn btn-secondary"
+                      disabled={exportingData}
+                    >
+                      <FiUpload size={18} />
+                      {t('profile.dataExport.importButton')}
+                    </button>
+                  </div>
+                )}
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".zip,application/zip"
+                  onChange={(e) => setImportFile(e.target.files[0] || null)}
+                  style={{ display: 'none' }}
+                />
+              </div>
+
               <button
                 onClick={() => setShowClearDataModal(true)}
                 className="btn btn-outline-danger"
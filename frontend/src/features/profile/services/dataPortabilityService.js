@@ -0,0 +1,291 @@
+import {
+  transactionService,
+  budgetService,
+  savingsGoalService,
+  loanService,
+  loanPaymentService,
+  recurringBillService,
+  storageService
+} from '../../finance/services'
+import { shoppingListService } from '../../shopping/services/shoppingListService'
+import {
+  tripService,
+  itineraryService,
+  packingService,
+  documentService,
+  noteService,
+  uploadTravelFile
+} from '../../travel/services/travelApi'
+import {
+  ARCHIVE_SECTIONS,
+  buildArchive,
+  collectFileRefs,
+  readArchive,
+  remapNoteRefs,
+  toRestorable
+} from '../utils/dataArchive'
+
+const asList = (result) => (Array.isArray(result) ? result : (result?.items || []))
+
+// Household endpoints also return the partner's records; only the user's own are exported
+const ownedBy = (userId) => (record) => {
+  const owner = record.userId ?? record.user_id
+  return !owner || !userId || String(owner) === String(userId)
+}
+
+const toFile = (blob, name, type) => new File([blob], name || 'file', { type: type || blob.type })
+
+// Removes a restored top-level record; payments, list items and trip contents go with their parent
+const ROLLBACK = {
+  savingsGoals: id => savingsGoalService.delete(id),
+  loans: id => loanService.delete(id),
+  budgets: id => budgetService.delete(id),
+  recurringBills: id => recurringBillService.delete(id),
+  transactions: id => transactionService.delete(id),
+  shoppingLists: id => shoppingListService.delete(id),
+  trips: id => tripService.delete(id)
+}
+
+/**
+ * Delete what a failed import created, newest first, so the account is empty for a retry
+ * @param {Array<{section: string, id: string}>} created - Restored records in creation order
+ * @returns {Promise<number>} Records that could not be removed
+ */
+const rollbackImport = async (created) => {
+  let leftovers = 0
+  for (const { section, id } of [...created].reverse()) {
+    try {
+      await ROLLBACK[section](id)
+    } catch (error) {
+      console.error('Error rolling back imported record:', section, id, error)
+      leftovers++
+    }
+  }
+  return leftovers
+}
+
+const loadSections = async (userId) => {
+  const owned = ownedBy(userId)
+  const [transactions, budgets, savingsGoals, loans, loanPayments, recurringBills, shoppingLists, trips] = await Promise.all([
+    transactionService.getAll(),
+    budgetService.getAll(),
+    savingsGoalService.getAll(),
+    loanService.getAll(),
+    loanPaymentService.getAll(),
+    recurringBillService.getAll(),
+    shoppingListService.getAll(),
+    tripService.getAll()
+  ])
+
+  const ownLoans = asList(loans).filter(owned)
+  const loanIds = new Set(ownLoans.map(loan => String(loan.id)))
+
+  return {
+    transactions: asList(transactions).filter(owned),
+    budgets: asList(budgets).filter(owned),
+    savingsGoals: asList(savingsGoals).filter(owned),
+    loans: ownLoans,
+    loanPayments: asList(loanPayments).filter(payment => loanIds.has(String(payment.loanId))),
+    recurringBills: asList(recurringBills).filter(owned),
+    shoppingLists: asList(shoppingLists).filter(owned),
+    trips: asList(trips).filter(owned)
+  }
+}
+
+/**
+ * Data portability service
+ * Exports every record of the current user into a versioned ZIP archive
+ * and restores such an archive into an empty account.
+ */
+export const dataPortabilityService = {
+  /**
+   * Build the full export archive
+   * @param {string} userId - Current user id
+   * @param {Function} [onProgress] - Called with a step name ('data' | 'files' | 'archive')
+   * @returns {Promise<{blob: Blob, fileName: string, missingFiles: Array}>}
+   */
+  async exportAll(userId, onProgress = () => {}) {
+    onProgress('data')
+    const data = await loadSections(userId)
+
+    data.shoppingLists = await Promise.all(data.shoppingLists.map(async list => ({
+      ...list,
+      items: asList(await shoppingListService.getItems(list.id))
+    })))
+    data.trips = await Promise.all(data.trips.map(async trip => {
+      const [events, packing, documents, notes] = await Promise.all([
+        itineraryService.getByTrip(trip.id),
+        packingService.getByTrip(trip.id),
+        documentService.getByTrip(trip.id),
+        noteService.getByTrip(trip.id)
+      ])
+      return { ...trip, events: asList(events), packing: asList(packing), documents: asList(documents), notes: asList(notes) }
+    }))
+
+    onProgress('files')
+    const files = []
+    const missingFiles = []
+    for (const ref of collectFileRefs(data)) {
+      try {
+        const response = await fetch(ref.url)
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        files.push({ ...ref, content: await response.blob() })
+      } catch (error) {
+        console.error('Error downloading file for export:', ref.url, error)
+        missingFiles.push(ref)
+      }
+    }
+
+    onProgress('archive')
+    const exportedAt = new Date()
+    const blob = await buildArchive(data, { files, missingFiles, exportedAt })
+    return {
+      blob,
+      fileName: `paire-export-${exportedAt.toISOString().slice(0, 10)}.zip`,
+      missingFiles
+    }
+  },
+
+  /**
+   * Whether the user has no records in any exported section
+   * @param {string} userId - Current user id
+   * @returns {Promise<boolean>}
+   */
+  async isAccountEmpty(userId) {
+    const data = await loadSections(userId)
+    return ARCHIVE_SECTIONS.every(section => data[section].length === 0)
+  },
+
+  /**
+   * Validate an archive and restore it into the current (empty) account
+   * @param {File|Blob} file - Archive produced by exportAll
+   * @param {string} userId - Current user id
+   * @param {Function} [onProgress] - Called with (section, done, total)
+   * @returns {Promise<Object>} Restored record counts per section
+   * @throws {Error} With `problems` when the archive is invalid, or when the account is not empty.
+   *   When restoring fails part-way the restored records are deleted again; the error then
+   *   carries `code` 'IMPORT_ROLLED_BACK', or 'IMPORT_INCOMPLETE' with `leftovers` when some remain.
+   */
+  async importAll(file, userId, onProgress = () => {}) {
+    const { manifest, data, problems, getFile } = await readArchive(file)
+    if (problems.length > 0) {
+      const error = new Error('Invalid export archive') // i18n-ignore
+      error.problems = problems
+      throw error
+    }
+    if (!(await this.isAccountEmpty(userId))) {
+      const error = new Error('Account is not empty') // i18n-ignore
+      error.code = 'ACCOUNT_NOT_EMPTY'
+      throw error
+    }
+
+    const filesByRecord = new Map((manifest.files || []).map(entry => [`${entry.section}:${entry.id}`, entry]))
+    const restoreFile = async (section, id, type) => {
+      const entry = filesByRecord.get(`${section}:${id}`)
+      if (!entry) return null
+      const blob = await getFile(entry.path)
+      return blob ? toFile(blob, entry.name, type) : null
+    }
+
+    const idMaps = Object.fromEntries(ARCHIVE_SECTIONS.map(section => [section, new Map()]))
+    const counts = {}
+    const createdRecords = []
+    // Record top-level creations as soon as they exist, before their children or files are restored
+    const track = async (section, creating) => {
+      const created = await creating
+      if (created?.id !== undefined) createdRecords.push({ section, id: created.id })
+      return created
+    }
+    const restore = async (section, records, create) => {
+      counts[section] = 0
+      for (const record of records) {
+        const created = await create(record)
+        if (created?.id !== undefined) idMaps[section].set(String(record.id), String(created.id))
+        counts[section]++
+        onProgress(section, counts[section], records.length)
+      }
+    }
+
+    try {
+      // Referenced sections first so ids can be remapped in the ones pointing at them
+      await restore('savingsGoals', data.savingsGoals, goal => track('savingsGoals', savingsGoalService.create(toRestorable(goal))))
+      await restore('loans', data.loans, loan => track('loans', loanService.create(toRestorable(loan, ['totalPaid', 'remainingAmount']))))
+      // Each payment adds to its loan's total paid, rebuilding the balances
+      await restore('loanPayments', data.loanPayments, payment => loanPaymentService.create({
+        ...toRestorable(payment),
+        loanId: idMaps.loans.get(String(payment.loanId))
+      }))
+      await restore('budgets', data.budgets, budget => track('budgets', budgetService.create(toRestorable(budget))))
+
+      await restore('recurringBills', data.recurringBills, async bill => {
+        const restorable = { ...toRestorable(bill, ['attachments']), notes: remapNoteRefs(bill.notes, idMaps) }
+        const created = await track('recurringBills', recurringBillService.create(restorable))
+        if ((bill.isActive ?? bill.is_active) === false) {
+          await recurringBillService.update(created.id, { ...restorable, isActive: false })
+        }
+        for (const attachment of bill.attachments || []) {
+          const attachmentFile = await restoreFile('recurringBills', `${bill.id}/${attachment.id}`, attachment.fileType)
+          if (attachmentFile) await recurringBillService.uploadAttachment(created.id, attachmentFile)
+        }
+        return created
+      })
+
+      await restore('transactions', data.transactions, async tx => {
+        const restorable = toRestorable(tx, ['attachmentUrl', 'attachmentPath'])
+        const receipt = await restoreFile('transactions', tx.id)
+        if (receipt) {
+          const upload = await storageService.uploadFile(receipt)
+          restorable.attachmentUrl = upload.url
+          restorable.attachmentPath = upload.path
+        }
+        return track('transactions', transactionService.create(restorable))
+      })
+
+      await restore('shoppingLists', data.shoppingLists, async list => {
+        const created = await track('shoppingLists', shoppingListService.create(toRestorable(list, ['items'])))
+        for (const item of list.items || []) {
+          await shoppingListService.addItem(created.id, toRestorable(item, ['listId', 'shoppingListId']))
+        }
+        return created
+      })
+
+      await restore('trips', data.trips, async trip => {
+        const created = await track('trips', tripService.create(toRestorable(trip, ['events', 'packing', 'documents', 'notes'])))
+        const tripId = created.id
+
+        for (const event of trip.events || []) {
+          const restorable = toRestorable(event, ['tripId'])
+          const attachment = await restoreFile('events', event.id, event.attachmentType)
+          if (attachment) {
+            const upload = await uploadTravelFile(tripId, attachment)
+            restorable.attachmentUrl = upload?.url
+          }
+          await itineraryService.create(tripId, restorable)
+        }
+        for (const item of trip.packing || []) {
+          await packingService.create(tripId, toRestorable(item, ['tripId']))
+        }
+        for (const doc of trip.documents || []) {
+          const restorable = toRestorable(doc, ['tripId'])
+          const docFile = await restoreFile('documents', doc.id, doc.fileType)
+          if (docFile) {
+            const upload = await uploadTravelFile(tripId, docFile)
+            restorable.fileUrl = upload?.url
+          }
+          await documentService.create(tripId, restorable)
+        }
+        for (const note of trip.notes || []) {
+          await noteService.create(tripId, toRestorable(note, ['tripId']))
+        }
+        return created
+      })
+    } catch (error) {
+      const leftovers = await rollbackImport(createdRecords)
+      error.code = leftovers > 0 ? 'IMPORT_INCOMPLETE' : 'IMPORT_ROLLED_BACK'
+      error.leftovers = leftovers
+      throw error
+    }
+
+    return counts
+  }
+}
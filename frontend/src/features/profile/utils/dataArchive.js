@@ -0,0 +1,235 @@
+import JSZip from 'jszip'
+
+/**
+ * Data archive
+ * Reads and writes the open "export everything" format: a ZIP holding a
+ * manifest, one JSON file per section and the attached files.
+ *
+ *   manifest.json            { format, version, exportedAt, counts, files, missingFiles }
+ *   data/<section>.json      Array of records, ids as exported
+ *   files/<section>/<id>/..  Receipts, bill attachments and travel documents
+ *
+ * Records keep their exported ids so references between sections
+ * (payments -> loans, bill notes -> loans/goals) can be remapped on import.
+ */
+
+export const ARCHIVE_FORMAT = 'paire-export'
+export const ARCHIVE_VERSION = 1
+
+export const ARCHIVE_SECTIONS = [
+  'transactions',
+  'budgets',
+  'savingsGoals',
+  'loans',
+  'loanPayments',
+  'recurringBills',
+  'shoppingLists',
+  'trips'
+]
+
+// Problem codes returned by validateArchive; translated under profile.dataExport.problems
+export const ARCHIVE_PROBLEMS = {
+  NOT_ZIP: 'notZip',
+  NOT_ARCHIVE: 'notArchive',
+  UNSUPPORTED_VERSION: 'unsupportedVersion',
+  INVALID_SECTION: 'invalidSection',
+  COUNT_MISMATCH: 'countMismatch',
+  MISSING_IDS: 'missingIds',
+  ORPHAN_PAYMENTS: 'orphanPayments',
+  MISSING_FILES: 'missingFiles'
+}
+
+const MANIFEST_PATH = 'manifest.json'
+
+// Fields owned by the server or the local cache, never restored
+const SERVER_FIELDS = [
+  'id',
+  'userId',
+  'user_id',
+  'createdAt',
+  'created_at',
+  'updatedAt',
+  'updated_at',
+  'user_profiles',
+  'userProfiles',
+  'localId',
+  '_synced'
+]
+
+// Notes tags that point at records in another section
+const NOTE_REFS = {
+  LOAN_REF: 'loans',
+  SAVINGS_REF: 'savingsGoals'
+}
+
+const sectionPath = (section) => `data/${section}.json`
+
+const safeFileName = (name) => (name || 'file').replace(/[^\w.-]+/g, '_').slice(-80)
+
+/**
+ * Copy of a record without server-owned fields
+ * @param {Object} record - Exported record
+ * @param {Array<string>} [omit] - Extra fields to drop (e.g. embedded children)
+ * @returns {Object}
+ */
+export const toRestorable = (record, omit = []) => {
+  const copy = { ...record }
+  SERVER_FIELDS.concat(omit).forEach(field => delete copy[field])
+  return copy
+}
+
+/**
+ * Rewrite [LOAN_REF:id] and [SAVINGS_REF:id] tags with the ids created on import
+ * Tags whose target was not restored are left untouched.
+ *
+ * @param {string} notes - Notes text
+ * @param {Object<string, Map>} idMaps - Old id -> new id, per section
+ * @returns {string}
+ */
+export const remapNoteRefs = (notes, idMaps = {}) => {
+  if (!notes) return notes
+  return notes.replace(/\[(LOAN_REF|SAVINGS_REF):([^\]]+)\]/g, (tag, name, oldId) => {
+    const newId = idMaps[NOTE_REFS[name]]?.get(oldId)
+    return newId ? `[${name}:${newId}]` : tag
+  })
+}
+
+/**
+ * Every downloadable file referenced by the exported data
+ * @param {Object} data - Sections keyed by name
+ * @returns {Array<{path: string, section: string, id: string, url: string, name: string}>}
+ */
+export const collectFileRefs = (data) => {
+  const refs = []
+  const add = (section, id, url, name) => {
+    if (!url) return
+    const fallback = url.split('?')[0].split('/').pop()
+    refs.push({ path: `files/${section}/${id}/${safeFileName(name || fallback)}`, section, id: String(id), url, name: name || fallback })
+  }
+
+  const { transactions = [], recurringBills = [], trips = [] } = data
+  transactions.forEach(tx => add('transactions', tx.id, tx.attachmentUrl))
+  recurringBills.forEach(bill =>
+    (bill.attachments || []).forEach(att => add('recurringBills', `${bill.id}/${att.id}`, att.fileUrl, att.fileName))
+  )
+  trips.forEach(trip => {
+    const { events = [], documents = [] } = trip
+    events.forEach(event => add('events', event.id, event.attachmentUrl, event.attachmentName))
+    documents.forEach(doc => add('documents', doc.id, doc.fileUrl, doc.fileName))
+  })
+
+  return refs
+}
+
+/**
+ * Build the archive
+ * @param {Object} data - Sections keyed by name (missing sections are written empty)
+ * @param {Object} [options]
+ * @param {Array<{path: string, section: string, id: string, name: string, content: *}>} [options.files] - Downloaded files
+ * @param {Array<Object>} [options.missingFiles] - File refs that could not be downloaded
+ * @param {Date} [options.exportedAt=new Date()] - Export timestamp
+ * @param {string} [options.type='blob'] - JSZip output type
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export const buildArchive = async (data, { files = [], missingFiles = [], exportedAt = new Date(), type = 'blob' } = {}) => {
+  const zip = new JSZip()
+  const counts = {}
+
+  ARCHIVE_SECTIONS.forEach(section => {
+    const records = Array.isArray(data[section]) ? data[section] : []
+    counts[section] = records.length
+    zip.file(sectionPath(section), JSON.stringify(records, null, 2))
+  })
+
+  files.forEach(file => zip.file(file.path, file.content))
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    counts,
+    files: files.map(({ path, section, id, name }) => ({ path, section, id, name })),
+    missingFiles: missingFiles.map(({ section, id, url }) => ({ section, id, url }))
+  }
+  zip.file(MANIFEST_PATH, JSON.stringify(manifest, null, 2))
+
+  return zip.generateAsync({ type, compression: 'DEFLATE' })
+}
+
+/**
+ * Problems that prevent restoring an archive
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {Object} data - Parsed sections
+ * @param {Array<string>} [paths] - File paths present in the archive
+ * @returns {Array<{code: string, params: Object}>} ARCHIVE_PROBLEMS codes with their values; empty when the archive is valid
+ */
+export const validateArchive = (manifest, data, paths = []) => {
+  const problem = (code, params = {}) => ({ code, params })
+
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) return [problem(ARCHIVE_PROBLEMS.NOT_ARCHIVE)]
+  if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+    return [problem(ARCHIVE_PROBLEMS.UNSUPPORTED_VERSION, { version: manifest.version })]
+  }
+
+  const problems = []
+  ARCHIVE_SECTIONS.forEach(section => {
+    const records = data[section]
+    if (!Array.isArray(records)) {
+      problems.push(problem(ARCHIVE_PROBLEMS.INVALID_SECTION, { section }))
+      return
+    }
+    if (manifest.counts?.[section] !== undefined && manifest.counts[section] !== records.length) {
+      problems.push(problem(ARCHIVE_PROBLEMS.COUNT_MISMATCH, { section, count: records.length, expected: manifest.counts[section] }))
+    }
+    if (records.some(record => !record || record.id === undefined || record.id === null)) {
+      problems.push(problem(ARCHIVE_PROBLEMS.MISSING_IDS, { section }))
+    }
+  })
+  if (problems.length > 0) return problems
+
+  const loanIds = new Set(data.loans.map(loan => String(loan.id)))
+  const orphans = data.loanPayments.filter(payment => !loanIds.has(String(payment.loanId)))
+  if (orphans.length > 0) problems.push(problem(ARCHIVE_PROBLEMS.ORPHAN_PAYMENTS, { count: orphans.length }))
+
+  const present = new Set(paths)
+  const absent = (manifest.files || []).filter(file => !present.has(file.path))
+  if (absent.length > 0) problems.push(problem(ARCHIVE_PROBLEMS.MISSING_FILES, { count: absent.length }))
+
+  return problems
+}
+
+/**
+ * Open and validate an archive
+ * @param {Blob|ArrayBuffer|Uint8Array} input - ZIP content
+ * @returns {Promise<{manifest: Object, data: Object, problems: Array<Object>, getFile: Function}>}
+ *   getFile(path, type = 'blob') resolves to the file content, or null when absent
+ */
+export const readArchive = async (input) => {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(input)
+  } catch {
+    return { manifest: null, data: {}, problems: [{ code: ARCHIVE_PROBLEMS.NOT_ZIP, params: {} }], getFile: async () => null }
+  }
+
+  const readJson = async (path) => {
+    const entry = zip.file(path)
+    if (!entry) return undefined
+    try {
+      return JSON.parse(await entry.async('string'))
+    } catch {
+      return undefined
+    }
+  }
+
+  const manifest = await readJson(MANIFEST_PATH)
+  const data = {}
+  for (const section of ARCHIVE_SECTIONS) {
+    data[section] = await readJson(sectionPath(section))
+  }
+
+  const paths = Object.keys(zip.files).filter(path => !zip.files[path].dir)
+  const getFile = async (path, type = 'blob') => (zip.file(path) ? zip.file(path).async(type) : null)
+
+  return { manifest, data, problems: validateArchive(manifest, data, paths), getFile }
+}
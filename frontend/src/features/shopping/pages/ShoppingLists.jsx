@@ -1,10 +1,10 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { createPortal } from 'react-dom'
 import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
 import {
   FiShoppingCart, FiPlus, FiEdit, FiTrash2, FiCheck,
-  FiSquare, FiCheckSquare, FiPackage, FiList, FiUpload, FiX
+  FiSquare, FiCheckSquare, FiPackage, FiList, FiUpload, FiX, FiEye
 } from 'react-icons/fi'
 import useCurrencyFormatter from '../../../shared/hooks/useCurrencyFormatter'
 import { shoppingListService } from '../../../services/api'
@@ -16,6 +16,8 @@ import FormSection from '../../../shared/components/FormSection'
 import LoadingProgress from '../../../shared/components/LoadingProgress'
 import SuccessAnimation from '../../../shared/components/SuccessAnimation'
 import EmptyState from '../../../shared/components/EmptyState'
+import { usePartnerSync } from '../../../shared/hooks/usePartnerSync'
+import { parsePartnerActivity, PARTNER_SYNC_ENTITIES } from '../../../shared/utils/partnerSyncTargets'
 import './ShoppingLists.css'
 
 /**
@@ -25,6 +27,7 @@ import './ShoppingLists.css'
 function ShoppingLists() {
   const { t } = useTranslation()
   const formatCurrency = useCurrencyFormatter()
+  const { partnerPresence, setActivity } = usePartnerSync()
   const [loading, setLoading] = useState(true)
   const [lists, setLists] = useState([])
   const [selectedList, setSelectedList] = useState(null)
@@ -88,6 +91,58 @@ function ShoppingLists() {
     loadLists()
   }, [])
 
+  const selectedListId = selectedList?.list?.id ?? null
+
+  // Let the partner see which list is open
+  useEffect(() => {
+    setActivity(selectedListId ? `shopping:${selectedListId}` : 'shopping')
+  }, [selectedListId, setActivity])
+
+  useEffect(() => () => setActivity(null), [setActivity])
+
+  // Apply the partner's changes live; the handler is refreshed each render so it sees current state
+  const partnerChangeRef = useRef(null)
+  partnerChangeRef.current = (change) => {
+    const isShoppingChange = change.entity === PARTNER_SYNC_ENTITIES.SHOPPING_LIST ||
+      change.entity === PARTNER_SYNC_ENTITIES.SHOPPING_ITEM
+    if (!isShoppingChange) return
+
+    loadLists(true)
+
+    const changedListId = change.entity === PARTNER_SYNC_ENTITIES.SHOPPING_ITEM ? change.parentId : change.entityId
+    if (!selectedListId || String(changedListId) !== String(selectedListId)) return
+
+    if (change.entity === PARTNER_SYNC_ENTITIES.SHOPPING_LIST && change.action === 'deleted') {
+      setSelectedList(null)
+      return
+    }
+
+    // Toggles are the most frequent change while shopping together: patch in place
+    const isChecked = change.data?.isChecked ?? change.data?.is_checked
+    if (change.action === 'toggled' && typeof isChecked === 'boolean') {
+      setSelectedList(prev => {
+        if (!prev || String(prev.list.id) !== String(changedListId)) return prev
+        const items = prev.items.map(item =>
+          String(item.id) === String(change.entityId) ? { ...item, isChecked } : item
+        )
+        return { ...prev, items, checkedCount: items.filter(item => item.isChecked).length }
+      })
+      return
+    }
+
+    loadListDetails(selectedListId)
+  }
+
+  useEffect(() => {
+    const handlePartnerChange = (event) => partnerChangeRef.current?.(event.detail || {})
+    window.addEventListener('partner-data-changed', handlePartnerChange)
+    return () => window.removeEventListener('partner-data-changed', handlePartnerChange)
+  }, [])
+
+  const partnerActivity = partnerPresence?.online ? parsePartnerActivity(partnerPresence.activity) : null
+  const isPartnerViewingList = Boolean(selectedListId) && partnerActivity?.area === 'shopping' &&
+    partnerActivity.id === String(selectedListId)
+
   // Add/remove body class when fullscreen is active on mobile and track screen size
   useEffect(() => {
     const handleResize = () => {
@@ -1265,6 +1320,11 @@ function ShoppingLists() {
           <div className="items-header sticky-header">
             <div className="header-main">
               <h2>{selectedList.list.name}</h2>
+              {isPartnerViewingList && (
+                <span className="partner-viewing-badge" role="status">
+                  <FiEye size={14} /> {t('partnerSync.viewingThisList')}
+                </span>
+              )}
               <div className="items-stats">
                 <span className="progress-badge">
                   {selectedList.checkedCount} / {selectedList.itemCount} {t('shoppingLists.items')}
@@ -0,0 +1,98 @@
+/**
+ * Shopping list matching
+ * Pairs the lines of a receipt with the items of a shopping list, so what was
+ * bought can be ticked off. Receipts abbreviate and add sizes ("ΓΑΛΑ ΦΡΕΣΚΟ 1L",
+ * "BAN. CHIQUITA"), so names are compared word by word and a word matches
+ * when one is a prefix of the other.
+ */
+
+// Sizes, units and multipliers that say nothing about what the item is
+const NOISE_WORD = /^(\d+([.,]\d+)?(kg|gr?|lt?|ml|cl|pcs|τεμ)?|x|kg|gr?|lt?|ml|cl|pcs|τεμ|pack|συσκ)$/
+
+const MIN_PREFIX_LENGTH = 3
+
+// A list item needs at least this share of its words on the receipt line
+const MATCH_THRESHOLD = 0.5
+
+/**
+ * Words of an item name, lower-cased and without accents or sizes
+ * @param {string} name - Item name
+ * @returns {string[]}
+ */
+export const tokenizeItemName = (name) =>
+  String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ς/g, 'σ')
+    .split(/[^a-z0-9\u0370-\u03ff.,]+/)
+    .map(word => word.replace(/^[.,]+|[.,]+$/g, ''))
+    .filter(word => word.length > 1 && !NOISE_WORD.test(word))
+
+const wordsMatch = (a, b) => {
+  if (a === b) return true
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a]
+  return shorter.length >= MIN_PREFIX_LENGTH && longer.startsWith(shorter)
+}
+
+/**
+ * How well a receipt line matches a list item
+ * @param {string} receiptName - Receipt line
+ * @param {string} listName - Shopping list item
+ * @returns {number} Share of the list item's words found on the receipt line (0-1)
+ */
+export const scoreItemMatch = (receiptName, listName) => {
+  const receiptWords = tokenizeItemName(receiptName)
+  const listWords = tokenizeItemName(listName)
+  if (receiptWords.length === 0 || listWords.length === 0) return 0
+  const found = listWords.filter(word => receiptWords.some(other => wordsMatch(word, other))).length
+  return found / listWords.length
+}
+
+/**
+ * Pair receipt lines with list items, best matches first, each used at most once
+ * @param {Array<{name: string}>} receiptItems - Receipt lines
+ * @param {Array<{id: string, name: string}>} listItems - Shopping list items
+ * @returns {Array<{listItem: Object, receiptItem: Object, score: number}>} Matches in list order
+ */
+export const matchListItems = (receiptItems = [], listItems = []) => {
+  const candidates = []
+  listItems.forEach((listItem, listIndex) => {
+    receiptItems.forEach((receiptItem, receiptIndex) => {
+      const score = scoreItemMatch(receiptItem.name, listItem.name)
+      if (score >= MATCH_THRESHOLD) candidates.push({ listIndex, receiptIndex, score })
+    })
+  })
+
+  const usedList = new Set()
+  const usedReceipt = new Set()
+  const matches = []
+  candidates
+    .sort((a, b) => b.score - a.score || a.listIndex - b.listIndex || a.receiptIndex - b.receiptIndex)
+    .forEach(({ listIndex, receiptIndex, score }) => {
+      if (usedList.has(listIndex) || usedReceipt.has(receiptIndex)) return
+      usedList.add(listIndex)
+      usedReceipt.add(receiptIndex)
+      matches.push({ listIndex, listItem: listItems[listIndex], receiptItem: receiptItems[receiptIndex], score })
+    })
+
+  return matches
+    .sort((a, b) => a.listIndex - b.listIndex)
+    .map(({ listItem, receiptItem, score }) => ({ listItem, receiptItem, score }))
+}
+
+/**
+ * Open lists ordered by how many of their unticked items appear on the receipt
+ * @param {Array<{name: string}>} receiptItems - Receipt lines
+ * @param {Array} lists - Shopping lists with their items (as returned by shoppingListService.getAll)
+ * @returns {Array<{list: Object, matches: Array}>} Lists with at least one match, best first
+ */
+export const rankListsByMatches = (receiptItems = [], lists = []) =>
+  lists
+    .filter(list => !(list.is_completed ?? list.isCompleted))
+    .map(list => ({
+      list,
+      matches: matchListItems(receiptItems, (list.items || []).filter(item => !(item.is_checked ?? item.isChecked)))
+    }))
+    .filter(({ matches }) => matches.length > 0)
+    .sort((a, b) => b.matches.length - a.matches.length)
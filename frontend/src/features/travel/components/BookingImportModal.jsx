@@ -0,0 +1,243 @@
+import { useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useTranslation } from 'react-i18next'
+import { motion } from 'framer-motion'
+import { FiX, FiUpload, FiLoader, FiCalendar, FiFileText, FiDollarSign, FiAlertTriangle } from 'react-icons/fi'
+import { useModalRegistration } from '../../../shared/context/ModalContext'
+import useToast from '../../../shared/hooks/useToast'
+import { bookingImportService } from '../services/bookingImportService'
+import { itineraryService, documentService, travelExpenseService } from '../services/travelApi'
+import { flagBookingConflicts } from '../utils/bookingParser'
+import '../styles/BookingImport.css'
+
+const SECTIONS = [
+  { key: 'events', icon: FiCalendar },
+  { key: 'documents', icon: FiFileText },
+  { key: 'expenses', icon: FiDollarSign }
+]
+
+/**
+ * Turns pasted or uploaded booking confirmations (emails, PDFs, calendar files) into
+ * itinerary events, documents and expenses the traveller reviews before anything is saved.
+ */
+const BookingImportModal = ({ trip, onClose, onImported }) => {
+  const { t } = useTranslation()
+  const { addToast } = useToast()
+
+  // Register modal to hide bottom navigation
+  useModalRegistration(true)
+
+  const [files, setFiles] = useState([])
+  const [text, setText] = useState('')
+  const [batch, setBatch] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const handleParse = async () => {
+    setBusy(true)
+    try {
+      const [parsed, events, documents, expenses] = await Promise.all([
+        bookingImportService.parse({ files, text }),
+        itineraryService.getByTrip(trip.id).catch(() => []),
+        documentService.getByTrip(trip.id).catch(() => []),
+        travelExpenseService.getByTrip(trip.id).catch(() => [])
+      ])
+
+      const total = parsed.events.length + parsed.documents.length + parsed.expenses.length
+      if (total === 0) {
+        addToast(t('travel.bookingImport.nothingFound', 'No bookings found in this confirmation'), 'warning')
+        return
+      }
+      setBatch(flagBookingConflicts(parsed, {
+        events: events || [],
+        documents: documents || [],
+        expenses: expenses || [],
+        startDate: trip.startDate,
+        endDate: trip.endDate
+      }))
+    } catch (error) {
+      console.error('Error parsing booking confirmation:', error)
+      addToast(t('travel.bookingImport.parseError', 'Could not read the confirmation'), 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const toggle = (section, id) => {
+    setBatch(prev => ({
+      ...prev,
+      [section]: prev[section].map(item => item.id === id ? { ...item, selected: !item.selected } : item)
+    }))
+  }
+
+  const selectedCount = batch
+    ? SECTIONS.reduce((sum, { key }) => sum + batch[key].filter(item => item.selected).length, 0)
+    : 0
+
+  const handleApply = async () => {
+    setBusy(true)
+    try {
+      const result = await bookingImportService.apply(trip.id, batch, t)
+      const added = result.events + result.documents + result.expenses
+
+      if (result.failed > 0) {
+        addToast(t('travel.bookingImport.partial', {
+          added,
+          failed: result.failed,
+          defaultValue: '{{added}} item(s) added, {{failed}} could not be saved'
+        }), 'warning')
+      } else {
+        addToast(t('travel.bookingImport.added', {
+          count: added,
+          defaultValue: '{{count}} item(s) added from the booking'
+        }), 'success')
+      }
+
+      if (result.events > 0) {
+        window.dispatchEvent(new CustomEvent('travel:item-added', { detail: { type: 'event', tripId: trip.id } }))
+      }
+      if (result.documents > 0) {
+        window.dispatchEvent(new CustomEvent('travel:item-added', { detail: { type: 'document', tripId: trip.id } }))
+      }
+      if (result.expenses > 0) {
+        window.dispatchEvent(new CustomEvent('travel:item-added', { detail: { type: 'expense', tripId: trip.id } }))
+      }
+
+      onImported?.(result)
+      onClose()
+    } catch (error) {
+      console.error('Error saving imported booking:', error)
+      addToast(t('travel.common.saveFailed', 'Could not save. Please try again.'), 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const describe = (section, data) => {
+    if (section === 'events') {
+      const route = data.departureAirport && data.arrivalAirport ? `${data.departureAirport} \u2192 ${data.arrivalAirport}` : data.location
+      return [data.date, data.startTime, route].filter(Boolean).join(' \u00b7 ')
+    }
+    if (section === 'documents') {
+      return [t(`travel.documents.types.${data.type}`, data.type), data.documentNumber].filter(Boolean).join(' \u00b7 ')
+    }
+    return [`${Number(data.amount).toFixed(2)} ${data.currency}`, t(`travel.budget.categories.${data.category}`, data.category)].join(' \u00b7 ')
+  }
+
+  const titleOf = (section, data) => (section === 'expenses' ? data.description : data.name)
+
+  return createPortal(
+    <motion.div
+      className="modal-overlay booking-import-overlay"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="booking-import-modal"
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: 50 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h3>{t('travel.bookingImport.title', 'Import a booking')}</h3>
+          <button className="modal-close" onClick={onClose}>
+            <FiX size={24} />
+          </button>
+        </div>
+
+        <div className="booking-import-body">
+          {!batch ? (
+            <>
+              <p className="booking-import-hint">
+                {t('travel.bookingImport.hint', 'Upload a confirmation email (.eml), PDF or calendar file, or paste the email text. Nothing is saved until you review it.')}
+              </p>
+              <label className="booking-import-drop">
+                <FiUpload size={20} />
+                <span>
+                  {files.length > 0
+                    ? files.map(file => file.name).join(', ')
+                    : t('travel.bookingImport.chooseFiles', 'Choose confirmation files')}
+                </span>
+                <input
+                  type="file"
+                  accept=".eml,message/rfc822,.pdf,application/pdf,.ics,text/calendar,.txt,.html,.htm"
+                  multiple
+                  hidden
+                  onChange={(e) => setFiles(Array.from(e.target.files || []))}
+                />
+              </label>
+              <textarea
+                className="booking-import-paste"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={t('travel.bookingImport.pastePlaceholder', 'Or paste the confirmation here')}
+                rows={6}
+              />
+            </>
+          ) : (
+            SECTIONS.filter(({ key }) => batch[key].length > 0).map(({ key, icon: Icon }) => (
+              <section key={key} className="booking-import-section">
+                <h4>
+                  <Icon size={16} />
+                  {t(`travel.bookingImport.sections.${key}`, key)}
+                </h4>
+                {batch[key].map(item => (
+                  <label key={item.id} className={`booking-import-item ${item.conflict ? 'has-conflict' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={item.selected}
+                      onChange={() => toggle(key, item.id)}
+                    />
+                    <span className="booking-import-item-text">
+                      <span className="booking-import-item-title">{titleOf(key, item.data)}</span>
+                      <span className="booking-import-item-meta">{describe(key, item.data)}</span>
+                    </span>
+                    {item.conflict && (
+                      <span className="booking-import-conflict">
+                        <FiAlertTriangle size={12} />
+                        {t(`travel.bookingImport.conflicts.${item.conflict}`, item.conflict)}
+                      </span>
+                    )}
+                  </label>
+                ))}
+              </section>
+            ))
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button
+            type="button"
+            className="cancel-btn"
+            onClick={batch ? () => setBatch(null) : onClose}
+            disabled={busy}
+          >
+            {batch ? t('common.back', 'Back') : t('common.cancel', 'Cancel')}
+          </button>
+          {batch ? (
+            <button type="button" className="travel-btn" onClick={handleApply} disabled={busy || selectedCount === 0}>
+              {busy
+                ? <FiLoader size={16} className="spinning" />
+                : t('travel.bookingImport.addSelected', { count: selectedCount, defaultValue: 'Add {{count}} selected' })}
+            </button>
+          ) : (
+            <button
+              type="button"
+              className="travel-btn"
+              onClick={handleParse}
+              disabled={busy || (files.length === 0 && !text.trim())}
+            >
+              {busy ? <FiLoader size={16} className="spinning" /> : t('travel.bookingImport.review', 'Review')}
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>,
+    document.body
+  )
+}
+BookingImportModal.displayName = 'BookingImportModal'
+
+export default BookingImportModal
@@ -0,0 +1,355 @@
+import { useState, useEffect } from 'react'
+import { createPortal } from 'react-dom'
+import { useTranslation } from 'react-i18next'
+import { motion } from 'framer-motion'
+import { FiX, FiLoader, FiLock, FiUnlock, FiMap, FiClock, FiAlertTriangle, FiBookmark, FiCalendar } from 'react-icons/fi'
+import { useModalRegistration } from '../../../shared/context/ModalContext'
+import { useTravelMode } from '../context/TravelModeContext'
+import useToast from '../../../shared/hooks/useToast'
+import { savedPlaceService } from '../services/travelApi'
+import { canMoveEvent, dayRouteService, findDayOrigin, splitDayEvents } from '../services/dayRouteService'
+import { TRAVEL_MODES } from '../utils/routeOptimizer'
+import '../styles/DayRoute.css'
+
+// Free time worth pointing out between two stops
+const MIN_GAP_MINUTES = 15
+
+/**
+ * Orders a day's untimed events and chosen saved places around its timed events, proposes
+ * start times, and either writes them back to the itinerary or shows the route on the map.
+ */
+const DayRouteModal = ({ trip, date, dateLabel, events, cities, onClose, onApplied }) => {
+  const { t } = useTranslation()
+  const { addToast } = useToast()
+  const { showDayRoute } = useTravelMode()
+
+  // Register modal to hide bottom navigation
+  useModalRegistration(true)
+
+  const dayEvents = events.filter(event => event.date?.split('T')[0] === date)
+
+  const [mode, setMode] = useState(() => localStorage.getItem('dayRouteMode') || 'walking')
+  const [dayStart, setDayStart] = useState('09:00')
+  const [dayEnd, setDayEnd] = useState('21:00')
+  const [unlockedIds, setUnlockedIds] = useState(() => new Set())
+  const [places, setPlaces] = useState([])
+  const [selectedPlaceIds, setSelectedPlaceIds] = useState(() => new Set())
+  const [plan, setPlan] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    savedPlaceService.getByTrip(trip.id)
+      .then(result => setPlaces((result || []).filter(place => place.latitude != null && place.longitude != null)))
+      .catch(error => console.error('Error loading saved places for route:', error))
+  }, [trip.id])
+
+  const { fixed, flexible } = splitDayEvents(dayEvents, unlockedIds)
+  const timedEvents = dayEvents.filter(event => event.startTime && event.status !== 'cancelled')
+  const stopCount = flexible.length + selectedPlaceIds.size
+
+  const toggleIn = (setter, id) => {
+    setter(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  const handleModeChange = (value) => {
+    setMode(value)
+    localStorage.setItem('dayRouteMode', value)
+  }
+
+  const handlePlan = async () => {
+    setBusy(true)
+    try {
+      const result = await dayRouteService.plan({
+        date,
+        fixed,
+        flexible,
+        places: places.filter(place => selectedPlaceIds.has(String(place.id))),
+        origin: findDayOrigin(date, { events, cities, trip }),
+        mode,
+        dayStart,
+        dayEnd
+      })
+      setPlan(result)
+    } catch (error) {
+      console.error('Error planning day route:', error)
+      addToast(t('travel.dayRoute.planError', 'Could not plan the route'), 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleApply = async () => {
+    setBusy(true)
+    try {
+      const result = await dayRouteService.apply(trip.id, plan)
+      if (result.failed > 0) {
+        addToast(t('travel.dayRoute.partial', {
+          count: result.failed,
+          defaultValue: '{{count}} stop(s) could not be saved'
+        }), 'warning')
+      } else {
+        addToast(t('travel.dayRoute.applied', 'Times added to your itinerary'), 'success')
+      }
+
+      if (result.created > 0) {
+        window.dispatchEvent(new CustomEvent('travel:item-added', { detail: { type: 'event', tripId: trip.id } }))
+      }
+      if (result.updated > 0) {
+        window.dispatchEvent(new CustomEvent('travel:item-updated', { detail: { type: 'event', tripId: trip.id } }))
+      }
+
+      onApplied?.(result)
+      onClose()
+    } catch (error) {
+      console.error('Error saving day route:', error)
+      addToast(t('travel.common.saveFailed', 'Could not save. Please try again.'), 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleShowOnMap = () => {
+    showDayRoute(plan)
+    onClose()
+  }
+
+  const modeLabel = (value) => t(`travel.dayRoute.modes.${value}`, value)
+
+  return createPortal(
+    <motion.div
+      className="modal-overlay day-route-overlay"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="day-route-modal"
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: 50 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <div>
+            <h3>{t('travel.dayRoute.title', 'Optimise my day')}</h3>
+            {dateLabel && <span className="day-route-date">{dateLabel}</span>}
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FiX size={24} />
+          </button>
+        </div>
+
+        <div className="day-route-body">
+          {!plan ? (
+            <>
+              <div className="day-route-modes" role="radiogroup" aria-label={t('travel.dayRoute.mode', 'Getting around')}>
+                {TRAVEL_MODES.map(value => (
+                  <button
+                    key={value}
+                    type="button"
+                    role="radio"
+                    aria-checked={mode === value}
+                    className={`day-route-mode ${mode === value ? 'active' : ''}`}
+                    onClick={() => handleModeChange(value)}
+                  >
+                    {modeLabel(value)}
+                  </button>
+                ))}
+              </div>
+
+              <div className="day-route-window">
+                <label>
+                  <span>{t('travel.dayRoute.dayStart', 'Start the day at')}</span>
+                  <input type="time" value={dayStart} onChange={(e) => setDayStart(e.target.value)} />
+                </label>
+                <label>
+                  <span>{t('travel.dayRoute.dayEnd', 'Finish by')}</span>
+                  <input type="time" value={dayEnd} onChange={(e) => setDayEnd(e.target.value)} />
+                </label>
+              </div>
+
+              {(timedEvents.length > 0 || flexible.length > 0) && (
+                <section className="day-route-section">
+                  <h4>
+                    <FiCalendar size={16} />
+                    {t('travel.dayRoute.events', 'Planned for this day')}
+                  </h4>
+                  {timedEvents.map(event => {
+                    const locked = !unlockedIds.has(String(event.id))
+                    return (
+                      <button
+                        key={event.id}
+                        type="button"
+                        className={`day-route-item ${locked ? 'locked' : ''}`}
+                        onClick={() => toggleIn(setUnlockedIds, String(event.id))}
+                        disabled={!canMoveEvent(event)}
+                        aria-pressed={locked}
+                        title={locked
+                          ? t('travel.dayRoute.unlock', 'Let the optimiser move this')
+                          : t('travel.dayRoute.lock', 'Keep at this time')}
+                      >
+                        {locked ? <FiLock size={14} /> : <FiUnlock size={14} />}
+                        <span className="day-route-item-text">
+                          <span className="day-route-item-title">{event.name}</span>
+                          <span className="day-route-item-meta">
+                            {locked ? event.startTime : t('travel.dayRoute.movable', 'Can be moved')}
+                          </span>
+                        </span>
+                      </button>
+                    )
+                  })}
+                  {flexible.filter(event => !event.startTime).map(event => (
+                    <div key={event.id} className="day-route-item">
+                      <FiClock size={14} />
+                      <span className="day-route-item-text">
+                        <span className="day-route-item-title">{event.name}</span>
+                        <span className="day-route-item-meta">{t('travel.dayRoute.untimed', 'No time yet')}</span>
+                      </span>
+                    </div>
+                  ))}
+                </section>
+              )}
+
+              <section className="day-route-section">
+                <h4>
+                  <FiBookmark size={16} />
+                  {t('travel.dayRoute.places', 'Saved places to fit in')}
+                </h4>
+                {places.length === 0 ? (
+                  <p className="day-route-hint">
+                    {t('travel.dayRoute.noPlaces', 'Save places from the Explore map to add them to a day.')}
+                  </p>
+                ) : places.map(place => (
+                  <label key={place.id} className="day-route-item">
+                    <input
+                      type="checkbox"
+                      checked={selectedPlaceIds.has(String(place.id))}
+                      onChange={() => toggleIn(setSelectedPlaceIds, String(place.id))}
+                    />
+                    <span className="day-route-item-text">
+                      <span className="day-route-item-title">{place.name}</span>
+                      {place.openingHours && <span className="day-route-item-meta">{place.openingHours}</span>}
+                    </span>
+                  </label>
+                ))}
+              </section>
+            </>
+          ) : (
+            <>
+              <p className="day-route-hint">
+                {t('travel.dayRoute.summary', {
+                  count: plan.travelMinutes,
+                  mode: modeLabel(plan.mode),
+                  defaultValue: '{{count}} min travelling ({{mode}})'
+                })}
+              </p>
+              <ol className="day-route-plan">
+                {plan.items.map(item => (
+                  <li key={item.id} className={`day-route-stop-row ${item.kind}`}>
+                    {item.travelMinutes > 0 && (
+                      <div className="day-route-leg-row">
+                        {t('travel.dayRoute.travel', {
+                          count: item.travelMinutes,
+                          mode: modeLabel(plan.mode),
+                          defaultValue: '{{count}} min ({{mode}})'
+                        })}
+                        {item.waitMinutes >= MIN_GAP_MINUTES && (
+                          <span className="day-route-gap-note">
+                            {' \u00b7 '}
+                            {t('travel.dayRoute.freeTime', '{{count}} min free', { count: item.waitMinutes })}
+                          </span>
+                        )}
+                      </div>
+                    )}
+                    <div className="day-route-stop-main">
+                      <span className="day-route-time">{item.startTime}{'\u2013'}{item.endTime}</span>
+                      <span className="day-route-item-title">{item.name}</span>
+                      {item.kind === 'fixed' && <FiLock size={12} className="day-route-fixed-icon" />}
+                    </div>
+                    {item.lateMinutes > 0 && (
+                      <div className="day-route-warning">
+                        <FiAlertTriangle size={12} />
+                        {t('travel.dayRoute.late', { count: item.lateMinutes, defaultValue: 'Arrives {{count}} min late' })}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ol>
+
+              {plan.skipped.length > 0 && (
+                <section className="day-route-section">
+                  <h4>
+                    <FiAlertTriangle size={16} />
+                    {t('travel.dayRoute.skipped', "Doesn't fit this day")}
+                  </h4>
+                  {plan.skipped.map(stop => (
+                    <div key={stop.id} className="day-route-item skipped">
+                      <span className="day-route-item-text">
+                        <span className="day-route-item-title">{stop.name}</span>
+                        <span className="day-route-item-meta">
+                          {t(`travel.dayRoute.reasons.${stop.reason}`, stop.reason)}
+                        </span>
+                      </span>
+                    </div>
+                  ))}
+                </section>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button
+            type="button"
+            className="cancel-btn"
+            onClick={plan ? () => setPlan(null) : onClose}
+            disabled={busy}
+          >
+            {plan ? t('common.back', 'Back') : t('common.cancel', 'Cancel')}
+          </button>
+          {plan ? (
+            <>
+              <button
+                type="button"
+                className="cancel-btn day-route-map-btn"
+                onClick={handleShowOnMap}
+                disabled={busy}
+                title={t('travel.dayRoute.showOnMap', 'Show on map')}
+                aria-label={t('travel.dayRoute.showOnMap', 'Show on map')}
+              >
+                <FiMap size={16} />
+              </button>
+              <button
+                type="button"
+                className="travel-btn"
+                onClick={handleApply}
+                disabled={busy || !plan.items.some(item => item.kind === 'stop')}
+              >
+                {busy ? <FiLoader size={16} className="spinning" /> : t('travel.dayRoute.apply', 'Use these times')}
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              className="travel-btn"
+              onClick={handlePlan}
+              disabled={busy || stopCount === 0}
+            >
+              {busy ? <FiLoader size={16} className="spinning" /> : t('travel.dayRoute.plan', 'Plan route')}
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>,
+    document.body
+  )
+}
+DayRouteModal.displayName = 'DayRouteModal'
+
+export default DayRouteModal
@@ -0,0 +1,294 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { createPortal } from 'react-dom'
+import { useTranslation } from 'react-i18next'
+import { motion, AnimatePresence } from 'framer-motion'
+import { FiUploadCloud, FiRefreshCw, FiX, FiAlertTriangle, FiAlertCircle } from 'react-icons/fi'
+import { useTheme } from '../../../shared/context/ThemeContext'
+import { processSyncQueue, syncQueueService } from '../services/travelApi'
+import {
+  SYNC_CONFLICT_TYPES,
+  getConflictFields,
+  mergeConflictFields,
+  getSyncItemLabel
+} from '../utils/syncConflicts'
+import useIsMobile from '../hooks/useIsMobile'
+import './NotificationCenter.css'
+import './PendingChangesPanel.css'
+
+// Display a queued/server value compactly
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'boolean') return value ? '✓' : '✗'
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text
+}
+
+/**
+ * Pending Changes Panel
+ * Lists travel sync queue items that failed or conflict with a newer server
+ * version, with retry, keep-mine, keep-theirs and field-by-field merge.
+ */
+function PendingChangesPanel({ isOpen, onClose, issues, pendingCount }) {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const isMobile = useIsMobile()
+  const containerRef = useRef(null)
+
+  const [busyId, setBusyId] = useState(null)
+  const [mergingId, setMergingId] = useState(null)
+  const [choices, setChoices] = useState({})
+
+  // Close on click outside
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        onClose()
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [isOpen, onClose])
+
+  // Run a resolution action; the queue event refreshes the list afterwards
+  const runAction = useCallback(async (itemId, action) => {
+    setBusyId(itemId)
+    try {
+      await action()
+    } catch (error) {
+      console.error('Error resolving sync item:', error)
+    } finally {
+      setBusyId(null)
+      setMergingId(null)
+      setChoices({})
+    }
+  }, [])
+
+  const startMerge = useCallback((item) => {
+    setMergingId(item.id)
+    setChoices({})
+  }, [])
+
+  const renderIssue = (item) => {
+    const isConflict = item.status === 'conflict'
+    const isBusy = busyId === item.id
+    const label = getSyncItemLabel(item.data) || getSyncItemLabel(item.serverData)
+    const conflictFields = isConflict && item.serverData
+      ? getConflictFields(item.data, item.serverData)
+      : []
+    const canMerge = item.action === 'update' &&
+      item.conflictType === SYNC_CONFLICT_TYPES.MODIFIED_REMOTELY &&
+      conflictFields.length > 0
+
+    return (
+      <motion.div
+        key={item.id}
+        className={`pending-change-item ${item.status}`}
+        initial={{ opacity: 0, x: -10 }}
+        animate={{ opacity: 1, x: 0 }}
+        exit={{ opacity: 0, x: 10 }}
+      >
+        <div className="pending-change-icon">
+          {isConflict ? <FiAlertTriangle /> : <FiAlertCircle />}
+        </div>
+
+        <div className="pending-change-content">
+          <div className="pending-change-title">
+            {t(`travel.sync.actions.${item.action}`, item.action)}
+            {' · '}
+            {t(`travel.sync.tables.${item.table}`, item.table)}
+            {label && <span className="pending-change-label">{label}</span>}
+          </div>
+          <div className="pending-change-body">
+            {isConflict
+              ? (item.conflictType === SYNC_CONFLICT_TYPES.DELETED_REMOTELY
+                ? t('travel.sync.deletedRemotely', 'This item was deleted on another device.')
+                : t('travel.sync.modifiedRemotely', 'This item was changed on another device after your edit.'))
+              : (item.error || t('travel.sync.failed', 'Could not be synced.'))}
+          </div>
+
+          {mergingId === item.id && (
+            <div className="pending-change-merge">
+              {conflictFields.map(({ field, mine, theirs }) => (
+                <div key={field} className="merge-field">
+                  <span className="merge-field-name">{field}</span>
+                  <div className="merge-field-options">
+                    <button
+                      type="button"
+                      className={`merge-option ${(choices[field] || 'mine') === 'mine' ? 'selected' : ''}`}
+                      onClick={() => setChoices(prev => ({ ...prev, [field]: 'mine' }))}
+                    >
+                      {t('travel.sync.mine', 'Mine')}: {formatValue(mine)}
+                    </button>
+                    <button
+                      type="button"
+                      className={`merge-option ${choices[field] === 'theirs' ? 'selected' : ''}`}
+                      onClick={() => setChoices(prev => ({ ...prev, [field]: 'theirs' }))}
+                    >
+                      {t('travel.sync.theirs', 'Theirs')}: {formatValue(theirs)}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="pending-change-actions">
+            {isConflict ? (
+              mergingId === item.id ? (
+                <>
+                  <button
+                    className="pending-action primary"
+                    disabled={isBusy}
+                    onClick={() => runAction(item.id, () =>
+                      syncQueueService.merge(item.id, mergeConflictFields(item.data, item.serverData, choices))
+                    )}
+                  >
+                    {t('travel.sync.applyMerge', 'Apply merge')}
+                  </button>
+                  <button className="pending-action" disabled={isBusy} onClick={() => setMergingId(null)}>
+                    {t('common.cancel', 'Cancel')}
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    className="pending-action primary"
+                    disabled={isBusy}
+                    onClick={() => runAction(item.id, () => syncQueueService.keepMine(item.id))}
+                  >
+                    {t('travel.sync.keepMine', 'Keep mine')}
+                  </button>
+                  <button
+                    className="pending-action"
+                    disabled={isBusy}
+                    onClick={() => runAction(item.id, () => syncQueueService.keepTheirs(item.id))}
+                  >
+                    {t('travel.sync.keepTheirs', 'Keep theirs')}
+                  </button>
+                  {canMerge && (
+                    <button className="pending-action" disabled={isBusy} onClick={() => startMerge(item)}>
+                      {t('travel.sync.merge', 'Merge')}
+                    </button>
+                  )}
+                </>
+              )
+            ) : (
+              <>
+                <button
+                  className="pending-action primary"
+                  disabled={isBusy}
+                  onClick={() => runAction(item.id, () => syncQueueService.retry(item.id))}
+                >
+                  {t('travel.sync.retry', 'Retry')}
+                </button>
+                <button
+                  className="pending-action danger"
+                  disabled={isBusy}
+                  onClick={() => runAction(item.id, () => syncQueueService.discard(item.id))}
+                >
+                  {t('travel.sync.discard', 'Discard')}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    )
+  }
+
+  const panelContent = (
+    <motion.div
+      key="pending-changes-panel"
+      ref={containerRef}
+      className={`notification-center pending-changes-panel ${isMobile ? 'mobile-portal' : ''}`}
+      initial={isMobile ? { y: '100%' } : { opacity: 0, y: -10, scale: 0.95 }}
+      animate={isMobile ? { y: 0 } : { opacity: 1, y: 0, scale: 1 }}
+      exit={isMobile ? { y: '100%' } : { opacity: 0, y: -10, scale: 0.95 }}
+      transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+    >
+      <div className="notification-center-header">
+        <div className="header-title">
+          <FiUploadCloud />
+          <h3>{t('travel.sync.title', 'Pending changes')}</h3>
+          {issues.length > 0 && (
+            <span className="unread-badge">{issues.length}</span>
+          )}
+        </div>
+        <div className="header-actions">
+          {pendingCount > 0 && (
+            <button
+              className="action-btn"
+              onClick={() => runAction('all', processSyncQueue)}
+              disabled={busyId === 'all' || !navigator.onLine}
+              title={t('travel.sync.syncNow', 'Sync now')}
+            >
+              <FiRefreshCw />
+            </button>
+          )}
+          <button
+            className="action-btn close-btn"
+            onClick={onClose}
+            title={t('common.close', 'Close')}
+          >
+            <FiX />
+          </button>
+        </div>
+      </div>
+
+      <div className="notification-center-content">
+        {pendingCount > 0 && (
+          <div className="pending-changes-summary">
+            {t('travel.sync.waiting', '{{count}} change(s) waiting to sync', { count: pendingCount })}
+          </div>
+        )}
+        {issues.length === 0 ? (
+          <div className="empty-state">
+            <FiUploadCloud className="empty-icon" />
+            <p>{t('travel.sync.noIssues', 'Everything is in sync')}</p>
+          </div>
+        ) : (
+          <div className="notification-list">
+            <AnimatePresence>
+              {issues.map(renderIssue)}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  )
+
+  // Mobile: bottom sheet in a portal (same pattern as NotificationCenter)
+  if (isMobile) {
+    return createPortal(
+      <div className="notification-portal-root" data-theme={theme} style={{ isolation: 'isolate' }}>
+        <AnimatePresence>
+          {isOpen && (
+            <>
+              <motion.div
+                key="pending-changes-backdrop"
+                className="notification-mobile-backdrop"
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                onClick={onClose}
+              />
+              {panelContent}
+            </>
+          )}
+        </AnimatePresence>
+      </div>,
+      document.body
+    )
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && panelContent}
+    </AnimatePresence>
+  )
+}
+
+export default PendingChangesPanel
@@ -298,6 +298,26 @@ function TravelChatbot({ onNavigate, open: controlledOpen, onClose }) {
     setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, typing: false } : msg)))
   }
 
+  // AI replies are shown as they stream in; these manage that growing message
+  const startStreamingMessage = (text) => {
+    const id = `stream-${Date.now()}`
+    setMessages(prev => [
+      ...prev,
+      { id, role: 'bot', message: text, type: 'text', timestamp: new Date(), streaming: true }
+    ])
+    if (!isOpen || isMinimized) setUnreadCount(c => c + 1)
+    return id
+  }
+
+  const updateStreamingMessage = (id, text) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, message: text } : msg)))
+    scrollToBottomIfNeeded()
+  }
+
+  const finishStreamingMessage = (id) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, streaming: false } : msg)))
+  }
+
   const addUserMessage = (message, attachmentDisplay = null) => {
     setMessages(prev => [
       ...prev,
@@ -366,6 +386,7 @@ function TravelChatbot({ onNavigate, open: controlledOpen, onClose }) {
       setAbortController(controller)
     }
     setLoading(true)
+    let streamId = null
     try {
       const history = messages.map(m => ({ role: m.role, message: m.message, timestamp: m.timestamp }))
       const tripContext = buildTripContext(activeTrip)
@@ -389,11 +410,15 @@ function TravelChatbot({ onNavigate, open: controlledOpen, onClose }) {
           addBotMessage(displayMessage, 'text')
         } else {
           const aiHistory = [...history, { role: 'user', message: messageForAi }]
-          const response = await aiGatewayService.chat(aiHistory, {
+          const response = await aiGatewayService.chatStream(aiHistory, {
             signal: controller?.signal,
-            attachments: attachmentsPayload?.length ? attachmentsPayload : undefined
+            attachments: attachmentsPayload?.length ? attachmentsPayload : undefined,
+            onToken: (_, text) => {
+              if (streamId) updateStreamingMessage(streamId, text)
+              else streamId = startStreamingMessage(text)
+            }
           })
-          addBotMessage(response.message.content, 'text')
+          if (!streamId) addBotMessage(response.message.content, 'text')
         }
       } else {
         // Rule-based: backend may not have travel-chatbot; show friendly fallback
@@ -440,6 +465,7 @@ function TravelChatbot({ onNavigate, open: controlledOpen, onClose }) {
       }
       console.error('Travel chatbot error:', error)
     } finally {
+      if (streamId) finishStreamingMessage(streamId)
       setLoading(false)
       setAbortController(null)
     }
@@ -786,6 +812,7 @@ function TravelChatbot({ onNavigate, open: controlledOpen, onClose }) {
                             <ReactMarkdown remarkPlugins={[remarkGfm, remarkBreaks]}>
                               {msg.message}
                             </ReactMarkdown>
+                            {msg.streaming && <span className="travel-chatbot-cursor" />}
                           </div>
                         )}
                       </div>
@@ -818,7 +845,7 @@ function TravelChatbot({ onNavigate, open: controlledOpen, onClose }) {
                         </div>
                       )}
                       {!msg.typing && msg.actionLink && getActionLinkElement(msg.actionLink)}
-                      {msg.role === 'bot' && !msg.typing && (
+                      {msg.role === 'bot' && !msg.typing && !msg.streaming && (
                         <div className="travel-chatbot-message-export-actions">
                           <button
                             type="button"
@@ -857,7 +884,7 @@ function TravelChatbot({ onNavigate, open: controlledOpen, onClose }) {
                     </div>
                   </div>
                 ))}
-                {loading && (
+                {loading && !messages.some(msg => msg.streaming) && (
                   <div className="travel-chatbot-message bot">
                     <div className="travel-chatbot-message-avatar">✈️</div>
                     <div className="travel-chatbot-message-content">
@@ -1,7 +1,7 @@
 import { memo, useState, useCallback } from 'react'
 import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
-import { FiRefreshCw, FiMapPin, FiCalendar, FiSun, FiMoon } from 'react-icons/fi'
+import { FiRefreshCw, FiMapPin, FiCalendar, FiSun, FiMoon, FiUploadCloud } from 'react-icons/fi'
 import { RiPlaneLine } from 'react-icons/ri'
 import { useTravelMode } from '../context/TravelModeContext'
 import { useTheme } from '../../../shared/context/ThemeContext'
@@ -10,6 +10,8 @@ import { useNotifications } from '../context/NotificationContext'
 import TripSelector from './TripSelector'
 import NotificationBadge from './NotificationBadge'
 import NotificationCenter from './NotificationCenter'
+import PendingChangesPanel from './PendingChangesPanel'
+import useSyncQueueStatus from '../hooks/useSyncQueueStatus'
 import '../styles/TravelLayout.css'
 
 /**
@@ -28,6 +30,8 @@ const TravelHeader = memo(({ trip, syncStatus, isDiscoveryMode = false, onNaviga
   const { unreadCount } = useNotifications()
   const [isHovered, setIsHovered] = useState(false)
   const [isNotificationCenterOpen, setIsNotificationCenterOpen] = useState(false)
+  const [isPendingPanelOpen, setIsPendingPanelOpen] = useState(false)
+  const { issues: syncIssues, pendingCount } = useSyncQueueStatus()
 
   // Handle opening notification settings page
   const handleOpenNotificationSettings = useCallback(() => {
@@ -151,6 +155,31 @@ const TravelHeader = memo(({ trip, syncStatus, isDiscoveryMode = false, onNaviga
 
         {/* Sync status indicator */}
         <div className="travel-header-actions">
+          {/* Pending sync changes - only shown while something is queued */}
+          {(syncIssues.length > 0 || pendingCount > 0 || isPendingPanelOpen) && (
+            <div style={{ position: 'relative', marginRight: '4px' }}>
+              <button
+                className="notification-badge"
+                onClick={() => setIsPendingPanelOpen(!isPendingPanelOpen)}
+                aria-label={t('travel.sync.title', 'Pending changes')}
+                title={t('travel.sync.title', 'Pending changes')}
+              >
+                <FiUploadCloud className="notification-icon" />
+                {(syncIssues.length > 0 || pendingCount > 0) && (
+                  <span className={`notification-count pending-changes-count ${syncIssues.length > 0 ? 'has-issues' : ''}`}>
+                    {syncIssues.length || pendingCount}
+                  </span>
+                )}
+              </button>
+              <PendingChangesPanel
+                isOpen={isPendingPanelOpen}
+                onClose={() => setIsPendingPanelOpen(false)}
+                issues={syncIssues}
+                pendingCount={pendingCount}
+              />
+            </div>
+          )}
+
           {/* Notification Bell */}
           <div style={{ position: 'relative', marginRight: '8px' }}>
             <NotificationBadge
@@ -1,17 +1,36 @@
-import { memo, useCallback, useRef, useEffect, useState } from 'react'
+import { memo, useCallback, useRef, useEffect, useState, useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
 import { motion } from 'framer-motion'
-import { FiHome } from 'react-icons/fi'
+import { FiHome, FiX } from 'react-icons/fi'
 import { useTravelMode } from '../../context/TravelModeContext'
 import POIMarker from './POIMarker'
 import { MAP_STYLES, DISCOVERY_MAP_CONFIG } from '../../utils/travelConstants'
 import { reverseGeocode } from '../../services/discoveryService'
 
 // react-map-gl v8 requires subpath imports for Mapbox
-import { Map, Marker, GeolocateControl } from 'react-map-gl/mapbox'
+import { Map, Marker, GeolocateControl, Source, Layer } from 'react-map-gl/mapbox'
 import 'mapbox-gl/dist/mapbox-gl.css'
 
 const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || ''
 
+// Day route legs: the routed line when Directions returned one, else a straight dashed line
+const legCoordinates = (item) => item.geometry?.coordinates || [
+  [Number(item.from.longitude), Number(item.from.latitude)],
+  [Number(item.longitude), Number(item.latitude)]
+]
+
+// Where a leg's travel time label sits: halfway along the leg
+const legMidpoint = (item) => {
+  const coordinates = legCoordinates(item)
+  const [longitude, latitude] = coordinates.length > 2
+    ? coordinates[Math.floor(coordinates.length / 2)]
+    : [(coordinates[0][0] + coordinates[1][0]) / 2, (coordinates[0][1] + coordinates[1][1]) / 2]
+  return { latitude, longitude }
+}
+
+// Free time worth pointing out between two stops
+const MIN_GAP_MINUTES = 15
+
 /**
  * DiscoveryMap Component
  * Interactive Mapbox GL map for Discovery Mode
@@ -26,7 +45,8 @@ const DiscoveryMap = memo(({
   showTripMarker = true,
   mapStyle = 'detailed'
 }) => {
-  const { activeTrip, activeTripCities, mapViewState, updateMapViewState } = useTravelMode()
+  const { t } = useTranslation()
+  const { activeTrip, activeTripCities, mapViewState, updateMapViewState, dayRoute, clearDayRoute } = useTravelMode()
   const mapRef = useRef(null)
   const longPressTimer = useRef(null)
   const isLongPress = useRef(false)
@@ -165,6 +185,20 @@ const DiscoveryMap = memo(({
     }
   }, [activeTrip, activeTripCities, homeLocation, updateMapViewState]) // REMOVED mapViewState from dependencies to break loop
 
+  const dayRouteGeojson = useMemo(() => {
+    if (!dayRoute) return null
+    return {
+      type: 'FeatureCollection',
+      features: dayRoute.items
+        .filter(item => item.from)
+        .map(item => ({
+          type: 'Feature',
+          properties: { estimated: !item.geometry },
+          geometry: { type: 'LineString', coordinates: legCoordinates(item) }
+        }))
+    }
+  }, [dayRoute])
+
   /**
    * Handle map move end - sync to context
    */
@@ -460,6 +494,67 @@ const DiscoveryMap = memo(({
               </Marker>
             ))}
 
+        {/* Optimised day route: legs, travel time and free time between stops, numbered stops */}
+        {dayRouteGeojson && (
+          <Source id="day-route" type="geojson" data={dayRouteGeojson}>
+            <Layer
+              id="day-route-line"
+              type="line"
+              filter={['!', ['get', 'estimated']]}
+              layout={{ 'line-cap': 'round', 'line-join': 'round' }}
+              paint={{ 'line-color': '#8b5cf6', 'line-width': 4, 'line-opacity': 0.85 }}
+            />
+            <Layer
+              id="day-route-line-estimated"
+              type="line"
+              filter={['get', 'estimated']}
+              paint={{ 'line-color': '#8b5cf6', 'line-width': 3, 'line-opacity': 0.7, 'line-dasharray': [2, 2] }}
+            />
+          </Source>
+        )}
+
+        {dayRoute?.items
+          .filter(item => item.from && (item.travelMinutes > 0 || item.waitMinutes >= MIN_GAP_MINUTES))
+          .map(item => {
+            const midpoint = legMidpoint(item)
+            return (
+              <Marker
+                key={`day-route-leg-${item.id}`}
+                latitude={midpoint.latitude}
+                longitude={midpoint.longitude}
+                anchor="center"
+              >
+                <div className="day-route-leg">
+                  <span>{t('travel.dayRoute.travelTime', '{{count}} min', { count: item.travelMinutes })}</span>
+                  {item.waitMinutes >= MIN_GAP_MINUTES && (
+                    <span className="day-route-gap">
+                      {t('travel.dayRoute.freeTime', '{{count}} min free', { count: item.waitMinutes })}
+                    </span>
+                  )}
+                </div>
+              </Marker>
+            )
+          })}
+
+        {dayRoute?.items
+          .filter(item => item.latitude != null && item.longitude != null)
+          .map((item, index) => (
+            <Marker
+              key={`day-route-stop-${item.id}`}
+              latitude={Number(item.latitude)}
+              longitude={Number(item.longitude)}
+              anchor="center"
+            >
+              <div className={`discovery-city-marker day-route-stop ${item.kind === 'fixed' ? 'fixed' : ''}`}>
+                <div className="discovery-city-badge">{index + 1}</div>
+                <div className="discovery-city-label">
+                  <span className="discovery-city-name">{item.name}</span>
+                  <span className="discovery-city-country">{item.startTime}{'\u2013'}{item.endTime}</span>
+                </div>
+              </div>
+            </Marker>
+          ))}
+
         {/* POI markers - deduplicate by id/poiId to prevent duplicate key warnings */}
         {(() => {
           const seen = new Set()
@@ -549,6 +644,26 @@ const DiscoveryMap = memo(({
           </Marker>
         ))}
       </Map>
+
+      {dayRoute && (
+        <div className="day-route-summary">
+          <div className="day-route-summary-text">
+            <strong>{t('travel.dayRoute.mapTitle', 'Optimised day')}</strong>
+            <span>
+              {t(`travel.dayRoute.modes.${dayRoute.mode}`, dayRoute.mode)}
+              {' \u00b7 '}
+              {t('travel.dayRoute.totalTravel', '{{count}} min travelling', { count: dayRoute.travelMinutes })}
+            </span>
+          </div>
+          <button
+            className="day-route-summary-close"
+            onClick={clearDayRoute}
+            aria-label={t('travel.dayRoute.hide', 'Hide route')}
+          >
+            <FiX size={16} />
+          </button>
+        </div>
+      )}
     </motion.div>
   )
 })
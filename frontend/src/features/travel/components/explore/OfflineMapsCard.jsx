@@ -0,0 +1,213 @@
+import { memo, useState, useEffect, useCallback, useRef } from 'react'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { FiDownloadCloud, FiDownload, FiRefreshCw, FiTrash2, FiX, FiCheckCircle, FiLoader } from 'react-icons/fi'
+import useToast from '../../../../shared/hooks/useToast'
+import { useTravelMode } from '../../context/TravelModeContext'
+import { OFFLINE_MAP_TILES_ENABLED, offlinePackId, offlinePackService } from '../../services/offlinePackService'
+import { formatPackSize } from '../../utils/offlineMaps'
+
+/**
+ * Offline Maps Card
+ * Lets travellers save each trip city's nearby places, and map where tiles may be stored, for use
+ * without data.
+ * Single-destination trips get one entry for the destination itself.
+ */
+const OfflineMapsCard = memo(({ trip, cities = [] }) => {
+  const { t } = useTranslation()
+  const { addToast } = useToast()
+  const { isOnline } = useTravelMode()
+  const [packs, setPacks] = useState({})
+  const [usage, setUsage] = useState(null)
+  const [progress, setProgress] = useState({})
+  const controllers = useRef({})
+
+  const places = (cities.length > 0
+    ? cities
+    : [{ id: null, name: trip.destination, latitude: trip.latitude, longitude: trip.longitude }]
+  ).filter(city => city.latitude != null && city.longitude != null)
+
+  const loadPacks = useCallback(async () => {
+    try {
+      const list = await offlinePackService.getByTrip(trip.id)
+      setPacks(Object.fromEntries(list.map(pack => [pack.id, pack])))
+      setUsage(await offlinePackService.getUsage())
+    } catch (error) {
+      console.error('Error loading offline packs:', error)
+    }
+  }, [trip.id])
+
+  useEffect(() => {
+    loadPacks()
+  }, [loadPacks])
+
+  const handleDownload = async (city) => {
+    const id = offlinePackId(trip.id, city)
+    const controller = new AbortController()
+    controllers.current[id] = controller
+    setProgress(prev => ({ ...prev, [id]: { done: 0, total: 0 } }))
+
+    try {
+      const pack = await offlinePackService.download({
+        tripId: trip.id,
+        city,
+        signal: controller.signal,
+        onProgress: (step) => setProgress(prev => ({ ...prev, [id]: step }))
+      })
+      if (pack.status === 'partial' && pack.missingCategories?.length > 0) {
+        addToast(t('travel.offlineMaps.placesMissing', 'Some places around {{city}} could not be saved. Download again to retry.', { city: pack.name }), 'warning')
+      } else if (pack.status === 'partial') {
+        addToast(t('travel.offlineMaps.partial', 'Storage limit reached; part of {{city}} was saved', { city: pack.name }), 'warning')
+      } else {
+        addToast(t('travel.offlineMaps.ready', '{{city}} is available offline', { city: pack.name }), 'success')
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error downloading offline pack:', error)
+        addToast(t('travel.offlineMaps.error', 'Could not download this city. Please try again.'), 'error')
+      }
+    } finally {
+      delete controllers.current[id]
+      setProgress(prev => {
+        const next = { ...prev }
+        delete next[id]
+        return next
+      })
+      loadPacks()
+    }
+  }
+
+  const handleRemove = async (id) => {
+    try {
+      await offlinePackService.remove(id)
+      addToast(t('travel.offlineMaps.removed', 'Offline copy removed'), 'success')
+    } catch (error) {
+      console.error('Error removing offline pack:', error)
+      addToast(t('travel.offlineMaps.removeError', 'Could not remove the offline copy'), 'error')
+    } finally {
+      loadPacks()
+    }
+  }
+
+  const describe = (id, pack) => {
+    const step = progress[id]
+    if (step || pack?.status === 'downloading') {
+      const percent = step?.total ? Math.round((step.done / step.total) * 100) : 0
+      return t('travel.offlineMaps.downloading', 'Downloading\u2026 {{percent}}%', { percent })
+    }
+    if (!pack) return t('travel.offlineMaps.notSaved', 'Not saved')
+    const details = t('travel.offlineMaps.details', '{{size}} \u00b7 {{count}} places', {
+      size: formatPackSize(pack.bytes),
+      count: pack.poiCount
+    })
+    return pack.status === 'partial'
+      ? `${t('travel.offlineMaps.partlySaved', 'Partly saved')} \u00b7 ${details}`
+      : details
+  }
+
+  if (places.length === 0) return null
+
+  return (
+    <motion.div
+      className="explore-card offline-maps-card"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.2 }}
+    >
+      <div className="card-header">
+        <div className="card-icon primary-bg">
+          <FiDownloadCloud size={20} />
+        </div>
+        <div className="card-title">
+          <h3>
+            {OFFLINE_MAP_TILES_ENABLED
+              ? t('travel.offlineMaps.title', 'Offline maps')
+              : t('travel.offlineMaps.titlePlaces', 'Offline places')}
+          </h3>
+          <span className="card-subtitle">
+            {OFFLINE_MAP_TILES_ENABLED
+              ? t('travel.offlineMaps.subtitle', 'Map and nearby places without data')
+              : t('travel.offlineMaps.subtitlePlaces', 'Nearby places without data')}
+          </span>
+        </div>
+      </div>
+
+      <div className="offline-maps-list">
+        {places.map(city => {
+          const id = offlinePackId(trip.id, city)
+          const pack = packs[id]
+          const busy = Boolean(progress[id]) || pack?.status === 'downloading'
+
+          return (
+            <div key={id} className="offline-maps-item">
+              <div className="offline-maps-text">
+                <span className="offline-maps-name">
+                  {city.name}
+                  {pack?.status === 'ready' && !busy && <FiCheckCircle size={14} className="offline-maps-ready" />}
+                </span>
+                <span className="offline-maps-meta">{describe(id, pack)}</span>
+              </div>
+              <div className="offline-maps-actions">
+                {busy ? (
+                  controllers.current[id] ? (
+                    <button
+                      type="button"
+                      className="offline-maps-btn"
+                      onClick={() => controllers.current[id]?.abort()}
+                      title={t('common.cancel', 'Cancel')}
+                      aria-label={t('common.cancel', 'Cancel')}
+                    >
+                      <FiX size={16} />
+                    </button>
+                  ) : (
+                    <FiLoader size={16} className="travel-spinner" />
+                  )
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      className="offline-maps-btn"
+                      onClick={() => handleDownload(city)}
+                      disabled={!isOnline}
+                      title={pack
+                        ? t('travel.offlineMaps.refresh', 'Download again')
+                        : t('travel.offlineMaps.download', 'Save for offline')}
+                      aria-label={pack
+                        ? t('travel.offlineMaps.refresh', 'Download again')
+                        : t('travel.offlineMaps.download', 'Save for offline')}
+                    >
+                      {pack ? <FiRefreshCw size={16} /> : <FiDownload size={16} />}
+                    </button>
+                    {pack && (
+                      <button
+                        type="button"
+                        className="offline-maps-btn"
+                        onClick={() => handleRemove(id)}
+                        title={t('travel.offlineMaps.remove', 'Remove offline copy')}
+                        aria-label={t('travel.offlineMaps.remove', 'Remove offline copy')}
+                      >
+                        <FiTrash2 size={16} />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      {usage && (
+        <p className="offline-maps-note">
+          {t('travel.offlineMaps.usage', '{{used}} of {{budget}} used; the least recently used cities are removed first', {
+            used: formatPackSize(usage.usedBytes),
+            budget: formatPackSize(usage.budgetBytes)
+          })}
+        </p>
+      )}
+    </motion.div>
+  )
+})
+
+OfflineMapsCard.displayName = 'OfflineMapsCard'
+export default OfflineMapsCard
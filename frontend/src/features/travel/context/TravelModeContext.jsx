@@ -45,6 +45,8 @@ export const TravelModeProvider = ({ children }) => {
   const [activeTripCities, setActiveTripCities] = useState([])
   const [backgroundMapCities, setBackgroundMapCities] = useState([])
   const [mapViewState, setMapViewState] = useState(null)
+  // Optimised day route drawn on the Discovery map
+  const [dayRoute, setDayRoute] = useState(null)
 
   // Scroll positions preservation for Discovery Mode
   const scrollPositionsRef = useRef({})
@@ -424,6 +426,7 @@ export const TravelModeProvider = ({ children }) => {
   const exitDiscoveryMode = useCallback(() => {
     setIsDiscoveryMode(false)
     setSelectedPOI(null)
+    setDayRoute(null)
 
     // Restore scroll positions after a brief delay for DOM to update
     requestAnimationFrame(() => {
@@ -443,6 +446,32 @@ export const TravelModeProvider = ({ children }) => {
     })
   }, [])
 
+  /**
+   * Show an optimised day route on the Discovery map, centred on its first stop
+   */
+  const showDayRoute = useCallback((route) => {
+    enterDiscoveryMode()
+    setDayRoute(route)
+
+    const first = route?.items?.find(item => item.latitude != null && item.longitude != null)
+    if (first) {
+      setMapViewState({
+        latitude: Number(first.latitude),
+        longitude: Number(first.longitude),
+        zoom: 14,
+        pitch: 0,
+        bearing: 0
+      })
+    }
+  }, [enterDiscoveryMode])
+
+  /**
+   * Remove the day route from the map
+   */
+  const clearDayRoute = useCallback(() => {
+    setDayRoute(null)
+  }, [])
+
   /**
    * Select a POI to show in detail sheet
    */
@@ -514,6 +543,9 @@ export const TravelModeProvider = ({ children }) => {
       activeTripCities,
       backgroundMapCities,
       setBackgroundMapCities,
+      dayRoute,
+      showDayRoute,
+      clearDayRoute,
 
       // Online status
       isOnline,
@@ -552,6 +584,9 @@ export const TravelModeProvider = ({ children }) => {
       activeTripCities,
       backgroundMapCities,
       setBackgroundMapCities,
+      dayRoute,
+      showDayRoute,
+      clearDayRoute,
       isOnline,
       syncStatus,
       setSyncStatus,
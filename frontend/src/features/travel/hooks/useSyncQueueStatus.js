@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react'
+import { syncQueueService, SYNC_QUEUE_EVENT } from '../services/travelApi'
+
+/**
+ * Tracks the travel sync queue: items needing attention (failed/conflict)
+ * and how many changes are still waiting to be sent.
+ * Refreshes whenever travelApi reports a queue change.
+ */
+const useSyncQueueStatus = () => {
+  const [issues, setIssues] = useState([])
+  const [pendingCount, setPendingCount] = useState(0)
+
+  const refresh = useCallback(async () => {
+    const [items, count] = await Promise.all([
+      syncQueueService.getIssues(),
+      syncQueueService.getPendingCount()
+    ])
+    setIssues(items)
+    setPendingCount(count)
+  }, [])
+
+  useEffect(() => {
+    refresh()
+    window.addEventListener(SYNC_QUEUE_EVENT, refresh)
+    return () => window.removeEventListener(SYNC_QUEUE_EVENT, refresh)
+  }, [refresh])
+
+  return { issues, pendingCount, refresh }
+}
+
+export default useSyncQueueStatus
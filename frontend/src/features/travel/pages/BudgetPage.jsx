@@ -57,7 +57,8 @@ const AddExpenseModal = ({ trip, onClose, onSave, formatCurrency }) => {
     amount: '',
     currency: trip?.budgetCurrency || 'EUR',
     description: '',
-    date: new Date().toISOString().split('T')[0]
+    date: new Date().toISOString().split('T')[0],
+    sharedPaidBy: '' // '' = not shared, otherwise who paid ('me' | 'partner')
   })
   const [saving, setSaving] = useState(false)
 
@@ -67,10 +68,14 @@ const AddExpenseModal = ({ trip, onClose, onSave, formatCurrency }) => {
 
     setSaving(true)
     onClose()
+    const { sharedPaidBy, ...expenseData } = formData
     await onSave({
-      ...formData,
+      ...expenseData,
       amount: parseFloat(formData.amount),
-      amountInBaseCurrency: parseFloat(formData.amount)
+      amountInBaseCurrency: parseFloat(formData.amount),
+      // Shared expenses are split equally and feed the partner ledger; '' stops sharing on edit
+      paidBy: sharedPaidBy || '',
+      splitPercentage: sharedPaidBy ? 50 : null
     })
     setSaving(false)
   }
@@ -184,6 +189,19 @@ const AddExpenseModal = ({ trip, onClose, onSave, formatCurrency }) => {
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="sharedPaidBy">{t('travel.budget.sharedWithPartner', 'Shared with partner')}</label>
+            <select
+              id="sharedPaidBy"
+              value={formData.sharedPaidBy}
+              onChange={(e) => setFormData(prev => ({ ...prev, sharedPaidBy: e.target.value }))}
+            >
+              <option value="">{t('travel.budget.notShared', 'Not shared')}</option>
+              <option value="me">{t('travel.budget.splitIPaid', 'Split 50/50 – I paid')}</option>
+              <option value="partner">{t('travel.budget.splitPartnerPaid', 'Split 50/50 – partner paid')}</option>
+            </select>
+          </div>
+
           <div className="modal-footer">
             <button type="button" className="cancel-btn" onClick={onClose}>
               {t('common.cancel', 'Cancel')}
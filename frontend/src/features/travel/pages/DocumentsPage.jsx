@@ -24,7 +24,8 @@ import {
   FiPaperclip,
   FiGlobe,
   FiMessageCircle,
-  FiLoader
+  FiLoader,
+  FiInbox
 } from 'react-icons/fi'
 import { documentService, uploadTravelFile, tripCityService, noteService } from '../services/travelApi'
 import { getCountryFromPlaceName } from '../services/discoveryService'
@@ -32,6 +33,7 @@ import { getAdvisories } from '../services/travelAdvisoryService'
 import TravelAdvisoryCard from '../components/TravelAdvisoryCard'
 import { DOCUMENT_TYPES } from '../utils/travelConstants'
 import DatePicker from '../components/DatePicker'
+import BookingImportModal from '../components/BookingImportModal'
 import '../styles/Documents.css'
 
 // Document type icons mapping
@@ -229,6 +231,7 @@ const DocumentsPage = memo(({ trip }) => {
   const [showAddModal, setShowAddModal] = useState(false)
   const [editingDocument, setEditingDocument] = useState(null)
   const [showAiHelper, setShowAiHelper] = useState(false)
+  const [showBookingImport, setShowBookingImport] = useState(false)
   // Notes state - Persisted via API
   const [notesTitle, setNotesTitle] = useState('')
   const [notesBody, setNotesBody] = useState('')
@@ -686,6 +689,15 @@ const DocumentsPage = memo(({ trip }) => {
             </span>
           </button>
 
+          <button
+            type="button"
+            className="ai-helper-btn"
+            onClick={() => setShowBookingImport(true)}
+          >
+            <FiInbox size={16} />
+            <span>{t('travel.bookingImport.openShort', 'Import booking')}</span>
+          </button>
+
           <button className="add-btn" onClick={() => setShowAddModal(true)}>
             <FiPlus size={20} />
           </button>
@@ -866,6 +878,17 @@ const DocumentsPage = memo(({ trip }) => {
             onClose={() => setShowAiHelper(false)}
           />
         )}
+        {showBookingImport && (
+          <BookingImportModal
+            trip={trip}
+            onClose={() => setShowBookingImport(false)}
+            onImported={async (result) => {
+              if (result.documents === 0) return
+              const refreshedDocs = await documentService.getByTrip(trip.id)
+              setDocuments(refreshedDocs || [])
+            }}
+          />
+        )}
       </AnimatePresence>
     </div>
   )
@@ -24,6 +24,7 @@ import { tripCityService, savedPlaceService } from '../services/travelApi'
 import useDiscoveryMode from '../hooks/useDiscoveryMode'
 import EmergencyCard from '../components/explore/EmergencyCard'
 import PhrasebookCard from '../components/explore/PhrasebookCard'
+import OfflineMapsCard from '../components/explore/OfflineMapsCard'
 import { useTravelMode } from '../context/TravelModeContext'
 import TravelAdvisoryCard from '../components/TravelAdvisoryCard'
 import { getAdvisoryForTrip, getAdvisories } from '../services/travelAdvisoryService'
@@ -459,6 +460,7 @@ const ExplorePage = memo(({ trip }) => {
             <div className="essentials-grid">
               <EmergencyCard data={getDestinationInfo(trip.destination)} />
               <PhrasebookCard data={getDestinationInfo(trip.destination)} />
+              <OfflineMapsCard trip={trip} cities={tripCities} />
             </div>
           </section>
         )
@@ -1,4 +1,4 @@
-import { useState, useEffect, memo } from 'react'
+import { useState, useEffect, useRef, memo } from 'react'
 import { createPortal } from 'react-dom'
 import { useTranslation } from 'react-i18next'
 import { motion, AnimatePresence } from 'framer-motion'
@@ -19,15 +19,38 @@ import {
   FiCoffee,
   FiTruck,
   FiPaperclip,
-  FiLoader
+  FiLoader,
+  FiDownload,
+  FiUpload,
+  FiRss,
+  FiCopy,
+  FiRefreshCw,
+  FiInbox,
+  FiGlobe
 } from 'react-icons/fi'
 import { RiFlightTakeoffLine, RiPlaneLine } from 'react-icons/ri'
-import { itineraryService, uploadTravelFile, savedPlaceService, tripCityService } from '../services/travelApi'
+import { itineraryService, itineraryCalendarService, uploadTravelFile, savedPlaceService, tripCityService } from '../services/travelApi'
+import { parseICalendar, icsEventsToItinerary, fromZonedParts } from '../utils/icalendar'
+import {
+  convertTime,
+  eventTimeZone,
+  flightZones,
+  formatDayOffset,
+  formatZoneName,
+  getHomeTimeZone,
+  resolveEventEnd,
+  todayIn,
+  zoneForDate
+} from '../utils/timeZones'
+import { formatDate as formatLocalizedDate } from '../utils/dateFormatter'
+import { ensureTimeZones } from '../services/timeZoneService'
 
 import { ITINERARY_TYPES } from '../utils/travelConstants'
 import DatePicker from '../components/DatePicker'
 import '../styles/Itinerary.css'
 import FlightStatus from '../components/FlightStatus'
+import BookingImportModal from '../components/BookingImportModal'
+import DayRouteModal from '../components/DayRouteModal'
 
 // Event type icons mapping
 const eventIcons = {
@@ -38,13 +61,37 @@ const eventIcons = {
   transit: FiTruck
 }
 
+// Same event when it falls on the same day and time under the same name
+const eventImportKey = (event) => [
+  event.date?.split('T')[0],
+  event.startTime || '',
+  (event.name || '').trim().toLowerCase()
+].join('|')
+
+// Timeline order: by the actual instant when the time's zone is known, so a flight leaving
+// home sorts correctly against activities in destination time
+const eventSortKey = (event, timeZone) => {
+  const date = event.date?.split('T')[0]
+  if (!event.startTime) return Infinity
+  return fromZonedParts(date, event.startTime, timeZone || 'UTC')
+}
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
 /**
  * Itinerary Page Component
  * Timeline view of trip events organized by day
  * Memoized to re-render only when trip changes.
  */
 const ItineraryPage = memo(({ trip }) => {
-  const { t } = useTranslation()
+  const { t, i18n } = useTranslation()
   const { addToast } = useToast()
   const [events, setEvents] = useState([])
   const [loading, setLoading] = useState(true)
@@ -53,8 +100,18 @@ const ItineraryPage = memo(({ trip }) => {
   const [editingEvent, setEditingEvent] = useState(null)
   const [selectedDate, setSelectedDate] = useState(null)
   const [tripCities, setTripCities] = useState([])
+  const [importing, setImporting] = useState(false)
+  const [showFeedPanel, setShowFeedPanel] = useState(false)
+  const [showBookingImport, setShowBookingImport] = useState(false)
+  const [routeDate, setRouteDate] = useState(null)
+  const [tripTimeZone, setTripTimeZone] = useState(trip?.timeZone || null)
+  const [showHomeTime, setShowHomeTime] = useState(() => localStorage.getItem('itineraryHomeTime') === 'true')
+  const importInputRef = useRef(null)
   const { setBackgroundMapCities, refreshKey } = useTravelMode()
 
+  const homeZone = getHomeTimeZone()
+  const zoneContext = { trip: { ...trip, timeZone: tripTimeZone }, cities: tripCities, homeZone }
+
   // Load cities for multi-city context (supports background map)
   useEffect(() => {
     const loadCities = async () => {
@@ -68,6 +125,11 @@ const ItineraryPage = memo(({ trip }) => {
         const cities = await tripCityService.getByTrip(trip.id)
         setTripCities(cities || [])
         setBackgroundMapCities(cities || [])
+
+        // Destination zones are looked up once from coordinates and saved on the trip and cities
+        const zoned = await ensureTimeZones(trip, cities || [])
+        setTripCities(zoned.cities)
+        setTripTimeZone(zoned.trip?.timeZone || null)
       } catch (error) {
         console.error('Error loading cities for ItineraryPage map:', error)
         setTripCities([])
@@ -126,14 +188,23 @@ const ItineraryPage = memo(({ trip }) => {
     if (!acc[date]) acc[date] = []
     acc[date].push(event)
     // Sort by time
-    acc[date].sort((a, b) => {
-      if (!a.startTime) return 1
-      if (!b.startTime) return -1
-      return a.startTime.localeCompare(b.startTime)
-    })
+    acc[date].sort((a, b) => eventSortKey(a, eventTimeZone(a, zoneContext)) - eventSortKey(b, eventTimeZone(b, zoneContext)))
     return acc
   }, {})
 
+  // The home-time toggle only matters once some event is in another zone
+  const hasForeignTimes = events.some(event => {
+    const zone = event.startTime && eventTimeZone(event, zoneContext)
+    return zone && zone !== homeZone
+  })
+
+  const toggleHomeTime = () => {
+    setShowHomeTime(prev => {
+      localStorage.setItem('itineraryHomeTime', String(!prev))
+      return !prev
+    })
+  }
+
   // Add event with optimistic updates
   const handleAddEvent = async (eventData) => {
     // Close modal immediately for optimistic UX
@@ -204,13 +275,71 @@ const ItineraryPage = memo(({ trip }) => {
     }
   }
 
-  // Format date for display
-  const formatDate = (dateStr) => {
-    const date = new Date(dateStr)
-    const options = { weekday: 'short', month: 'short', day: 'numeric' }
-    return date.toLocaleDateString(undefined, options)
+  // Download the whole itinerary, or one day of it, as an .ics file
+  const handleExportCalendar = async (date) => {
+    try {
+      const blob = await itineraryCalendarService.download(trip.id, date)
+      const slug = (trip.name || 'itinerary').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '')
+      downloadBlob(blob, `${slug || 'itinerary'}${date ? `-${date}` : ''}.ics`)
+    } catch (error) {
+      console.error('Error exporting itinerary calendar:', error)
+      addToast(t('travel.itinerary.calendar.exportError', 'Could not export the calendar'), 'error')
+    }
+  }
+
+  // Import events from .ics attachments (airline, hotel and booking confirmations)
+  const handleImportCalendar = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length === 0) return
+
+    setImporting(true)
+    try {
+      const parsed = []
+      for (const file of files) {
+        parsed.push(...icsEventsToItinerary(parseICalendar(await file.text())))
+      }
+
+      const known = new Set(events.map(eventImportKey))
+      const inTrip = parsed.filter(evt => tripDates.length === 0 || tripDates.includes(evt.date))
+      const toCreate = inTrip.filter(evt => {
+        const key = eventImportKey(evt)
+        if (known.has(key)) return false
+        known.add(key)
+        return true
+      })
+
+      for (const evt of toCreate) {
+        await itineraryService.create(trip.id, evt)
+      }
+
+      if (toCreate.length > 0) {
+        const refreshedEvents = await itineraryService.getByTrip(trip.id)
+        setEvents(refreshedEvents || [])
+        window.dispatchEvent(new CustomEvent('travel:item-added', { detail: { type: 'event', tripId: trip.id } }))
+      }
+
+      if (parsed.length === 0) {
+        addToast(t('travel.itinerary.calendar.importEmpty', 'No events found in the calendar file'), 'warning')
+      } else {
+        addToast(t('travel.itinerary.calendar.importResult', {
+          added: toCreate.length,
+          skipped: parsed.length - toCreate.length,
+          defaultValue: '{{added}} event(s) added, {{skipped}} skipped (duplicates or outside the trip dates)'
+        }), toCreate.length > 0 ? 'success' : 'info')
+      }
+    } catch (error) {
+      console.error('Error importing itinerary calendar:', error)
+      addToast(t('travel.itinerary.calendar.importError', 'Could not import the calendar file'), 'error')
+    } finally {
+      setImporting(false)
+    }
   }
 
+  // Format date for display
+  const formatDate = (dateStr) =>
+    formatLocalizedDate(dateStr, i18n.language, { weekday: 'short', month: 'short', day: 'numeric', year: undefined })
+
   // Get day label (Day 1, Day 2, etc.)
   const getDayLabel = (dateStr) => {
     const index = tripDates.indexOf(dateStr)
@@ -256,16 +385,77 @@ const ItineraryPage = memo(({ trip }) => {
             </span>
           )}
         </div>
-        <button className="add-btn" onClick={() => setShowAddModal(true)}>
-          <FiPlus size={20} />
-        </button>
+        <div className="header-actions">
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".ics,text/calendar"
+            multiple
+            hidden
+            onChange={handleImportCalendar}
+          />
+          <button
+            className="calendar-btn"
+            onClick={() => importInputRef.current?.click()}
+            disabled={importing}
+            title={t('travel.itinerary.calendar.import', 'Import from calendar file')}
+            aria-label={t('travel.itinerary.calendar.import', 'Import from calendar file')}
+          >
+            {importing ? <FiLoader size={18} className="spinning" /> : <FiUpload size={18} />}
+          </button>
+          {hasForeignTimes && (
+            <button
+              className={`calendar-btn ${showHomeTime ? 'active' : ''}`}
+              onClick={toggleHomeTime}
+              title={showHomeTime
+                ? t('travel.itinerary.timeZone.showingHome', 'Showing home time ({{zone}})', { zone: formatZoneName(homeZone) })
+                : t('travel.itinerary.timeZone.showingLocal', 'Showing local time at the destination')}
+              aria-label={t('travel.itinerary.timeZone.toggle', 'Switch between local and home time')}
+              aria-pressed={showHomeTime}
+            >
+              <FiGlobe size={18} />
+            </button>
+          )}
+          <button
+            className="calendar-btn"
+            onClick={() => setShowBookingImport(true)}
+            title={t('travel.bookingImport.open', 'Import a booking confirmation')}
+            aria-label={t('travel.bookingImport.open', 'Import a booking confirmation')}
+          >
+            <FiInbox size={18} />
+          </button>
+          <button
+            className="calendar-btn"
+            onClick={() => handleExportCalendar()}
+            title={t('travel.itinerary.calendar.export', 'Export to calendar')}
+            aria-label={t('travel.itinerary.calendar.export', 'Export to calendar')}
+          >
+            <FiDownload size={18} />
+          </button>
+          <button
+            className={`calendar-btn ${showFeedPanel ? 'active' : ''}`}
+            onClick={() => setShowFeedPanel(prev => !prev)}
+            title={t('travel.itinerary.calendar.subscribe', 'Subscribe in a calendar app')}
+            aria-label={t('travel.itinerary.calendar.subscribe', 'Subscribe in a calendar app')}
+          >
+            <FiRss size={18} />
+          </button>
+          <button className="add-btn" onClick={() => setShowAddModal(true)}>
+            <FiPlus size={20} />
+          </button>
+        </div>
       </div>
 
+      <AnimatePresence>
+        {showFeedPanel && <CalendarFeedPanel trip={trip} />}
+      </AnimatePresence>
+
       {/* Timeline */}
       <div className="itinerary-timeline">
         {tripDates.map((date, dateIndex) => {
           const dayEvents = groupedEvents[date] || []
-          const isToday = new Date().toISOString().split('T')[0] === date
+          // "Today" is the destination's date, which can differ from home's across the date line
+          const isToday = todayIn(zoneForDate(date, zoneContext)) === date
 
           return (
             <motion.div
@@ -287,6 +477,24 @@ const ItineraryPage = memo(({ trip }) => {
                     <span className="today-badge">{t('travel.itinerary.today', 'Today')}</span>
                   )}
                 </div>
+                <button
+                  className="export-day-btn"
+                  onClick={() => setRouteDate(date)}
+                  title={t('travel.dayRoute.open', 'Optimise this day')}
+                  aria-label={t('travel.dayRoute.open', 'Optimise this day')}
+                >
+                  <FiNavigation size={14} />
+                </button>
+                {dayEvents.length > 0 && (
+                  <button
+                    className="export-day-btn"
+                    onClick={() => handleExportCalendar(date)}
+                    title={t('travel.itinerary.calendar.exportDay', 'Export this day')}
+                    aria-label={t('travel.itinerary.calendar.exportDay', 'Export this day')}
+                  >
+                    <FiDownload size={14} />
+                  </button>
+                )}
                 <button
                   className="add-day-event"
                   onClick={() => {
@@ -305,6 +513,9 @@ const ItineraryPage = memo(({ trip }) => {
                     <EventCard
                       key={event.id}
                       event={event}
+                      timeZone={eventTimeZone(event, zoneContext)}
+                      homeZone={homeZone}
+                      showHomeTime={showHomeTime}
                       onEdit={() => {
                         setEditingEvent(event)
                         setShowAddModal(true)
@@ -341,6 +552,7 @@ const ItineraryPage = memo(({ trip }) => {
         {showAddModal && (
           <EventFormModal
             trip={trip}
+            zoneContext={zoneContext}
             event={editingEvent}
             defaultDate={selectedDate}
             onClose={() => {
@@ -352,16 +564,143 @@ const ItineraryPage = memo(({ trip }) => {
           />
         )}
       </AnimatePresence>
+
+      {/* Day route optimiser */}
+      <AnimatePresence>
+        {routeDate && (
+          <DayRouteModal
+            trip={trip}
+            date={routeDate}
+            dateLabel={formatDate(routeDate)}
+            events={events}
+            cities={tripCities}
+            onClose={() => setRouteDate(null)}
+            onApplied={async () => {
+              const refreshedEvents = await itineraryService.getByTrip(trip.id)
+              setEvents(refreshedEvents || [])
+            }}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Booking confirmation import */}
+      <AnimatePresence>
+        {showBookingImport && (
+          <BookingImportModal
+            trip={trip}
+            onClose={() => setShowBookingImport(false)}
+            onImported={async (result) => {
+              if (result.events === 0) return
+              const refreshedEvents = await itineraryService.getByTrip(trip.id)
+              setEvents(refreshedEvents || [])
+            }}
+          />
+        )}
+      </AnimatePresence>
     </div>
   )
 })
 
+// Subscribable calendar feed: a secret URL calendar apps poll for itinerary changes
+const CalendarFeedPanel = ({ trip }) => {
+  const { t } = useTranslation()
+  const { addToast } = useToast()
+  const [token, setToken] = useState(trip.calendarFeedToken || null)
+  const [busy, setBusy] = useState(false)
+  const feedUrls = token ? itineraryCalendarService.getFeedUrls(token) : null
+
+  const runFeedAction = async (action) => {
+    setBusy(true)
+    try {
+      await action()
+    } catch (error) {
+      console.error('Error updating calendar feed:', error)
+      addToast(t('travel.itinerary.calendar.feedError', 'Could not update the calendar feed'), 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleEnable = () => runFeedAction(async () => {
+    setToken(await itineraryCalendarService.enableFeed(trip.id))
+  })
+
+  const handleDisable = () => runFeedAction(async () => {
+    await itineraryCalendarService.disableFeed(trip.id)
+    setToken(null)
+  })
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrls.url)
+      addToast(t('travel.itinerary.calendar.copied', 'Feed link copied'), 'success')
+    } catch (error) {
+      console.error('Copy failed:', error)
+    }
+  }
+
+  return (
+    <motion.div
+      className="calendar-feed-panel"
+      initial={{ opacity: 0, y: -8 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -8 }}
+    >
+      <p className="calendar-feed-description">
+        {t('travel.itinerary.calendar.feedDescription', 'Subscribe to this trip from Google Calendar, Apple Calendar or Outlook. Changes to the itinerary show up there automatically. Anyone with the link can see the itinerary.')}
+      </p>
+      {feedUrls ? (
+        <>
+          <div className="calendar-feed-url">
+            <input type="text" value={feedUrls.url} readOnly onFocus={e => e.target.select()} />
+            <button className="calendar-btn" onClick={handleCopy} aria-label={t('travel.itinerary.calendar.copy', 'Copy link')}>
+              <FiCopy size={16} />
+            </button>
+          </div>
+          <div className="calendar-feed-actions">
+            <a className="travel-btn" href={feedUrls.webcalUrl}>
+              <FiCalendar size={16} />
+              {t('travel.itinerary.calendar.openInApp', 'Open in calendar app')}
+            </a>
+            <button className="travel-btn travel-btn-secondary" onClick={handleEnable} disabled={busy}>
+              <FiRefreshCw size={16} />
+              {t('travel.itinerary.calendar.resetLink', 'New link')}
+            </button>
+            <button className="travel-btn travel-btn-secondary" onClick={handleDisable} disabled={busy}>
+              <FiX size={16} />
+              {t('travel.itinerary.calendar.disableFeed', 'Turn off')}
+            </button>
+          </div>
+        </>
+      ) : (
+        <button className="travel-btn" onClick={handleEnable} disabled={busy}>
+          {busy ? <FiLoader size={16} className="spinning" /> : <FiRss size={16} />}
+          {t('travel.itinerary.calendar.enableFeed', 'Create feed link')}
+        </button>
+      )}
+    </motion.div>
+  )
+}
+
 // Event Card Component
-const EventCard = ({ event, onEdit, onDelete }) => {
+const EventCard = ({ event, timeZone, homeZone, showHomeTime, onEdit, onDelete }) => {
   const { t } = useTranslation()
   const Icon = eventIcons[event.type] || FiStar
   const typeConfig = ITINERARY_TYPES[event.type] || ITINERARY_TYPES.activity
 
+  // Times are stored in the destination's zone; in home mode both ends are converted
+  const date = event.date?.split('T')[0]
+  const displayZone = showHomeTime ? homeZone : timeZone
+  const start = convertTime(date, event.startTime, timeZone, displayZone)
+  const end = resolveEventEnd(event, timeZone)
+  const shownEnd = end && (() => {
+    const converted = convertTime(end.date, end.time, end.timeZone, showHomeTime ? homeZone : end.timeZone)
+    return { time: converted.time, dayOffset: end.dayOffset + converted.dayOffset }
+  })()
+  const isAway = timeZone && timeZone !== homeZone
+  // A flight that lands in another zone shows the arrival zone next to its time
+  const arrivalZone = !showHomeTime && end?.timeZone && end.timeZone !== timeZone ? end.timeZone : null
+
   return (
     <motion.div
       className={`event-card ${event.type}`}
@@ -380,8 +719,20 @@ const EventCard = ({ event, onEdit, onDelete }) => {
           {event.startTime && (
             <span className="event-time">
               <FiClock size={12} />
-              {event.startTime}
-              {event.endTime && ` - ${event.endTime}`}
+              {start.time}
+              {start.dayOffset !== 0 && <sup className="event-day-offset">{formatDayOffset(start.dayOffset)}</sup>}
+              {shownEnd && (
+                <>
+                  {` - ${shownEnd.time}`}
+                  {shownEnd.dayOffset !== 0 && <sup className="event-day-offset">{formatDayOffset(shownEnd.dayOffset)}</sup>}
+                </>
+              )}
+              {arrivalZone && (
+                <span className="event-zone">{formatZoneName(arrivalZone, { date: end.date })}</span>
+              )}
+              {isAway && !arrivalZone && (
+                <span className="event-zone">{formatZoneName(displayZone, { date })}</span>
+              )}
             </span>
           )}
         </div>
@@ -461,7 +812,7 @@ const EventCard = ({ event, onEdit, onDelete }) => {
 EventCard.displayName = 'EventCard'
 
 // Event Form Modal Component
-const EventFormModal = ({ trip, event, defaultDate, onClose, onSave }) => {
+const EventFormModal = ({ trip, zoneContext, event, defaultDate, onClose, onSave }) => {
   const { t } = useTranslation()
 
   // Register modal to hide bottom navigation
@@ -473,6 +824,10 @@ const EventFormModal = ({ trip, event, defaultDate, onClose, onSave }) => {
     date: event?.date || defaultDate || trip.startDate,
     startTime: event?.startTime || '',
     endTime: event?.endTime || '',
+    // '' lets the zone follow the date: the destination's zone, or home/arrival for flights
+    timeZone: event?.timeZone || '',
+    // An end time saved without its own zone is in the start's zone
+    endTimeZone: event?.endTimeZone || (event?.endTime ? event?.timeZone || '' : ''),
     location: event?.location || '',
     confirmationNumber: event?.confirmationNumber || '',
     // Flight-specific
@@ -496,6 +851,27 @@ const EventFormModal = ({ trip, event, defaultDate, onClose, onSave }) => {
   const [uploading, setUploading] = useState(false)
   const [uploadError, setUploadError] = useState('')
 
+  const formDate = formData.date?.split('T')[0]
+  const autoZones = formData.type === 'flight'
+    ? flightZones(formDate, zoneContext)
+    : { timeZone: zoneForDate(formDate, zoneContext) || zoneContext.homeZone, endTimeZone: null }
+
+  // Zones worth offering: the trip's cities, the destination and home, plus whatever is already set
+  const zoneOptions = []
+  const addZoneOption = (zone, name) => {
+    if (!zone || zoneOptions.some(option => option.value === zone)) return
+    zoneOptions.push({ value: zone, label: `${name || zone} (${formatZoneName(zone, { date: formDate })})` })
+  }
+  zoneContext.cities.forEach(city => addZoneOption(city.timeZone, city.name))
+  addZoneOption(zoneContext.trip?.timeZone, zoneContext.trip?.destination)
+  addZoneOption(zoneContext.homeZone, t('travel.itinerary.timeZone.home', 'Home'))
+  addZoneOption(formData.timeZone)
+  addZoneOption(formData.endTimeZone)
+
+  const autoZoneLabel = (zone) => zone
+    ? t('travel.itinerary.timeZone.auto', 'Automatic ({{zone}})', { zone: formatZoneName(zone, { date: formDate }) })
+    : t('travel.itinerary.timeZone.floating', 'Automatic')
+
   // Load saved places (pinned POIs from Discovery) for this trip
   useEffect(() => {
     const loadSavedPlaces = async () => {
@@ -588,6 +964,8 @@ const EventFormModal = ({ trip, event, defaultDate, onClose, onSave }) => {
       date: formData.date,
       startTime: formData.startTime,
       endTime: formData.endTime,
+      timeZone: formData.timeZone || autoZones.timeZone || null,
+      endTimeZone: formData.type === 'flight' ? formData.endTimeZone || autoZones.endTimeZone || null : null,
       location: formData.location,
       confirmationNumber: formData.confirmationNumber,
       // Flight
@@ -694,6 +1072,23 @@ const EventFormModal = ({ trip, event, defaultDate, onClose, onSave }) => {
             </div>
           </div>
 
+          <div className="form-group">
+            <label>
+              {formData.type === 'flight'
+                ? t('travel.itinerary.timeZone.departure', 'Departure time zone')
+                : t('travel.itinerary.timeZone.label', 'Time zone')}
+            </label>
+            <select
+              value={formData.timeZone}
+              onChange={(e) => setFormData(prev => ({ ...prev, timeZone: e.target.value }))}
+            >
+              <option value="">{autoZoneLabel(autoZones.timeZone)}</option>
+              {zoneOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Location */}
           <div className="form-group">
             <label>{t('travel.itinerary.location', 'Location')}</label>
@@ -772,6 +1167,28 @@ const EventFormModal = ({ trip, event, defaultDate, onClose, onSave }) => {
                   />
                 </div>
               </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>{t('travel.itinerary.arrivalTime', 'Arrival time (local)')}</label>
+                  <input
+                    type="time"
+                    value={formData.endTime}
+                    onChange={(e) => setFormData(prev => ({ ...prev, endTime: e.target.value }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>{t('travel.itinerary.timeZone.arrival', 'Arrival time zone')}</label>
+                  <select
+                    value={formData.endTimeZone}
+                    onChange={(e) => setFormData(prev => ({ ...prev, endTimeZone: e.target.value }))}
+                  >
+                    <option value="">{autoZoneLabel(autoZones.endTimeZone)}</option>
+                    {zoneOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
             </>
           )}
 
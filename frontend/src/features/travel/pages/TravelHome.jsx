@@ -32,6 +32,7 @@ import MultiCityTripWizard from '../components/MultiCityTripWizard'
 import TripMicrography from '../components/TripMicrography'
 import LayoutSettingsModal from '../components/LayoutSettingsModal'
 import ConfirmationModal from '../../../shared/components/ConfirmationModal'
+import { usePartnerSync } from '../../../shared/hooks/usePartnerSync'
 import { useTripLayout } from '../hooks/useTripLayout'
 import '../styles/TravelHome.css'
 
@@ -68,6 +69,14 @@ const TravelHome = ({ trip, onNavigate, isLayoutSettingsOpen, setIsLayoutSetting
   const { t, i18n } = useTranslation()
   const { selectTrip, loadTrips, setBackgroundMapCities, refreshKey } = useTravelMode()
   const { enterDiscoveryMode, canEnterDiscoveryMode } = useDiscoveryMode()
+  const { setActivity } = usePartnerSync()
+
+  // Let the partner see which trip is open
+  useEffect(() => {
+    if (!trip?.id) return undefined
+    setActivity(`trip:${trip.id}`)
+    return () => setActivity(null)
+  }, [trip?.id, setActivity])
   const [showSetup, setShowSetup] = useState(false)
   const [isCreatingNew, setIsCreatingNew] = useState(false)
   // Simple chooser so user can pick between single-destination and multi‑city
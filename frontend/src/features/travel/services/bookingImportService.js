@@ -0,0 +1,167 @@
+import { extractPdfText, readFileAsText } from '../../../shared/utils/chatAttachments'
+import { buildBookingBatch, parseBookingConfirmation, parseEml } from '../utils/bookingParser'
+import { icsEventsToItinerary, parseICalendar } from '../utils/icalendar'
+import { itineraryService, documentService, travelExpenseService, uploadTravelFile } from './travelApi'
+
+/**
+ * Booking import
+ * Reads pasted or uploaded booking confirmations into one batch of proposed itinerary events,
+ * documents and expenses, and saves whatever the traveller keeps after reviewing it.
+ */
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024
+
+const isPdf = (name, type) => type === 'application/pdf' || /\.pdf$/i.test(name)
+const isCalendar = (name, type) => type === 'text/calendar' || /\.ics$/i.test(name)
+const isEmail = (name, type) => type === 'message/rfc822' || /\.eml$/i.test(name)
+const looksLikeHtml = (text) => /<\/?(html|body|div|table|p|script)\b/i.test(text)
+
+const calendarProposals = (text) => icsEventsToItinerary(parseICalendar(text)).map((data, index) => ({
+  id: `event-${index}`,
+  selected: data.status !== 'cancelled',
+  data
+}))
+
+/**
+ * Proposals from one file; the file itself is kept to store with the booking document
+ */
+const readFileProposals = async (file) => {
+  const { name, type } = file
+
+  if (isCalendar(name, type)) {
+    return { events: calendarProposals(await readFileAsText(file)), documents: [], expenses: [] }
+  }
+  if (isPdf(name, type)) {
+    const text = await extractPdfText(file)
+    return withFile(buildBookingBatch(parseBookingConfirmation({ text, subject: name })), file)
+  }
+  if (!isEmail(name, type)) {
+    const text = await readFileAsText(file)
+    const source = looksLikeHtml(text) ? { html: text } : { text }
+    return withFile(buildBookingBatch(parseBookingConfirmation(source)), file)
+  }
+
+  const message = parseEml(await readFileAsText(file))
+  const pdfs = message.attachments
+    .filter(att => isPdf(att.filename, att.mimeType))
+    .map(att => new File([att.bytes], att.filename, { type: 'application/pdf' }))
+  // The e-ticket or invoice PDF is the more useful copy to keep than the email
+  const keepFile = pdfs[0] || file
+
+  let reservations = parseBookingConfirmation(message)
+  for (const pdf of pdfs) {
+    if (reservations.length > 0) break
+    reservations = parseBookingConfirmation({ text: await extractPdfText(pdf), subject: message.subject })
+  }
+  const batch = buildBookingBatch(reservations.map(r => ({ ...r, bookedOn: r.bookedOn || message.date })))
+
+  if (batch.events.length === 0) {
+    const calendar = message.attachments.find(att => isCalendar(att.filename, att.mimeType))
+    if (calendar) batch.events = calendarProposals(new TextDecoder().decode(calendar.bytes))
+  }
+  return withFile(batch, keepFile)
+}
+
+const withFile = (batch, file) => ({
+  ...batch,
+  documents: batch.documents.map(doc => ({ ...doc, file }))
+})
+
+export const bookingImportService = {
+  /**
+   * Parse confirmations into one review batch
+   * @param {{files?: File[], text?: string}} input - Uploaded files and/or pasted confirmation text
+   * @returns {Promise<{events: Array, documents: Array, expenses: Array}>}
+   */
+  async parse({ files = [], text = '' }) {
+    const batches = []
+    if (text.trim()) {
+      const source = looksLikeHtml(text) ? { html: text } : { text }
+      batches.push(buildBookingBatch(parseBookingConfirmation(source)))
+    }
+    for (const file of files) {
+      try {
+        batches.push(await readFileProposals(file))
+      } catch (error) {
+        console.warn('Could not read booking confirmation:', file.name, error)
+      }
+    }
+
+    // Proposal ids only need to be unique within the batch
+    const merged = { events: [], documents: [], expenses: [] }
+    batches.forEach((batch, sourceIndex) => {
+      for (const key of Object.keys(merged)) {
+        merged[key].push(...batch[key].map(item => ({ ...item, id: `${sourceIndex}-${item.id}` })))
+      }
+    })
+    return merged
+  },
+
+  /**
+   * Save the selected proposals. Documents get their source file uploaded when there is one.
+   * @param {string} tripId
+   * @param {{events: Array, documents: Array, expenses: Array}} batch - Reviewed batch from parse()
+   * @param {Function} t - i18n translate function, for the notes written with the events
+   * @returns {Promise<{events: number, documents: number, expenses: number, failed: number}>}
+   */
+  async apply(tripId, batch, t) {
+    const result = { events: 0, documents: 0, expenses: 0, failed: 0 }
+    const uploads = new Map()
+
+    const save = async (kind, create) => {
+      try {
+        await create()
+        result[kind]++
+      } catch (error) {
+        console.error(`Error saving imported ${kind}:`, error)
+        result.failed++
+      }
+    }
+
+    for (const item of batch.events.filter(i => i.selected)) {
+      const { checkOutDate, ...data } = item.data
+      if (checkOutDate) {
+        const checkOut = t('travel.bookingImport.checkOutNote', {
+          date: new Date(`${checkOutDate}T00:00:00`).toLocaleDateString(),
+          defaultValue: 'Check-out: {{date}}'
+        })
+        data.notes = [checkOut, data.notes].filter(Boolean).join('\n')
+      }
+      await save('events', () => itineraryService.create(tripId, data))
+    }
+
+    for (const item of batch.documents.filter(i => i.selected)) {
+      await save('documents', async () => {
+        const { file } = item
+        let attachment = {}
+        // Same 5MB cap as the documents form; the booking is still saved without its file
+        if (file && file.size <= MAX_UPLOAD_BYTES) {
+          if (!uploads.has(file)) {
+            uploads.set(file, uploadTravelFile(tripId, file).catch(error => {
+              console.warn('Could not upload booking file:', error)
+              return null
+            }))
+          }
+          const uploaded = await uploads.get(file)
+          if (uploaded?.url) {
+            attachment = {
+              fileUrl: uploaded.url,
+              fileName: uploaded.name || file.name,
+              fileType: uploaded.type || file.type,
+              fileSize: uploaded.size ?? file.size
+            }
+          }
+        }
+        await documentService.create(tripId, { ...item.data, ...attachment })
+      })
+    }
+
+    for (const item of batch.expenses.filter(i => i.selected)) {
+      await save('expenses', () => travelExpenseService.create(tripId, item.data))
+    }
+
+    return result
+  }
+}
+
+export default bookingImportService
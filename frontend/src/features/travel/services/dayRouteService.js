@@ -0,0 +1,210 @@
+import { getRouteDirections } from './discoveryService'
+import { itineraryService } from './travelApi'
+import { estimateLeg, planDay, routeMinutes, toMinutes, visitMinutes } from '../utils/routeOptimizer'
+
+/**
+ * Day route service
+ * Plans a day's visiting order with the route optimiser, re-times it with real routes from
+ * Mapbox Directions and writes the proposed times back to the itinerary.
+ */
+
+// Mapbox has no transit profile; road distance is the closest stand-in
+const DIRECTIONS_PROFILES = { walking: 'walking', transit: 'driving', driving: 'driving' }
+
+// Events that are about getting somewhere rather than visiting it
+const NON_VISIT_TYPES = ['flight', 'hotel', 'transit']
+
+const dayOf = (value) => (value ? String(value).split('T')[0] : '')
+
+const hasCoordinates = (place) => place?.latitude != null && place?.longitude != null
+
+const legKey = (from, to) => `${from?.id ?? 'start'}>${to?.id}`
+
+/**
+ * Where a day starts: the latest hotel checked into by then, else the city the traveller is
+ * in, else the trip's destination
+ */
+export const findDayOrigin = (date, { events = [], cities = [], trip } = {}) => {
+  const day = dayOf(date)
+  const hotel = events
+    .filter(event => event.type === 'hotel' && hasCoordinates(event) && dayOf(event.date) <= day)
+    .sort((a, b) => dayOf(a.date).localeCompare(dayOf(b.date)))
+    .pop()
+  if (hotel) return { id: 'origin', name: hotel.name, latitude: hotel.latitude, longitude: hotel.longitude }
+
+  const city = cities.find(c =>
+    hasCoordinates(c) &&
+    (!c.startDate || dayOf(c.startDate) <= day) &&
+    (!c.endDate || dayOf(c.endDate) >= day)
+  )
+  if (city) return { id: 'origin', name: city.name, latitude: city.latitude, longitude: city.longitude }
+
+  if (hasCoordinates(trip)) return { id: 'origin', name: trip.destination, latitude: trip.latitude, longitude: trip.longitude }
+  return null
+}
+
+/**
+ * Whether the optimiser may move an event; flights, hotels and transfers stay put
+ */
+export const canMoveEvent = (event) => !NON_VISIT_TYPES.includes(event.type)
+
+/**
+ * Split a day's events into ones that keep their time and ones the optimiser may move
+ * @param {Array<Object>} events - The day's itinerary events
+ * @param {Set<string>} unlockedIds - Timed events the traveller lets the optimiser move
+ * @returns {{fixed: Array<Object>, flexible: Array<Object>}}
+ */
+export const splitDayEvents = (events, unlockedIds = new Set()) => {
+  const fixed = []
+  const flexible = []
+  for (const event of events) {
+    if (event.status === 'cancelled') continue
+    const movable = canMoveEvent(event)
+    if (event.startTime && !(movable && unlockedIds.has(String(event.id)))) fixed.push(event)
+    else if (movable) flexible.push(event)
+  }
+  return { fixed, flexible }
+}
+
+const eventStop = (event) => {
+  const start = toMinutes(event.startTime)
+  const end = toMinutes(event.endTime)
+  return {
+    id: `event-${event.id}`,
+    name: event.name,
+    latitude: event.latitude,
+    longitude: event.longitude,
+    duration: start != null && end > start ? end - start : visitMinutes(event.type),
+    openingHours: '',
+    source: { kind: 'event', event }
+  }
+}
+
+const placeStop = (place) => ({
+  id: `place-${place.id}`,
+  name: place.name,
+  latitude: place.latitude,
+  longitude: place.longitude,
+  duration: visitMinutes(place.category),
+  openingHours: place.openingHours || '',
+  source: { kind: 'place', place }
+})
+
+const fixedStop = (event) => ({
+  id: `event-${event.id}`,
+  name: event.name,
+  latitude: event.latitude,
+  longitude: event.longitude,
+  startTime: event.startTime,
+  endTime: event.endTime,
+  source: { kind: 'event', event }
+})
+
+export const dayRouteService = {
+  /**
+   * Propose a visiting order and times for a day
+   * @param {Object} options
+   * @param {string} options.date - YYYY-MM-DD
+   * @param {Array<Object>} options.fixed - Events that keep their time
+   * @param {Array<Object>} options.flexible - Events the optimiser may (re)time
+   * @param {Array<Object>} options.places - Saved places to fit in
+   * @param {Object|null} options.origin - Where the day starts
+   * @param {'walking'|'transit'|'driving'} options.mode
+   * @param {string} [options.dayStart] - HH:mm
+   * @param {string} [options.dayEnd] - HH:mm
+   * @returns {Promise<Object>} planDay result whose items also carry the leg geometry
+   */
+  async plan({ date, fixed = [], flexible = [], places = [], origin = null, mode = 'walking', dayStart, dayEnd }) {
+    const options = {
+      date,
+      origin,
+      mode,
+      dayStart,
+      dayEnd,
+      fixed: fixed.map(fixedStop),
+      stops: [...flexible.map(eventStop), ...places.map(placeStop)]
+    }
+
+    // Order with straight-line estimates, then fetch the real legs of that order only
+    const draft = planDay(options)
+    const legs = new Map()
+    let previous = origin
+    for (const item of draft.items) {
+      if (hasCoordinates(previous) && hasCoordinates(item)) {
+        const route = await getRouteDirections(
+          Number(previous.latitude), Number(previous.longitude),
+          Number(item.latitude), Number(item.longitude),
+          DIRECTIONS_PROFILES[mode]
+        )
+        const minutes = routeMinutes(route, mode) ?? estimateLeg(previous, item, mode)
+        legs.set(legKey(previous, item), { minutes, geometry: route.geometry, distanceKm: route.distanceKm })
+      }
+      if (hasCoordinates(item)) previous = item
+    }
+
+    const travel = (from, to) => legs.get(legKey(from, to))?.minutes ?? estimateLeg(from, to, mode)
+    const result = planDay({ ...options, travel, order: draft.order })
+
+    // Attach each leg's route so the map can draw it
+    previous = origin
+    const items = result.items.map(item => {
+      const leg = legs.get(legKey(previous, item))
+      const withLeg = {
+        ...item,
+        from: hasCoordinates(previous) && hasCoordinates(item) ? { latitude: previous.latitude, longitude: previous.longitude } : null,
+        geometry: leg?.geometry || null,
+        distanceKm: leg?.distanceKm ?? null
+      }
+      if (hasCoordinates(item)) previous = item
+      return withLeg
+    })
+
+    return { ...result, items, date, mode, origin }
+  },
+
+  /**
+   * Write the proposed times back: moved events get their new times and chosen saved places
+   * become activities. Fixed events are left alone.
+   * @returns {Promise<{updated: number, created: number, failed: number}>}
+   */
+  async apply(tripId, plan) {
+    const result = { updated: 0, created: 0, failed: 0 }
+
+    for (const item of plan.items) {
+      if (item.kind !== 'stop') continue
+      try {
+        if (item.source.kind === 'event') {
+          // The API replaces the whole event, so send all of it
+          await itineraryService.update(tripId, item.source.event.id, {
+            ...item.source.event,
+            startTime: item.startTime,
+            endTime: item.endTime
+          })
+          result.updated++
+        } else {
+          const place = item.source.place
+          await itineraryService.create(tripId, {
+            type: place.category === 'restaurant' ? 'restaurant' : 'activity',
+            name: place.name,
+            date: plan.date,
+            startTime: item.startTime,
+            endTime: item.endTime,
+            location: place.name,
+            address: place.address,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            notes: place.notes
+          })
+          result.created++
+        }
+      } catch (error) {
+        console.error('Error saving optimised route stop:', error)
+        result.failed++
+      }
+    }
+
+    return result
+  }
+}
+
+export default dayRouteService
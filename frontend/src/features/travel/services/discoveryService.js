@@ -1,5 +1,5 @@
 import { getBackendUrl } from '../../../shared/utils/getBackendUrl'
-import { getCached, setCached } from './travelDb'
+import { getCached, getOfflinePOIs, setCached } from './travelDb'
 import { DISCOVERY_POI_CATEGORIES, CACHE_TTL, DISCOVERY_MAP_CONFIG } from '../utils/travelConstants'
 
 const OVERPASS_API = 'https://overpass-api.de/api/interpreter'
@@ -131,11 +131,14 @@ const formatAddress = (tags) => {
  * @param {number} lon - Longitude (map center, not user location)
  * @param {number} radius - Search radius in meters
  * @param {number} limit - Maximum number of results (default 100)
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback=true] - On failure return stale cache, offline pack data or [];
+ *   false throws instead, for callers that must know the results are live (offline packs)
  * @returns {Promise<Array>} Array of POIs sorted by distance from map center
  */
-export const fetchPOIsByCategory = async (categoryId, lat, lon, radius = DISCOVERY_MAP_CONFIG.poiRadius, limit = 100) => {
-  // Check cache first
-  const cacheKey = `discovery-poi-${categoryId}-${lat.toFixed(3)}-${lon.toFixed(3)}`
+export const fetchPOIsByCategory = async (categoryId, lat, lon, radius = DISCOVERY_MAP_CONFIG.poiRadius, limit = 100, { fallback = true } = {}) => {
+  // Check cache first; a smaller search must not stand in for a wider one
+  const cacheKey = `discovery-poi-${categoryId}-${radius}-${lat.toFixed(3)}-${lon.toFixed(3)}`
   const cached = await getCached(cacheKey)
   if (cached) {
     // Apply limit to cached results too
@@ -162,6 +165,10 @@ export const fetchPOIsByCategory = async (categoryId, lat, lon, radius = DISCOVE
     }
 
     const data = await response.json()
+    // Overpass reports timeouts and overload as a remark on an empty 200 response
+    if (data.remark && !data.elements?.length) {
+      throw new Error(`Overpass API error: ${data.remark}`)
+    }
     let pois = parseOverpassResults(data.elements || [], categoryId)
 
     // Calculate distance and sort by nearest first (best results)
@@ -178,9 +185,13 @@ export const fetchPOIsByCategory = async (categoryId, lat, lon, radius = DISCOVE
     return pois.slice(0, limit)
   } catch (error) {
     console.error('Error fetching POIs from Overpass:', error)
+    if (!fallback) throw error
     // Try to return cached data even if expired
     const expiredCache = await getCached(cacheKey)
     if (expiredCache) return expiredCache.slice(0, limit)
+    // Then a downloaded offline pack for the area
+    const offline = await getOfflinePOIs(categoryId, lat, lon)
+    if (offline) return withDistanceFrom(offline, lat, lon).slice(0, limit)
     return []
   }
 }
@@ -445,6 +456,11 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c
 }
 
+// Distances from a new centre, nearest first, for POIs stored from somewhere else
+const withDistanceFrom = (pois, lat, lon) => pois
+  .map(poi => ({ ...poi, distance: calculateDistance(lat, lon, poi.latitude, poi.longitude) }))
+  .sort((a, b) => (a.distance || 0) - (b.distance || 0))
+
 /**
  * Get route directions between two points using Mapbox Directions API.
  * Returns realistic route geometry (following roads) and distance in km.
@@ -455,13 +471,13 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
  * @param {number} lat2 - Destination latitude
  * @param {number} lon2 - Destination longitude
  * @param {'driving'|'walking'|'cycling'} profile - Mapbox routing profile
- * @returns {Promise<{ geometry: GeoJSON.LineString | null, distanceKm: number | null, usedFallback: boolean, includesFerry: boolean }>}
+ * @returns {Promise<{ geometry: GeoJSON.LineString | null, distanceKm: number | null, durationMin: number | null, usedFallback: boolean, includesFerry: boolean }>}
  */
 export const getRouteDirections = async (lat1, lon1, lat2, lon2, profile = 'driving') => {
   // If Mapbox is not configured, gracefully fall back to Haversine distance.
   if (!MAPBOX_TOKEN) {
     const fallback = calculateDistance(lat1, lon1, lat2, lon2)
-    return { geometry: null, distanceKm: fallback, usedFallback: true, includesFerry: false }
+    return { geometry: null, distanceKm: fallback, durationMin: null, usedFallback: true, includesFerry: false }
   }
 
   // Basic validation
@@ -471,7 +487,7 @@ export const getRouteDirections = async (lat1, lon1, lat2, lon2, profile = 'driv
     lat2 == null ||
     lon2 == null
   ) {
-    return { geometry: null, distanceKm: null, usedFallback: true, includesFerry: false }
+    return { geometry: null, distanceKm: null, durationMin: null, usedFallback: true, includesFerry: false }
   }
 
   try {
@@ -505,7 +521,7 @@ export const getRouteDirections = async (lat1, lon1, lat2, lon2, profile = 'driv
     if (!route) {
       // No route found – still provide straight-line distance so UI can show something.
       const fallback = calculateDistance(lat1, lon1, lat2, lon2)
-      const result = { geometry: null, distanceKm: fallback, usedFallback: true, includesFerry: false }
+      const result = { geometry: null, distanceKm: fallback, durationMin: null, usedFallback: true, includesFerry: false }
       return result
     }
 
@@ -529,6 +545,7 @@ export const getRouteDirections = async (lat1, lon1, lat2, lon2, profile = 'driv
     const result = {
       geometry: route.geometry || null,
       distanceKm: route.distance != null ? route.distance / 1000 : null,
+      durationMin: route.duration != null ? route.duration / 60 : null,
       usedFallback: false,
       includesFerry
     }
@@ -540,7 +557,7 @@ export const getRouteDirections = async (lat1, lon1, lat2, lon2, profile = 'driv
   } catch (error) {
     console.error('Error fetching route directions from Mapbox:', error)
     const fallback = calculateDistance(lat1, lon1, lat2, lon2)
-    return { geometry: null, distanceKm: fallback, usedFallback: true, includesFerry: false }
+    return { geometry: null, distanceKm: fallback, durationMin: null, usedFallback: true, includesFerry: false }
   }
 }
 
@@ -868,9 +885,12 @@ const PLACEHOLDER_STAYS = [
  * @param {number} lon - Longitude (map center, not user location)
  * @param {number} radius - Search radius in meters (default 2000m)
  * @param {number} limit - Maximum number of results (default 100)
- * @returns {Promise<Array>} Array of stay objects sorted by rating (best first)
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback=true] - Without live results return offline pack or placeholder
+ *   stays; false throws instead, or returns null when no stays source is configured
+ * @returns {Promise<Array|null>} Array of stay objects sorted by rating (best first)
  */
-export const fetchStays = async (lat, lon, radius = DISCOVERY_MAP_CONFIG.poiRadius, limit = 100) => {
+export const fetchStays = async (lat, lon, radius = DISCOVERY_MAP_CONFIG.poiRadius, limit = 100, { fallback = true } = {}) => {
   // Try SerpApi first for real hotel data
   const serpApiResults = await fetchHotelsFromSerpApi(lat, lon, limit)
 
@@ -886,6 +906,19 @@ export const fetchStays = async (lat, lon, radius = DISCOVERY_MAP_CONFIG.poiRadi
       .slice(0, limit)
   }
 
+  if (!fallback) {
+    if (!SERPAPI_KEY) return null
+    throw new Error('Could not fetch stays')
+  }
+
+  // Stays saved with an offline pack for the area
+  const offline = await getOfflinePOIs('accommodation', lat, lon)
+  if (offline?.length > 0) {
+    return withDistanceFrom(offline, lat, lon)
+      .sort((a, b) => (b.rating || 0) - (a.rating || 0))
+      .slice(0, limit)
+  }
+
   // Fallback to placeholder data if API unavailable
   // Scatter placeholder stays around the search location
   const stays = PLACEHOLDER_STAYS.map((stay, index) => {
@@ -1,6 +1,6 @@
 import { getToken } from '../../auth/services/auth'
-import { isTokenExpired } from '../../../shared/utils/tokenUtils'
 import { sessionManager } from '../../../shared/services/sessionManager'
+import { ensureFreshToken, refreshAccessToken } from '../../../shared/services/tokenRefresh'
 import { getBackendUrl as getBackendApiUrl } from '../../../shared/utils/getBackendUrl'
 
 /**
@@ -19,10 +19,11 @@ const handleSessionExpiration = () => {
   }))
 }
 
-const apiRequest = async (url, options = {}) => {
-  const token = getToken()
+const apiRequest = async (url, options = {}, isReplay = false) => {
+  const hadToken = !!getToken()
+  const token = await ensureFreshToken()
 
-  if (token && isTokenExpired(token)) {
+  if (hadToken && !token) {
     handleSessionExpiration()
     throw new Error('Session expired. Please log in again.') // i18n-ignore
   }
@@ -57,6 +58,10 @@ const apiRequest = async (url, options = {}) => {
 
   const response = await fetch(fullUrl, { ...options, headers })
 
+  if (response.status === 401 && token && !isReplay && await refreshAccessToken({ staleToken: token })) {
+    return await apiRequest(url, options, true)
+  }
+
   if (response.status === 401) {
     handleSessionExpiration()
     throw new Error('Session expired. Please log in again.') // i18n-ignore
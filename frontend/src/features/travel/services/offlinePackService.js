@@ -0,0 +1,353 @@
+import db from './travelDb'
+import { calculateDistance, fetchPOIsByCategory, fetchStays } from './discoveryService'
+import { savedPlaceService } from './travelApi'
+import { DISCOVERY_POI_CATEGORIES, MAP_STYLES } from '../utils/travelConstants'
+import {
+  ESTIMATED_TILE_BYTES,
+  GLYPH_RANGES,
+  OFFLINE_BUDGET_BYTES,
+  OFFLINE_MAX_ZOOM,
+  OFFLINE_MIN_ZOOM,
+  OFFLINE_RADIUS_KM,
+  PINNED_MAX_DISTANCE_KM,
+  PINNED_MAX_ZOOM,
+  PINNED_MIN_ZOOM,
+  PINNED_RADIUS_KM,
+  boundsAround,
+  boundsContain,
+  fillTileUrl,
+  offlineKey,
+  planEviction,
+  resolveMapboxUrl,
+  resolveTileTemplate,
+  styleFontStacks,
+  styleSprites,
+  tilesForBounds
+} from '../utils/offlineMaps'
+
+/**
+ * Offline pack service
+ * Downloads a trip city's Discovery POIs and pinned places into IndexedDB, and with
+ * OFFLINE_MAP_TILES_ENABLED its map tiles and style resources, so Explore keeps working without
+ * data. public/offline-tiles.js serves the stored map requests; discoveryService falls back to
+ * the stored POIs.
+ */
+
+const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || ''
+
+// Mapbox's terms for GL JS web apps do not allow bulk-storing tiles, styles, sprites or glyphs,
+// so packs hold places only unless a deployment's tile licence permits offline storage
+export const OFFLINE_MAP_TILES_ENABLED = import.meta.env.VITE_OFFLINE_MAP_TILES === 'true'
+
+// The Explore map's style; packs hold what it needs
+const OFFLINE_STYLE = MAP_STYLES.streets
+
+// Parallel tile requests: quick without hammering the tile servers
+const TILE_CONCURRENCY = 6
+
+// Same pause as fetchPOIsMultipleCategories between Overpass queries
+const POI_DELAY_MS = 300
+
+const TILE_SOURCE_TYPES = ['vector', 'raster', 'raster-dem']
+
+// Packs being downloaded in this tab; a 'downloading' pack not listed here was interrupted
+const activeDownloads = new Set()
+
+export const offlinePackId = (tripId, city) => `${tripId}-${city.id ?? 'trip'}`
+
+const runPool = async (items, limit, worker) => {
+  let next = 0
+  const run = async () => {
+    while (next < items.length) {
+      await worker(items[next++])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run))
+}
+
+/**
+ * Fetch a map resource and store it for the pack. Tiles already stored by another pack are
+ * shared rather than fetched again.
+ * @returns {Promise<{blob: Blob, bytes: number}|null>} Null when the request failed
+ */
+const saveResource = async (url, packId, { reuse = false } = {}) => {
+  const key = offlineKey(url)
+  const existing = await db.offlineTiles.get(key)
+  if (reuse && existing) {
+    if (!existing.packIds.includes(packId)) {
+      await db.offlineTiles.update(key, { packIds: [...existing.packIds, packId] })
+    }
+    return { blob: existing.data, bytes: existing.size }
+  }
+
+  let response
+  try {
+    response = await fetch(url)
+  } catch {
+    return null
+  }
+  if (!response.ok) return null
+
+  const blob = await response.blob()
+  const packIds = existing?.packIds.includes(packId) ? existing.packIds : [...(existing?.packIds || []), packId]
+  await db.offlineTiles.put({
+    key,
+    packIds,
+    data: blob,
+    type: response.headers.get('Content-Type') || blob.type,
+    size: blob.size,
+    storedAt: Date.now()
+  })
+  return { blob, bytes: blob.size }
+}
+
+const readJson = async (saved) => (saved ? JSON.parse(await saved.blob.text()) : null)
+
+/**
+ * Style, tile templates, sprites and glyphs the offline style needs
+ * @returns {Promise<{bytes: number, sources: Array<{template: string, minzoom: number, maxzoom: number}>}>}
+ */
+const saveStyle = async (packId) => {
+  let bytes = 0
+  const save = async (url) => {
+    const saved = await saveResource(url, packId)
+    bytes += saved?.bytes || 0
+    return saved
+  }
+
+  const style = await readJson(await save(resolveMapboxUrl(OFFLINE_STYLE, MAPBOX_TOKEN)))
+  if (!style) throw new Error('Could not download the map style')
+
+  const sources = []
+  for (const source of Object.values(style.sources || {})) {
+    if (!TILE_SOURCE_TYPES.includes(source.type)) continue
+    const tileJson = source.url ? await readJson(await save(resolveMapboxUrl(source.url, MAPBOX_TOKEN))) : source
+    for (const template of tileJson?.tiles || []) {
+      sources.push({
+        template: resolveTileTemplate(template, MAPBOX_TOKEN),
+        minzoom: tileJson.minzoom ?? 0,
+        maxzoom: tileJson.maxzoom ?? 22
+      })
+    }
+  }
+
+  for (const sprite of styleSprites(style)) {
+    for (const suffix of ['.json', '.png', '@2x.json', '@2x.png']) {
+      await save(resolveMapboxUrl(`${sprite}${suffix}`, MAPBOX_TOKEN))
+    }
+  }
+
+  if (style.glyphs) {
+    for (const stack of styleFontStacks(style)) {
+      for (const range of GLYPH_RANGES) {
+        await save(resolveMapboxUrl(style.glyphs.replace('{fontstack}', stack).replace('{range}', range), MAPBOX_TOKEN))
+      }
+    }
+  }
+
+  return { bytes, sources }
+}
+
+/**
+ * Every Discovery category's results around the city, keyed by category. Categories that failed
+ * (network errors, Overpass rate limits) or came back empty are listed as missing; a failed one keeps
+ * what the previous download of the pack saved for it.
+ * @returns {Promise<{pois: Object, missing: Array<string>}>}
+ */
+const savePOIs = async (latitude, longitude, previousPois, onCategory) => {
+  const radius = OFFLINE_RADIUS_KM * 1000
+  const pois = {}
+  const missing = []
+  for (const category of DISCOVERY_POI_CATEGORIES) {
+    try {
+      const results = category.id === 'accommodation'
+        ? await fetchStays(latitude, longitude, radius, Infinity, { fallback: false })
+        : await fetchPOIsByCategory(category.id, latitude, longitude, radius, Infinity, { fallback: false })
+      // Null: stays have no source configured, so there is nothing to miss
+      if (results) {
+        pois[category.id] = results
+        if (results.length === 0) missing.push(category.id)
+      }
+    } catch (error) {
+      console.warn(`Offline pack: failed to fetch category ${category.id}:`, error)
+      if (previousPois?.[category.id]) pois[category.id] = previousPois[category.id]
+      missing.push(category.id)
+    }
+    onCategory?.()
+    await new Promise(resolve => setTimeout(resolve, POI_DELAY_MS))
+  }
+  return { pois, missing }
+}
+
+const usedBytes = async (exceptId) => {
+  const packs = await db.offlinePacks.toArray()
+  return packs.filter(pack => pack.id !== exceptId).reduce((sum, pack) => sum + (pack.bytes || 0), 0)
+}
+
+export const offlinePackService = {
+  /**
+   * Offline packs of a trip; downloads cut short by a reload show as partial
+   * @param {number|string} tripId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getByTrip(tripId) {
+    const packs = await db.offlinePacks.where('tripId').equals(tripId).toArray()
+    return packs.map(pack => (
+      pack.status === 'downloading' && !activeDownloads.has(pack.id) ? { ...pack, status: 'partial' } : pack
+    ))
+  },
+
+  /**
+   * Storage taken by all packs against the budget
+   * @returns {Promise<{usedBytes: number, budgetBytes: number}>}
+   */
+  async getUsage() {
+    return { usedBytes: await usedBytes(), budgetBytes: OFFLINE_BUDGET_BYTES }
+  },
+
+  /**
+   * Download (or refresh) a city's pack. Least recently used packs of any trip are evicted to
+   * make room; if the budget still runs out, or some places could not be fetched (listed in
+   * missingCategories), the pack is kept as 'partial'.
+   * @param {Object} options
+   * @param {number|string} options.tripId
+   * @param {Object} options.city - Trip city; single-destination trips pass their destination with no id
+   * @param {function({done: number, total: number}): void} [options.onProgress]
+   * @param {AbortSignal} [options.signal] - Cancels the download and drops the pack
+   * @returns {Promise<Object>} The stored pack
+   */
+  async download({ tripId, city, onProgress, signal }) {
+    const latitude = Number(city.latitude)
+    const longitude = Number(city.longitude)
+    if (city.latitude == null || city.longitude == null || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+      throw new Error('City has no coordinates')
+    }
+
+    const id = offlinePackId(tripId, city)
+    const bounds = boundsAround(latitude, longitude, OFFLINE_RADIUS_KM)
+    const now = Date.now()
+    const previous = await db.offlinePacks.get(id)
+    const pack = {
+      id,
+      tripId,
+      cityId: city.id ?? null,
+      name: city.name || city.destination || '',
+      bounds,
+      status: 'downloading',
+      bytes: previous?.bytes || 0,
+      tileCount: 0,
+      poiCount: 0,
+      pinnedCount: 0,
+      pois: previous?.pois || {},
+      missingCategories: [],
+      createdAt: previous?.createdAt || now,
+      updatedAt: now,
+      lastUsed: now
+    }
+
+    activeDownloads.add(id)
+    try {
+      await db.offlinePacks.put(pack)
+      // Ask the browser not to clear our storage when space runs low
+      await navigator.storage?.persist?.().catch(() => false)
+
+      const places = await savedPlaceService.getByTrip(tripId).catch(() => [])
+      const nearbyPlaces = (places || []).filter(place =>
+        place.latitude != null && place.longitude != null &&
+        calculateDistance(latitude, longitude, Number(place.latitude), Number(place.longitude)) <= PINNED_MAX_DISTANCE_KM
+      )
+
+      const { bytes: styleBytes, sources } = OFFLINE_MAP_TILES_ENABLED ? await saveStyle(id) : { bytes: 0, sources: [] }
+
+      // Tiles for the city, plus a small area around pinned places outside it
+      const areas = [{ bounds, minZoom: OFFLINE_MIN_ZOOM, maxZoom: OFFLINE_MAX_ZOOM }]
+      for (const place of nearbyPlaces) {
+        if (boundsContain(bounds, Number(place.latitude), Number(place.longitude))) continue
+        areas.push({ bounds: boundsAround(place.latitude, place.longitude, PINNED_RADIUS_KM), minZoom: PINNED_MIN_ZOOM, maxZoom: PINNED_MAX_ZOOM })
+      }
+      const urls = new Set()
+      for (const source of sources) {
+        for (const area of areas) {
+          const minZoom = Math.max(area.minZoom, source.minzoom)
+          const maxZoom = Math.min(area.maxZoom, source.maxzoom)
+          for (const tile of tilesForBounds(area.bounds, minZoom, maxZoom)) {
+            urls.add(fillTileUrl(source.template, tile))
+          }
+        }
+      }
+
+      // Make room up front from the packs used least recently
+      const others = (await db.offlinePacks.toArray()).filter(p => p.id !== id)
+      const { evict } = planEviction(others, {
+        incomingBytes: styleBytes + urls.size * ESTIMATED_TILE_BYTES,
+        keepIds: [...activeDownloads]
+      })
+      for (const evictId of evict) {
+        await this.remove(evictId)
+      }
+
+      const otherBytes = await usedBytes(id)
+      const total = urls.size + DISCOVERY_POI_CATEGORIES.length
+      let done = 0
+      let bytes = styleBytes
+      let tileCount = 0
+      let overBudget = false
+      onProgress?.({ done, total })
+
+      await runPool([...urls], TILE_CONCURRENCY, async (url) => {
+        if (signal?.aborted || overBudget) return
+        const saved = await saveResource(url, id, { reuse: true })
+        if (saved) {
+          bytes += saved.bytes
+          tileCount++
+        }
+        if (otherBytes + bytes > OFFLINE_BUDGET_BYTES) overBudget = true
+        onProgress?.({ done: ++done, total })
+      })
+      if (signal?.aborted) throw new DOMException('Download cancelled', 'AbortError')
+      if (urls.size > 0 && tileCount === 0) throw new Error('Could not download map tiles')
+
+      const { pois, missing } = await savePOIs(latitude, longitude, previous?.pois, () => onProgress?.({ done: ++done, total }))
+      if (signal?.aborted) throw new DOMException('Download cancelled', 'AbortError')
+
+      const poiCount = Object.values(pois).reduce((sum, list) => sum + list.length, 0)
+      const stored = {
+        ...pack,
+        status: overBudget || tileCount < urls.size || missing.length > 0 ? 'partial' : 'ready',
+        bytes: bytes + new Blob([JSON.stringify(pois)]).size,
+        tileCount,
+        poiCount,
+        pinnedCount: nearbyPlaces.length,
+        pois,
+        missingCategories: missing,
+        updatedAt: Date.now(),
+        lastUsed: Date.now()
+      }
+      await db.offlinePacks.put(stored)
+      return stored
+    } catch (error) {
+      // Keep an earlier complete download rather than a broken one
+      if (previous && previous.status !== 'downloading') await db.offlinePacks.put(previous)
+      else await this.remove(id)
+      throw error
+    } finally {
+      activeDownloads.delete(id)
+    }
+  },
+
+  /**
+   * Delete a pack and the stored map data no other pack shares
+   * @param {string} id - Pack ID
+   */
+  async remove(id) {
+    await db.transaction('rw', db.offlinePacks, db.offlineTiles, async () => {
+      await db.offlineTiles.where('packIds').equals(id).modify((entry, ref) => {
+        entry.packIds = entry.packIds.filter(packId => packId !== id)
+        if (entry.packIds.length === 0) delete ref.value
+      })
+      await db.offlinePacks.delete(id)
+    })
+  }
+}
+
+export default offlinePackService
@@ -0,0 +1,78 @@
+import { getCached, setCached } from './travelDb'
+import { tripService, tripCityService } from './travelApi'
+import { resolveTimeZone } from '../utils/icalendar'
+
+/**
+ * Time zone lookup
+ * Finds the IANA zone for a place from its coordinates via Open-Meteo (already used for the
+ * trip weather) and stores it on trips and trip cities that don't have one yet.
+ */
+
+const ZONE_TTL = 30 * 24 * 60 * 60 * 1000 // Zones change rarely; 30 days
+
+/**
+ * IANA zone at a coordinate
+ * @returns {Promise<string|null>} Null when offline or the coordinate is missing
+ */
+export const lookupTimeZone = async (latitude, longitude) => {
+  if (latitude == null || longitude == null) return null
+
+  // Two decimals (~1 km) is plenty for a zone and lets nearby places share the cache entry
+  const lat = Number(latitude).toFixed(2)
+  const lng = Number(longitude).toFixed(2)
+  const cacheKey = `timezone-v1-${lat},${lng}`
+
+  const cached = await getCached(cacheKey)
+  if (cached) return cached
+
+  try {
+    const response = await fetch(
+      `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&timezone=auto&forecast_days=1`
+    )
+    if (!response.ok) return null
+    const data = await response.json()
+    const zone = resolveTimeZone(data.timezone)
+    if (zone) await setCached(cacheKey, zone, ZONE_TTL)
+    return zone
+  } catch (error) {
+    console.warn('Time zone lookup failed:', error)
+    return null
+  }
+}
+
+/**
+ * Fill in the zone of a trip and its cities where it's missing
+ * @returns {Promise<{trip: Object, cities: Array<Object>}>} The trip and cities with zones set
+ */
+export const ensureTimeZones = async (trip, cities = []) => {
+  let updatedTrip = trip
+  if (trip && !trip.timeZone) {
+    const timeZone = await lookupTimeZone(trip.latitude, trip.longitude)
+    if (timeZone) {
+      updatedTrip = { ...trip, timeZone }
+      await tripService.update(trip.id, updatedTrip).catch(error => {
+        console.warn('Could not save trip time zone:', error)
+      })
+    }
+  }
+
+  const updatedCities = []
+  for (const city of cities) {
+    if (city.timeZone) {
+      updatedCities.push(city)
+      continue
+    }
+    const timeZone = await lookupTimeZone(city.latitude, city.longitude)
+    if (!timeZone) {
+      updatedCities.push(city)
+      continue
+    }
+    const withZone = { ...city, timeZone }
+    await tripCityService.update(city.id, withZone).catch(error => {
+      console.warn('Could not save city time zone:', error)
+    })
+    updatedCities.push(withZone)
+  }
+
+  return { trip: updatedTrip, cities: updatedCities }
+}
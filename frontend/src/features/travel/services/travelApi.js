@@ -1,6 +1,6 @@
 import { getToken } from '../../auth/services/auth'
-import { isTokenExpired } from '../../../shared/utils/tokenUtils'
 import { sessionManager } from '../../../shared/services/sessionManager'
+import { ensureFreshToken, refreshAccessToken } from '../../../shared/services/tokenRefresh'
 import { getBackendUrl as getBackendApiUrl } from '../../../shared/utils/getBackendUrl'
 import db, {
   createTrip,
@@ -12,6 +12,7 @@ import db, {
   createPinnedPOI,
   createTravelNote
 } from './travelDb'
+import { detectSyncConflict } from '../utils/syncConflicts'
 
 /**
  * Travel API Service
@@ -87,17 +88,9 @@ const handleSessionExpiration = () => {
 }
 
 /**
- * Make authenticated API request to backend
- * Falls back to IndexedDB operations when offline
+ * Backend base URL, pointing at this host when a phone on the LAN opens a localhost build
  */
-const apiRequest = async (url, options = {}) => {
-  const token = getToken()
-
-  if (token && isTokenExpired(token)) {
-    handleSessionExpiration()
-    throw new Error('Session expired. Please log in again.') // i18n-ignore
-  }
-
+const resolveBackendUrl = () => {
   let backendApiUrl = getBackendApiUrl()
 
   if (typeof window !== 'undefined' && window.location) {
@@ -112,7 +105,23 @@ const apiRequest = async (url, options = {}) => {
     }
   }
 
-  backendApiUrl = backendApiUrl.replace(/\/+$/, '')
+  return backendApiUrl.replace(/\/+$/, '')
+}
+
+/**
+ * Make authenticated API request to backend
+ * Falls back to IndexedDB operations when offline
+ */
+const apiRequest = async (url, options = {}, isReplay = false) => {
+  const hadToken = !!getToken()
+  const token = await ensureFreshToken()
+
+  if (hadToken && !token) {
+    handleSessionExpiration()
+    throw new Error('Session expired. Please log in again.') // i18n-ignore
+  }
+
+  const backendApiUrl = resolveBackendUrl()
   const normalizedUrl = url.startsWith('/') ? url : `/${url}`
   const fullUrl = `${backendApiUrl}${normalizedUrl}`
 
@@ -129,6 +138,10 @@ const apiRequest = async (url, options = {}) => {
   try {
     const response = await fetch(fullUrl, { ...options, headers })
 
+    if (response.status === 401 && token && !isReplay && await refreshAccessToken({ staleToken: token })) {
+      return await apiRequest(url, options, true)
+    }
+
     if (response.status === 401) {
       handleSessionExpiration()
       throw new Error('Session expired. Please log in again.') // i18n-ignore
@@ -171,26 +184,119 @@ class OfflineError extends Error {
 // Sync Queue Operations
 // ========================================
 
+/** Window event fired whenever the sync queue changes */
+export const SYNC_QUEUE_EVENT = 'travel-sync-queue-changed'
+
+const notifySyncQueueChange = () => {
+  window.dispatchEvent(new CustomEvent(SYNC_QUEUE_EVENT))
+}
+
+// API path segment per child table (trips use the root trips endpoint)
+const SYNC_TABLE_PATHS = {
+  itineraryEvents: 'events',
+  packingItems: 'packing',
+  documents: 'documents',
+  travelExpenses: 'expenses',
+  tripCities: 'cities',
+  pinnedPOIs: 'saved-places',
+  travelNotes: 'notes'
+}
+
+/**
+ * Build the collection endpoint for a synced table
+ * @returns {string|null} Endpoint or null for unknown tables
+ */
+const getSyncEndpoint = (table, tripId) => {
+  if (table === 'trips') return '/api/travel/trips'
+  const path = SYNC_TABLE_PATHS[table]
+  return path ? `/api/travel/trips/${tripId}/${path}` : null
+}
+
+/**
+ * Server version (updatedAt) a local record was last synced at.
+ * Offline edits keep the original value in _serverUpdatedAt so replays can detect conflicts.
+ */
+const getServerVersion = (record) => {
+  if (!record) return null
+  return record._synced === false ? (record._serverUpdatedAt ?? null) : (record.updatedAt ?? null)
+}
+
+/**
+ * Apply an offline change to a local record, remembering the server version it was based on
+ * @returns {Promise<string|null>} Base server version to store with the queued update
+ */
+const updateLocalRecord = async (table, id, changes) => {
+  const existing = await db[table].get(id)
+  const baseUpdatedAt = getServerVersion(existing)
+  await db[table].update(id, { ...changes, _synced: false, _serverUpdatedAt: baseUpdatedAt })
+  return baseUpdatedAt
+}
+
+/**
+ * Map a server record to its local shape (cities use `order` locally)
+ */
+const toLocalRecord = (table, record) => {
+  if (table === 'tripCities') {
+    return { ...record, order: record.orderIndex ?? record.order ?? 0, _synced: true }
+  }
+  return { ...record, _synced: true }
+}
+
 /**
  * Add operation to sync queue for later execution
+ * @param {string} action - 'create' | 'update' | 'delete'
+ * @param {string} table - Dexie table name
+ * @param {Object} data - Record data (or changes for updates)
+ * @param {string|null} baseUpdatedAt - Server version the change was based on (updates/deletes)
  */
-const addToSyncQueue = async (action, table, data) => {
+const addToSyncQueue = async (action, table, data, baseUpdatedAt = null) => {
   try {
     await db.syncQueue.add({
       action, // 'create' | 'update' | 'delete'
       table,
       data,
+      baseUpdatedAt,
       timestamp: Date.now(),
       status: 'pending'
     })
+    notifySyncQueueChange()
   } catch (error) {
     console.error('Error adding to sync queue:', error)
   }
 }
 
+/**
+ * Fetch the current server copy of a record for conflict detection
+ * Child collections are fetched once per sync run and reused.
+ * @returns {Promise<Object|null>} Server record or null if it no longer exists
+ */
+const fetchServerRecord = async (table, tripId, id, collectionCache) => {
+  try {
+    if (table === 'trips') {
+      return await apiRequest(`/api/travel/trips/${id}`)
+    }
+
+    const cacheKey = `${table}:${tripId}`
+    if (!collectionCache.has(cacheKey)) {
+      collectionCache.set(cacheKey, await apiRequest(getSyncEndpoint(table, tripId)))
+    }
+    const records = collectionCache.get(cacheKey)
+    return Array.isArray(records)
+      ? records.find(record => String(record.id) === String(id)) || null
+      : null
+  } catch (error) {
+    if (!(error instanceof OfflineError) && String(error.message || '').includes('404')) {
+      return null
+    }
+    throw error
+  }
+}
+
 /**
  * Process pending sync queue items
- * Syncs offline-created items to server and updates local IDs
+ * Syncs offline-created items to server and updates local IDs.
+ * Updates/deletes based on an older server version than the current one are
+ * parked with status 'conflict' for the user to resolve.
  */
 export const processSyncQueue = async () => {
   try {
@@ -200,45 +306,49 @@ export const processSyncQueue = async () => {
 
     // Map to track local ID -> server ID mappings for trips
     const tripIdMapping = new Map()
+    // Server collections fetched for conflict checks during this run
+    const collectionCache = new Map()
+    // Records with an unresolved conflict; later changes to them wait
+    const blockedRecords = new Set()
 
     for (const item of pendingItems) {
       try {
-        let endpoint = ''
         let method = 'POST'
         let tripId = item.data.tripId
+        const recordKey = `${item.table}:${item.data.id}`
+
+        if (blockedRecords.has(recordKey)) continue
 
         // If this item references a locally-created trip, use the mapped server ID
         if (tripId && tripIdMapping.has(tripId)) {
           tripId = tripIdMapping.get(tripId)
         }
 
-        switch (item.table) {
-          case 'trips':
-            endpoint = '/api/travel/trips'
-            break
-          case 'itineraryEvents':
-            endpoint = `/api/travel/trips/${tripId}/events`
-            break
-          case 'packingItems':
-            endpoint = `/api/travel/trips/${tripId}/packing`
-            break
-          case 'documents':
-            endpoint = `/api/travel/trips/${tripId}/documents`
-            break
-          case 'travelExpenses':
-            endpoint = `/api/travel/trips/${tripId}/expenses`
-            break
-          case 'tripCities':
-            endpoint = `/api/travel/trips/${tripId}/cities`
-            break
-          case 'pinnedPOIs':
-            endpoint = `/api/travel/trips/${tripId}/saved-places`
-            break
-          case 'travelNotes':
-            endpoint = `/api/travel/trips/${tripId}/notes`
-            break
-          default:
+        let endpoint = getSyncEndpoint(item.table, tripId)
+        if (!endpoint) continue
+
+        if (item.action === 'update' || item.action === 'delete') {
+          const serverRecord = item.baseUpdatedAt
+            ? await fetchServerRecord(item.table, tripId, item.data.id, collectionCache)
+            : undefined
+          const conflictType = detectSyncConflict(item, serverRecord)
+
+          if (conflictType) {
+            blockedRecords.add(recordKey)
+            await db.syncQueue.update(item.id, {
+              status: 'conflict',
+              conflictType,
+              serverData: serverRecord || null,
+              error: null
+            })
             continue
+          }
+
+          if (item.action === 'delete' && serverRecord === null) {
+            // Already deleted on the server (e.g. by a partner)
+            await db.syncQueue.update(item.id, { status: 'synced' })
+            continue
+          }
         }
 
         if (item.action === 'update') {
@@ -253,6 +363,7 @@ export const processSyncQueue = async () => {
         const syncData = { ...item.data }
         delete syncData.localId
         delete syncData._synced
+        delete syncData._serverUpdatedAt
         if (tripId !== item.data.tripId) {
           syncData.tripId = tripId // Use mapped server ID
         }
@@ -281,9 +392,12 @@ export const processSyncQueue = async () => {
             const table = db[item.table]
             if (table) {
               await table.delete(localId)
-              await table.put({ ...result, _synced: true })
+              await table.put(toLocalRecord(item.table, result))
             }
           }
+        } else if (item.action === 'update' && result?.id) {
+          // Store the new server version so later edits compare against it
+          await db[item.table]?.put(toLocalRecord(item.table, result))
         }
 
         // Mark as synced
@@ -306,6 +420,159 @@ export const processSyncQueue = async () => {
     await db.syncQueue.where('status').equals('synced').delete()
   } catch (error) {
     console.error('Error processing sync queue:', error)
+  } finally {
+    notifySyncQueueChange()
+  }
+}
+
+// ========================================
+// Sync Issue Resolution
+// ========================================
+
+export const syncQueueService = {
+  /**
+   * Get failed and conflicting queue items, oldest first
+   */
+  async getIssues() {
+    try {
+      return await db.syncQueue
+        .where('status').anyOf('failed', 'conflict')
+        .sortBy('timestamp')
+    } catch (error) {
+      console.error('Error loading sync issues:', error)
+      return []
+    }
+  },
+
+  /**
+   * Count items still waiting to be sent
+   */
+  async getPendingCount() {
+    try {
+      return await db.syncQueue.where('status').equals('pending').count()
+    } catch (error) {
+      console.error('Error counting sync queue:', error)
+      return 0
+    }
+  },
+
+  /**
+   * Put a failed item back in the queue and sync immediately
+   */
+  async retry(itemId) {
+    await db.syncQueue.update(itemId, { status: 'pending', error: null })
+    await processSyncQueue()
+  },
+
+  /**
+   * Resolve a conflict by replaying the local change over the server version
+   */
+  async keepMine(itemId) {
+    const item = await db.syncQueue.get(itemId)
+    if (!item) return
+
+    if (item.conflictType === 'deleted' && item.action === 'update') {
+      // Record was deleted remotely: recreate it from the local copy
+      const local = await db[item.table]?.get(item.data.id)
+      const { id, ...data } = { ...local, ...item.data }
+      delete data._synced
+      delete data._serverUpdatedAt
+      await db.syncQueue.update(itemId, {
+        action: 'create',
+        data: { ...data, localId: id },
+        status: 'pending',
+        conflictType: null,
+        serverData: null,
+        baseUpdatedAt: null
+      })
+    } else {
+      await db.syncQueue.update(itemId, {
+        status: 'pending',
+        conflictType: null,
+        baseUpdatedAt: item.serverData?.updatedAt ?? null,
+        serverData: null
+      })
+    }
+    await processSyncQueue()
+  },
+
+  /**
+   * Resolve a conflict by discarding the local change and restoring the server version
+   */
+  async keepTheirs(itemId) {
+    const item = await db.syncQueue.get(itemId)
+    if (!item) return
+
+    const table = db[item.table]
+    if (table) {
+      if (item.serverData) {
+        await table.put(toLocalRecord(item.table, item.serverData))
+      } else {
+        await table.delete(item.data.id)
+      }
+    }
+    await db.syncQueue.delete(itemId)
+    notifySyncQueueChange()
+  },
+
+  /**
+   * Resolve a conflict with field-by-field merged data
+   * @param {number} itemId - Sync queue item ID
+   * @param {Object} mergedData - Result of mergeConflictFields
+   */
+  async merge(itemId, mergedData) {
+    const item = await db.syncQueue.get(itemId)
+    if (!item) return
+
+    const data = { ...item.data, ...mergedData, updatedAt: new Date().toISOString() }
+    const baseUpdatedAt = item.serverData?.updatedAt ?? null
+
+    await db[item.table]?.update(item.data.id, {
+      ...data,
+      _synced: false,
+      _serverUpdatedAt: baseUpdatedAt
+    })
+    await db.syncQueue.update(itemId, {
+      data,
+      status: 'pending',
+      conflictType: null,
+      serverData: null,
+      baseUpdatedAt
+    })
+    await processSyncQueue()
+  },
+
+  /**
+   * Drop a queued change and restore the server copy of the record
+   * Records created offline are removed locally instead.
+   */
+  async discard(itemId) {
+    const item = await db.syncQueue.get(itemId)
+    if (!item) return
+
+    const table = db[item.table]
+    if (item.action === 'create') {
+      await table?.delete(item.data.localId || item.data.id)
+    } else if (table) {
+      // Later queued changes to the same record still build on the local copy
+      const laterChanges = await db.syncQueue
+        .where('table').equals(item.table)
+        .filter(other => other.id !== itemId && String(other.data?.id) === String(item.data.id))
+        .count()
+
+      if (laterChanges === 0) {
+        const serverRecord = item.status === 'conflict'
+          ? item.serverData
+          : await fetchServerRecord(item.table, item.data.tripId, item.data.id, new Map())
+        if (serverRecord) {
+          await table.put(toLocalRecord(item.table, serverRecord))
+        } else {
+          await table.delete(item.data.id)
+        }
+      }
+    }
+    await db.syncQueue.delete(itemId)
+    notifySyncQueueChange()
   }
 }
 
@@ -438,13 +705,18 @@ export const tripService = {
     // Check if trip exists in IndexedDB
     const localTrip = await db.trips.get(id)
 
+    // A zone looked up for the old coordinates is wrong for new ones; ensureTimeZones finds the new one
+    const moved = localTrip && ['latitude', 'longitude'].some(key => key in updates &&
+      (updates[key] == null ? localTrip[key] != null : Number(updates[key]) !== Number(localTrip[key])))
+    if (moved && !('timeZone' in updates)) updatedData.timeZone = null
+
     // If trip only exists locally (not synced), just update IndexedDB
     if (localTrip && !localTrip._synced) {
       await db.trips.update(id, { ...updatedData, _synced: false })
       // Update sync queue if there's a pending create operation
       const pendingCreate = await db.syncQueue
-        .where('entityType').equals('trips')
-        .filter(item => item.operation === 'create' && (item.data?.id === id || item.data?.localId === id))
+        .where('table').equals('trips')
+        .filter(item => item.action === 'create' && (item.data?.id === id || item.data?.localId === id))
         .first()
       if (pendingCreate) {
         // Update the queued create operation with new data
@@ -465,8 +737,8 @@ export const tripService = {
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
         // Offline: update IndexedDB and queue for sync
-        await db.trips.update(id, { ...updatedData, _synced: false })
-        await addToSyncQueue('update', 'trips', { id, ...updatedData })
+        const baseUpdatedAt = await updateLocalRecord('trips', id, updatedData)
+        await addToSyncQueue('update', 'trips', { id, ...updatedData }, baseUpdatedAt)
         const trip = await db.trips.get(id)
         return trip
       } else if (error.message && error.message.includes('404')) {
@@ -509,7 +781,7 @@ export const tripService = {
     if (localTrip && !localTrip._synced) {
       await deleteFromLocal()
       // Remove from sync queue if it was queued for creation
-      await db.syncQueue.where('entityType').equals('trips')
+      await db.syncQueue.where('table').equals('trips')
         .filter(item => item.data?.id === id || item.data?.localId === id)
         .delete()
       return
@@ -526,7 +798,7 @@ export const tripService = {
         await deleteFromLocal()
         // Only add to sync queue if trip was synced (exists on server)
         if (localTrip?._synced) {
-          await addToSyncQueue('delete', 'trips', { id })
+          await addToSyncQueue('delete', 'trips', { id }, getServerVersion(localTrip))
         }
       } else {
         // API error (e.g., 404 - trip doesn't exist on server)
@@ -608,8 +880,8 @@ export const itineraryService = {
       return updated
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await db.itineraryEvents.update(eventId, { ...updatedData, _synced: false })
-        await addToSyncQueue('update', 'itineraryEvents', { id: eventId, tripId, ...updatedData })
+        const baseUpdatedAt = await updateLocalRecord('itineraryEvents', eventId, updatedData)
+        await addToSyncQueue('update', 'itineraryEvents', { id: eventId, tripId, ...updatedData }, baseUpdatedAt)
         return await db.itineraryEvents.get(eventId)
       }
       throw error
@@ -622,7 +894,8 @@ export const itineraryService = {
       await db.itineraryEvents.delete(eventId)
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await addToSyncQueue('delete', 'itineraryEvents', { id: eventId, tripId })
+        const baseUpdatedAt = getServerVersion(await db.itineraryEvents.get(eventId))
+        await addToSyncQueue('delete', 'itineraryEvents', { id: eventId, tripId }, baseUpdatedAt)
         await db.itineraryEvents.delete(eventId)
       } else {
         throw error
@@ -631,6 +904,48 @@ export const itineraryService = {
   }
 }
 
+// ========================================
+// Itinerary Calendar Service
+// ========================================
+
+export const itineraryCalendarService = {
+  /**
+   * Fetch the itinerary as an iCalendar file
+   * @param {string} tripId
+   * @param {string} [date] - yyyy-MM-dd to export a single day
+   * @returns {Promise<Blob>}
+   */
+  async download(tripId, date) {
+    const query = date ? `?date=${encodeURIComponent(date)}` : ''
+    const content = await apiRequest(`/api/travel/trips/${tripId}/calendar.ics${query}`)
+    return new Blob([content], { type: 'text/calendar;charset=utf-8' })
+  },
+
+  /**
+   * Turn the subscribable feed on; calling it again replaces the feed URL
+   * @returns {Promise<string>} Feed token
+   */
+  async enableFeed(tripId) {
+    const { token } = await apiRequest(`/api/travel/trips/${tripId}/calendar-feed`, { method: 'POST' })
+    await db.trips.update(tripId, { calendarFeedToken: token })
+    return token
+  },
+
+  async disableFeed(tripId) {
+    await apiRequest(`/api/travel/trips/${tripId}/calendar-feed`, { method: 'DELETE' })
+    await db.trips.update(tripId, { calendarFeedToken: null })
+  },
+
+  /**
+   * Public feed URLs for a token: https for copying, webcal for one-click subscribe
+   * @returns {{url: string, webcalUrl: string}}
+   */
+  getFeedUrls(token) {
+    const url = `${resolveBackendUrl()}/api/travel/calendar/${encodeURIComponent(token)}.ics`
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') }
+  }
+}
+
 // ========================================
 // Packing Item Service
 // ========================================
@@ -693,8 +1008,8 @@ export const packingService = {
       return updated
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await db.packingItems.update(itemId, { ...updatedData, _synced: false })
-        await addToSyncQueue('update', 'packingItems', { id: itemId, tripId, ...updatedData })
+        const baseUpdatedAt = await updateLocalRecord('packingItems', itemId, updatedData)
+        await addToSyncQueue('update', 'packingItems', { id: itemId, tripId, ...updatedData }, baseUpdatedAt)
         return await db.packingItems.get(itemId)
       }
       throw error
@@ -711,7 +1026,8 @@ export const packingService = {
       await db.packingItems.delete(itemId)
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await addToSyncQueue('delete', 'packingItems', { id: itemId, tripId })
+        const baseUpdatedAt = getServerVersion(await db.packingItems.get(itemId))
+        await addToSyncQueue('delete', 'packingItems', { id: itemId, tripId }, baseUpdatedAt)
         await db.packingItems.delete(itemId)
       } else {
         throw error
@@ -791,8 +1107,8 @@ export const documentService = {
       return updated
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await db.documents.update(docId, { ...updatedData, _synced: false })
-        await addToSyncQueue('update', 'documents', { id: docId, tripId, ...updatedData })
+        const baseUpdatedAt = await updateLocalRecord('documents', docId, updatedData)
+        await addToSyncQueue('update', 'documents', { id: docId, tripId, ...updatedData }, baseUpdatedAt)
         return await db.documents.get(docId)
       }
       throw error
@@ -805,7 +1121,8 @@ export const documentService = {
       await db.documents.delete(docId)
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await addToSyncQueue('delete', 'documents', { id: docId, tripId })
+        const baseUpdatedAt = getServerVersion(await db.documents.get(docId))
+        await addToSyncQueue('delete', 'documents', { id: docId, tripId }, baseUpdatedAt)
         await db.documents.delete(docId)
       } else {
         throw error
@@ -876,8 +1193,8 @@ export const travelExpenseService = {
       return updated
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await db.travelExpenses.update(expenseId, { ...updatedData, _synced: false })
-        await addToSyncQueue('update', 'travelExpenses', { id: expenseId, tripId, ...updatedData })
+        const baseUpdatedAt = await updateLocalRecord('travelExpenses', expenseId, updatedData)
+        await addToSyncQueue('update', 'travelExpenses', { id: expenseId, tripId, ...updatedData }, baseUpdatedAt)
         return await db.travelExpenses.get(expenseId)
       }
       throw error
@@ -890,7 +1207,8 @@ export const travelExpenseService = {
       await db.travelExpenses.delete(expenseId)
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await addToSyncQueue('delete', 'travelExpenses', { id: expenseId, tripId })
+        const baseUpdatedAt = getServerVersion(await db.travelExpenses.get(expenseId))
+        await addToSyncQueue('delete', 'travelExpenses', { id: expenseId, tripId }, baseUpdatedAt)
         await db.travelExpenses.delete(expenseId)
       } else {
         throw error
@@ -980,8 +1298,8 @@ export const noteService = {
       return updated
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await db.travelNotes.update(noteId, { ...updatedData, _synced: false })
-        await addToSyncQueue('update', 'travelNotes', { id: noteId, tripId, ...updatedData })
+        const baseUpdatedAt = await updateLocalRecord('travelNotes', noteId, updatedData)
+        await addToSyncQueue('update', 'travelNotes', { id: noteId, tripId, ...updatedData }, baseUpdatedAt)
         return await db.travelNotes.get(noteId)
       }
       throw error
@@ -994,7 +1312,8 @@ export const noteService = {
       await db.travelNotes.delete(noteId)
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await addToSyncQueue('delete', 'travelNotes', { id: noteId, tripId })
+        const baseUpdatedAt = getServerVersion(await db.travelNotes.get(noteId))
+        await addToSyncQueue('delete', 'travelNotes', { id: noteId, tripId }, baseUpdatedAt)
         await db.travelNotes.delete(noteId)
       } else {
         throw error
@@ -1066,7 +1385,8 @@ export const savedPlaceService = {
       await db.pinnedPOIs.delete(placeId)
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await addToSyncQueue('delete', 'pinnedPOIs', { id: placeId, tripId })
+        const baseUpdatedAt = getServerVersion(await db.pinnedPOIs.get(placeId))
+        await addToSyncQueue('delete', 'pinnedPOIs', { id: placeId, tripId }, baseUpdatedAt)
         await db.pinnedPOIs.delete(placeId)
       } else {
         throw error
@@ -1214,9 +1534,9 @@ export const tripCityService = {
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
         // Offline: update locally and queue for sync
-        await db.tripCities.update(cityId, { ...updatedData, _synced: false })
+        const baseUpdatedAt = await updateLocalRecord('tripCities', cityId, updatedData)
         const city = await db.tripCities.get(cityId)
-        await addToSyncQueue('update', 'tripCities', { id: cityId, ...updatedData, tripId: city?.tripId })
+        await addToSyncQueue('update', 'tripCities', { id: cityId, ...updatedData, tripId: city?.tripId }, baseUpdatedAt)
         return await db.tripCities.get(cityId)
       } else if (String(error.message || '').includes('404')) {
         // City missing on server: keep local data and mark as unsynced
@@ -1245,7 +1565,7 @@ export const tripCityService = {
       await db.tripCities.delete(cityId)
     } catch (error) {
       if (error instanceof OfflineError || error.isOffline) {
-        await addToSyncQueue('delete', 'tripCities', { id: cityId, tripId })
+        await addToSyncQueue('delete', 'tripCities', { id: cityId, tripId }, getServerVersion(city))
         await db.tripCities.delete(cityId)
       } else if (String(error.message || '').includes('404')) {
         // If server says it's gone, remove it locally and continue
@@ -1376,6 +1696,7 @@ export const geocodingService = {
 export default {
   tripService,
   itineraryService,
+  itineraryCalendarService,
   packingService,
   documentService,
   travelExpenseService,
@@ -1383,5 +1704,6 @@ export default {
   layoutPreferencesService,
   geocodingService,
   processSyncQueue,
+  syncQueueService,
   clearTripCache
 }
@@ -1,4 +1,5 @@
 import Dexie from 'dexie'
+import { boundsContain } from '../utils/offlineMaps'
 
 /**
  * Travel Command Center IndexedDB Database
@@ -124,6 +125,29 @@ db.version(6).stores({
   resourceSyncState: 'key, timestamp'
 })
 
+// Version 7 - Add offline map packs
+db.version(7).stores({
+  trips: '++id, userId, status, startDate, endDate, destination, createdAt, _synced',
+  itineraryEvents: '++id, tripId, type, date, startTime, [tripId+date], _synced',
+  packingItems: '++id, tripId, category, name, isChecked, [tripId+category], _synced',
+  documents: '++id, tripId, type, name, expiryDate, [tripId+type], _synced',
+  travelExpenses: '++id, tripId, category, amount, currency, date, [tripId+category], [tripId+date], _synced',
+  apiCache: '++id, key, data, timestamp, ttl',
+  syncQueue: '++id, action, table, timestamp, status',
+  tripCities: '++id, tripId, order, [tripId+order], _synced',
+  pinnedPOIs: '++id, tripId, poiId, category, [tripId+category], createdAt, _synced',
+  travelNotes: '++id, tripId, [tripId+createdAt], _synced',
+  resourceSyncState: 'key, timestamp',
+
+  // Offline map packs, one per trip city
+  // id: `${tripId}-${cityId}`; holds the bounds, status, size and the POIs per category
+  offlinePacks: 'id, tripId, status, lastUsed',
+
+  // Map tiles, styles, sprites and glyphs for the packs, read by the service worker
+  // key: host + path of the request; packIds: packs sharing the entry
+  offlineTiles: 'key, *packIds'
+})
+
 /**
  * Trip model factory
  * @param {Object} data - Trip data
@@ -136,6 +160,7 @@ export const createTrip = (data = {}) => ({
   country: data.country || '',
   latitude: data.latitude || null,
   longitude: data.longitude || null,
+  timeZone: data.timeZone || null, // IANA zone of the destination
   startDate: data.startDate || null,
   endDate: data.endDate || null,
   budget: data.budget || 0,
@@ -160,6 +185,8 @@ export const createItineraryEvent = (data = {}) => ({
   date: data.date || null,
   startTime: data.startTime || null,
   endTime: data.endTime || null,
+  timeZone: data.timeZone || null, // IANA zone of startTime/endTime, null for floating times
+  endTimeZone: data.endTimeZone || null, // Zone of endTime when it differs, e.g. a flight's arrival
   location: data.location || '',
   address: data.address || '',
   latitude: data.latitude || null,
@@ -242,6 +269,8 @@ export const createTravelExpense = (data = {}) => ({
   paymentMethod: data.paymentMethod || '',
   receiptUrl: data.receiptUrl || null,
   notes: data.notes || '',
+  paidBy: data.paidBy || null, // 'me' | 'partner' when shared with partner
+  splitPercentage: data.splitPercentage ?? null, // Trip owner's share; null = not shared
   createdAt: data.createdAt || new Date().toISOString(),
   updatedAt: new Date().toISOString()
 })
@@ -447,6 +476,7 @@ export const createTripCity = (data = {}) => ({
   country: data.country || '',
   latitude: data.latitude || null,
   longitude: data.longitude || null,
+  timeZone: data.timeZone || null, // IANA zone of the city
   order: data.order || 0, // Order in the trip sequence
   startDate: data.startDate || null, // Arrival date in this city
   endDate: data.endDate || null, // Departure date from this city
@@ -483,4 +513,26 @@ export const getTripCities = async (tripId) => {
   }
 }
 
+/**
+ * POIs of a category from the offline pack covering a point, for when the live APIs
+ * can't be reached. Marks the pack as used so eviction keeps it.
+ * @param {string} categoryId - Discovery category ID
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Array|null>} POIs, or null when no pack covers the point
+ */
+export const getOfflinePOIs = async (categoryId, lat, lon) => {
+  try {
+    const packs = await db.offlinePacks.where('status').anyOf('ready', 'partial').toArray()
+    const pack = packs.find(p => boundsContain(p.bounds, lat, lon) && p.pois?.[categoryId])
+    if (!pack) return null
+
+    await db.offlinePacks.update(pack.id, { lastUsed: Date.now() })
+    return pack.pois[categoryId]
+  } catch (error) {
+    console.error('Error getting offline POIs:', error)
+    return null
+  }
+}
+
 export default db
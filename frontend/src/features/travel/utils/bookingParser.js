@@ -0,0 +1,652 @@
+/**
+ * Booking confirmation parser
+ * Reads airline, hotel and other booking confirmations (.eml messages, PDF or plain text and
+ * schema.org reservation markup) and proposes itinerary events, documents and travel expenses.
+ * Schema.org markup is exact, so the text heuristics only run when a source carries none.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const MONTH_PATTERN = 'jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec'
+
+const CURRENCY_SYMBOLS = { '\u20ac': 'EUR', '$': 'USD', '\u00a3': 'GBP', '\u00a5': 'JPY' }
+
+const FLIGHT_NUMBER = /\b([A-Z][A-Z0-9]|[A-Z0-9][A-Z])\s?(\d{1,4})\b/g
+const AIRPORT_PAIR = /\b([A-Z]{3})\s*(?:-|\u2013|\u2014|\u2192|>|to)\s*([A-Z]{3})\b/
+const AIRPORT_IN_PARENS = /\(([A-Z]{3})\)/g
+const CONFIRMATION = /\b(?:confirmation|booking|reservation|record locator|pnr)(?:\s*(?:number|no\.?|code|ref(?:erence)?|#))?\s*[:#]?\s*([A-Z0-9]{5,12})\b/i
+const TIME = /\b([01]?\d|2[0-3]):([0-5]\d)\b/g
+const TOTAL = /\b(?:grand total|total price|total amount|amount paid|total paid|total)\b[^\n\d\u20ac$\u00a3]{0,30}?([\u20ac$\u00a3\u00a5]|[A-Z]{3})?\s*(\d[\d.,]*)\s*([\u20ac$\u00a3\u00a5]|[A-Z]{3}\b)?/i
+const HOTEL_NAME = /\b(hotel|hostel|resort|inn|suites?|apartments?|lodge|guesthouse)\b/i
+
+// Map schema.org reservation types to itinerary types
+const RESERVATION_KINDS = {
+  FlightReservation: 'flight',
+  LodgingReservation: 'hotel',
+  FoodEstablishmentReservation: 'restaurant',
+  TrainReservation: 'transit',
+  BusReservation: 'transit',
+  BoatReservation: 'transit',
+  TaxiReservation: 'transit',
+  RentalCarReservation: 'transit',
+  EventReservation: 'activity'
+}
+
+const EXPENSE_CATEGORIES = {
+  flight: 'transport',
+  transit: 'transport',
+  hotel: 'accommodation',
+  restaurant: 'food',
+  activity: 'activities'
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// ========================================
+// MIME (.eml)
+// ========================================
+
+const splitPart = (raw) => {
+  const match = raw.match(/\r?\n\r?\n/)
+  const headerBlock = match ? raw.slice(0, match.index) : raw
+  const body = match ? raw.slice(match.index + match[0].length) : ''
+  const headers = {}
+  headerBlock.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':')
+    if (colon <= 0) return
+    const name = line.slice(0, colon).trim().toLowerCase()
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim()
+  })
+  return { headers, body }
+}
+
+const headerParam = (value, name) => {
+  const match = (value || '').match(new RegExp(`;\\s*${name}\\*?=(?:"([^"]*)"|([^;\\s]*))`, 'i'))
+  return match ? (match[1] ?? match[2]) : ''
+}
+
+const base64ToBytes = (text) => {
+  const binary = atob(text.replace(/[^A-Za-z0-9+/=]/g, ''))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+const quotedPrintableToBytes = (text) => {
+  const source = text.replace(/=\r?\n/g, '')
+  const encoder = new TextEncoder()
+  const bytes = []
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16))
+      i += 2
+    } else {
+      bytes.push(...encoder.encode(source[i]))
+    }
+  }
+  return Uint8Array.from(bytes)
+}
+
+const decodeBytes = (bytes, charset) => {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes)
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header (=?UTF-8?B?...?= and =?UTF-8?Q?...?=)
+ */
+export const decodeMimeWords = (value) => (value || '')
+  .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+  .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? base64ToBytes(text)
+      : quotedPrintableToBytes(text.replace(/_/g, ' '))
+    return decodeBytes(bytes, charset)
+  })
+
+const splitMultipart = (body, boundary) => {
+  const delimiter = `--${boundary}`
+  const parts = []
+  let current = null
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join('\n'))
+      if (line.startsWith(`${delimiter}--`)) return parts
+      current = []
+    } else if (current) {
+      current.push(line)
+    }
+  }
+  if (current) parts.push(current.join('\n'))
+  return parts
+}
+
+/**
+ * Parse a raw email message
+ * @param {string} raw - .eml file contents
+ * @returns {{subject: string, from: string, date: string|null, text: string, html: string,
+ *   attachments: Array<{filename: string, mimeType: string, bytes: Uint8Array}>}}
+ */
+export const parseEml = (raw) => {
+  const { headers } = splitPart(raw || '')
+  const message = {
+    subject: decodeMimeWords(headers.subject),
+    from: decodeMimeWords(headers.from),
+    date: headers.date ? toIsoDate(new Date(headers.date)) : null,
+    text: '',
+    html: '',
+    attachments: []
+  }
+
+  const walk = (part, depth = 0) => {
+    if (depth > 10) return
+    const { headers: partHeaders, body } = splitPart(part)
+    const contentType = partHeaders['content-type'] || 'text/plain'
+    const mimeType = contentType.split(';')[0].trim().toLowerCase()
+
+    if (mimeType.startsWith('multipart/')) {
+      const boundary = headerParam(contentType, 'boundary')
+      if (boundary) splitMultipart(body, boundary).forEach(child => walk(child, depth + 1))
+      return
+    }
+    if (mimeType === 'message/rfc822') {
+      walk(body, depth + 1)
+      return
+    }
+
+    const encoding = (partHeaders['content-transfer-encoding'] || '').toLowerCase()
+    const charset = headerParam(contentType, 'charset')
+    const disposition = partHeaders['content-disposition'] || ''
+    const filename = decodeMimeWords(headerParam(disposition, 'filename') || headerParam(contentType, 'name'))
+    const isText = mimeType === 'text/plain' || mimeType === 'text/html'
+
+    if (isText && !/^attachment/i.test(disposition)) {
+      const text = encoding === 'base64' || encoding === 'quoted-printable'
+        ? decodeBytes(encoding === 'base64' ? base64ToBytes(body) : quotedPrintableToBytes(body), charset)
+        : body
+      if (mimeType === 'text/html') message.html += text
+      else message.text += text
+      return
+    }
+
+    const bytes = encoding === 'base64'
+      ? base64ToBytes(body)
+      : encoding === 'quoted-printable' ? quotedPrintableToBytes(body) : new TextEncoder().encode(body)
+    message.attachments.push({ filename: filename || `attachment-${message.attachments.length + 1}`, mimeType, bytes })
+  }
+
+  walk(raw || '')
+  return message
+}
+
+// ========================================
+// HTML and schema.org
+// ========================================
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', euro: '\u20ac', pound: '\u00a3' }
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10)
+    return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity
+})
+
+/**
+ * Plain text of an HTML email, keeping line breaks between blocks
+ */
+export const htmlToText = (html) => decodeEntities((html || '')
+  .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, '\n')
+  .replace(/<\/t[dh]>/gi, ' ')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/[ \t\u00a0]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim()
+
+/**
+ * Every JSON-LD object in an HTML document, with arrays and @graph flattened
+ * @returns {Array<Object>}
+ */
+export const extractJsonLd = (html) => {
+  const items = []
+  const collect = (node) => {
+    if (Array.isArray(node)) node.forEach(collect)
+    else if (node && typeof node === 'object') {
+      if (Array.isArray(node['@graph'])) node['@graph'].forEach(collect)
+      else items.push(node)
+    }
+  }
+
+  const pattern = /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi
+  let match
+  while ((match = pattern.exec(html || '')) !== null) {
+    try {
+      collect(JSON.parse(match[1].trim()))
+    } catch {
+      // Malformed markup; the text heuristics still get a chance
+    }
+  }
+  return items
+}
+
+const schemaType = (node) => {
+  const types = [].concat(node?.['@type'] || [])
+  return types.map(type => String(type).replace(/^https?:\/\/schema\.org\//, '')).find(type => RESERVATION_KINDS[type]) || null
+}
+
+const asText = (value) => {
+  if (value == null) return ''
+  if (typeof value === 'string' || typeof value === 'number') return String(value).trim()
+  return asText(value.name || value['@value'] || '')
+}
+
+const formatAddress = (address) => {
+  if (!address) return ''
+  if (typeof address === 'string') return address.trim()
+  return [address.streetAddress, address.postalCode, address.addressLocality, address.addressCountry?.name || address.addressCountry]
+    .map(asText)
+    .filter(Boolean)
+    .join(', ')
+}
+
+/**
+ * Date and wall-clock time as written in an ISO 8601 value, ignoring its offset
+ * Confirmations give local times at the departure or venue, which is what the itinerary shows.
+ * @returns {{date: string, time: string|null}|null}
+ */
+export const splitDateTime = (value) => {
+  const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2}))?/)
+  if (!match) return null
+  return { date: match[1], time: match[2] ? `${match[2]}:${match[3]}` : null }
+}
+
+/**
+ * Read an amount whichever decimal separator it uses
+ * @returns {number|null}
+ */
+export const parsePrice = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  const text = String(value || '').replace(/[^\d.,]/g, '')
+  if (!/\d/.test(text)) return null
+  const lastSeparator = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','))
+  const decimals = lastSeparator >= 0 ? text.length - lastSeparator - 1 : 0
+  const normalized = lastSeparator >= 0 && decimals !== 3
+    ? text.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + text.slice(lastSeparator + 1)
+    : text.replace(/[.,]/g, '')
+  const amount = parseFloat(normalized)
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null
+}
+
+const readPrice = (node) => {
+  const spec = [].concat(node.totalPrice ?? node.price ?? [])[0]
+  const amount = parsePrice(typeof spec === 'object' && spec !== null ? spec.price ?? spec.value : spec)
+  if (!amount) return null
+  const currency = (typeof spec === 'object' && spec?.priceCurrency) || node.priceCurrency || ''
+  return { amount, currency: String(currency).toUpperCase() || null }
+}
+
+const readGeo = (place) => {
+  const geo = place?.geo
+  const latitude = parseFloat(geo?.latitude)
+  const longitude = parseFloat(geo?.longitude)
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : {}
+}
+
+/**
+ * Reservations described by schema.org markup
+ * @param {Array<Object>} items - Output of extractJsonLd
+ * @returns {Array<Object>} Normalized reservations
+ */
+export const reservationsFromJsonLd = (items) => items.flatMap(node => {
+  const type = schemaType(node)
+  if (!type) return []
+  const kind = RESERVATION_KINDS[type]
+  const target = [].concat(node.reservationFor || [])[0] || {}
+  const base = {
+    kind,
+    confirmation: asText(node.reservationNumber || node.confirmationNumber).toUpperCase(),
+    status: /cancel/i.test(asText(node.reservationStatus)) ? 'cancelled' : 'confirmed',
+    price: readPrice(node),
+    bookedOn: splitDateTime(node.bookingTime)?.date || null,
+    source: 'schema.org'
+  }
+
+  if (kind === 'flight') {
+    const airline = asText(target.airline)
+    const airlineCode = asText(target.airline?.iataCode)
+    const number = asText(target.flightNumber)
+    const flightNumber = number && airlineCode && !number.startsWith(airlineCode) ? `${airlineCode}${number}` : number
+    const departureAirport = asText(target.departureAirport?.iataCode)
+    const arrivalAirport = asText(target.arrivalAirport?.iataCode)
+    return [{
+      ...base,
+      name: [flightNumber, departureAirport && arrivalAirport ? `${departureAirport} \u2192 ${arrivalAirport}` : ''].filter(Boolean).join(' ') || airline,
+      start: splitDateTime(target.departureTime),
+      end: splitDateTime(target.arrivalTime),
+      location: asText(target.departureAirport),
+      flightNumber,
+      airline,
+      departureAirport,
+      arrivalAirport,
+      ...readGeo(target.departureAirport)
+    }]
+  }
+
+  if (kind === 'hotel') {
+    const start = splitDateTime(node.checkinTime || node.checkinDate)
+    const end = splitDateTime(node.checkoutTime || node.checkoutDate)
+    return [{
+      ...base,
+      name: asText(target),
+      start,
+      end,
+      location: asText(target),
+      address: formatAddress(target.address),
+      checkInTime: start?.time || '',
+      checkOutTime: end?.time || '',
+      ...readGeo(target)
+    }]
+  }
+
+  const departure = target.departureStation || target.departureBusStop || target.departureBoatTerminal || target.pickupLocation
+  const arrival = target.arrivalStation || target.arrivalBusStop || target.arrivalBoatTerminal || target.dropoffLocation
+  return [{
+    ...base,
+    name: asText(target) || [asText(departure), asText(arrival)].filter(Boolean).join(' \u2192 '),
+    start: splitDateTime(node.startTime || target.departureTime || node.pickupTime || target.startDate),
+    end: splitDateTime(node.endTime || target.arrivalTime || node.dropoffTime || target.endDate),
+    location: asText(departure) || asText(target.location) || asText(target),
+    address: formatAddress(target.address || target.location?.address || departure?.address),
+    ...readGeo(departure || target.location || target)
+  }]
+})
+
+// ========================================
+// Plain text heuristics
+// ========================================
+
+const toIsoDate = (date) => (Number.isNaN(date?.getTime?.())
+  ? null
+  : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`)
+
+const makeDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null
+  const date = new Date(fullYear, month - 1, day)
+  return date.getMonth() === month - 1 ? toIsoDate(date) : null
+}
+
+/**
+ * Every date written in the text with its position
+ * Numeric dates are read day first, as European booking sites write them.
+ * @returns {Array<{index: number, date: string}>}
+ */
+export const findDates = (text) => {
+  const found = []
+  const add = (index, date) => { if (date) found.push({ index, date }) }
+  const patterns = [
+    [/\b(20\d{2})-(\d{2})-(\d{2})\b/g, m => makeDate(+m[1], +m[2], +m[3])],
+    [/\b(\d{1,2})[./](\d{1,2})[./](20\d{2}|\d{2})(?![:\d])/g, m => makeDate(+m[3], +m[2], +m[1])],
+    [new RegExp(`\\b(\\d{1,2})\\s*(${MONTH_PATTERN})[a-z]*\\.?,?\\s*(20\\d{2}|\\d{2})(?![:\\d])`, 'gi'),
+      m => makeDate(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1])],
+    [new RegExp(`\\b(${MONTH_PATTERN})[a-z]*\\.?\\s+(\\d{1,2}),?\\s+(20\\d{2})\\b`, 'gi'),
+      m => makeDate(+m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, +m[2])]
+  ]
+  for (const [pattern, read] of patterns) {
+    for (const match of text.matchAll(pattern)) add(match.index, read(match))
+  }
+  return found.sort((a, b) => a.index - b.index)
+}
+
+const findTotal = (text) => {
+  const match = text.match(TOTAL)
+  if (!match) return null
+  const amount = parsePrice(match[2])
+  if (!amount) return null
+  const symbol = match[1] || match[3] || ''
+  return { amount, currency: CURRENCY_SYMBOLS[symbol] || (/^[A-Z]{3}$/.test(symbol) ? symbol : null) }
+}
+
+const flightsFromText = (text, dates) => {
+  const flights = []
+  const seen = new Set()
+  const matches = [...text.matchAll(FLIGHT_NUMBER)]
+
+  matches.forEach((match, i) => {
+    // A segment runs up to the next flight number, so codes and dates are not borrowed from it
+    const segmentEnd = Math.min(matches[i + 1]?.index ?? text.length, match.index + 240)
+    const segmentStart = Math.max(i > 0 ? matches[i - 1].index + matches[i - 1][0].length : 0, match.index - 80)
+    const airportCodes = (window) => {
+      const pair = window.match(AIRPORT_PAIR)
+      return pair ? [pair[1], pair[2]] : [...window.matchAll(AIRPORT_IN_PARENS)].map(m => m[1])
+    }
+    let codes = airportCodes(text.slice(match.index, segmentEnd))
+    if (codes.length < 2) codes = airportCodes(text.slice(segmentStart, match.index))
+    // A flight number is only trusted next to a pair of airport codes
+    if (codes.length < 2 || codes[0] === codes[1]) return
+
+    const flightNumber = `${match[1]}${match[2]}`
+    const date = dates.find(d => d.index > match.index && d.index < segmentEnd)?.date
+      || [...dates].reverse().find(d => d.index >= segmentStart && d.index < match.index)?.date
+      || null
+    const key = `${flightNumber}|${date}`
+    if (seen.has(key)) return
+    seen.add(key)
+
+    const times = [...text.slice(match.index, segmentEnd).matchAll(TIME)].map(m => `${pad(m[1])}:${m[2]}`)
+    flights.push({
+      kind: 'flight',
+      name: `${flightNumber} ${codes[0]} \u2192 ${codes[1]}`,
+      start: date ? { date, time: times[0] || null } : null,
+      end: date && times[1] ? { date, time: times[1] } : null,
+      flightNumber,
+      departureAirport: codes[0],
+      arrivalAirport: codes[1]
+    })
+  })
+  return flights
+}
+
+const hotelFromText = (text, dates, subject) => {
+  const checkIn = text.match(/check[\s-]?in\b/i)
+  const checkOut = text.match(/check[\s-]?out\b/i)
+  if (!checkIn || !checkOut) return null
+
+  const inDate = dates.find(d => d.index > checkIn.index && d.index < checkIn.index + 80)?.date
+  const outDate = dates.find(d => d.index > checkOut.index && d.index < checkOut.index + 80)?.date
+  if (!inDate) return null
+
+  const timeAfter = (index) => {
+    const match = text.slice(index, index + 80).match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/)
+    return match ? `${pad(match[1])}:${match[2]}` : ''
+  }
+  const nameLine = text.split('\n').map(line => line.trim()).find(line => HOTEL_NAME.test(line) && line.length <= 80)
+  const checkInTime = timeAfter(checkIn.index)
+  const checkOutTime = timeAfter(checkOut.index)
+
+  return {
+    kind: 'hotel',
+    name: nameLine || subject || '',
+    start: { date: inDate, time: checkInTime || null },
+    end: outDate ? { date: outDate, time: checkOutTime || null } : null,
+    checkInTime,
+    checkOutTime
+  }
+}
+
+/**
+ * Reservations found in the plain text of a confirmation
+ * @param {string} text
+ * @param {{subject?: string}} [options]
+ * @returns {Array<Object>} Normalized reservations
+ */
+export const reservationsFromText = (text, { subject = '' } = {}) => {
+  const source = `${subject}\n${text || ''}`
+  const dates = findDates(source)
+  const confirmation = source.match(CONFIRMATION)?.[1]?.toUpperCase() || ''
+  const price = findTotal(source)
+
+  const reservations = flightsFromText(source, dates)
+  if (reservations.length === 0) {
+    const hotel = hotelFromText(source, dates, subject)
+    if (hotel) reservations.push(hotel)
+  }
+
+  return reservations.map((reservation, index) => ({
+    confirmation,
+    status: 'confirmed',
+    location: '',
+    address: '',
+    ...reservation,
+    // One total covers every segment of the booking
+    price: index === 0 ? price : null,
+    bookedOn: null,
+    source: 'text'
+  }))
+}
+
+/**
+ * Reservations in one confirmation, preferring its schema.org markup
+ * @param {{text?: string, html?: string, subject?: string}} source
+ * @returns {Array<Object>}
+ */
+export const parseBookingConfirmation = ({ text = '', html = '', subject = '' }) => {
+  const fromMarkup = reservationsFromJsonLd(extractJsonLd(html))
+  if (fromMarkup.length > 0) return fromMarkup
+  return reservationsFromText([text, htmlToText(html)].filter(Boolean).join('\n\n'), { subject })
+}
+
+// ========================================
+// Review batch
+// ========================================
+
+
+/**
+ * Turn reservations into the itinerary events, documents and expenses they imply
+ * Each proposal carries an id, a selected flag for review and the data to save.
+ * Segments sharing a confirmation number share one document and one expense.
+ * @param {Array<Object>} reservations
+ * @returns {{events: Array, documents: Array, expenses: Array}}
+ */
+export const buildBookingBatch = (reservations) => {
+  const batch = { events: [], documents: [], expenses: [] }
+  const bookings = new Map()
+
+  reservations.forEach((reservation, index) => {
+    if (reservation.start?.date) {
+      const endsSameDay = reservation.end?.date === reservation.start.date
+      batch.events.push({
+        id: `event-${index}`,
+        selected: reservation.status !== 'cancelled',
+        data: {
+          type: reservation.kind,
+          name: reservation.name,
+          date: reservation.start.date,
+          startTime: reservation.start.time || null,
+          // An end on a later day is an overnight flight or a stay's check-out, not this day's end
+          endTime: reservation.kind !== 'hotel' && (endsSameDay || reservation.kind === 'flight') ? reservation.end?.time || null : null,
+          location: reservation.location || '',
+          address: reservation.address || '',
+          latitude: reservation.latitude ?? null,
+          longitude: reservation.longitude ?? null,
+          confirmationNumber: reservation.confirmation || '',
+          flightNumber: reservation.flightNumber || '',
+          airline: reservation.airline || '',
+          departureAirport: reservation.departureAirport || '',
+          arrivalAirport: reservation.arrivalAirport || '',
+          checkInTime: reservation.checkInTime || '',
+          checkOutTime: reservation.checkOutTime || '',
+          // Not an itinerary field: the import notes it in the traveller's language when saving
+          checkOutDate: reservation.kind === 'hotel' ? reservation.end?.date || null : null,
+          notes: reservation.address && reservation.address !== reservation.location ? reservation.address : '',
+          status: reservation.status
+        }
+      })
+    }
+
+    const key = reservation.confirmation || `reservation-${index}`
+    const booking = bookings.get(key)
+    if (booking) {
+      booking.names.push(reservation.name)
+      if (!booking.price && reservation.price) booking.price = reservation.price
+    } else {
+      bookings.set(key, { ...reservation, names: [reservation.name] })
+    }
+  })
+
+  let index = 0
+  for (const booking of bookings.values()) {
+    const name = [...new Set(booking.names.filter(Boolean))].join(', ') || booking.confirmation
+    const isTicket = booking.kind === 'flight' || booking.kind === 'transit'
+    batch.documents.push({
+      id: `document-${index}`,
+      selected: true,
+      data: {
+        type: isTicket ? 'ticket' : 'booking',
+        name,
+        documentNumber: booking.confirmation || '',
+        issueDate: booking.bookedOn || null,
+        notes: booking.airline || ''
+      }
+    })
+
+    if (booking.price) {
+      batch.expenses.push({
+        id: `expense-${index}`,
+        selected: booking.status !== 'cancelled',
+        data: {
+          category: EXPENSE_CATEGORIES[booking.kind] || 'other',
+          amount: booking.price.amount,
+          amountInBaseCurrency: booking.price.amount,
+          currency: booking.price.currency || 'EUR',
+          description: name,
+          date: booking.bookedOn || booking.start?.date || toIsoDate(new Date()),
+          notes: booking.confirmation ? `#${booking.confirmation}` : ''
+        }
+      })
+    }
+    index++
+  }
+
+  return batch
+}
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase()
+const dayOf = (value) => (value ? String(value).split('T')[0] : '')
+
+/**
+ * Deselect proposals the trip already has, and events outside the trip's dates
+ * Flagged proposals stay in the batch so the reviewer can still pick them.
+ * @param {{events: Array, documents: Array, expenses: Array}} batch
+ * @param {{events?: Array, documents?: Array, expenses?: Array, startDate?: string, endDate?: string}} existing
+ * @returns {{events: Array, documents: Array, expenses: Array}}
+ */
+export const flagBookingConflicts = (batch, { events = [], documents = [], expenses = [], startDate, endDate } = {}) => {
+  const eventKey = (e) => `${dayOf(e.date)}|${e.startTime || ''}|${normalize(e.name)}`
+  const documentKey = (d) => `${d.type}|${normalize(d.documentNumber) || normalize(d.name)}`
+  const expenseKey = (e) => `${Number(e.amount).toFixed(2)}|${normalize(e.currency)}|${normalize(e.description)}`
+  const known = {
+    events: new Set(events.map(eventKey)),
+    documents: new Set(documents.map(documentKey)),
+    expenses: new Set(expenses.map(expenseKey))
+  }
+  const first = dayOf(startDate)
+  const last = dayOf(endDate)
+
+  const flag = (items, keyOf, set, extra = () => null) => items.map(item => {
+    const conflict = set.has(keyOf(item.data)) ? 'duplicate' : extra(item.data)
+    return conflict ? { ...item, conflict, selected: false } : item
+  })
+
+  return {
+    events: flag(batch.events, eventKey, known.events, (e) => (
+      (first && e.date < first) || (last && e.date > last) ? 'outsideTrip' : null
+    )),
+    documents: flag(batch.documents, documentKey, known.documents),
+    expenses: flag(batch.expenses, expenseKey, known.expenses)
+  }
+}
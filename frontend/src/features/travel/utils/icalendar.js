@@ -0,0 +1,338 @@
+/**
+ * iCalendar (RFC 5545) import helpers
+ * Parses .ics files such as airline and hotel confirmation attachments and maps their
+ * VEVENTs onto itinerary events. Export happens on the server.
+ */
+
+import { ITINERARY_TYPES } from './travelConstants'
+
+// Outlook writes Windows zone names as TZIDs; the common ones for travel confirmations
+const WINDOWS_ZONES = {
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'GTB Standard Time': 'Europe/Athens',
+  'FLE Standard Time': 'Europe/Helsinki',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC'
+}
+
+const TYPE_KEYWORDS = [
+  ['flight', /\b(flight|boarding|airlines?|airways|departure gate|vol|vuelo|flug)\b|\u03c0\u03c4\u03ae\u03c3\u03b7/i],
+  ['hotel', /\b(hotel|hostel|resort|inn|apartments?|airbnb|check-?in|accommodation|stay|h[\u00f4o]tel)\b|\u03be\u03b5\u03bd\u03bf\u03b4\u03bf\u03c7\u03b5\u03af\u03bf/i],
+  ['restaurant', /\b(restaurant|dinner|lunch|brunch|breakfast|table for|opentable|thefork|trattoria|taverna|bistro)\b/i],
+  ['transit', /\b(train|rail|bus|coach|ferry|transfer|taxi|shuttle|metro|car rental|rental car|pick-?up)\b/i]
+]
+
+const FLIGHT_NUMBER = /\b([A-Z][A-Z0-9]|[A-Z0-9][A-Z])\s?(\d{1,4})\b/
+const AIRPORT_PAIR = /\b([A-Z]{3})\s*(?:-|\u2013|\u2014|\u2192|>|to)\s*([A-Z]{3})\b/
+const CONFIRMATION = /\b(?:confirmation|booking|reservation|record locator|pnr)(?:\s*(?:number|no\.?|code|ref(?:erence)?|#))?\s*[:#]?\s*([A-Z0-9]{5,12})\b/i
+
+/**
+ * Unfold continuation lines and split into content lines
+ * @param {string} text
+ * @returns {string[]}
+ */
+const unfoldLines = (text) => text
+  .replace(/\r\n|\r/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim() !== '')
+
+/**
+ * Parse one content line into name, parameters and raw value
+ * @returns {{name: string, params: Object<string, string>, value: string}|null}
+ */
+export const parseContentLine = (line) => {
+  let inQuotes = false
+  let colon = -1
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes
+    else if (line[i] === ':' && !inQuotes) { colon = i; break }
+  }
+  if (colon === -1) return null
+
+  const head = line.slice(0, colon)
+  const value = line.slice(colon + 1)
+  const parts = head.match(/(?:[^;"]+|"[^"]*")+/g) || []
+  const name = (parts.shift() || '').toUpperCase()
+  const params = {}
+  for (const part of parts) {
+    const eq = part.indexOf('=')
+    if (eq === -1) continue
+    params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '')
+  }
+  return { name, params, value }
+}
+
+/**
+ * Unescape a TEXT value
+ */
+export const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch))
+
+/**
+ * Map a TZID to an IANA zone the browser knows, or null
+ * @param {string} tzid
+ * @returns {string|null}
+ */
+export const resolveTimeZone = (tzid) => {
+  if (!tzid) return null
+  const candidates = [tzid, WINDOWS_ZONES[tzid]]
+  // e.g. /mozilla.org/20050126_1/Europe/London
+  const trailing = tzid.match(/([A-Za-z]+\/[A-Za-z_-]+(?:\/[A-Za-z_-]+)?)$/)
+  if (trailing) candidates.push(trailing[1])
+
+  for (const candidate of candidates) {
+    if (!candidate) continue
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone: candidate }).resolvedOptions().timeZone
+    } catch {
+      // Not a zone this browser knows
+    }
+  }
+  return null
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @returns {{date: string, time: string|null, timeZone: string|null, utc: boolean}|null}
+ */
+export const parseDateValue = (value, params = {}) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/)
+  if (!match) return null
+  const [, y, mo, d, h, mi, , z] = match
+  const date = `${y}-${mo}-${d}`
+  if (params.VALUE === 'DATE' || h === undefined) {
+    return { date, time: null, timeZone: null, utc: false }
+  }
+  return {
+    date,
+    time: `${h}:${mi}`,
+    timeZone: z ? 'UTC' : resolveTimeZone(params.TZID),
+    utc: !!z
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a zone
+ * @param {number} instant - Epoch milliseconds
+ * @returns {{date: string, time: string}}
+ */
+export const toZonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(instant)).map(p => [p.type, p.value]))
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` }
+}
+
+/**
+ * Epoch milliseconds of a wall-clock date and time in a zone
+ */
+export const fromZonedParts = (date, time, timeZone) => {
+  const [y, mo, d] = date.split('-').map(Number)
+  const [h, mi] = time.split(':').map(Number)
+  const asUtc = Date.UTC(y, mo - 1, d, h, mi)
+  if (timeZone === 'UTC') return asUtc
+
+  // Guess with the zone's offset at that wall time, then correct once for DST edges
+  let instant = asUtc
+  for (let i = 0; i < 2; i++) {
+    const local = toZonedParts(instant, timeZone)
+    const [ly, lmo, ld] = local.date.split('-').map(Number)
+    const [lh, lmi] = local.time.split(':').map(Number)
+    instant += asUtc - Date.UTC(ly, lmo - 1, ld, lh, lmi)
+  }
+  return instant
+}
+
+const parseDuration = (value) => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match) return null
+  const [, sign, w, d, h, m, s] = match
+  const ms = ((+w || 0) * 7 * 86400 + (+d || 0) * 86400 + (+h || 0) * 3600 + (+m || 0) * 60 + (+s || 0)) * 1000
+  return sign === '-' ? -ms : ms
+}
+
+/**
+ * Parse an iCalendar document into its VEVENTs
+ * @param {string} text - .ics file contents
+ * @returns {Array<Object>} Raw events with start/end date values and text properties
+ */
+export const parseICalendar = (text) => {
+  const events = []
+  const stack = []
+  let current = null
+
+  for (const line of unfoldLines(text || '')) {
+    const prop = parseContentLine(line)
+    if (!prop) continue
+
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase())
+      if (prop.value.toUpperCase() === 'VEVENT') current = { categories: [] }
+      continue
+    }
+    if (prop.name === 'END') {
+      const ended = stack.pop()
+      if (ended === 'VEVENT' && current) {
+        if (current.start) events.push(current)
+        current = null
+      }
+      continue
+    }
+    // Only the event's own properties, not those of a nested VALARM
+    if (!current || stack[stack.length - 1] !== 'VEVENT') continue
+
+    switch (prop.name) {
+      case 'UID': current.uid = prop.value; break
+      case 'SUMMARY': current.summary = unescapeText(prop.value).trim(); break
+      case 'DESCRIPTION': current.description = unescapeText(prop.value).trim(); break
+      case 'LOCATION': current.location = unescapeText(prop.value).trim(); break
+      case 'STATUS': current.status = prop.value.trim().toUpperCase(); break
+      case 'URL': current.url = prop.value.trim(); break
+      case 'DTSTART': current.start = parseDateValue(prop.value, prop.params); break
+      case 'DTEND': current.end = parseDateValue(prop.value, prop.params); break
+      case 'DURATION': current.duration = parseDuration(prop.value.trim()); break
+      case 'CATEGORIES':
+        current.categories.push(...unescapeText(prop.value).split(',').map(c => c.trim().toLowerCase()).filter(Boolean))
+        break
+      case 'GEO': {
+        const [lat, lng] = prop.value.split(/[;,]/).map(Number)
+        if (Number.isFinite(lat) && Number.isFinite(lng)) current.geo = { latitude: lat, longitude: lng }
+        break
+      }
+      default:
+        break
+    }
+  }
+
+  return events
+}
+
+/**
+ * Pick the itinerary type for an imported event
+ * @returns {string} One of the ITINERARY_TYPES ids
+ */
+export const guessItineraryType = (event) => {
+  const fromCategory = event.categories?.find(c => ITINERARY_TYPES[c])
+  if (fromCategory) return fromCategory
+
+  const text = [event.summary, event.location, event.description].filter(Boolean).join('\n')
+  for (const [type, pattern] of TYPE_KEYWORDS) {
+    if (pattern.test(text)) return type
+  }
+  if (AIRPORT_PAIR.test(event.summary || '')) return 'flight'
+  return 'activity'
+}
+
+const mapStatus = (status) => {
+  if (status === 'CANCELLED') return 'cancelled'
+  if (status === 'TENTATIVE') return 'pending'
+  return 'confirmed'
+}
+
+/**
+ * Convert parsed VEVENTs into itinerary event payloads
+ * Times stay in the zone the file gives them in. UTC times are shown in defaultTimeZone,
+ * and an end in another zone (e.g. a flight's arrival) keeps that zone as endTimeZone.
+ * @param {Array<Object>} events - Output of parseICalendar
+ * @param {{defaultTimeZone?: string}} [options]
+ * @returns {Array<Object>}
+ */
+export const icsEventsToItinerary = (events, { defaultTimeZone } = {}) => {
+  const fallbackZone = resolveTimeZone(defaultTimeZone) || Intl.DateTimeFormat().resolvedOptions().timeZone
+
+  return events.map(event => {
+    const type = guessItineraryType(event)
+    let { date, time: startTime, timeZone } = event.start
+    let startInstant = null
+
+    if (startTime && timeZone) {
+      startInstant = fromZonedParts(date, startTime, timeZone)
+      if (event.start.utc) {
+        timeZone = fallbackZone
+        const local = toZonedParts(startInstant, timeZone)
+        date = local.date
+        startTime = local.time
+      }
+    }
+
+    let endTime = null
+    let endDate = null
+    let endTimeZone = null
+    if (startTime && event.end?.time) {
+      if (startInstant !== null && event.end.timeZone && !event.end.utc && event.end.timeZone !== timeZone) {
+        endTime = event.end.time
+        endDate = event.end.date
+        endTimeZone = event.end.timeZone
+      } else if (startInstant !== null && event.end.timeZone) {
+        const end = toZonedParts(fromZonedParts(event.end.date, event.end.time, event.end.timeZone), timeZone)
+        endTime = end.time
+        endDate = end.date
+      } else {
+        endTime = event.end.time
+        endDate = event.end.date
+      }
+    } else if (startTime && event.duration) {
+      const end = startInstant !== null
+        ? toZonedParts(startInstant + event.duration, timeZone)
+        : toZonedParts(fromZonedParts(date, startTime, 'UTC') + event.duration, 'UTC')
+      endTime = end.time
+      endDate = end.date
+    }
+
+    const summary = event.summary || ''
+    const details = [summary, event.description].filter(Boolean).join('\n')
+    const flightNumber = type === 'flight' ? summary.match(FLIGHT_NUMBER) || details.match(FLIGHT_NUMBER) : null
+    const airports = type === 'flight' ? summary.match(AIRPORT_PAIR) || details.match(AIRPORT_PAIR) : null
+    const confirmation = details.match(CONFIRMATION)
+
+    const itineraryEvent = {
+      type,
+      name: summary || event.location || '',
+      date,
+      startTime: startTime || null,
+      endTime,
+      timeZone: startTime ? timeZone || null : null,
+      endTimeZone,
+      location: event.location || '',
+      latitude: event.geo?.latitude ?? null,
+      longitude: event.geo?.longitude ?? null,
+      confirmationNumber: confirmation ? confirmation[1].toUpperCase() : '',
+      notes: event.description || '',
+      status: mapStatus(event.status)
+    }
+
+    if (flightNumber) itineraryEvent.flightNumber = `${flightNumber[1]}${flightNumber[2]}`
+    if (airports) {
+      itineraryEvent.departureAirport = airports[1]
+      itineraryEvent.arrivalAirport = airports[2]
+    }
+    if (type === 'hotel') {
+      itineraryEvent.checkInTime = startTime || ''
+      // A stay spans nights; its end is the check-out, not the end of the first day
+      if (endDate && endDate !== date) itineraryEvent.checkOutTime = endTime || ''
+    }
+
+    return itineraryEvent
+  })
+}
@@ -0,0 +1,194 @@
+/**
+ * Offline map packs
+ * Tile maths, Mapbox URL handling and the eviction policy for the per-city packs that keep
+ * the Explore map and its places working without a connection. Packs are stored in the
+ * offlinePacks/offlineTiles tables and served by public/offline-tiles.js.
+ */
+
+// Area around a city centre that a pack covers
+export const OFFLINE_RADIUS_KM = 4
+
+// Street level detail stops at 16; further zooms over-zoom these tiles
+export const OFFLINE_MIN_ZOOM = 10
+export const OFFLINE_MAX_ZOOM = 16
+
+// Pinned places a little way out of town get a small area of their own
+export const PINNED_RADIUS_KM = 0.5
+export const PINNED_MIN_ZOOM = 13
+export const PINNED_MAX_ZOOM = 16
+export const PINNED_MAX_DISTANCE_KM = 30
+
+// What all packs together may take up; least recently used packs go first
+export const OFFLINE_BUDGET_BYTES = 250 * 1024 * 1024
+
+// A vector tile at city zooms is 20-60 KB; used to make room before downloading
+export const ESTIMATED_TILE_BYTES = 40 * 1024
+
+// Unicode blocks fetched for map labels: Latin, Latin Extended, Greek, Cyrillic, punctuation
+export const GLYPH_RANGES = ['0-255', '256-511', '768-1023', '1024-1279', '8192-8447']
+
+const KM_PER_DEGREE = 111.32
+const MAX_LATITUDE = 85.0511
+
+const clampLatitude = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat))
+
+/**
+ * Bounding box around a point
+ * @returns {[number, number, number, number]} [west, south, east, north]
+ */
+export const boundsAround = (latitude, longitude, radiusKm) => {
+  const lat = Number(latitude)
+  const lon = Number(longitude)
+  const dLat = radiusKm / KM_PER_DEGREE
+  const dLon = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01))
+  return [lon - dLon, clampLatitude(lat - dLat), lon + dLon, clampLatitude(lat + dLat)]
+}
+
+export const boundsContain = (bounds, latitude, longitude) => {
+  if (!bounds) return false
+  const [west, south, east, north] = bounds
+  return latitude >= south && latitude <= north && longitude >= west && longitude <= east
+}
+
+/**
+ * Web Mercator tile holding a point
+ */
+export const lngLatToTile = (longitude, latitude, zoom) => {
+  const n = 2 ** zoom
+  const lat = clampLatitude(latitude) * Math.PI / 180
+  const x = Math.floor((longitude + 180) / 360 * n)
+  const y = Math.floor((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * n)
+  return {
+    x: Math.min(Math.max(x, 0), n - 1),
+    y: Math.min(Math.max(y, 0), n - 1)
+  }
+}
+
+/**
+ * Every tile covering a bounding box across a zoom range
+ * @param {[number, number, number, number]} bounds - [west, south, east, north]
+ * @returns {Array<{z: number, x: number, y: number}>}
+ */
+export const tilesForBounds = (bounds, minZoom, maxZoom) => {
+  const [west, south, east, north] = bounds
+  const tiles = []
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const topLeft = lngLatToTile(west, north, z)
+    const bottomRight = lngLatToTile(east, south, z)
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        tiles.push({ z, x, y })
+      }
+    }
+  }
+  return tiles
+}
+
+export const fillTileUrl = (template, { z, x, y }) =>
+  template
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{ratio}', '@2x')
+
+/**
+ * Storage key for a request: host and path without the query string, so the access token
+ * and the per-session sku the map adds don't matter. Mirrored in public/offline-tiles.js.
+ */
+export const offlineKey = (url) => {
+  const parsed = new URL(url)
+  return `${parsed.host}${parsed.pathname}`
+}
+
+/**
+ * Resolve a mapbox:// style, sprite, glyph or tileset URL the way the map does
+ * @param {string} url
+ * @param {string} token - Mapbox access token
+ * @returns {string} https URL
+ */
+export const resolveMapboxUrl = (url, token) => {
+  let resolved = url
+  const sprite = url.match(/^mapbox:\/\/sprites\/([^@.]+)(.*)$/)
+  if (url.startsWith('mapbox://styles/')) {
+    resolved = `https://api.mapbox.com/styles/v1/${url.slice('mapbox://styles/'.length)}`
+  } else if (sprite) {
+    // mapbox://sprites/mapbox/light-v11@2x.json -> /styles/v1/mapbox/light-v11/sprite@2x.json
+    resolved = `https://api.mapbox.com/styles/v1/${sprite[1]}/sprite${sprite[2]}`
+  } else if (url.startsWith('mapbox://fonts/')) {
+    resolved = `https://api.mapbox.com/fonts/v1/${url.slice('mapbox://fonts/'.length)}`
+  } else if (url.startsWith('mapbox://tiles/')) {
+    resolved = `https://api.mapbox.com/v4/${url.slice('mapbox://tiles/'.length)}`
+  } else if (url.startsWith('mapbox://')) {
+    resolved = `https://api.mapbox.com/v4/${url.slice('mapbox://'.length)}.json?secure`
+  }
+
+  if (!token || !resolved.startsWith('https://api.mapbox.com/')) return resolved
+  return `${resolved}${resolved.includes('?') ? '&' : '?'}access_token=${token}`
+}
+
+/**
+ * Tile URL template as the map requests it: Mapbox-hosted tiles go through api.mapbox.com
+ * with the access token, anything else is left alone
+ */
+export const resolveTileTemplate = (template, token) => {
+  const match = template.match(/^(?:https?:)?\/\/[^/]*mapbox\.com\/v4\/([^?]*)/)
+  return match ? resolveMapboxUrl(`mapbox://tiles/${match[1]}`, token) : template
+}
+
+/**
+ * Font stacks a style's symbol layers use, joined the way glyph requests name them
+ */
+export const styleFontStacks = (style) => {
+  const stacks = new Set()
+  for (const layer of style?.layers || []) {
+    const fonts = layer.layout?.['text-font']
+    // Expressions are skipped; the basemap styles list their fonts literally
+    if (Array.isArray(fonts) && fonts.every(font => typeof font === 'string')) {
+      stacks.add(fonts.join(','))
+    }
+  }
+  return [...stacks]
+}
+
+/**
+ * Sprite sheet base URLs in a style; newer styles may list several
+ */
+export const styleSprites = (style) => {
+  if (!style?.sprite) return []
+  if (typeof style.sprite === 'string') return [style.sprite]
+  return style.sprite.map(sprite => sprite.url).filter(Boolean)
+}
+
+/**
+ * Pack size for display, in megabytes
+ */
+export const formatPackSize = (bytes) => {
+  const mb = (bytes || 0) / (1024 * 1024)
+  return `${mb < 10 ? mb.toFixed(1) : Math.round(mb)} MB`
+}
+
+/**
+ * Which packs to drop, least recently used first, so that a download of `incomingBytes`
+ * fits in the budget. Packs in `keepIds` are never evicted.
+ * @param {Array<{id: string, bytes: number, lastUsed: number}>} packs
+ * @param {Object} options
+ * @param {number} options.incomingBytes
+ * @param {number} [options.budgetBytes]
+ * @param {Array<string>} [options.keepIds]
+ * @returns {{evict: Array<string>, fits: boolean}}
+ */
+export const planEviction = (packs, { incomingBytes, budgetBytes = OFFLINE_BUDGET_BYTES, keepIds = [] }) => {
+  let used = packs.reduce((sum, pack) => sum + (pack.bytes || 0), 0)
+  const evict = []
+  const candidates = packs
+    .filter(pack => !keepIds.includes(pack.id))
+    .sort((a, b) => (a.lastUsed || 0) - (b.lastUsed || 0))
+
+  for (const pack of candidates) {
+    if (used + incomingBytes <= budgetBytes) break
+    evict.push(pack.id)
+    used -= pack.bytes || 0
+  }
+
+  return { evict, fits: used + incomingBytes <= budgetBytes }
+}
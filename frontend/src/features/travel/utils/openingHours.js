@@ -0,0 +1,99 @@
+/**
+ * OpenStreetMap opening_hours
+ * Reads the common subset of the opening_hours tag (weekday ranges, time spans, "off" and
+ * "24/7") into minute intervals for a date. Anything fancier (months, week numbers, sunrise,
+ * holidays) is reported as unknown, and callers treat unknown as open rather than guess.
+ */
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']
+const DAY_MINUTES = 24 * 60
+
+const WEEKDAY_SELECTOR = /^(?:Mo|Tu|We|Th|Fr|Sa|Su)(?:-(?:Mo|Tu|We|Th|Fr|Sa|Su))?(?:,(?:Mo|Tu|We|Th|Fr|Sa|Su)(?:-(?:Mo|Tu|We|Th|Fr|Sa|Su))?)*$/
+const TIME_SPAN = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})\+?$/
+
+const parseWeekdays = (selector) => {
+  const days = new Set()
+  for (const part of selector.split(',')) {
+    const [from, to = from] = part.split('-').map(day => WEEKDAYS.indexOf(day))
+    for (let i = from; ; i = (i + 1) % 7) {
+      days.add(i)
+      if (i === to) break
+    }
+  }
+  return days
+}
+
+const parseSpans = (value) => {
+  if (/^(off|closed)$/i.test(value)) return []
+  const spans = []
+  for (const part of value.split(',')) {
+    const match = part.trim().match(TIME_SPAN)
+    if (!match) return null
+    const start = Number(match[1]) * 60 + Number(match[2])
+    let end = Number(match[3]) * 60 + Number(match[4])
+    if (start > DAY_MINUTES || end > DAY_MINUTES) return null
+    // 22:00-02:00 runs past midnight
+    if (end <= start) end += DAY_MINUTES
+    spans.push({ start, end })
+  }
+  return spans
+}
+
+/**
+ * Weekly schedule of an opening_hours value
+ * @param {string} value - e.g. "Mo-Fr 09:00-18:00; Sa 10:00-14:00; Su off"
+ * @returns {Array<Array<{start: number, end: number}>>|null} Minute spans per weekday, Monday
+ *   first; spans past midnight end after 1440. Null when empty or not understood.
+ */
+export const parseOpeningHours = (value) => {
+  const text = (value || '').trim()
+  if (!text) return null
+  if (text === '24/7') return WEEKDAYS.map(() => [{ start: 0, end: DAY_MINUTES }])
+
+  const week = WEEKDAYS.map(() => null)
+  for (const rule of text.split(/\s*(?:;|\|\|)\s*/).filter(Boolean)) {
+    const [first, ...rest] = rule.split(/\s+/)
+    let days = new Set(WEEKDAYS.map((_, i) => i))
+    let spansText = rule
+
+    if (WEEKDAY_SELECTOR.test(first)) {
+      days = parseWeekdays(first)
+      spansText = rest.join(' ')
+    } else if (/^PH$/.test(first)) {
+      // Public holiday rules don't apply to ordinary days
+      continue
+    }
+
+    const spans = spansText ? parseSpans(spansText.replace(/\s+/g, '')) : [{ start: 0, end: DAY_MINUTES }]
+    if (!spans) return null
+    // Later rules replace earlier ones for the days they name
+    days.forEach(day => { week[day] = spans })
+  }
+
+  // Days no rule mentions are closed, as long as some rule was understood
+  return week.every(day => day === null) ? null : week.map(day => day || [])
+}
+
+/**
+ * When a place is open on a date, including spans carried over from the night before
+ * @param {string} value - opening_hours tag
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<{start: number, end: number}>|null} Minutes from midnight, [] when closed all
+ *   day, null when the hours are unknown
+ */
+export const openingIntervals = (value, date) => {
+  const week = parseOpeningHours(value)
+  if (!week) return null
+
+  const [y, m, d] = String(date).split('T')[0].split('-').map(Number)
+  // getUTCDay is Sunday-first; the schedule is Monday-first
+  const weekday = (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7
+  const previous = week[(weekday + 6) % 7]
+
+  const spans = previous
+    .filter(span => span.end > DAY_MINUTES)
+    .map(span => ({ start: 0, end: span.end - DAY_MINUTES }))
+    .concat(week[weekday])
+
+  return spans.sort((a, b) => a.start - b.start)
+}
@@ -0,0 +1,286 @@
+import { openingIntervals } from './openingHours'
+
+/**
+ * Day route optimiser
+ * Orders a day's flexible visits (untimed events and saved places) around the events that
+ * already have a time, so that every place is visited while it is open and the day spends as
+ * little time as possible travelling. Times are minutes from midnight in destination time.
+ */
+
+export const TRAVEL_MODES = ['walking', 'transit', 'driving']
+
+// Urban averages; legs are straight-line distance stretched by a detour factor until the
+// real route is known
+const MODE_SPEEDS = {
+  walking: { kmh: 4.8, detour: 1.3, overhead: 0 },
+  transit: { kmh: 20, detour: 1.3, overhead: 10 }, // walking to the stop and waiting
+  driving: { kmh: 25, detour: 1.4, overhead: 5 } // parking
+}
+
+// Transit isn't worth it for short hops
+const TRANSIT_WALK_KM = 1
+
+// How long a visit takes when nothing says otherwise
+const VISIT_MINUTES = {
+  attraction: 90,
+  museum: 120,
+  restaurant: 75,
+  cafe: 45,
+  bar: 60,
+  shopping: 60,
+  viewpoint: 30,
+  activity: 90
+}
+const DEFAULT_VISIT_MINUTES = 60
+const DEFAULT_FIXED_MINUTES = 60
+
+// Full search is cheap up to 7 stops (5040 orders); above that, local search
+const EXHAUSTIVE_LIMIT = 7
+
+export const toMinutes = (time) => {
+  const match = String(time || '').match(/^(\d{1,2}):(\d{2})/)
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null
+}
+
+export const fromMinutes = (minutes) => {
+  const clamped = Math.max(0, Math.min(24 * 60 - 1, Math.round(minutes)))
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`
+}
+
+const hasCoordinates = (place) => place?.latitude != null && place?.longitude != null
+
+const straightLineKm = (a, b) => {
+  const toRad = (deg) => Number(deg) * Math.PI / 180
+  const dLat = toRad(b.latitude - a.latitude)
+  const dLon = toRad(b.longitude - a.longitude)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h))
+}
+
+/**
+ * Minutes to cover a distance
+ * @param {number} distanceKm - Route distance, or straight-line distance with isStraightLine
+ * @param {'walking'|'transit'|'driving'} mode
+ * @returns {number}
+ */
+export const estimateTravelMinutes = (distanceKm, mode = 'walking', { isStraightLine = false } = {}) => {
+  if (!distanceKm) return 0
+  const effectiveMode = mode === 'transit' && distanceKm < TRANSIT_WALK_KM ? 'walking' : mode
+  const { kmh, detour, overhead } = MODE_SPEEDS[effectiveMode] || MODE_SPEEDS.walking
+  const km = isStraightLine ? distanceKm * detour : distanceKm
+  return Math.round((km / kmh) * 60 + overhead)
+}
+
+/**
+ * Minutes for a leg from a directions result. The routed duration gets the mode's overhead
+ * (parking); transit has no routed duration, so it comes from the distance.
+ * @param {{durationMin?: number|null, distanceKm?: number|null, usedFallback?: boolean}} route
+ * @returns {number|null} Null when the result has neither
+ */
+export const routeMinutes = ({ durationMin, distanceKm, usedFallback } = {}, mode = 'walking') => {
+  if (durationMin != null && mode !== 'transit') {
+    return Math.round(durationMin + (MODE_SPEEDS[mode] || MODE_SPEEDS.walking).overhead)
+  }
+  if (distanceKm != null) return estimateTravelMinutes(distanceKm, mode, { isStraightLine: usedFallback })
+  return null
+}
+
+/**
+ * Estimated travel minutes between two places; zero when either has no coordinates
+ */
+export const estimateLeg = (from, to, mode) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return 0
+  return estimateTravelMinutes(straightLineKm(from, to), mode, { isStraightLine: true })
+}
+
+/**
+ * Usual visit length for a place category or event type
+ */
+export const visitMinutes = (category) => VISIT_MINUTES[category] || DEFAULT_VISIT_MINUTES
+
+// Earliest start at or after `arrival` that fits the whole visit inside an opening span
+const fitVisit = (stop, arrival, dayEnd) => {
+  const spans = stop.openingHours ? openingIntervals(stop.openingHours, stop.date) : null
+  const windows = spans || [{ start: 0, end: 24 * 60 }]
+  for (const span of windows) {
+    const start = Math.max(arrival, span.start)
+    const end = start + stop.duration
+    if (end <= span.end && end <= dayEnd) return { start, end }
+  }
+  return null
+}
+
+// Walk one visiting order through the day, slotting fixed events in as they come due
+const simulate = (order, { fixed, origin, dayStart, dayEnd, travel }) => {
+  const items = []
+  const skipped = []
+  const queue = [...fixed]
+  // An early fixed event (a morning flight) starts the day
+  let time = Math.min(dayStart, queue[0]?.start ?? dayStart)
+  let position = origin
+  let travelTotal = 0
+  let lateTotal = 0
+
+  const visitFixed = () => {
+    const event = queue.shift()
+    const legMinutes = travel(position, event)
+    const arrival = time + legMinutes
+    const late = Math.max(0, arrival - event.start)
+    items.push({
+      ...event,
+      kind: 'fixed',
+      travelMinutes: legMinutes,
+      waitMinutes: Math.max(0, event.start - arrival),
+      lateMinutes: late
+    })
+    travelTotal += legMinutes
+    lateTotal += late
+    time = Math.max(event.end, arrival)
+    if (hasCoordinates(event)) position = event
+  }
+
+  for (const stop of order) {
+    let placed = false
+    while (!placed) {
+      const legMinutes = travel(position, stop)
+      const slot = fitVisit(stop, time + legMinutes, dayEnd)
+      const next = queue[0]
+      const fitsBeforeNext = slot && (!next || slot.end + travel(stop, next) <= next.start)
+
+      if (fitsBeforeNext) {
+        items.push({
+          ...stop,
+          kind: 'stop',
+          start: slot.start,
+          end: slot.end,
+          travelMinutes: legMinutes,
+          waitMinutes: slot.start - (time + legMinutes),
+          lateMinutes: 0
+        })
+        travelTotal += legMinutes
+        time = slot.end
+        if (hasCoordinates(stop)) position = stop
+        placed = true
+      } else if (next) {
+        visitFixed()
+      } else {
+        // Closed when even an open-ended day has no opening that fits the visit
+        const closed = !slot && stop.openingHours && !fitVisit(stop, time + legMinutes, Infinity)
+        skipped.push({ ...stop, reason: closed ? 'closed' : 'noTime' })
+        break
+      }
+    }
+  }
+  while (queue.length > 0) visitFixed()
+
+  const cost = skipped.length * 1e6 + lateTotal * 1e3 + travelTotal + time * 0.01
+  return { items, skipped, travelMinutes: travelTotal, cost }
+}
+
+const permutations = (list) => {
+  if (list.length <= 1) return [list]
+  return list.flatMap((item, i) =>
+    permutations([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [item, ...rest])
+  )
+}
+
+// Nearest neighbour start, then 2-opt reversals until nothing improves
+const localSearch = (stops, context) => {
+  const remaining = [...stops]
+  const order = []
+  let position = context.origin
+  while (remaining.length > 0) {
+    remaining.sort((a, b) => context.travel(position, a) - context.travel(position, b))
+    const next = remaining.shift()
+    order.push(next)
+    if (hasCoordinates(next)) position = next
+  }
+
+  let best = order
+  let bestCost = simulate(best, context).cost
+  let improved = true
+  while (improved) {
+    improved = false
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)]
+        const cost = simulate(candidate, context).cost
+        if (cost < bestCost - 1e-6) {
+          best = candidate
+          bestCost = cost
+          improved = true
+        }
+      }
+    }
+  }
+  return best
+}
+
+/**
+ * Plan a day: the visiting order of the flexible stops and a start time for everything
+ * @param {Object} options
+ * @param {string} options.date - YYYY-MM-DD, for opening hours
+ * @param {Array<Object>} options.fixed - Timed events: id, name, startTime, endTime, coordinates
+ * @param {Array<Object>} options.stops - Flexible visits: id, name, coordinates, duration
+ *   (minutes), openingHours (OSM tag)
+ * @param {Object} [options.origin] - Where the day starts, e.g. the hotel
+ * @param {'walking'|'transit'|'driving'} [options.mode]
+ * @param {string} [options.dayStart] - HH:mm, default 09:00
+ * @param {string} [options.dayEnd] - HH:mm, default 21:00
+ * @param {Function} [options.travel] - (from, to) => minutes; estimated from distance if omitted
+ * @param {Array<string>} [options.order] - Stop ids to keep in this order instead of searching
+ * @returns {{items: Array<Object>, skipped: Array<Object>, travelMinutes: number, order: Array<string>}}
+ *   items are in visiting order with start, end, startTime, endTime, travelMinutes (from the
+ *   previous item), waitMinutes and lateMinutes; skipped stops carry a reason of 'closed' or 'noTime'
+ */
+export const planDay = ({
+  date,
+  fixed = [],
+  stops = [],
+  origin = null,
+  mode = 'walking',
+  dayStart = '09:00',
+  dayEnd = '21:00',
+  travel,
+  order
+}) => {
+  const context = {
+    origin,
+    dayStart: toMinutes(dayStart) ?? 9 * 60,
+    dayEnd: toMinutes(dayEnd) ?? 21 * 60,
+    travel: travel || ((from, to) => estimateLeg(from, to, mode)),
+    fixed: fixed
+      .map(event => {
+        const start = toMinutes(event.startTime)
+        const end = toMinutes(event.endTime)
+        return { ...event, start, end: end != null && end > start ? end : start + DEFAULT_FIXED_MINUTES }
+      })
+      .sort((a, b) => a.start - b.start)
+  }
+  const flexible = stops.map(stop => ({ ...stop, date, duration: stop.duration || DEFAULT_VISIT_MINUTES }))
+
+  let bestOrder
+  if (order) {
+    bestOrder = order.map(id => flexible.find(stop => stop.id === id)).filter(Boolean)
+  } else if (flexible.length <= EXHAUSTIVE_LIMIT) {
+    let bestCost = Infinity
+    for (const candidate of permutations(flexible)) {
+      const cost = simulate(candidate, context).cost
+      if (cost < bestCost) {
+        bestOrder = candidate
+        bestCost = cost
+      }
+    }
+  } else {
+    bestOrder = localSearch(flexible, context)
+  }
+
+  const result = simulate(bestOrder, context)
+  return {
+    items: result.items.map(item => ({ ...item, startTime: fromMinutes(item.start), endTime: fromMinutes(item.end) })),
+    skipped: result.skipped,
+    travelMinutes: result.travelMinutes,
+    order: bestOrder.map(stop => stop.id)
+  }
+}
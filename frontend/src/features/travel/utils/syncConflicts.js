@@ -0,0 +1,92 @@
+/**
+ * Sync conflict helpers for the travel offline queue
+ * Pure functions used by travelApi.processSyncQueue and the Pending Changes panel.
+ */
+
+export const SYNC_CONFLICT_TYPES = {
+  MODIFIED_REMOTELY: 'modified', // Server record changed after our offline edit was based on it
+  DELETED_REMOTELY: 'deleted' // Server record no longer exists
+}
+
+// Bookkeeping fields that never count as a user-visible difference
+const IGNORED_FIELDS = new Set([
+  'id',
+  'localId',
+  'tripId',
+  'userId',
+  'createdAt',
+  'updatedAt',
+  '_synced',
+  '_serverUpdatedAt'
+])
+
+const toTime = (value) => {
+  if (!value) return NaN
+  return Date.parse(value)
+}
+
+/**
+ * Decide whether a queued update/delete would overwrite a newer server change
+ * @param {Object} item - Sync queue item ({ action, baseUpdatedAt })
+ * @param {Object|null} serverRecord - Current server record, null if it no longer exists
+ * @returns {string|null} Conflict type or null when it is safe to replay
+ */
+export const detectSyncConflict = (item, serverRecord) => {
+  // Items queued before conflict tracking (or creates) have no base to compare
+  if (!item?.baseUpdatedAt) return null
+
+  if (!serverRecord) {
+    // Deleting something already gone is fine; editing it is not
+    return item.action === 'update' ? SYNC_CONFLICT_TYPES.DELETED_REMOTELY : null
+  }
+
+  const serverTime = toTime(serverRecord.updatedAt)
+  const baseTime = toTime(item.baseUpdatedAt)
+  if (Number.isNaN(serverTime) || Number.isNaN(baseTime)) return null
+
+  return serverTime > baseTime ? SYNC_CONFLICT_TYPES.MODIFIED_REMOTELY : null
+}
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * List fields where the local change and the server record disagree
+ * @param {Object} mine - Queued local data
+ * @param {Object} theirs - Current server record
+ * @returns {Array<{field: string, mine: *, theirs: *}>} Differing fields
+ */
+export const getConflictFields = (mine = {}, theirs = {}) => {
+  if (!mine || !theirs) return []
+
+  return Object.keys(mine)
+    .filter(field => !IGNORED_FIELDS.has(field) && mine[field] !== undefined)
+    .filter(field => !isSameValue(mine[field], theirs[field]))
+    .map(field => ({ field, mine: mine[field], theirs: theirs[field] }))
+}
+
+/**
+ * Build merged data from per-field choices
+ * Fields without a choice keep the local value.
+ *
+ * @param {Object} mine - Queued local data
+ * @param {Object} theirs - Current server record
+ * @param {Object<string, 'mine'|'theirs'>} choices - Selected side per field
+ * @returns {Object} Merged data to replay
+ */
+export const mergeConflictFields = (mine = {}, theirs = {}, choices = {}) => {
+  const merged = { ...mine }
+  Object.entries(choices).forEach(([field, side]) => {
+    if (side === 'theirs') {
+      merged[field] = theirs?.[field]
+    }
+  })
+  return merged
+}
+
+/**
+ * Human-friendly label for a queued record
+ * @param {Object} data - Queued data
+ * @returns {string} Best available name
+ */
+export const getSyncItemLabel = (data = {}) =>
+  data?.name || data?.title || data?.description || data?.destination || ''
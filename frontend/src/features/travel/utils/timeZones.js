@@ -0,0 +1,149 @@
+import { fromZonedParts, resolveTimeZone, toZonedParts } from './icalendar'
+
+/**
+ * Destination time zones
+ * Itinerary times are wall-clock times at the destination. These helpers work out which
+ * IANA zone a time belongs to (event, trip city or trip) and convert it for display.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const dayOf = (value) => (value ? String(value).split('T')[0] : '')
+
+const addDays = (date, days) => {
+  const [y, m, d] = date.split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0]
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS)
+
+/**
+ * Zone of the browser, used as the traveller's home zone
+ * @returns {string}
+ */
+export const getHomeTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+/**
+ * Today's date in a zone, e.g. to mark "today" on the itinerary at the destination
+ * @param {string|null} timeZone - Falls back to the browser's zone
+ * @returns {string} YYYY-MM-DD
+ */
+export const todayIn = (timeZone, now = Date.now()) =>
+  toZonedParts(now, resolveTimeZone(timeZone) || getHomeTimeZone()).date
+
+/**
+ * Zone of the destination on a date: the city the traveller is in that day, else the trip's zone.
+ * On a travel day the city being arrived in wins.
+ * @param {string} date - YYYY-MM-DD
+ * @param {{trip?: Object, cities?: Array<Object>}} context
+ * @returns {string|null}
+ */
+export const zoneForDate = (date, { trip, cities = [] } = {}) => {
+  const day = dayOf(date)
+  const withZone = [...cities]
+    .filter(city => resolveTimeZone(city.timeZone))
+    .sort((a, b) => (a.order ?? a.orderIndex ?? 0) - (b.order ?? b.orderIndex ?? 0))
+
+  const current = withZone.filter(city => {
+    const start = dayOf(city.startDate)
+    const end = dayOf(city.endDate)
+    return (!start || start <= day) && (!end || end >= day)
+  }).pop()
+
+  const zone = current?.timeZone || trip?.timeZone || withZone[0]?.timeZone
+  return resolveTimeZone(zone)
+}
+
+/**
+ * Default departure and arrival zones for a flight on a date. A flight on the trip's first day
+ * leaves from home and one on its last day lands at home; between cities it leaves the city
+ * being checked out of and lands in the one being arrived in.
+ * @returns {{timeZone: string|null, endTimeZone: string|null}}
+ */
+export const flightZones = (date, { trip, cities = [], homeZone = getHomeTimeZone() } = {}) => {
+  const day = dayOf(date)
+  const leaving = cities.find(city => dayOf(city.endDate) === day && resolveTimeZone(city.timeZone))
+  const arriving = cities.find(city => dayOf(city.startDate) === day && resolveTimeZone(city.timeZone))
+  const destination = zoneForDate(day, { trip, cities })
+
+  const timeZone = leaving?.timeZone
+    || (trip?.startDate && day <= dayOf(trip.startDate) ? homeZone : destination)
+  const endTimeZone = arriving?.timeZone
+    || (trip?.endDate && day >= dayOf(trip.endDate) ? homeZone : destination)
+
+  return { timeZone: resolveTimeZone(timeZone), endTimeZone: resolveTimeZone(endTimeZone) }
+}
+
+/**
+ * Zone an event's start time is in: its own, else the destination's on that day
+ * @returns {string|null}
+ */
+export const eventTimeZone = (event, context = {}) =>
+  resolveTimeZone(event.timeZone) || zoneForDate(event.date, context)
+
+/**
+ * Where and when an event ends. The end time is in endTimeZone when set (a flight's arrival),
+ * and falls on the first day that puts it after the start, so an overnight flight lands
+ * tomorrow and an eastbound date-line crossing can land "yesterday".
+ * @param {Object} event - Itinerary event with date, startTime, endTime
+ * @param {string|null} timeZone - Zone of the start time
+ * @returns {{date: string, time: string, timeZone: string|null, dayOffset: number}|null}
+ */
+export const resolveEventEnd = (event, timeZone) => {
+  const date = dayOf(event.date)
+  if (!date || !event.startTime || !event.endTime) return null
+
+  const startZone = resolveTimeZone(timeZone) || 'UTC'
+  const endZone = resolveTimeZone(event.endTimeZone) || startZone
+  const start = fromZonedParts(date, event.startTime, startZone)
+
+  for (const dayOffset of [-1, 0, 1, 2]) {
+    const endDate = addDays(date, dayOffset)
+    if (fromZonedParts(endDate, event.endTime, endZone) > start) {
+      return { date: endDate, time: event.endTime, timeZone: resolveTimeZone(timeZone) ? endZone : null, dayOffset }
+    }
+  }
+  return null
+}
+
+/**
+ * A wall-clock time re-expressed in another zone
+ * @param {string} date - YYYY-MM-DD the time is on
+ * @param {string} time - HH:mm in fromZone
+ * @returns {{date: string, time: string, dayOffset: number}} dayOffset is relative to date
+ */
+export const convertTime = (date, time, fromZone, toZone) => {
+  const day = dayOf(date)
+  const from = resolveTimeZone(fromZone)
+  const to = resolveTimeZone(toZone)
+  if (!day || !time || !from || !to || from === to) return { date: day, time, dayOffset: 0 }
+
+  const local = toZonedParts(fromZonedParts(day, time, from), to)
+  return { ...local, dayOffset: daysBetween(day, local.date) }
+}
+
+/**
+ * Short zone label for display, e.g. "GMT+9" or "CET"
+ * @param {string} timeZone - IANA zone
+ * @param {{date?: string, locale?: string}} options - Date decides summer or winter time
+ * @returns {string}
+ */
+export const formatZoneName = (timeZone, { date, locale = 'en-US' } = {}) => {
+  const zone = resolveTimeZone(timeZone)
+  if (!zone) return ''
+  const instant = date ? fromZonedParts(dayOf(date), '12:00', zone) : Date.now()
+  const part = new Intl.DateTimeFormat(locale, { timeZone: zone, timeZoneName: 'short' })
+    .formatToParts(new Date(instant))
+    .find(p => p.type === 'timeZoneName')
+  return part?.value || zone
+}
+
+/**
+ * "+1" / "-1" marker for a time that falls on another day
+ * @param {number} dayOffset
+ * @returns {string}
+ */
+export const formatDayOffset = (dayOffset) => {
+  if (!dayOffset) return ''
+  return dayOffset > 0 ? `+${dayOffset}` : `\u2212${Math.abs(dayOffset)}`
+}
@@ -13,7 +13,13 @@ export {
   recurringBillService,
   storageService,
   voiceService,
-  currencyService
+  receiptOcrService,
+  currencyService,
+  categoryRuleService,
+  settlementService,
+  importProfileService,
+  statementImportService,
+  savingsContributionService
 } from '../features/finance/services'
 
 export { partnershipService } from '../features/partnership/services/partnershipService'
@@ -28,9 +34,12 @@ export { paireHomeService } from '../features/gamification/services/paireHomeSer
 export { streakService } from '../features/gamification/services/streakService'
 export { chatbotService } from '../features/ai/services/chatbotService'
 export { aiGatewayService } from '../features/ai/services/aiGatewayService'
+export { chatActionService } from '../features/ai/services/chatActionService'
 export { conversationService } from '../features/ai/services/conversationService'
 export { reminderService } from '../features/notifications/services/reminderService'
+export { alertService } from '../features/notifications/services/alertService'
 export { profileService } from '../features/profile/services/profileService'
+export { dataPortabilityService } from '../features/profile/services/dataPortabilityService'
 export { adminService } from '../features/admin/services/adminService'
 export { twoFactorService } from '../features/auth/services/twoFactorService'
 export { publicStatsService } from '../features/legal/services/publicStatsService'
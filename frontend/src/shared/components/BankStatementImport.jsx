@@ -1,19 +1,29 @@
 import { useState, useRef, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
+import { useQueryClient } from '@tanstack/react-query'
 import { FiUpload, FiFile, FiCheckCircle, FiAlertCircle, FiX, FiClock, FiTrash2 } from 'react-icons/fi'
 import { getBackendUrl } from '../utils/getBackendUrl'
 import { authService } from '../../features/auth/services/auth'
+import { transactionService, categoryRuleService, statementImportService } from '../../services/api'
+import CategoryRulePreview from './CategoryRulePreview'
+import StatementImportWizard from './StatementImportWizard'
 
 /**
  * Component for uploading bank statement files (CSV/Excel)
- * Replaces the direct bank connection functionality
+ * Replaces the direct bank connection functionality.
+ * CSV and XLSX files are mapped and reviewed on the device first
+ * (StatementImportWizard); PDF, .xls, OFX, QIF and CAMT.053 files are parsed
+ * by the server, which keeps the bank's transaction IDs for duplicate detection.
  */
 const BankStatementImport = ({ onImportSuccess }) => {
     const { t } = useTranslation()
+    const queryClient = useQueryClient()
     const [file, setFile] = useState(null)
     const [isDragOver, setIsDragOver] = useState(false)
     const [isUploading, setIsUploading] = useState(false)
     const [uploadResult, setUploadResult] = useState(null) // { type: 'success'|'error', message: '', details: {} }
+    const [ruleChanges, setRuleChanges] = useState(null) // Category rule changes proposed for the last import
+    const [isApplyingRules, setIsApplyingRules] = useState(false)
     const fileInputRef = useRef(null)
 
     const handleDragOver = (e) => {
@@ -45,7 +55,7 @@ const BankStatementImport = ({ onImportSuccess }) => {
         // Reset previous results
         setUploadResult(null)
 
-        const validExtensions = ['.csv', '.xlsx', '.xls', '.pdf']
+        const validExtensions = ['.csv', '.xlsx', '.xls', '.pdf', '.ofx', '.qfx', '.qif', '.xml']
         const extension = '.' + selectedFile.name.split('.').pop().toLowerCase()
 
         if (!validExtensions.includes(extension)) {
@@ -85,12 +95,41 @@ const BankStatementImport = ({ onImportSuccess }) => {
             if (response.ok) {
                 const data = await response.json()
                 setHistory(data)
+                return data
             }
         } catch (error) {
             console.error('Failed to fetch import history', error)
         } finally {
             setIsLoadingHistory(false)
         }
+        return []
+    }
+
+    /**
+     * Run category rules over the transactions created by the latest import
+     * and show the proposed changes for review
+     */
+    const previewRulesForImport = async (importRecord) => {
+        if (!importRecord || categoryRuleService.getAll().length === 0) return
+        try {
+            const data = await transactionService.getAll()
+            const transactions = (Array.isArray(data) ? data : (data?.items || []))
+                .filter(transaction => transaction.importHistoryId === importRecord.id)
+            setRuleChanges(categoryRuleService.preview(transactions))
+        } catch (error) {
+            console.error('Failed to apply category rules to import', error)
+        }
+    }
+
+    const handleApplyRules = async (selected) => {
+        setIsApplyingRules(true)
+        try {
+            await categoryRuleService.applyChanges(selected)
+            setRuleChanges(null)
+            queryClient.invalidateQueries({ queryKey: ['transactions'] })
+        } finally {
+            setIsApplyingRules(false)
+        }
     }
 
     const handleRevert = async (importId) => {
@@ -118,11 +157,40 @@ const BankStatementImport = ({ onImportSuccess }) => {
         }
     }
 
+    const clearFile = () => {
+        setFile(null)
+        if (fileInputRef.current) fileInputRef.current.value = ''
+    }
+
+    /**
+     * Show the result of an import, refresh the history and offer category rules
+     */
+    const handleImportResult = async (result) => {
+        setUploadResult({
+            type: 'success',
+            message: t('import.success'),
+            details: result
+        })
+
+        clearFile()
+
+        const updatedHistory = await fetchHistory() // Refresh history list
+
+        if (onImportSuccess) {
+            onImportSuccess(result)
+        }
+
+        if (result?.totalImported > 0) {
+            await previewRulesForImport(updatedHistory[0])
+        }
+    }
+
     const handleUpload = async () => {
         if (!file) return
 
         setIsUploading(true)
         setUploadResult(null)
+        setRuleChanges(null)
 
         const formData = new FormData()
         formData.append('file', file)
@@ -143,20 +211,7 @@ const BankStatementImport = ({ onImportSuccess }) => {
                 throw new Error(data.message || t('import.uploadFailed'))
             }
 
-            setUploadResult({
-                type: 'success',
-                message: t('import.success'),
-                details: data.result
-            })
-
-            setFile(null) // Clear file after success
-            if (fileInputRef.current) fileInputRef.current.value = ''
-
-            fetchHistory() // Refresh history list
-
-            if (onImportSuccess) {
-                onImportSuccess(data.result)
-            }
+            await handleImportResult(data.result)
 
         } catch (error) {
             console.error('Import error:', error)
@@ -182,7 +237,7 @@ const BankStatementImport = ({ onImportSuccess }) => {
                     type="file"
                     ref={fileInputRef}
                     onChange={handleFileSelect}
-                    accept=".csv, .xlsx, .xls, .pdf"
+                    accept=".csv, .xlsx, .xls, .pdf, .ofx, .qfx, .qif, .xml"
                     style={{ display: 'none' }}
                 />
 
@@ -218,7 +273,18 @@ const BankStatementImport = ({ onImportSuccess }) => {
                 )}
             </div>
 
-            {file && !uploadResult && (
+            {file && !uploadResult && statementImportService.canPreview(file) && (
+                <StatementImportWizard
+                    file={file}
+                    onImported={(result) => {
+                        setRuleChanges(null)
+                        handleImportResult(result)
+                    }}
+                    onCancel={clearFile}
+                />
+            )}
+
+            {file && !uploadResult && !statementImportService.canPreview(file) && (
                 <button
                     className="btn btn-primary import-btn"
                     onClick={handleUpload}
@@ -264,6 +330,18 @@ const BankStatementImport = ({ onImportSuccess }) => {
                 </div>
             )}
 
+            {ruleChanges && ruleChanges.length > 0 && (
+                <div className="import-rule-preview">
+                    <h4>{t('categoryRules.importPreviewTitle', 'Category rules matched imported transactions')}</h4>
+                    <CategoryRulePreview
+                        changes={ruleChanges}
+                        onApply={handleApplyRules}
+                        onCancel={() => setRuleChanges(null)}
+                        applying={isApplyingRules}
+                    />
+                </div>
+            )}
+
             <div className="import-instructions">
                 <h4>{t('import.instructionsTitle')}</h4>
                 <ol>
@@ -441,6 +519,14 @@ const BankStatementImport = ({ onImportSuccess }) => {
           font-size: 0.9rem;
           color: var(--text-primary);
         }
+        .import-rule-preview {
+          margin-top: 1.5rem;
+        }
+        .import-rule-preview h4 {
+          font-size: 1rem;
+          margin-bottom: 0.5rem;
+          color: var(--text-primary);
+        }
         .import-instructions {
           margin-top: 2rem;
           padding-top: 1rem;
@@ -0,0 +1,90 @@
+import { useState, useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import { buildMonthlyForecast, OCCURRENCE_STATUS } from '../../features/finance/utils/billForecast'
+
+import './BillForecastCalendar.css'
+
+/**
+ * 12-month cash-flow calendar for recurring bills
+ * Shows each month's projected bill total; selecting a month lists its occurrences.
+ */
+export default function BillForecastCalendar({ bills, formatCurrency, isPrivate, months = 12 }) {
+  const { t, i18n } = useTranslation()
+  const forecast = useMemo(() => buildMonthlyForecast(bills, { months }), [bills, months])
+  const [selectedKey, setSelectedKey] = useState(forecast[0]?.key)
+
+  const selectedMonth = forecast.find(month => month.key === selectedKey) || forecast[0]
+  const highestTotal = Math.max(...forecast.map(month => month.total), 0)
+  const yearTotal = forecast.reduce((sum, month) => sum + month.total, 0)
+  const maskClass = isPrivate ? 'masked-number' : ''
+
+  const formatMonth = (date, options) => date.toLocaleDateString(i18n.language, options)
+
+  return (
+    <div className="bill-forecast-container">
+      <div className="bill-forecast-header">
+        <h2>{t('recurringBills.forecastView.title')}</h2>
+        <span className={`bill-forecast-year-total ${maskClass}`}>
+          {t('recurringBills.forecastView.total', { months })}: {formatCurrency(yearTotal)}
+        </span>
+      </div>
+
+      <div className="bill-forecast-grid">
+        {forecast.map(month => (
+          <button
+            key={month.key}
+            type="button"
+            className={`bill-forecast-month ${month.key === selectedMonth?.key ? 'selected' : ''}`}
+            onClick={() => setSelectedKey(month.key)}
+          >
+            <span className="bill-forecast-month-label">{formatMonth(month.month, { month: 'short', year: '2-digit' })}</span>
+            <span className={`bill-forecast-month-total ${maskClass}`}>{formatCurrency(month.total)}</span>
+            <span className="bill-forecast-bar">
+              <span
+                className="bill-forecast-bar-fill"
+                style={{ width: highestTotal > 0 ? `${(month.total / highestTotal) * 100}%` : 0 }}
+              />
+            </span>
+            <span className="bill-forecast-month-count">
+              {t('recurringBills.forecastView.billCount', { count: month.count })}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {selectedMonth && (
+        <div className="bill-forecast-details">
+          <h3>{formatMonth(selectedMonth.month, { month: 'long', year: 'numeric' })}</h3>
+          <div className={`bill-forecast-breakdown ${maskClass}`}>
+            <span>{t('recurringBills.forecastView.paid')}: {formatCurrency(selectedMonth.paid)}</span>
+            <span>{t('recurringBills.forecastView.unpaid')}: {formatCurrency(selectedMonth.unpaid)}</span>
+            {selectedMonth.skipped > 0 && (
+              <span>{t('recurringBills.forecastView.skipped')}: {formatCurrency(selectedMonth.skipped)}</span>
+            )}
+          </div>
+
+          {selectedMonth.occurrences.length > 0 ? (
+            <ul className="bill-forecast-occurrences">
+              {selectedMonth.occurrences.map(occurrence => (
+                <li key={occurrence.id} className={`bill-forecast-occurrence ${occurrence.status}`}>
+                  <span className="bill-forecast-occurrence-date">
+                    {formatMonth(occurrence.date, { day: 'numeric', month: 'short' })}
+                  </span>
+                  <span className="bill-forecast-occurrence-name">{occurrence.bill.name}</span>
+                  <span className="bill-forecast-occurrence-status">
+                    {t(`recurringBills.forecastView.status.${occurrence.status}`)}
+                  </span>
+                  <span className={`bill-forecast-occurrence-amount ${maskClass}`}>
+                    {occurrence.status === OCCURRENCE_STATUS.SKIPPED ? '—' : formatCurrency(occurrence.amount)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="bill-forecast-empty">{t('recurringBills.forecastView.noBills')}</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
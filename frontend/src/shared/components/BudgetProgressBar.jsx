@@ -1,5 +1,6 @@
 
 import { useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
 import { usePrivacyMode } from '../context/PrivacyModeContext'
 import './BudgetProgressBar.css'
 
@@ -7,6 +8,8 @@ import './BudgetProgressBar.css'
  * BudgetProgressBar Component
  * Displays budget progress with spent/total values
  * Supports privacy mode to hide sensitive amounts
+ * In envelope mode `total` is the funded amount and `carriedOver` the
+ * amount rolled over from last month (negative when overspent).
  */
 export default function BudgetProgressBar({
     label,
@@ -14,8 +17,10 @@ export default function BudgetProgressBar({
     total,
     currencyFormatter,
     color = 'var(--primary)',
-    icon
+    icon,
+    carriedOver = 0
 }) {
+    const { t } = useTranslation()
     const { isPrivate } = usePrivacyMode()
     
     const percentage = useMemo(() => {
@@ -57,6 +62,14 @@ export default function BudgetProgressBar({
                     }}
                 />
             </div>
+
+            {carriedOver !== 0 && (
+                <div className={`budget-carry-over ${carriedOver < 0 ? 'negative' : 'positive'} ${isPrivate ? 'masked-number' : ''}`}>
+                    {carriedOver > 0
+                        ? t('budgets.envelope.rolledOver', { amount: currencyFormatter(carriedOver) })
+                        : t('budgets.envelope.overspentLastMonth', { amount: currencyFormatter(Math.abs(carriedOver)) })}
+                </div>
+            )}
         </div>
     )
 }
@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { FiArrowRight, FiCheck } from 'react-icons/fi'
+import useCurrencyFormatter from '../hooks/useCurrencyFormatter'
+import './CategoryRules.css'
+
+/**
+ * Category Rule Preview Component
+ * Lists what category rules would change and lets the user pick which
+ * changes to apply.
+ */
+function CategoryRulePreview({ changes = [], onApply, onCancel, applying = false }) {
+  const { t } = useTranslation()
+  const formatCurrency = useCurrencyFormatter()
+  const [selectedIds, setSelectedIds] = useState(() => new Set(changes.map(change => change.transaction.id)))
+
+  // Select every change whenever a new preview arrives
+  useEffect(() => {
+    setSelectedIds(new Set(changes.map(change => change.transaction.id)))
+  }, [changes])
+
+  const toggle = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  if (changes.length === 0) {
+    return (
+      <p className="category-rule-preview-empty">
+        {t('categoryRules.noChanges', 'No transactions would change.')}
+      </p>
+    )
+  }
+
+  const selected = changes.filter(change => selectedIds.has(change.transaction.id))
+
+  return (
+    <div className="category-rule-preview">
+      <p className="category-rule-preview-summary">
+        {t('categoryRules.previewSummary', '{{count}} transaction(s) would change', { count: changes.length })}
+      </p>
+      <ul className="category-rule-preview-list">
+        {changes.map(({ transaction, category, addedTags, matchedRules }) => (
+          <li key={transaction.id} className="category-rule-preview-item">
+            <label>
+              <input
+                type="checkbox"
+                checked={selectedIds.has(transaction.id)}
+                onChange={() => toggle(transaction.id)}
+                disabled={applying}
+              />
+              <span className="preview-description">
+                {transaction.description || t('transaction.noDescription', 'No description')}
+                <small>
+                  {formatCurrency(transaction.amount)} · {matchedRules.map(rule => rule.name).join(', ')}
+                </small>
+              </span>
+            </label>
+            <div className="preview-changes">
+              {category !== (transaction.category || '') && (
+                <span className="preview-category">
+                  {transaction.category ? t(`categories.${transaction.category.toLowerCase()}`, transaction.category) : '—'}
+                  <FiArrowRight size={12} />
+                  <strong>{t(`categories.${category.toLowerCase()}`, category)}</strong>
+                </span>
+              )}
+              {addedTags.map(tag => (
+                <span key={tag} className="preview-tag">+{tag}</span>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="category-rule-preview-actions">
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={applying}>
+            {t('common.cancel')}
+          </button>
+        )}
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={() => onApply(selected)}
+          disabled={applying || selected.length === 0}
+        >
+          {applying ? <span className="spinner-small"></span> : <FiCheck size={16} />}
+          {t('categoryRules.applySelected', 'Apply {{count}} change(s)', { count: selected.length })}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CategoryRulePreview
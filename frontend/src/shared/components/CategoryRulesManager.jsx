@@ -0,0 +1,298 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useQueryClient } from '@tanstack/react-query'
+import {
+  FiPlus, FiEdit2, FiTrash2, FiArrowUp, FiArrowDown, FiPlay, FiZap
+} from 'react-icons/fi'
+import { categoryRuleService, transactionService } from '../../services/api'
+import useCategoryRules from '../../features/finance/hooks/useCategoryRules'
+import { createEmptyRule, validateRule, RULE_TRANSACTION_TYPES } from '../../features/finance/utils/categoryRules'
+import { CATEGORIES } from '../../constants/categories'
+import TagsInput from './TagsInput'
+import CategoryRulePreview from './CategoryRulePreview'
+import './CategoryRules.css'
+
+/**
+ * Category Rules Manager Component
+ * Create, order and toggle automatic categorisation rules, and preview/apply
+ * them retroactively to existing transactions.
+ */
+function CategoryRulesManager() {
+  const { t } = useTranslation()
+  const queryClient = useQueryClient()
+  const { rules } = useCategoryRules()
+
+  const [editingRule, setEditingRule] = useState(null)
+  const [formError, setFormError] = useState('')
+  const [previewChanges, setPreviewChanges] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [applying, setApplying] = useState(false)
+  const [resultMessage, setResultMessage] = useState('')
+
+  const categoryOptions = editingRule?.conditions.type === 'income'
+    ? CATEGORIES.INCOME
+    : editingRule?.conditions.type === 'expense'
+      ? CATEGORIES.EXPENSE
+      : [...new Set([...CATEGORIES.EXPENSE, ...CATEGORIES.INCOME])]
+
+  const updateCondition = (field, value) => {
+    setEditingRule(prev => ({ ...prev, conditions: { ...prev.conditions, [field]: value } }))
+    setFormError('')
+  }
+
+  const updateAction = (field, value) => {
+    setEditingRule(prev => ({ ...prev, actions: { ...prev.actions, [field]: value } }))
+    setFormError('')
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const errorKey = validateRule(editingRule)
+    if (errorKey) {
+      setFormError(t(errorKey))
+      return
+    }
+    categoryRuleService.save({
+      ...editingRule,
+      name: editingRule.name.trim() || editingRule.conditions.descriptionContains || editingRule.conditions.merchantPattern
+    })
+    setEditingRule(null)
+    setPreviewChanges(null)
+  }
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(t('categoryRules.deleteConfirm', 'Delete this rule?'))) return
+    categoryRuleService.delete(rule.id)
+    setPreviewChanges(null)
+  }
+
+  /**
+   * Load existing transactions and compute what the rules would change
+   */
+  const handlePreview = async () => {
+    setPreviewLoading(true)
+    setResultMessage('')
+    try {
+      const data = await transactionService.getAll()
+      const transactions = Array.isArray(data) ? data : (data?.items || [])
+      setPreviewChanges(categoryRuleService.preview(transactions, rules))
+    } catch (error) {
+      console.error('Error previewing category rules:', error)
+      setResultMessage(t('common.error'))
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
+  const handleApply = async (selected) => {
+    setApplying(true)
+    try {
+      const summary = await categoryRuleService.applyChanges(selected)
+      queryClient.invalidateQueries({ queryKey: ['transactions'] })
+      setResultMessage(t('categoryRules.applied', '{{count}} transaction(s) updated', { count: summary.updated }))
+      setPreviewChanges(null)
+    } finally {
+      setApplying(false)
+    }
+  }
+
+  if (editingRule) {
+    const { conditions, actions } = editingRule
+    return (
+      <form className="category-rules-manager category-rule-form" onSubmit={handleSave}>
+        {formError && <div className="alert alert-error">{formError}</div>}
+
+        <div className="form-group">
+          <label htmlFor="rule-name">{t('categoryRules.name', 'Rule name')}</label>
+          <input
+            id="rule-name"
+            type="text"
+            value={editingRule.name}
+            onChange={(e) => setEditingRule(prev => ({ ...prev, name: e.target.value }))}
+            placeholder={t('categoryRules.namePlaceholder', 'e.g. Weekly groceries')}
+          />
+        </div>
+
+        <h4>{t('categoryRules.when', 'When a transaction…')}</h4>
+        <div className="category-rule-grid">
+          <div className="form-group">
+            <label htmlFor="rule-type">{t('categoryRules.type', 'Type')}</label>
+            <select id="rule-type" value={conditions.type} onChange={(e) => updateCondition('type', e.target.value)}>
+              {RULE_TRANSACTION_TYPES.map(type => (
+                <option key={type} value={type}>{t(`categoryRules.types.${type}`, type)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule-contains">{t('categoryRules.descriptionContains', 'Description contains')}</label>
+            <input
+              id="rule-contains"
+              type="text"
+              value={conditions.descriptionContains}
+              onChange={(e) => updateCondition('descriptionContains', e.target.value)}
+              placeholder="LIDL"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule-pattern">{t('categoryRules.merchantPattern', 'Merchant pattern (regex)')}</label>
+            <input
+              id="rule-pattern"
+              type="text"
+              value={conditions.merchantPattern}
+              onChange={(e) => updateCondition('merchantPattern', e.target.value)}
+              placeholder="^(AB|Sklavenitis)"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule-account">{t('categoryRules.account', 'Bank account ID')}</label>
+            <input
+              id="rule-account"
+              type="text"
+              value={conditions.accountId}
+              onChange={(e) => updateCondition('accountId', e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule-min">{t('categoryRules.minAmount', 'Min amount')}</label>
+            <input
+              id="rule-min"
+              type="number"
+              min="0"
+              step="0.01"
+              value={conditions.minAmount}
+              onChange={(e) => updateCondition('minAmount', e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule-max">{t('categoryRules.maxAmount', 'Max amount')}</label>
+            <input
+              id="rule-max"
+              type="number"
+              min="0"
+              step="0.01"
+              value={conditions.maxAmount}
+              onChange={(e) => updateCondition('maxAmount', e.target.value)}
+            />
+          </div>
+        </div>
+
+        <h4>{t('categoryRules.then', 'Then…')}</h4>
+        <div className="form-group">
+          <label htmlFor="rule-category">{t('categoryRules.setCategory', 'Set category')}</label>
+          <select id="rule-category" value={actions.category} onChange={(e) => updateAction('category', e.target.value)}>
+            <option value="">{t('categoryRules.keepCategory', 'Keep current category')}</option>
+            {categoryOptions.map(category => (
+              <option key={category} value={category}>{t(`categories.${category}`, category)}</option>
+            ))}
+          </select>
+        </div>
+        <TagsInput
+          tags={actions.tags}
+          onChange={(e) => updateAction('tags', e.target.value)}
+          name="tags"
+          label={t('categoryRules.addTags', 'Add tags')}
+          maxTags={5}
+        />
+
+        <div className="form-actions">
+          <button type="button" className="btn btn-secondary" onClick={() => setEditingRule(null)}>
+            {t('common.cancel')}
+          </button>
+          <button type="submit" className="btn btn-primary">
+            {t('common.save')}
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  return (
+    <div className="category-rules-manager">
+      <p className="category-rules-intro">
+        {t('categoryRules.intro', 'Rules run in order when you add a transaction or import a statement. The first matching rule sets the category; tags from every matching rule are added.')}
+      </p>
+
+      {rules.length === 0 ? (
+        <div className="category-rules-empty">
+          <FiZap size={32} />
+          <p>{t('categoryRules.empty', 'No rules yet')}</p>
+        </div>
+      ) : (
+        <ul className="category-rules-list">
+          {rules.map((rule, index) => (
+            <li key={rule.id} className={`category-rule-item ${rule.enabled ? '' : 'disabled'}`}>
+              <label className="category-rule-toggle">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => categoryRuleService.toggle(rule.id)}
+                  aria-label={t('categoryRules.enabled', 'Enabled')}
+                />
+              </label>
+              <div className="category-rule-info">
+                <span className="category-rule-name">{rule.name}</span>
+                <span className="category-rule-summary">
+                  {rule.actions.category && t(`categories.${rule.actions.category}`, rule.actions.category)}
+                  {rule.actions.tags?.length > 0 && ` · ${rule.actions.tags.map(tag => `#${tag}`).join(' ')}`}
+                </span>
+              </div>
+              <div className="category-rule-actions">
+                <button
+                  type="button"
+                  onClick={() => categoryRuleService.move(rule.id, -1)}
+                  disabled={index === 0}
+                  aria-label={t('categoryRules.moveUp', 'Move up')}
+                >
+                  <FiArrowUp size={16} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => categoryRuleService.move(rule.id, 1)}
+                  disabled={index === rules.length - 1}
+                  aria-label={t('categoryRules.moveDown', 'Move down')}
+                >
+                  <FiArrowDown size={16} />
+                </button>
+                <button type="button" onClick={() => setEditingRule(rule)} aria-label={t('common.edit')}>
+                  <FiEdit2 size={16} />
+                </button>
+                <button type="button" className="danger" onClick={() => handleDelete(rule)} aria-label={t('common.delete')}>
+                  <FiTrash2 size={16} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="category-rules-toolbar">
+        <button type="button" className="btn btn-secondary" onClick={() => setEditingRule(createEmptyRule())}>
+          <FiPlus size={16} />
+          {t('categoryRules.addRule', 'Add rule')}
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={handlePreview}
+          disabled={rules.length === 0 || previewLoading}
+        >
+          {previewLoading ? <span className="spinner-small"></span> : <FiPlay size={16} />}
+          {t('categoryRules.runOnExisting', 'Run on existing transactions')}
+        </button>
+      </div>
+
+      {resultMessage && <p className="category-rules-result">{resultMessage}</p>}
+
+      {previewChanges && (
+        <CategoryRulePreview
+          changes={previewChanges}
+          onApply={handleApply}
+          onCancel={() => setPreviewChanges(null)}
+          applying={applying}
+        />
+      )}
+    </div>
+  )
+}
+
+export default CategoryRulesManager
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
+import { getCurrencySymbol } from '../../features/finance/utils/multiCurrency'
 import './CurrencyInput.css'
 
 /**
@@ -9,6 +10,7 @@ import './CurrencyInput.css'
  * - Quick amount buttons
  * - Large, prominent display
  * - Auto-format on blur
+ * - Symbol follows the selected currency
  */
 function CurrencyInput({
   value = '',
@@ -19,9 +21,11 @@ function CurrencyInput({
   required = false,
   disabled = false,
   label,
+  currency = 'EUR',
   quickAmounts = [10, 50, 100, 500]
 }) {
   const { t } = useTranslation()
+  const symbol = getCurrencySymbol(currency)
   const [displayValue, setDisplayValue] = useState('')
   const [isFocused, setIsFocused] = useState(false)
 
@@ -137,7 +141,7 @@ function CurrencyInput({
       )}
 
       <div className="currency-input-container">
-        <div className="currency-symbol">€</div>
+        <div className="currency-symbol">{symbol}</div>
         <input
           type="text"
           id={id}
@@ -165,9 +169,9 @@ function CurrencyInput({
             onClick={() => handleQuickAmount(amount)}
             className="quick-amount-btn"
             disabled={disabled}
-            aria-label={`Quick amount: €${amount}`}
+            aria-label={`Quick amount: ${symbol}${amount}`}
           >
-            €{amount}
+            {symbol}{amount}
           </button>
         ))}
       </div>
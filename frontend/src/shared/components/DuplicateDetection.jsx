@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
 import { FiAlertTriangle, FiX, FiCheck } from 'react-icons/fi'
+import { formatMoney, getOriginalAmount, getTransactionCurrency } from '../../features/finance/utils/multiCurrency'
 import './DuplicateDetection.css'
 
 /**
@@ -53,7 +54,7 @@ function DuplicateDetection({
           {similarTransactions.slice(0, 3).map((transaction, index) => (
             <div key={index} className="duplicate-item">
               <span className="duplicate-amount">
-                €{transaction.amount?.toFixed(2) || '0.00'}
+                {formatMoney(getOriginalAmount(transaction), getTransactionCurrency(transaction))}
               </span>
               <span className="duplicate-description">
                 {transaction.description || t('transaction.noDescription')}
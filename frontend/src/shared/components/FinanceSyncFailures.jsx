@@ -0,0 +1,65 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { FiAlertTriangle, FiRefreshCw, FiTrash2 } from 'react-icons/fi'
+import { useFailedFinanceSync } from '../../features/finance/hooks/useFinanceSync'
+import useToast from '../hooks/useToast'
+
+/**
+ * Banner for offline finance changes the server rejected on replay.
+ * Lets the user retry them or discard them and go back to the server copy.
+ */
+export default function FinanceSyncFailures() {
+  const { t } = useTranslation()
+  const { addToast } = useToast()
+  const { failed, retry, discard } = useFailedFinanceSync()
+  const [busy, setBusy] = useState(false)
+
+  if (failed.length === 0) return null
+
+  const run = async (action) => {
+    setBusy(true)
+    try {
+      await action()
+    } catch (error) {
+      console.error('Error resolving failed finance sync:', error)
+      addToast(t('financeSync.actionFailed', 'Could not update the offline changes'), 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRetry = () => run(async () => {
+    const { failed: stillFailed } = await retry()
+    if (stillFailed === 0) addToast(t('financeSync.retried', 'Offline changes saved'), 'success')
+  })
+
+  const handleDiscard = () => run(async () => {
+    await discard()
+    addToast(t('financeSync.discarded', 'Offline changes discarded'), 'success')
+  })
+
+  return (
+    <div className="finance-sync-failures" role="alert">
+      <FiAlertTriangle size={18} className="finance-sync-failures__icon" />
+      <div className="finance-sync-failures__text">
+        <strong>
+          {t('financeSync.failedTitle', {
+            count: failed.length,
+            defaultValue: '{{count}} offline change(s) could not be saved'
+          })}
+        </strong>
+        {failed[0]?.error && <span className="finance-sync-failures__error">{failed[0].error}</span>}
+      </div>
+      <div className="finance-sync-failures__actions">
+        <button type="button" className="btn btn-secondary" onClick={handleRetry} disabled={busy}>
+          <FiRefreshCw size={14} />
+          {t('financeSync.retry', 'Retry')}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={handleDiscard} disabled={busy}>
+          <FiTrash2 size={14} />
+          {t('financeSync.discard', 'Discard')}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,172 @@
+import { useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import { FiUser, FiUsers, FiHeart, FiPlus, FiX } from 'react-icons/fi'
+import { allocateItemSplit, ITEM_ASSIGNMENTS } from '../../features/finance/utils/itemSplit'
+import { BASE_CURRENCY, formatMoney } from '../../features/finance/utils/multiCurrency'
+import ShoppingListTickOff from './ShoppingListTickOff'
+import './ItemSplitEditor.css'
+
+/**
+ * Item Split Editor
+ * Assigns each line of a receipt to me, the partner or both. Tax and discounts
+ * (the difference between the items and the amount paid) are spread over the
+ * items by price, and the resulting totals are previewed per person.
+ *
+ * @param {Array} items - Split items ({ name, quantity, amount, assignedTo })
+ * @param {number} total - Amount paid
+ * @param {string} [currency] - Currency of the amounts
+ * @param {Function} onChange - Receives the updated items
+ * @param {string} [partnerName='Partner'] - Partner label
+ * @param {boolean} [disabled=false] - Form is saving
+ */
+function ItemSplitEditor({
+  items = [],
+  total = 0,
+  currency = BASE_CURRENCY,
+  onChange,
+  partnerName = 'Partner',
+  disabled = false
+}) {
+  const { t } = useTranslation()
+  const allocation = useMemo(() => allocateItemSplit(items, total), [items, total])
+
+  const assignments = [
+    { value: ITEM_ASSIGNMENTS.ME, label: t('transaction.split.me'), icon: FiUser },
+    { value: ITEM_ASSIGNMENTS.SHARED, label: t('transaction.itemSplit.shared'), icon: FiUsers },
+    { value: ITEM_ASSIGNMENTS.PARTNER, label: partnerName, icon: FiHeart }
+  ]
+
+  const updateItem = (index, changes) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)))
+  }
+
+  const removeItem = (index) => {
+    onChange(items.filter((_, i) => i !== index))
+  }
+
+  const addItem = () => {
+    onChange([...items, { name: '', quantity: 1, amount: '', assignedTo: ITEM_ASSIGNMENTS.SHARED }])
+  }
+
+  const assignAll = (assignedTo) => {
+    onChange(items.map(item => ({ ...item, assignedTo })))
+  }
+
+  const format = (value) => formatMoney(value, currency)
+
+  return (
+    <div className="item-split">
+      {items.length > 0 && (
+        <div className="item-split-assign-all">
+          <span>{t('transaction.itemSplit.assignAll')}</span>
+          {assignments.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={() => assignAll(option.value)}
+              disabled={disabled}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <ul className="item-split-list">
+        {items.map((item, index) => (
+          <li key={index} className="item-split-row">
+            <div className="item-split-fields">
+              <input
+                type="text"
+                value={item.name}
+                onChange={(e) => updateItem(index, { name: e.target.value })}
+                placeholder={t('transaction.itemSplit.itemName')}
+                aria-label={t('transaction.itemSplit.itemName')}
+                className="item-split-name"
+                disabled={disabled}
+              />
+              <input
+                type="number"
+                value={item.amount}
+                onChange={(e) => updateItem(index, { amount: e.target.value })}
+                placeholder="0.00"
+                aria-label={t('transaction.amount')}
+                className="item-split-amount"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                disabled={disabled}
+              />
+              <button
+                type="button"
+                className="item-split-remove"
+                onClick={() => removeItem(index)}
+                aria-label={t('transaction.itemSplit.removeItem')}
+                disabled={disabled}
+              >
+                <FiX size={16} />
+              </button>
+            </div>
+            <div className="item-split-assignment" role="group" aria-label={t('transaction.itemSplit.assignedTo')}>
+              {assignments.map(option => {
+                const IconComponent = option.icon
+                return (
+                  <button
+                    key={option.value}
+                    type="button"
+                    className={`item-split-assign-btn ${item.assignedTo === option.value ? 'active' : ''}`}
+                    aria-pressed={item.assignedTo === option.value}
+                    onClick={() => updateItem(index, { assignedTo: option.value })}
+                    disabled={disabled}
+                  >
+                    <IconComponent size={14} />
+                    <span>{option.label}</span>
+                  </button>
+                )
+              })}
+              {allocation.adjustment !== 0 && Number(item.amount) > 0 && (
+                <span className="item-split-share" title={t('transaction.itemSplit.adjustedShare')}>
+                  {format(allocation.items[index].share)}
+                </span>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <button type="button" className="btn btn-sm btn-secondary item-split-add" onClick={addItem} disabled={disabled}>
+        <FiPlus size={14} /> {t('transaction.itemSplit.addItem')}
+      </button>
+
+      {allocation.itemsTotal === 0 ? (
+        <p className="item-split-hint">{t('transaction.itemSplit.noItems')}</p>
+      ) : (
+        <div className="split-preview">
+          <div className="split-preview-item item-split-subtotal">
+            <span className="split-preview-label">{t('transaction.itemSplit.itemsTotal')}:</span>
+            <span>{format(allocation.itemsTotal)}</span>
+          </div>
+          {allocation.adjustment !== 0 && (
+            <div className="split-preview-item item-split-subtotal">
+              <span className="split-preview-label">{t('transaction.itemSplit.adjustment')}:</span>
+              <span>{allocation.adjustment > 0 ? '+' : ''}{format(allocation.adjustment)}</span>
+            </div>
+          )}
+          <div className="split-preview-item">
+            <span className="split-preview-label">{t('transaction.split.you')}:</span>
+            <span className="split-preview-amount">{format(allocation.owner)}</span>
+          </div>
+          <div className="split-preview-item">
+            <span className="split-preview-label">{partnerName}:</span>
+            <span className="split-preview-amount">{format(allocation.partner)}</span>
+          </div>
+        </div>
+      )}
+
+      <ShoppingListTickOff items={items} />
+    </div>
+  )
+}
+
+export default ItemSplitEditor
@@ -6,12 +6,14 @@ import { getBackendUrl } from '../utils/getBackendUrl'
 import { useTheme } from '../context/ThemeContext'
 import { useTravelMode } from '../../features/travel/context/TravelModeContext'
 import PageTransition from './PageTransition'
+import PartnerPresenceIndicator from './PartnerPresenceIndicator'
 import {
   FiHome,
   FiTrendingDown,
   FiTrendingUp,
   FiTarget,
   FiUsers,
+  FiShuffle,
   FiBell,
   FiShoppingCart,
   FiPieChart,
@@ -60,6 +62,8 @@ import { useLogout } from '../context/LogoutContext'
 import { useModalRegistration } from '../context/ModalContext'
 import { authService } from '../../features/auth/services/auth'
 import { profileService } from '../../services/api'
+import useFinanceSync from '../../features/finance/hooks/useFinanceSync'
+import useSavingsContributions from '../../features/finance/hooks/useSavingsContributions'
 import { preloadRoute } from '../utils/performance'
 import LogoLoader from './LogoLoader'
 // Lazy load Chatbot - it's not critical for initial render
@@ -83,6 +87,7 @@ const prefetchRoute = (path) => {
 const prefetchTravelApp = () => preloadRoute(() => import('../../features/travel/TravelApp'))
 import AccessibilitySettings from './AccessibilitySettings'
 import BankStatementImport from './BankStatementImport'
+import FinanceSyncFailures from './FinanceSyncFailures'
 import CurrencyCalculatorPopover from './CurrencyCalculatorPopover'
 import CurrencyPopoverContext from '../context/CurrencyPopoverContext'
 import GlobalCalculator from './GlobalCalculator'
@@ -118,6 +123,12 @@ function Layout() {
   useModalRegistration(isAccessibilityOpen, 'accessibility-settings')
   useModalRegistration(isCurrencyPopoverOpen, 'currency-popover')
 
+  // Replay finance changes made while offline
+  useFinanceSync()
+
+  // Deposit savings goal contributions set to run automatically
+  useSavingsContributions()
+
   // Primary navigation items (always visible on desktop)
   const mainNavItems = [
     { path: '/dashboard', icon: FiHome, label: t('navigation.dashboard') },
@@ -133,6 +144,7 @@ function Layout() {
   const moreNavItems = [
     { path: '/analytics', icon: FiBarChart2, label: t('navigation.analytics') },
     { path: '/partnership', icon: FiUsers, label: t('navigation.partnership') },
+    { path: '/settle-up', icon: FiShuffle, label: t('navigation.settleUp', 'Settle up') },
     { path: '/savings-goals', icon: FiPieChart, label: t('navigation.savingsGoals') },
     { path: '/receipts', icon: FiImage, label: t('navigation.receipts', 'Receipts') },
     { path: '/achievements', icon: FiAward, label: t('navigation.achievements') },
@@ -318,6 +330,9 @@ function Layout() {
           {/* Header actions - right side */}
           <div className="header-actions">
 
+            {/* Partner online / activity - hidden without a partnership */}
+            <PartnerPresenceIndicator />
+
             {/* Economic News - desktop only (Quick Tools) */}
             <span
               className="header-icon-btn news-button desktop-only"
@@ -711,6 +726,7 @@ function Layout() {
       </nav>
       {/* Main Content */}
       <main className="layout-main">
+        <FinanceSyncFailures />
         <PageTransition>
           <Suspense fallback={<div className="h-full w-full flex items-center justify-center"><LogoLoader /></div>}>
             <Outlet />
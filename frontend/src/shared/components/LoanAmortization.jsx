@@ -0,0 +1,205 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import { format } from 'date-fns'
+import { FiTrendingDown, FiCalendar, FiInfo } from 'react-icons/fi'
+import { loanPaymentService } from '../../services/api'
+import {
+  getLoanSchedule,
+  projectPayoffFromHistory,
+  simulateExtraRepayments
+} from '../../features/finance/utils/loanAmortization'
+import useCurrencyFormatter from '../hooks/useCurrencyFormatter'
+import { usePrivacyMode } from '../context/PrivacyModeContext'
+import './LoanAmortization.css'
+
+const formatDate = (date) => (date ? format(new Date(date), 'MMM dd, yyyy') : '—')
+
+/**
+ * Loan Amortization Component
+ * Instalment schedule, payoff projection from payment history and a
+ * what-if simulator for extra or lump-sum repayments.
+ */
+function LoanAmortization({ loan }) {
+  const { t } = useTranslation()
+  const formatCurrency = useCurrencyFormatter()
+  const { isPrivate } = usePrivacyMode()
+  const [payments, setPayments] = useState([])
+  const [extraPayment, setExtraPayment] = useState('')
+  const [lumpSum, setLumpSum] = useState('')
+  const [lumpSumPeriod, setLumpSumPeriod] = useState('1')
+  const [showAllRows, setShowAllRows] = useState(false)
+
+  useEffect(() => {
+    if (!loan?.id) return
+    loanPaymentService.getByLoan(loan.id)
+      .then(data => setPayments(data || []))
+      .catch(error => console.error('Error loading loan payments:', error))
+  }, [loan?.id])
+
+  const schedule = useMemo(() => getLoanSchedule(loan), [loan])
+  const projection = useMemo(() => projectPayoffFromHistory(loan, payments), [loan, payments])
+  const simulation = useMemo(() => simulateExtraRepayments(loan, {
+    extraPayment,
+    lumpSum,
+    lumpSumPeriod
+  }), [loan, extraPayment, lumpSum, lumpSumPeriod])
+
+  const hasScenario = Number(extraPayment) > 0 || Number(lumpSum) > 0
+  const amountClass = isPrivate ? 'masked-number' : ''
+
+  if (!schedule) {
+    return (
+      <div className="loan-amortization">
+        <p className="amortization-hint">
+          <FiInfo size={16} />
+          {t('loans.amortization.noTerms', 'Add an interest rate and term to this loan to see its repayment schedule.')}
+        </p>
+        {projection && (
+          <div className="payment-summary">
+            <div className="summary-item">
+              <span className="label">{t('loans.amortization.averagePayment', 'Average payment')}</span>
+              <span className={`value ${amountClass}`}>{formatCurrency(projection.averagePayment)}</span>
+            </div>
+            <div className="summary-item">
+              <span className="label">{t('loans.amortization.projectedPayoff', 'Projected payoff')}</span>
+              <span className="value">{formatDate(projection.payoffDate)}</span>
+            </div>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  const visibleRows = showAllRows ? schedule.rows : schedule.rows.slice(0, 12)
+
+  return (
+    <div className="loan-amortization">
+      <div className="payment-summary amortization-summary">
+        <div className="summary-item">
+          <span className="label">{t('loans.amortization.installment', 'Instalment')}</span>
+          <span className={`value ${amountClass}`}>{formatCurrency(schedule.installment)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="label">{t('loans.amortization.totalInterest', 'Total interest')}</span>
+          <span className={`value remaining ${amountClass}`}>{formatCurrency(schedule.totalInterest)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="label">{t('loans.amortization.scheduledPayoff', 'Scheduled payoff')}</span>
+          <span className="value">{formatDate(schedule.payoffDate)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="label">{t('loans.amortization.projectedPayoff', 'Projected payoff')}</span>
+          <span className="value paid">
+            {projection
+              ? (projection.payoffDate ? formatDate(projection.payoffDate) : t('loans.amortization.neverPaidOff', 'Not at this pace'))
+              : '—'}
+          </span>
+          {projection && (
+            <small className="amortization-note">
+              {t('loans.amortization.basedOnAverage', 'At your average of {{amount}} per instalment', {
+                amount: isPrivate ? '•••' : formatCurrency(projection.averagePayment)
+              })}
+            </small>
+          )}
+        </div>
+      </div>
+
+      {/* What-if simulator */}
+      <div className="amortization-simulator">
+        <h4><FiTrendingDown /> {t('loans.amortization.whatIf', 'What if I pay more?')}</h4>
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="extraPayment">{t('loans.amortization.extraPerInstallment', 'Extra per instalment')}</label>
+            <input
+              id="extraPayment"
+              type="number"
+              min="0"
+              step="0.01"
+              value={extraPayment}
+              onChange={(e) => setExtraPayment(e.target.value)}
+              placeholder="0.00"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="lumpSum">{t('loans.amortization.lumpSum', 'One-off repayment')}</label>
+            <input
+              id="lumpSum"
+              type="number"
+              min="0"
+              step="0.01"
+              value={lumpSum}
+              onChange={(e) => setLumpSum(e.target.value)}
+              placeholder="0.00"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="lumpSumPeriod">{t('loans.amortization.lumpSumAt', 'Paid with instalment #')}</label>
+            <input
+              id="lumpSumPeriod"
+              type="number"
+              min="1"
+              step="1"
+              value={lumpSumPeriod}
+              onChange={(e) => setLumpSumPeriod(e.target.value)}
+            />
+          </div>
+        </div>
+
+        {hasScenario && simulation && (
+          <div className="amortization-result">
+            <div>
+              <span className="label">{t('loans.amortization.interestSaved', 'Interest saved')}</span>
+              <strong className={amountClass}>{formatCurrency(simulation.interestSaved)}</strong>
+            </div>
+            <div>
+              <span className="label">{t('loans.amortization.installmentsSaved', 'Instalments saved')}</span>
+              <strong>{simulation.periodsSaved}</strong>
+            </div>
+            <div>
+              <span className="label">{t('loans.amortization.newPayoff', 'New payoff date')}</span>
+              <strong>{formatDate(simulation.scenario.payoffDate)}</strong>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Amortisation table */}
+      <div className="amortization-table-wrapper">
+        <h4><FiCalendar /> {t('loans.amortization.schedule', 'Repayment schedule')}</h4>
+        <table className="amortization-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>{t('loans.paymentDate')}</th>
+              <th>{t('loans.amortization.payment', 'Payment')}</th>
+              <th>{t('loans.principalAmount')}</th>
+              <th>{t('loans.interestAmount')}</th>
+              <th>{t('loans.amortization.balance', 'Balance')}</th>
+            </tr>
+          </thead>
+          <tbody className={amountClass}>
+            {visibleRows.map(row => (
+              <tr key={row.period}>
+                <td>{row.period}</td>
+                <td>{formatDate(row.date)}</td>
+                <td>{formatCurrency(row.payment)}</td>
+                <td>{formatCurrency(row.principal)}</td>
+                <td>{formatCurrency(row.interest)}</td>
+                <td>{formatCurrency(row.balance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {schedule.rows.length > 12 && (
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => setShowAllRows(prev => !prev)}>
+            {showAllRows
+              ? t('loans.amortization.showLess', 'Show less')
+              : t('loans.amortization.showAll', 'Show all {{count}} instalments', { count: schedule.rows.length })}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LoanAmortization
@@ -0,0 +1,48 @@
+import { useTranslation } from 'react-i18next'
+import { usePartnerSync } from '../hooks/usePartnerSync'
+import { parsePartnerActivity } from '../utils/partnerSyncTargets'
+import './PartnerPresenceIndicator.css'
+
+const KNOWN_AREAS = ['shopping', 'trip']
+
+/**
+ * Header badge showing whether the partner is online and what they are looking at.
+ * Renders nothing without a partnership (no presence from the hub).
+ *
+ * @param {string} [className] - Extra class names
+ */
+export default function PartnerPresenceIndicator({ className = '' }) {
+  const { t } = useTranslation()
+  const { connectionState, partnerPresence } = usePartnerSync()
+
+  if (!partnerPresence) return null
+
+  const isLive = connectionState === 'connected'
+  const online = isLive && partnerPresence.online
+  const activity = online ? parsePartnerActivity(partnerPresence.activity) : null
+
+  let label
+  if (!isLive) {
+    label = t('partnerSync.presence.reconnecting')
+  } else if (!online) {
+    label = t('partnerSync.presence.offline')
+  } else if (activity && KNOWN_AREAS.includes(activity.area)) {
+    label = t(`partnerSync.presence.viewing.${activity.area}`)
+  } else {
+    label = t('partnerSync.presence.online')
+  }
+
+  const status = !isLive ? 'reconnecting' : online ? 'online' : 'offline'
+
+  return (
+    <span
+      className={`partner-presence partner-presence--${status} ${className}`.trim()}
+      role="status"
+      aria-live="polite"
+      title={label}
+    >
+      <span className="partner-presence__dot" aria-hidden="true" />
+      <span className="partner-presence__label">{label}</span>
+    </span>
+  )
+}
@@ -2,6 +2,7 @@ import { useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import { FiClock, FiChevronDown, FiChevronUp } from 'react-icons/fi'
 import { format } from 'date-fns'
+import { formatMoney, getOriginalAmount, getTransactionCurrency } from '../../features/finance/utils/multiCurrency'
 import './QuickFill.css'
 
 /**
@@ -27,7 +28,8 @@ function QuickFill({
   const handleFill = (transaction) => {
     if (onFill) {
       onFill({
-        amount: transaction.amount,
+        amount: getOriginalAmount(transaction),
+        currency: getTransactionCurrency(transaction),
         category: transaction.category,
         description: transaction.description || '',
         date: transaction.date ? transaction.date.split('T')[0] : new Date().toISOString().split('T')[0]
@@ -69,7 +71,7 @@ function QuickFill({
             >
               <div className="quick-fill-item-main">
                 <div className="quick-fill-amount">
-                  €{transaction.amount?.toFixed(2) || '0.00'}
+                  {formatMoney(getOriginalAmount(transaction), getTransactionCurrency(transaction))}
                 </div>
                 <div className="quick-fill-details">
                   <div className="quick-fill-description">
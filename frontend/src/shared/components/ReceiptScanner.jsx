@@ -0,0 +1,235 @@
+import { useState, useEffect, useRef } from 'react'
+import { useTranslation } from 'react-i18next'
+import { FiCamera, FiImage, FiRefreshCw, FiAlertCircle, FiWifiOff } from 'react-icons/fi'
+import { receiptOcrService } from '../../services/api'
+import { buildReceiptDraft, getConfidenceLevel } from '../../features/finance/utils/receiptParser'
+import useCurrencyFormatter from '../hooks/useCurrencyFormatter'
+import TransactionForm from './TransactionForm'
+import './ReceiptScanner.css'
+
+/**
+ * Receipt Scanner
+ * Snap or pick a receipt photo, read it on the device and continue in a
+ * TransactionForm pre-filled with the merchant, date, total, VAT and line items.
+ * The photo is attached to the transaction automatically.
+ *
+ * @param {Function} onSubmit - Receives the transaction data from TransactionForm
+ * @param {Function} onCancel - Close the scanner
+ * @param {boolean} [loading=false] - Parent is saving
+ */
+function ReceiptScanner({ onSubmit, onCancel, loading = false }) {
+  const { t, i18n } = useTranslation()
+  const formatCurrency = useCurrencyFormatter()
+  const [step, setStep] = useState('pick') // 'pick' | 'scanning' | 'review' | 'failed'
+  const [progress, setProgress] = useState({ status: '', progress: 0 })
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [scan, setScan] = useState(null)
+  const [photo, setPhoto] = useState(null)
+  const [error, setError] = useState('')
+  const cameraInputRef = useRef(null)
+  const fileInputRef = useRef(null)
+  const scanIdRef = useRef(0)
+
+  // Object URLs hold the photo in memory until revoked
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl)
+  }, [previewUrl])
+
+  // The engine uses tens of MB; free it when the scanner closes
+  useEffect(() => () => {
+    scanIdRef.current += 1
+    receiptOcrService.release()
+  }, [])
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    const scanId = ++scanIdRef.current
+    setPhoto(file)
+    setPreviewUrl(URL.createObjectURL(file))
+    setError('')
+    setProgress({ status: '', progress: 0 })
+    setStep('scanning')
+
+    try {
+      const result = await receiptOcrService.scan(file, {
+        language: i18n.language,
+        onProgress: (update) => {
+          if (scanIdRef.current === scanId) setProgress(update)
+        }
+      })
+      if (scanIdRef.current !== scanId) return
+
+      const { draft, fieldConfidence } = buildReceiptDraft(result.receipt, {
+        vat: t('receiptScanner.vat'),
+        items: t('receiptScanner.items')
+      })
+      setScan({ ...result, draft, fieldConfidence })
+      setStep('review')
+    } catch (err) {
+      if (scanIdRef.current !== scanId) return
+      console.error('Receipt scan failed:', err)
+      setError(err.code === 'unsupported_file'
+        ? t('receiptScanner.unsupportedFile')
+        : t('receiptScanner.scanFailed'))
+      setStep('failed')
+    }
+  }
+
+  const restart = () => {
+    scanIdRef.current += 1
+    setScan(null)
+    setPhoto(null)
+    setPreviewUrl(null)
+    setError('')
+    setStep('pick')
+  }
+
+  const progressLabel = progress.status.startsWith('recognizing')
+    ? t('receiptScanner.reading')
+    : t('receiptScanner.loadingEngine')
+
+  const renderConfidenceDot = (value) => (
+    <span
+      className={`receipt-scan-dot receipt-scan-dot-${getConfidenceLevel(value)}`}
+      title={t('receiptScanner.confidence', { percent: Math.round(value * 100) })}
+      aria-hidden="true"
+    />
+  )
+
+  return (
+    <div className="receipt-scanner">
+      <input
+        ref={cameraInputRef}
+        type="file"
+        accept="image/*"
+        capture="environment"
+        onChange={handleFile}
+        className="file-input-hidden"
+        aria-hidden="true"
+        tabIndex={-1}
+      />
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        onChange={handleFile}
+        className="file-input-hidden"
+        aria-hidden="true"
+        tabIndex={-1}
+      />
+
+      {step === 'pick' && (
+        <div className="receipt-scanner-pick">
+          <p className="receipt-scanner-intro">{t('receiptScanner.intro')}</p>
+          <div className="receipt-scanner-sources">
+            <button type="button" className="btn btn-primary" onClick={() => cameraInputRef.current?.click()}>
+              <FiCamera /> {t('receiptScanner.takePhoto')}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => fileInputRef.current?.click()}>
+              <FiImage /> {t('receiptScanner.chooseImage')}
+            </button>
+          </div>
+          <p className="receipt-scanner-offline">
+            <FiWifiOff size={14} /> {t('receiptScanner.offlineHint')}
+          </p>
+        </div>
+      )}
+
+      {step === 'scanning' && (
+        <div className="receipt-scanner-progress" role="status" aria-live="polite">
+          {previewUrl && <img src={previewUrl} alt="" className="receipt-scanner-thumb" />}
+          <div className="receipt-scanner-progress-body">
+            <span>{progressLabel}</span>
+            <div className="receipt-scanner-bar">
+              <div className="receipt-scanner-bar-fill" style={{ width: `${Math.round(progress.progress * 100)}%` }} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {step === 'failed' && (
+        <div className="receipt-scanner-failed">
+          <p className="alert alert-error">
+            <FiAlertCircle /> {error}
+          </p>
+          <div className="receipt-scanner-sources">
+            <button type="button" className="btn btn-secondary" onClick={restart}>
+              <FiRefreshCw /> {t('receiptScanner.tryAgain')}
+            </button>
+            {photo?.type?.startsWith('image/') && (
+              <button type="button" className="btn btn-primary" onClick={() => setStep('manual')}>
+                {t('receiptScanner.enterManually')}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {step === 'manual' && (
+        <TransactionForm
+          type="expense"
+          attachment={photo}
+          onSubmit={onSubmit}
+          onCancel={onCancel}
+          loading={loading}
+        />
+      )}
+
+      {step === 'review' && scan && (
+        <>
+          <div className="receipt-scan-summary">
+            {previewUrl && <img src={previewUrl} alt={t('transaction.attachment')} className="receipt-scanner-thumb" />}
+            <dl className="receipt-scan-fields">
+              <div>
+                <dt>{renderConfidenceDot(scan.receipt.confidence.total)}{t('receiptScanner.total')}</dt>
+                <dd>{scan.receipt.total !== null ? formatCurrency(scan.receipt.total) : '—'}</dd>
+              </div>
+              <div>
+                <dt>{renderConfidenceDot(scan.receipt.confidence.vat)}{t('receiptScanner.vat')}</dt>
+                <dd>
+                  {scan.receipt.vat !== null ? formatCurrency(scan.receipt.vat) : '—'}
+                  {scan.receipt.vatRate ? ` (${scan.receipt.vatRate}%)` : ''}
+                </dd>
+              </div>
+              <div>
+                <dt>{renderConfidenceDot(scan.receipt.confidence.items)}{t('receiptScanner.items')}</dt>
+                <dd>{scan.receipt.items.length}</dd>
+              </div>
+            </dl>
+            <button type="button" className="btn btn-sm btn-secondary" onClick={restart}>
+              <FiRefreshCw /> {t('receiptScanner.rescan')}
+            </button>
+          </div>
+
+          {scan.receipt.items.length > 0 && (
+            <ul className="receipt-scan-items">
+              {scan.receipt.items.map((item, index) => (
+                <li key={`${item.name}-${index}`}>
+                  <span>{item.quantity > 1 ? `${item.quantity} × ` : ''}{item.name}</span>
+                  <span>{formatCurrency(item.amount)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <p className="receipt-scan-check-hint">{t('receiptScanner.checkHint')}</p>
+
+          <TransactionForm
+            type="expense"
+            draft={scan.draft}
+            attachment={scan.attachment}
+            fieldConfidence={scan.fieldConfidence}
+            onSubmit={onSubmit}
+            onCancel={onCancel}
+            loading={loading}
+          />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReceiptScanner
@@ -0,0 +1,153 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { FiCheckSquare, FiShoppingCart } from 'react-icons/fi'
+import { shoppingListService } from '../../services/api'
+import { rankListsByMatches } from '../../features/shopping/utils/listMatching'
+import './ShoppingListTickOff.css'
+
+/**
+ * Shopping List Tick-Off
+ * Finds the open shopping list whose items appear on a receipt and ticks
+ * the bought items off, after the user has reviewed the matches.
+ *
+ * @param {Array<{name: string}>} items - Receipt lines
+ */
+function ShoppingListTickOff({ items = [] }) {
+  const { t } = useTranslation()
+  const [status, setStatus] = useState('idle') // 'idle' | 'loading' | 'ready' | 'ticking' | 'done' | 'empty'
+  const [candidates, setCandidates] = useState([])
+  const [listId, setListId] = useState('')
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const [tickedCount, setTickedCount] = useState(0)
+  const [error, setError] = useState('')
+
+  const namedItems = items.filter(item => item.name?.trim())
+  const current = candidates.find(candidate => String(candidate.list.id) === String(listId))
+
+  const selectList = (candidate) => {
+    setListId(candidate ? String(candidate.list.id) : '')
+    setSelectedIds(new Set(candidate ? candidate.matches.map(match => match.listItem.id) : []))
+  }
+
+  const findLists = async () => {
+    setStatus('loading')
+    setError('')
+    try {
+      const lists = await shoppingListService.getAll()
+      const ranked = rankListsByMatches(namedItems, lists || [])
+      setCandidates(ranked)
+      selectList(ranked[0])
+      setStatus(ranked.length > 0 ? 'ready' : 'empty')
+    } catch (err) {
+      console.error('Error loading shopping lists:', err)
+      setError(t('transaction.itemSplit.tickOff.error'))
+      setStatus('idle')
+    }
+  }
+
+  const toggleSelected = (itemId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(itemId)) next.delete(itemId)
+      else next.add(itemId)
+      return next
+    })
+  }
+
+  const tickOff = async () => {
+    if (!current || selectedIds.size === 0) return
+    setStatus('ticking')
+    setError('')
+    try {
+      // Matches only contain unticked items, so toggling ticks them
+      await Promise.all([...selectedIds].map(itemId => shoppingListService.toggleItem(current.list.id, itemId)))
+      setTickedCount(selectedIds.size)
+      setStatus('done')
+    } catch (err) {
+      console.error('Error ticking off shopping list items:', err)
+      setError(t('transaction.itemSplit.tickOff.error'))
+      setStatus('ready')
+    }
+  }
+
+  if (namedItems.length === 0) return null
+
+  return (
+    <div className="shopping-tick-off">
+      {error && <p className="alert alert-error">{error}</p>}
+
+      {(status === 'idle' || status === 'loading') && (
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          onClick={findLists}
+          disabled={status === 'loading'}
+        >
+          <FiShoppingCart size={14} />
+          {status === 'loading' ? t('common.loading') : t('transaction.itemSplit.tickOff.find')}
+        </button>
+      )}
+
+      {status === 'empty' && (
+        <p className="item-split-hint">{t('transaction.itemSplit.tickOff.noMatches')}</p>
+      )}
+
+      {(status === 'ready' || status === 'ticking') && current && (
+        <div className="shopping-tick-off-review">
+          <label htmlFor="tickOffList">{t('transaction.itemSplit.tickOff.list')}</label>
+          <select
+            id="tickOffList"
+            value={listId}
+            onChange={(e) => selectList(candidates.find(candidate => String(candidate.list.id) === e.target.value))}
+            disabled={status === 'ticking'}
+          >
+            {candidates.map(candidate => (
+              <option key={candidate.list.id} value={String(candidate.list.id)}>
+                {t('transaction.itemSplit.tickOff.listOption', {
+                  name: candidate.list.name,
+                  count: candidate.matches.length
+                })}
+              </option>
+            ))}
+          </select>
+
+          <ul className="shopping-tick-off-matches">
+            {current.matches.map(({ listItem, receiptItem }) => (
+              <li key={listItem.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.has(listItem.id)}
+                    onChange={() => toggleSelected(listItem.id)}
+                    disabled={status === 'ticking'}
+                  />
+                  <span className="shopping-tick-off-name">{listItem.name}</span>
+                  <span className="shopping-tick-off-source">{receiptItem.name}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+
+          <button
+            type="button"
+            className="btn btn-sm btn-primary"
+            onClick={tickOff}
+            disabled={status === 'ticking' || selectedIds.size === 0}
+          >
+            <FiCheckSquare size={14} />
+            {t('transaction.itemSplit.tickOff.confirm', { count: selectedIds.size })}
+          </button>
+        </div>
+      )}
+
+      {status === 'done' && current && (
+        <p className="shopping-tick-off-done">
+          <FiCheckSquare size={14} />
+          {t('transaction.itemSplit.tickOff.done', { count: tickedCount, name: current.list.name })}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ShoppingListTickOff
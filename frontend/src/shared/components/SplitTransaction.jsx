@@ -1,11 +1,14 @@
 import { useState } from 'react'
 import { useTranslation } from 'react-i18next'
-import { FiUsers, FiPercent, FiDollarSign, FiChevronDown } from 'react-icons/fi'
+import { FiUsers, FiPercent, FiDollarSign, FiChevronDown, FiList } from 'react-icons/fi'
+import { ITEM_SPLIT_TYPE } from '../../features/finance/utils/itemSplit'
+import ItemSplitEditor from './ItemSplitEditor'
 import './SplitTransaction.css'
 
 /**
  * Split Transaction Component
- * Allows users to split transactions between partners
+ * Allows users to split transactions between partners, as a whole or line by line
+ * (`items`, `total`, `currency` and `onItemsChange` drive the line-item split)
  */
 function SplitTransaction({
   enabled = false,
@@ -16,6 +19,10 @@ function SplitTransaction({
   onSplitTypeChange,
   onPercentageChange,
   onPaidByChange,
+  items = [],
+  total = 0,
+  currency,
+  onItemsChange,
   partnerName = 'Partner'
 }) {
   const { t } = useTranslation()
@@ -24,7 +31,8 @@ function SplitTransaction({
   const splitTypes = [
     { value: 'equal', label: t('transaction.split.equal'), icon: FiUsers },
     { value: 'percentage', label: t('transaction.split.percentage'), icon: FiPercent },
-    { value: 'custom', label: t('transaction.split.custom'), icon: FiDollarSign }
+    { value: 'custom', label: t('transaction.split.custom'), icon: FiDollarSign },
+    { value: ITEM_SPLIT_TYPE, label: t('transaction.split.byItem'), icon: FiList }
   ]
 
   const handleToggle = (checked) => {
@@ -116,6 +124,16 @@ function SplitTransaction({
             </div>
           )}
 
+          {splitType === ITEM_SPLIT_TYPE && (
+            <ItemSplitEditor
+              items={items}
+              total={total}
+              currency={currency}
+              onChange={(nextItems) => onItemsChange && onItemsChange(nextItems)}
+              partnerName={partnerName}
+            />
+          )}
+
           <div className="form-group">
             <label htmlFor="paidBy">
               {t('transaction.split.paidBy')} *
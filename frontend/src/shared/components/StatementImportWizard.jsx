@@ -0,0 +1,397 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { addDays, format, parseISO } from 'date-fns'
+import { FiAlertTriangle, FiArrowLeft, FiArrowRight, FiCopy, FiSave, FiUpload } from 'react-icons/fi'
+import { importProfileService, statementImportService, transactionService } from '../../services/api'
+import {
+  AMOUNT_CONVENTIONS,
+  DATE_FORMATS,
+  DUPLICATE_TYPES,
+  applyMapping,
+  findLikelyDuplicates,
+  getHeaderSignature,
+  guessMapping
+} from '../../features/finance/utils/statementMapping'
+import { BASE_CURRENCY, formatMoney } from '../../features/finance/utils/multiCurrency'
+import './StatementImportWizard.css'
+
+// Rows shown under the mapping controls
+const PREVIEW_ROWS = 5
+
+// Matches the server's manual duplicate window
+const DUPLICATE_WINDOW_DAYS = 3
+
+const DATE_FORMAT_EXAMPLE = new Date(2026, 11, 31)
+
+/**
+ * Statement Import Wizard
+ * Reads a CSV/XLSX statement on the device, lets the user map its columns
+ * (date format, decimal comma, sign convention) and review the rows before
+ * import. Likely duplicates of existing transactions are flagged and left out
+ * unless the user ticks them. Mappings can be saved per bank and are picked
+ * again for statements with the same header.
+ *
+ * @param {File} file - Statement to import
+ * @param {Function} onImported - Receives the server's import result
+ * @param {Function} onCancel - Closes the wizard
+ */
+function StatementImportWizard({ file, onImported, onCancel }) {
+  const { t } = useTranslation()
+  const [step, setStep] = useState('reading') // 'reading' | 'mapping' | 'checking' | 'review' | 'importing'
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState(null)
+  const [profiles, setProfiles] = useState(() => importProfileService.getAll())
+  const [profileId, setProfileId] = useState('')
+  const [profileName, setProfileName] = useState('')
+  const [profileSaved, setProfileSaved] = useState(false)
+  const [duplicates, setDuplicates] = useState(() => new Map())
+  const [included, setIncluded] = useState(() => new Set())
+  const [warning, setWarning] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    setStep('reading')
+    setError('')
+    statementImportService.readFile(file)
+      .then(fileRows => {
+        if (cancelled) return
+        if (fileRows.length === 0) {
+          setError(t('import.wizard.emptyFile'))
+          return
+        }
+        const guessed = guessMapping(fileRows)
+        const profile = importProfileService.findBySignature(getHeaderSignature(fileRows[guessed.headerRow]))
+        setRows(fileRows)
+        setMapping(profile ? { ...guessed, ...profile.mapping } : guessed)
+        setProfileId(profile?.id || '')
+        setProfileName(profile?.name || '')
+        setStep('mapping')
+      })
+      .catch(err => {
+        console.error('Error reading statement:', err)
+        if (!cancelled) setError(t('import.wizard.readError'))
+      })
+    return () => { cancelled = true }
+  }, [file, t])
+
+  const mappedRows = useMemo(() => (mapping ? applyMapping(rows, mapping) : []), [rows, mapping])
+  const validRows = mappedRows.filter(row => !row.error)
+  const header = rows[mapping?.headerRow] || []
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0)
+
+  const updateMapping = (changes) => {
+    setMapping(prev => ({ ...prev, ...changes }))
+    setProfileSaved(false)
+  }
+
+  const updateColumn = (field, value) => {
+    updateMapping({ columns: { ...mapping.columns, [field]: value === '' ? null : Number(value) } })
+  }
+
+  const selectProfile = (id) => {
+    const profile = profiles.find(item => item.id === id)
+    setProfileId(id)
+    setProfileSaved(false)
+    if (profile) {
+      setProfileName(profile.name)
+      setMapping(prev => ({ ...prev, ...profile.mapping }))
+    }
+  }
+
+  const saveProfile = () => {
+    if (!profileName.trim()) return
+    const profile = importProfileService.save({
+      name: profileName,
+      signature: getHeaderSignature(header),
+      mapping
+    })
+    setProfiles(importProfileService.getAll())
+    setProfileId(profile.id)
+    setProfileSaved(true)
+  }
+
+  const checkDuplicates = async () => {
+    setStep('checking')
+    setWarning('')
+    const dates = validRows.map(row => row.date).sort()
+    let existing = []
+    try {
+      const data = await transactionService.getAll({
+        startDate: format(addDays(parseISO(dates[0]), -DUPLICATE_WINDOW_DAYS), 'yyyy-MM-dd'),
+        endDate: format(addDays(parseISO(dates[dates.length - 1]), DUPLICATE_WINDOW_DAYS), 'yyyy-MM-dd')
+      })
+      existing = Array.isArray(data) ? data : (data?.items || [])
+    } catch (err) {
+      // The server still skips exact duplicates on import
+      console.error('Error loading transactions for duplicate check:', err)
+      setWarning(t('import.wizard.duplicateCheckFailed'))
+    }
+    const flagged = findLikelyDuplicates(mappedRows, existing)
+    setDuplicates(flagged)
+    setIncluded(new Set(validRows.filter(row => !flagged.has(row.line)).map(row => row.line)))
+    setStep('review')
+  }
+
+  const toggleIncluded = (line) => {
+    setIncluded(prev => {
+      const next = new Set(prev)
+      if (next.has(line)) next.delete(line)
+      else next.add(line)
+      return next
+    })
+  }
+
+  const handleImport = async () => {
+    setStep('importing')
+    setError('')
+    try {
+      const payload = validRows
+        .filter(row => included.has(row.line))
+        .map(row => ({
+          date: row.date,
+          amount: row.amount,
+          description: row.description,
+          // The user has seen the warning and kept the row
+          confirmedNotDuplicate: duplicates.has(row.line)
+        }))
+      const data = await statementImportService.importRows(file.name, payload)
+      onImported(data?.result)
+    } catch (err) {
+      console.error('Error importing statement rows:', err)
+      setError(err.message || t('import.genericError'))
+      setStep('review')
+    }
+  }
+
+  const formatAmount = (amount) => formatMoney(amount, BASE_CURRENCY)
+
+  const describeDuplicate = (duplicate) => {
+    if (duplicate.type === DUPLICATE_TYPES.IN_FILE) {
+      return t('import.wizard.repeatedRow', { line: duplicate.line })
+    }
+    const { transaction } = duplicate
+    return t('import.wizard.possibleDuplicate', {
+      description: transaction.description || t('import.wizard.noDescription'),
+      date: String(transaction.date).slice(0, 10)
+    })
+  }
+
+  const renderColumnSelect = (field, label) => (
+    <label className="statement-wizard-field">
+      <span>{label}</span>
+      <select
+        value={mapping.columns[field] ?? ''}
+        onChange={(e) => updateColumn(field, e.target.value)}
+      >
+        <option value="">{t('import.wizard.noColumn')}</option>
+        {Array.from({ length: columnCount }, (_, index) => (
+          <option key={index} value={index}>
+            {header[index] ? String(header[index]) : t('import.wizard.columnNumber', { number: index + 1 })}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+
+  if (error && !mapping) {
+    return (
+      <div className="statement-wizard">
+        <p className="alert alert-error">{error}</p>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>{t('common.cancel')}</button>
+      </div>
+    )
+  }
+
+  if (step === 'reading' || !mapping) {
+    return <div className="statement-wizard"><p className="statement-wizard-hint">{t('import.wizard.reading')}</p></div>
+  }
+
+  if (step === 'mapping') {
+    return (
+      <div className="statement-wizard">
+        <h4>{t('import.wizard.mappingTitle')}</h4>
+
+        <div className="statement-wizard-profile">
+          <label className="statement-wizard-field">
+            <span>{t('import.wizard.profile')}</span>
+            <select value={profileId} onChange={(e) => selectProfile(e.target.value)}>
+              <option value="">{t('import.wizard.noProfile')}</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="statement-wizard-grid">
+          <label className="statement-wizard-field">
+            <span>{t('import.wizard.headerRow')}</span>
+            <input
+              type="number"
+              min="1"
+              max={rows.length}
+              value={mapping.headerRow + 1}
+              onChange={(e) => updateMapping({ headerRow: Math.min(rows.length, Math.max(1, Number(e.target.value) || 1)) - 1 })}
+            />
+          </label>
+          {renderColumnSelect('date', t('import.wizard.dateColumn'))}
+          {renderColumnSelect('description', t('import.wizard.descriptionColumn'))}
+          <label className="statement-wizard-field">
+            <span>{t('import.wizard.dateFormat')}</span>
+            <select value={mapping.dateFormat} onChange={(e) => updateMapping({ dateFormat: e.target.value })}>
+              {DATE_FORMATS.map(dateFormat => (
+                <option key={dateFormat} value={dateFormat}>
+                  {dateFormat.toUpperCase()} ({format(DATE_FORMAT_EXAMPLE, dateFormat)})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="statement-wizard-field">
+            <span>{t('import.wizard.decimalSeparator')}</span>
+            <select value={mapping.decimalSeparator} onChange={(e) => updateMapping({ decimalSeparator: e.target.value })}>
+              <option value=".">{t('import.wizard.decimalDot')}</option>
+              <option value=",">{t('import.wizard.decimalComma')}</option>
+            </select>
+          </label>
+          <label className="statement-wizard-field">
+            <span>{t('import.wizard.convention')}</span>
+            <select value={mapping.convention} onChange={(e) => updateMapping({ convention: e.target.value })}>
+              <option value={AMOUNT_CONVENTIONS.SIGNED}>{t('import.wizard.conventionSigned')}</option>
+              <option value={AMOUNT_CONVENTIONS.INVERTED}>{t('import.wizard.conventionInverted')}</option>
+              <option value={AMOUNT_CONVENTIONS.SPLIT}>{t('import.wizard.conventionSplit')}</option>
+            </select>
+          </label>
+          {mapping.convention === AMOUNT_CONVENTIONS.SPLIT ? (
+            <>
+              {renderColumnSelect('debit', t('import.wizard.debitColumn'))}
+              {renderColumnSelect('credit', t('import.wizard.creditColumn'))}
+            </>
+          ) : (
+            renderColumnSelect('amount', t('import.wizard.amountColumn'))
+          )}
+        </div>
+
+        <table className="statement-wizard-table">
+          <thead>
+            <tr>
+              <th>{t('transaction.date')}</th>
+              <th>{t('transaction.description')}</th>
+              <th className="statement-wizard-amount">{t('transaction.amount')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {mappedRows.slice(0, PREVIEW_ROWS).map(row => (
+              <tr key={row.line} className={row.error ? 'statement-wizard-invalid' : ''}>
+                <td>{row.date || t('import.wizard.unreadable')}</td>
+                <td>{row.description}</td>
+                <td className={`statement-wizard-amount ${row.amount < 0 ? 'expense' : 'income'}`}>
+                  {row.amount ? formatAmount(row.amount) : t('import.wizard.unreadable')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="statement-wizard-hint">
+          {t('import.wizard.readableRows', { count: validRows.length, total: mappedRows.length })}
+        </p>
+
+        <div className="statement-wizard-save">
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => { setProfileName(e.target.value); setProfileSaved(false) }}
+            placeholder={t('import.wizard.profileNamePlaceholder')}
+            aria-label={t('import.wizard.profileName')}
+          />
+          <button type="button" className="btn btn-sm btn-secondary" onClick={saveProfile} disabled={!profileName.trim()}>
+            <FiSave size={14} /> {profileSaved ? t('import.wizard.profileSaved') : t('import.wizard.saveProfile')}
+          </button>
+        </div>
+
+        <div className="statement-wizard-actions">
+          <button type="button" className="btn btn-secondary" onClick={onCancel}>{t('common.cancel')}</button>
+          <button type="button" className="btn btn-primary" onClick={checkDuplicates} disabled={validRows.length === 0}>
+            {t('import.wizard.next')} <FiArrowRight size={14} />
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (step === 'checking') {
+    return <div className="statement-wizard"><p className="statement-wizard-hint">{t('import.wizard.checking')}</p></div>
+  }
+
+  const importing = step === 'importing'
+
+  return (
+    <div className="statement-wizard">
+      <h4>{t('import.wizard.reviewTitle')}</h4>
+      {error && <p className="alert alert-error">{error}</p>}
+      {warning && <p className="statement-wizard-warning"><FiAlertTriangle size={14} /> {warning}</p>}
+      <p className="statement-wizard-hint">
+        {t('import.wizard.reviewSummary', { count: validRows.length, duplicates: duplicates.size })}
+      </p>
+
+      <table className="statement-wizard-table">
+        <thead>
+          <tr>
+            <th aria-label={t('import.wizard.include')} />
+            <th>{t('transaction.date')}</th>
+            <th>{t('transaction.description')}</th>
+            <th className="statement-wizard-amount">{t('transaction.amount')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {mappedRows.map(row => {
+            const duplicate = duplicates.get(row.line)
+            return (
+              <tr key={row.line} className={row.error ? 'statement-wizard-invalid' : (duplicate ? 'statement-wizard-duplicate' : '')}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={included.has(row.line)}
+                    onChange={() => toggleIncluded(row.line)}
+                    disabled={Boolean(row.error) || importing}
+                    aria-label={t('import.wizard.include')}
+                  />
+                </td>
+                <td>{row.date || t('import.wizard.unreadable')}</td>
+                <td>
+                  {row.description}
+                  {duplicate && (
+                    <span className="statement-wizard-flag">
+                      {duplicate.type === DUPLICATE_TYPES.IN_FILE ? <FiCopy size={12} /> : <FiAlertTriangle size={12} />}
+                      {describeDuplicate(duplicate)}
+                    </span>
+                  )}
+                  {row.error && (
+                    <span className="statement-wizard-flag">
+                      {t('import.wizard.rowError', { line: row.line })}
+                    </span>
+                  )}
+                </td>
+                <td className={`statement-wizard-amount ${row.amount < 0 ? 'expense' : 'income'}`}>
+                  {row.amount ? formatAmount(row.amount) : ''}
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      <div className="statement-wizard-actions">
+        <button type="button" className="btn btn-secondary" onClick={() => setStep('mapping')} disabled={importing}>
+          <FiArrowLeft size={14} /> {t('import.wizard.back')}
+        </button>
+        <button type="button" className="btn btn-primary" onClick={handleImport} disabled={importing || included.size === 0}>
+          {importing ? <span className="spinner-small"></span> : <FiUpload size={14} />}
+          {t('import.wizard.importRows', { count: included.size })}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default StatementImportWizard
@@ -28,6 +28,7 @@ import {
 } from 'react-icons/fi'
 import useCurrencyFormatter from '../hooks/useCurrencyFormatter'
 import { useModalRegistration } from '../context/ModalContext'
+import { formatTransactionDescription } from '../../features/finance/utils/partnerLedger'
 import './TransactionDetailModal.css'
 
 /**
@@ -148,7 +149,7 @@ function TransactionDetailModal({ transaction, onClose, isOpen }) {
               </div>
               <div className="detail-info">
                 <span className="detail-label">{t('transaction.description')}</span>
-                <span className="detail-value">{transaction.description}</span>
+                <span className="detail-value">{formatTransactionDescription(transaction, t)}</span>
               </div>
             </div>
           )}
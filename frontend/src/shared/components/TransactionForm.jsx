@@ -1,7 +1,7 @@
-import { useState, useMemo } from 'react'
+import { useState, useMemo, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
-import { FiUpload, FiX, FiFileText, FiInfo, FiSettings } from 'react-icons/fi'
-import { storageService } from '../../services/api'
+import { FiUpload, FiX, FiFileText, FiInfo, FiSettings, FiZap } from 'react-icons/fi'
+import { storageService, currencyService } from '../../services/api'
 import CurrencyInput from './CurrencyInput'
 import CategorySelector from './CategorySelector'
 import DateInput from './DateInput'
@@ -16,14 +16,33 @@ import SplitTransaction from './SplitTransaction'
 import TagsInput from './TagsInput'
 import SkeletonLoader from './SkeletonLoader'
 import useRecentTransactions from '../hooks/useRecentTransactions'
+import useCategoryRules from '../../features/finance/hooks/useCategoryRules'
+import { applyCategoryRules } from '../../features/finance/utils/categoryRules'
+import { getConfidenceLevel } from '../../features/finance/utils/receiptParser'
+import { ITEM_SPLIT_TYPE, allocateItemSplit, getSplitItems, toSplitItems } from '../../features/finance/utils/itemSplit'
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  applyCurrency,
+  formatMoney,
+  getOriginalAmount,
+  getTransactionCurrency
+} from '../../features/finance/utils/multiCurrency'
 import './TransactionForm.css'
 
 /**
  * Transaction Form Component
  * Reusable form for creating/editing expenses and income
+ *
+ * A new transaction can start from a draft (e.g. a scanned receipt): `draft` pre-fills
+ * the fields, `attachment` is uploaded with it, and `fieldConfidence` (0–1 per field)
+ * highlights values that were guessed and should be checked.
  */
 function TransactionForm({
   transaction = null,
+  draft = null,
+  attachment = null,
+  fieldConfidence = null,
   type = 'expense',
   onSubmit,
   onCancel,
@@ -33,10 +52,13 @@ function TransactionForm({
 
   // Form state
   const [formData, setFormData] = useState({
-    amount: transaction?.amount || '',
-    category: transaction?.category || '',
-    description: transaction?.description || '',
-    date: transaction?.date ? transaction.date.split('T')[0] : new Date().toISOString().split('T')[0],
+    amount: transaction ? getOriginalAmount(transaction) || '' : draft?.amount ?? '',
+    currency: transaction ? getTransactionCurrency(transaction) : BASE_CURRENCY,
+    category: transaction?.category || draft?.category || '',
+    description: transaction?.description || draft?.description || '',
+    date: transaction?.date
+      ? transaction.date.split('T')[0]
+      : draft?.date || new Date().toISOString().split('T')[0],
     attachmentUrl: transaction?.attachmentUrl || '',
     attachmentPath: transaction?.attachmentPath || '',
     // Phase 3: Advanced features
@@ -47,14 +69,24 @@ function TransactionForm({
     splitType: transaction?.splitType || transaction?.split_type || null,
     splitPercentage: transaction?.splitPercentage || transaction?.split_percentage || 50,
     paidBy: transaction?.paidBy || transaction?.paid_by || 'me',
-    tags: transaction?.tags || transaction?.Tags || []
+    // Receipt lines for a line-item split; a scanned receipt brings its own
+    splitItems: transaction ? getSplitItems(transaction) : toSplitItems(draft?.lineItems),
+    tags: transaction?.tags || transaction?.Tags || [],
+    // Receipt contents (VAT, line items) travel in the notes
+    ...(draft?.notes ? { notes: draft.notes } : {})
   })
 
-  const [file, setFile] = useState(null)
+  const [file, setFile] = useState(attachment)
+  // Guessed fields stay highlighted until the user edits them
+  const [confirmedFields, setConfirmedFields] = useState(() => new Set())
   const [uploadProgress, setUploadProgress] = useState(false)
   const [error, setError] = useState('')
   const [duplicateDismissed, setDuplicateDismissed] = useState(false)
   const [activeTab, setActiveTab] = useState('basic')
+  // Rules only pick the category until the user chooses one themselves
+  const [categoryTouched, setCategoryTouched] = useState(Boolean(transaction?.category))
+  // Rate from the selected currency to the base currency on the transaction date
+  const [exchangeRate, setExchangeRate] = useState({ rate: 1, loading: false })
 
   // Categories based on transaction type
   const expenseCategories = ['food', 'transport', 'utilities', 'entertainment', 'healthcare', 'shopping', 'education', 'other']
@@ -80,6 +112,42 @@ function TransactionForm({
     return getCategoryFrequency()
   }, [recentTransactions]) // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Category rules for new transactions
+  const { rules } = useCategoryRules()
+  const ruleResult = useMemo(() => {
+    if (transaction || rules.length === 0) return null
+    return applyCategoryRules(rules, {
+      type,
+      description: formData.description,
+      amount: parseFloat(formData.amount) || 0,
+      category: '',
+      tags: []
+    })
+  }, [rules, transaction, type, formData.description, formData.amount])
+
+  useEffect(() => {
+    if (transaction || categoryTouched) return
+    // The user's own rules beat the draft's guess
+    const ruleCategory = ruleResult?.categoryRule ? ruleResult.category : draft?.category || ''
+    setFormData(prev => (prev.category === ruleCategory ? prev : { ...prev, category: ruleCategory }))
+  }, [ruleResult, categoryTouched, transaction, draft?.category])
+
+  // Look up the historical rate whenever the currency or date changes
+  useEffect(() => {
+    if (formData.currency === BASE_CURRENCY) {
+      setExchangeRate({ rate: 1, loading: false })
+      return
+    }
+
+    let cancelled = false
+    setExchangeRate({ rate: null, loading: true })
+    currencyService.getRateOnDate(formData.currency, BASE_CURRENCY, formData.date)
+      .then(rate => { if (!cancelled) setExchangeRate({ rate, loading: false }) })
+      .catch(() => { if (!cancelled) setExchangeRate({ rate: null, loading: false }) })
+
+    return () => { cancelled = true }
+  }, [formData.currency, formData.date])
+
   // Check for duplicate transactions
   const similarTransactions = useMemo(() => {
     if (!formData.amount || !formData.description || duplicateDismissed) {
@@ -89,15 +157,20 @@ function TransactionForm({
       parseFloat(formData.amount) || 0,
       formData.description,
       formData.date,
-      formData.category
+      formData.category,
+      formData.currency
     )
-  }, [formData.amount, formData.description, formData.date, formData.category, duplicateDismissed]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [formData.amount, formData.description, formData.date, formData.category, formData.currency, duplicateDismissed]) // eslint-disable-line react-hooks/exhaustive-deps
 
   /**
    * Handle input changes
    */
   const handleChange = (e) => {
     const { name, value } = e.target
+    if (name === 'category') setCategoryTouched(true)
+    if (fieldConfidence?.[name] !== undefined) {
+      setConfirmedFields(prev => (prev.has(name) ? prev : new Set(prev).add(name)))
+    }
     setFormData(prev => ({
       ...prev,
       [name]: value
@@ -146,13 +219,48 @@ function TransactionForm({
       return
     }
 
+    if (formData.currency !== BASE_CURRENCY && !exchangeRate.rate) {
+      setError(t('transaction.currency.rateUnavailable'))
+      return
+    }
+
+    // An empty split type tells the API to remove the split (a missing one leaves it unchanged).
+    // Line-item splits also store the owner's resulting percentage for the ledger and older clients
+    let splitFields = { splitType: formData.splitType || '', splitItems: null }
+    if (formData.splitType === ITEM_SPLIT_TYPE) {
+      const splitItems = formData.splitItems
+        .filter(item => item.name?.trim() || Number(item.amount) > 0)
+        .map(item => ({
+          name: item.name.trim(),
+          quantity: Number(item.quantity) || 1,
+          amount: Number(item.amount) || 0,
+          assignedTo: item.assignedTo
+        }))
+      if (!splitItems.some(item => item.amount > 0)) {
+        setError(t('transaction.itemSplit.noItems'))
+        return
+      }
+      splitFields = {
+        splitType: ITEM_SPLIT_TYPE,
+        splitItems,
+        splitPercentage: allocateItemSplit(splitItems, parseFloat(formData.amount)).ownerPercentage
+      }
+    }
+
     try {
-      let finalData = {
+      let finalData = applyCurrency({
         ...formData,
+        ...splitFields,
         id: transaction?.id,
         amount: parseFloat(formData.amount),
         recurrenceEndDate: formData.recurrenceEndDate || null,
         type
+      }, formData.currency, exchangeRate.rate)
+
+      // Add tags from matching category rules
+      if (ruleResult?.tags.length) {
+        const ruleTags = ruleResult.tags.filter(tag => !finalData.tags.includes(tag))
+        finalData.tags = [...finalData.tags, ...ruleTags]
       }
 
       // Upload file if selected
@@ -175,6 +283,7 @@ function TransactionForm({
    * Handle quick fill from recent transaction
    */
   const handleQuickFill = (transactionData) => {
+    if (transactionData.category) setCategoryTouched(true)
     setFormData(prev => ({
       ...prev,
       ...transactionData
@@ -186,12 +295,30 @@ function TransactionForm({
    * Handle category suggestion selection
    */
   const handleCategorySuggestion = (category) => {
+    setCategoryTouched(true)
     setFormData(prev => ({
       ...prev,
       category
     }))
   }
 
+  /**
+   * Highlight for a guessed field: class name plus a hint while it is unconfirmed
+   */
+  const getConfidence = (field) => {
+    const value = fieldConfidence?.[field]
+    if (value === undefined || value === null || confirmedFields.has(field)) return { className: '', hint: null }
+    const level = getConfidenceLevel(value)
+    return {
+      className: `field-confidence field-confidence-${level}`,
+      hint: level === 'high' ? null : (
+        <p className={`field-confidence-hint field-confidence-hint-${level}`}>
+          {t('transaction.confidence.check', { percent: Math.round(value * 100) })}
+        </p>
+      )
+    }
+  }
+
   // Show skeleton loader while loading recent transactions
   if (loadingRecent && !transaction) {
     return (
@@ -201,6 +328,12 @@ function TransactionForm({
     )
   }
 
+  const amountConfidence = getConfidence('amount')
+  const categoryConfidence = getConfidence('category')
+  const dateConfidence = getConfidence('date')
+  const descriptionConfidence = getConfidence('description')
+  const notesConfidence = getConfidence('notes')
+
   const tabConfig = [
     { id: 'basic', label: t('transaction.formSections.basicInfo'), icon: <FiInfo /> },
     { id: 'details', label: t('transaction.formSections.additionalDetails'), icon: <FiFileText /> },
@@ -230,7 +363,7 @@ function TransactionForm({
         <FormTabs.Content activeTab={activeTab}>
         {/* Tab 1: Basic Info */}
         <FormTabs.Panel id="basic">
-          {!transaction && recentTransactions.length > 0 && (
+          {!transaction && !draft && recentTransactions.length > 0 && (
             <div className="form-layout-item-full">
               <QuickFill
                 recentTransactions={recentTransactions}
@@ -249,17 +382,49 @@ function TransactionForm({
             </div>
           )}
 
-          <CurrencyInput
-            value={formData.amount}
-            onChange={handleChange}
-            name="amount"
-            id="amount"
-            label={`${t('transaction.amount')} *`}
-            required
-            disabled={loading || uploadProgress}
-          />
+          <div className={amountConfidence.className}>
+            <CurrencyInput
+              value={formData.amount}
+              onChange={handleChange}
+              name="amount"
+              id="amount"
+              label={`${t('transaction.amount')} *`}
+              currency={formData.currency}
+              required
+              disabled={loading || uploadProgress}
+            />
+            {amountConfidence.hint}
+          </div>
 
-          <div className="form-layout-item-full">
+          <div className="form-group transaction-currency">
+            <label htmlFor="currency">{t('transaction.currency.label')}</label>
+            <select
+              id="currency"
+              name="currency"
+              value={formData.currency}
+              onChange={handleChange}
+              disabled={loading || uploadProgress}
+            >
+              {SUPPORTED_CURRENCIES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+            {formData.currency !== BASE_CURRENCY && (
+              <p className="transaction-currency-hint">
+                {exchangeRate.loading
+                  ? t('transaction.currency.loadingRate')
+                  : exchangeRate.rate
+                    ? t('transaction.currency.converted', {
+                      amount: formatMoney((parseFloat(formData.amount) || 0) * exchangeRate.rate, BASE_CURRENCY),
+                      rate: exchangeRate.rate.toFixed(4),
+                      currency: formData.currency
+                    })
+                    : t('transaction.currency.rateUnavailable')}
+              </p>
+            )}
+          </div>
+
+          <div className={`form-layout-item-full ${categoryConfidence.className}`}>
             <CategorySelector
               value={formData.category}
               onChange={handleChange}
@@ -270,20 +435,33 @@ function TransactionForm({
               required
               disabled={loading || uploadProgress}
             />
+            {ruleResult?.matchedRules.length > 0 && (
+              <p className="category-rule-hint">
+                <FiZap size={14} />
+                {t('categoryRules.appliedHint', 'Applied rule: {{names}}', {
+                  names: ruleResult.matchedRules.map(rule => rule.name).join(', ')
+                })}
+                {ruleResult.tags.length > 0 && ` · ${ruleResult.tags.map(tag => `#${tag}`).join(' ')}`}
+              </p>
+            )}
+            {categoryConfidence.hint}
           </div>
 
-          <DateInput
-            value={formData.date}
-            onChange={handleChange}
-            name="date"
-            id="date"
-            label={`${t('transaction.date')} *`}
-            required
-            disabled={loading || uploadProgress}
-            showQuickButtons={true}
-          />
+          <div className={dateConfidence.className}>
+            <DateInput
+              value={formData.date}
+              onChange={handleChange}
+              name="date"
+              id="date"
+              label={`${t('transaction.date')} *`}
+              required
+              disabled={loading || uploadProgress}
+              showQuickButtons={true}
+            />
+            {dateConfidence.hint}
+          </div>
 
-          <div className="form-layout-item-full">
+          <div className={`form-layout-item-full ${descriptionConfidence.className}`}>
             <AutoCompleteInput
               value={formData.description}
               onChange={handleChange}
@@ -296,6 +474,7 @@ function TransactionForm({
               maxSuggestions={5}
               minChars={2}
             />
+            {descriptionConfidence.hint}
           </div>
         </FormTabs.Panel>
 
@@ -309,6 +488,21 @@ function TransactionForm({
             maxTags={10}
           />
 
+          {formData.notes !== undefined && (
+            <div className={`form-group ${notesConfidence.className}`}>
+              <label htmlFor="notes">{t('transaction.notes')}</label>
+              <textarea
+                id="notes"
+                name="notes"
+                rows={5}
+                value={formData.notes}
+                onChange={handleChange}
+                disabled={loading || uploadProgress}
+              />
+              {notesConfidence.hint}
+            </div>
+          )}
+
           <div className="form-group">
             <label>
               {t('transaction.attachment')}
@@ -366,12 +560,17 @@ function TransactionForm({
               paidBy={formData.paidBy}
               onToggle={(checked) => setFormData(prev => ({
                 ...prev,
-                splitType: checked ? 'equal' : null,
+                // Receipts with line items start out split by item
+                splitType: checked ? (prev.splitItems.length > 0 ? ITEM_SPLIT_TYPE : 'equal') : null,
                 splitPercentage: checked ? 50 : 50
               }))}
               onSplitTypeChange={(splitType) => setFormData(prev => ({ ...prev, splitType }))}
               onPercentageChange={(percentage) => setFormData(prev => ({ ...prev, splitPercentage: percentage }))}
               onPaidByChange={(paidBy) => setFormData(prev => ({ ...prev, paidBy }))}
+              items={formData.splitItems}
+              total={parseFloat(formData.amount) || 0}
+              currency={formData.currency}
+              onItemsChange={(splitItems) => setFormData(prev => ({ ...prev, splitItems }))}
               partnerName={t('transaction.split.partner', 'Partner')}
             />
           )}
@@ -0,0 +1,272 @@
+import { useMemo } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { FiActivity, FiAlertTriangle, FiCheckCircle } from 'react-icons/fi'
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts'
+import { subYears } from 'date-fns'
+import { analyticsService, recurringBillService, transactionService, loanService, savingsGoalService } from '../../../services/api'
+import { buildCashFlowProjection } from '../../../features/finance/utils/cashFlowProjection'
+import useCurrencyFormatter from '../../hooks/useCurrencyFormatter'
+import { usePrivacyMode } from '../../context/PrivacyModeContext'
+
+const PROJECTION_DAYS = 60
+
+const styles = {
+  card: {
+    background: 'var(--glass-bg)',
+    backdropFilter: 'blur(16px)',
+    WebkitBackdropFilter: 'blur(16px)',
+    borderRadius: '16px',
+    border: '1px solid var(--glass-border)',
+    padding: '24px',
+    marginBottom: '24px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: '16px',
+  },
+  titleRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  icon: {
+    width: '32px',
+    height: '32px',
+    borderRadius: '10px',
+    background: 'rgba(16, 185, 129, 0.2)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexShrink: 0,
+  },
+  title: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: 'var(--text-secondary)',
+    letterSpacing: '0.02em',
+  },
+  subtitle: {
+    fontSize: '11px',
+    color: 'var(--text-light)',
+    marginTop: '2px',
+  },
+  statsRow: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+    gap: '12px',
+    marginBottom: '16px',
+  },
+  statBlock: {
+    padding: '12px',
+    borderRadius: '12px',
+    background: 'var(--bg-tertiary)',
+  },
+  statLabel: {
+    fontSize: '11px',
+    fontWeight: '500',
+    color: 'var(--text-secondary)',
+    marginBottom: '4px',
+  },
+  statValue: {
+    fontSize: '18px',
+    fontWeight: '700',
+    letterSpacing: '-0.02em',
+    lineHeight: 1.2,
+    color: 'var(--text-primary)',
+  },
+  safeValue: { color: '#10B981', fontSize: '22px' },
+  negativeColor: { color: '#EF4444' },
+  alert: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 12px',
+    borderRadius: '10px',
+    fontSize: '13px',
+    marginTop: '12px',
+  },
+  alertWarning: {
+    background: 'rgba(239, 68, 68, 0.1)',
+    color: '#EF4444',
+  },
+  alertOk: {
+    background: 'rgba(16, 185, 129, 0.1)',
+    color: '#10B981',
+  },
+}
+
+const formatDay = (date) => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+/**
+ * Cash-flow widget
+ * 60-day balance projection with negative-balance warnings and a daily safe-to-spend amount.
+ */
+export default function CashFlowWidget() {
+  const { t } = useTranslation()
+  const formatCurrency = useCurrencyFormatter()
+  const { isPrivate } = usePrivacyMode()
+  const incomeSince = useMemo(() => subYears(new Date(), 1).toISOString(), [])
+
+  const { data: dashboard, isLoading: dashboardLoading } = useQuery({
+    queryKey: ['analytics', 'dashboard'],
+    queryFn: analyticsService.getDashboardAnalytics,
+  })
+  const { data: bills = [], isLoading: billsLoading } = useQuery({
+    queryKey: ['upcomingBills', PROJECTION_DAYS],
+    queryFn: () => recurringBillService.getUpcoming(PROJECTION_DAYS),
+  })
+  const { data: incomeData } = useQuery({
+    queryKey: ['transactions', 'income', incomeSince],
+    queryFn: () => transactionService.getAll({ type: 'income', startDate: incomeSince }),
+  })
+  const { data: loans = [] } = useQuery({
+    queryKey: ['loans'],
+    queryFn: loanService.getAll,
+  })
+  const { data: savingsGoals = [] } = useQuery({
+    queryKey: ['savingsGoals'],
+    queryFn: savingsGoalService.getAll,
+  })
+
+  const projection = useMemo(() => {
+    if (!dashboard) return null
+    const transactions = Array.isArray(incomeData) ? incomeData : (incomeData?.items || [])
+    return buildCashFlowProjection({
+      startingBalance: dashboard.currentMonthBalance ?? 0,
+      bills,
+      transactions,
+      loans,
+      savingsGoals,
+      days: PROJECTION_DAYS,
+    })
+  }, [dashboard, bills, incomeData, loans, savingsGoals])
+
+  const chartData = useMemo(() => (projection?.days || []).map(day => ({
+    label: formatDay(day.date),
+    balance: day.balance,
+  })), [projection])
+
+  const header = (
+    <div style={styles.header}>
+      <div style={styles.titleRow}>
+        <div style={styles.icon}>
+          <FiActivity size={16} color="#10B981" />
+        </div>
+        <div>
+          <div style={styles.title}>
+            {t('cashFlow.title', { defaultValue: 'Cash-Flow Forecast' })}
+          </div>
+          <div style={styles.subtitle}>
+            {t('cashFlow.subtitle', { days: PROJECTION_DAYS, defaultValue: 'Next {{days}} days' })}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+
+  if (dashboardLoading || billsLoading || !projection) {
+    return (
+      <div style={styles.card}>
+        {header}
+        <div style={{ height: '180px', borderRadius: '12px', background: 'var(--bg-tertiary)' }} />
+      </div>
+    )
+  }
+
+  const firstNegative = projection.negativeDays[0]
+  const maskClass = isPrivate ? 'masked-number' : ''
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 16 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.4, ease: 'easeOut' }}
+      style={styles.card}
+    >
+      {header}
+
+      <div style={styles.statsRow}>
+        <div style={styles.statBlock}>
+          <div style={styles.statLabel}>
+            {t('cashFlow.safeToSpend', { defaultValue: 'Safe to spend per day' })}
+          </div>
+          <div className={maskClass} style={{ ...styles.statValue, ...styles.safeValue }}>
+            {formatCurrency(projection.safeToSpend)}
+          </div>
+        </div>
+        <div style={styles.statBlock}>
+          <div style={styles.statLabel}>
+            {t('cashFlow.lowestBalance', { defaultValue: 'Lowest balance' })}
+          </div>
+          <div
+            className={maskClass}
+            style={{ ...styles.statValue, ...(projection.lowestBalance < 0 ? styles.negativeColor : {}) }}
+          >
+            {formatCurrency(projection.lowestBalance)}
+          </div>
+          <div style={styles.subtitle}>{formatDay(projection.lowestDate)}</div>
+        </div>
+        <div style={styles.statBlock}>
+          <div style={styles.statLabel}>
+            {t('cashFlow.endingBalance', { days: PROJECTION_DAYS, defaultValue: 'In {{days}} days' })}
+          </div>
+          <div className={maskClass} style={styles.statValue}>
+            {formatCurrency(projection.endingBalance)}
+          </div>
+        </div>
+      </div>
+
+      <div className={maskClass}>
+        <ResponsiveContainer width="100%" height={180}>
+          <AreaChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+            <defs>
+              <linearGradient id="cashFlowFill" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="5%" stopColor="#10B981" stopOpacity={0.3} />
+                <stop offset="95%" stopColor="#10B981" stopOpacity={0} />
+              </linearGradient>
+            </defs>
+            <XAxis
+              dataKey="label"
+              tick={{ fill: 'var(--text-secondary)', fontSize: 11 }}
+              axisLine={{ stroke: 'var(--bg-tertiary)' }}
+              tickLine={false}
+              interval="preserveStartEnd"
+              minTickGap={24}
+            />
+            <YAxis hide domain={['auto', 'auto']} />
+            <Tooltip
+              formatter={(value) => [formatCurrency(value), t('cashFlow.balance', { defaultValue: 'Balance' })]}
+              contentStyle={{
+                background: 'var(--glass-bg)',
+                border: '1px solid var(--glass-border)',
+                borderRadius: '8px',
+              }}
+            />
+            <ReferenceLine y={0} stroke="#EF4444" strokeDasharray="4 4" />
+            <Area type="monotone" dataKey="balance" stroke="#10B981" strokeWidth={2} fill="url(#cashFlowFill)" />
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      {firstNegative ? (
+        <div style={{ ...styles.alert, ...styles.alertWarning }}>
+          <FiAlertTriangle size={16} />
+          {t('cashFlow.negativeWarning', {
+            date: formatDay(firstNegative.date),
+            count: projection.negativeDays.length,
+            defaultValue: 'Balance drops below zero on {{date}} ({{count}} days in the red)',
+          })}
+        </div>
+      ) : (
+        <div style={{ ...styles.alert, ...styles.alertOk }}>
+          <FiCheckCircle size={16} />
+          {t('cashFlow.noNegative', { defaultValue: 'Your balance stays positive for the whole period' })}
+        </div>
+      )}
+    </motion.div>
+  )
+}
@@ -0,0 +1,90 @@
+/**
+ * PartnerSyncContext – Live sync with the partner over the partner hub.
+ * While signed in, the partner's changes to shared data invalidate every cache that
+ * holds a stale copy (React Query, in-memory apiCache) and are
+ * re-broadcast as a window "partner-data-changed" event for pages with local state.
+ * Also exposes the partner's presence and lets pages report what the user is viewing.
+ */
+
+import { createContext, useState, useEffect, useRef, useMemo } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { useTranslation } from 'react-i18next'
+import { useToast } from '../components/Toast'
+import { clearCachePattern } from '../utils/apiCache'
+import { getPartnerSyncTargets, PARTNER_SYNC_ENTITIES } from '../utils/partnerSyncTargets'
+import {
+  startPartnerSync,
+  stopPartnerSync,
+  setPartnerActivity,
+  onPartnerDataChanged,
+  onPartnerPresenceChanged,
+  onConnectionStateChanged
+} from '../services/partnerSync'
+
+const PartnerSyncContext = createContext(null)
+
+// Changes worth a toast; the rest (toggles, edits) just refresh silently
+const TOASTED_ACTIONS = {
+  [PARTNER_SYNC_ENTITIES.TRANSACTION]: ['created'],
+  [PARTNER_SYNC_ENTITIES.BUDGET]: ['created', 'transfer'],
+  [PARTNER_SYNC_ENTITIES.SAVINGS_GOAL]: ['deposit', 'withdraw'],
+  [PARTNER_SYNC_ENTITIES.RECURRING_BILL]: ['paid'],
+  [PARTNER_SYNC_ENTITIES.SHOPPING_LIST]: ['completed']
+}
+
+export function PartnerSyncProvider({ session, children }) {
+  const { t } = useTranslation()
+  const queryClient = useQueryClient()
+  const { addToast } = useToast()
+  const [connectionState, setConnectionState] = useState('disconnected')
+  const [partnerPresence, setPartnerPresence] = useState(null)
+
+  // The toast context value changes on every render; keep it out of effect deps
+  const notifyRef = useRef(null)
+  notifyRef.current = (change) => {
+    if (!TOASTED_ACTIONS[change.entity]?.includes(change.action)) return
+    addToast(t(`partnerSync.changes.${change.entity}.${change.action}`, {
+      name: change.partnerName || t('partnerSync.yourPartner')
+    }), 'info')
+  }
+
+  const isSignedIn = Boolean(session)
+
+  useEffect(() => {
+    if (!isSignedIn) return undefined
+
+    const unsubscribeState = onConnectionStateChanged(setConnectionState)
+    const unsubscribePresence = onPartnerPresenceChanged(setPartnerPresence)
+    const unsubscribeData = onPartnerDataChanged(async (change) => {
+      const { queryKeys, apiPaths } = getPartnerSyncTargets(change)
+      apiPaths.forEach(path => clearCachePattern(path))
+      queryKeys.forEach(queryKey => queryClient.invalidateQueries({ queryKey }))
+
+      window.dispatchEvent(new CustomEvent('partner-data-changed', { detail: change }))
+      notifyRef.current?.(change)
+    })
+
+    startPartnerSync()
+
+    return () => {
+      unsubscribeState()
+      unsubscribePresence()
+      unsubscribeData()
+      stopPartnerSync()
+      setPartnerPresence(null)
+    }
+  }, [isSignedIn, queryClient])
+
+  const value = useMemo(
+    () => ({ connectionState, partnerPresence, setActivity: setPartnerActivity }),
+    [connectionState, partnerPresence]
+  )
+
+  return (
+    <PartnerSyncContext.Provider value={value}>
+      {children}
+    </PartnerSyncContext.Provider>
+  )
+}
+
+export default PartnerSyncContext
@@ -0,0 +1,20 @@
+import { useContext } from 'react'
+import PartnerSyncContext from '../context/PartnerSyncContext'
+
+/** Default when used outside PartnerSyncProvider (e.g. tests) */
+const defaultPartnerSync = {
+  connectionState: 'disconnected',
+  partnerPresence: null,
+  setActivity: () => {}
+}
+
+/**
+ * Partner sync connection state and presence, from PartnerSyncProvider
+ * @returns {{ connectionState: string, partnerPresence: Object|null, setActivity: (activity: string|null) => void }}
+ */
+export function usePartnerSync() {
+  const context = useContext(PartnerSyncContext)
+  return context ?? defaultPartnerSync
+}
+
+export default usePartnerSync
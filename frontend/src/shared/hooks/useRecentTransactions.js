@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
 import { transactionService } from '../../services/api'
+import { BASE_CURRENCY, getOriginalAmount, getTransactionCurrency } from '../../features/finance/utils/multiCurrency'
 
 /**
  * Custom hook to fetch and manage recent transactions
@@ -76,13 +77,16 @@ function useRecentTransactions(type = 'expense', limit = 20) {
 
   /**
    * Find similar transactions (for duplicate detection)
+   * Amounts are compared in the currency they were entered in
    */
-  const findSimilarTransactions = (amount, description, date, category) => {
+  const findSimilarTransactions = (amount, description, date, category, currency = BASE_CURRENCY) => {
     if (!amount || !description) return []
 
     const similar = recentTransactions.filter(t => {
-      // Check if amount is very close (±1% or ±€0.10)
-      const amountDiff = Math.abs(t.amount - amount)
+      if (getTransactionCurrency(t) !== currency) return false
+
+      // Check if amount is very close (±1% or ±0.10)
+      const amountDiff = Math.abs(getOriginalAmount(t) - amount)
       const amountMatch = amountDiff < Math.max(amount * 0.01, 0.10)
 
       // Check if description is similar (case-insensitive partial match)
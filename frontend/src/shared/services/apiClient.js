@@ -1,15 +1,16 @@
 /**
  * API Client - Base authenticated request helper
  * Used by feature services for backend API calls.
- * Handles JWT auth, CSRF, session expiration, and URL normalization.
+ * Handles JWT auth, silent token refresh, CSRF, session expiration, and URL normalization.
  */
 
 import { getToken, getStoredUser } from '../../features/auth/services/auth'
-import { isTokenExpired } from '../utils/tokenUtils'
 import { sessionManager } from './sessionManager'
+import { ensureFreshToken, refreshAccessToken } from './tokenRefresh'
 import { getCsrfToken, clearCsrfCache } from './csrf'
 import { fetchWithRetry } from '../utils/retryFetch'
 import { getBackendUrl as getBackendApiUrl } from '../utils/getBackendUrl'
+import { createSseParser } from '../utils/sseParser'
 
 /**
  * Get current authenticated user
@@ -37,20 +38,11 @@ export const handleSessionExpiration = () => {
 }
 
 /**
- * Make authenticated API request to backend
+ * Resolve the full backend URL for an API path
  * @param {string} url - API endpoint URL
- * @param {Object} options - Fetch options
- * @returns {Promise<any>} Response data
+ * @returns {string} Absolute URL
  */
-export const apiRequest = async (url, options = {}) => {
-  const token = getToken()
-
-  if (token && isTokenExpired(token)) {
-    console.warn('Token expired, clearing session')
-    handleSessionExpiration()
-    throw new Error('Session expired. Please log in again.') // i18n-ignore
-  }
-
+export const resolveUrl = (url) => {
   let backendApiUrl = getBackendApiUrl()
 
   if (typeof window !== 'undefined' && window.location) {
@@ -67,8 +59,34 @@ export const apiRequest = async (url, options = {}) => {
 
   backendApiUrl = backendApiUrl.replace(/\/+$/, '')
   const normalizedUrl = url.startsWith('/') ? url : `/${url}`
-  const fullUrl = `${backendApiUrl}${normalizedUrl}`
+  return `${backendApiUrl}${normalizedUrl}`
+}
+
+/**
+ * Get a usable access token, refreshing it first when needed
+ * @returns {Promise<string|null>} Token, or null for anonymous requests
+ * @throws {Error} When the session expired and could not be renewed
+ */
+const getRequestToken = async () => {
+  const hadToken = !!getToken()
+  const token = await ensureFreshToken()
+
+  if (hadToken && !token) {
+    console.warn('Token expired and could not be refreshed, clearing session')
+    handleSessionExpiration()
+    throw new Error('Session expired. Please log in again.') // i18n-ignore
+  }
 
+  return token
+}
+
+/**
+ * Build request headers (content type, auth, CSRF for state-changing methods)
+ * @param {Object} options - Fetch options
+ * @param {string|null} token - Access token
+ * @returns {Promise<Object>} Headers
+ */
+const buildHeaders = async (options, token) => {
   const headers = { ...options.headers }
 
   if (options.body && !headers['Content-Type'] && !(options.body instanceof FormData)) {
@@ -90,6 +108,37 @@ export const apiRequest = async (url, options = {}) => {
     }
   }
 
+  return headers
+}
+
+/**
+ * Turn fetch network failures into errors offline-capable services recognise
+ */
+const toNetworkError = (error, fullUrl) => {
+  if (error.name === 'TypeError' || error.message?.includes('Failed to fetch')) {
+    const networkError = new Error(`Cannot connect to API at ${fullUrl}. Please check if the server is running and CORS is configured correctly.`)
+    // Lets offline-capable services queue the request instead of failing
+    networkError.isOffline = true
+    return networkError
+  }
+  return error
+}
+
+/**
+ * Make authenticated API request to backend
+ * Refreshes the access token ahead of expiry and replays the request once
+ * after a 401; the session is only cleared when the refresh itself fails.
+ * @param {string} url - API endpoint URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<any>} Response data
+ */
+export const apiRequest = (url, options = {}) => sendRequest(url, options, false)
+
+const sendRequest = async (url, options, isReplay) => {
+  const token = await getRequestToken()
+  const fullUrl = resolveUrl(url)
+  const headers = await buildHeaders(options, token)
+
   try {
     const response = await fetchWithRetry(
       () => fetch(fullUrl, {
@@ -107,6 +156,11 @@ export const apiRequest = async (url, options = {}) => {
       } catch (_) { /* ignore */ }
     }
 
+    if (response.status === 401 && token && !isReplay) {
+      const refreshed = await refreshAccessToken({ staleToken: token })
+      if (refreshed) return await sendRequest(url, options, true)
+    }
+
     if (response.status === 401) {
       console.warn('Received 401 Unauthorized, clearing session')
       handleSessionExpiration()
@@ -132,9 +186,71 @@ export const apiRequest = async (url, options = {}) => {
 
     return await response.text()
   } catch (error) {
-    if (error.name === 'TypeError' || error.message?.includes('Failed to fetch')) {
-      throw new Error(`Cannot connect to API at ${fullUrl}. Please check if the server is running and CORS is configured correctly.`)
+    throw toNetworkError(error, fullUrl)
+  }
+}
+
+/**
+ * Make authenticated streaming request (Server-Sent Events)
+ * Same auth, refresh and CSRF handling as apiRequest. Each event's JSON data is
+ * passed to onEvent as it arrives; abort through options.signal.
+ * @param {string} url - API endpoint URL
+ * @param {Object} options - Fetch options
+ * @param {Function} onEvent - Called with ({ event, data }) for every server event
+ * @returns {Promise<{streamed: boolean, data: any}>} streamed is false (with the parsed body)
+ *   when the server answered with a regular response instead of a stream
+ * @throws {Error} With `status` for HTTP errors
+ */
+export const apiStreamRequest = (url, options = {}, onEvent) => sendStreamRequest(url, options, onEvent, false)
+
+const sendStreamRequest = async (url, options, onEvent, isReplay) => {
+  const token = await getRequestToken()
+  const fullUrl = resolveUrl(url)
+  const headers = { Accept: 'text/event-stream', ...(await buildHeaders(options, token)) }
+
+  try {
+    const response = await fetch(fullUrl, {
+      ...options,
+      headers,
+      credentials: 'include'
+    })
+
+    if (response.status === 401 && token && !isReplay) {
+      const refreshed = await refreshAccessToken({ staleToken: token })
+      if (refreshed) return await sendStreamRequest(url, options, onEvent, true)
+    }
+
+    if (response.status === 401) {
+      console.warn('Received 401 Unauthorized, clearing session')
+      handleSessionExpiration()
+    }
+
+    if (!response.ok) {
+      const errorData = await response.text().catch(() => '')
+      const error = new Error(errorData || `HTTP error! status: ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    const contentType = response.headers.get('content-type') || ''
+    if (!contentType.includes('text/event-stream') || !response.body) {
+      const data = contentType.includes('application/json') ? await response.json() : await response.text()
+      return { streamed: false, data }
     }
-    throw error
+
+    const parser = createSseParser(onEvent)
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) break
+      parser.push(decoder.decode(value, { stream: true }))
+    }
+    parser.push(decoder.decode())
+    parser.flush()
+
+    return { streamed: true, data: null }
+  } catch (error) {
+    throw toNetworkError(error, fullUrl)
   }
 }
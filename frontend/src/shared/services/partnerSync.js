@@ -0,0 +1,165 @@
+/**
+ * Partner Sync Service
+ * SignalR connection to the partner hub: receives the partner's changes to shared
+ * data and their presence, and reports what this user is looking at.
+ *
+ * Hub methods (see PartnerHub on the backend):
+ *   PartnerDataChanged     { entity, action, entityId, parentId, data, userId, partnerName, occurredOn }
+ *   PartnerPresenceChanged { userId, online, activity, lastSeen }
+ *   SetActivity(activity)  / GetPartnerPresence()
+ */
+
+import * as signalR from '@microsoft/signalr'
+import { resolveUrl } from './apiClient'
+import { ensureFreshToken } from './tokenRefresh'
+
+const HUB_PATH = '/hubs/partner'
+const RECONNECT_DELAYS_MS = [0, 2000, 5000, 10000, 30000]
+
+let connection = null
+let startPromise = null
+let currentActivity = null
+
+const listeners = {
+  dataChanged: new Set(),
+  presenceChanged: new Set(),
+  connectionStateChanged: new Set()
+}
+
+const subscribe = (set, callback) => {
+  set.add(callback)
+  return () => set.delete(callback)
+}
+
+const notify = (set, payload) => {
+  set.forEach(callback => {
+    try {
+      callback(payload)
+    } catch (error) {
+      console.warn('[PartnerSync] Listener error:', error)
+    }
+  })
+}
+
+const setConnectionState = (state) => notify(listeners.connectionStateChanged, state)
+
+/**
+ * Listen for the partner's changes to shared data
+ * @param {Function} callback - Called with the change payload
+ * @returns {Function} Unsubscribe
+ */
+export const onPartnerDataChanged = (callback) => subscribe(listeners.dataChanged, callback)
+
+/**
+ * Listen for the partner coming online, going offline or changing activity
+ * @param {Function} callback - Called with { userId, online, activity, lastSeen }
+ * @returns {Function} Unsubscribe
+ */
+export const onPartnerPresenceChanged = (callback) => subscribe(listeners.presenceChanged, callback)
+
+/**
+ * Listen for connection state changes
+ * @param {Function} callback - Called with 'connected', 'reconnecting' or 'disconnected'
+ * @returns {Function} Unsubscribe
+ */
+export const onConnectionStateChanged = (callback) => subscribe(listeners.connectionStateChanged, callback)
+
+const buildConnection = () => {
+  const hub = new signalR.HubConnectionBuilder()
+    .withUrl(resolveUrl(HUB_PATH), {
+      // Called on every (re)connect, so a refreshed token is always used
+      accessTokenFactory: async () => (await ensureFreshToken()) || ''
+    })
+    .withAutomaticReconnect(RECONNECT_DELAYS_MS)
+    .configureLogging(signalR.LogLevel.Warning)
+    .build()
+
+  hub.on('PartnerDataChanged', change => notify(listeners.dataChanged, change))
+  hub.on('PartnerPresenceChanged', presence => notify(listeners.presenceChanged, presence))
+
+  hub.onreconnecting(() => setConnectionState('reconnecting'))
+  hub.onreconnected(async () => {
+    setConnectionState('connected')
+    // Presence and activity are per connection on the server
+    if (currentActivity) hub.invoke('SetActivity', currentActivity).catch(() => {})
+    refreshPartnerPresence()
+  })
+  hub.onclose(() => setConnectionState('disconnected'))
+
+  return hub
+}
+
+/**
+ * Connect to the partner hub (no-op when already connected or connecting)
+ * @returns {Promise<boolean>} True when connected
+ */
+export const startPartnerSync = async () => {
+  if (connection?.state === signalR.HubConnectionState.Connected) return true
+  if (startPromise) return startPromise
+
+  startPromise = (async () => {
+    if (!(await ensureFreshToken())) return false
+    if (!connection) connection = buildConnection()
+
+    try {
+      await connection.start()
+      setConnectionState('connected')
+      if (currentActivity) await connection.invoke('SetActivity', currentActivity)
+      await refreshPartnerPresence()
+      return true
+    } catch (error) {
+      console.warn('[PartnerSync] Connection failed:', error.message)
+      setConnectionState('disconnected')
+      return false
+    }
+  })().finally(() => {
+    startPromise = null
+  })
+
+  return startPromise
+}
+
+/**
+ * Disconnect, e.g. on logout
+ */
+export const stopPartnerSync = async () => {
+  currentActivity = null
+  if (!connection) return
+  const hub = connection
+  connection = null
+  try {
+    await hub.stop()
+  } catch (error) {
+    console.warn('[PartnerSync] Error stopping connection:', error.message)
+  }
+  setConnectionState('disconnected')
+}
+
+/**
+ * Tell the partner what this user is looking at
+ * Remembered across reconnects; pass null when leaving the view.
+ * @param {string|null} activity - e.g. "shopping:<listId>"
+ */
+export const setPartnerActivity = (activity) => {
+  currentActivity = activity || null
+  if (connection?.state !== signalR.HubConnectionState.Connected) return
+  connection.invoke('SetActivity', currentActivity).catch(error => {
+    console.warn('[PartnerSync] Could not report activity:', error.message)
+  })
+}
+
+/**
+ * Ask the hub for the partner's presence and notify presence listeners
+ * @returns {Promise<Object|null>} Presence, or null without a partner or connection
+ */
+export const refreshPartnerPresence = async () => {
+  if (connection?.state !== signalR.HubConnectionState.Connected) return null
+  try {
+    const presence = await connection.invoke('GetPartnerPresence')
+    if (presence) notify(listeners.presenceChanged, presence)
+    return presence
+  } catch (error) {
+    console.warn('[PartnerSync] Could not load partner presence:', error.message)
+    return null
+  }
+}
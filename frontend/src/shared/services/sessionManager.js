@@ -14,6 +14,9 @@ const SESSION_TAB_ID_KEY = 'session_tab_id'
 const CROSS_TAB_USER_KEY = 'cross_tab_user_id'
 const CROSS_TAB_SESSION_KEY = 'cross_tab_session_id'
 
+// Cross-tab token refresh coordination messages
+const REFRESH_MESSAGE_TYPES = ['TOKEN_REFRESH_STARTED', 'TOKEN_REFRESHED', 'TOKEN_REFRESH_FAILED']
+
 // BroadcastChannel for cross-tab communication
 let broadcastChannel = null
 // Flag to prevent infinite loops when clearing session
@@ -83,6 +86,16 @@ export const sessionManager = {
 
     const currentUserId = this.getCurrentUserId()
 
+    if (REFRESH_MESSAGE_TYPES.includes(data.type)) {
+      // Only tabs sharing the same persistent session share its refresh token
+      if (data.userId && data.userId === currentUserId && this.isPersistentSession()) {
+        window.dispatchEvent(new CustomEvent('auth-token-refresh', {
+          detail: { type: data.type }
+        }))
+      }
+      return
+    }
+
     if (data.type === 'SESSION_INVALIDATED') {
       // Another tab logged in with the same user - invalidate this session
       if (data.userId && currentUserId && data.userId === currentUserId && this.hasSession()) {
@@ -220,6 +233,46 @@ export const sessionManager = {
     window.dispatchEvent(new CustomEvent('auth-storage-change'))
   },
 
+  /**
+   * Replace the tokens of the current session after a refresh
+   * Writes to whichever storage holds the session and does NOT broadcast
+   * SESSION_CREATED, so other tabs of the same user stay logged in.
+   * @param {string} token - New auth token
+   * @param {string} refreshToken - New refresh token
+   * @param {Object} [user] - Updated user object
+   */
+  updateTokens(token, refreshToken, user) {
+    const storage = this.isPersistentSession() ? localStorage : sessionStorage
+    storage.setItem(SESSION_TOKEN_KEY, token)
+    storage.setItem(SESSION_REFRESH_TOKEN_KEY, refreshToken)
+    if (user) {
+      storage.setItem(SESSION_USER_KEY, JSON.stringify(user))
+    }
+
+    window.dispatchEvent(new CustomEvent('auth-storage-change'))
+  },
+
+  /**
+   * Whether this tab uses the persistent ("Remember Me") session shared with other tabs
+   */
+  isPersistentSession() {
+    return !sessionStorage.getItem(SESSION_TOKEN_KEY) && !!localStorage.getItem(SESSION_TOKEN_KEY)
+  },
+
+  /**
+   * Broadcast a token refresh step to tabs sharing this persistent session
+   * @param {string} type - TOKEN_REFRESH_STARTED, TOKEN_REFRESHED or TOKEN_REFRESH_FAILED
+   */
+  broadcastTokenRefresh(type) {
+    if (broadcastChannel && this.isPersistentSession()) {
+      broadcastChannel.postMessage({
+        type,
+        userId: this.getCurrentUserId(),
+        tabId: getTabId()
+      })
+    }
+  },
+
   /**
    * Get session token (checks sessionStorage then localStorage)
    */
@@ -0,0 +1,152 @@
+/**
+ * Token Refresh
+ * Single-flight access-token refresh shared by every API client.
+ * Requests wait while a refresh is in flight and continue with the new token;
+ * tabs sharing a persistent session coordinate through the auth BroadcastChannel
+ * (via sessionManager) so the rotating refresh token is only exchanged once.
+ */
+
+import { sessionManager } from './sessionManager'
+import { getCsrfToken } from './csrf'
+import { isTokenExpired, isTokenExpiringSoon } from '../utils/tokenUtils'
+import { getBackendUrl } from '../utils/getBackendUrl'
+
+// How long to wait for another tab's refresh before trying ourselves
+const REMOTE_REFRESH_TIMEOUT = 15 * 1000
+
+// Refresh running in this tab
+let inFlightRefresh = null
+// Refresh announced by another tab sharing our session
+let remoteRefresh = null
+let resolveRemoteRefresh = null
+
+const settleRemoteRefresh = () => {
+  if (resolveRemoteRefresh) resolveRemoteRefresh()
+  remoteRefresh = null
+  resolveRemoteRefresh = null
+}
+
+const handleRemoteRefresh = (e) => {
+  if (e.detail?.type === 'TOKEN_REFRESH_STARTED') {
+    if (remoteRefresh) return
+    remoteRefresh = new Promise(resolve => {
+      resolveRemoteRefresh = resolve
+      setTimeout(settleRemoteRefresh, REMOTE_REFRESH_TIMEOUT)
+    })
+  } else {
+    settleRemoteRefresh()
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('auth-token-refresh', handleRemoteRefresh)
+}
+
+const getRefreshUrl = () => {
+  let backendApiUrl = getBackendUrl()
+
+  if (typeof window !== 'undefined' && window.location) {
+    const currentHostname = window.location.hostname
+    const currentProtocol = window.location.protocol
+
+    if (currentHostname &&
+      currentHostname !== 'localhost' &&
+      currentHostname !== '127.0.0.1' &&
+      backendApiUrl.includes('localhost')) {
+      backendApiUrl = `${currentProtocol}//${currentHostname}:5038`
+    }
+  }
+
+  return `${backendApiUrl.replace(/\/+$/, '')}/api/auth/refresh-token`
+}
+
+const exchangeRefreshToken = async () => {
+  const token = sessionManager.getToken()
+  const refreshToken = sessionManager.getRefreshToken()
+  if (!refreshToken) return false
+
+  sessionManager.broadcastTokenRefresh('TOKEN_REFRESH_STARTED')
+  let refreshed = false
+  try {
+    // The refresh endpoint is behind the antiforgery filter like any other POST
+    const headers = { 'Content-Type': 'application/json' }
+    try {
+      const csrfToken = await getCsrfToken()
+      if (csrfToken) headers['X-CSRF-TOKEN'] = csrfToken
+    } catch (e) {
+      console.warn('Could not get CSRF token:', e.message)
+    }
+
+    const response = await fetch(getRefreshUrl(), {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+      body: JSON.stringify({ token, refreshToken })
+    })
+
+    if (response.ok) {
+      const data = await response.json()
+      if (data?.token && data?.refreshToken) {
+        sessionManager.updateTokens(data.token, data.refreshToken, data.user)
+        refreshed = true
+      }
+    }
+
+    // Another tab may have rotated the shared refresh token meanwhile
+    if (!refreshed && sessionManager.getRefreshToken() !== refreshToken) {
+      refreshed = !!sessionManager.getToken()
+    }
+    return refreshed
+  } finally {
+    sessionManager.broadcastTokenRefresh(refreshed ? 'TOKEN_REFRESHED' : 'TOKEN_REFRESH_FAILED')
+  }
+}
+
+/**
+ * Refresh the access token once, however many callers ask at the same time
+ * @param {Object} [options]
+ * @param {string} [options.staleToken] - Token the caller used; no refresh happens if it was already replaced
+ * @returns {Promise<boolean>} True when a fresh token is stored, false when the refresh token was rejected
+ * @throws {Error} Network errors, so offline callers are not logged out
+ */
+export const refreshAccessToken = async ({ staleToken } = {}) => {
+  if (remoteRefresh) await remoteRefresh
+
+  const currentToken = sessionManager.getToken()
+  if (staleToken && currentToken && currentToken !== staleToken && !isTokenExpired(currentToken)) {
+    return true
+  }
+
+  if (!inFlightRefresh) {
+    inFlightRefresh = exchangeRefreshToken().finally(() => {
+      inFlightRefresh = null
+    })
+  }
+  return inFlightRefresh
+}
+
+/**
+ * Token to send with the next request
+ * Waits for any refresh in progress and refreshes ahead of expiry.
+ * @returns {Promise<string|null>} Valid token, or null when the session can no longer be renewed
+ */
+export const ensureFreshToken = async () => {
+  if (inFlightRefresh) await inFlightRefresh.catch(() => {})
+  if (remoteRefresh) await remoteRefresh
+
+  const token = sessionManager.getToken()
+  if (!token || !isTokenExpiringSoon(token)) return token
+
+  if (!sessionManager.getRefreshToken()) {
+    return isTokenExpired(token) ? null : token
+  }
+
+  try {
+    const refreshed = await refreshAccessToken({ staleToken: token })
+    return refreshed ? sessionManager.getToken() : null
+  } catch (error) {
+    // Offline: keep the current token and let the request fail (or queue) on its own
+    console.warn('Token refresh failed:', error.message)
+    return token
+  }
+}
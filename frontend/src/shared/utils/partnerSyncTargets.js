@@ -0,0 +1,70 @@
+/**
+ * Partner Sync Targets
+ * Maps a partner change pushed over the partner hub to the caches that hold
+ * stale copies of it. Entities match PartnerSyncEntities on the backend.
+ */
+
+export const PARTNER_SYNC_ENTITIES = {
+  TRANSACTION: 'transaction',
+  BUDGET: 'budget',
+  SAVINGS_GOAL: 'savingsGoal',
+  RECURRING_BILL: 'recurringBill',
+  SHOPPING_LIST: 'shoppingList',
+  SHOPPING_ITEM: 'shoppingItem'
+}
+
+// Totals shown on the dashboard and analytics pages move with most finance changes
+const FINANCE_SUMMARY_KEYS = [['analytics'], ['partnerLedger']]
+
+const TARGETS = {
+  [PARTNER_SYNC_ENTITIES.TRANSACTION]: {
+    queryKeys: [['transactions'], ['budgets'], ...FINANCE_SUMMARY_KEYS],
+    apiPaths: ['/api/transactions', '/api/budgets', '/api/analytics']
+  },
+  [PARTNER_SYNC_ENTITIES.BUDGET]: {
+    queryKeys: [['budgets'], ['analytics']],
+    apiPaths: ['/api/budgets']
+  },
+  [PARTNER_SYNC_ENTITIES.SAVINGS_GOAL]: {
+    queryKeys: [['savingsGoals'], ...FINANCE_SUMMARY_KEYS],
+    apiPaths: ['/api/savingsgoals']
+  },
+  [PARTNER_SYNC_ENTITIES.RECURRING_BILL]: {
+    // Marking a bill paid also records a transaction
+    queryKeys: [['recurringBills'], ['recurringBillsSummary'], ['upcomingBills'], ['transactions'], ...FINANCE_SUMMARY_KEYS],
+    apiPaths: ['/api/recurringbills', '/api/transactions']
+  },
+  [PARTNER_SYNC_ENTITIES.SHOPPING_LIST]: {
+    queryKeys: [['shoppingLists']],
+    apiPaths: ['/api/shoppinglists']
+  },
+  [PARTNER_SYNC_ENTITIES.SHOPPING_ITEM]: {
+    queryKeys: [['shoppingLists']],
+    apiPaths: ['/api/shoppinglists']
+  }
+}
+
+/**
+ * Caches to invalidate for a partner change
+ * @param {Object} change - { entity, action, entityId, parentId, data }
+ * @returns {{queryKeys: Array<Array>, apiPaths: Array<string>}}
+ *   React Query key prefixes and in-memory apiCache URL fragments
+ */
+export const getPartnerSyncTargets = (change) => {
+  const targets = TARGETS[change?.entity]
+  if (!targets) return { queryKeys: [], apiPaths: [] }
+
+  return { queryKeys: targets.queryKeys, apiPaths: targets.apiPaths }
+}
+
+/**
+ * Split a presence activity ("shopping:<listId>", "trip:<tripId>", "expenses") into parts
+ * @param {string|null} activity - Activity reported by the partner
+ * @returns {{area: string, id: string|null}|null}
+ */
+export const parsePartnerActivity = (activity) => {
+  if (!activity) return null
+  const separator = activity.indexOf(':')
+  if (separator === -1) return { area: activity, id: null }
+  return { area: activity.slice(0, separator), id: activity.slice(separator + 1) || null }
+}
@@ -0,0 +1,63 @@
+/**
+ * Server-Sent Events Parser
+ * Incremental parser for text/event-stream bodies read in arbitrary chunks.
+ */
+
+/**
+ * Create a parser that emits complete events
+ * Data lines are joined with newlines and parsed as JSON when possible.
+ * @param {Function} onEvent - Called with ({ event, data }); event defaults to 'message'
+ * @returns {{push: Function, flush: Function}} push(text) feeds decoded text; flush() emits a trailing event
+ */
+export const createSseParser = (onEvent) => {
+  let buffer = ''
+  let eventName = 'message'
+  let dataLines = []
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      const raw = dataLines.join('\n')
+      let data = raw
+      try {
+        data = JSON.parse(raw)
+      } catch {
+        // Plain-text payload
+      }
+      onEvent({ event: eventName, data })
+    }
+    eventName = 'message'
+    dataLines = []
+  }
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch()
+      return
+    }
+    if (line.startsWith(':')) return // Comment / keep-alive
+
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    let value = colon === -1 ? '' : line.slice(colon + 1)
+    if (value.startsWith(' ')) value = value.slice(1)
+
+    if (field === 'event') eventName = value || 'message'
+    else if (field === 'data') dataLines.push(value)
+  }
+
+  return {
+    push(text) {
+      buffer += text
+      const lines = buffer.split(/\r?\n/)
+      // The last piece may be an incomplete line
+      buffer = lines.pop()
+      lines.forEach(processLine)
+    },
+
+    flush() {
+      if (buffer) processLine(buffer)
+      buffer = ''
+      dispatch()
+    }
+  }
+}
@@ -48,6 +48,22 @@ export const isTokenExpired = (token) => {
   return currentTime >= (expirationTime - 5000)
 }
 
+/**
+ * Check if token expires within a window (or is already expired)
+ * Used to refresh the access token before requests start failing.
+ * @param {string} token - JWT token
+ * @param {number} withinMs - Window in milliseconds (default: 60 seconds)
+ * @returns {boolean} True if token expires within the window or is invalid
+ */
+export const isTokenExpiringSoon = (token, withinMs = 60 * 1000) => {
+  const decoded = decodeToken(token)
+  if (!decoded || !decoded.exp) {
+    return true
+  }
+
+  return Date.now() >= (decoded.exp * 1000 - withinMs)
+}
+
 /**
  * Get token expiration time
  * @param {string} token - JWT token
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { transactionService, loanService } from '../../services/api'
+import { transactionService, loanService, budgetService } from '../../services/api'
 
 // Mock the dependencies
 vi.mock('../../utils/getBackendUrl', () => ({
@@ -92,4 +92,20 @@ describe('API Services', () => {
       )
     })
   })
+
+  describe('budgetService', () => {
+    it('sends the transfer month as a date without a time', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2026, 2, 1, 0, 30))
+
+      try {
+        await budgetService.transfer({ toBudgetId: 'b1', amount: 20 })
+      } finally {
+        vi.useRealTimers()
+      }
+
+      const [, options] = globalThis.fetch.mock.calls.find(([url]) => url.includes('/api/budgets/transfers'))
+      expect(JSON.parse(options.body).month).toBe('2026-03-01')
+    })
+  })
 })
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { dataPortabilityService } from '../../features/profile/services/dataPortabilityService'
+import { buildArchive } from '../../features/profile/utils/dataArchive'
+import { loanPaymentService, loanService, savingsGoalService } from '../../features/finance/services'
+
+const { crud } = vi.hoisted(() => ({
+  crud: () => ({
+    getAll: vi.fn().mockResolvedValue([]),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn().mockResolvedValue(undefined)
+  })
+}))
+
+vi.mock('../../features/finance/services', () => ({
+  transactionService: crud(),
+  budgetService: crud(),
+  savingsGoalService: crud(),
+  loanService: crud(),
+  loanPaymentService: crud(),
+  recurringBillService: crud(),
+  storageService: { uploadFile: vi.fn() }
+}))
+
+vi.mock('../../features/shopping/services/shoppingListService', () => ({
+  shoppingListService: crud()
+}))
+
+vi.mock('../../features/travel/services/travelApi', () => ({
+  tripService: crud(),
+  itineraryService: crud(),
+  packingService: crud(),
+  documentService: crud(),
+  noteService: crud(),
+  uploadTravelFile: vi.fn()
+}))
+
+const archive = () => buildArchive({
+  savingsGoals: [{ id: 'g1', name: 'Holiday' }],
+  loans: [{ id: 'l1', amount: 1000 }, { id: 'l2', amount: 500 }],
+  loanPayments: [{ id: 'p1', loanId: 'l1', amount: 100 }]
+}, { type: 'uint8array' })
+
+describe('dataPortabilityService.importAll', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    savingsGoalService.create.mockResolvedValue({ id: 'g-new' })
+    loanService.create.mockResolvedValueOnce({ id: 'l1-new' }).mockResolvedValueOnce({ id: 'l2-new' })
+  })
+
+  it('restores the archive with remapped references', async () => {
+    loanPaymentService.create.mockResolvedValue({ id: 'p-new' })
+
+    const counts = await dataPortabilityService.importAll(await archive(), 'user-1')
+
+    expect(counts).toMatchObject({ savingsGoals: 1, loans: 2, loanPayments: 1 })
+    expect(loanPaymentService.create).toHaveBeenCalledWith({ loanId: 'l1-new', amount: 100 })
+    expect(loanService.delete).not.toHaveBeenCalled()
+  })
+
+  it('deletes what it restored, newest first, when a step fails', async () => {
+    loanPaymentService.create.mockRejectedValue(new Error('Server error'))
+
+    await expect(dataPortabilityService.importAll(await archive(), 'user-1'))
+      .rejects.toMatchObject({ code: 'IMPORT_ROLLED_BACK', leftovers: 0 })
+
+    expect(loanService.delete.mock.calls).toEqual([['l2-new'], ['l1-new']])
+    expect(savingsGoalService.delete).toHaveBeenCalledWith('g-new')
+    expect(loanService.delete.mock.invocationCallOrder[0]).toBeLessThan(savingsGoalService.delete.mock.invocationCallOrder[0])
+  })
+
+  it('reports records it could not remove', async () => {
+    loanPaymentService.create.mockRejectedValue(new Error('Server error'))
+    savingsGoalService.delete.mockRejectedValueOnce(new Error('Offline'))
+
+    await expect(dataPortabilityService.importAll(await archive(), 'user-1'))
+      .rejects.toMatchObject({ code: 'IMPORT_INCOMPLETE', leftovers: 1 })
+  })
+})
@@ -0,0 +1,123 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import db, { isTempId } from '../../features/finance/services/financeDb'
+import {
+  discardFailedItems,
+  getFailedItems,
+  getPendingCount,
+  processFinanceSyncQueue,
+  queueMutation,
+  retryFailedItems
+} from '../../features/finance/services/financeSync'
+import { apiRequest } from '../../shared/services/apiClient'
+
+vi.mock('../../shared/services/apiClient', () => ({
+  apiRequest: vi.fn()
+}))
+
+vi.mock('../../features/auth/services/auth', () => ({
+  getStoredUser: vi.fn(() => ({ id: 'user-1' }))
+}))
+
+const offlineError = () => Object.assign(new Error('Network error'), { isOffline: true })
+
+describe('financeSync', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    await Promise.all(db.tables.map(table => table.clear()))
+  })
+
+  describe('queueMutation', () => {
+    it('gives offline creates a temp ID and stamps the owner', async () => {
+      const record = await queueMutation('transactions', 'create', { data: { amount: 12, type: 'expense' } })
+
+      expect(isTempId(record.id)).toBe(true)
+      expect(record).toMatchObject({ amount: 12, userId: 'user-1', _synced: false, _pendingAction: 'create' })
+      expect(await getPendingCount()).toBe(1)
+    })
+
+    it('folds edits and deletes of local-only records into their queued create', async () => {
+      const record = await queueMutation('transactions', 'create', { data: { amount: 12 } })
+      await queueMutation('transactions', 'update', { id: record.id, data: { id: record.id, amount: 15 } })
+
+      const [item] = await db.syncQueue.toArray()
+      expect(await getPendingCount()).toBe(1)
+      expect(item.data).toEqual({ amount: 15 })
+
+      await queueMutation('transactions', 'delete', { id: record.id })
+      expect(await getPendingCount()).toBe(0)
+      expect(await db.transactions.get(record.id)).toBeUndefined()
+    })
+
+    it('replaces pending updates of a server record with its delete', async () => {
+      await queueMutation('budgets', 'update', { id: 7, data: { amount: 100 } })
+      await queueMutation('budgets', 'delete', { id: 7 })
+
+      const items = await db.syncQueue.toArray()
+      expect(items.map(item => item.action)).toEqual(['delete'])
+      expect(await db.budgets.get(7)).toMatchObject({ _deleted: true })
+    })
+  })
+
+  describe('processFinanceSyncQueue', () => {
+    it('replays in order and swaps temp IDs for server IDs', async () => {
+      const goal = await queueMutation('savingsGoals', 'create', { data: { name: 'Trip' } })
+      await queueMutation('transactions', 'update', { id: 9, data: { amount: 20, savingsGoalId: goal.id } })
+      apiRequest.mockResolvedValueOnce({ id: 42 }).mockResolvedValueOnce({})
+
+      const summary = await processFinanceSyncQueue()
+
+      expect(summary).toEqual({ synced: 2, failed: 0 })
+      expect(apiRequest).toHaveBeenNthCalledWith(1, '/api/savingsgoals', expect.objectContaining({ method: 'POST' }))
+      expect(apiRequest).toHaveBeenNthCalledWith(2, '/api/transactions/9', {
+        method: 'PUT',
+        body: JSON.stringify({ amount: 20, savingsGoalId: 42 })
+      })
+      expect(await getPendingCount()).toBe(0)
+      expect(await db.savingsGoals.count()).toBe(0)
+      expect(await db.idMappings.count()).toBe(0)
+    })
+
+    it('stops at a network error and keeps the rest queued', async () => {
+      await queueMutation('transactions', 'update', { id: 1, data: { amount: 1 } })
+      await queueMutation('transactions', 'update', { id: 2, data: { amount: 2 } })
+      apiRequest.mockRejectedValueOnce(offlineError())
+
+      const summary = await processFinanceSyncQueue()
+
+      expect(summary).toEqual({ synced: 0, failed: 0 })
+      expect(apiRequest).toHaveBeenCalledTimes(1)
+      expect(await getPendingCount()).toBe(2)
+    })
+  })
+
+  describe('failed items', () => {
+    beforeEach(async () => {
+      await queueMutation('transactions', 'update', { id: 3, data: { amount: 30 } })
+      apiRequest.mockRejectedValueOnce(new Error('Validation failed'))
+      await processFinanceSyncQueue()
+    })
+
+    it('marks rejected changes as failed on the item and its record', async () => {
+      const [item] = await getFailedItems()
+      expect(item).toMatchObject({ entityId: 3, status: 'failed', error: 'Validation failed' })
+      expect(await db.transactions.get(3)).toMatchObject({ _syncError: 'Validation failed' })
+      expect(await getPendingCount()).toBe(0)
+    })
+
+    it('retries failed changes', async () => {
+      apiRequest.mockResolvedValueOnce({})
+
+      expect(await retryFailedItems()).toEqual({ synced: 1, failed: 0 })
+      expect(await getFailedItems()).toEqual([])
+      expect(await db.transactions.get(3)).toBeUndefined()
+    })
+
+    it('discards failed changes and their local copies', async () => {
+      expect(await discardFailedItems()).toBe(1)
+      expect(await getFailedItems()).toEqual([])
+      expect(await db.transactions.get(3)).toBeUndefined()
+      expect(apiRequest).toHaveBeenCalledTimes(1)
+    })
+  })
+})
@@ -0,0 +1,84 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import db from '../../features/travel/services/travelDb'
+import { offlinePackService } from '../../features/travel/services/offlinePackService'
+import { fetchPOIsByCategory, fetchStays } from '../../features/travel/services/discoveryService'
+
+vi.mock('../../features/travel/services/discoveryService', async (importOriginal) => ({
+  calculateDistance: (await importOriginal()).calculateDistance,
+  fetchPOIsByCategory: vi.fn(),
+  fetchStays: vi.fn()
+}))
+
+vi.mock('../../features/travel/services/travelApi', () => ({
+  savedPlaceService: { getByTrip: vi.fn(async () => []) }
+}))
+
+const city = { id: 3, name: 'Lisbon', latitude: 38.7223, longitude: -9.1393 }
+
+const place = (id) => ({ id, name: `Place ${id}`, latitude: 38.72, longitude: -9.14 })
+
+describe('offlinePackService.download', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    await Promise.all([db.offlinePacks.clear(), db.offlineTiles.clear()])
+    globalThis.fetch = vi.fn()
+    fetchPOIsByCategory.mockImplementation(async (category) => [place(category)])
+    fetchStays.mockResolvedValue([place('hotel')])
+  })
+
+  it('asks for live results so failures are not hidden by cached ones', async () => {
+    const pack = await offlinePackService.download({ tripId: 1, city })
+
+    expect(pack.status).toBe('ready')
+    expect(pack.missingCategories).toEqual([])
+    expect(fetchPOIsByCategory).toHaveBeenCalledWith('restaurant', city.latitude, city.longitude, 4000, Infinity, { fallback: false })
+    expect(fetchStays).toHaveBeenCalledWith(city.latitude, city.longitude, 4000, Infinity, { fallback: false })
+  })
+
+  it('stores places only while map tiles are not enabled', async () => {
+    const pack = await offlinePackService.download({ tripId: 1, city })
+
+    expect(pack.tileCount).toBe(0)
+    expect(pack.poiCount).toBe(7)
+    expect(globalThis.fetch).not.toHaveBeenCalled()
+    expect(await db.offlineTiles.count()).toBe(0)
+  })
+
+  it('marks the pack partial when categories fail or come back empty', async () => {
+    fetchPOIsByCategory.mockImplementation(async (category) => {
+      if (category === 'atm') throw new Error('Overpass API error: 429')
+      return category === 'pharmacy' ? [] : [place(category)]
+    })
+
+    const pack = await offlinePackService.download({ tripId: 1, city })
+
+    expect(pack.status).toBe('partial')
+    expect(pack.missingCategories).toEqual(['atm', 'pharmacy'])
+    expect(pack.pois.atm).toBeUndefined()
+    expect(pack.pois.pharmacy).toEqual([])
+  })
+
+  it('keeps the places a failed category saved in the previous download', async () => {
+    await offlinePackService.download({ tripId: 1, city })
+    fetchPOIsByCategory.mockImplementation(async (category) => {
+      if (category === 'atm') throw new Error('Network error')
+      return [place(category)]
+    })
+
+    const pack = await offlinePackService.download({ tripId: 1, city })
+
+    expect(pack.status).toBe('partial')
+    expect(pack.pois.atm).toEqual([place('atm')])
+  })
+
+  it('does not count stays as missing when no stays source is configured', async () => {
+    fetchStays.mockResolvedValue(null)
+
+    const pack = await offlinePackService.download({ tripId: 1, city })
+
+    expect(pack.status).toBe('ready')
+    expect(pack.pois.accommodation).toBeUndefined()
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { ensureFreshToken, refreshAccessToken } from '../../shared/services/tokenRefresh'
+import { sessionManager } from '../../shared/services/sessionManager'
+
+vi.mock('../../shared/utils/getBackendUrl', () => ({
+  getBackendUrl: vi.fn().mockReturnValue('http://localhost:5000')
+}))
+
+vi.mock('../../shared/services/csrf', () => ({
+  getCsrfToken: vi.fn().mockResolvedValue('csrf-token')
+}))
+
+vi.mock('../../shared/services/sessionManager', () => {
+  const store = { token: null, refreshToken: null }
+  return {
+    sessionManager: {
+      store,
+      getToken: vi.fn(() => store.token),
+      getRefreshToken: vi.fn(() => store.refreshToken),
+      updateTokens: vi.fn((token, refreshToken) => {
+        store.token = token
+        store.refreshToken = refreshToken
+      }),
+      broadcastTokenRefresh: vi.fn()
+    }
+  }
+})
+
+const makeToken = (expiresInSeconds) => {
+  const payload = btoa(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + expiresInSeconds }))
+  return `header.${payload}.signature`
+}
+
+const jsonResponse = (ok, body) => ({ ok, status: ok ? 200 : 401, json: () => Promise.resolve(body) })
+
+globalThis.fetch = vi.fn()
+
+describe('tokenRefresh', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    sessionManager.store.token = makeToken(3600)
+    sessionManager.store.refreshToken = 'refresh-1'
+  })
+
+  it('keeps a token that is not close to expiry', async () => {
+    const token = sessionManager.store.token
+    expect(await ensureFreshToken()).toBe(token)
+    expect(globalThis.fetch).not.toHaveBeenCalled()
+  })
+
+  it('exchanges the refresh token once for concurrent requests', async () => {
+    const fresh = makeToken(3600)
+    sessionManager.store.token = makeToken(10)
+    globalThis.fetch.mockResolvedValueOnce(jsonResponse(true, { token: fresh, refreshToken: 'refresh-2' }))
+
+    const tokens = await Promise.all([ensureFreshToken(), ensureFreshToken(), ensureFreshToken()])
+
+    expect(tokens).toEqual([fresh, fresh, fresh])
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      'http://localhost:5000/api/auth/refresh-token',
+      expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ 'X-CSRF-TOKEN': 'csrf-token' })
+      })
+    )
+    expect(sessionManager.broadcastTokenRefresh).toHaveBeenNthCalledWith(1, 'TOKEN_REFRESH_STARTED')
+    expect(sessionManager.broadcastTokenRefresh).toHaveBeenNthCalledWith(2, 'TOKEN_REFRESHED')
+  })
+
+  it('does not refresh again for a request sent with an already replaced token', async () => {
+    const stale = makeToken(1800)
+    expect(await refreshAccessToken({ staleToken: stale })).toBe(true)
+    expect(globalThis.fetch).not.toHaveBeenCalled()
+  })
+
+  it('reports a rejected refresh token so the caller can log out', async () => {
+    sessionManager.store.token = makeToken(-60)
+    globalThis.fetch.mockResolvedValueOnce(jsonResponse(false, { error: 'Invalid refresh token' }))
+
+    expect(await ensureFreshToken()).toBeNull()
+    expect(sessionManager.broadcastTokenRefresh).toHaveBeenLastCalledWith('TOKEN_REFRESH_FAILED')
+  })
+
+  it('keeps the current token when the refresh endpoint is unreachable', async () => {
+    const token = makeToken(30)
+    sessionManager.store.token = token
+    globalThis.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+
+    expect(await ensureFreshToken()).toBe(token)
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import { format } from 'date-fns'
+import {
+  buildMonthlyForecast,
+  calculateUnpaidThrough,
+  expandBillOccurrences,
+  getLastBusinessDay,
+  OCCURRENCE_STATUS
+} from '../../features/finance/utils/billForecast'
+
+const TODAY = new Date(2026, 2, 10)
+
+const bill = (overrides) => ({
+  id: 'bill-1',
+  name: 'Rent',
+  amount: 100,
+  frequency: 'monthly',
+  isActive: true,
+  ...overrides
+})
+
+const dates = (occurrences) => occurrences.map(occurrence => format(occurrence.date, 'yyyy-MM-dd'))
+
+describe('billForecast', () => {
+  it('clamps month-end due days without drifting', () => {
+    const occurrences = expandBillOccurrences(
+      bill({ dueDay: 31, nextDueDate: '2026-01-31' }),
+      { start: '2026-01-01', end: '2026-04-30', today: new Date(2026, 0, 1) }
+    )
+
+    expect(dates(occurrences)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30'])
+  })
+
+  it('keeps the due day when anchored on a clamped month', () => {
+    const occurrences = expandBillOccurrences(
+      bill({ dueDay: 31, nextDueDate: '2026-02-28' }),
+      { start: '2026-02-01', end: '2026-03-31', today: new Date(2026, 1, 1) }
+    )
+
+    expect(dates(occurrences)).toEqual(['2026-02-28', '2026-03-31'])
+  })
+
+  it('expands weekly and biweekly bills across the window', () => {
+    const window = { start: '2026-03-01', end: '2026-03-31', today: TODAY }
+
+    expect(dates(expandBillOccurrences(bill({ frequency: 'biweekly', nextDueDate: '2026-03-13' }), window)))
+      .toEqual(['2026-03-13', '2026-03-27'])
+    expect(expandBillOccurrences(bill({ frequency: 'weekly', nextDueDate: '2026-03-13' }), window)).toHaveLength(4)
+  })
+
+  it('finds the last business day of each month', () => {
+    expect(format(getLastBusinessDay(new Date(2026, 0, 1)), 'yyyy-MM-dd')).toBe('2026-01-30')
+    expect(format(getLastBusinessDay(new Date(2026, 4, 15)), 'yyyy-MM-dd')).toBe('2026-05-29')
+
+    const occurrences = expandBillOccurrences(
+      bill({ frequency: 'lastBusinessDay', nextDueDate: '2026-03-31' }),
+      { start: '2026-03-01', end: '2026-05-31', today: TODAY }
+    )
+    expect(dates(occurrences)).toEqual(['2026-03-31', '2026-04-30', '2026-05-29'])
+  })
+
+  it('marks paid, skipped, overdue and upcoming occurrences', () => {
+    const occurrences = expandBillOccurrences(
+      bill({ frequency: 'weekly', nextDueDate: '2026-03-05', skippedDueDates: ['2026-02-26T00:00:00Z'] }),
+      { start: '2026-02-19', end: '2026-03-12', today: TODAY }
+    )
+
+    expect(occurrences.map(occurrence => occurrence.status)).toEqual([
+      OCCURRENCE_STATUS.PAID,
+      OCCURRENCE_STATUS.SKIPPED,
+      OCCURRENCE_STATUS.OVERDUE,
+      OCCURRENCE_STATUS.UPCOMING
+    ])
+  })
+
+  it('builds a monthly forecast and unpaid totals for active bills', () => {
+    const bills = [
+      bill({ dueDay: 15, nextDueDate: '2026-03-15' }),
+      bill({ id: 'bill-2', amount: 60, frequency: 'quarterly', dueDay: 1, nextDueDate: '2026-04-01' }),
+      bill({ id: 'bill-3', amount: 999, isActive: false, nextDueDate: '2026-03-20' })
+    ]
+
+    const forecast = buildMonthlyForecast(bills, { months: 12, today: TODAY })
+    expect(forecast).toHaveLength(12)
+    expect(forecast[0].key).toBe('2026-03')
+    expect(forecast.map(month => month.total).slice(0, 4)).toEqual([100, 160, 100, 100])
+    expect(forecast.reduce((sum, month) => sum + month.total, 0)).toBe(1200 + 240)
+
+    expect(calculateUnpaidThrough(bills, new Date(2026, 2, 31), TODAY)).toBe(100)
+    expect(calculateUnpaidThrough(bills, new Date(2026, 3, 30), TODAY)).toBe(260)
+  })
+})
@@ -0,0 +1,217 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildBookingBatch,
+  decodeMimeWords,
+  extractJsonLd,
+  findDates,
+  flagBookingConflicts,
+  parseBookingConfirmation,
+  parseEml,
+  parsePrice,
+  reservationsFromJsonLd,
+  reservationsFromText
+} from '../../features/travel/utils/bookingParser'
+
+const flightMarkup = {
+  '@context': 'http://schema.org',
+  '@type': 'FlightReservation',
+  reservationNumber: 'xk7p2q',
+  reservationStatus: 'http://schema.org/ReservationConfirmed',
+  totalPrice: '245.80',
+  priceCurrency: 'EUR',
+  reservationFor: {
+    '@type': 'Flight',
+    flightNumber: '612',
+    airline: { '@type': 'Airline', name: 'Aegean Airlines', iataCode: 'A3' },
+    departureAirport: { '@type': 'Airport', name: 'Athens International', iataCode: 'ATH' },
+    departureTime: '2026-10-24T23:10:00+03:00',
+    arrivalAirport: { '@type': 'Airport', name: 'Lisbon Humberto Delgado', iataCode: 'LIS' },
+    arrivalTime: '2026-10-25T01:35:00+01:00'
+  }
+}
+
+const hotelMarkup = {
+  '@context': 'https://schema.org',
+  '@type': 'LodgingReservation',
+  reservationNumber: 'HB-99812',
+  checkinTime: '2026-10-25T15:00:00+01:00',
+  checkoutTime: '2026-10-28T11:00:00+00:00',
+  totalPrice: { '@type': 'PriceSpecification', price: '1.234,50', priceCurrency: 'EUR' },
+  reservationFor: {
+    '@type': 'LodgingBusiness',
+    name: 'Hotel Lisboa Plaza',
+    address: { '@type': 'PostalAddress', streetAddress: 'Travessa do Salitre 7', addressLocality: 'Lisbon', addressCountry: 'PT' },
+    geo: { '@type': 'GeoCoordinates', latitude: '38.7189', longitude: '-9.1459' }
+  }
+}
+
+const toBase64 = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+
+const eml = [
+  'From: Aegean <noreply@aegeanair.com>',
+  'Subject: =?UTF-8?B?' + toBase64('Η κράτησή σας') + '?= XK7P2Q',
+  'Date: Mon, 5 Oct 2026 10:00:00 +0300',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary=inner',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Your flight A3 612 ATH =E2=86=92 LIS is confir=',
+  'med.',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  toBase64(`<html><body><script type="application/ld+json">${JSON.stringify(flightMarkup)}</script><p>Thanks</p></body></html>`),
+  '--inner--',
+  '--outer',
+  'Content-Type: application/pdf; name="e-ticket.pdf"',
+  'Content-Disposition: attachment; filename="e-ticket.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  toBase64('%PDF-1.4 fake'),
+  '--outer--',
+  ''
+].join('\r\n')
+
+describe('bookingParser', () => {
+  it('walks nested multipart emails and decodes their parts', () => {
+    const message = parseEml(eml)
+
+    expect(message.subject).toBe('Η κράτησή σας XK7P2Q')
+    expect(message.date).toBe('2026-10-05')
+    expect(message.text.trim()).toBe('Your flight A3 612 ATH → LIS is confirmed.')
+    expect(message.html).toContain('application/ld+json')
+    expect(message.attachments).toHaveLength(1)
+    expect(message.attachments[0]).toMatchObject({ filename: 'e-ticket.pdf', mimeType: 'application/pdf' })
+    expect(new TextDecoder().decode(message.attachments[0].bytes)).toBe('%PDF-1.4 fake')
+  })
+
+  it('decodes Q-encoded header words', () => {
+    expect(decodeMimeWords('=?ISO-8859-1?Q?R=E9servation_confirm=E9e?=')).toBe('Réservation confirmée')
+  })
+
+  it('reads flight and lodging reservations from schema.org markup', () => {
+    const html = `<script type="application/ld+json">${JSON.stringify({ '@graph': [flightMarkup, hotelMarkup] })}</script>`
+    const [flight, hotel] = reservationsFromJsonLd(extractJsonLd(html))
+
+    expect(flight).toMatchObject({
+      kind: 'flight',
+      name: 'A3612 ATH → LIS',
+      confirmation: 'XK7P2Q',
+      flightNumber: 'A3612',
+      airline: 'Aegean Airlines',
+      start: { date: '2026-10-24', time: '23:10' },
+      end: { date: '2026-10-25', time: '01:35' },
+      price: { amount: 245.8, currency: 'EUR' }
+    })
+    expect(hotel).toMatchObject({
+      kind: 'hotel',
+      name: 'Hotel Lisboa Plaza',
+      address: 'Travessa do Salitre 7, Lisbon, PT',
+      checkInTime: '15:00',
+      checkOutTime: '11:00',
+      latitude: 38.7189,
+      longitude: -9.1459,
+      price: { amount: 1234.5, currency: 'EUR' }
+    })
+  })
+
+  it('prefers markup over text when an email has both', () => {
+    const message = parseEml(eml)
+    const reservations = parseBookingConfirmation(message)
+
+    expect(reservations).toHaveLength(1)
+    expect(reservations[0].source).toBe('schema.org')
+  })
+
+  it('finds flight segments in PDF text next to airport codes', () => {
+    const text = [
+      'Booking reference: QW8E2R',
+      'Flight BA 632  London Heathrow (LHR)  Athens (ATH)  12 Jul 2026  07:25  13:20',
+      'Flight BA 633  Athens (ATH)  London Heathrow (LHR)  19 Jul 2026  14:35  16:50',
+      'Total paid: £ 389.40'
+    ].join('\n')
+    const [outbound, inbound] = reservationsFromText(text)
+
+    expect(outbound).toMatchObject({
+      name: 'BA632 LHR → ATH',
+      confirmation: 'QW8E2R',
+      start: { date: '2026-07-12', time: '07:25' },
+      end: { date: '2026-07-12', time: '13:20' },
+      price: { amount: 389.4, currency: 'GBP' }
+    })
+    expect(inbound).toMatchObject({ name: 'BA633 ATH → LHR', start: { date: '2026-07-19', time: '14:35' }, price: null })
+  })
+
+  it('finds a hotel stay from check-in and check-out dates', () => {
+    const text = 'Hotel Grande Bretagne\nConfirmation number: 84512377\nCheck-in: 20/08/2026 from 15:00\nCheck-out: 23/08/2026 until 12:00\nTotal price EUR 960,00'
+    const [stay] = reservationsFromText(text)
+
+    expect(stay).toMatchObject({
+      kind: 'hotel',
+      name: 'Hotel Grande Bretagne',
+      confirmation: '84512377',
+      start: { date: '2026-08-20', time: '15:00' },
+      end: { date: '2026-08-23', time: '12:00' },
+      price: { amount: 960, currency: 'EUR' }
+    })
+  })
+
+  it('ignores flight-like codes without airports and two-digit years before times', () => {
+    expect(reservationsFromText('Seat 14C on coach A1 2, see you at gate B12')).toEqual([])
+    expect(findDates('Departs 12 Mar 10:30').map(d => d.date)).toEqual([])
+  })
+
+  it('reads amounts with either decimal separator', () => {
+    expect(parsePrice('1.234,50')).toBe(1234.5)
+    expect(parsePrice('1,234.50')).toBe(1234.5)
+    expect(parsePrice('1.234')).toBe(1234)
+    expect(parsePrice('EUR 99')).toBe(99)
+    expect(parsePrice('n/a')).toBeNull()
+  })
+
+  it('builds one document and expense per booking and an event per segment', () => {
+    const returnFlight = {
+      ...flightMarkup,
+      reservationFor: { ...flightMarkup.reservationFor, flightNumber: '613', departureTime: '2026-10-30T09:00:00+00:00', arrivalTime: '2026-10-30T14:55:00+02:00' }
+    }
+    const batch = buildBookingBatch(reservationsFromJsonLd([flightMarkup, returnFlight, hotelMarkup]))
+
+    expect(batch.events.map(e => [e.data.type, e.data.date, e.data.startTime, e.data.endTime])).toEqual([
+      ['flight', '2026-10-24', '23:10', '01:35'],
+      ['flight', '2026-10-30', '09:00', '14:55'],
+      ['hotel', '2026-10-25', '15:00', null]
+    ])
+    expect(batch.events[2].data.checkOutDate).toBe('2026-10-28')
+    expect(batch.events[2].data.notes).not.toContain('Check-out')
+    expect(batch.documents.map(d => [d.data.type, d.data.documentNumber, d.data.name])).toEqual([
+      ['ticket', 'XK7P2Q', 'A3612 ATH → LIS, A3613 ATH → LIS'],
+      ['booking', 'HB-99812', 'Hotel Lisboa Plaza']
+    ])
+    expect(batch.expenses.map(e => [e.data.category, e.data.amount, e.data.currency])).toEqual([
+      ['transport', 245.8, 'EUR'],
+      ['accommodation', 1234.5, 'EUR']
+    ])
+  })
+
+  it('deselects duplicates and events outside the trip', () => {
+    const batch = buildBookingBatch(reservationsFromJsonLd([flightMarkup, hotelMarkup]))
+    const flagged = flagBookingConflicts(batch, {
+      events: [{ date: '2026-10-24T00:00:00Z', startTime: '23:10', name: 'a3612 ath → lis' }],
+      documents: [{ type: 'booking', documentNumber: 'hb-99812' }],
+      expenses: [],
+      startDate: '2026-10-20',
+      endDate: '2026-10-24'
+    })
+
+    expect(flagged.events.map(e => [e.conflict, e.selected])).toEqual([['duplicate', false], ['outsideTrip', false]])
+    expect(flagged.documents.map(d => d.conflict || null)).toEqual([null, 'duplicate'])
+    expect(flagged.expenses.every(e => e.selected)).toBe(true)
+  })
+})
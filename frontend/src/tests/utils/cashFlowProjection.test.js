@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { format } from 'date-fns'
+import {
+  buildCashFlowProjection,
+  calculateSafeToSpend,
+  getIncomeEvents,
+  getLoanEvents,
+  getSavingsEvents,
+  CASH_FLOW_EVENT_TYPES
+} from '../../features/finance/utils/cashFlowProjection'
+
+const TODAY = new Date(2026, 2, 10)
+const WINDOW = { start: TODAY, end: new Date(2026, 4, 8) }
+
+const keys = (events) => events.map(event => format(event.date, 'yyyy-MM-dd'))
+
+describe('cashFlowProjection', () => {
+  it('projects each recurring income series from its latest transaction', () => {
+    const salary = { type: 'income', category: 'salary', description: 'Salary', amount: 2000, isRecurring: true, recurrencePattern: 'monthly' }
+    const events = getIncomeEvents([
+      { ...salary, id: 'a', date: '2026-01-25' },
+      { ...salary, id: 'b', date: '2026-02-25' },
+      { type: 'income', category: 'gift', amount: 50, date: '2026-03-01' }
+    ], WINDOW)
+
+    expect(keys(events)).toEqual(['2026-03-25', '2026-04-25'])
+    expect(events[0]).toMatchObject({ type: CASH_FLOW_EVENT_TYPES.INCOME, amount: 2000 })
+  })
+
+  it('schedules loan instalments in the right direction until paid off', () => {
+    const events = getLoanEvents([
+      { id: 'l1', lentBy: 'Bank', borrowedBy: 'Me', hasInstallments: true, installmentAmount: 300, installmentFrequency: 'monthly', remainingAmount: 450, nextPaymentDate: '2026-03-15' },
+      { id: 'l2', lentBy: 'Me', borrowedBy: 'Alex', hasInstallments: true, installmentAmount: 50, installmentFrequency: 'monthly', remainingAmount: 500, nextPaymentDate: '2026-04-01' },
+      { id: 'l3', lentBy: 'Bank', hasInstallments: true, installmentAmount: 100, remainingAmount: 100, isSettled: true, nextPaymentDate: '2026-03-20' }
+    ], WINDOW)
+
+    expect(events.map(event => event.amount)).toEqual([-300, -150, 50, 50])
+  })
+
+  it('spreads savings contributions over the months left', () => {
+    const events = getSavingsEvents([
+      { id: 'g1', name: 'Holiday', targetAmount: 1000, currentAmount: 400, targetDate: '2026-06-30' },
+      { id: 'g2', name: 'Done', targetAmount: 100, currentAmount: 100, targetDate: '2026-06-30' }
+    ], WINDOW)
+
+    expect(keys(events)).toEqual(['2026-04-01', '2026-05-01'])
+    expect(events[0].amount).toBe(-200)
+  })
+
+  it('builds a daily balance and flags negative days', () => {
+    const projection = buildCashFlowProjection({
+      startingBalance: 500,
+      bills: [{ id: 'b1', name: 'Rent', amount: 800, frequency: 'monthly', dueDay: 12, nextDueDate: '2026-03-12' }],
+      transactions: [{ type: 'income', category: 'salary', amount: 1000, isRecurring: true, recurrencePattern: 'monthly', date: '2026-02-20' }],
+      today: TODAY,
+      days: 30
+    })
+
+    expect(projection.days).toHaveLength(30)
+    expect(projection.days[2]).toMatchObject({ key: '2026-03-12', outflow: 800, balance: -300, isNegative: true })
+    expect(projection.negativeDays.map(day => day.key)[0]).toBe('2026-03-12')
+    expect(projection.lowestBalance).toBe(-300)
+    expect(projection.endingBalance).toBe(700)
+    expect(projection.safeToSpend).toBe(0)
+  })
+
+  it('skips loans and goals already paid through a linked bill', () => {
+    const projection = buildCashFlowProjection({
+      startingBalance: 1000,
+      bills: [{ id: 'b1', name: 'Car', amount: 200, frequency: 'monthly', dueDay: 15, nextDueDate: '2026-03-15', notes: '[LOAN_REF:l1]' }],
+      loans: [{ id: 'l1', lentBy: 'Bank', hasInstallments: true, installmentAmount: 200, remainingAmount: 2000, nextPaymentDate: '2026-03-15' }],
+      today: TODAY,
+      days: 10
+    })
+
+    expect(projection.endingBalance).toBe(800)
+  })
+
+  it('keeps every projected day non-negative at the safe daily amount', () => {
+    const days = [100, 90, 30, 200].map(balance => ({ balance }))
+    // Day 3 allows 30 / 3 = 10 a day
+    expect(calculateSafeToSpend(days)).toBe(10)
+    expect(calculateSafeToSpend([{ balance: -5 }])).toBe(0)
+  })
+})
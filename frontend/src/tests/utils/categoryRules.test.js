@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import {
+  matchesRule,
+  applyCategoryRules,
+  previewCategoryRules,
+  validateRule,
+  createEmptyRule
+} from '../../features/finance/utils/categoryRules'
+
+const rule = (conditions, actions, extra = {}) => {
+  const base = createEmptyRule()
+  return {
+    ...base,
+    name: extra.name || 'rule',
+    ...extra,
+    conditions: { ...base.conditions, ...conditions },
+    actions: { ...base.actions, ...actions }
+  }
+}
+
+const lidl = rule({ descriptionContains: 'lidl' }, { category: 'groceries', tags: ['weekly'] }, { id: 'lidl' })
+
+describe('categoryRules', () => {
+  it('matches description case-insensitively', () => {
+    expect(matchesRule(lidl, { description: 'LIDL Athens 123', amount: 20 })).toBe(true)
+    expect(matchesRule(lidl, { description: 'Coffee', amount: 20 })).toBe(false)
+  })
+
+  it('ignores disabled rules', () => {
+    expect(matchesRule({ ...lidl, enabled: false }, { description: 'LIDL' })).toBe(false)
+  })
+
+  it('checks amount range, type, regex and account', () => {
+    const complex = rule({
+      type: 'expense',
+      merchantPattern: '^(ab|sklavenitis)',
+      minAmount: '10',
+      maxAmount: '50',
+      accountId: 'acc-1'
+    }, { category: 'groceries' })
+
+    const tx = { type: 'expense', description: 'Sklavenitis 44', amount: 25, bankAccountId: 'acc-1' }
+    expect(matchesRule(complex, tx)).toBe(true)
+    expect(matchesRule(complex, { ...tx, amount: 60 })).toBe(false)
+    expect(matchesRule(complex, { ...tx, type: 'income' })).toBe(false)
+    expect(matchesRule(complex, { ...tx, description: 'Shop AB' })).toBe(false)
+    expect(matchesRule(complex, { ...tx, bankAccountId: 'acc-2' })).toBe(false)
+  })
+
+  it('lets the first category win and collects tags from every match', () => {
+    const large = rule({ minAmount: '100' }, { category: 'shopping', tags: ['large', 'Weekly'] })
+    const result = applyCategoryRules([lidl, large], { description: 'Lidl', amount: 150, category: '', tags: [] })
+
+    expect(result.category).toBe('groceries')
+    expect(result.tags).toEqual(['weekly', 'large'])
+    expect(result.matchedRules).toHaveLength(2)
+    expect(result.changed).toBe(true)
+  })
+
+  it('previews only transactions that would change', () => {
+    const changes = previewCategoryRules([lidl], [
+      { id: 1, description: 'Lidl', amount: 10, category: 'other', tags: [] },
+      { id: 2, description: 'Lidl', amount: 10, category: 'groceries', tags: ['weekly'] },
+      { id: 3, description: 'Cinema', amount: 10, category: 'entertainment' }
+    ])
+
+    expect(changes).toHaveLength(1)
+    expect(changes[0].transaction.id).toBe(1)
+    expect(changes[0].category).toBe('groceries')
+    expect(changes[0].addedTags).toEqual(['weekly'])
+  })
+
+  it('validates rules', () => {
+    expect(validateRule(createEmptyRule())).toBe('categoryRules.errors.noCondition')
+    expect(validateRule(rule({ descriptionContains: 'x' }, {}))).toBe('categoryRules.errors.noAction')
+    expect(validateRule(rule({ merchantPattern: '(' }, { category: 'food' }))).toBe('categoryRules.errors.invalidPattern')
+    expect(validateRule(rule({ minAmount: '20', maxAmount: '10' }, { category: 'food' }))).toBe('categoryRules.errors.invalidRange')
+    expect(validateRule(lidl)).toBeNull()
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CHAT_ACTION_TYPES,
+  extractChatAction,
+  parseChatCommand,
+  resolveChatAction
+} from '../../features/ai/utils/chatActions'
+
+const today = new Date(2026, 9, 19)
+
+describe('chatActions', () => {
+  it('parses quick commands into actions', () => {
+    expect(parseChatCommand('add €12 coffee yesterday', today)).toEqual({
+      type: CHAT_ACTION_TYPES.ADD_TRANSACTION,
+      params: { amount: 12, description: 'coffee', category: 'food', date: '2026-10-18', transactionType: 'expense' }
+    })
+    expect(parseChatCommand('mark the electricity bill paid', today)).toEqual({
+      type: CHAT_ACTION_TYPES.MARK_BILL_PAID,
+      params: { billId: null, billName: 'electricity' }
+    })
+    expect(parseChatCommand('deposit 50,5 to the vacation goal', today).params).toEqual({
+      goalId: null,
+      goalName: 'vacation',
+      amount: 50.5
+    })
+    expect(parseChatCommand('add 2 eggs to the shopping list', today).params).toEqual({
+      listId: null,
+      listName: '',
+      name: 'eggs',
+      quantity: 2
+    })
+    expect(parseChatCommand('how much did I spend on coffee?', today)).toBeNull()
+  })
+
+  it('strips the action block from an assistant reply', () => {
+    const reply = 'Sure, I can log that.\n\n```action\n{"type":"add_transaction","params":{"amount":"8.50","description":"Lunch","date":"2026-10-19"}}\n```'
+    const { text, action } = extractChatAction(reply)
+
+    expect(text).toBe('Sure, I can log that.')
+    expect(action.params).toMatchObject({ amount: 8.5, description: 'Lunch', category: 'food', date: '2026-10-19' })
+  })
+
+  it('hides a partial block while streaming and rejects invalid actions', () => {
+    expect(extractChatAction('On it.\n```action\n{"type":"add_tr')).toEqual({ text: 'On it.', action: null })
+
+    const negative = '```action\n{"type":"add_savings_deposit","params":{"goalName":"Car","amount":-5}}\n```'
+    expect(extractChatAction(negative).action).toBeNull()
+
+    const unknown = '```action\n{"type":"delete_everything","params":{}}\n```'
+    expect(extractChatAction(unknown).action).toBeNull()
+  })
+
+  it('resolves targets by name and reports missing or ambiguous matches', () => {
+    const bills = [
+      { id: 'b1', name: 'Electricity', amount: 60 },
+      { id: 'b2', name: 'Water', amount: 20 },
+      { id: 'b3', name: 'Internet (old)', amount: 30, isActive: false }
+    ]
+    const action = parseChatCommand('mark the electricity bill paid', today)
+    expect(resolveChatAction(action, { bills }).params).toEqual({ billId: 'b1', billName: 'Electricity', amount: 60 })
+
+    const missing = parseChatCommand('mark internet paid', today)
+    expect(() => resolveChatAction(missing, { bills })).toThrow(expect.objectContaining({ code: 'not_found', target: 'internet' }))
+
+    const lists = [{ id: 'l1', name: 'Weekly' }, { id: 'l2', name: 'Party' }]
+    const item = parseChatCommand('add milk to the shopping list', today)
+    expect(() => resolveChatAction(item, { lists })).toThrow(expect.objectContaining({ code: 'ambiguous' }))
+    expect(resolveChatAction(item, { lists: [lists[0]] }).params.listId).toBe('l1')
+  })
+})
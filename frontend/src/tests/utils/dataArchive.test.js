@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import JSZip from 'jszip'
+import {
+  buildArchive,
+  collectFileRefs,
+  readArchive,
+  remapNoteRefs,
+  toRestorable,
+  validateArchive,
+  ARCHIVE_FORMAT,
+  ARCHIVE_PROBLEMS,
+  ARCHIVE_VERSION
+} from '../../features/profile/utils/dataArchive'
+
+const DATA = {
+  transactions: [{ id: 't1', amount: 12.5, category: 'food', attachmentUrl: 'https://cdn.test/receipts/r1.jpg', userId: 'u1' }],
+  loans: [{ id: 'l1', amount: 1000, lentBy: 'Bank' }],
+  loanPayments: [{ id: 'p1', loanId: 'l1', amount: 100 }],
+  recurringBills: [{ id: 'b1', name: 'Car', notes: 'Monthly [LOAN_REF:l1]', attachments: [{ id: 'a1', fileUrl: 'https://cdn.test/a1.pdf', fileName: 'contract.pdf' }] }],
+  trips: [{ id: 'tr1', name: 'Rome', documents: [{ id: 'd1', fileUrl: 'https://cdn.test/d1.pdf', fileName: 'ticket.pdf' }], events: [], packing: [], notes: [] }]
+}
+
+describe('dataArchive', () => {
+  it('collects receipts, bill attachments and travel documents', () => {
+    expect(collectFileRefs(DATA).map(ref => ref.path)).toEqual([
+      'files/transactions/t1/r1.jpg',
+      'files/recurringBills/b1/a1/contract.pdf',
+      'files/documents/d1/ticket.pdf'
+    ])
+  })
+
+  it('round-trips data and files through the archive', async () => {
+    const files = collectFileRefs(DATA).map(ref => ({ ...ref, content: `content of ${ref.name}` }))
+    const zip = await buildArchive(DATA, { files, exportedAt: new Date('2026-10-19T10:00:00Z'), type: 'uint8array' })
+    const archive = await readArchive(zip)
+
+    expect(archive.problems).toEqual([])
+    expect(archive.manifest).toMatchObject({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: '2026-10-19T10:00:00.000Z' })
+    expect(archive.manifest.counts).toMatchObject({ transactions: 1, budgets: 0, trips: 1 })
+    expect(archive.data.recurringBills[0].notes).toBe('Monthly [LOAN_REF:l1]')
+    expect(archive.data.shoppingLists).toEqual([])
+    expect(await archive.getFile('files/documents/d1/ticket.pdf', 'string')).toBe('content of ticket.pdf')
+  })
+
+  it('rejects foreign, newer and inconsistent archives', async () => {
+    expect(validateArchive({ format: 'other' }, {})).toEqual([{ code: ARCHIVE_PROBLEMS.NOT_ARCHIVE, params: {} }])
+    expect(validateArchive({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION + 1 }, {}))
+      .toEqual([{ code: ARCHIVE_PROBLEMS.UNSUPPORTED_VERSION, params: { version: ARCHIVE_VERSION + 1 } }])
+
+    const zip = await buildArchive({ ...DATA, loanPayments: [{ id: 'p2', loanId: 'missing' }] }, { type: 'uint8array' })
+    const tampered = await JSZip.loadAsync(zip)
+    tampered.file('data/budgets.json', '{ broken')
+    const archive = await readArchive(await tampered.generateAsync({ type: 'uint8array' }))
+    expect(archive.problems).toEqual([{ code: ARCHIVE_PROBLEMS.INVALID_SECTION, params: { section: 'budgets' } }])
+
+    const orphaned = await readArchive(zip)
+    expect(orphaned.problems).toEqual([{ code: ARCHIVE_PROBLEMS.ORPHAN_PAYMENTS, params: { count: 1 } }])
+    expect((await readArchive(new Uint8Array([1, 2, 3]))).problems).toEqual([{ code: ARCHIVE_PROBLEMS.NOT_ZIP, params: {} }])
+  })
+
+  it('strips server fields and remaps note references', () => {
+    expect(toRestorable(DATA.transactions[0], ['attachmentUrl'])).toEqual({ amount: 12.5, category: 'food' })
+
+    const idMaps = { loans: new Map([['l1', 'new-l1']]), savingsGoals: new Map() }
+    expect(remapNoteRefs('Pay [LOAN_REF:l1] and [SAVINGS_REF:g9]', idMaps)).toBe('Pay [LOAN_REF:new-l1] and [SAVINGS_REF:g9]')
+  })
+})
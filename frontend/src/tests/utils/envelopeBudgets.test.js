@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateEnvelope,
+  calculateEnvelopeSummary,
+  isEnvelopeBudget,
+  validateEnvelopeTransfer
+} from '../../features/finance/utils/envelopeBudgets'
+
+const groceries = { id: 'b1', category: 'groceries', amount: 300, period: 'monthly', isEnvelope: true, startDate: '2026-01-01' }
+const dining = { id: 'b2', category: 'dining', amount: 100, period: 'monthly', is_envelope: true, start_date: '2026-03-01' }
+
+const expense = (category, amount, date) => ({ type: 'expense', category, amount, date })
+
+describe('envelopeBudgets', () => {
+  it('only treats monthly envelope budgets as envelopes', () => {
+    expect(isEnvelopeBudget(groceries)).toBe(true)
+    expect(isEnvelopeBudget(dining)).toBe(true)
+    expect(isEnvelopeBudget({ ...groceries, period: 'yearly' })).toBe(false)
+    expect(isEnvelopeBudget({ ...groceries, isEnvelope: false })).toBe(false)
+  })
+
+  it('rolls unspent and overspent amounts into the next month', () => {
+    const transactions = [
+      expense('groceries', 250, '2026-01-10'),
+      expense('groceries', 380, '2026-02-12'),
+      expense('groceries', 120, '2026-03-03')
+    ]
+
+    const envelope = calculateEnvelope(groceries, { transactions, month: new Date(2026, 2, 15) })
+
+    // Jan: +50 left, Feb: 350 funded - 380 = -30, Mar: 270 funded
+    expect(envelope.carriedOver).toBe(-30)
+    expect(envelope.funded).toBe(270)
+    expect(envelope.spent).toBe(120)
+    expect(envelope.available).toBe(150)
+  })
+
+  it('applies transfers in the month they were made', () => {
+    const transfers = [
+      { fromBudgetId: 'b1', toBudgetId: 'b2', amount: 40, month: '2026-03-01' },
+      { fromBudgetId: null, toBudgetId: 'b2', amount: 10, month: '2026-03-01' }
+    ]
+
+    const envelope = calculateEnvelope(dining, { transfers, month: new Date(2026, 2, 20) })
+
+    expect(envelope.transfersIn).toBe(50)
+    expect(envelope.transfersOut).toBe(0)
+    expect(envelope.available).toBe(150)
+  })
+
+  it('tracks how much income is left to assign', () => {
+    const summary = calculateEnvelopeSummary({
+      budgets: [groceries, dining, { id: 'b3', category: 'fun', amount: 999, period: 'monthly' }],
+      transactions: [
+        { type: 'income', category: 'salary', amount: 1000, date: '2026-03-01' },
+        { type: 'income', category: 'salary', amount: 2000, date: '2026-02-01' }
+      ],
+      transfers: [
+        { fromBudgetId: null, toBudgetId: 'b1', amount: 50, month: '2026-03-01' },
+        { fromBudgetId: 'b2', toBudgetId: null, amount: 20, month: '2026-03-01' }
+      ],
+      month: new Date(2026, 2, 10)
+    })
+
+    expect(Object.keys(summary.envelopes)).toEqual(['b1', 'b2'])
+    expect(summary.income).toBe(1000)
+    expect(summary.assigned).toBe(430)
+    expect(summary.toAssign).toBe(570)
+  })
+
+  it('validates transfers against available money', () => {
+    const summary = { toAssign: 25, envelopes: { b1: { available: 80 }, b2: { available: -5 } } }
+
+    expect(validateEnvelopeTransfer({ fromBudgetId: 'b1', toBudgetId: 'b2', amount: 0 }, summary))
+      .toBe('budgets.envelope.errors.invalidAmount')
+    expect(validateEnvelopeTransfer({ fromBudgetId: 'b1', toBudgetId: 'b1', amount: 10 }, summary))
+      .toBe('budgets.envelope.errors.sameEnvelope')
+    expect(validateEnvelopeTransfer({ fromBudgetId: null, toBudgetId: 'b2', amount: 30 }, summary))
+      .toBe('budgets.envelope.errors.insufficientFunds')
+    expect(validateEnvelopeTransfer({ fromBudgetId: 'b1', toBudgetId: 'b2', amount: 80 }, summary)).toBeNull()
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import {
+  guessItineraryType,
+  icsEventsToItinerary,
+  parseContentLine,
+  parseICalendar,
+  resolveTimeZone
+} from '../../features/travel/utils/icalendar'
+
+const airlineConfirmation = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Example Air//Booking//EN',
+  'BEGIN:VEVENT',
+  'UID:A3612-20261024@example.com',
+  'DTSTART;TZID="Europe/Athens":20261024T231000',
+  'DTEND;TZID=Europe/Lisbon:20261025T013500',
+  'SUMMARY:Flight A3 612 ATH → LIS',
+  'DESCRIPTION:Booking reference: XK7P2Q\\nSeat 14C\\, window',
+  'LOCATION:Athens International Airport',
+  'BEGIN:VALARM',
+  'TRIGGER:-PT2H',
+  'DESCRIPTION:Alarm text',
+  'END:VALARM',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n')
+
+describe('icalendar', () => {
+  it('splits content lines with quoted parameters', () => {
+    expect(parseContentLine('DTSTART;TZID="America/New_York":20261024T090000')).toEqual({
+      name: 'DTSTART',
+      params: { TZID: 'America/New_York' },
+      value: '20261024T090000'
+    })
+    expect(parseContentLine('ATTENDEE;CN="Doe: Jane":mailto:jane@example.com').value).toBe('mailto:jane@example.com')
+  })
+
+  it('unfolds lines and unescapes text, ignoring nested alarms', () => {
+    const ics = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART:20261024T090000\r\nSUMMARY:Museum\r\n  tour\r\nDESCRIPTION:Line one\\nLine two\\; more\r\nBEGIN:VALARM\r\nDESCRIPTION:Reminder\r\nEND:VALARM\r\nEND:VEVENT\r\nEND:VCALENDAR'
+    const [event] = parseICalendar(ics)
+
+    expect(event.summary).toBe('Museum tour')
+    expect(event.description).toBe('Line one\nLine two; more')
+    expect(event.start).toEqual({ date: '2026-10-24', time: '09:00', timeZone: null, utc: false })
+  })
+
+  it('resolves IANA, Windows and prefixed TZIDs', () => {
+    expect(resolveTimeZone('Europe/Athens')).toBe('Europe/Athens')
+    expect(resolveTimeZone('GTB Standard Time')).toBe('Europe/Athens')
+    expect(resolveTimeZone('/mozilla.org/20050126_1/Europe/London')).toBe('Europe/London')
+    expect(resolveTimeZone('Nowhere Standard Time')).toBeNull()
+  })
+
+  it('maps an airline confirmation onto a flight arriving in its own zone', () => {
+    const [flight] = icsEventsToItinerary(parseICalendar(airlineConfirmation))
+
+    expect(flight).toMatchObject({
+      type: 'flight',
+      name: 'Flight A3 612 ATH → LIS',
+      date: '2026-10-24',
+      startTime: '23:10',
+      endTime: '01:35',
+      timeZone: 'Europe/Athens',
+      endTimeZone: 'Europe/Lisbon',
+      flightNumber: 'A3612',
+      departureAirport: 'ATH',
+      arrivalAirport: 'LIS',
+      confirmationNumber: 'XK7P2Q',
+      notes: 'Booking reference: XK7P2Q\nSeat 14C, window'
+    })
+  })
+
+  it('shows UTC times in the default zone', () => {
+    const ics = 'BEGIN:VEVENT\nDTSTART:20260715T170000Z\nDURATION:PT1H30M\nSUMMARY:Dinner at Taverna\nEND:VEVENT'
+    const [dinner] = icsEventsToItinerary(parseICalendar(ics), { defaultTimeZone: 'Europe/Athens' })
+
+    expect(dinner).toMatchObject({
+      type: 'restaurant',
+      date: '2026-07-15',
+      startTime: '20:00',
+      endTime: '21:30',
+      timeZone: 'Europe/Athens'
+    })
+  })
+
+  it('keeps all-day hotel stays on their check-in date', () => {
+    const ics = 'BEGIN:VEVENT\nDTSTART;VALUE=DATE:20261025\nDTEND;VALUE=DATE:20261028\nSUMMARY:Stay at Hotel Lisboa\nGEO:38.7223;-9.1393\nSTATUS:TENTATIVE\nEND:VEVENT'
+    const [stay] = icsEventsToItinerary(parseICalendar(ics))
+
+    expect(stay).toMatchObject({
+      type: 'hotel',
+      date: '2026-10-25',
+      startTime: null,
+      timeZone: null,
+      latitude: 38.7223,
+      longitude: -9.1393,
+      status: 'pending'
+    })
+  })
+
+  it('prefers a known category over keywords', () => {
+    expect(guessItineraryType({ categories: ['transit'], summary: 'Hotel shuttle' })).toBe('transit')
+    expect(guessItineraryType({ categories: ['work'], summary: 'Ferry to Paros' })).toBe('transit')
+    expect(guessItineraryType({ categories: [], summary: 'Acropolis walk' })).toBe('activity')
+  })
+})
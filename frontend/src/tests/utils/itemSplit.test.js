@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import {
+  allocateItemSplit,
+  getSplitItems,
+  isItemSplit,
+  toSplitItems
+} from '../../features/finance/utils/itemSplit'
+
+const items = [
+  { name: 'Milk', amount: 2, assignedTo: 'me' },
+  { name: 'Wine', amount: 8, assignedTo: 'partner' },
+  { name: 'Bread', amount: 2, assignedTo: 'shared' }
+]
+
+describe('itemSplit', () => {
+  it('spreads a discount over the items by price', () => {
+    const split = allocateItemSplit(items, 11.4)
+
+    expect(split.items.map(item => item.share)).toEqual([1.9, 7.6, 1.9])
+    expect(split.itemsTotal).toBe(12)
+    expect(split.adjustment).toBe(-0.6)
+    expect(split.owner).toBe(2.85)
+    expect(split.partner).toBe(8.55)
+    expect(split.ownerPercentage).toBe(25)
+  })
+
+  it('keeps every cent when shares do not divide evenly', () => {
+    const split = allocateItemSplit([
+      { amount: 1, assignedTo: 'me' },
+      { amount: 1, assignedTo: 'partner' },
+      { amount: 1, assignedTo: 'shared' }
+    ], 10)
+
+    expect(split.items.map(item => item.share)).toEqual([3.34, 3.33, 3.33])
+    // The odd shared cent goes to the owner
+    expect(split.owner).toBe(5.01)
+    expect(split.partner).toBe(4.99)
+  })
+
+  it('shares the whole amount when no item has a price', () => {
+    const split = allocateItemSplit([{ name: 'Milk', amount: '', assignedTo: 'me' }], 9)
+    expect(split.owner).toBe(4.5)
+    expect(split.partner).toBe(4.5)
+    expect(split.adjustment).toBe(0)
+  })
+
+  it('reads stored items and recognises item splits', () => {
+    const record = {
+      split_type: 'items',
+      split_items: [{ Name: 'Wine', Amount: '8', AssignedTo: 'someone' }]
+    }
+    expect(getSplitItems(record)).toEqual([{ name: 'Wine', quantity: 1, amount: 8, assignedTo: 'shared' }])
+    expect(isItemSplit(record)).toBe(true)
+    expect(isItemSplit({ splitType: 'items', splitItems: [] })).toBe(false)
+    expect(isItemSplit({ splitType: 'equal', splitItems: items })).toBe(false)
+  })
+
+  it('turns receipt line items into shared split items', () => {
+    expect(toSplitItems([{ name: 'Feta', quantity: 2, amount: 5.21 }])).toEqual([
+      { name: 'Feta', quantity: 2, amount: 5.21, assignedTo: 'shared' }
+    ])
+    expect(toSplitItems()).toEqual([])
+  })
+})
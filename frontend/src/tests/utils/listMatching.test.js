@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import {
+  matchListItems,
+  rankListsByMatches,
+  scoreItemMatch,
+  tokenizeItemName
+} from '../../features/shopping/utils/listMatching'
+
+describe('listMatching', () => {
+  it('drops accents, sizes and multipliers from item names', () => {
+    expect(tokenizeItemName('ΓΆΛΑ Φρέσκο 1L')).toEqual(['γαλα', 'φρεσκο'])
+    expect(tokenizeItemName('2 x Τυρί φέτα 400g')).toEqual(['τυρι', 'φετα'])
+  })
+
+  it('matches abbreviated receipt lines', () => {
+    expect(scoreItemMatch('ΜΠΑΝ. CHIQUITA', 'μπανάνες')).toBe(1)
+    expect(scoreItemMatch('Whole milk 1L', 'milk')).toBe(1)
+    expect(scoreItemMatch('Olive oil 1L', 'sunflower oil')).toBe(0.5)
+    expect(scoreItemMatch('Bread', 'butter')).toBe(0)
+  })
+
+  it('pairs each receipt line with at most one list item', () => {
+    const matches = matchListItems(
+      [{ name: 'ΓΑΛΑ ΦΡΕΣΚΟ 1L' }, { name: 'ΨΩΜΙ ΤΟΣΤ' }, { name: 'ΑΠΟΡΡΥΠΑΝΤΙΚΟ' }],
+      [{ id: 1, name: 'Ψωμί' }, { id: 2, name: 'Γάλα' }, { id: 3, name: 'Γάλα σοκολατούχο' }, { id: 4, name: 'Μήλα' }]
+    )
+
+    expect(matches.map(match => [match.listItem.id, match.receiptItem.name])).toEqual([
+      [1, 'ΨΩΜΙ ΤΟΣΤ'],
+      [2, 'ΓΑΛΑ ΦΡΕΣΚΟ 1L']
+    ])
+  })
+
+  it('ranks open lists by unticked matches', () => {
+    const receipt = [{ name: 'Milk' }, { name: 'Eggs x12' }]
+    const ranked = rankListsByMatches(receipt, [
+      { id: 'a', is_completed: false, items: [{ id: 1, name: 'Milk', isChecked: false }] },
+      { id: 'b', is_completed: false, items: [{ id: 2, name: 'Milk', isChecked: false }, { id: 3, name: 'Eggs', isChecked: false }] },
+      { id: 'c', is_completed: true, items: [{ id: 4, name: 'Milk', isChecked: false }, { id: 5, name: 'Eggs', isChecked: false }] },
+      { id: 'd', is_completed: false, items: [{ id: 6, name: 'Milk', isChecked: true }] }
+    ])
+
+    expect(ranked.map(({ list }) => list.id)).toEqual(['b', 'a'])
+    expect(ranked[0].matches).toHaveLength(2)
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getPeriodicRate,
+  getTermPeriods,
+  calculateInstallment,
+  buildAmortizationSchedule,
+  getLoanSchedule,
+  projectPayoffFromHistory,
+  simulateExtraRepayments
+} from '../../features/finance/utils/loanAmortization'
+
+const loan = {
+  amount: 10000,
+  remainingAmount: 10000,
+  interestRate: 6,
+  compoundingFrequency: 'monthly',
+  installmentFrequency: 'monthly',
+  durationYears: 2,
+  durationMonths: 0,
+  date: '2026-01-01T00:00:00Z'
+}
+
+describe('loanAmortization', () => {
+  it('converts nominal annual rates to periodic rates', () => {
+    expect(getPeriodicRate(6, 'monthly', 'monthly')).toBeCloseTo(0.005, 10)
+    expect(getPeriodicRate(12, 'annually', 'monthly')).toBeCloseTo(Math.pow(1.12, 1 / 12) - 1, 10)
+    expect(getPeriodicRate(0)).toBe(0)
+  })
+
+  it('counts term periods for the payment frequency', () => {
+    expect(getTermPeriods(loan)).toBe(24)
+    expect(getTermPeriods({ durationMonths: 6, installmentFrequency: 'weekly' })).toBe(26)
+    expect(getTermPeriods({})).toBe(0)
+  })
+
+  it('calculates the level instalment', () => {
+    expect(calculateInstallment(10000, 0.005, 24)).toBe(443.21)
+    expect(calculateInstallment(1200, 0, 12)).toBe(100)
+  })
+
+  it('builds a schedule that repays the loan', () => {
+    const schedule = getLoanSchedule(loan)
+
+    expect(schedule.periods).toBe(24)
+    expect(schedule.isPaidOff).toBe(true)
+    expect(schedule.rows[0].interest).toBe(50)
+    expect(schedule.rows[0].principal).toBe(393.21)
+    expect(schedule.rows[23].balance).toBe(0)
+    expect(schedule.totalInterest).toBeCloseTo(637, 0)
+  })
+
+  it('stops when the payment does not cover interest', () => {
+    const schedule = buildAmortizationSchedule({ principal: 1000, periodicRate: 0.1, installment: 50 })
+    expect(schedule.isPaidOff).toBe(false)
+    expect(schedule.payoffDate).toBeNull()
+  })
+
+  it('saves interest and time with extra repayments', () => {
+    const result = simulateExtraRepayments(loan, { extraPayment: 100, lumpSum: 1000, lumpSumPeriod: 3 })
+
+    expect(result.scenario.periods).toBeLessThan(result.base.periods)
+    expect(result.interestSaved).toBeGreaterThan(0)
+    expect(result.periodsSaved).toBe(result.base.periods - result.scenario.periods)
+  })
+
+  it('projects payoff from payment history', () => {
+    const today = new Date('2026-04-01T00:00:00Z')
+    const payments = [
+      { amount: 500, paymentDate: '2026-02-01' },
+      { amount: 500, paymentDate: '2026-03-01' },
+      { amount: 500, paymentDate: '2026-04-01' }
+    ]
+    const projection = projectPayoffFromHistory({ ...loan, remainingAmount: 8500 }, payments, today)
+
+    expect(projection.averagePayment).toBe(500)
+    expect(projection.periodsRemaining).toBe(18)
+    expect(projection.payoffDate).toBeInstanceOf(Date)
+    expect(projectPayoffFromHistory(loan, [], today)).toBeNull()
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import {
+  applyCurrency,
+  getBaseAmount,
+  getOriginalAmount,
+  getTransactionCurrency,
+  summarizeByCurrency
+} from '../../features/finance/utils/multiCurrency'
+
+describe('multiCurrency', () => {
+  it('defaults legacy transactions to the base currency', () => {
+    const legacy = { type: 'expense', amount: 42 }
+    expect(getTransactionCurrency(legacy)).toBe('EUR')
+    expect(getOriginalAmount(legacy)).toBe(42)
+    expect(getBaseAmount(legacy)).toBe(42)
+  })
+
+  it('stores the base amount and keeps the original amount and rate', () => {
+    const payload = applyCurrency({ type: 'expense', amount: 100 }, 'gbp', 1.1734)
+    expect(payload).toMatchObject({ amount: 117.34, currency: 'GBP', originalAmount: 100, exchangeRate: 1.1734 })
+
+    const base = applyCurrency({ type: 'expense', amount: 12.5, originalAmount: 10 }, 'EUR')
+    expect(base).toMatchObject({ amount: 12.5, currency: 'EUR', originalAmount: null, exchangeRate: null })
+
+    expect(() => applyCurrency({ amount: 5 }, 'USD', null)).toThrow()
+  })
+
+  it('reads converted amounts directly and converts rate-only rows', () => {
+    expect(getBaseAmount({ amount: 92, currency: 'USD', originalAmount: 100, exchangeRate: 0.92 })).toBe(92)
+    expect(getBaseAmount({ amount: 100, currency: 'USD', exchange_rate: 0.92 })).toBe(92)
+  })
+
+  it('summarises income and expenses per currency', () => {
+    const rows = summarizeByCurrency([
+      { type: 'expense', amount: 20 },
+      { type: 'expense', amount: 117.34, currency: 'GBP', originalAmount: 100 },
+      { type: 'income', amount: 46, currency: 'USD', originalAmount: 50 },
+      { type: 'expense', amount: 9.2, currency: 'USD', originalAmount: 10 },
+      { type: 'transfer', amount: 999 }
+    ])
+
+    expect(rows.map(row => row.currency)).toEqual(['GBP', 'USD', 'EUR'])
+    expect(rows[1]).toMatchObject({ count: 2, income: 50, expenses: 10, baseIncome: 46, baseExpenses: 9.2 })
+  })
+})
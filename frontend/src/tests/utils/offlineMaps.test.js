@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import {
+  boundsAround,
+  boundsContain,
+  fillTileUrl,
+  lngLatToTile,
+  offlineKey,
+  planEviction,
+  resolveMapboxUrl,
+  resolveTileTemplate,
+  styleFontStacks,
+  tilesForBounds
+} from '../../features/travel/utils/offlineMaps'
+
+describe('tile maths', () => {
+  it('finds the tile holding a point', () => {
+    expect(lngLatToTile(0, 0, 1)).toEqual({ x: 1, y: 1 })
+    // Acropolis, Athens
+    expect(lngLatToTile(23.7257, 37.9715, 14)).toEqual({ x: 9271, y: 6321 })
+  })
+
+  it('covers a bounding box at every zoom in the range', () => {
+    const bounds = boundsAround(37.9715, 23.7257, 4)
+    const tiles = tilesForBounds(bounds, 10, 12)
+    expect(new Set(tiles.map(tile => tile.z))).toEqual(new Set([10, 11, 12]))
+    expect(tiles).toContainEqual({ z: 12, ...lngLatToTile(23.7257, 37.9715, 12) })
+    expect(tiles.filter(tile => tile.z === 10).length).toBeLessThanOrEqual(4)
+  })
+
+  it('builds a box that contains its centre and not the next town', () => {
+    const bounds = boundsAround(37.9715, 23.7257, 4)
+    expect(boundsContain(bounds, 37.9715, 23.7257)).toBe(true)
+    // Piraeus is ~9 km away
+    expect(boundsContain(bounds, 37.942, 23.6465)).toBe(false)
+  })
+})
+
+describe('Mapbox URLs', () => {
+  it('resolves mapbox:// URLs the way the map requests them', () => {
+    expect(resolveMapboxUrl('mapbox://styles/mapbox/light-v11', 'tk'))
+      .toBe('https://api.mapbox.com/styles/v1/mapbox/light-v11?access_token=tk')
+    expect(resolveMapboxUrl('mapbox://sprites/mapbox/light-v11@2x.json', 'tk'))
+      .toBe('https://api.mapbox.com/styles/v1/mapbox/light-v11/sprite@2x.json?access_token=tk')
+    expect(resolveMapboxUrl('mapbox://mapbox.mapbox-streets-v8,mapbox.mapbox-terrain-v2', 'tk'))
+      .toBe('https://api.mapbox.com/v4/mapbox.mapbox-streets-v8,mapbox.mapbox-terrain-v2.json?secure&access_token=tk')
+    expect(resolveMapboxUrl('mapbox://fonts/mapbox/DIN Pro Medium/0-255.pbf', 'tk'))
+      .toBe('https://api.mapbox.com/fonts/v1/mapbox/DIN Pro Medium/0-255.pbf?access_token=tk')
+  })
+
+  it('routes Mapbox tile templates through the API host and keys them without the query', () => {
+    const template = resolveTileTemplate('https://a.tiles.mapbox.com/v4/mapbox.mapbox-streets-v8/{z}/{x}/{y}.vector.pbf', 'tk')
+    const url = fillTileUrl(template, { z: 14, x: 9271, y: 6321 })
+    expect(url).toBe('https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/14/9271/6321.vector.pbf?access_token=tk')
+    expect(offlineKey(`${url}&sku=abc`)).toBe('api.mapbox.com/v4/mapbox.mapbox-streets-v8/14/9271/6321.vector.pbf')
+    expect(resolveTileTemplate('https://tiles.example.com/{z}/{x}/{y}.png', 'tk')).toBe('https://tiles.example.com/{z}/{x}/{y}.png')
+  })
+
+  it('lists the literal font stacks a style uses', () => {
+    const style = {
+      layers: [
+        { layout: { 'text-font': ['DIN Pro Medium', 'Arial Unicode MS Regular'] } },
+        { layout: { 'text-font': ['DIN Pro Medium', 'Arial Unicode MS Regular'] } },
+        { layout: { 'text-font': ['step', ['zoom'], ['literal', ['A']], 10, ['literal', ['B']]] } },
+        { layout: {} }
+      ]
+    }
+    expect(styleFontStacks(style)).toEqual(['DIN Pro Medium,Arial Unicode MS Regular'])
+  })
+})
+
+describe('planEviction', () => {
+  const MB = 1024 * 1024
+  const packs = [
+    { id: 'rome', bytes: 40 * MB, lastUsed: 3 },
+    { id: 'paris', bytes: 30 * MB, lastUsed: 1 },
+    { id: 'athens', bytes: 50 * MB, lastUsed: 2 }
+  ]
+
+  it('evicts nothing while the download fits', () => {
+    expect(planEviction(packs, { incomingBytes: 20 * MB, budgetBytes: 200 * MB })).toEqual({ evict: [], fits: true })
+  })
+
+  it('evicts the least recently used packs first, sparing the ones asked for', () => {
+    expect(planEviction(packs, { incomingBytes: 60 * MB, budgetBytes: 150 * MB }))
+      .toEqual({ evict: ['paris'], fits: true })
+    expect(planEviction(packs, { incomingBytes: 60 * MB, budgetBytes: 150 * MB, keepIds: ['paris'] }))
+      .toEqual({ evict: ['athens'], fits: true })
+  })
+
+  it('says when even evicting everything is not enough', () => {
+    expect(planEviction(packs, { incomingBytes: 300 * MB, budgetBytes: 200 * MB, keepIds: ['rome'] }))
+      .toEqual({ evict: ['paris', 'athens'], fits: false })
+  })
+})
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import { openingIntervals, parseOpeningHours } from '../../features/travel/utils/openingHours'
+
+// 2026-10-19 is a Monday
+describe('openingIntervals', () => {
+  it('reads weekday ranges, split shifts and closed days', () => {
+    const hours = 'Mo-Fr 09:00-13:00,16:00-20:00; Sa 10:00-14:00; Su off'
+    expect(openingIntervals(hours, '2026-10-21')).toEqual([
+      { start: 540, end: 780 },
+      { start: 960, end: 1200 }
+    ])
+    expect(openingIntervals(hours, '2026-10-24')).toEqual([{ start: 600, end: 840 }])
+    expect(openingIntervals(hours, '2026-10-25')).toEqual([])
+  })
+
+  it('lets later rules override earlier ones and leaves unmentioned days closed', () => {
+    expect(openingIntervals('Mo-Su 10:00-18:00; Tu off', '2026-10-20')).toEqual([])
+    expect(openingIntervals('Sa-Mo 12:00-15:00', '2026-10-22')).toEqual([])
+    expect(openingIntervals('Sa-Mo 12:00-15:00', '2026-10-19')).toEqual([{ start: 720, end: 900 }])
+  })
+
+  it('carries late-night hours into the next morning', () => {
+    expect(openingIntervals('Fr-Sa 20:00-03:00', '2026-10-24')).toEqual([
+      { start: 0, end: 180 },
+      { start: 1200, end: 1620 }
+    ])
+  })
+
+  it('treats 24/7 as always open and anything it cannot read as unknown', () => {
+    expect(openingIntervals('24/7', '2026-10-19')).toEqual([{ start: 0, end: 1440 }])
+    expect(openingIntervals('Apr-Oct Mo-Su 09:00-19:00', '2026-10-19')).toBeNull()
+    expect(openingIntervals('sunrise-sunset', '2026-10-19')).toBeNull()
+    expect(parseOpeningHours('')).toBeNull()
+  })
+
+  it('ignores public holiday rules', () => {
+    expect(openingIntervals('Mo-Fr 08:00-17:00; PH off', '2026-10-19')).toEqual([{ start: 480, end: 1020 }])
+  })
+})
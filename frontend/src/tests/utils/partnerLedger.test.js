@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildPartnerLedger,
+  formatTransactionDescription,
+  getOwnerShare,
+  getSettlementSuggestion,
+  resolvePayer,
+  LEDGER_ENTRY_TYPES,
+  SETTLEMENT_DESCRIPTION
+} from '../../features/finance/utils/partnerLedger'
+
+const ME = 'user-me'
+const PARTNER = 'user-partner'
+
+const split = (overrides) => ({
+  id: Math.random().toString(36).slice(2),
+  type: 'expense',
+  category: 'groceries',
+  splitType: 'equal',
+  paidBy: 'me',
+  date: '2026-03-01',
+  ...overrides
+})
+
+describe('partnerLedger', () => {
+  it('reads the owner share from the split type', () => {
+    expect(getOwnerShare({ splitType: 'equal', splitPercentage: 80 })).toBe(0.5)
+    expect(getOwnerShare({ splitType: 'percentage', splitPercentage: 70 })).toBe(0.7)
+    expect(getOwnerShare({ splitType: 'custom' })).toBe(0.5)
+  })
+
+  it('flips the payer for records created by the partner', () => {
+    expect(resolvePayer({ paidBy: 'me' }, true)).toBe('me')
+    expect(resolvePayer({ paidBy: 'me' }, false)).toBe('partner')
+    expect(resolvePayer({ paidBy: 'partner' }, false)).toBe('me')
+  })
+
+  it('builds a running balance from both partners splits', () => {
+    const ledger = buildPartnerLedger({
+      currentUserId: ME,
+      transactions: [
+        split({ id: 'a', userId: ME, amount: 100, date: '2026-03-01' }),
+        split({ id: 'b', userId: PARTNER, amount: 60, splitType: 'percentage', splitPercentage: 50, date: '2026-03-02' }),
+        split({ id: 'c', userId: ME, amount: 40, paidBy: 'partner', splitType: 'percentage', splitPercentage: 75, date: '2026-03-03' }),
+        { id: 'd', userId: ME, type: 'expense', amount: 500, category: 'rent', date: '2026-03-04' }
+      ]
+    })
+
+    // +50 (I paid, partner owes half), -30 (partner paid), -30 (partner paid, my 75%)
+    expect(ledger.entries.map(entry => entry.effect)).toEqual([50, -30, -30])
+    expect(ledger.entries.map(entry => entry.balance)).toEqual([50, 20, -10])
+    expect(ledger.balance).toBe(-10)
+    expect(ledger.totals.paidByMe).toBe(100)
+    expect(ledger.totals.paidByPartner).toBe(100)
+  })
+
+  it('applies settlements and lists them newest first', () => {
+    const ledger = buildPartnerLedger({
+      currentUserId: ME,
+      transactions: [
+        split({ id: 'a', userId: PARTNER, amount: 80, date: '2026-03-01' }),
+        { id: 's1', userId: ME, type: 'expense', category: 'settlement', amount: 25, paidBy: 'me', date: '2026-03-05' },
+        { id: 's2', userId: PARTNER, type: 'income', category: 'settlement', amount: 15, paidBy: 'partner', date: '2026-03-06' }
+      ]
+    })
+
+    // -40 owed, I pay 25, then partner records receiving 15 from me
+    expect(ledger.balance).toBe(0)
+    expect(ledger.settlements.map(entry => entry.sourceId)).toEqual(['s2', 's1'])
+    expect(ledger.settlements[0].type).toBe(LEDGER_ENTRY_TYPES.SETTLEMENT)
+  })
+
+  it('includes only shared travel expenses in base currency', () => {
+    const ledger = buildPartnerLedger({
+      currentUserId: ME,
+      travelExpenses: [
+        { id: 't1', amount: 100, amountInBaseCurrency: 90, paidBy: 'me', splitPercentage: 50, date: '2026-04-01' },
+        { id: 't2', amount: 30, paidBy: null, splitPercentage: null, date: '2026-04-02' }
+      ]
+    })
+
+    expect(ledger.entries).toHaveLength(1)
+    expect(ledger.entries[0].type).toBe(LEDGER_ENTRY_TYPES.TRAVEL)
+    expect(ledger.balance).toBe(45)
+  })
+
+  it('works out line-item splits item by item', () => {
+    const ledger = buildPartnerLedger({
+      currentUserId: ME,
+      transactions: [
+        split({
+          id: 'i',
+          userId: PARTNER,
+          amount: 11.4,
+          paidBy: 'me',
+          splitType: 'items',
+          splitPercentage: 25,
+          splitItems: [
+            { name: 'Milk', amount: 2, assignedTo: 'me' },
+            { name: 'Wine', amount: 8, assignedTo: 'partner' },
+            { name: 'Bread', amount: 2, assignedTo: 'shared' }
+          ]
+        })
+      ]
+    })
+
+    // The partner paid; the 0.60 discount is spread by price, so my wine and half the bread come to 8.55
+    expect(ledger.entries[0].myShare).toBe(8.55)
+    expect(ledger.entries[0].partnerShare).toBe(2.85)
+    expect(ledger.balance).toBe(-8.55)
+  })
+
+  it('suggests who pays to settle the balance', () => {
+    expect(getSettlementSuggestion(45)).toEqual({ amount: 45, paidBy: 'partner' })
+    expect(getSettlementSuggestion(-12.5)).toEqual({ amount: 12.5, paidBy: 'me' })
+    expect(getSettlementSuggestion(0)).toBeNull()
+  })
+})
+
+describe('formatTransactionDescription', () => {
+  const t = (key) => `t:${key}`
+
+  it('translates the settle-up marker by direction', () => {
+    expect(formatTransactionDescription({ category: 'settlement', type: 'expense', description: SETTLEMENT_DESCRIPTION }, t))
+      .toBe('t:settleUp.paidDescription')
+    expect(formatTransactionDescription({ category: 'settlement', type: 'income', description: SETTLEMENT_DESCRIPTION }, t))
+      .toBe('t:settleUp.receivedDescription')
+  })
+
+  it('translates settlements saved with the old English text', () => {
+    expect(formatTransactionDescription({ category: 'settlement', type: 'income', description: 'Settle up: received from partner' }, t))
+      .toBe('t:settleUp.receivedDescription')
+  })
+
+  it('leaves user-written descriptions alone', () => {
+    expect(formatTransactionDescription({ category: 'settlement', type: 'expense', description: 'Rent share' }, t)).toBe('Rent share')
+    expect(formatTransactionDescription({ category: 'food', type: 'expense', description: 'settlement' }, t)).toBe('settlement')
+    expect(formatTransactionDescription({ category: 'food', type: 'expense' }, t)).toBe('')
+  })
+})
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PARTNER_SYNC_ENTITIES,
+  getPartnerSyncTargets,
+  parsePartnerActivity
+} from '../../shared/utils/partnerSyncTargets'
+
+describe('partnerSyncTargets', () => {
+  it('maps finance changes to the queries and cached endpoints they affect', () => {
+    const bill = getPartnerSyncTargets({ entity: PARTNER_SYNC_ENTITIES.RECURRING_BILL, action: 'paid', entityId: 'b1' })
+    expect(bill.queryKeys).toEqual(expect.arrayContaining([['recurringBills'], ['transactions'], ['analytics']]))
+    expect(bill.apiPaths).toEqual(['/api/recurringbills', '/api/transactions'])
+
+    const deposit = getPartnerSyncTargets({ entity: PARTNER_SYNC_ENTITIES.SAVINGS_GOAL, action: 'deposit', entityId: 'g1' })
+    expect(deposit.queryKeys).toContainEqual(['savingsGoals'])
+  })
+
+  it('ignores unknown entities', () => {
+    // Trips belong to one user and are never pushed to the partner
+    expect(getPartnerSyncTargets({ entity: 'trip', action: 'updated' })).toEqual({ queryKeys: [], apiPaths: [] })
+    expect(getPartnerSyncTargets({ entity: 'loan', action: 'created' })).toEqual({ queryKeys: [], apiPaths: [] })
+    expect(getPartnerSyncTargets(null).queryKeys).toEqual([])
+  })
+
+  it('parses presence activities', () => {
+    expect(parsePartnerActivity('shopping:42')).toEqual({ area: 'shopping', id: '42' })
+    expect(parsePartnerActivity('shopping')).toEqual({ area: 'shopping', id: null })
+    expect(parsePartnerActivity(null)).toBeNull()
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseReceiptAmount,
+  flattenOcrLines,
+  parseReceipt,
+  guessReceiptCategory,
+  buildReceiptDraft
+} from '../../features/finance/utils/receiptParser'
+
+const today = new Date(2026, 9, 19)
+const lines = (texts, confidence = 0.92) => texts.map(text => ({ text, confidence }))
+
+describe('receiptParser', () => {
+  it('parses amounts with either decimal separator', () => {
+    expect(parseReceiptAmount('12,50')).toBe(12.5)
+    expect(parseReceiptAmount('€ 3.20')).toBe(3.2)
+    expect(parseReceiptAmount('1.234,56')).toBe(1234.56)
+    expect(parseReceiptAmount('1,234.56')).toBe(1234.56)
+    expect(parseReceiptAmount('12')).toBeNull()
+  })
+
+  it('extracts merchant, date, total, VAT and items from a Greek supermarket receipt', () => {
+    const receipt = parseReceipt(lines([
+      'ΣΚΛΑΒΕΝΙΤΗΣ',
+      'ΛΕΩΦ. ΚΗΦΙΣΙΑΣ 10 15125 ΑΘΗΝΑ',
+      'ΑΦΜ 094012345',
+      '18/10/2026 19:42',
+      'ΓΑΛΑ ΦΡΕΣΚΟ 1L 1,89',
+      '2 x 0,95 ΨΩΜΙ 1,90',
+      'ΦΕΤΑ 400g 5,21',
+      'ΦΠΑ 13% 1,03',
+      'ΣΥΝΟΛΟ 9,00',
+      'ΜΕΤΡΗΤΑ 10,00',
+      'ΡΕΣΤΑ 1,00'
+    ]), { today })
+
+    expect(receipt.merchant).toBe('ΣΚΛΑΒΕΝΙΤΗΣ')
+    expect(receipt.date).toBe('2026-10-18')
+    expect(receipt.total).toBe(9)
+    expect(receipt.vat).toBe(1.03)
+    expect(receipt.vatRate).toBe(13)
+    expect(receipt.items).toEqual([
+      { name: 'ΓΑΛΑ ΦΡΕΣΚΟ 1L', quantity: 1, amount: 1.89 },
+      { name: 'ΨΩΜΙ', quantity: 2, amount: 1.9 },
+      { name: 'ΦΕΤΑ 400g', quantity: 1, amount: 5.21 }
+    ])
+    expect(receipt.category).toBe('food')
+    // Items add up to the total, which confirms it
+    expect(receipt.confidence.total).toBeGreaterThanOrEqual(0.9)
+  })
+
+  it('falls back to the largest amount and flags guesses with low confidence', () => {
+    const receipt = parseReceipt(lines([
+      'Corner Kiosk',
+      'Water 0,50',
+      'Chips 1,20',
+      '31/12/2027'
+    ], 0.7), { today })
+
+    expect(receipt.total).toBe(1.2)
+    expect(receipt.confidence.total).toBeLessThan(0.5)
+    // A future date is a misread: today is used instead
+    expect(receipt.date).toBe('2026-10-19')
+    expect(receipt.confidence.date).toBeLessThan(0.5)
+  })
+
+  it('flattens Tesseract blocks into lines with 0–1 confidence', () => {
+    const page = {
+      blocks: [{ paragraphs: [{ lines: [{ text: 'SHELL\n', confidence: 88 }, { text: '  ', confidence: 10 }] }] }]
+    }
+    expect(flattenOcrLines(page)).toEqual([{ text: 'SHELL', confidence: 0.88 }])
+    expect(flattenOcrLines({ blocks: null, text: 'A\nB', confidence: 50 })).toEqual([
+      { text: 'A', confidence: 0.5 },
+      { text: 'B', confidence: 0.5 }
+    ])
+  })
+
+  it('guesses categories and builds a form draft', () => {
+    expect(guessReceiptCategory('Shell Hellas').category).toBe('transport')
+    expect(guessReceiptCategory('Φαρμακείο Παπαδόπουλου').category).toBe('healthcare')
+    expect(guessReceiptCategory('Unknown Ltd')).toEqual({ category: 'other', confidence: 0.2 })
+
+    const receipt = parseReceipt(lines(['LIDL', '01.10.2026', 'Bananas 2,10', 'VAT 0,27', 'TOTAL 2,10']), { today })
+    const { draft, fieldConfidence } = buildReceiptDraft(receipt, { vat: 'VAT', items: 'Items' })
+
+    expect(draft).toMatchObject({ amount: 2.1, date: '2026-10-01', description: 'LIDL', category: 'food', vatAmount: 0.27 })
+    expect(draft.notes).toBe('VAT: 0.27\nItems:\n- Bananas: 2.10')
+    expect(Object.keys(fieldConfidence)).toEqual(['amount', 'date', 'description', 'category', 'notes'])
+  })
+})
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest'
+import {
+  estimateTravelMinutes,
+  fromMinutes,
+  planDay,
+  routeMinutes,
+  toMinutes
+} from '../../features/travel/utils/routeOptimizer'
+
+// Places on a line, 10 minutes apart per step
+const at = (x) => ({ latitude: 0, longitude: x })
+const travel = (from, to) => (from && to ? Math.abs(from.longitude - to.longitude) * 10 : 0)
+
+const stop = (id, x, extra = {}) => ({ id, name: id, ...at(x), duration: 60, ...extra })
+
+describe('planDay', () => {
+  it('visits stops in the order that travels least', () => {
+    const plan = planDay({
+      date: '2026-10-21',
+      origin: at(0),
+      stops: [stop('far', 3), stop('near', 1), stop('middle', 2)],
+      travel
+    })
+
+    expect(plan.order).toEqual(['near', 'middle', 'far'])
+    expect(plan.items.map(item => [item.id, item.startTime, item.travelMinutes])).toEqual([
+      ['near', '09:10', 10],
+      ['middle', '10:20', 10],
+      ['far', '11:30', 10]
+    ])
+    expect(plan.travelMinutes).toBe(30)
+    expect(plan.skipped).toEqual([])
+  })
+
+  it('keeps fixed events at their time and fits visits around them', () => {
+    const plan = planDay({
+      date: '2026-10-21',
+      origin: at(0),
+      fixed: [{ id: 'lunch', name: 'Lunch', ...at(1), startTime: '10:30', endTime: '11:30' }],
+      stops: [stop('a', 1), stop('b', 2)],
+      travel
+    })
+
+    const lunch = plan.items.find(item => item.id === 'lunch')
+    expect(lunch).toMatchObject({ kind: 'fixed', startTime: '10:30', endTime: '11:30', lateMinutes: 0 })
+    expect(plan.items.map(item => item.id)).toEqual(['a', 'lunch', 'b'])
+    expect(plan.items[2].startTime).toBe('11:40')
+  })
+
+  it('waits for a place to open and visits places before they close', () => {
+    const plan = planDay({
+      date: '2026-10-21',
+      origin: at(0),
+      stops: [
+        stop('museum', 1, { openingHours: 'Mo-Su 11:00-18:00' }),
+        stop('market', 2, { openingHours: 'Mo-Sa 07:00-11:00' })
+      ],
+      travel
+    })
+
+    // The market closes at 11:00, so it goes first even though it is further away
+    expect(plan.order).toEqual(['market', 'museum'])
+    expect(plan.items[1]).toMatchObject({ id: 'museum', startTime: '11:00' })
+    expect(plan.items[1].waitMinutes).toBeGreaterThan(0)
+  })
+
+  it('skips what cannot be fitted and says why', () => {
+    const plan = planDay({
+      date: '2026-10-25',
+      origin: at(0),
+      dayEnd: '11:00',
+      stops: [
+        stop('sunday-closed', 1, { openingHours: 'Mo-Sa 09:00-17:00' }),
+        stop('one', 1),
+        stop('two', 2),
+        stop('three', 3)
+      ],
+      travel
+    })
+
+    expect(plan.skipped.find(s => s.id === 'sunday-closed').reason).toBe('closed')
+    expect(plan.skipped.some(s => s.reason === 'noTime')).toBe(true)
+    expect(plan.items).toHaveLength(1)
+  })
+
+  it('keeps a given order when re-timing with real travel times', () => {
+    const plan = planDay({
+      date: '2026-10-21',
+      origin: at(0),
+      stops: [stop('a', 1), stop('b', 2)],
+      order: ['b', 'a'],
+      travel
+    })
+    expect(plan.order).toEqual(['b', 'a'])
+  })
+
+  it('searches larger days without trying every order', () => {
+    const stops = [5, 9, 1, 7, 3, 8, 2, 6, 4].map(x => stop(`s${x}`, x, { duration: 30 }))
+    const plan = planDay({ date: '2026-10-21', origin: at(0), stops, travel })
+    expect(plan.order).toEqual(['s1', 's2', 's3', 's4', 's5', 's6', 's7', 's8', 's9'])
+  })
+})
+
+describe('estimateTravelMinutes', () => {
+  it('walks short transit hops and adds waiting to longer ones', () => {
+    expect(estimateTravelMinutes(0.8, 'transit')).toBe(estimateTravelMinutes(0.8, 'walking'))
+    expect(estimateTravelMinutes(10, 'transit')).toBe(40)
+    expect(estimateTravelMinutes(4.8, 'walking')).toBe(60)
+  })
+
+  it('uses routed durations where the mode has them', () => {
+    expect(routeMinutes({ durationMin: 12.4, distanceKm: 5 }, 'driving')).toBe(17)
+    expect(routeMinutes({ durationMin: 12.4, distanceKm: 10 }, 'transit')).toBe(40)
+    expect(routeMinutes({ durationMin: null, distanceKm: null }, 'walking')).toBeNull()
+  })
+
+  it('converts times both ways', () => {
+    expect(toMinutes('09:05')).toBe(545)
+    expect(fromMinutes(545)).toBe('09:05')
+    expect(toMinutes('')).toBeNull()
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeDueContribution,
+  estimateMonthlyContribution,
+  getScheduleDates,
+  projectGoal,
+  roundUpAmount
+} from '../../features/finance/utils/savingsPlan'
+
+const goal = (plan, overrides = {}) => ({
+  id: 'g1',
+  targetAmount: 1000,
+  currentAmount: 200,
+  isAchieved: false,
+  contributionPlan: plan,
+  ...overrides
+})
+
+const transactions = [
+  { type: 'income', amount: 1500, date: '2026-10-01T00:00:00Z' },
+  { type: 'expense', amount: 4.2, date: '2026-10-02T00:00:00Z' },
+  { type: 'expense', amount: 12, date: '2026-10-03T00:00:00Z' },
+  { type: 'income', amount: 300, date: '2026-10-19T00:00:00Z' }
+]
+
+describe('savingsPlan', () => {
+  it('keeps monthly schedules on the start day, clamped in short months', () => {
+    const plan = { type: 'fixed', frequency: 'monthly', startDate: '2026-01-31T00:00:00Z' }
+
+    expect(getScheduleDates(plan, '2026-01-31', '2026-04-30')).toEqual(['2026-02-28', '2026-03-31', '2026-04-30'])
+  })
+
+  it('sums every fixed deposit missed since the last run', () => {
+    const plan = { type: 'fixed', amount: 50, frequency: 'weekly', startDate: '2026-09-28', lastRunAt: '2026-10-05T00:00:00Z' }
+
+    expect(computeDueContribution(goal(plan), [], '2026-10-19')).toEqual({ goalId: 'g1', amount: 100, through: '2026-10-19', count: 2 })
+    expect(computeDueContribution(goal({ ...plan, lastRunAt: '2026-10-19' }), [], '2026-10-19')).toBeNull()
+  })
+
+  it('includes the start date on the first run', () => {
+    const plan = { type: 'fixed', amount: 50, frequency: 'monthly', startDate: '2026-10-19' }
+
+    expect(computeDueContribution(goal(plan), [], '2026-10-19')?.through).toBe('2026-10-19')
+  })
+
+  it('takes a percentage of income up to yesterday', () => {
+    const plan = { type: 'percentage', percentage: 10, startDate: '2026-10-01', lastRunAt: null }
+
+    expect(computeDueContribution(goal(plan), transactions, '2026-10-19')).toEqual({ goalId: 'g1', amount: 150, through: '2026-10-18', count: 3 })
+  })
+
+  it('rounds expenses up and never goes past the target', () => {
+    const plan = { type: 'roundUp', roundUpTo: 5, startDate: '2026-10-01' }
+
+    expect(roundUpAmount(4.2)).toBe(0.8)
+    expect(roundUpAmount(12, 5)).toBe(3)
+    expect(roundUpAmount(10, 5)).toBe(0)
+    expect(computeDueContribution(goal(plan), transactions, '2026-10-19')?.amount).toBe(3.8)
+    expect(computeDueContribution(goal(plan, { currentAmount: 998 }), transactions, '2026-10-19')?.amount).toBe(2)
+    expect(computeDueContribution(goal(null), transactions, '2026-10-19')).toBeNull()
+  })
+
+  it('estimates monthly contributions', () => {
+    expect(estimateMonthlyContribution({ type: 'fixed', amount: 60, frequency: 'weekly' }, [], '2026-10-19')).toBe(260)
+    expect(estimateMonthlyContribution({ type: 'percentage', percentage: 10 }, transactions, '2026-10-19')).toBe(60.88)
+    expect(estimateMonthlyContribution(null, transactions, '2026-10-19')).toBeNull()
+  })
+
+  it('projects whether a goal meets its target date', () => {
+    const target = goal(null, { targetDate: '2027-10-19T00:00:00Z' })
+
+    const behind = projectGoal(target, 50, '2026-10-19')
+    expect(behind.onTrack).toBe(false)
+    expect(behind.requiredMonthly).toBe(66.71)
+
+    const ahead = projectGoal(target, 100, '2026-10-19')
+    expect(ahead.onTrack).toBe(true)
+    expect(ahead.projectedDate).toBe('2027-06-20')
+  })
+
+  it('uses the saving pace since creation when there is no plan', () => {
+    const projection = projectGoal(goal(null, { createdAt: '2026-06-19T00:00:00Z' }), null, '2026-10-19')
+
+    expect(projection.monthlyPace).toBeCloseTo(49.9, 1)
+    expect(projection.onTrack).toBeNull()
+    expect(projection.projectedDate).not.toBeNull()
+  })
+})
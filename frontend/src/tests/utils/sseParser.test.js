@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import { createSseParser } from '../../shared/utils/sseParser'
+
+const collect = () => {
+  const events = []
+  const parser = createSseParser(event => events.push(event))
+  return { events, parser }
+}
+
+describe('sseParser', () => {
+  it('parses JSON data events split across chunks', () => {
+    const { events, parser } = collect()
+    parser.push('data: {"content":"Hel')
+    parser.push('lo"}\n\ndata: {"content":" world"}\r\n')
+    parser.push('\r\ndata: {"done":true}\n\n')
+
+    expect(events).toEqual([
+      { event: 'message', data: { content: 'Hello' } },
+      { event: 'message', data: { content: ' world' } },
+      { event: 'message', data: { done: true } }
+    ])
+  })
+
+  it('keeps named events, ignores comments and joins multi-line data', () => {
+    const { events, parser } = collect()
+    parser.push(': keep-alive\n\nevent: error\ndata: {"message":"boom"}\n\ndata: line one\ndata: line two\n\n')
+
+    expect(events).toEqual([
+      { event: 'error', data: { message: 'boom' } },
+      { event: 'message', data: 'line one\nline two' }
+    ])
+  })
+
+  it('emits a trailing event without a blank line on flush', () => {
+    const { events, parser } = collect()
+    parser.push('data: {"content":"tail"}')
+    expect(events).toEqual([])
+
+    parser.flush()
+    expect(events).toEqual([{ event: 'message', data: { content: 'tail' } }])
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+  AMOUNT_CONVENTIONS,
+  DUPLICATE_TYPES,
+  applyMapping,
+  findLikelyDuplicates,
+  getHeaderSignature,
+  guessMapping,
+  parseAmountValue,
+  parseCsv,
+  parseDateValue
+} from '../../features/finance/utils/statementMapping'
+
+const greekStatement = [
+  '\uFEFFΑριθμός λογαριασμού;GR1234',
+  '',
+  'Ημερομηνία;Περιγραφή;Χρέωση;Πίστωση',
+  '05/03/2026;"ΣΚΛΑΒΕΝΙΤΗΣ; ΑΘΗΝΑ";45,20;',
+  '06/03/2026;ΜΙΣΘΟΔΟΣΙΑ;;1.850,00',
+  'Σύνολο;;45,20;1.850,00'
+].join('\r\n')
+
+describe('statementMapping', () => {
+  it('parses quoted CSV cells with a detected delimiter', () => {
+    const rows = parseCsv('Date,Description,Amount\n2026-03-05,"Coffee, ""Bean"" Bar",-3.50\n')
+
+    expect(rows).toEqual([
+      ['Date', 'Description', 'Amount'],
+      ['2026-03-05', 'Coffee, "Bean" Bar', '-3.50']
+    ])
+  })
+
+  it('guesses a Greek statement with debit and credit columns', () => {
+    const rows = parseCsv(greekStatement)
+    const mapping = guessMapping(rows)
+
+    expect(rows[0][0]).toBe('Αριθμός λογαριασμού')
+    expect(mapping.headerRow).toBe(1)
+    expect(mapping.columns).toEqual({ date: 0, description: 1, amount: null, debit: 2, credit: 3 })
+    expect(mapping.convention).toBe(AMOUNT_CONVENTIONS.SPLIT)
+    expect(mapping.decimalSeparator).toBe(',')
+    expect(mapping.dateFormat).toBe('d/M/yyyy')
+  })
+
+  it('turns rows into signed transactions and flags unreadable ones', () => {
+    const rows = parseCsv(greekStatement)
+    const mapped = applyMapping(rows, guessMapping(rows))
+
+    expect(mapped).toEqual([
+      { line: 3, date: '2026-03-05', amount: -45.2, description: 'ΣΚΛΑΒΕΝΙΤΗΣ; ΑΘΗΝΑ', error: null },
+      { line: 4, date: '2026-03-06', amount: 1850, description: 'ΜΙΣΘΟΔΟΣΙΑ', error: null },
+      { line: 5, date: null, amount: 1804.8, description: '', error: 'date' }
+    ])
+  })
+
+  it('applies the inverted sign convention for card statements', () => {
+    const rows = [['Date', 'Payee', 'Amount'], ['3/5/2026', 'Coffee', '4.20'], ['3/6/2026', 'Refund', '-10.00']]
+    const mapping = { ...guessMapping(rows), dateFormat: 'M/d/yyyy', convention: AMOUNT_CONVENTIONS.INVERTED }
+
+    expect(applyMapping(rows, mapping).map(row => [row.date, row.amount])).toEqual([
+      ['2026-03-05', -4.2],
+      ['2026-03-06', 10]
+    ])
+  })
+
+  it('reads amounts in the formats banks use', () => {
+    expect(parseAmountValue('1.234,56', ',')).toBe(1234.56)
+    expect(parseAmountValue('€ 1,234.56')).toBe(1234.56)
+    expect(parseAmountValue('(12.50)')).toBe(-12.5)
+    expect(parseAmountValue('12,50-', ',')).toBe(-12.5)
+    expect(parseAmountValue(-7)).toBe(-7)
+    expect(parseAmountValue('n/a')).toBeNull()
+  })
+
+  it('reads dates from text, spreadsheet dates and serial numbers', () => {
+    expect(parseDateValue('5.3.2026 14:22', 'd.M.yyyy')).toBe('2026-03-05')
+    expect(parseDateValue('05/03/26', 'd/M/yy')).toBe('2026-03-05')
+    expect(parseDateValue(new Date(Date.UTC(2026, 2, 5)), 'd/M/yyyy')).toBe('2026-03-05')
+    expect(parseDateValue(46086, 'd/M/yyyy')).toBe('2026-03-05')
+    expect(parseDateValue('31/02/2026', 'd/M/yyyy')).toBeNull()
+  })
+
+  it('flags rows matching existing transactions or earlier rows', () => {
+    const mapped = [
+      { line: 2, date: '2026-03-05', amount: -45.2, description: 'SKLAVENITIS ATHENS 0412', error: null },
+      { line: 3, date: '2026-03-05', amount: -45.2, description: 'SKLAVENITIS ATHENS 0412', error: null },
+      { line: 4, date: '2026-03-06', amount: 1850, description: 'SALARY', error: null },
+      { line: 5, date: '2026-03-09', amount: -12, description: 'CINEMA', error: null }
+    ]
+    const existing = [
+      { id: 't1', type: 'expense', amount: 45.2, date: '2026-03-04T00:00:00Z', description: 'Sklavenitis groceries' },
+      { id: 't2', type: 'expense', amount: 1850, date: '2026-03-06T00:00:00Z', description: 'Salary' },
+      { id: 't3', type: 'expense', amount: 12, date: '2026-03-01T00:00:00Z', description: 'Cinema' }
+    ]
+
+    const duplicates = findLikelyDuplicates(mapped, existing)
+
+    expect([...duplicates.keys()]).toEqual([2, 3])
+    expect(duplicates.get(2)).toEqual({ type: DUPLICATE_TYPES.EXISTING, transaction: existing[0] })
+    expect(duplicates.get(3)).toEqual({ type: DUPLICATE_TYPES.IN_FILE, line: 2 })
+  })
+
+  it('identifies a statement layout regardless of accents and case', () => {
+    expect(getHeaderSignature(['Ημερομηνία', ' Περιγραφή ', ''])).toBe(getHeaderSignature(['ΗΜΕΡΟΜΗΝΙΑ', 'περιγραφη']))
+  })
+})
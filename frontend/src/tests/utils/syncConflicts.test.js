@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import {
+  SYNC_CONFLICT_TYPES,
+  detectSyncConflict,
+  getConflictFields,
+  getSyncItemLabel,
+  mergeConflictFields
+} from '../../features/travel/utils/syncConflicts'
+
+const base = '2026-05-01T10:00:00Z'
+
+describe('detectSyncConflict', () => {
+  it('replays items without a base version', () => {
+    expect(detectSyncConflict({ action: 'create' }, null)).toBeNull()
+    expect(detectSyncConflict({ action: 'update', baseUpdatedAt: null }, { updatedAt: '2026-06-01T00:00:00Z' })).toBeNull()
+  })
+
+  it('flags edits of records deleted on the server but lets deletes through', () => {
+    expect(detectSyncConflict({ action: 'update', baseUpdatedAt: base }, null)).toBe(SYNC_CONFLICT_TYPES.DELETED_REMOTELY)
+    expect(detectSyncConflict({ action: 'delete', baseUpdatedAt: base }, null)).toBeNull()
+  })
+
+  it('flags server records changed after the local edit was based on them', () => {
+    const item = { action: 'update', baseUpdatedAt: base }
+    expect(detectSyncConflict(item, { updatedAt: '2026-05-01T10:05:00Z' })).toBe(SYNC_CONFLICT_TYPES.MODIFIED_REMOTELY)
+    expect(detectSyncConflict({ ...item, action: 'delete' }, { updatedAt: '2026-05-01T10:05:00Z' })).toBe(SYNC_CONFLICT_TYPES.MODIFIED_REMOTELY)
+    expect(detectSyncConflict(item, { updatedAt: base })).toBeNull()
+  })
+
+  it('replays when either version cannot be read', () => {
+    expect(detectSyncConflict({ action: 'update', baseUpdatedAt: base }, { updatedAt: null })).toBeNull()
+    expect(detectSyncConflict({ action: 'update', baseUpdatedAt: 'not a date' }, { updatedAt: base })).toBeNull()
+  })
+})
+
+describe('getConflictFields', () => {
+  it('lists differing user fields and skips bookkeeping ones', () => {
+    const mine = { id: 1, tripId: 2, title: 'Museum', notes: 'Tickets', tags: ['art'], updatedAt: 'x', _synced: false }
+    const theirs = { id: 1, tripId: 2, title: 'Museum', notes: 'Closed Mondays', tags: ['art'], updatedAt: 'y' }
+    expect(getConflictFields(mine, theirs)).toEqual([{ field: 'notes', mine: 'Tickets', theirs: 'Closed Mondays' }])
+  })
+
+  it('treats null and missing values as equal and ignores undefined local fields', () => {
+    expect(getConflictFields({ notes: null, location: undefined }, { location: 'Rome' })).toEqual([])
+  })
+
+  it('returns nothing when a side is missing', () => {
+    expect(getConflictFields({ title: 'A' }, null)).toEqual([])
+  })
+})
+
+describe('mergeConflictFields', () => {
+  it('keeps local values unless the server side was chosen', () => {
+    const mine = { title: 'Dinner', time: '20:00', notes: 'Window seat' }
+    const theirs = { title: 'Dinner out', time: '21:00', notes: null }
+    expect(mergeConflictFields(mine, theirs, { time: 'theirs', title: 'mine' }))
+      .toEqual({ title: 'Dinner', time: '21:00', notes: 'Window seat' })
+  })
+})
+
+describe('getSyncItemLabel', () => {
+  it('picks the first available name', () => {
+    expect(getSyncItemLabel({ title: 'Flight', description: 'AF123' })).toBe('Flight')
+    expect(getSyncItemLabel({ destination: 'Lisbon' })).toBe('Lisbon')
+    expect(getSyncItemLabel(null)).toBe('')
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  convertTime,
+  flightZones,
+  formatDayOffset,
+  resolveEventEnd,
+  todayIn,
+  zoneForDate
+} from '../../features/travel/utils/timeZones'
+
+const trip = { startDate: '2026-10-20', endDate: '2026-10-30', timeZone: 'Asia/Tokyo' }
+const cities = [
+  { name: 'Tokyo', order: 0, startDate: '2026-10-20', endDate: '2026-10-25', timeZone: 'Asia/Tokyo' },
+  { name: 'Honolulu', order: 1, startDate: '2026-10-25', endDate: '2026-10-30', timeZone: 'Pacific/Honolulu' }
+]
+
+describe('zoneForDate', () => {
+  it('uses the city the traveller is in, preferring the arrival city on travel days', () => {
+    expect(zoneForDate('2026-10-22', { trip, cities })).toBe('Asia/Tokyo')
+    expect(zoneForDate('2026-10-25', { trip, cities })).toBe('Pacific/Honolulu')
+    expect(zoneForDate('2026-10-28T00:00:00Z', { trip, cities })).toBe('Pacific/Honolulu')
+  })
+
+  it('falls back to the trip zone and ignores unknown zones', () => {
+    expect(zoneForDate('2026-11-05', { trip, cities })).toBe('Asia/Tokyo')
+    expect(zoneForDate('2026-10-22', { trip: { timeZone: 'Not/AZone' }, cities: [] })).toBeNull()
+  })
+})
+
+describe('todayIn', () => {
+  it('knows the date at the destination', () => {
+    // 20:00 UTC on the 21st is already the 22nd in Tokyo
+    const now = Date.UTC(2026, 9, 21, 20, 0)
+    expect(todayIn('Asia/Tokyo', now)).toBe('2026-10-22')
+    expect(todayIn('Pacific/Honolulu', now)).toBe('2026-10-21')
+  })
+})
+
+describe('flightZones', () => {
+  it('departs from home on the first day and lands at home on the last', () => {
+    expect(flightZones('2026-10-20', { trip, cities, homeZone: 'Europe/Athens' }))
+      .toEqual({ timeZone: 'Europe/Athens', endTimeZone: 'Asia/Tokyo' })
+    expect(flightZones('2026-10-30', { trip, cities, homeZone: 'Europe/Athens' }))
+      .toEqual({ timeZone: 'Pacific/Honolulu', endTimeZone: 'Europe/Athens' })
+  })
+
+  it('flies between cities on a change-over day', () => {
+    expect(flightZones('2026-10-25', { trip, cities, homeZone: 'Europe/Athens' }))
+      .toEqual({ timeZone: 'Asia/Tokyo', endTimeZone: 'Pacific/Honolulu' })
+  })
+})
+
+describe('resolveEventEnd', () => {
+  it('lands an overnight flight on the next day', () => {
+    const flight = { date: '2026-10-19', startTime: '23:10', endTime: '16:45', endTimeZone: 'Asia/Tokyo' }
+    expect(resolveEventEnd(flight, 'Europe/Athens')).toEqual({
+      date: '2026-10-20', time: '16:45', timeZone: 'Asia/Tokyo', dayOffset: 1
+    })
+  })
+
+  it('lands a date-line crossing eastbound on the calendar day it left', () => {
+    // Tokyo 20:00 is 11:00 UTC; Honolulu 08:30 the same date is 18:30 UTC
+    const flight = { date: '2026-10-25', startTime: '20:00', endTime: '08:30', endTimeZone: 'Pacific/Honolulu' }
+    expect(resolveEventEnd(flight, 'Asia/Tokyo')).toMatchObject({ date: '2026-10-25', dayOffset: 0 })
+  })
+
+  it('can land on the previous calendar day', () => {
+    // Apia 00:30 on the 22nd is 11:30 UTC on the 21st; five hours later Honolulu is 06:30 on the 21st
+    const flight = { date: '2026-10-22', startTime: '00:30', endTime: '06:30', endTimeZone: 'Pacific/Honolulu' }
+    expect(resolveEventEnd(flight, 'Pacific/Apia')).toMatchObject({ date: '2026-10-21', dayOffset: -1 })
+  })
+
+  it('lands a westbound date-line crossing two days later', () => {
+    const flight = { date: '2026-10-20', startTime: '22:00', endTime: '06:00', endTimeZone: 'Australia/Sydney' }
+    expect(resolveEventEnd(flight, 'America/Los_Angeles')).toMatchObject({ date: '2026-10-22', dayOffset: 2 })
+  })
+
+  it('keeps floating events in the same zone', () => {
+    expect(resolveEventEnd({ date: '2026-10-22', startTime: '22:00', endTime: '01:00' }, null))
+      .toEqual({ date: '2026-10-23', time: '01:00', timeZone: null, dayOffset: 1 })
+    expect(resolveEventEnd({ date: '2026-10-22', startTime: '10:00' }, 'Asia/Tokyo')).toBeNull()
+  })
+})
+
+describe('convertTime', () => {
+  it('shows a destination time in the home zone with a day marker', () => {
+    expect(convertTime('2026-10-22', '10:00', 'Asia/Tokyo', 'Europe/Athens'))
+      .toEqual({ date: '2026-10-22', time: '04:00', dayOffset: 0 })
+    expect(convertTime('2026-10-22', '05:00', 'Asia/Tokyo', 'America/New_York'))
+      .toEqual({ date: '2026-10-21', time: '16:00', dayOffset: -1 })
+    expect(formatDayOffset(-1)).toBe('−1')
+    expect(formatDayOffset(2)).toBe('+2')
+  })
+
+  it('leaves times alone when either zone is unknown', () => {
+    expect(convertTime('2026-10-22', '10:00', null, 'Europe/Athens'))
+      .toEqual({ date: '2026-10-22', time: '10:00', dayOffset: 0 })
+  })
+})
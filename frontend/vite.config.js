@@ -1,6 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+const requireFromTesseract = createRequire(require.resolve('tesseract.js/package.json'))
+
+// Receipt OCR engine and language data, served from our own origin under /tesseract/ so
+// scanning never depends on a CDN. Only the LSTM cores are needed (the service uses OEM 1);
+// Tesseract picks the SIMD variant the device supports.
+const OCR_VERSION = require('tesseract.js/package.json').version
+const OCR_ASSETS = {
+  'tesseract/worker.min.js': require.resolve('tesseract.js/dist/worker.min.js'),
+  'tesseract/core/tesseract-core-lstm.wasm.js': requireFromTesseract.resolve('tesseract.js-core/tesseract-core-lstm.wasm.js'),
+  'tesseract/core/tesseract-core-simd-lstm.wasm.js': requireFromTesseract.resolve('tesseract.js-core/tesseract-core-simd-lstm.wasm.js'),
+  'tesseract/core/tesseract-core-relaxedsimd-lstm.wasm.js': requireFromTesseract.resolve('tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js'),
+  'tesseract/lang/eng.traineddata.gz': require.resolve('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz'),
+  'tesseract/lang/ell.traineddata.gz': require.resolve('@tesseract.js-data/ell/4.0.0_best_int/ell.traineddata.gz')
+}
+
+const selfHostedOcr = () => ({
+  name: 'paire-self-hosted-ocr',
+  configureServer(server) {
+    server.middlewares.use((req, res, next) => {
+      const file = OCR_ASSETS[req.url.split('?')[0].replace(/^\//, '')]
+      if (!file) return next()
+      res.setHeader('Content-Type', file.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+      res.end(readFileSync(file))
+    })
+  },
+  generateBundle() {
+    for (const [fileName, file] of Object.entries(OCR_ASSETS)) {
+      this.emitFile({ type: 'asset', fileName, source: readFileSync(file) })
+    }
+  }
+})
 
 // https://vitejs.dev/config/
 export default defineConfig(({ mode }) => ({
@@ -9,9 +44,32 @@ export default defineConfig(({ mode }) => ({
   },
   plugins: [
     react(),
+    selfHostedOcr(),
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['paire-favicon.svg'],
+      workbox: {
+        // Shows finance alerts and travel notifications pushed by the backend; serves
+        // downloaded offline map packs
+        importScripts: ['push-handler.js', 'offline-tiles.js'],
+        // The OCR files (~16 MB, of which a device uses one ~4 MB core) are only fetched by
+        // users who scan receipts
+        globIgnores: ['tesseract/**'],
+        runtimeCaching: [
+          {
+            // Receipt OCR engine (worker, WASM core) and language data: cache-first keeps
+            // scanning available offline after the first use. The URLs are not hashed, so the
+            // cache is per Tesseract version
+            urlPattern: ({ url, sameOrigin }) => sameOrigin && url.pathname.includes('/tesseract/'),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: `receipt-ocr-engine-${OCR_VERSION}`,
+              expiration: { maxEntries: 10, maxAgeSeconds: 60 * 60 * 24 * 90 },
+              cacheableResponse: { statuses: [200] }
+            }
+          }
+        ]
+      },
       manifest: {
         name: 'Paire - Expense Manager',
         short_name: 'Paire',
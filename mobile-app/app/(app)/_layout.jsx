@@ -17,6 +17,7 @@ import { ScrollToTopProvider } from '../../context/ScrollToTopContext';
 import { LogoutProvider } from '../../context/LogoutContext';
 import { CalculatorProvider } from '../../context/CalculatorContext';
 import { OverlayProvider } from '../../context/OverlayContext';
+import { useNotifications } from '../../context/NotificationContext';
 import { authService } from '../../services/auth';
 import AppDrawerContent from '../../components/navigation/AppDrawerContent';
 import BackGestureOverlay from '../../components/navigation/BackGestureOverlay';
@@ -32,6 +33,7 @@ function AppLayoutContent() {
   const router = useRouter();
   const { theme } = useTheme();
   const { canGoBack } = useBackGestureContext();
+  const { registerAlertDevice } = useNotifications();
 
   useEffect(() => {
     if (!authService.isAuthenticated()) {
@@ -39,6 +41,11 @@ function AppLayoutContent() {
     }
   }, []);
 
+  // Signed in: let server-side finance alerts reach this device
+  useEffect(() => {
+    if (authService.isAuthenticated()) registerAlertDevice();
+  }, [registerAlertDevice]);
+
   return (
     <View style={styles.wrapper}>
       <Drawer
@@ -1,9 +1,9 @@
 /**
  * Bank Statement Import Screen (React Native)
  *
- * Upload CSV, Excel, or PDF bank statements to import transactions.
+ * Upload CSV, Excel, PDF, OFX, QIF or CAMT.053 bank statements to import transactions.
  * - Choose file via expo-document-picker
- * - Validate type (.csv, .xlsx, .xls, .pdf) and size (max 5MB)
+ * - Validate type (.csv, .xlsx, .xls, .pdf, .ofx, .qfx, .qif, .xml) and size (max 5MB)
  * - Upload to POST /api/transactions/import
  * - Show result (imported, skipped, errors)
  * - Import history list with revert (DELETE /api/imports/:id)
@@ -33,7 +33,7 @@ import { spacing, borderRadius, typography } from '../../constants/theme';
 import { Button, ConfirmationModal, ScreenHeader, useToast } from '../../components';
 
 const MAX_FILE_SIZE_BYTES = 5 * 1024 * 1024; // 5MB
-const VALID_EXTENSIONS = ['.csv', '.xlsx', '.xls', '.pdf'];
+const VALID_EXTENSIONS = ['.csv', '.xlsx', '.xls', '.pdf', '.ofx', '.qfx', '.qif', '.xml'];
 
 // MIME types for document picker (Expo)
 const PICKER_TYPES = [
@@ -41,6 +41,12 @@ const PICKER_TYPES = [
   'application/vnd.ms-excel',
   'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
   'application/pdf',
+  // OFX/QIF have no registered MIME type; most pickers report them as octet-stream
+  'application/x-ofx',
+  'application/x-qif',
+  'application/octet-stream',
+  'application/xml',
+  'text/xml',
 ];
 
 function getExtension(name) {
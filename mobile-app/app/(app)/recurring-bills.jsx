@@ -27,19 +27,18 @@ import {
   startOfDay,
   endOfMonth,
   addMonths,
-  addWeeks,
-  addYears,
   isBefore,
   isAfter,
   isSameMonth,
 } from 'date-fns';
-import { Plus, Pencil, Trash2, CheckCircle, Circle, Calendar, Paperclip, ExternalLink, Search, RotateCcw, CalendarClock } from 'lucide-react-native';
+import { Plus, Pencil, Trash2, CheckCircle, Circle, Calendar, Paperclip, ExternalLink, Search, RotateCcw, CalendarClock, SkipForward } from 'lucide-react-native';
 import {
   recurringBillService,
   loanPaymentService,
   savingsGoalService,
 } from '../../services/api';
 import { impactMedium, impactLight, notificationSuccess, notificationWarning } from '../../utils/haptics';
+import { buildMonthlyForecast, calculateUnpaidThrough } from '../../utils/billForecast';
 import { useTheme } from '../../context/ThemeContext';
 import { useBackGesture } from '../../context/BackGestureContext';
 import { usePrivacyMode } from '../../context/PrivacyModeContext';
@@ -201,6 +200,20 @@ export default function RecurringBillsScreen() {
     },
   });
 
+  // Skip: advance to the next due date without recording a payment
+  const skipMutation = useMutation({
+    mutationFn: (billId) => recurringBillService.skip(billId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['recurring-bills'] });
+      queryClient.invalidateQueries({ queryKey: ['recurringBillsSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['upcoming-bills'] });
+      showToast(t('recurringBills.skipSuccess', 'Bill skipped this time'), 'success');
+    },
+    onError: (error) => {
+      showToast(error?.response?.data?.message || error.message || t('recurringBills.errorSkipping', 'Failed to skip bill'), 'error');
+    },
+  });
+
   // Upload attachment
   const uploadAttachmentMutation = useMutation({
     mutationFn: ({ billId, file }) => recurringBillService.uploadAttachment(billId, file),
@@ -383,50 +396,15 @@ export default function RecurringBillsScreen() {
     [filteredActiveBills, excludeSectionIds]
   );
 
-  // Summary calculations (desktop parity)
-  const calculateCurrentMonthUnpaid = useCallback(() => {
-    const overdueTotal = activeBills
-      .filter((b) => isOverdue(getNextDueDate(b)))
-      .reduce((sum, b) => sum + parseFloat(b.amount || 0), 0);
-    const dueThisMonthTotal = activeBills
-      .filter((b) => {
-        const due = getNextDueDate(b);
-        if (!due) return false;
-        const d = new Date(due);
-        return isSameMonth(d, today) && !isOverdue(due);
-      })
-      .reduce((sum, b) => sum + parseFloat(b.amount || 0), 0);
-    return overdueTotal + dueThisMonthTotal;
-  }, [activeBills, isOverdue, getNextDueDate, today]);
-
-  const calculateNextMonthTotal = useCallback(() => {
-    const nextMonthDate = addMonths(today, 1);
-    const startOfNext = new Date(nextMonthDate.getFullYear(), nextMonthDate.getMonth(), 1);
-    const endOfNext = endOfMonth(nextMonthDate);
-    let total = 0;
-    activeBills.forEach((bill) => {
-      const amount = parseFloat(bill.amount || 0);
-      const freq = (bill.frequency || 'monthly').toLowerCase();
-      const nextDue = getNextDueDate(bill);
-      if (!nextDue) return;
-      let pointer = new Date(nextDue);
-      if (isAfter(pointer, endOfNext)) return;
-      let itemsChecked = 0;
-      while ((isBefore(pointer, endOfNext) || isSameMonth(pointer, endOfNext)) && itemsChecked < 52) {
-        itemsChecked++;
-        if (isSameMonth(pointer, nextMonthDate)) total += amount;
-        if (freq === 'weekly') pointer = addWeeks(pointer, 1);
-        else if (freq === 'monthly') pointer = addMonths(pointer, 1);
-        else if (freq === 'quarterly') pointer = addMonths(pointer, 3);
-        else if (freq === 'yearly') pointer = addYears(pointer, 1);
-        else pointer = addMonths(pointer, 1);
-      }
-    });
-    return total;
-  }, [activeBills, getNextDueDate, today]);
-
-  const currentMonthUnpaidAmount = useMemo(() => calculateCurrentMonthUnpaid(), [calculateCurrentMonthUnpaid]);
-  const nextMonthProjectedAmount = useMemo(() => calculateNextMonthTotal(), [calculateNextMonthTotal]);
+  // Summary calculations (desktop parity) — shared forecasting engine
+  const currentMonthUnpaidAmount = useMemo(
+    () => calculateUnpaidThrough(activeBills, currentMonthEnd, today),
+    [activeBills, currentMonthEnd, today]
+  );
+  const nextMonthProjectedAmount = useMemo(
+    () => buildMonthlyForecast(activeBills, { months: 2, today })[1].unpaid,
+    [activeBills, today]
+  );
 
   // Normalize isPaid (API may return isPaid or IsPaid)
   const getIsPaid = useCallback((bill) => bill?.isPaid ?? bill?.IsPaid ?? false, []);
@@ -511,6 +489,14 @@ export default function RecurringBillsScreen() {
     }
   }, [unmarkModal, unmarkPaidMutation, queryClient, showToast, t]);
 
+  const handleSkip = useCallback(
+    (item) => {
+      impactLight();
+      skipMutation.mutate(item.id);
+    },
+    [skipMutation]
+  );
+
   // Swipe left → delete (desktop parity): open delete confirmation
   const handleSwipeDelete = useCallback((item) => {
     impactLight();
@@ -703,6 +689,16 @@ export default function RecurringBillsScreen() {
                   <RotateCcw size={16} color={theme.colors.warning} />
                 </TouchableOpacity>
               )}
+              {!getIsPaid(item) && (
+                <TouchableOpacity
+                  style={[styles.quickActionBtn, { backgroundColor: `${theme.colors.primary}15` }]}
+                  onPress={() => handleSkip(item)}
+                  activeOpacity={0.7}
+                  accessibilityLabel={t('recurringBills.skipOccurrence', 'Skip this time')}
+                >
+                  <SkipForward size={16} color={theme.colors.primary} />
+                </TouchableOpacity>
+              )}
               <TouchableOpacity
                 style={[styles.quickActionBtn, { backgroundColor: `${theme.colors.error}15` }]}
                 onPress={() => setDeleteTarget(item)}
@@ -730,6 +726,7 @@ export default function RecurringBillsScreen() {
       handleMarkPaid,
       handleSwipeDelete,
       handleUnmarkPaid,
+      handleSkip,
     ]
   );
 
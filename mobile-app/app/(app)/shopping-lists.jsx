@@ -13,7 +13,7 @@
  * - Theme-aware styling
  */
 
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -47,6 +47,7 @@ import { shoppingListService } from '../../services/api';
 import { useTheme } from '../../context/ThemeContext';
 import { useBackGesture } from '../../context/BackGestureContext';
 import { usePrivacyMode } from '../../context/PrivacyModeContext';
+import { usePartnerSync } from '../../context/PartnerSyncContext';
 import { spacing, borderRadius, typography, shadows } from '../../constants/theme';
 import {
   Modal,
@@ -114,6 +115,19 @@ export default function ShoppingListsScreen() {
 
   const rowRefs = useRef({});
 
+  // Let the partner see which list is open, and show where they are
+  const { partnerPresence, setActivity } = usePartnerSync();
+  useEffect(() => {
+    setActivity(expandedListId ? `shopping:${expandedListId}` : 'shopping');
+  }, [expandedListId, setActivity]);
+  useEffect(() => () => setActivity(null), [setActivity]);
+
+  const partnerActivity = partnerPresence?.online ? partnerPresence.activity || '' : '';
+  const partnerShoppingListId = partnerActivity.startsWith('shopping')
+    ? partnerActivity.slice('shopping:'.length) || null
+    : undefined;
+  const isPartnerHere = partnerShoppingListId !== undefined;
+
   // Fetch shopping lists
   const { data, refetch, isLoading } = useQuery({
     queryKey: ['shopping-lists'],
@@ -585,6 +599,16 @@ export default function ShoppingListsScreen() {
           </View>
         }
       />
+      {isPartnerHere && (
+        <View style={styles.partnerBanner} accessibilityRole="text">
+          <View style={[styles.partnerDot, { backgroundColor: theme.colors.success }]} />
+          <Text style={[styles.partnerBannerText, { color: theme.colors.textSecondary }]}>
+            {partnerShoppingListId && String(partnerShoppingListId) === String(expandedListId)
+              ? t('partnerSync.viewingThisList', 'Partner is viewing this list')
+              : t('partnerSync.onShoppingLists', 'Partner is on shopping lists')}
+          </Text>
+        </View>
+      )}
       <FlatList
         data={items}
         keyExtractor={(i) => String(i.id)}
@@ -731,6 +755,21 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     gap: spacing.sm,
   },
+  partnerBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.sm,
+  },
+  partnerDot: {
+    width: 8,
+    height: 8,
+    borderRadius: borderRadius.full,
+  },
+  partnerBannerText: {
+    ...typography.caption,
+  },
   headerAddBtn: {
     width: 44,
     height: 44,
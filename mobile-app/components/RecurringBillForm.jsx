@@ -35,7 +35,9 @@ const BILL_CATEGORIES = [
 // Frequency options
 const FREQUENCY_OPTIONS = [
   { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 weeks' },
   { value: 'monthly', label: 'Monthly' },
+  { value: 'lastBusinessDay', label: 'Last business day' },
   { value: 'quarterly', label: 'Quarterly' },
   { value: 'yearly', label: 'Yearly' },
 ];
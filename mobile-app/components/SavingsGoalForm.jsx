@@ -128,6 +128,8 @@ export default function SavingsGoalForm({
         id: goal?.id,
         targetAmount: parseFloat(formData.targetAmount),
         currentAmount: parseFloat(formData.currentAmount) || 0,
+        // Plans are edited on the web; keep the goal's plan when saving here
+        contributionPlan: goal?.contributionPlan ?? null,
       };
 
       await onSubmit?.(submitData);
@@ -2,13 +2,16 @@
  * NotificationContext
  * 
  * Manages push notification state and preferences.
- * Handles notification initialization and response handling.
+ * Handles notification initialization and response handling, and registers the
+ * push token so server-side finance alerts reach this device.
  */
 
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { useRouter } from 'expo-router';
 import {
   registerForPushNotifications,
+  sendTokenToBackend,
+  removeTokenFromBackend,
   getNotificationPreferences,
   saveNotificationPreferences,
   addNotificationResponseListener,
@@ -20,6 +23,11 @@ import {
   sendWeeklySummary,
 } from '../services/notifications';
 import api from '../services/api';
+import { getToken } from '../services/auth';
+import { alertService } from '../features/notifications/services/alertService';
+
+// Preferences the server's alert rules use; changing one updates them for every device
+const ALERT_PREF_KEYS = ['billReminders', 'billReminderDays', 'budgetAlerts', 'budgetThreshold'];
 
 const NotificationContext = createContext(null);
 
@@ -130,6 +138,12 @@ export function NotificationProvider({ children }) {
       case 'budget_alert':
         router.push('/(app)/budgets');
         break;
+      case 'unusual_spending':
+        router.push('/(app)/expenses');
+        break;
+      case 'low_balance':
+        router.push('/(app)/(tabs)/dashboard');
+        break;
       case 'savings_milestone':
         router.push('/(app)/savings-goals');
         break;
@@ -153,6 +167,12 @@ export function NotificationProvider({ children }) {
     const merged = { ...preferences, ...newPrefs };
     setPreferences(merged);
     await saveNotificationPreferences(merged);
+
+    if (getToken() && ALERT_PREF_KEYS.some((key) => key in newPrefs)) {
+      alertService.syncPreferences(merged).catch((error) => {
+        console.error('Error syncing alert preferences:', error);
+      });
+    }
     
     // If notifications were enabled, register for push
     if (newPrefs.enabled && !pushToken) {
@@ -172,6 +192,7 @@ export function NotificationProvider({ children }) {
     if (token) {
       setPushToken(token);
       await updatePreferences({ enabled: true });
+      if (getToken()) await sendTokenToBackend(token);
       return true;
     }
     return false;
@@ -181,8 +202,15 @@ export function NotificationProvider({ children }) {
   const disablePushNotifications = useCallback(async () => {
     await cancelAllNotifications();
     await updatePreferences({ enabled: false });
+    if (pushToken && getToken()) await removeTokenFromBackend(pushToken);
     setPushToken(null);
-  }, [updatePreferences]);
+  }, [updatePreferences, pushToken]);
+
+  // Register this device for finance alerts; called once the user is signed in
+  const registerAlertDevice = useCallback(async () => {
+    if (!preferences.enabled || !pushToken || !getToken()) return false;
+    return await sendTokenToBackend(pushToken);
+  }, [preferences.enabled, pushToken]);
   
   const value = {
     pushToken,
@@ -192,6 +220,7 @@ export function NotificationProvider({ children }) {
     updatePreferences,
     enablePushNotifications,
     disablePushNotifications,
+    registerAlertDevice,
     handleNotificationResponse,
   };
   
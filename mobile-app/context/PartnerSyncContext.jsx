@@ -1,7 +1,8 @@
 /**
  * Partner Sync Context
  * Provides real-time partner activity notifications via SignalR
- * Shows toast when partner adds transactions
+ * Shows toast when partner adds transactions, refreshes every query holding
+ * shared data the partner changed, and exposes the partner's presence
  */
 
 import { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
@@ -12,9 +13,10 @@ import {
   startConnection,
   stopConnection,
   onPartnerTransactionAdded,
+  onPartnerDataChanged,
+  onPartnerPresenceChanged,
   onConnectionStateChanged,
-  isConnected,
-  getConnectionState,
+  setActivity,
 } from '../services/partnerSync';
 import { getToken } from '../services/auth';
 import { useToast } from '../components/Toast';
@@ -22,14 +24,30 @@ import { useToast } from '../components/Toast';
 const PartnerSyncContext = createContext({
   isConnected: false,
   connectionState: null,
+  partnerPresence: null,
+  setActivity: () => {},
 });
 
+/**
+ * Query keys to refresh per changed entity (entities match PartnerSyncEntities on the backend)
+ */
+const ENTITY_QUERY_KEYS = {
+  transaction: [['transactions'], ['expenses'], ['income'], ['budgets'], ['dashboard-analytics']],
+  budget: [['budgets'], ['dashboard-analytics']],
+  savingsGoal: [['savings-goals'], ['savingsGoals'], ['dashboard-analytics']],
+  // Marking a bill paid also records a transaction
+  recurringBill: [['recurring-bills'], ['recurringBillsSummary'], ['upcoming-bills'], ['transactions'], ['expenses']],
+  shoppingList: [['shopping-lists']],
+  shoppingItem: [['shopping-lists']],
+};
+
 export function PartnerSyncProvider({ children }) {
   const { t } = useTranslation();
   const queryClient = useQueryClient();
   const { showToast } = useToast();
   const [connected, setConnected] = useState(false);
   const [connectionState, setConnectionState] = useState(null);
+  const [partnerPresence, setPartnerPresence] = useState(null);
   const appState = useRef(AppState.currentState);
 
   // Handle partner transaction notifications
@@ -57,13 +75,18 @@ export function PartnerSyncProvider({ children }) {
           });
 
       showToast(message, 'info');
+    },
+    [t, showToast]
+  );
 
-      // Invalidate queries to refresh data
-      queryClient.invalidateQueries({ queryKey: ['transactions'] });
-      queryClient.invalidateQueries({ queryKey: ['dashboard-analytics'] });
-      queryClient.invalidateQueries({ queryKey: ['budgets'] });
+  // Refresh whatever the partner changed
+  const handlePartnerChange = useCallback(
+    (change) => {
+      (ENTITY_QUERY_KEYS[change?.entity] || []).forEach((queryKey) => {
+        queryClient.invalidateQueries({ queryKey });
+      });
     },
-    [t, showToast, queryClient]
+    [queryClient]
   );
 
   // Handle connection state changes
@@ -114,6 +137,8 @@ export function PartnerSyncProvider({ children }) {
   // Set up event listeners
   useEffect(() => {
     const unsubTransaction = onPartnerTransactionAdded(handlePartnerTransaction);
+    const unsubChange = onPartnerDataChanged(handlePartnerChange);
+    const unsubPresence = onPartnerPresenceChanged(setPartnerPresence);
     const unsubState = onConnectionStateChanged(handleConnectionStateChange);
 
     // Initial connection
@@ -121,16 +146,21 @@ export function PartnerSyncProvider({ children }) {
 
     return () => {
       unsubTransaction();
+      unsubChange();
+      unsubPresence();
       unsubState();
       disconnect();
+      setPartnerPresence(null);
     };
-  }, [handlePartnerTransaction, handleConnectionStateChange, connect, disconnect]);
+  }, [handlePartnerTransaction, handlePartnerChange, handleConnectionStateChange, connect, disconnect]);
 
   return (
     <PartnerSyncContext.Provider
       value={{
         isConnected: connected,
         connectionState,
+        partnerPresence,
+        setActivity,
         reconnect: connect,
       }}
     >
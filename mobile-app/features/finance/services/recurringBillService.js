@@ -12,6 +12,7 @@ export const recurringBillService = {
   async delete(id) { await request('delete', `/api/recurringbills/${id}`); },
   async markPaid(id) { return request('post', `/api/recurringbills/${id}/mark-paid`); },
   async unmarkPaid(id) { return request('post', `/api/recurringbills/${id}/unmark-paid`); },
+  async skip(id) { return request('post', `/api/recurringbills/${id}/skip`); },
   async getUpcoming(days = 30) { return request('get', `/api/recurringbills/upcoming?days=${days}`); },
   async getSummary() { return request('get', '/api/recurringbills/summary'); },
   async uploadAttachment(id, file) {
@@ -0,0 +1,39 @@
+/**
+ * Alert Service
+ * Finance alerts (budgets, bills, low balance, unusual spending) are raised on the
+ * server and pushed to this phone through Expo once its push token is registered.
+ */
+
+import { Platform } from 'react-native';
+import { request } from '../../../shared/services/apiClient';
+import { reminderService } from './reminderService';
+
+export const alertService = {
+  async registerDevice(pushToken) {
+    return request('post', '/api/alerts/devices', {
+      kind: 'expo',
+      endpoint: pushToken,
+      userAgent: `${Platform.OS} ${Platform.Version}`,
+    });
+  },
+  async unregisterDevice(pushToken) {
+    return request('delete', `/api/alerts/devices?endpoint=${encodeURIComponent(pushToken)}`);
+  },
+  async check() { return request('post', '/api/alerts/check'); },
+
+  /**
+   * Copy the alert categories set on this phone to the server, which applies them on every device
+   * @param {object} prefs - Local notification preferences
+   */
+  async syncPreferences(prefs) {
+    const settings = await reminderService.getSettings();
+    return reminderService.updateSettings({
+      ...settings,
+      billRemindersEnabled: prefs.billReminders,
+      billReminderDays: prefs.billReminderDays,
+      budgetAlertsEnabled: prefs.budgetAlerts,
+      budgetAlertThreshold: prefs.budgetThreshold,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    });
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * Metro configuration
+ * Extends Expo's defaults so the app can import pure modules from the web app
+ * (frontend/src) instead of keeping ported copies, e.g. utils/billForecast.js.
+ */
+const path = require('path');
+const { getDefaultConfig } = require('expo/metro-config');
+
+const projectRoot = __dirname;
+const webSourceRoot = path.resolve(projectRoot, '../frontend/src');
+
+const config = getDefaultConfig(projectRoot);
+
+config.watchFolders = [...(config.watchFolders || []), webSourceRoot];
+// Shared web modules resolve their packages (e.g. date-fns) from the app when the web app isn't installed
+config.resolver.nodeModulesPaths = [
+  ...(config.resolver.nodeModulesPaths || []),
+  path.resolve(projectRoot, 'node_modules'),
+];
+
+module.exports = config;
@@ -24,6 +24,9 @@ const KEYS = {
   USER: 'paire_user',
 };
 
+// Expo push token saved by services/notifications
+const PUSH_TOKEN_KEY = 'paire_push_token';
+
 // In-memory cache for fast access
 let cachedToken = null;
 let cachedRefreshToken = null;
@@ -302,6 +305,12 @@ export const authService = {
     try {
       const token = getToken();
       if (token) {
+        // Stop finance alerts reaching this device once signed out
+        const pushToken = await AsyncStorage.getItem(PUSH_TOKEN_KEY).catch(() => null);
+        if (pushToken) {
+          await authApiRequest(`/api/alerts/devices?endpoint=${encodeURIComponent(pushToken)}`, { method: 'DELETE' })
+            .catch(() => null);
+        }
         try {
           await authApiRequest('/api/auth/logout', { method: 'POST' });
         } catch (error) {
@@ -12,6 +12,7 @@ import Constants from 'expo-constants';
 import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import i18n from '../i18n/config';
+import { alertService } from '../features/notifications/services/alertService';
 
 // Storage keys
 const PUSH_TOKEN_KEY = 'paire_push_token';
@@ -155,17 +156,29 @@ export async function getStoredPushToken() {
 }
 
 /**
- * Send push token to backend server
+ * Register the push token with the backend so server-side finance alerts reach this device
  * @param {string} token - The Expo push token
- * @param {string} userId - The user's ID
+ * @returns {Promise<boolean>} Whether the token was registered
  */
-export async function sendTokenToBackend(token, userId) {
+export async function sendTokenToBackend(token) {
   try {
-    // TODO: Implement API call to send token to backend
-    // await api.post('/notifications/register', { token, userId });
-    console.log('Push token registered:', token, 'for user:', userId);
+    await alertService.registerDevice(token);
+    return true;
   } catch (error) {
     console.error('Error sending push token to backend:', error);
+    return false;
+  }
+}
+
+/**
+ * Stop server-side finance alerts reaching this device
+ * @param {string} token - The Expo push token
+ */
+export async function removeTokenFromBackend(token) {
+  try {
+    await alertService.unregisterDevice(token);
+  } catch (error) {
+    console.error('Error removing push token from backend:', error);
   }
 }
 
@@ -448,6 +461,7 @@ export default {
   registerForPushNotifications,
   getStoredPushToken,
   sendTokenToBackend,
+  removeTokenFromBackend,
   scheduleLocalNotification,
   scheduleBillReminder,
   sendBudgetAlert,
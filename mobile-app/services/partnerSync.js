@@ -1,6 +1,7 @@
 /**
  * Partner Sync Service using SignalR
- * Handles real-time notifications when partner adds transactions
+ * Handles real-time notifications of the partner's changes to shared data
+ * (transactions, budgets, savings goals, bills, shopping lists) and their presence
  */
 
 import * as signalR from '@microsoft/signalr';
@@ -11,6 +12,7 @@ const HUB_URL = `${API_URL}/hubs/partner`;
 
 let connection = null;
 let reconnectAttempts = 0;
+let currentActivity = null;
 const MAX_RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY_MS = 3000;
 
@@ -19,9 +21,24 @@ const RECONNECT_DELAY_MS = 3000;
  */
 const listeners = {
   onPartnerTransactionAdded: [],
+  onPartnerDataChanged: [],
+  onPartnerPresenceChanged: [],
   onConnectionStateChanged: [],
 };
 
+/**
+ * Call every listener of one kind, isolating listener errors
+ */
+const notifyListeners = (name, payload) => {
+  listeners[name].forEach((cb) => {
+    try {
+      cb(payload);
+    } catch (e) {
+      console.warn(`Error in ${name} listener:`, e);
+    }
+  });
+};
+
 /**
  * Add a listener for partner transaction events
  * @param {Function} callback - Called with transaction data when partner adds a transaction
@@ -36,6 +53,34 @@ export const onPartnerTransactionAdded = (callback) => {
   };
 };
 
+/**
+ * Add a listener for any change the partner makes to shared data
+ * @param {Function} callback - Called with { entity, action, entityId, parentId, data, partnerName, occurredOn }
+ * @returns {Function} - Unsubscribe function
+ */
+export const onPartnerDataChanged = (callback) => {
+  listeners.onPartnerDataChanged.push(callback);
+  return () => {
+    listeners.onPartnerDataChanged = listeners.onPartnerDataChanged.filter(
+      (cb) => cb !== callback
+    );
+  };
+};
+
+/**
+ * Add a listener for the partner's presence
+ * @param {Function} callback - Called with { userId, online, activity, lastSeen }
+ * @returns {Function} - Unsubscribe function
+ */
+export const onPartnerPresenceChanged = (callback) => {
+  listeners.onPartnerPresenceChanged.push(callback);
+  return () => {
+    listeners.onPartnerPresenceChanged = listeners.onPartnerPresenceChanged.filter(
+      (cb) => cb !== callback
+    );
+  };
+};
+
 /**
  * Add a listener for connection state changes
  * @param {Function} callback - Called with 'connected', 'disconnected', or 'reconnecting'
@@ -54,13 +99,17 @@ export const onConnectionStateChanged = (callback) => {
  * Notify all listeners of a connection state change
  */
 const notifyConnectionState = (state) => {
-  listeners.onConnectionStateChanged.forEach((cb) => {
-    try {
-      cb(state);
-    } catch (e) {
-      console.warn('Error in connection state listener:', e);
-    }
-  });
+  notifyListeners('onConnectionStateChanged', state);
+};
+
+/**
+ * Re-send the current activity and fetch the partner's presence after (re)connecting
+ */
+const restoreActivityAndPresence = () => {
+  if (currentActivity) {
+    connection?.invoke('SetActivity', currentActivity).catch(() => {});
+  }
+  refreshPartnerPresence();
 };
 
 /**
@@ -82,7 +131,8 @@ export const startConnection = async () => {
   try {
     connection = new signalR.HubConnectionBuilder()
       .withUrl(HUB_URL, {
-        accessTokenFactory: () => token,
+        // Read on every (re)connect so a refreshed token is used
+        accessTokenFactory: () => getToken() || token,
       })
       .withAutomaticReconnect({
         nextRetryDelayInMilliseconds: (retryContext) => {
@@ -96,15 +146,22 @@ export const startConnection = async () => {
       .build();
 
     // Set up event handlers
-    connection.on('PartnerTransactionAdded', (data) => {
-      console.log('[PartnerSync] Partner transaction received:', data);
-      listeners.onPartnerTransactionAdded.forEach((cb) => {
-        try {
-          cb(data);
-        } catch (e) {
-          console.warn('Error in partner transaction listener:', e);
-        }
-      });
+    connection.on('PartnerDataChanged', (change) => {
+      console.log('[PartnerSync] Partner change received:', change?.entity, change?.action);
+      notifyListeners('onPartnerDataChanged', change);
+
+      // Keep the transaction-added shape existing listeners expect
+      if (change?.entity === 'transaction' && change.action === 'created') {
+        const transaction = change.data?.transaction ?? change.data ?? {};
+        notifyListeners('onPartnerTransactionAdded', {
+          ...transaction,
+          partnerName: change.partnerName,
+        });
+      }
+    });
+
+    connection.on('PartnerPresenceChanged', (presence) => {
+      notifyListeners('onPartnerPresenceChanged', presence);
     });
 
     connection.onreconnecting(() => {
@@ -116,6 +173,8 @@ export const startConnection = async () => {
       console.log('[PartnerSync] Reconnected');
       reconnectAttempts = 0;
       notifyConnectionState('connected');
+      // Presence and activity are per connection on the server
+      restoreActivityAndPresence();
     });
 
     connection.onclose((error) => {
@@ -136,6 +195,7 @@ export const startConnection = async () => {
     console.log('[PartnerSync] Connected to partner hub');
     reconnectAttempts = 0;
     notifyConnectionState('connected');
+    restoreActivityAndPresence();
   } catch (error) {
     console.error('[PartnerSync] Connection error:', error);
     notifyConnectionState('disconnected');
@@ -148,6 +208,7 @@ export const startConnection = async () => {
  * @returns {Promise<void>}
  */
 export const stopConnection = async () => {
+  currentActivity = null;
   if (connection) {
     try {
       await connection.stop();
@@ -184,3 +245,32 @@ export const getConnectionState = () => {
       return 'disconnected';
   }
 };
+
+/**
+ * Tell the partner what this user is looking at (e.g. "shopping:<listId>")
+ * Remembered across reconnects; pass null when leaving the screen.
+ * @param {string|null} activity
+ */
+export const setActivity = (activity) => {
+  currentActivity = activity || null;
+  if (!isConnected()) return;
+  connection.invoke('SetActivity', currentActivity).catch((error) => {
+    console.warn('[PartnerSync] Could not report activity:', error);
+  });
+};
+
+/**
+ * Fetch the partner's presence and notify presence listeners
+ * @returns {Promise<Object|null>} - Presence, or null without a partner or connection
+ */
+export const refreshPartnerPresence = async () => {
+  if (!isConnected()) return null;
+  try {
+    const presence = await connection.invoke('GetPartnerPresence');
+    if (presence) notifyListeners('onPartnerPresenceChanged', presence);
+    return presence;
+  } catch (error) {
+    console.warn('[PartnerSync] Could not load partner presence:', error);
+    return null;
+  }
+};
@@ -11,3 +11,4 @@ export * from '../../utils/buildTransportLegs';
 export * from '../../utils/iataCodeMap';
 export * from '../../utils/validation';
 export * from '../../utils/travelChatbotSuggestions';
+export * from '../../utils/billForecast';
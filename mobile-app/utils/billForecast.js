@@ -0,0 +1,7 @@
+/**
+ * Recurring bill forecasting
+ * Re-exports the web app's engine so web and mobile forecast bills the same way;
+ * metro.config.js makes frontend/src visible to the bundler.
+ */
+
+export * from '../../frontend/src/features/finance/utils/billForecast';
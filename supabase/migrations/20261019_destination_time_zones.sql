@@ -0,0 +1,12 @@
+-- Destination time zones for the travel module
+-- trips.time_zone and trip_cities.time_zone hold the IANA zone looked up from the place's coordinates
+-- itinerary_events.end_time_zone holds the zone of end_time when it differs from time_zone (a flight's arrival)
+
+ALTER TABLE trips
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(100);
+
+ALTER TABLE trip_cities
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(100);
+
+ALTER TABLE itinerary_events
+ADD COLUMN IF NOT EXISTS end_time_zone VARCHAR(100);
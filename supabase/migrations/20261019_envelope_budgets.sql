@@ -0,0 +1,19 @@
+-- Envelope (zero-based) budgeting: per-budget envelope flag and an append-only transfer log
+-- Budget IDs are kept without foreign keys so the log survives budget deletion
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS is_envelope BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS budget_transfers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id TEXT NOT NULL,
+    from_budget_id UUID,
+    to_budget_id UUID,
+    amount DECIMAL(18,2) NOT NULL CHECK (amount > 0),
+    month DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_transfers_user_id ON budget_transfers(user_id);
+CREATE INDEX IF NOT EXISTS idx_budget_transfers_month ON budget_transfers(month);
@@ -0,0 +1,44 @@
+-- Budget alerts engine: push and quiet-hour preferences, raised alerts and push devices
+-- finance_alerts is unique per (user, rule, reference, period) so an alert is raised once per period
+
+ALTER TABLE reminder_preferences
+ADD COLUMN IF NOT EXISTS push_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN IF NOT EXISTS low_balance_alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN IF NOT EXISTS low_balance_threshold DECIMAL(18,2) NOT NULL DEFAULT 100,
+ADD COLUMN IF NOT EXISTS unusual_spending_alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN IF NOT EXISTS quiet_hours_start VARCHAR(5),
+ADD COLUMN IF NOT EXISTS quiet_hours_end VARCHAR(5),
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS finance_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    rule VARCHAR(50) NOT NULL,
+    reference_key VARCHAR(100) NOT NULL,
+    period_key VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    priority VARCHAR(20) NOT NULL DEFAULT 'medium',
+    url VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(user_id, rule, reference_key, period_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_finance_alerts_user_created ON finance_alerts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_finance_alerts_undelivered ON finance_alerts(delivered_at) WHERE delivered_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS push_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    kind VARCHAR(10) NOT NULL DEFAULT 'web',
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh_key TEXT,
+    auth_key TEXT,
+    user_agent VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_devices_user_id ON push_devices(user_id);
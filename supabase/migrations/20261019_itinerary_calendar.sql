@@ -0,0 +1,12 @@
+-- iCalendar export and import for trip itineraries
+-- time_zone holds the IANA zone an event's start and end times are in (null = floating local time)
+-- calendar_feed_token is the secret in a trip's subscribable .ics feed URL (null = feed off)
+
+ALTER TABLE itinerary_events
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(100);
+
+ALTER TABLE trips
+ADD COLUMN IF NOT EXISTS calendar_feed_token VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_calendar_feed_token
+ON trips(calendar_feed_token) WHERE calendar_feed_token IS NOT NULL;
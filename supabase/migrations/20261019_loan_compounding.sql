@@ -0,0 +1,4 @@
+-- Loan amortisation: compounding frequency used with interest_rate, duration and installment_frequency
+
+ALTER TABLE loans
+ADD COLUMN IF NOT EXISTS compounding_frequency TEXT;
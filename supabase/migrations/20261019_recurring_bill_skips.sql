@@ -0,0 +1,5 @@
+-- Recurring bills: remember due dates that were skipped instead of paid
+-- Used by the bill forecast to tell skipped occurrences apart from paid ones
+
+ALTER TABLE recurring_bills
+ADD COLUMN IF NOT EXISTS skipped_due_dates TIMESTAMPTZ[];
@@ -0,0 +1,5 @@
+-- Savings goal contribution plans: fixed amount per week/month, percentage of income or expense round-ups
+-- last_run_at inside the JSON is the last day already contributed for, so deposits are never recorded twice
+
+ALTER TABLE savings_goals
+ADD COLUMN IF NOT EXISTS contribution_plan JSONB;
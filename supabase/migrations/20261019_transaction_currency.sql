@@ -0,0 +1,7 @@
+-- Multi-currency ledger: keep the original currency and amount of each transaction
+-- amount stays in the base currency (converted with the rate on the transaction date)
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+ADD COLUMN IF NOT EXISTS original_amount DECIMAL(18,2),
+ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8);
@@ -0,0 +1,5 @@
+-- Line-item splits: each receipt line is assigned to the owner, the partner or both
+-- split_type 'items' keeps split_percentage as the owner's resulting share for older clients
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS split_items JSONB;
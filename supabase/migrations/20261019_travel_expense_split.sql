@@ -0,0 +1,6 @@
+-- Partner ledger: travel expenses can be shared like split transactions
+-- paid_by is 'me' or 'partner' relative to the trip owner; split_percentage is the owner's share
+
+ALTER TABLE travel_expenses
+ADD COLUMN IF NOT EXISTS paid_by TEXT,
+ADD COLUMN IF NOT EXISTS split_percentage DECIMAL(5,2);